@@ -0,0 +1,12 @@
+import { randomBytes, randomUUID as nodeRandomUUID, createHash } from 'crypto';
+
+export enum CryptoDigestAlgorithm {
+  SHA256 = 'SHA-256'
+}
+
+export const getRandomBytes = (byteCount: number): Uint8Array => new Uint8Array(randomBytes(byteCount));
+
+export const randomUUID = (): string => nodeRandomUUID();
+
+export const digestStringAsync = async (_algorithm: CryptoDigestAlgorithm, data: string): Promise<string> =>
+  createHash('sha256').update(data).digest('hex');
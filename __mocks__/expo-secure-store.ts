@@ -0,0 +1,19 @@
+// Keychain stand-in, kept in memory for the test file
+const items = new Map<string, string>();
+
+export const AFTER_FIRST_UNLOCK = 0;
+export const AFTER_FIRST_UNLOCK_THIS_DEVICE_ONLY = 1;
+export const WHEN_UNLOCKED = 5;
+export const WHEN_UNLOCKED_THIS_DEVICE_ONLY = 6;
+
+export type SecureStoreOptions = { keychainAccessible?: number };
+
+export const getItemAsync = async (key: string): Promise<string | null> => items.get(key) ?? null;
+
+export const setItemAsync = async (key: string, value: string): Promise<void> => {
+  items.set(key, value);
+};
+
+export const deleteItemAsync = async (key: string): Promise<void> => {
+  items.delete(key);
+};
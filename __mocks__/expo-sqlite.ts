@@ -0,0 +1,4 @@
+import { openNodeDatabase } from '../jest/nodeSqlite';
+
+// Every database the app opens under Jest is a fresh in-memory one
+export const openDatabaseAsync = (_name: string) => openNodeDatabase();
@@ -0,0 +1,85 @@
+import React from 'react';
+import { Text } from 'react-native';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react-native';
+import AppLock from '../../components/AppLock';
+import { initializeSecurity } from '../../app/services/SecurityService';
+
+// The icon fonts don't load under Jest
+jest.mock('@expo/vector-icons', () => ({ Ionicons: () => null }));
+
+jest.mock('../../app/services/SecurityService', () => ({
+  initializeSecurity: jest.fn(),
+  getSessionState: jest.fn(() => 'locked'),
+  addSessionListener: jest.fn(() => () => {}),
+  lockApp: jest.fn(),
+  unlockWithPin: jest.fn(),
+  unlockWithBiometrics: jest.fn(),
+  getSecurityStatus: jest.fn(async () => ({
+    lockEnabled: true,
+    duressPinSet: false,
+    biometricsAvailable: false,
+    lockedUntil: null
+  }))
+}));
+
+jest.mock('../../app/services/SettingsService', () => ({
+  getSettings: jest.fn(async () => ({ autoLockMinutes: 5, biometricUnlock: false }))
+}));
+
+const initialize = initializeSecurity as jest.MockedFunction<typeof initializeSecurity>;
+const FAILED = /lock settings couldn't be loaded/;
+
+describe('AppLock', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    initialize.mockReset();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const renderLock = () => render(
+    <AppLock>
+      <Text>Journeys</Text>
+    </AppLock>
+  );
+
+  it('stays locked with a retry when the lock settings fail to load', async () => {
+    initialize.mockRejectedValueOnce(new Error('Keychain unavailable'));
+    renderLock();
+
+    expect(await screen.findByText(FAILED)).toBeTruthy();
+    expect(screen.getByText('SafeTack is locked')).toBeTruthy();
+    expect(screen.queryByText('Enter your PIN')).toBeNull();
+
+    // A second failure keeps it locked
+    initialize.mockRejectedValueOnce(new Error('Keychain unavailable'));
+    fireEvent.press(screen.getByText('Retry'));
+    await waitFor(() => expect(initialize).toHaveBeenCalledTimes(2));
+    expect(await screen.findByText(FAILED)).toBeTruthy();
+  });
+
+  it('asks for the PIN once a retry loads a lock', async () => {
+    initialize.mockRejectedValueOnce(new Error('Keychain unavailable'));
+    renderLock();
+
+    initialize.mockResolvedValueOnce('locked');
+    fireEvent.press(await screen.findByText('Retry'));
+
+    expect(await screen.findByText('Enter your PIN')).toBeTruthy();
+    expect(screen.queryByText(FAILED)).toBeNull();
+  });
+
+  it('opens once a retry finds no lock set', async () => {
+    initialize.mockRejectedValueOnce(new Error('Keychain unavailable'));
+    renderLock();
+
+    initialize.mockResolvedValueOnce('unlocked');
+    fireEvent.press(await screen.findByText('Retry'));
+
+    await waitFor(() => expect(initialize).toHaveBeenCalledTimes(2));
+    await waitFor(() => expect(screen.queryByText('SafeTack is locked')).toBeNull());
+    expect(screen.getByText('Journeys')).toBeTruthy();
+  });
+});
@@ -0,0 +1,257 @@
+import { Database, DatabaseConnection } from '../../app/database/database';
+import { MIGRATIONS } from '../../app/database/migrations';
+import { openNodeDatabase, closeNodeDatabases } from '../../jest/nodeSqlite';
+
+const LATEST_VERSION = Math.max(...MIGRATIONS.map(migration => migration.version));
+
+// Tables, columns, foreign keys and indexes as SQLite reports them
+const describeSchema = async (db: Database): Promise<Record<string, unknown>> => {
+  const objects = await db.executeQuery(
+    `SELECT type, name, tbl_name FROM sqlite_master
+     WHERE name NOT LIKE 'sqlite_%'
+     ORDER BY type, name`
+  );
+
+  const schema: Record<string, unknown> = {};
+  for (const { type, name, tbl_name: table } of objects.rows._array) {
+    if (type === 'table') {
+      schema[name] = {
+        columns: (await db.executeQuery(`PRAGMA table_info(${name})`)).rows._array,
+        foreignKeys: (await db.executeQuery(`PRAGMA foreign_key_list(${name})`)).rows._array
+      };
+    } else {
+      schema[`${type}:${name}`] = table;
+    }
+  }
+  return schema;
+};
+
+// Rows written with the version 1 columns, which every later version still has
+const seedVersionOneRows = async (db: Database): Promise<void> => {
+  await db.executeQuery(
+    `INSERT INTO Routes (id, name, start_location, end_location, times_traveled, created_at, updated_at)
+     VALUES (1, 'Commute', ?, ?, 3, 1000, 1000)`,
+    [JSON.stringify({ latitude: 51.5, longitude: -0.1 }), JSON.stringify({ latitude: 51.51, longitude: -0.1 })]
+  );
+  await db.insertRows(
+    'RoutePoints',
+    ['route_id', 'latitude', 'longitude', 'sequence_number'],
+    [[1, 51.5, -0.1, 0], [1, 51.51, -0.1, 1]]
+  );
+  await db.executeQuery(
+    'INSERT INTO Journeys (id, matched_route_id, start_time, end_time) VALUES (1, 1, 2000, 3000)'
+  );
+  await db.executeQuery(
+    'INSERT INTO JourneyPoints (journey_id, latitude, longitude, timestamp, sequence_number) VALUES (1, 51.5, -0.1, 2000, 0)'
+  );
+  await db.executeQuery(
+    `INSERT INTO EmergencyContacts (id, name, phone_number, priority, is_active, created_at)
+     VALUES (1, 'Sam', '+447700900123', 1, 1, 1000)`
+  );
+};
+
+describe('Database', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+    closeNodeDatabases();
+  });
+
+  describe('migrations', () => {
+    it('creates the latest schema on an empty database', async () => {
+      const db = new Database(openNodeDatabase());
+
+      expect(await db.getSchemaVersion()).toBe(LATEST_VERSION);
+
+      const tables = await db.executeQuery("SELECT name FROM sqlite_master WHERE type = 'table'");
+      expect(tables.rows._array.map(row => row.name)).toEqual(
+        expect.arrayContaining(['Routes', 'Journeys', 'AlertOutbox', 'SyncTombstones', 'CleanupHistory'])
+      );
+    });
+
+    it('applies each migration once', async () => {
+      const connection = await openNodeDatabase();
+      await new Database(connection).ready;
+
+      // Re-running version 1's CREATE TABLE IF NOT EXISTS is harmless, but ALTER TABLE ADD COLUMN is not
+      const reopened = new Database(connection);
+      await expect(reopened.ready).resolves.toBeUndefined();
+      expect(await reopened.getSchemaVersion()).toBe(LATEST_VERSION);
+    });
+
+    const intermediateVersions = MIGRATIONS.map(migration => migration.version).filter(v => v < LATEST_VERSION);
+
+    it.each(intermediateVersions)('upgrades a version %i database with its data', async version => {
+      const fresh = new Database(openNodeDatabase());
+
+      const connection = await openNodeDatabase();
+      const old = new Database(connection, MIGRATIONS.filter(migration => migration.version <= version));
+      expect(await old.getSchemaVersion()).toBe(version);
+      await seedVersionOneRows(old);
+
+      const upgraded = new Database(connection);
+      expect(await upgraded.getSchemaVersion()).toBe(LATEST_VERSION);
+      expect(await describeSchema(upgraded)).toEqual(await describeSchema(fresh));
+
+      const routes = await upgraded.executeQuery('SELECT * FROM Routes');
+      expect(routes.rows._array).toEqual([
+        expect.objectContaining({ id: 1, name: 'Commute', times_traveled: 3 })
+      ]);
+      if (version < 6) {
+        // Backfilled by version 6 from the route's endpoints
+        expect(routes.rows._array[0].start_geohash).toEqual(expect.any(String));
+      }
+      if (version < 7) {
+        expect(routes.rows._array[0].uuid).toMatch(/^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/);
+      }
+
+      const counts = await upgraded.executeQuery(
+        `SELECT
+          (SELECT COUNT(*) FROM RoutePoints) AS routePoints,
+          (SELECT matched_route_id FROM Journeys WHERE id = 1) AS matchedRouteId,
+          (SELECT COUNT(*) FROM JourneyPoints) AS journeyPoints,
+          (SELECT COUNT(*) FROM EmergencyContacts) AS contacts`
+      );
+      expect(counts.rows._array[0]).toEqual({ routePoints: 2, matchedRouteId: 1, journeyPoints: 1, contacts: 1 });
+
+      const violations = await upgraded.executeQuery('PRAGMA foreign_key_check');
+      expect(violations.rows._array).toEqual([]);
+    });
+
+    it('rolls back a failed migration and leaves the version where it was', async () => {
+      const connection = await openNodeDatabase();
+      const broken = [
+        ...MIGRATIONS.filter(migration => migration.version <= 2),
+        { version: 3, description: 'Broken', statements: ['CREATE TABLE Partial (id INTEGER);', 'NOT VALID SQL;'] }
+      ];
+
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      const failed = new Database(connection, broken);
+      await expect(failed.ready).rejects.toThrow('Migration 3 (Broken) failed');
+
+      const [{ user_version: version }] = await connection.getAllAsync<{ user_version: number }>('PRAGMA user_version', []);
+      expect(version).toBe(2);
+      const partial = await connection.getAllAsync("SELECT name FROM sqlite_master WHERE name = 'Partial'", []);
+      expect(partial).toEqual([]);
+    });
+  });
+
+  describe('withTransaction', () => {
+    it('commits every statement when the work succeeds', async () => {
+      const db = new Database(openNodeDatabase());
+
+      await db.withTransaction(async tx => {
+        await tx.executeQuery("INSERT INTO Settings (key, value) VALUES ('a', '1')");
+        await tx.executeQuery("INSERT INTO Settings (key, value) VALUES ('b', '2')");
+      });
+
+      const rows = await db.executeQuery('SELECT key FROM Settings ORDER BY key');
+      expect(rows.rows._array).toEqual([{ key: 'a' }, { key: 'b' }]);
+    });
+
+    it('rolls back everything when the work throws', async () => {
+      const db = new Database(openNodeDatabase());
+
+      await expect(db.withTransaction(async tx => {
+        await tx.executeQuery("INSERT INTO Settings (key, value) VALUES ('a', '1')");
+        throw new Error('Something went wrong');
+      })).rejects.toThrow('Something went wrong');
+
+      const rows = await db.executeQuery('SELECT COUNT(*) AS count FROM Settings');
+      expect(rows.rows._array[0].count).toBe(0);
+
+      // The queue carries on after a failed transaction
+      await db.executeQuery("INSERT INTO Settings (key, value) VALUES ('b', '2')");
+      const after = await db.executeQuery('SELECT key FROM Settings');
+      expect(after.rows._array).toEqual([{ key: 'b' }]);
+    });
+
+    it('rolls back when a statement fails', async () => {
+      const db = new Database(openNodeDatabase());
+
+      await expect(db.withTransaction(async tx => {
+        await tx.executeQuery("INSERT INTO Settings (key, value) VALUES ('a', '1')");
+        await tx.executeQuery("INSERT INTO Settings (key, value) VALUES ('a', '2')");
+      })).rejects.toThrow();
+
+      const rows = await db.executeQuery('SELECT COUNT(*) AS count FROM Settings');
+      expect(rows.rows._array[0].count).toBe(0);
+    });
+
+    it('keeps other queries out until the transaction ends', async () => {
+      const db = new Database(openNodeDatabase());
+      const order: string[] = [];
+
+      const transaction = db.withTransaction(async tx => {
+        await tx.executeQuery("INSERT INTO Settings (key, value) VALUES ('a', '1')");
+        await new Promise(resolve => setTimeout(resolve, 10));
+        order.push('transaction');
+      });
+      const query = db.executeQuery('SELECT COUNT(*) AS count FROM Settings').then(result => {
+        order.push('query');
+        return result.rows._array[0].count;
+      });
+
+      await transaction;
+      expect(await query).toBe(1);
+      expect(order).toEqual(['transaction', 'query']);
+    });
+  });
+
+  describe('insertRows', () => {
+    // Counts the statements sent to SQLite
+    const countingConnection = async (): Promise<{ connection: DatabaseConnection; inserts: () => number }> => {
+      const connection = await openNodeDatabase();
+      let inserts = 0;
+      return {
+        connection: {
+          ...connection,
+          runAsync: (source, params) => {
+            if (source.startsWith('INSERT INTO JourneyPoints')) inserts++;
+            return connection.runAsync(source, params);
+          }
+        },
+        inserts: () => inserts
+      };
+    };
+
+    it('inserts many rows in chunks under the bound parameter limit', async () => {
+      const { connection, inserts } = await countingConnection();
+      const db = new Database(connection);
+      await db.executeQuery('INSERT INTO Journeys (id, start_time) VALUES (1, 0)');
+
+      const columns = ['journey_id', 'latitude', 'longitude', 'timestamp', 'sequence_number'];
+      const rows = Array.from({ length: 1000 }, (_, i) => [1, 51.5 + i / 1e5, -0.1, i * 1000, i]);
+
+      expect(await db.insertRows('JourneyPoints', columns, rows)).toBe(1000);
+
+      // 999 parameters / 5 columns = 199 rows per statement
+      expect(inserts()).toBe(Math.ceil(1000 / 199));
+
+      const stored = await db.executeQuery(
+        'SELECT COUNT(*) AS count, MIN(sequence_number) AS first, MAX(sequence_number) AS last FROM JourneyPoints'
+      );
+      expect(stored.rows._array[0]).toEqual({ count: 1000, first: 0, last: 999 });
+    });
+
+    it('inserts nothing for no rows', async () => {
+      const { connection, inserts } = await countingConnection();
+      const db = new Database(connection);
+
+      expect(await db.insertRows('JourneyPoints', ['journey_id'], [])).toBe(0);
+      expect(inserts()).toBe(0);
+    });
+
+    it('inserts none of the rows if a later chunk fails', async () => {
+      const db = new Database(openNodeDatabase());
+      await db.executeQuery('INSERT INTO Journeys (id, start_time) VALUES (1, 0)');
+
+      // The last row refers to a journey that doesn't exist
+      const rows = Array.from({ length: 500 }, (_, i) => [i === 499 ? 2 : 1, i]);
+
+      await expect(db.insertRows('JourneyPoints', ['journey_id', 'sequence_number'], rows)).rejects.toThrow();
+
+      const stored = await db.executeQuery('SELECT COUNT(*) AS count FROM JourneyPoints');
+      expect(stored.rows._array[0].count).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,239 @@
+import database from '../../app/database/database';
+import {
+  RoutesModel,
+  JourneysModel,
+  ContactsModel,
+  SettingsModel,
+  SyncModel,
+  Route,
+  RoutePoint,
+  DeviationKind
+} from '../../app/database/models';
+
+const POINTS: RoutePoint[] = Array.from({ length: 5 }, (_, i) => ({
+  latitude: 51.5 + i * 0.001,
+  longitude: -0.1,
+  sequence_number: i
+}));
+
+const createRoute = (name: string): Promise<number> => RoutesModel.createRoute({
+  name,
+  confidence_score: 0.8,
+  start_location: POINTS[0],
+  end_location: POINTS[POINTS.length - 1]
+}, POINTS);
+
+const count = async (query: string, params: any[] = []): Promise<number> => {
+  const result = await database.executeQuery(query, params);
+  return result.rows._array[0].count;
+};
+
+describe('RoutesModel.deleteRoute', () => {
+  it('deletes the route with its points and overrides', async () => {
+    const routeId = await createRoute('Commute');
+    const otherRouteId = await createRoute('Gym');
+    await SettingsModel.saveRouteOverrides(routeId, { quietSafeguards: true });
+
+    expect(await count('SELECT COUNT(*) AS count FROM RoutePoints WHERE route_id = ?', [routeId])).toBe(POINTS.length);
+
+    await RoutesModel.deleteRoute(routeId);
+
+    expect(await count('SELECT COUNT(*) AS count FROM Routes WHERE id = ?', [routeId])).toBe(0);
+    expect(await count('SELECT COUNT(*) AS count FROM RoutePoints WHERE route_id = ?', [routeId])).toBe(0);
+    expect(await count('SELECT COUNT(*) AS count FROM RouteSettings WHERE route_id = ?', [routeId])).toBe(0);
+
+    // Other routes are untouched
+    const other = await RoutesModel.getRouteWithPoints(otherRouteId);
+    expect(other?.points).toHaveLength(POINTS.length);
+  });
+
+  it('keeps journeys that followed the route, without the link', async () => {
+    const routeId = await createRoute('Commute');
+    const journeyId = await JourneysModel.createJourney({ matched_route_id: routeId, start_time: 1000, end_time: 2000 });
+    await JourneysModel.addJourneyPoints(journeyId, [
+      { latitude: 51.5, longitude: -0.1, timestamp: 1000, sequence_number: 0 }
+    ]);
+
+    await RoutesModel.deleteRoute(routeId);
+
+    const journey = await JourneysModel.getJourney(journeyId);
+    expect(journey).toEqual(expect.objectContaining({ id: journeyId, matched_route_id: null }));
+    expect(await JourneysModel.getJourneyPoints(journeyId)).toHaveLength(1);
+  });
+
+  it('leaves a tombstone only for routes that were synced', async () => {
+    const syncedId = await createRoute('Synced');
+    const localId = await createRoute('Local');
+    const [{ uuid, updated_at: updatedAt }] = (await database.executeQuery(
+      'SELECT uuid, updated_at FROM Routes WHERE id = ?',
+      [syncedId]
+    )).rows._array;
+    await SyncModel.markSynced('Routes', uuid, updatedAt);
+
+    await RoutesModel.deleteRoute(syncedId);
+    await RoutesModel.deleteRoute(localId);
+
+    const tombstones = await SyncModel.getTombstones('Routes');
+    expect(tombstones).toEqual([expect.objectContaining({ uuid })]);
+  });
+
+  it('rolls back the tombstone if the delete fails', async () => {
+    const routeId = await createRoute('Commute');
+    const [{ uuid, updated_at: updatedAt }] = (await database.executeQuery(
+      'SELECT uuid, updated_at FROM Routes WHERE id = ?',
+      [routeId]
+    )).rows._array;
+    await SyncModel.markSynced('Routes', uuid, updatedAt);
+
+    // Make the delete itself fail after the tombstone is written
+    await database.executeQuery(
+      `CREATE TRIGGER block_route_delete BEFORE DELETE ON Routes
+       BEGIN SELECT RAISE(ABORT, 'blocked'); END;`
+    );
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    await expect(RoutesModel.deleteRoute(routeId)).rejects.toThrow('blocked');
+
+    expect(await count('SELECT COUNT(*) AS count FROM Routes WHERE id = ?', [routeId])).toBe(1);
+    expect(await count('SELECT COUNT(*) AS count FROM SyncTombstones WHERE uuid = ?', [uuid])).toBe(0);
+
+    await database.executeQuery('DROP TRIGGER block_route_delete');
+    jest.restoreAllMocks();
+  });
+});
+
+describe('RoutesModel.getRoutesInBounds', () => {
+  // A journey heading east for about 1.4km
+  const journey = Array.from({ length: 11 }, (_, i) => ({ latitude: 51.5, longitude: -0.12 + i * 0.002 }));
+  const bounds = { minLatitude: 51.498, maxLatitude: 51.502, minLongitude: -0.123, maxLongitude: -0.097 };
+  const along = { path: journey, margin: 200, minShare: 0.8 };
+
+  const createLine = (name: string, from: RoutePoint, to: RoutePoint): Promise<number> => {
+    const points = Array.from({ length: 11 }, (_, i) => ({
+      latitude: from.latitude + (to.latitude - from.latitude) * i / 10,
+      longitude: from.longitude + (to.longitude - from.longitude) * i / 10
+    }));
+    return RoutesModel.createRoute({ name, confidence_score: 0.8, start_location: from, end_location: to }, points);
+  };
+
+  beforeAll(async () => {
+    await database.executeQuery('DELETE FROM Routes');
+  });
+
+  it('keeps routes that take in most of the journey, even ones much longer than it', async () => {
+    const longerId = await createLine('Longer', { latitude: 51.5, longitude: -0.14 }, { latitude: 51.5, longitude: -0.08 });
+    const crossingId = await createLine('Crossing', { latitude: 51.49, longitude: -0.11 }, { latitude: 51.51, longitude: -0.11 });
+    const parallelId = await createLine('Parallel', { latitude: 51.5027, longitude: -0.12 }, { latitude: 51.5027, longitude: -0.1 });
+
+    const ids = (routes: Route[]) => routes.map(route => route.id).sort();
+
+    // Their widened bounds all overlap the journey's
+    expect(ids(await RoutesModel.getRoutesInBounds(bounds))).toEqual([longerId, crossingId, parallelId].sort());
+
+    const candidates = await RoutesModel.getRoutesInBounds(bounds, along);
+    expect(ids(candidates)).toEqual([longerId]);
+    expect(candidates[0].points).toHaveLength(11);
+    expect(candidates[0].extent).toEqual({ minLatitude: 51.5, maxLatitude: 51.5, minLongitude: -0.14, maxLongitude: -0.08 });
+
+    // The exact extent is stored encrypted
+    const [{ extent }] = (await database.executeQuery('SELECT extent FROM Routes WHERE id = ?', [longerId])).rows._array;
+    expect(extent).not.toContain('51.5');
+  });
+
+  it('falls back to the widened bounds for routes saved without an extent', async () => {
+    const [parallel] = (await RoutesModel.getRoutes()).filter(route => route.name === 'Parallel');
+    await database.executeQuery('UPDATE Routes SET extent = NULL WHERE id = ?', [parallel.id]);
+
+    const candidates = await RoutesModel.getRoutesInBounds(bounds, along);
+    expect(candidates.map(route => route.name).sort()).toEqual(['Longer', 'Parallel']);
+  });
+});
+
+describe('duress deviations', () => {
+  let contactId: number;
+
+  const recordDeviation = (journeyId: number, kind: DeviationKind): Promise<number> =>
+    JourneysModel.recordDeviation(journeyId, {
+      kind,
+      latitude: 51.5,
+      longitude: -0.1,
+      timestamp: 1500,
+      deviation_distance: 0,
+      alert_sent: true
+    });
+
+  // A journey whose only deviation is the duress alert, and one that also left its route
+  const createJourneys = async () => {
+    const duressOnly = await JourneysModel.createJourney({ start_time: 1000, end_time: 2000 });
+    await recordDeviation(duressOnly, 'duress');
+
+    const alsoDeviated = await JourneysModel.createJourney({ start_time: 3000, end_time: 4000 });
+    const duressId = await recordDeviation(alsoDeviated, 'duress');
+    const deviationId = await recordDeviation(alsoDeviated, 'deviation');
+
+    return { duressOnly, alsoDeviated, duressId, deviationId };
+  };
+
+  beforeAll(async () => {
+    contactId = await ContactsModel.createContact({ name: 'Sam', phone_number: '+447700900123', priority: 1, is_active: true });
+  });
+
+  it('are left out of the journey list when asked', async () => {
+    const { duressOnly, alsoDeviated } = await createJourneys();
+    const summaries = async (filters = {}) => (await JourneysModel.getJourneys(filters))
+      .filter(journey => journey.id === duressOnly || journey.id === alsoDeviated)
+      .map(journey => ({ id: journey.id, has_deviation: journey.has_deviation, deviation_count: journey.deviation_count }));
+
+    expect(await summaries()).toEqual([
+      { id: alsoDeviated, has_deviation: true, deviation_count: 2 },
+      { id: duressOnly, has_deviation: true, deviation_count: 1 }
+    ]);
+    expect(await summaries({ hideDuress: true })).toEqual([
+      { id: alsoDeviated, has_deviation: true, deviation_count: 1 },
+      { id: duressOnly, has_deviation: false, deviation_count: 0 }
+    ]);
+
+    const deviated = await summaries({ hideDuress: true, hasDeviation: true });
+    expect(deviated.map(journey => journey.id)).toEqual([alsoDeviated]);
+    const onPlan = await summaries({ hideDuress: true, hasDeviation: false });
+    expect(onPlan.map(journey => journey.id)).toEqual([duressOnly]);
+  });
+
+  it('still flag a journey whose other deviations were false alarms as on plan', async () => {
+    const { alsoDeviated, deviationId } = await createJourneys();
+    await JourneysModel.markFalseAlarm(deviationId, 0);
+
+    expect((await JourneysModel.getJourney(alsoDeviated))?.has_deviation).toBe(true);
+    expect((await JourneysModel.getJourney(alsoDeviated, true))?.has_deviation).toBe(false);
+  });
+
+  it('are left out of a journey\'s deviations and alerts when asked', async () => {
+    const { alsoDeviated, duressId, deviationId } = await createJourneys();
+    await ContactsModel.recordAlert(contactId, duressId, 'sms', 'Duress');
+    const alertId = await ContactsModel.recordAlert(contactId, deviationId, 'sms', 'Deviation');
+
+    expect(await JourneysModel.getDeviations(alsoDeviated)).toHaveLength(2);
+    expect(await JourneysModel.getDeviations(alsoDeviated, true)).toEqual([
+      expect.objectContaining({ id: deviationId, kind: 'deviation' })
+    ]);
+
+    expect(await JourneysModel.getJourneyAlerts(alsoDeviated)).toHaveLength(2);
+    expect(await JourneysModel.getJourneyAlerts(alsoDeviated, true)).toEqual([
+      expect.objectContaining({ id: alertId, deviation_id: deviationId })
+    ]);
+  });
+
+  it('leave the alert status badges as they were before the duress alert', async () => {
+    const { alsoDeviated, duressId } = await createJourneys();
+    const earlierId = await ContactsModel.recordAlert(contactId, null, 'email', 'Test alert');
+    await database.executeQuery("UPDATE AlertEvents SET delivery_status = 'delivered' WHERE id = ?", [earlierId]);
+    await ContactsModel.recordAlert(contactId, duressId, 'email', 'Duress');
+
+    const emailStatus = async (hideDuress: boolean) => (await ContactsModel.getLatestAlertStatuses(hideDuress))
+      .find(status => status.contact_id === contactId && status.alert_method === 'email');
+
+    expect(await emailStatus(false)).toEqual(expect.objectContaining({ delivery_status: 'queued' }));
+    expect(await emailStatus(true)).toEqual(expect.objectContaining({ delivery_status: 'delivered' }));
+    expect(await JourneysModel.getJourneyAlerts(alsoDeviated, true)).toEqual([]);
+  });
+});
@@ -0,0 +1,244 @@
+import { ChildProcess } from 'child_process';
+import database from '../../app/database/database';
+import { ContactsModel, JourneysModel, Contact } from '../../app/database/models';
+import { alertEmergencyContacts } from '../../app/services/AlertService';
+import { processOutbox, refreshDeliveryStatuses, getRetryDelay } from '../../app/services/AlertOutboxService';
+import { saveGatewaySettings, resetTransports } from '../../app/services/AlertTransports';
+import { findFreePort, startStandin } from '../../jest/standins';
+
+let gateway: ChildProcess;
+let gatewayUrl: string;
+
+const startGateway = async (): Promise<void> => {
+  const port = await findFreePort();
+  gatewayUrl = `http://127.0.0.1:${port}`;
+  // Messages count as delivered as soon as the app asks
+  gateway = await startStandin('alert-gateway-standin.js', port, { DELIVERY_MS: '0' });
+};
+
+const gatewayRequest = async (pathname: string, method = 'GET', body?: unknown): Promise<any> => {
+  const response = await fetch(`${gatewayUrl}${pathname}`, {
+    method,
+    headers: { 'Content-Type': 'application/json' },
+    body: body ? JSON.stringify(body) : undefined
+  });
+  const text = await response.text();
+  return text ? JSON.parse(text) : null;
+};
+
+// Fail the next sends to a channel with an HTTP status
+const injectFailure = (channel: string, status: number, count = 1): Promise<unknown> =>
+  gatewayRequest('/_fail', 'POST', { channel, status, count });
+
+const inbox = (): Promise<any[]> => gatewayRequest('/_inbox');
+
+// Outbox rows with their alert event's delivery status, by channel
+const storedAlerts = async (): Promise<Record<string, any>> => {
+  const result = await database.executeQuery(
+    `SELECT o.transport, o.status, o.attempts, o.next_attempt_at, o.last_error, o.provider_message_id,
+      a.delivery_status, a.alert_method, a.deviation_id
+    FROM AlertOutbox o
+    JOIN AlertEvents a ON a.id = o.alert_event_id`
+  );
+  return Object.fromEntries(result.rows._array.map(row => [row.transport, row]));
+};
+
+describe('alert delivery through the gateway stand-in', () => {
+  let contact: Contact;
+  let journeyId: number;
+  let now: number;
+
+  const raiseAlert = async (): Promise<number> => {
+    const deviationId = await JourneysModel.recordDeviation(journeyId, {
+      latitude: 51.5,
+      longitude: -0.1,
+      timestamp: Date.now(),
+      deviation_distance: 420
+    });
+    await alertEmergencyContacts({ deviationId, journeyId, distance: 420, latitude: 51.5, longitude: -0.1 }, [contact]);
+    // Joins the delivery run the alert started
+    await processOutbox();
+    return deviationId;
+  };
+
+  // Let the clock run on to when the next attempts are due
+  const advanceClock = (ms: number): void => {
+    now += ms;
+  };
+
+  beforeAll(async () => {
+    await startGateway();
+
+    const contactId = await ContactsModel.createContact({
+      name: 'Sam',
+      phone_number: '+447700900123',
+      email: 'sam@example.com',
+      priority: 1,
+      is_active: true
+    });
+    await ContactsModel.saveContactChannels(contactId, [
+      { transport: 'sms', is_active: true },
+      { transport: 'email', is_active: true },
+      { transport: 'webhook', destination: `${gatewayUrl}/webhook`, secret: 'sams-secret', is_active: true }
+    ]);
+    [contact] = await ContactsModel.getContacts();
+
+    journeyId = await JourneysModel.createJourney({ start_time: Date.now() });
+  });
+
+  afterAll(() => {
+    gateway.kill();
+  });
+
+  beforeEach(async () => {
+    now = Date.now();
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    await saveGatewaySettings('sms', { endpoint: `${gatewayUrl}/sms`, apiKey: 'sms-key', sender: 'SafeTack' });
+    await saveGatewaySettings('email', { endpoint: `${gatewayUrl}/email`, apiKey: 'email-key', sender: 'alerts@example.com' });
+
+    await database.executeQuery('DELETE FROM AlertOutbox');
+    await database.executeQuery('DELETE FROM AlertEvents');
+    await gatewayRequest('/_inbox', 'DELETE');
+  });
+
+  afterEach(() => {
+    resetTransports();
+    jest.restoreAllMocks();
+  });
+
+  it('sends an alert by SMS, email and webhook and follows it to delivered', async () => {
+    const deviationId = await raiseAlert();
+
+    const received = await inbox();
+    const byChannel = Object.fromEntries(received.map(message => [message.channel, message]));
+    expect(byChannel.sms.payload).toEqual(expect.objectContaining({ to: '+447700900123', from: 'SafeTack' }));
+    expect(byChannel.sms.authorization).toBe('Bearer sms-key');
+    expect(byChannel.email.payload).toEqual(expect.objectContaining({ to: 'sam@example.com', from: 'alerts@example.com' }));
+    expect(byChannel.email.payload.subject).toEqual(expect.any(String));
+    expect(byChannel.email.authorization).toBe('Bearer email-key');
+    expect(byChannel.webhook.payload).toEqual(expect.objectContaining({ type: 'safetack.alert', contact_id: contact.id }));
+    expect(byChannel.webhook.authorization).toBe('Bearer sams-secret');
+
+    let rows = await storedAlerts();
+    expect(rows.sms).toEqual(expect.objectContaining({
+      status: 'sent',
+      delivery_status: 'sent',
+      attempts: 1,
+      deviation_id: deviationId,
+      provider_message_id: byChannel.sms.id
+    }));
+    expect(rows.email).toEqual(expect.objectContaining({ status: 'sent', delivery_status: 'sent', attempts: 1 }));
+    // A webhook that answers has the alert
+    expect(rows.webhook).toEqual(expect.objectContaining({ status: 'delivered', delivery_status: 'delivered' }));
+
+    // Delivery receipts from the gateway move SMS and email on
+    expect(await refreshDeliveryStatuses()).toBe(2);
+
+    rows = await storedAlerts();
+    expect(rows.sms).toEqual(expect.objectContaining({ status: 'delivered', delivery_status: 'delivered' }));
+    expect(rows.email).toEqual(expect.objectContaining({ status: 'delivered', delivery_status: 'delivered' }));
+  });
+
+  it('retries a gateway outage with growing delays', async () => {
+    await injectFailure('sms', 503, 2);
+
+    await raiseAlert();
+
+    let rows = await storedAlerts();
+    expect(rows.sms).toEqual(expect.objectContaining({
+      status: 'queued',
+      delivery_status: 'queued',
+      attempts: 1,
+      next_attempt_at: now + getRetryDelay(1),
+      last_error: 'Gateway responded with 503'
+    }));
+    // The other channels don't wait for it
+    expect(rows.email.status).toBe('sent');
+    expect(rows.webhook.status).toBe('delivered');
+
+    // Nothing is tried again before the delay is up
+    advanceClock(getRetryDelay(1) - 1000);
+    expect(await processOutbox()).toEqual({ sent: 0, delivered: 0, retried: 0, failed: 0 });
+
+    advanceClock(1000);
+    expect(await processOutbox()).toEqual(expect.objectContaining({ retried: 1 }));
+    rows = await storedAlerts();
+    expect(rows.sms).toEqual(expect.objectContaining({ attempts: 2, next_attempt_at: now + getRetryDelay(2) }));
+    expect(getRetryDelay(2)).toBe(2 * getRetryDelay(1));
+
+    advanceClock(getRetryDelay(2));
+    expect(await processOutbox()).toEqual(expect.objectContaining({ sent: 1 }));
+    rows = await storedAlerts();
+    expect(rows.sms).toEqual(expect.objectContaining({
+      status: 'sent',
+      delivery_status: 'sent',
+      attempts: 3,
+      last_error: null
+    }));
+
+    const received = await inbox();
+    expect(received.filter(message => message.channel === 'sms')).toHaveLength(1);
+  });
+
+  it('gives up at once on a message the gateway refuses', async () => {
+    await injectFailure('email', 400);
+
+    await raiseAlert();
+
+    const rows = await storedAlerts();
+    expect(rows.email).toEqual(expect.objectContaining({
+      status: 'failed',
+      delivery_status: 'failed',
+      attempts: 1,
+      last_error: 'Gateway responded with 400'
+    }));
+
+    advanceClock(getRetryDelay(10));
+    await processOutbox();
+    expect((await inbox()).filter(message => message.channel === 'email')).toEqual([]);
+  });
+
+  it('retries a webhook that is down, then gives up after the last attempt', async () => {
+    await injectFailure('webhook', 502, 100);
+
+    await raiseAlert();
+
+    for (let attempt = 1; attempt < 10; attempt++) {
+      const { webhook } = await storedAlerts();
+      expect(webhook).toEqual(expect.objectContaining({ status: 'queued', attempts: attempt }));
+      expect(webhook.next_attempt_at - now).toBe(getRetryDelay(attempt));
+
+      advanceClock(getRetryDelay(attempt));
+      await processOutbox();
+    }
+
+    const { webhook } = await storedAlerts();
+    expect(webhook).toEqual(expect.objectContaining({
+      status: 'failed',
+      delivery_status: 'failed',
+      attempts: 10,
+      last_error: 'Gateway responded with 502'
+    }));
+    // Backoff stops growing at half an hour
+    expect(getRetryDelay(9)).toBe(30 * 60 * 1000);
+  });
+
+  it('keeps alerts queued while the gateway is unreachable', async () => {
+    await saveGatewaySettings('sms', { endpoint: 'http://127.0.0.1:1/sms' });
+
+    await raiseAlert();
+
+    const rows = await storedAlerts();
+    expect(rows.sms).toEqual(expect.objectContaining({ status: 'queued', attempts: 1 }));
+    expect(rows.sms.last_error).toMatch(/^Network error/);
+
+    // Back on the stand-in, the retry gets through
+    await saveGatewaySettings('sms', { endpoint: `${gatewayUrl}/sms` });
+    advanceClock(getRetryDelay(1));
+    await processOutbox();
+    expect((await storedAlerts()).sms.status).toBe('sent');
+  });
+});
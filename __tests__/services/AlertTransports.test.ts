@@ -0,0 +1,185 @@
+import * as SecureStore from 'expo-secure-store';
+import database from '../../app/database/database';
+import { ContactsModel, UserDataModel, SyncModel } from '../../app/database/models';
+import {
+  createWebhookTransport,
+  getGatewaySettings,
+  getTransport,
+  registerTransport,
+  resetTransports,
+  saveGatewaySettings
+} from '../../app/services/AlertTransports';
+import { enqueueAlert, processOutbox } from '../../app/services/AlertOutboxService';
+
+const WEBHOOK_URL = 'https://hooks.example.com/alerts';
+
+describe('gateway settings', () => {
+  afterEach(async () => {
+    await saveGatewaySettings('sms', null);
+    await saveGatewaySettings('email', null);
+    resetTransports();
+  });
+
+  it('are kept in the keychain', async () => {
+    await saveGatewaySettings('sms', { endpoint: 'https://sms.example.com', apiKey: 'sms-key', sender: 'SafeTack' });
+
+    const stored = await SecureStore.getItemAsync('safetack.gateway.sms');
+    expect(JSON.parse(stored as string)).toEqual({ endpoint: 'https://sms.example.com', apiKey: 'sms-key', sender: 'SafeTack' });
+    expect(await getGatewaySettings('sms')).toEqual(expect.objectContaining({ apiKey: 'sms-key' }));
+    expect(await getGatewaySettings('email')).toBeNull();
+  });
+
+  it('set up the SMS and email transports, and only those', async () => {
+    expect(await getTransport('sms')).toBeUndefined();
+    expect(await getTransport('email')).toBeUndefined();
+    expect(await getTransport('webhook')).toBeDefined();
+
+    await saveGatewaySettings('email', { endpoint: 'https://mail.example.com', apiKey: 'mail-key' });
+
+    expect(await getTransport('email')).toEqual(expect.objectContaining({ type: 'email' }));
+    expect(await getTransport('sms')).toBeUndefined();
+  });
+
+  it('replace the transport when they change, and remove it with the gateway', async () => {
+    await saveGatewaySettings('sms', { endpoint: 'https://sms.example.com', apiKey: 'old-key' });
+    const first = await getTransport('sms');
+
+    await saveGatewaySettings('sms', { endpoint: 'https://sms.example.com', apiKey: 'new-key' });
+    const second = await getTransport('sms');
+    expect(second).toBeDefined();
+    expect(second).not.toBe(first);
+
+    await saveGatewaySettings('sms', null);
+    expect(await getTransport('sms')).toBeUndefined();
+  });
+
+  it('leave a transport the app registered itself alone', async () => {
+    const custom = createWebhookTransport();
+    registerTransport({ ...custom, type: 'sms' });
+    const registered = await getTransport('sms');
+
+    await saveGatewaySettings('sms', { endpoint: 'https://sms.example.com' });
+
+    expect(await getTransport('sms')).toBe(registered);
+  });
+
+  it('need a web address', async () => {
+    await expect(saveGatewaySettings('sms', { endpoint: 'sms.example.com' })).rejects.toThrow('https://');
+    expect(await getGatewaySettings('sms')).toBeNull();
+  });
+
+  it('need HTTPS, except for a gateway on this machine', async () => {
+    await expect(saveGatewaySettings('sms', { endpoint: 'http://sms.example.com', apiKey: 'sms-key' })).rejects.toThrow('https://');
+    await expect(saveGatewaySettings('email', { endpoint: 'http://localhost.example.com/email' })).rejects.toThrow('https://');
+    expect(await getGatewaySettings('sms')).toBeNull();
+    expect(await getGatewaySettings('email')).toBeNull();
+
+    await saveGatewaySettings('sms', { endpoint: 'http://127.0.0.1:8787/sms' });
+    await saveGatewaySettings('email', { endpoint: 'http://localhost:8787' });
+    expect(await getGatewaySettings('sms')).toEqual({ endpoint: 'http://127.0.0.1:8787/sms' });
+    expect(await getGatewaySettings('email')).toEqual({ endpoint: 'http://localhost:8787' });
+  });
+});
+
+describe('webhook secrets', () => {
+  let contactId: number;
+
+  beforeAll(async () => {
+    contactId = await ContactsModel.createContact({ name: 'Sam', email: 'sam@example.com', priority: 1, is_active: true });
+  });
+
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    resetTransports();
+    jest.restoreAllMocks();
+  });
+
+  // Records what each webhook request carried
+  const captureWebhooks = () => {
+    const requests: { url: string; authorization?: string }[] = [];
+    registerTransport(createWebhookTransport({
+      fetchImpl: (async (url: string, init: RequestInit) => {
+        requests.push({ url, authorization: (init.headers as Record<string, string>).Authorization });
+        return new Response(JSON.stringify({ id: 'hook-1' }), { status: 200 });
+      }) as typeof fetch
+    }));
+    return requests;
+  };
+
+  const queueWebhookAlert = async (destination: string): Promise<void> => {
+    const alertEventId = await ContactsModel.recordAlert(contactId, null, 'webhook', 'Test alert');
+    await enqueueAlert({
+      alert_event_id: alertEventId,
+      contact_id: contactId,
+      transport: 'webhook',
+      destination,
+      subject: 'SafeTack alert',
+      message: 'Test alert'
+    });
+  };
+
+  it('are sent only to the contact whose webhook they belong to', async () => {
+    const otherId = await ContactsModel.createContact({ name: 'Alex', email: 'alex@example.com', priority: 2, is_active: true });
+    await ContactsModel.saveContactChannels(contactId, [
+      { transport: 'webhook', destination: WEBHOOK_URL, secret: 'sams-secret' }
+    ]);
+    await ContactsModel.saveContactChannels(otherId, [
+      { transport: 'webhook', destination: 'https://alex.example.com/hook' }
+    ]);
+    const requests = captureWebhooks();
+
+    await queueWebhookAlert(WEBHOOK_URL);
+    const alexEvent = await ContactsModel.recordAlert(otherId, null, 'webhook', 'Test alert');
+    await enqueueAlert({
+      alert_event_id: alexEvent,
+      contact_id: otherId,
+      transport: 'webhook',
+      destination: 'https://alex.example.com/hook',
+      subject: 'SafeTack alert',
+      message: 'Test alert'
+    });
+
+    expect(await processOutbox()).toEqual(expect.objectContaining({ delivered: 2 }));
+    expect(requests).toEqual(expect.arrayContaining([
+      { url: WEBHOOK_URL, authorization: 'Bearer sams-secret' },
+      { url: 'https://alex.example.com/hook', authorization: undefined }
+    ]));
+  });
+
+  it('are stored encrypted and left out of data exports', async () => {
+    await ContactsModel.saveContactChannels(contactId, [
+      { transport: 'webhook', destination: WEBHOOK_URL, secret: 'sams-secret' }
+    ]);
+
+    const [channel] = await ContactsModel.getContactChannels(contactId);
+    expect(channel.secret).toBe('sams-secret');
+
+    const stored = await database.executeQuery('SELECT secret FROM ContactChannels WHERE contact_id = ?', [contactId]);
+    expect(stored.rows._array[0].secret).toMatch(/^enc1:/);
+
+    const exported = await UserDataModel.exportTables();
+    expect(JSON.stringify(exported)).not.toContain('sams-secret');
+    expect(exported.ContactChannels.find(row => row.contact_id === contactId)).not.toHaveProperty('secret');
+  });
+
+  it('survive pulling the contact from the cloud', async () => {
+    await ContactsModel.saveContactChannels(contactId, [
+      { transport: 'webhook', destination: WEBHOOK_URL, secret: 'sams-secret' }
+    ]);
+    const [contact] = (await SyncModel.getChangedContacts()).filter(changed => changed.id === contactId);
+
+    // The cloud copy has no secrets
+    await ContactsModel.saveSyncedContact({
+      ...contact,
+      name: 'Sam Jones',
+      channels: [{ transport: 'webhook', destination: WEBHOOK_URL, is_active: true }],
+      updated_at: contact.updated_at + 1000
+    });
+
+    expect(await ContactsModel.getWebhookSecret(contactId, WEBHOOK_URL)).toBe('sams-secret');
+    expect(await ContactsModel.getWebhookSecret(contactId, 'https://other.example.com')).toBeNull();
+  });
+});
@@ -0,0 +1,263 @@
+import database from '../../app/database/database';
+import {
+  RoutesModel,
+  JourneysModel,
+  ContactsModel,
+  CheckInModel,
+  EscalationModel,
+  RoutePoint
+} from '../../app/database/models';
+import * as AlertService from '../../app/services/AlertService';
+import * as LiveShareService from '../../app/services/LiveShareService';
+import { handleDeviation, handleDeviationResponse } from '../../app/services/EscalationService';
+import {
+  startCheckIn,
+  monitorCheckIn,
+  processCheckIns,
+  getCheckInDeadline
+} from '../../app/services/CheckInService';
+
+const MINUTE = 60 * 1000;
+
+// Due north from Westminster, a point every ~111m for ~2.2km
+const ROUTE_POINTS: RoutePoint[] = Array.from({ length: 21 }, (_, i) => ({
+  latitude: 51.5 + i * 0.001,
+  longitude: -0.12,
+  sequence_number: i
+}));
+const ROUTE_LENGTH = 2224;
+const HOME = ROUTE_POINTS[20];
+const NEAR_HOME = HOME.latitude - 0.002;  // ~220m short, too close for a stop to be a concern
+
+// Check-ins are timed on the clock; tests move it on instead of waiting
+const realNow = Date.now();
+let elapsed = 0;
+const wait = (ms: number) => {
+  elapsed += ms;
+};
+
+const createRoute = (): Promise<number> => RoutesModel.createRoute({
+  name: 'Walk home',
+  start_location: ROUTE_POINTS[0],
+  end_location: HOME,
+  avg_duration: 30 * MINUTE
+}, ROUTE_POINTS);
+
+// A journey whose latest fix is at the given latitude on the route
+const startJourney = async (latitude: number = 51.5): Promise<number> => {
+  const journeyId = await JourneysModel.createJourney({ start_time: Date.now() });
+  await JourneysModel.addJourneyPoints(journeyId, [
+    { latitude, longitude: -0.12, timestamp: Date.now(), sequence_number: 0 }
+  ]);
+  return journeyId;
+};
+
+const fixAt = (latitude: number, longitude: number = -0.12) => ({
+  latitude,
+  longitude,
+  accuracy: 10,
+  timestamp: Date.now()
+});
+
+const deviationsOf = async (journeyId: number) =>
+  (await database.executeQuery('SELECT * FROM DeviationEvents WHERE journey_id = ? ORDER BY id', [journeyId])).rows._array;
+
+beforeAll(async () => {
+  // Timers the service arms are never run; each test calls processCheckIns itself
+  jest.useFakeTimers({ doNotFake: ['Date', 'nextTick', 'setImmediate', 'queueMicrotask'] });
+  await ContactsModel.createContact({ name: 'Sam', phone_number: '+447700900123', priority: 1, is_active: true });
+});
+
+afterAll(() => {
+  jest.useRealTimers();
+});
+
+beforeEach(async () => {
+  elapsed = 0;
+  jest.spyOn(Date, 'now').mockImplementation(() => realNow + elapsed);
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(AlertService, 'notifyUser').mockResolvedValue('notification-id');
+  jest.spyOn(AlertService, 'notifyUserOfArrival').mockResolvedValue('notification-id');
+  jest.spyOn(AlertService, 'alertEmergencyContacts').mockImplementation(async (_, contacts) => contacts?.length || 0);
+  jest.spyOn(AlertService, 'notifyContactsOfArrival').mockImplementation(async (_, contacts) => contacts.length);
+  jest.spyOn(LiveShareService, 'shareForEscalation').mockResolvedValue(null);
+
+  // Each test has the only open check-in and escalation
+  await database.executeQuery("UPDATE CheckIns SET state = 'cancelled' WHERE state IN ('active', 'alerting')");
+  await database.executeQuery("UPDATE Escalations SET state = 'resolved', next_action_at = NULL");
+});
+
+afterEach(() => {
+  jest.clearAllTimers();
+  jest.restoreAllMocks();
+});
+
+describe('estimated arrival on a learned route', () => {
+  it('expects the route\'s usual duration to its end', async () => {
+    const routeId = await createRoute();
+    const journeyId = await startJourney();
+
+    const checkIn = await startCheckIn(journeyId, { routeId });
+
+    expect(checkIn).toEqual(expect.objectContaining({
+      route_id: routeId,
+      destination_latitude: HOME.latitude,
+      destination_name: 'Walk home',
+      expected_duration: 30 * MINUTE,
+      due_at: realNow + 30 * MINUTE,
+      state: 'active'
+    }));
+    expect(checkIn.planned_distance).toBeCloseTo(ROUTE_LENGTH, -1);
+  });
+
+  it('expects only the part still ahead when starting part-way along', async () => {
+    const routeId = await createRoute();
+    const journeyId = await startJourney(51.51);
+
+    const checkIn = await startCheckIn(journeyId, { routeId });
+
+    expect(checkIn.expected_duration).toBeCloseTo(15 * MINUTE, -4);
+    expect(checkIn.planned_distance).toBeCloseTo(ROUTE_LENGTH / 2, -1);
+  });
+
+  it('moves the ETA with progress along the route, at the planned pace', async () => {
+    const routeId = await createRoute();
+    const journeyId = await startJourney();
+    const { id } = await startCheckIn(journeyId, { routeId });
+
+    // A quarter of the way in 10 minutes leaves 22.5 minutes at the usual pace
+    wait(10 * MINUTE);
+    await monitorCheckIn(journeyId, fixAt(51.505));
+    expect((await CheckInModel.getCheckIn(id))?.eta).toBeCloseTo(realNow + 32.5 * MINUTE, -4);
+
+    // Far off the route, the rest is measured in a straight line
+    wait(5 * MINUTE);
+    await monitorCheckIn(journeyId, fixAt(51.51, -0.11));
+    const straightLine = 1310;  // meters from there to the destination
+    expect((await CheckInModel.getCheckIn(id))?.eta).toBeCloseTo(
+      Date.now() + straightLine * (30 * MINUTE / ROUTE_LENGTH),
+      -5
+    );
+  });
+
+  it('lets a slow trip push the deadline back, but no further than twice the expected duration', async () => {
+    const routeId = await createRoute();
+    const checkIn = await startCheckIn(await startJourney(), { routeId });
+    const grace = { checkInGraceMinutes: 10 };
+
+    expect(getCheckInDeadline({ ...checkIn, eta: null }, grace)).toBe(checkIn.due_at + 10 * MINUTE);
+    expect(getCheckInDeadline({ ...checkIn, eta: checkIn.due_at - 5 * MINUTE }, grace)).toBe(checkIn.due_at + 10 * MINUTE);
+    expect(getCheckInDeadline({ ...checkIn, eta: checkIn.due_at + 5 * MINUTE }, grace)).toBe(checkIn.due_at + 15 * MINUTE);
+    expect(getCheckInDeadline({ ...checkIn, eta: checkIn.due_at + 5 * 60 * MINUTE }, grace)).toBe(checkIn.due_at + 40 * MINUTE);
+  });
+});
+
+describe('a missed check-in', () => {
+  it('is escalated as an overdue deviation once the ETA and grace period pass', async () => {
+    const journeyId = await startJourney(NEAR_HOME);
+    const checkIn = await startCheckIn(journeyId, { latitude: HOME.latitude, longitude: HOME.longitude, name: 'Home', expectedDuration: 30 * MINUTE });
+
+    wait(39 * MINUTE);
+    expect(await processCheckIns()).toBe(0);
+
+    wait(1 * MINUTE);
+    expect(await processCheckIns()).toBe(1);
+
+    const [deviation] = await deviationsOf(journeyId);
+    expect(deviation).toEqual(expect.objectContaining({ kind: 'overdue', alert_sent: 1 }));
+    expect(await CheckInModel.getCheckIn(checkIn.id)).toEqual(expect.objectContaining({ state: 'alerting', deviation_id: deviation.id }));
+    expect(AlertService.notifyUser).toHaveBeenCalledWith(
+      expect.objectContaining({ kind: 'overdue', destinationName: 'Home', expectedAt: checkIn.due_at }),
+      true
+    );
+    expect((await EscalationModel.getEscalation(deviation.id))?.state).toBe('user_notified');
+
+    // Raised once, however often it is checked
+    expect(await processCheckIns()).toBe(0);
+    expect(await deviationsOf(journeyId)).toHaveLength(1);
+  });
+
+  it('gives another grace period once the user says they are fine', async () => {
+    const journeyId = await startJourney(NEAR_HOME);
+    const checkIn = await startCheckIn(journeyId, { latitude: HOME.latitude, longitude: HOME.longitude, expectedDuration: 30 * MINUTE });
+    wait(40 * MINUTE);
+    await processCheckIns();
+    const { deviation_id: deviationId } = (await CheckInModel.getCheckIn(checkIn.id))!;
+
+    await handleDeviationResponse(deviationId!, 'dismissed');
+    await processCheckIns();
+
+    const resumed = (await CheckInModel.getCheckIn(checkIn.id))!;
+    expect(resumed).toEqual(expect.objectContaining({ state: 'active', due_at: Date.now() + 10 * MINUTE }));
+
+    wait(getCheckInDeadline(resumed, { checkInGraceMinutes: 10 }) - Date.now() - 1);
+    expect(await processCheckIns()).toBe(0);
+
+    wait(1);
+    expect(await processCheckIns()).toBe(1);
+    expect(await deviationsOf(journeyId)).toHaveLength(2);
+  });
+
+  it('is escalated when the user stops far from the destination', async () => {
+    const journeyId = await startJourney();
+    const checkIn = await startCheckIn(journeyId, { latitude: HOME.latitude, longitude: HOME.longitude, expectedDuration: 60 * MINUTE });
+
+    // Moving, then staying put
+    wait(5 * MINUTE);
+    await monitorCheckIn(journeyId, fixAt(51.505));
+    wait(10 * MINUTE);
+    await monitorCheckIn(journeyId, fixAt(51.5051));
+    expect((await CheckInModel.getCheckIn(checkIn.id))?.state).toBe('active');
+
+    wait(10 * MINUTE);
+    await monitorCheckIn(journeyId, fixAt(51.5052));
+
+    const { state, deviation_id: deviationId } = (await CheckInModel.getCheckIn(checkIn.id))!;
+    expect(state).toBe('alerting');
+    expect(await JourneysModel.getDeviation(deviationId!)).toEqual(expect.objectContaining({ kind: 'stationary', latitude: 51.5052 }));
+  });
+
+  it('is held back while another escalation runs for the journey', async () => {
+    const journeyId = await startJourney();
+    await startCheckIn(journeyId, { latitude: HOME.latitude, longitude: HOME.longitude, expectedDuration: 30 * MINUTE });
+    const deviationId = await JourneysModel.recordDeviation(journeyId, {
+      kind: 'deviation',
+      latitude: 51.5,
+      longitude: -0.12,
+      timestamp: Date.now(),
+      deviation_distance: 300,
+      alert_sent: false
+    });
+    await handleDeviation({ deviationId, journeyId, distance: 300, latitude: 51.5, longitude: -0.12 });
+
+    wait(40 * MINUTE);
+
+    expect(await processCheckIns()).toBe(0);
+    expect(await deviationsOf(journeyId)).toHaveLength(1);
+  });
+
+  it('ends on arrival, resolving the alert and telling the contacts who were alerted', async () => {
+    const journeyId = await startJourney();
+    const checkIn = await startCheckIn(journeyId, { latitude: HOME.latitude, longitude: HOME.longitude, name: 'Home', expectedDuration: 30 * MINUTE });
+    wait(40 * MINUTE);
+    await processCheckIns();
+    const { deviation_id: deviationId } = (await CheckInModel.getCheckIn(checkIn.id))!;
+    await ContactsModel.recordAlert(1, deviationId, 'sms', 'Check-in missed');
+
+    const arrival = await monitorCheckIn(journeyId, fixAt(HOME.latitude + 0.0005));
+
+    expect(arrival).toEqual(expect.objectContaining({ contactsNotified: 1 }));
+    expect(await CheckInModel.getCheckIn(checkIn.id)).toEqual(expect.objectContaining({
+      state: 'arrived',
+      arrived_at: Date.now(),
+      contacts_notified: 1
+    }));
+    expect((await EscalationModel.getEscalation(deviationId!))?.state).toBe('resolved');
+    expect(AlertService.notifyContactsOfArrival).toHaveBeenCalledWith(
+      expect.objectContaining({ journeyId, destinationName: 'Home' }),
+      [expect.objectContaining({ name: 'Sam' })],
+      deviationId
+    );
+  });
+});
@@ -0,0 +1,231 @@
+import database from '../../app/database/database';
+import {
+  RoutesModel,
+  JourneysModel,
+  ContactsModel,
+  EscalationModel,
+  LiveShareModel,
+  RoutePoint
+} from '../../app/database/models';
+import {
+  downsampleJourneyPoints,
+  runComprehensiveCleanup,
+  getCleanupHistory
+} from '../../app/services/DataRetentionService';
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = Date.now();
+
+const PERIODS = {
+  fullDetailDays: 7,
+  dataRetentionDays: 30,
+  routeHistoryDays: 365,
+  alertHistoryDays: 60
+};
+
+const ROUTE_POINTS: RoutePoint[] = [
+  { latitude: 51.5, longitude: -0.12, sequence_number: 0 },
+  { latitude: 51.51, longitude: -0.1, sequence_number: 1 }
+];
+
+// A completed journey with a point every 5 seconds, the first on a 30 second boundary
+const createJourney = async (
+  endedDaysAgo: number | null,
+  pointCount: number,
+  matchedRouteId: number | null = null
+): Promise<number> => {
+  const startTime = Math.floor((NOW - (endedDaysAgo || 0) * DAY) / 30000) * 30000 - pointCount * 30000;
+  const journeyId = await JourneysModel.createJourney({
+    matched_route_id: matchedRouteId,
+    start_time: startTime,
+    end_time: endedDaysAgo === null ? null : startTime + (pointCount - 1) * 5000
+  });
+  await JourneysModel.addJourneyPoints(journeyId, Array.from({ length: pointCount }, (_, i) => ({
+    latitude: 51.5 + i * 0.0001,
+    longitude: -0.12,
+    timestamp: startTime + i * 5000,
+    sequence_number: i
+  })));
+  return journeyId;
+};
+
+const sequenceNumbers = async (journeyId: number): Promise<number[]> => {
+  const result = await database.executeQuery(
+    'SELECT sequence_number FROM JourneyPoints WHERE journey_id = ? ORDER BY sequence_number',
+    [journeyId]
+  );
+  return result.rows._array.map(row => row.sequence_number);
+};
+
+const exists = async (table: string, id: number): Promise<boolean> => {
+  const result = await database.executeQuery(`SELECT COUNT(*) AS count FROM ${table} WHERE id = ?`, [id]);
+  return result.rows._array[0].count > 0;
+};
+
+const recordDeviation = async (journeyId: number, daysAgo: number): Promise<number> =>
+  JourneysModel.recordDeviation(journeyId, {
+    kind: 'deviation',
+    latitude: 51.5,
+    longitude: -0.12,
+    timestamp: NOW - daysAgo * DAY,
+    deviation_distance: 300,
+    alert_sent: true
+  });
+
+beforeEach(async () => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  await database.executeQuery('DELETE FROM Journeys');
+  await database.executeQuery('DELETE FROM CleanupHistory');
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('thinning out journey points', () => {
+  it('keeps one point per 30 seconds, the last point and where the mode changed', async () => {
+    // 19 points over 90 seconds, walking to the 9th and on a bus after
+    const journeyId = await createJourney(10, 19);
+    await JourneysModel.saveSegments(journeyId, [
+      { mode: 'walking', start_time: 0, end_time: 0, start_sequence: 0, end_sequence: 8, distance: 100, avg_speed: 1.4, max_speed: 1.8, stop_count: 0 },
+      { mode: 'transit', start_time: 0, end_time: 0, start_sequence: 8, end_sequence: 18, distance: 400, avg_speed: 8, max_speed: 11, stop_count: 1 }
+    ], 'transit');
+
+    const removed = await downsampleJourneyPoints(NOW - 7 * DAY);
+
+    expect(await sequenceNumbers(journeyId)).toEqual([0, 6, 8, 12, 18]);
+    expect(removed).toBe(14);
+    expect((await JourneysModel.getJourney(journeyId))?.downsampled_at).toEqual(expect.any(Number));
+
+    // A thinned journey isn't looked at again
+    expect(await downsampleJourneyPoints(NOW)).toBe(0);
+  });
+
+  it('leaves recent and unfinished journeys whole', async () => {
+    const recentId = await createJourney(1, 13);
+    const openId = await createJourney(null, 13);
+
+    expect(await downsampleJourneyPoints(NOW - 7 * DAY)).toBe(0);
+
+    expect(await sequenceNumbers(recentId)).toHaveLength(13);
+    expect(await sequenceNumbers(openId)).toHaveLength(13);
+  });
+});
+
+describe('runComprehensiveCleanup', () => {
+  it('applies each rule at its own age and logs the run', async () => {
+    const routeId = await RoutesModel.createRoute({
+      name: 'Commute',
+      start_location: ROUTE_POINTS[0],
+      end_location: ROUTE_POINTS[1]
+    }, ROUTE_POINTS);
+    const contactId = await ContactsModel.createContact({ name: 'Sam', phone_number: '+447700900123', priority: 1, is_active: true });
+
+    const thinnedId = await createJourney(10, 13);
+    const oldId = await createJourney(100, 13);
+    const oldOnRouteId = await createJourney(100, 13, routeId);
+    const openId = await createJourney(null, 13);
+
+    // Old deviations go, unless an escalation is still open on them
+    const escalatedId = await recordDeviation(oldOnRouteId, 100);
+    await EscalationModel.createEscalation(escalatedId, oldOnRouteId, routeId, 'high');
+    const resolvedId = await recordDeviation(oldOnRouteId, 100);
+    const resolved = await EscalationModel.createEscalation(resolvedId, oldOnRouteId, routeId, 'high');
+    await EscalationModel.transition(resolved, 'resolved', { reason: 'user_safe' });
+    const recentId = await recordDeviation(oldOnRouteId, 10);
+
+    const oldAlertId = await ContactsModel.recordAlert(contactId, null, 'sms', 'Check-in missed');
+    const recentAlertId = await ContactsModel.recordAlert(contactId, null, 'sms', 'Check-in missed');
+    await database.executeQuery('UPDATE AlertEvents SET timestamp = ? WHERE id = ?', [NOW - 100 * DAY, oldAlertId]);
+
+    // A closed share is only deleted once its close reached the viewers
+    const shareFields = { journey_id: oldOnRouteId, deviation_id: null, write_key: 'key', reason: 'escalation' as const, started_at: NOW - 100 * DAY, expires_at: NOW - 99 * DAY };
+    const publishedShare = await LiveShareModel.createShare({ ...shareFields, token: 'published' });
+    const unpublishedShare = await LiveShareModel.createShare({ ...shareFields, token: 'unpublished' });
+    await LiveShareModel.closeShare(publishedShare.id, 'expired', NOW - 99 * DAY);
+    await LiveShareModel.markClosePublished(publishedShare.id);
+    await LiveShareModel.closeShare(unpublishedShare.id, 'expired', NOW - 99 * DAY);
+
+    const result = await runComprehensiveCleanup('scheduled', PERIODS);
+
+    expect(result.success).toBe(true);
+    expect(result.counts).toEqual({
+      journeyPointsThinned: 30,  // 13 points over 60 seconds thin to 3, on each of the 3 ended journeys
+      journeysDeleted: 1,
+      routeJourneysDeleted: 0,
+      deviationEventsDeleted: 1,
+      alertEventsDeleted: 1,
+      liveSharesDeleted: 1
+    });
+
+    expect(await exists('Journeys', oldId)).toBe(false);
+    expect(await exists('Journeys', oldOnRouteId)).toBe(true);
+    expect(await sequenceNumbers(thinnedId)).toEqual([0, 6, 12]);
+    expect(await sequenceNumbers(openId)).toHaveLength(13);
+
+    expect(await exists('DeviationEvents', escalatedId)).toBe(true);
+    expect(await exists('DeviationEvents', resolvedId)).toBe(false);
+    expect(await exists('DeviationEvents', recentId)).toBe(true);
+    expect(await EscalationModel.getEscalation(resolvedId)).toBeNull();
+
+    expect(await exists('AlertEvents', oldAlertId)).toBe(false);
+    expect(await exists('AlertEvents', recentAlertId)).toBe(true);
+    expect(await exists('LiveShares', publishedShare.id)).toBe(false);
+    expect(await exists('LiveShares', unpublishedShare.id)).toBe(true);
+
+    const [entry] = await getCleanupHistory();
+    expect(entry).toEqual(expect.objectContaining({
+      reason: 'scheduled',
+      success: true,
+      counts: result.counts,
+      error: null,
+      finished_at: expect.any(Number)
+    }));
+  });
+
+  it('deletes old journeys on learned routes only after the route history period', async () => {
+    const routeId = await RoutesModel.createRoute({
+      name: 'Commute',
+      start_location: ROUTE_POINTS[0],
+      end_location: ROUTE_POINTS[1]
+    }, ROUTE_POINTS);
+    const journeyId = await createJourney(400, 13, routeId);
+
+    const result = await runComprehensiveCleanup('manual', PERIODS);
+
+    expect(result.counts).toEqual(expect.objectContaining({ journeysDeleted: 0, routeJourneysDeleted: 1 }));
+    expect(await exists('Journeys', journeyId)).toBe(false);
+  });
+
+  it('logs a failed run with the counts so far and the error', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    await createJourney(100, 13);
+    await database.executeQuery(
+      `CREATE TRIGGER fail_alert_cleanup BEFORE DELETE ON AlertEvents
+       BEGIN SELECT RAISE(ABORT, 'database is locked'); END;`
+    );
+    const contactId = await ContactsModel.createContact({ name: 'Sam', phone_number: '+447700900123', priority: 1, is_active: true });
+    const alertId = await ContactsModel.recordAlert(contactId, null, 'sms', 'Check-in missed');
+    await database.executeQuery('UPDATE AlertEvents SET timestamp = ? WHERE id = ?', [NOW - 100 * DAY, alertId]);
+
+    const result = await runComprehensiveCleanup('manual', PERIODS);
+    await database.executeQuery('DROP TRIGGER fail_alert_cleanup');
+
+    expect(result.success).toBe(false);
+    expect(result.error).toContain('database is locked');
+    expect(result.counts).toEqual({
+      journeyPointsThinned: 10,
+      journeysDeleted: 1,
+      routeJourneysDeleted: 0,
+      deviationEventsDeleted: 0
+    });
+
+    const [entry] = await getCleanupHistory();
+    expect(entry).toEqual(expect.objectContaining({
+      reason: 'manual',
+      success: false,
+      counts: result.counts,
+      error: expect.stringContaining('database is locked')
+    }));
+  });
+});
@@ -0,0 +1,353 @@
+import database from '../../app/database/database';
+import {
+  RoutesModel,
+  JourneysModel,
+  ContactsModel,
+  EscalationModel,
+  DeviationKind
+} from '../../app/database/models';
+import * as AlertService from '../../app/services/AlertService';
+import * as LiveShareService from '../../app/services/LiveShareService';
+import { updateSettings, updateRouteOverrides } from '../../app/services/SettingsService';
+import {
+  handleDeviation,
+  handleDeviationResponse,
+  resolveEscalation,
+  processDueEscalations,
+  SNOOZE_DURATION
+} from '../../app/services/EscalationService';
+
+const { AlertSeverity } = AlertService;
+
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+
+// Escalations are scheduled on the clock; tests move it on instead of waiting
+const realNow = Date.now();
+let elapsed = 0;
+const wait = (ms: number) => {
+  elapsed += ms;
+};
+
+const startJourney = (): Promise<number> => JourneysModel.createJourney({ start_time: realNow });
+
+const deviate = async (
+  journeyId: number,
+  kind: DeviationKind = 'deviation',
+  routeId?: number
+): Promise<AlertService.DeviationData> => {
+  const deviationId = await JourneysModel.recordDeviation(journeyId, {
+    kind,
+    latitude: 51.5,
+    longitude: -0.12,
+    timestamp: Date.now(),
+    deviation_distance: 300,
+    alert_sent: false
+  });
+  return { deviationId, journeyId, routeId, kind, distance: 300, latitude: 51.5, longitude: -0.12 };
+};
+
+const transitionsOf = async (deviationId: number): Promise<string[]> =>
+  (await EscalationModel.getTransitions(deviationId)).map(transition => transition.to_state);
+
+// Names of the contacts alerted in each call, in order
+const alertedTiers = (): string[][] =>
+  jest.mocked(AlertService.alertEmergencyContacts).mock.calls.map(([, contacts]) => (contacts || []).map(contact => contact.name));
+
+beforeAll(async () => {
+  // Timers the service arms are never run; each test calls processDueEscalations itself
+  jest.useFakeTimers({ doNotFake: ['Date', 'nextTick', 'setImmediate', 'queueMicrotask'] });
+  await ContactsModel.createContact({ name: 'Sam', phone_number: '+447700900123', priority: 1, is_active: true });
+  await ContactsModel.createContact({ name: 'Alex', phone_number: '+447700900456', priority: 2, is_active: true });
+  await ContactsModel.createContact({ name: 'Jo', phone_number: '+447700900789', priority: 2, is_active: true });
+});
+
+afterAll(() => {
+  jest.useRealTimers();
+});
+
+beforeEach(async () => {
+  elapsed = 0;
+  jest.spyOn(Date, 'now').mockImplementation(() => realNow + elapsed);
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(AlertService, 'notifyUser').mockResolvedValue('notification-id');
+  jest.spyOn(AlertService, 'alertEmergencyContacts').mockImplementation(async (_, contacts) => contacts?.length || 0);
+  jest.spyOn(LiveShareService, 'shareForEscalation').mockResolvedValue(null);
+
+  // Nothing carries over from the last test
+  await database.executeQuery("UPDATE Escalations SET state = 'resolved', next_action_at = NULL");
+});
+
+afterEach(() => {
+  jest.clearAllTimers();
+  jest.restoreAllMocks();
+});
+
+describe('escalating a deviation', () => {
+  it('goes from the user to each contact tier in turn, waiting between them', async () => {
+    const deviation = await deviate(await startJourney());
+
+    const response = await handleDeviation(deviation, AlertSeverity.MEDIUM);
+
+    expect(response).toEqual(expect.objectContaining({ success: true, alertLevel: 'user_with_timeout' }));
+    expect(AlertService.notifyUser).toHaveBeenCalledWith(deviation, true);
+    expect(await EscalationModel.getEscalation(deviation.deviationId)).toEqual(expect.objectContaining({
+      state: 'user_notified',
+      tier: 0,
+      next_action_at: realNow + 60 * SECOND  // the default alertTimeout
+    }));
+
+    // Not a moment before the user's time is up
+    wait(59 * SECOND);
+    expect(await processDueEscalations()).toBe(0);
+    expect(AlertService.alertEmergencyContacts).not.toHaveBeenCalled();
+
+    wait(1 * SECOND);
+    expect(await processDueEscalations()).toBe(1);
+    expect(alertedTiers()).toEqual([['Sam']]);
+    expect(await EscalationModel.getEscalation(deviation.deviationId)).toEqual(expect.objectContaining({
+      state: 'escalated_tier_1',
+      tier: 1,
+      next_action_at: realNow + 60 * SECOND + 300 * SECOND  // the default escalationTierDelay
+    }));
+
+    wait(300 * SECOND);
+    expect(await processDueEscalations()).toBe(1);
+    expect(alertedTiers()).toEqual([['Sam'], ['Alex', 'Jo']]);
+
+    // The last tier has nothing to wait for
+    const escalation = await EscalationModel.getEscalation(deviation.deviationId);
+    expect(escalation).toEqual(expect.objectContaining({ state: 'escalated_tier_2', tier: 2, next_action_at: null }));
+
+    expect(await resolveEscalation(deviation.deviationId, 'User marked safe')).toBe(true);
+    expect(await transitionsOf(deviation.deviationId)).toEqual([
+      'pending',
+      'user_notified',
+      'escalated_tier_1',
+      'escalated_tier_2',
+      'resolved'
+    ]);
+    expect(await EscalationModel.getDueEscalations(Date.now() + 60 * MINUTE)).toEqual([]);
+  });
+
+  it('asks the user again once a snooze ends, then alerts contacts if they still do not answer', async () => {
+    const deviation = await deviate(await startJourney());
+    await handleDeviation(deviation, AlertSeverity.MEDIUM);
+
+    wait(10 * SECOND);
+    await handleDeviationResponse(deviation.deviationId, 'snoozed');
+
+    expect(await EscalationModel.getEscalation(deviation.deviationId)).toEqual(expect.objectContaining({
+      state: 'snoozed',
+      next_action_at: Date.now() + SNOOZE_DURATION
+    }));
+
+    // The original timeout has been replaced by the snooze
+    wait(SNOOZE_DURATION - 1 * SECOND);
+    expect(await processDueEscalations()).toBe(0);
+
+    wait(1 * SECOND);
+    expect(await processDueEscalations()).toBe(1);
+    expect(AlertService.notifyUser).toHaveBeenCalledTimes(2);
+    expect(AlertService.alertEmergencyContacts).not.toHaveBeenCalled();
+    expect((await EscalationModel.getEscalation(deviation.deviationId))?.state).toBe('user_notified');
+
+    wait(60 * SECOND);
+    await processDueEscalations();
+
+    expect(alertedTiers()).toEqual([['Sam']]);
+    expect(await transitionsOf(deviation.deviationId)).toEqual([
+      'pending',
+      'user_notified',
+      'snoozed',
+      'user_notified',
+      'escalated_tier_1'
+    ]);
+  });
+
+  it('carries on to the next tier when a snooze after the first tier ends', async () => {
+    const deviation = await deviate(await startJourney());
+    await handleDeviation(deviation, AlertSeverity.HIGH);
+    expect(alertedTiers()).toEqual([['Sam']]);
+
+    await handleDeviationResponse(deviation.deviationId, 'snoozed');
+    wait(SNOOZE_DURATION);
+    await processDueEscalations();
+
+    expect(alertedTiers()).toEqual([['Sam'], ['Alex', 'Jo']]);
+    expect((await EscalationModel.getEscalation(deviation.deviationId))?.state).toBe('escalated_tier_2');
+  });
+
+  it('waits as long as the route and settings say', async () => {
+    const routeId = await RoutesModel.createRoute({
+      name: 'Commute',
+      start_location: { latitude: 51.5, longitude: -0.12 },
+      end_location: { latitude: 51.51, longitude: -0.1 }
+    }, [
+      { latitude: 51.5, longitude: -0.12, sequence_number: 0 },
+      { latitude: 51.51, longitude: -0.1, sequence_number: 1 }
+    ]);
+    await updateRouteOverrides(routeId, { alertTimeout: 120 });
+    await updateSettings({ escalationTierDelay: 600 });
+
+    const deviation = await deviate(await startJourney(), 'deviation', routeId);
+    await handleDeviation(deviation, AlertSeverity.MEDIUM);
+
+    expect((await EscalationModel.getEscalation(deviation.deviationId))?.next_action_at).toBe(realNow + 120 * SECOND);
+
+    wait(120 * SECOND);
+    await processDueEscalations();
+
+    expect((await EscalationModel.getEscalation(deviation.deviationId))?.next_action_at).toBe(Date.now() + 600 * SECOND);
+
+    await updateSettings({ escalationTierDelay: 300 });
+  });
+
+  it('follows the user\'s answer', async () => {
+    const journeyId = await startJourney();
+
+    const dismissed = await deviate(journeyId);
+    await handleDeviation(dismissed, AlertSeverity.MEDIUM);
+    await handleDeviationResponse(dismissed.deviationId, 'dismissed');
+    expect((await EscalationModel.getEscalation(dismissed.deviationId))?.state).toBe('resolved');
+
+    // Opening the app from the notification is not an answer
+    const opened = await deviate(journeyId);
+    await handleDeviation(opened, AlertSeverity.MEDIUM);
+    await handleDeviationResponse(opened.deviationId, 'opened');
+    expect((await EscalationModel.getEscalation(opened.deviationId))?.state).toBe('user_notified');
+
+    await handleDeviationResponse(opened.deviationId, 'confirm');
+    expect((await EscalationModel.getEscalation(opened.deviationId))?.state).toBe('escalated_tier_1');
+    expect(alertedTiers()).toEqual([['Sam']]);
+
+    // Nothing happens to an escalation that is over
+    await resolveEscalation(opened.deviationId, 'User marked safe');
+    await handleDeviationResponse(opened.deviationId, 'confirm');
+    expect(alertedTiers()).toEqual([['Sam']]);
+    expect(await resolveEscalation(opened.deviationId, 'User marked safe')).toBe(false);
+  });
+
+  it('only notifies the user of a minor deviation', async () => {
+    const deviation = await deviate(await startJourney());
+
+    expect(await handleDeviation(deviation, AlertSeverity.LOW)).toEqual(expect.objectContaining({ alertLevel: 'user' }));
+
+    expect(await transitionsOf(deviation.deviationId)).toEqual(['pending', 'user_notified', 'resolved']);
+    expect(AlertService.notifyUser).toHaveBeenCalledWith(deviation, false);
+    expect(AlertService.alertEmergencyContacts).not.toHaveBeenCalled();
+  });
+});
+
+describe('one escalation per journey', () => {
+  it('holds back further deviations while one is running', async () => {
+    const journeyId = await startJourney();
+    const first = await deviate(journeyId);
+    const second = await deviate(journeyId);
+    await handleDeviation(first, AlertSeverity.MEDIUM);
+
+    const response = await handleDeviation(second, AlertSeverity.HIGH);
+
+    expect(response).toEqual({ success: true, alertLevel: 'user_notified' });
+    expect(await EscalationModel.getEscalation(second.deviationId)).toBeNull();
+    expect(AlertService.alertEmergencyContacts).not.toHaveBeenCalled();
+
+    // Another journey is escalated on its own
+    const elsewhere = await deviate(await startJourney());
+    await handleDeviation(elsewhere, AlertSeverity.MEDIUM);
+    expect((await EscalationModel.getEscalation(elsewhere.deviationId))?.state).toBe('user_notified');
+
+    // And once the first is over the journey can escalate again
+    await handleDeviationResponse(first.deviationId, 'dismissed');
+    await handleDeviation(second, AlertSeverity.MEDIUM);
+    expect((await EscalationModel.getEscalation(second.deviationId))?.state).toBe('user_notified');
+  });
+
+  it('never holds back a duress unlock, and alerts contacts without telling the user', async () => {
+    const journeyId = await startJourney();
+    const deviation = await deviate(journeyId);
+    await handleDeviation(deviation, AlertSeverity.MEDIUM);
+    jest.mocked(AlertService.notifyUser).mockClear();
+
+    const duress = await deviate(journeyId, 'duress');
+    const response = await handleDeviation(duress, AlertSeverity.HIGH);
+
+    expect(response).toEqual(expect.objectContaining({ success: true, alertLevel: 'emergency', notificationId: undefined }));
+    expect(AlertService.notifyUser).not.toHaveBeenCalled();
+    expect(alertedTiers()).toEqual([['Sam']]);
+    expect(await EscalationModel.getActiveEscalations(journeyId)).toHaveLength(2);
+  });
+});
+
+describe('resuming after a restart', () => {
+  // An escalation as left by an app killed right after creating it
+  const interrupted = async (kind: DeviationKind): Promise<AlertService.DeviationData> => {
+    const journeyId = await startJourney();
+    const deviation = await deviate(journeyId, kind);
+    await EscalationModel.createEscalation(deviation.deviationId, journeyId, null, 'high');
+    return deviation;
+  };
+
+  it('tells the user about an escalation that was interrupted before they were', async () => {
+    const deviation = await interrupted('deviation');
+
+    expect(await processDueEscalations()).toBe(1);
+
+    expect(AlertService.notifyUser).toHaveBeenCalledWith(expect.objectContaining({ deviationId: deviation.deviationId }), true);
+    expect((await EscalationModel.getEscalation(deviation.deviationId))?.state).toBe('user_notified');
+  });
+
+  it('alerts contacts straight away for an interrupted duress unlock', async () => {
+    const deviation = await interrupted('duress');
+
+    await processDueEscalations();
+
+    expect(AlertService.notifyUser).not.toHaveBeenCalled();
+    expect(alertedTiers()).toEqual([['Sam']]);
+    expect((await EscalationModel.getEscalation(deviation.deviationId))?.state).toBe('escalated_tier_1');
+  });
+
+  it('catches up on a tier that fell due while the app was not running', async () => {
+    const deviation = await deviate(await startJourney());
+    await handleDeviation(deviation, AlertSeverity.HIGH);
+
+    // Long after the next tier was due
+    wait(60 * MINUTE);
+    await processDueEscalations();
+
+    expect(alertedTiers()).toEqual([['Sam'], ['Alex', 'Jo']]);
+  });
+
+  it('runs each due escalation once when processing is triggered from several places', async () => {
+    await interrupted('deviation');
+
+    const processed = await Promise.all([processDueEscalations(), processDueEscalations()]);
+
+    expect(processed).toEqual([1, 1]);
+    expect(AlertService.notifyUser).toHaveBeenCalledTimes(1);
+  });
+
+  it('resolves an escalation whose deviation has been deleted', async () => {
+    const deviation = await interrupted('deviation');
+    jest.spyOn(JourneysModel, 'getDeviation').mockResolvedValue(null);
+
+    await processDueEscalations();
+
+    expect((await EscalationModel.getEscalation(deviation.deviationId))?.state).toBe('resolved');
+    expect(AlertService.notifyUser).not.toHaveBeenCalled();
+  });
+
+  it('tries again later when there is no contact to alert', async () => {
+    await database.executeQuery('UPDATE EmergencyContacts SET is_active = 0');
+    const deviation = await interrupted('duress');
+
+    await processDueEscalations();
+    await database.executeQuery('UPDATE EmergencyContacts SET is_active = 1');
+
+    expect(await EscalationModel.getEscalation(deviation.deviationId)).toEqual(expect.objectContaining({
+      state: 'pending',
+      next_action_at: Date.now() + 5 * MINUTE
+    }));
+  });
+});
@@ -0,0 +1,214 @@
+import { ChildProcess } from 'child_process';
+import supabase from '../../app/services/SupabaseService';
+import { JourneysModel, LiveShareModel } from '../../app/database/models';
+import {
+  startLiveShare,
+  shareForEscalation,
+  revokeLiveShare,
+  publishLiveLocation,
+  resumeLiveShares,
+  fetchLiveShare
+} from '../../app/services/LiveShareService';
+import { SUPABASE_TEST_URL, startStandin } from '../../jest/standins';
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+let standin: ChildProcess;
+
+// Shares expire on the clock; tests move it on instead of waiting
+const realNow = Date.now();
+let elapsed = 0;
+const wait = (ms: number) => {
+  elapsed += ms;
+};
+
+// A journey in progress, with one fix so a share has something to show
+const startJourney = async (): Promise<number> => {
+  const journeyId = await JourneysModel.createJourney({ start_time: Date.now() });
+  await JourneysModel.addJourneyPoints(journeyId, [
+    { latitude: 51.5, longitude: -0.12, accuracy: 10, timestamp: Date.now(), sequence_number: 0 }
+  ]);
+  return journeyId;
+};
+
+const recordDeviation = (journeyId: number): Promise<number> =>
+  JourneysModel.recordDeviation(journeyId, {
+    kind: 'deviation',
+    latitude: 51.5,
+    longitude: -0.12,
+    timestamp: Date.now(),
+    deviation_distance: 300,
+    alert_sent: true
+  });
+
+// The backend can't be reached for the next call
+const failNextCall = () => {
+  jest.spyOn(supabase, 'rpc').mockResolvedValueOnce({
+    data: null,
+    error: { message: 'Network request failed', details: '', hint: '', code: '' },
+    count: null,
+    status: 0,
+    statusText: ''
+  } as any);
+};
+
+describe('live shares against the Supabase stand-in', () => {
+  beforeAll(async () => {
+    standin = await startStandin('supabase-standin.js', Number(new URL(SUPABASE_TEST_URL).port));
+  });
+
+  afterAll(() => {
+    standin.kill();
+  });
+
+  beforeEach(async () => {
+    elapsed = 0;
+    jest.spyOn(Date, 'now').mockImplementation(() => realNow + elapsed);
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    await fetch(`${SUPABASE_TEST_URL}/_data`, { method: 'DELETE' });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('publishes a new share with the journey\'s last position', async () => {
+    const share = await startLiveShare(await startJourney(), 30);
+
+    expect(share).toEqual(expect.objectContaining({ reason: 'manual', expires_at: realNow + 30 * MINUTE }));
+    expect(share.token).toMatch(/^[A-Za-z0-9_-]{43}$/);
+
+    const view = await fetchLiveShare(share.token);
+    expect(view).toEqual(expect.objectContaining({ status: 'active', expires_at: new Date(share.expires_at).toISOString() }));
+    expect(view.status === 'active' && view.state?.position).toEqual(expect.objectContaining({ latitude: 51.5, longitude: -0.12 }));
+  });
+
+  it('never lasts longer than a day', async () => {
+    const share = await startLiveShare(await startJourney(), 48 * 60);
+
+    expect(share.expires_at).toBe(realNow + 24 * HOUR);
+  });
+
+  it('closes once it expires, here and for the contact', async () => {
+    const journeyId = await startJourney();
+    const share = await startLiveShare(journeyId, 30);
+
+    wait(29 * MINUTE);
+    await publishLiveLocation(journeyId, { latitude: 51.501, longitude: -0.12 });
+    expect((await LiveShareModel.getShare(share.id))?.closed_at).toBeNull();
+
+    wait(1 * MINUTE);
+    await publishLiveLocation(journeyId, { latitude: 51.502, longitude: -0.12 });
+
+    expect(await LiveShareModel.getShare(share.id)).toEqual(expect.objectContaining({
+      closed_reason: 'expired',
+      close_published: true
+    }));
+    expect(await fetchLiveShare(share.token)).toEqual(expect.objectContaining({ status: 'closed', reason: 'expired' }));
+  });
+
+  it('closes shares that expired while the app was not running', async () => {
+    const share = await startLiveShare(await startJourney(), 30);
+
+    wait(2 * HOUR);
+    await resumeLiveShares();
+
+    expect((await LiveShareModel.getShare(share.id))?.closed_reason).toBe('expired');
+    expect(await fetchLiveShare(share.token)).toEqual(expect.objectContaining({ status: 'closed' }));
+  });
+
+  it('tells the backend about a close it missed with the next fix', async () => {
+    const journeyId = await startJourney();
+    const share = await startLiveShare(journeyId, 30);
+
+    failNextCall();
+    await revokeLiveShare(share.id);
+
+    // Closed here straight away, but the link still works
+    expect(await LiveShareModel.getShare(share.id)).toEqual(expect.objectContaining({
+      closed_reason: 'revoked',
+      close_published: false
+    }));
+    expect(await fetchLiveShare(share.token)).toEqual(expect.objectContaining({ status: 'active' }));
+
+    await publishLiveLocation(journeyId, { latitude: 51.501, longitude: -0.12 });
+
+    expect((await LiveShareModel.getShare(share.id))?.close_published).toBe(true);
+    expect(await fetchLiveShare(share.token)).toEqual(expect.objectContaining({ status: 'closed', reason: 'revoked' }));
+  });
+
+  it('retries missed closes after a restart', async () => {
+    const share = await startLiveShare(await startJourney(), 30);
+    failNextCall();
+    await revokeLiveShare(share.id);
+
+    await resumeLiveShares();
+
+    expect(await LiveShareModel.getUnpublishedCloses()).toEqual([]);
+    expect(await fetchLiveShare(share.token)).toEqual(expect.objectContaining({ status: 'closed', reason: 'revoked' }));
+  });
+
+  describe('shareForEscalation', () => {
+    it('opens a share for the escalation when the user has none', async () => {
+      const journeyId = await startJourney();
+      const deviationId = await recordDeviation(journeyId);
+
+      const share = await shareForEscalation(journeyId, deviationId);
+
+      expect(share).toEqual(expect.objectContaining({
+        reason: 'escalation',
+        deviation_id: deviationId,
+        expires_at: realNow + 4 * HOUR
+      }));
+      expect(await fetchLiveShare(share!.token)).toEqual(expect.objectContaining({ status: 'active' }));
+    });
+
+    it('reuses the share the user opened, keeping it open long enough', async () => {
+      const journeyId = await startJourney();
+      const manual = await startLiveShare(journeyId, 30);
+
+      const share = await shareForEscalation(journeyId, await recordDeviation(journeyId));
+
+      expect(share).toEqual(expect.objectContaining({ id: manual.id, token: manual.token, expires_at: realNow + 4 * HOUR }));
+      expect((await LiveShareModel.getShare(manual.id))?.expires_at).toBe(realNow + 4 * HOUR);
+      expect(await LiveShareModel.getOpenShares(journeyId)).toHaveLength(1);
+      expect(await fetchLiveShare(manual.token)).toEqual(expect.objectContaining({
+        status: 'active',
+        expires_at: new Date(realNow + 4 * HOUR).toISOString()
+      }));
+
+      // And again for a later escalation on the same journey
+      expect((await shareForEscalation(journeyId, await recordDeviation(journeyId)))?.id).toBe(manual.id);
+    });
+
+    it('never shortens a longer share', async () => {
+      const journeyId = await startJourney();
+      const manual = await startLiveShare(journeyId, 10 * 60);
+
+      const share = await shareForEscalation(journeyId, await recordDeviation(journeyId));
+
+      expect(share).toEqual(expect.objectContaining({ id: manual.id, expires_at: realNow + 10 * HOUR }));
+    });
+
+    it('opens a new share rather than reuse one that has expired', async () => {
+      const journeyId = await startJourney();
+      const manual = await startLiveShare(journeyId, 30);
+      wait(31 * MINUTE);
+
+      const share = await shareForEscalation(journeyId, await recordDeviation(journeyId));
+
+      expect(share?.id).not.toBe(manual.id);
+      expect(share?.reason).toBe('escalation');
+    });
+
+    it('shares nothing once the journey has ended', async () => {
+      const journeyId = await startJourney();
+      await JourneysModel.completeJourney(journeyId, Date.now(), 0);
+
+      expect(await shareForEscalation(journeyId, await recordDeviation(journeyId))).toBeNull();
+      expect(await LiveShareModel.getOpenShares(journeyId)).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,282 @@
+import * as Notifications from 'expo-notifications';
+import database from '../../app/database/database';
+import {
+  RoutesModel,
+  JourneysModel,
+  ContactsModel,
+  EscalationModel,
+  LiveShareModel,
+  AlertOutboxModel,
+  CheckInModel,
+  SettingsModel,
+  SyncModel,
+  CleanupHistoryModel,
+  UserDataModel,
+  USER_DATA_TABLES,
+  DeviationKind
+} from '../../app/database/models';
+import { exportUserData, wipeAllData } from '../../app/services/PrivacyService';
+import * as SecurityService from '../../app/services/SecurityService';
+import * as LocationService from '../../app/services/LocationService';
+import * as LiveShareService from '../../app/services/LiveShareService';
+import * as SyncService from '../../app/services/SyncService';
+
+jest.mock('expo-notifications', () => ({
+  ...jest.requireActual('expo-notifications'),
+  cancelAllScheduledNotificationsAsync: jest.fn(async () => {}),
+  dismissAllNotificationsAsync: jest.fn(async () => {})
+}));
+
+const recordDeviation = (journeyId: number, kind: DeviationKind): Promise<number> =>
+  JourneysModel.recordDeviation(journeyId, {
+    kind,
+    latitude: 51.5,
+    longitude: -0.1,
+    timestamp: 1500,
+    deviation_distance: 0,
+    alert_sent: true
+  });
+
+// A deviation with everything it sets off: an alert on its way, an escalation and a live link
+const raiseAlert = async (journeyId: number, contactId: number, kind: DeviationKind): Promise<number> => {
+  const deviationId = await recordDeviation(journeyId, kind);
+  const alertId = await ContactsModel.recordAlert(contactId, deviationId, 'sms', `${kind} alert`);
+  await AlertOutboxModel.enqueue({
+    alert_event_id: alertId,
+    contact_id: contactId,
+    transport: 'sms',
+    destination: '+447700900123',
+    subject: 'Alert',
+    message: `${kind} alert`
+  });
+  await EscalationModel.createEscalation(deviationId, journeyId, null, 'high');
+  await LiveShareModel.createShare({
+    journey_id: journeyId,
+    deviation_id: deviationId,
+    token: `${kind}-token`,
+    write_key: `${kind}-key`,
+    reason: 'escalation',
+    started_at: 1500,
+    expires_at: 3500
+  });
+  return deviationId;
+};
+
+const exportTables = async (): Promise<Record<string, any[]>> =>
+  JSON.parse((await exportUserData()).content).tables;
+
+describe('data export', () => {
+  let duressOnly: number;
+  let alsoDeviated: number;
+  let duressId: number;
+  let deviationId: number;
+
+  beforeAll(async () => {
+    const contactId = await ContactsModel.createContact({ name: 'Sam', phone_number: '+447700900123', priority: 1, is_active: true });
+
+    // A journey whose only deviation is the duress alert, and one that also left its route
+    duressOnly = await JourneysModel.createJourney({ start_time: 1000, end_time: 2000 });
+    duressId = await raiseAlert(duressOnly, contactId, 'duress');
+
+    alsoDeviated = await JourneysModel.createJourney({ start_time: 3000, end_time: 4000 });
+    deviationId = await raiseAlert(alsoDeviated, contactId, 'deviation');
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('includes every row, decrypted, without the keys that would act as this phone', async () => {
+    const file = await exportUserData();
+    expect(file).toEqual(expect.objectContaining({ mimeType: 'application/json', fileName: expect.stringMatching(/^safetack-data-.*\.json$/) }));
+
+    const tables = await exportTables();
+    expect(tables.DeviationEvents.map(row => row.id)).toEqual([duressId, deviationId]);
+    expect(tables.DeviationEvents[0]).toEqual(expect.objectContaining({ latitude: 51.5, longitude: -0.1 }));
+    expect(tables.AlertEvents.map(row => row.deviation_id)).toEqual([duressId, deviationId]);
+    expect(tables.AlertOutbox.map(row => row.message)).toEqual(['duress alert', 'deviation alert']);
+    expect(tables.Escalations).toHaveLength(2);
+    expect(tables.EscalationTransitions).toHaveLength(2);
+    expect(tables.LiveShares.map(row => row.token)).toEqual(['duress-token', 'deviation-token']);
+    expect(tables.LiveShares[0]).not.toHaveProperty('write_key');
+  });
+
+  it('leaves the duress alert out during a duress session', async () => {
+    jest.spyOn(SecurityService, 'isDuressSession').mockReturnValue(true);
+
+    const tables = await exportTables();
+
+    expect(tables.DeviationEvents).toEqual([expect.objectContaining({ id: deviationId, kind: 'deviation' })]);
+    expect(tables.AlertEvents).toEqual([expect.objectContaining({ deviation_id: deviationId })]);
+    expect(tables.AlertOutbox).toEqual([expect.objectContaining({ message: 'deviation alert' })]);
+    expect(tables.Escalations).toEqual([expect.objectContaining({ deviation_id: deviationId })]);
+    expect(tables.EscalationTransitions).toEqual([expect.objectContaining({ deviation_id: deviationId })]);
+    expect(tables.LiveShares).toEqual([expect.objectContaining({ deviation_id: deviationId, token: 'deviation-token' })]);
+
+    // The duress-only journey went to plan as far as the file tells
+    const journeys = Object.fromEntries(tables.Journeys.map(row => [row.id, row]));
+    expect(journeys[duressOnly].has_deviation).toBe(0);
+    expect(journeys[alsoDeviated].has_deviation).toBe(1);
+    expect(journeys[duressOnly]).not.toHaveProperty('shown_deviation');
+
+    expect(JSON.stringify(tables)).not.toContain('duress');
+    // Nothing is removed from the phone itself
+    const stored = await database.executeQuery('SELECT COUNT(*) AS count FROM DeviationEvents');
+    expect(stored.rows._array[0].count).toBe(2);
+  });
+});
+
+describe('deleting all data during a duress session', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('fails with a neutral error and deletes nothing', async () => {
+    const journeyId = await JourneysModel.createJourney({ start_time: 1000 });
+    await recordDeviation(journeyId, 'duress');
+
+    jest.spyOn(SecurityService, 'isDuressSession').mockReturnValue(true);
+    // The duress alert keeps tracking running behind a screen that shows it stopped
+    jest.spyOn(LocationService, 'getTrackingStatus').mockReturnValue({ isTracking: true, currentJourneyId: journeyId, source: 'device' });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const wipe = wipeAllData();
+    await expect(wipe).rejects.toThrow('Your data could not be deleted right now. Please try again later');
+    await expect(wipe).rejects.not.toThrow(/monitoring|tracking/i);
+
+    expect(Notifications.cancelAllScheduledNotificationsAsync).not.toHaveBeenCalled();
+    expect(await JourneysModel.getJourney(journeyId)).toEqual(expect.objectContaining({ id: journeyId, end_time: null }));
+    expect(await JourneysModel.getDeviations(journeyId)).toHaveLength(1);
+  });
+});
+
+describe('deleting all data', () => {
+  // A row in every table that holds the user's data
+  const seedEveryTable = async (): Promise<void> => {
+    const points = [
+      { latitude: 51.5, longitude: -0.12 },
+      { latitude: 51.51, longitude: -0.1 }
+    ];
+    const routeId = await RoutesModel.createRoute({
+      name: 'Commute',
+      confidence_score: 0.8,
+      start_location: points[0],
+      end_location: points[1]
+    }, points);
+    await SettingsModel.saveRouteOverrides(routeId, { quietSafeguards: true });
+    await SettingsModel.saveSettings({ fullDetailDays: 7 });
+
+    // A synced route deleted here leaves a tombstone for the cloud copy
+    const syncedId = await RoutesModel.createRoute({ name: 'Old', start_location: points[0], end_location: points[1] }, points);
+    const [{ uuid, updated_at: updatedAt }] = (await database.executeQuery(
+      'SELECT uuid, updated_at FROM Routes WHERE id = ?',
+      [syncedId]
+    )).rows._array;
+    await SyncModel.markSynced('Routes', uuid, updatedAt);
+    await RoutesModel.deleteRoute(syncedId);
+    await SyncModel.saveSyncState({
+      table_name: 'Routes',
+      user_id: 'user-1',
+      cursor_at: null,
+      cursor_uuid: null,
+      last_synced_at: Date.now()
+    });
+    await SyncModel.enqueue('Routes', { uuid });
+
+    const contactId = await ContactsModel.createContact({ name: 'Sam', phone_number: '+447700900123', priority: 1, is_active: true });
+    await ContactsModel.saveContactChannels(contactId, [{ transport: 'sms', is_active: true }]);
+
+    const journeyId = await JourneysModel.createJourney({ matched_route_id: routeId, start_time: 1000, end_time: 61000 });
+    await JourneysModel.addJourneyPoints(journeyId, [
+      { latitude: 51.5, longitude: -0.12, timestamp: 1000, sequence_number: 0 },
+      { latitude: 51.51, longitude: -0.1, timestamp: 61000, sequence_number: 1 }
+    ]);
+    await JourneysModel.saveSegments(journeyId, [{
+      mode: 'walking',
+      start_time: 1000,
+      end_time: 61000,
+      start_sequence: 0,
+      end_sequence: 1,
+      distance: 1700,
+      avg_speed: 1.4,
+      max_speed: 1.8,
+      stop_count: 0
+    }], 'walking');
+    await CheckInModel.createCheckIn({
+      journey_id: journeyId,
+      route_id: routeId,
+      destination_latitude: 51.51,
+      destination_longitude: -0.1,
+      arrival_radius: 100,
+      expected_duration: 60000,
+      started_at: 1000,
+      due_at: 61000
+    });
+    await raiseAlert(journeyId, contactId, 'deviation');
+
+    const historyId = await CleanupHistoryModel.start('manual', Date.now());
+    await CleanupHistoryModel.finish(historyId, true, {});
+  };
+
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(SyncService, 'getSyncUser').mockReturnValue('user-1');
+    jest.spyOn(SyncService, 'deleteCloudData').mockResolvedValue(4);
+    jest.spyOn(LiveShareService, 'revokeLiveShare').mockImplementation(async shareId => {
+      await LiveShareModel.closeShare(shareId, 'revoked');
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('empties every table, the cloud and the scheduled notifications, and checks nothing is left', async () => {
+    await seedEveryTable();
+    const before = await UserDataModel.countRows();
+    expect(USER_DATA_TABLES.filter(table => before[table] === 0)).toEqual([]);
+
+    const result = await wipeAllData();
+
+    expect(result).toEqual(expect.objectContaining({ cloudRows: 4 }));
+    expect(result.localRows).toBeGreaterThanOrEqual(USER_DATA_TABLES.length);
+    expect(Object.values(await UserDataModel.countRows()).every(count => count === 0)).toBe(true);
+
+    expect(SyncService.deleteCloudData).toHaveBeenCalledTimes(1);
+    expect(Notifications.cancelAllScheduledNotificationsAsync).toHaveBeenCalled();
+    expect(Notifications.dismissAllNotificationsAsync).toHaveBeenCalled();
+    // The links contacts had were told sharing ended before the rows went
+    expect(LiveShareService.revokeLiveShare).toHaveBeenCalled();
+    expect(result.liveSharesClosed).toBeGreaterThan(0);
+  });
+
+  it('leaves the cloud alone when asked, or when signed out', async () => {
+    await seedEveryTable();
+    expect(await wipeAllData({ includeCloud: false })).toEqual(expect.objectContaining({ cloudRows: null }));
+
+    jest.mocked(SyncService.getSyncUser).mockReturnValue(null);
+    await seedEveryTable();
+    expect(await wipeAllData()).toEqual(expect.objectContaining({ cloudRows: null }));
+
+    expect(SyncService.deleteCloudData).not.toHaveBeenCalled();
+    expect(Object.values(await UserDataModel.countRows()).every(count => count === 0)).toBe(true);
+  });
+
+  it('deletes nothing on the phone if the cloud rows could not be deleted', async () => {
+    await seedEveryTable();
+    jest.mocked(SyncService.deleteCloudData).mockRejectedValue(new Error('Network request failed'));
+
+    await expect(wipeAllData()).rejects.toThrow('Network request failed');
+
+    const counts = await UserDataModel.countRows();
+    expect(counts.Routes).toBeGreaterThan(0);
+    expect(counts.Journeys).toBeGreaterThan(0);
+  });
+
+  it('refuses while monitoring is on', async () => {
+    jest.spyOn(LocationService, 'getTrackingStatus').mockReturnValue({ isTracking: true, currentJourneyId: 1, source: 'device' });
+
+    await expect(wipeAllData()).rejects.toThrow('Stop monitoring before deleting your data');
+    expect(SyncService.deleteCloudData).not.toHaveBeenCalled();
+  });
+});
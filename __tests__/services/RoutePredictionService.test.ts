@@ -0,0 +1,197 @@
+import database from '../../app/database/database';
+import { RoutesModel, JourneysModel } from '../../app/database/models';
+import {
+  startRoutePrediction,
+  updateRoutePrediction,
+  getPredictedRoute,
+  RouteCandidate
+} from '../../app/services/RoutePredictionService';
+import { unprojectFromPlane } from '../../app/utils/geometry';
+
+const ORIGIN = { latitude: 51.5, longitude: -0.12 };
+const EIGHT_AM = new Date(2026, 2, 2, 8, 0).getTime();
+
+type Leg = [number, number]; // meters east, meters north
+
+// Points every 25m along straight legs from the origin
+const buildPath = (...legs: Leg[]) => {
+  const points = [unprojectFromPlane({ x: 0, y: 0 }, ORIGIN)];
+  let x = 0;
+  let y = 0;
+
+  for (const [east, north] of legs) {
+    const steps = Math.round(Math.hypot(east, north) / 25);
+    for (let i = 1; i <= steps; i++) {
+      points.push(unprojectFromPlane({ x: x + east * i / steps, y: y + north * i / steps }, ORIGIN));
+    }
+    x += east;
+    y += north;
+  }
+
+  return points;
+};
+
+const createRoute = (name: string, path: ReturnType<typeof buildPath>, confidence = 0.5): Promise<number> =>
+  RoutesModel.createRoute({
+    name,
+    confidence_score: confidence,
+    start_location: path[0],
+    end_location: path[path.length - 1]
+  }, path);
+
+// A new journey starting at 8am, fed its first point
+const startJourney = async (path: ReturnType<typeof buildPath>): Promise<number> => {
+  const journeyId = await JourneysModel.createJourney({ start_time: EIGHT_AM });
+  await startRoutePrediction(journeyId, { ...path[0], timestamp: EIGHT_AM });
+  return journeyId;
+};
+
+// Feed the rest of a path, one point every 20 seconds
+const follow = async (journeyId: number, path: ReturnType<typeof buildPath>): Promise<RouteCandidate[]> => {
+  let ranking: RouteCandidate[] = [];
+  for (let i = 1; i < path.length; i++) {
+    ranking = await updateRoutePrediction(journeyId, { ...path[i], timestamp: EIGHT_AM + i * 20000 });
+  }
+  return ranking;
+};
+
+const candidate = (ranking: RouteCandidate[], routeId: number) =>
+  ranking.find(ranked => ranked.routeId === routeId)!;
+
+beforeEach(async () => {
+  await database.executeQuery('DELETE FROM RoutePoints');
+  await database.executeQuery('DELETE FROM Routes');
+  await database.executeQuery('DELETE FROM Journeys');
+});
+
+describe('scoring candidate routes', () => {
+  it('ranks the route the journey is heading along first', async () => {
+    const northId = await createRoute('North', buildPath([0, 2000]));
+    const eastId = await createRoute('East', buildPath([2000, 0]));
+    const journey = buildPath([0, 300]);
+
+    const ranking = await follow(await startJourney(journey), journey);
+
+    expect(ranking.map(ranked => ranked.routeId)).toEqual([northId, eastId]);
+    expect(candidate(ranking, northId)).toEqual(expect.objectContaining({ startScore: 1, pathScore: 1 }));
+    expect(candidate(ranking, northId).headingScore).toBeCloseTo(1, 2);
+    expect(candidate(ranking, eastId).headingScore).toBeCloseTo(0, 2);
+    expect(candidate(ranking, eastId).pathScore).toBeLessThan(0.5);
+  });
+
+  it('only considers routes starting within 300m', async () => {
+    await createRoute('Nearby', buildPath([0, 2000]));
+    const farPath = buildPath([0, 2000]).map(point => ({ ...point, longitude: point.longitude + 0.006 })); // ~400m east
+    const farId = await createRoute('Far', farPath);
+    const journey = buildPath([0, 300]);
+
+    const ranking = await follow(await startJourney(journey), journey);
+
+    expect(ranking).toHaveLength(1);
+    expect(ranking.map(ranked => ranked.routeId)).not.toContain(farId);
+  });
+
+  it('favours routes usually travelled at this time of day', async () => {
+    const morningId = await createRoute('Morning', buildPath([0, 2000]));
+    const eveningId = await createRoute('Evening', buildPath([0, 2000]));
+    await JourneysModel.createJourney({ matched_route_id: morningId, start_time: EIGHT_AM - 7 * 24 * 3600 * 1000 });
+    await JourneysModel.createJourney({ matched_route_id: eveningId, start_time: EIGHT_AM + 10 * 3600 * 1000 });
+    const journey = buildPath([0, 300]);
+
+    const ranking = await follow(await startJourney(journey), journey);
+
+    expect(candidate(ranking, morningId).timeScore).toBe(1);
+    expect(candidate(ranking, eveningId).timeScore).toBe(0);
+    expect(ranking[0].routeId).toBe(morningId);
+  });
+
+  it('gives established routes a small lead', async () => {
+    const establishedId = await createRoute('Established', buildPath([0, 2000]), 1);
+    const newId = await createRoute('New', buildPath([0, 2000]), 0);
+    const journey = buildPath([0, 300]);
+
+    const ranking = await follow(await startJourney(journey), journey);
+
+    expect(candidate(ranking, newId).score).toBeCloseTo(candidate(ranking, establishedId).score * 0.8, 5);
+  });
+});
+
+describe('selecting the predicted route', () => {
+  it('waits until the journey has gone 150m', async () => {
+    const northId = await createRoute('North', buildPath([0, 2000]));
+    const journeyId = await startJourney(buildPath([0, 300]));
+
+    await follow(journeyId, buildPath([0, 125]));
+    expect(getPredictedRoute(journeyId)).toBeNull();
+
+    await updateRoutePrediction(journeyId, unprojectFromPlane({ x: 0, y: 160 }, ORIGIN));
+    expect(getPredictedRoute(journeyId)).toEqual(expect.objectContaining({ routeId: northId }));
+    expect(getPredictedRoute(journeyId)?.points).toHaveLength(81);
+  });
+
+  it('makes no prediction while two routes fit the journey as well as each other', async () => {
+    await createRoute('To work', buildPath([0, 400], [2000, 0]));
+    await createRoute('To the gym', buildPath([0, 2000]));
+    const journey = buildPath([0, 300]);
+    const journeyId = await startJourney(journey);
+
+    await follow(journeyId, journey);
+
+    expect(getPredictedRoute(journeyId)).toBeNull();
+  });
+
+  it('keeps the predicted route when the journey strays from it', async () => {
+    const northId = await createRoute('North', buildPath([0, 2000]));
+    const journey = buildPath([0, 300], [1000, 0]);
+    const journeyId = await startJourney(journey);
+
+    const ranking = await follow(journeyId, journey);
+
+    // Too poor a fit to be predicted afresh, which is what a deviation looks like
+    expect(ranking[0].score).toBeLessThan(0.6);
+    expect(getPredictedRoute(journeyId)?.routeId).toBe(northId);
+  });
+
+  it('switches only once another route clearly overtakes the predicted one', async () => {
+    const northId = await createRoute('North', buildPath([0, 2000]), 1);
+    const turnId = await createRoute('North then east', buildPath([0, 400], [2000, 0]), 0);
+    const journey = buildPath([0, 400], [1000, 0]);
+    const journeyId = await startJourney(journey);
+
+    await follow(journeyId, journey.slice(0, 13));
+    expect(getPredictedRoute(journeyId)?.routeId).toBe(northId);
+
+    // Each point along the turn, the prediction and how far the turn leads
+    const steps: { predicted: number | undefined; lead: number }[] = [];
+    for (let i = 13; i < journey.length; i++) {
+      const ranking = await updateRoutePrediction(journeyId, journey[i]);
+      steps.push({
+        predicted: getPredictedRoute(journeyId)?.routeId,
+        lead: candidate(ranking, turnId).score - candidate(ranking, northId).score
+      });
+    }
+
+    const switchedAt = steps.findIndex(step => step.predicted === turnId);
+    expect(switchedAt).toBeGreaterThan(0);
+    expect(steps[switchedAt].lead).toBeGreaterThanOrEqual(0.1);
+    // Ahead, but not by enough, the prediction held
+    expect(steps.slice(0, switchedAt).some(step => step.lead > 0)).toBe(true);
+    expect(steps.slice(0, switchedAt).every(step => step.predicted === northId)).toBe(true);
+    expect(steps.slice(switchedAt).every(step => step.predicted === turnId)).toBe(true);
+  });
+
+  it('rebuilds the prediction from stored points after a restart', async () => {
+    const northId = await createRoute('North', buildPath([0, 2000]));
+    const journey = buildPath([0, 300]);
+    const journeyId = await JourneysModel.createJourney({ start_time: EIGHT_AM });
+    await JourneysModel.addJourneyPoints(journeyId, journey.slice(0, -1).map((point, i) => ({
+      ...point,
+      timestamp: EIGHT_AM + i * 20000,
+      sequence_number: i
+    })));
+
+    await updateRoutePrediction(journeyId, journey[journey.length - 1]);
+
+    expect(getPredictedRoute(journeyId)?.routeId).toBe(northId);
+  });
+});
@@ -0,0 +1,104 @@
+import { RoutesModel, JourneysModel, RoutePoint } from '../../app/database/models';
+import * as RoutePredictionService from '../../app/services/RoutePredictionService';
+import { checkForDeviation } from '../../app/services/RouteService';
+import { unprojectFromPlane } from '../../app/utils/geometry';
+
+const ORIGIN = { latitude: 51.5, longitude: -0.12 };
+
+// 5km due east of the origin
+const ROUTE_POINTS: RoutePoint[] = Array.from({ length: 51 }, (_, i) => ({
+  ...unprojectFromPlane({ x: i * 100, y: 0 }, ORIGIN),
+  sequence_number: i
+}));
+
+// A fix 2km along the route, offset to the north; the default threshold is 100m
+const fixAt = (offset: number) => ({ ...unprojectFromPlane({ x: 2000, y: offset }, ORIGIN), accuracy: 10 });
+const ON_ROUTE = fixAt(10);
+const OFF_ROUTE = fixAt(300);
+
+let routeId: number;
+
+const startJourney = (matchedRouteId: number | null = routeId): Promise<number> =>
+  JourneysModel.createJourney({ matched_route_id: matchedRouteId, start_time: 0 });
+
+const deviationsOf = async (journeyId: number) =>
+  (await JourneysModel.getDeviations(journeyId)).length;
+
+beforeAll(async () => {
+  routeId = await RoutesModel.createRoute({
+    name: 'Commute',
+    start_location: ROUTE_POINTS[0],
+    end_location: ROUTE_POINTS[ROUTE_POINTS.length - 1]
+  }, ROUTE_POINTS);
+});
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('checkForDeviation', () => {
+  it('waits for consecutive off-route fixes, reporting each excursion once', async () => {
+    const journeyId = await startJourney();
+
+    expect(await checkForDeviation(journeyId, OFF_ROUTE)).toBeNull();
+    expect(await checkForDeviation(journeyId, OFF_ROUTE)).toBeNull();
+    expect(await checkForDeviation(journeyId, ON_ROUTE)).toBeNull();
+    expect(await checkForDeviation(journeyId, OFF_ROUTE)).toBeNull();
+    expect(await checkForDeviation(journeyId, OFF_ROUTE)).toBeNull();
+    expect(await checkForDeviation(journeyId, OFF_ROUTE)).toEqual(expect.objectContaining({ routeId, journeyId }));
+    expect(await checkForDeviation(journeyId, OFF_ROUTE)).toBeNull();
+    expect(await deviationsOf(journeyId)).toBe(1);
+  });
+
+  describe('checked manually', () => {
+    it('reports a deviation on a single fix', async () => {
+      const journeyId = await startJourney();
+
+      const deviation = await checkForDeviation(journeyId, OFF_ROUTE, { manual: true });
+
+      expect(deviation).toEqual(expect.objectContaining({ routeId, journeyId }));
+      expect(deviation?.distance).toBeCloseTo(300, -1);
+      expect(await deviationsOf(journeyId)).toBe(1);
+    });
+
+    it('leaves the location updates\' off-route count alone', async () => {
+      const journeyId = await startJourney();
+
+      // An on-route manual check between off-route fixes doesn't reset the count
+      expect(await checkForDeviation(journeyId, OFF_ROUTE)).toBeNull();
+      expect(await checkForDeviation(journeyId, ON_ROUTE, { manual: true })).toBeNull();
+      expect(await checkForDeviation(journeyId, OFF_ROUTE)).toBeNull();
+      expect(await checkForDeviation(journeyId, OFF_ROUTE)).toEqual(expect.objectContaining({ journeyId }));
+    });
+
+    it('isn\'t reported again by the location updates that follow', async () => {
+      const journeyId = await startJourney();
+      await checkForDeviation(journeyId, OFF_ROUTE, { manual: true });
+
+      for (let i = 0; i < 5; i++) {
+        expect(await checkForDeviation(journeyId, OFF_ROUTE)).toBeNull();
+      }
+      expect(await checkForDeviation(journeyId, OFF_ROUTE, { manual: true })).toBeNull();
+      expect(await deviationsOf(journeyId)).toBe(1);
+
+      // Back on route, a later excursion is reported again
+      await checkForDeviation(journeyId, ON_ROUTE);
+      expect(await checkForDeviation(journeyId, OFF_ROUTE, { manual: true })).toEqual(expect.objectContaining({ journeyId }));
+    });
+
+    it('leaves the route prediction to the location updates', async () => {
+      const updatePrediction = jest.spyOn(RoutePredictionService, 'updateRoutePrediction');
+      const journeyId = await startJourney(null);
+
+      await checkForDeviation(journeyId, OFF_ROUTE, { manual: true });
+      expect(updatePrediction).not.toHaveBeenCalled();
+
+      await checkForDeviation(journeyId, OFF_ROUTE);
+      expect(updatePrediction).toHaveBeenCalledWith(journeyId, OFF_ROUTE);
+    });
+  });
+});
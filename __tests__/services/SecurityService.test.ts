@@ -0,0 +1,59 @@
+import * as SecureStore from 'expo-secure-store';
+import { createHash } from 'crypto';
+import { pbkdf2Async } from '@noble/hashes/pbkdf2';
+import { sha256 } from '@noble/hashes/sha2';
+import { bytesToHex, hexToBytes } from '@noble/hashes/utils';
+import { setPin, setDuressPin, verifyPin } from '../../app/services/SecurityService';
+
+const PIN_KEY = 'safetack.pin';
+const DURESS_PIN_KEY = 'safetack.duress-pin';
+const SALT = '00112233445566778899aabbccddeeff';
+
+// Every PIN checked or set runs the full key stretch
+jest.setTimeout(30000);
+
+const readStored = async (key: string) => JSON.parse((await SecureStore.getItemAsync(key))!);
+
+beforeEach(async () => {
+  await Promise.all([PIN_KEY, DURESS_PIN_KEY, 'safetack.lockout'].map(key => SecureStore.deleteItemAsync(key)));
+});
+
+describe('PIN hashing', () => {
+  it('stores a stretched hash with a fresh salt', async () => {
+    await setPin('2580');
+    const stored = await readStored(PIN_KEY);
+
+    expect(stored).toEqual(expect.objectContaining({ kdf: 'pbkdf2-sha256', iterations: 100000 }));
+    expect(stored.salt).toMatch(/^[0-9a-f]{32}$/);
+    expect(stored.hash).toBe(bytesToHex(await pbkdf2Async(sha256, '2580', hexToBytes(stored.salt), { c: 100000, dkLen: 32 })));
+    expect(await verifyPin('2580')).toBe(true);
+    expect(await verifyPin('2581')).toBe(false);
+
+    await setDuressPin('1397');
+    expect((await readStored(DURESS_PIN_KEY)).salt).not.toBe(stored.salt);
+  });
+
+  it('accepts a PIN stored as a single SHA-256, and upgrades it once entered', async () => {
+    const legacy = JSON.stringify({ salt: SALT, hash: createHash('sha256').update(`${SALT}:2580`).digest('hex') });
+    await SecureStore.setItemAsync(PIN_KEY, legacy);
+
+    // A wrong PIN leaves it as it was
+    expect(await verifyPin('1111')).toBe(false);
+    expect(await SecureStore.getItemAsync(PIN_KEY)).toBe(legacy);
+
+    expect(await verifyPin('2580')).toBe(true);
+    expect(await readStored(PIN_KEY)).toEqual(expect.objectContaining({ kdf: 'pbkdf2-sha256', iterations: 100000 }));
+    expect(await verifyPin('2580')).toBe(true);
+  });
+
+  it('raises the iterations of a weaker stretched hash once entered', async () => {
+    const hash = bytesToHex(await pbkdf2Async(sha256, '2580', hexToBytes(SALT), { c: 1000, dkLen: 32 }));
+    await SecureStore.setItemAsync(PIN_KEY, JSON.stringify({ kdf: 'pbkdf2-sha256', iterations: 1000, salt: SALT, hash }));
+
+    expect(await verifyPin('2580')).toBe(true);
+
+    const upgraded = await readStored(PIN_KEY);
+    expect(upgraded.iterations).toBe(100000);
+    expect(upgraded.salt).not.toBe(SALT);
+  });
+});
@@ -0,0 +1,161 @@
+import { RoutesModel, JourneysModel, RoutePoint } from '../../app/database/models';
+import {
+  updateLiveMode,
+  getLiveMode,
+  clearLiveMode,
+  saveJourneySegments,
+  getMatchTolerance,
+  getModeProfile
+} from '../../app/services/SegmentationService';
+import { checkForDeviation } from '../../app/services/RouteService';
+import { unprojectFromPlane } from '../../app/utils/geometry';
+import { TransportationMode } from '../../app/utils/segmentation';
+
+const ORIGIN = { latitude: 51.5, longitude: -0.12 };
+
+// Fixes every 5 seconds heading east at each leg's speed, from the start of the route
+const buildTrack = (legs: { speed: number; seconds: number }[]) => {
+  const points = [{ ...unprojectFromPlane({ x: 0, y: 0 }, ORIGIN), timestamp: 0, sequence_number: 0 }];
+  let x = 0;
+
+  for (const leg of legs) {
+    for (let t = 0; t < leg.seconds; t += 5) {
+      x += leg.speed * 5;
+      points.push({
+        ...unprojectFromPlane({ x, y: 0 }, ORIGIN),
+        timestamp: points.length * 5000,
+        sequence_number: points.length
+      });
+    }
+  }
+
+  return points;
+};
+
+const WALK = { speed: 1.4, seconds: 300 };
+const DRIVE = { speed: 12, seconds: 300 };
+const TRAIN = { speed: 40, seconds: 300 };
+
+// 5km due east of the origin
+const ROUTE_POINTS: RoutePoint[] = Array.from({ length: 51 }, (_, i) => ({
+  ...unprojectFromPlane({ x: i * 100, y: 0 }, ORIGIN),
+  sequence_number: i
+}));
+
+const startJourney = async (routeId: number | null = null): Promise<number> =>
+  JourneysModel.createJourney({ matched_route_id: routeId, start_time: 0 });
+
+// Follow the journey in a mode, as LocationService does with each fix
+const travel = async (journeyId: number, legs: { speed: number; seconds: number }[]): Promise<TransportationMode> => {
+  let mode: TransportationMode = 'unknown';
+  for (const point of buildTrack(legs)) {
+    mode = await updateLiveMode(journeyId, point);
+  }
+  return mode;
+};
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('live mode', () => {
+  it('follows the mode being travelled now', async () => {
+    const journeyId = await startJourney();
+
+    expect(await travel(journeyId, [WALK])).toBe('walking');
+    expect(getLiveMode(journeyId)).toBe('walking');
+
+    // Only the last ten minutes count, so an earlier walk doesn't hold it back
+    expect(await travel(journeyId, [WALK, DRIVE])).toBe('driving');
+
+    clearLiveMode(journeyId);
+    expect(getLiveMode(journeyId)).toBe('unknown');
+    expect(getLiveMode(null)).toBe('unknown');
+  });
+
+  it('picks up the fixes already stored for a journey resumed in the background', async () => {
+    const journeyId = await startJourney();
+    const track = buildTrack([TRAIN]);
+    await JourneysModel.addJourneyPoints(journeyId, track.slice(0, -1));
+
+    expect(await updateLiveMode(journeyId, track[track.length - 1])).toBe('transit');
+  });
+});
+
+describe('saveJourneySegments', () => {
+  it('stores each segment against point sequence numbers, with the dominant mode on the journey', async () => {
+    const journeyId = await startJourney();
+    const track = buildTrack([WALK, { speed: 0, seconds: 180 }, DRIVE]);
+    await JourneysModel.addJourneyPoints(journeyId, track);
+
+    const segments = await saveJourneySegments(journeyId);
+
+    expect(segments.map(segment => segment.mode)).toEqual(['walking', 'stationary', 'driving']);
+    expect(segments[0].start_sequence).toBe(0);
+    expect(segments[2].end_sequence).toBe(track[track.length - 1].sequence_number);
+    expect(await JourneysModel.getSegments(journeyId)).toEqual(segments.map(segment => expect.objectContaining(segment)));
+    expect((await JourneysModel.getJourney(journeyId))?.transportation_mode).toBe('driving');
+  });
+});
+
+describe('getMatchTolerance', () => {
+  it('weights each mode\'s tolerance by the distance travelled in it', () => {
+    const segment = (mode: TransportationMode, distance: number) => ({
+      mode, distance, start_time: 0, end_time: 0, start_sequence: 0, end_sequence: 0, avg_speed: 0, max_speed: 0, stop_count: 0
+    });
+
+    expect(getMatchTolerance([segment('walking', 1000), segment('stationary', 0), segment('transit', 3000)]))
+      .toBe((120 * 1000 + 400 * 3000) / 4000);
+    expect(getMatchTolerance([])).toBe(getModeProfile('unknown').matchTolerance);
+  });
+});
+
+describe('deviation threshold by mode', () => {
+  // Off to the north of the route, with the default 100m threshold
+  const checkThrice = async (journeyId: number, offset: number) => {
+    const position = { ...unprojectFromPlane({ x: 2000, y: offset }, ORIGIN), accuracy: 10 };
+    const results = [];
+    for (let i = 0; i < 3; i++) {
+      results.push(await checkForDeviation(journeyId, position));
+    }
+    return results;
+  };
+
+  let routeId: number;
+
+  beforeAll(async () => {
+    routeId = await RoutesModel.createRoute({
+      name: 'Commute',
+      start_location: ROUTE_POINTS[0],
+      end_location: ROUTE_POINTS[ROUTE_POINTS.length - 1]
+    }, ROUTE_POINTS);
+  });
+
+  it('is tighter on foot', async () => {
+    const walking = await startJourney(routeId);
+    const unknown = await startJourney(routeId);
+    await travel(walking, [WALK]);
+
+    const [first, second, third] = await checkThrice(walking, 80);
+
+    expect(first).toBeNull();
+    expect(second).toBeNull();
+    expect(third).toEqual(expect.objectContaining({ routeId, journeyId: walking }));
+    expect(third?.distance).toBeCloseTo(80, -1);
+    expect(await checkThrice(unknown, 80)).toEqual([null, null, null]);
+  });
+
+  it('is wider on a bus or train, which run in wide corridors', async () => {
+    const train = await startJourney(routeId);
+    const unknown = await startJourney(routeId);
+    await travel(train, [TRAIN]);
+
+    expect(getModeProfile(getLiveMode(train)).deviationScale).toBe(2.5);
+    expect(await checkThrice(train, 200)).toEqual([null, null, null]);
+    expect((await checkThrice(unknown, 200))[2]).toEqual(expect.objectContaining({ journeyId: unknown }));
+  });
+});
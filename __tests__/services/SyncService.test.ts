@@ -0,0 +1,361 @@
+import { ChildProcess } from 'child_process';
+import { randomUUID } from 'crypto';
+import { createClient, SupabaseClient } from '@supabase/supabase-js';
+import supabase from '../../app/services/SupabaseService';
+import { RoutesModel, ContactsModel, SyncModel } from '../../app/database/models';
+import {
+  setSyncUser,
+  setAccountSwitchResolver,
+  syncNow,
+  restoreFromCloud
+} from '../../app/services/SyncService';
+import { SUPABASE_TEST_URL, startStandin } from '../../jest/standins';
+
+const PASSWORD = 'correct horse battery';
+const WEBHOOK_URL = 'https://hooks.example.com/sam';
+
+let standin: ChildProcess;
+const userIds: Record<string, string> = {};
+
+// Another phone signed in to the same account
+let otherPhone: SupabaseClient;
+
+const signIn = async (client: SupabaseClient, email: string): Promise<string> => {
+  const { data, error } = await client.auth.signInWithPassword({ email, password: PASSWORD });
+  if (error) throw error;
+  return data.user.id;
+};
+
+const cloudRows = async (client: SupabaseClient, table: string): Promise<any[]> => {
+  const { data, error } = await client.from(table).select('*').order('uuid');
+  if (error) throw error;
+  return data;
+};
+
+const writeCloudRow = async (client: SupabaseClient, table: string, row: Record<string, unknown>): Promise<void> => {
+  const { error } = await client.from(table).upsert(row, { onConflict: 'uuid' });
+  if (error) throw error;
+};
+
+const createRoute = (name: string, confidence_score = 0.8): Promise<number> =>
+  RoutesModel.createRoute(
+    {
+      name,
+      confidence_score,
+      start_location: { latitude: 51.5, longitude: -0.12 },
+      end_location: { latitude: 51.51, longitude: -0.1 }
+    },
+    [
+      { latitude: 51.5, longitude: -0.12 },
+      { latitude: 51.505, longitude: -0.11 },
+      { latitude: 51.51, longitude: -0.1 }
+    ]
+  );
+
+const createContact = async (name: string): Promise<number> => {
+  const contactId = await ContactsModel.createContact({ name, phone_number: '+447700900123', priority: 1, is_active: true });
+  await ContactsModel.saveContactChannels(contactId, [
+    { transport: 'webhook', destination: WEBHOOK_URL, secret: 'sams-secret', is_active: true }
+  ]);
+  return contactId;
+};
+
+const iso = (time: number): string => new Date(time).toISOString();
+
+describe('cloud sync against the Supabase stand-in', () => {
+  beforeAll(async () => {
+    standin = await startStandin('supabase-standin.js', Number(new URL(SUPABASE_TEST_URL).port));
+    otherPhone = createClient(SUPABASE_TEST_URL, 'test-anon-key', {
+      auth: { autoRefreshToken: false, persistSession: false }
+    });
+
+    for (const email of ['first@example.com', 'second@example.com']) {
+      const { data, error } = await otherPhone.auth.signUp({ email, password: PASSWORD });
+      if (error) throw error;
+      userIds[email] = data.user!.id;
+    }
+  });
+
+  afterAll(() => {
+    standin.kill();
+  });
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    await setSyncUser(null);
+    setAccountSwitchResolver(null);
+    await fetch(`${SUPABASE_TEST_URL}/_data`, { method: 'DELETE' });
+    await SyncModel.clearSyncedData();
+
+    await signIn(supabase, 'first@example.com');
+    await signIn(otherPhone, 'first@example.com');
+    await setSyncUser(userIds['first@example.com']);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('pull and push', () => {
+    it('pushes new routes and contacts, leaving webhook secrets on the phone', async () => {
+      await createRoute('Commute');
+      await createRoute('Still learning', 0.2);
+      await createContact('Sam');
+
+      const result = await syncNow();
+      expect(result).toEqual(expect.objectContaining({ success: true, pushed: 2 }));
+
+      const routes = await cloudRows(otherPhone, 'routes');
+      expect(routes).toEqual([expect.objectContaining({ name: 'Commute', deleted_at: null })]);
+      expect(routes[0].points).toHaveLength(3);
+
+      const contacts = await cloudRows(otherPhone, 'emergency_contacts');
+      expect(contacts).toEqual([expect.objectContaining({ name: 'Sam', phone_number: '+447700900123' })]);
+      expect(contacts[0].channels).toEqual([{ transport: 'webhook', destination: WEBHOOK_URL, is_active: true }]);
+      expect(JSON.stringify(contacts)).not.toContain('sams-secret');
+
+      // Nothing is left to push
+      expect(await SyncModel.getChangedContacts()).toEqual([]);
+      expect(await syncNow()).toEqual(expect.objectContaining({ pulled: 0, pushed: 0 }));
+    });
+
+    it('pulls rows added and edited on another phone', async () => {
+      await createRoute('Commute');
+      await syncNow();
+      const [route] = await cloudRows(otherPhone, 'routes');
+
+      const now = Date.now();
+      await writeCloudRow(otherPhone, 'routes', { ...route, name: 'Commute to work', updated_at: iso(now) });
+      await writeCloudRow(otherPhone, 'emergency_contacts', {
+        uuid: randomUUID(),
+        user_id: userIds['first@example.com'],
+        name: 'Alex',
+        phone_number: '+447700900456',
+        email: null,
+        relationship: 'Partner',
+        priority: 2,
+        is_active: true,
+        channels: [{ transport: 'sms', destination: null, is_active: true }],
+        created_at: iso(now),
+        updated_at: iso(now),
+        deleted_at: null
+      });
+
+      expect(await syncNow()).toEqual(expect.objectContaining({ success: true, pulled: 2, pushed: 0 }));
+
+      const [localRoute] = await RoutesModel.getRoutes();
+      expect(localRoute).toEqual(expect.objectContaining({ uuid: route.uuid, name: 'Commute to work', updated_at: now }));
+
+      const [contact] = await ContactsModel.getContacts();
+      expect(contact).toEqual(expect.objectContaining({ name: 'Alex', relationship: 'Partner', phone_number: '+447700900456' }));
+      expect(await ContactsModel.getContactChannels(contact.id)).toEqual([
+        expect.objectContaining({ transport: 'sms', is_active: true })
+      ]);
+
+      // The pulled rows aren't pushed back
+      expect(await syncNow()).toEqual(expect.objectContaining({ pulled: 0, pushed: 0 }));
+    });
+  });
+
+  describe('tombstoned deletes', () => {
+    it('marks a row deleted on this phone as deleted in the cloud', async () => {
+      const contactId = await createContact('Sam');
+      await syncNow();
+
+      await ContactsModel.deleteContact(contactId);
+      expect(await SyncModel.getTombstones('EmergencyContacts')).toHaveLength(1);
+
+      expect(await syncNow()).toEqual(expect.objectContaining({ success: true, pushed: 1 }));
+
+      const [contact] = await cloudRows(otherPhone, 'emergency_contacts');
+      expect(contact.deleted_at).not.toBeNull();
+      expect(await SyncModel.getTombstones('EmergencyContacts')).toEqual([]);
+    });
+
+    it('deletes a row here once another phone has deleted it', async () => {
+      await createRoute('Commute');
+      await syncNow();
+      const [route] = await cloudRows(otherPhone, 'routes');
+
+      const deletedAt = iso(Date.now());
+      await writeCloudRow(otherPhone, 'routes', { ...route, updated_at: deletedAt, deleted_at: deletedAt });
+
+      expect(await syncNow()).toEqual(expect.objectContaining({ success: true, pulled: 1 }));
+      expect(await RoutesModel.getRoutes()).toEqual([]);
+      // Deleted on both sides now, so there is nothing to push
+      expect(await SyncModel.getTombstones('Routes')).toEqual([]);
+    });
+
+    it('never writes a tombstone for a row that was never synced', async () => {
+      const contactId = await createContact('Sam');
+      await ContactsModel.deleteContact(contactId);
+
+      expect(await SyncModel.getTombstones('EmergencyContacts')).toEqual([]);
+      expect(await syncNow()).toEqual(expect.objectContaining({ pushed: 0 }));
+      expect(await cloudRows(otherPhone, 'emergency_contacts')).toEqual([]);
+    });
+  });
+
+  describe('last-writer-wins conflicts', () => {
+    it('keeps the cloud edit when it is newer', async () => {
+      const contactId = await createContact('Sam');
+      await syncNow();
+      const [cloudContact] = await cloudRows(otherPhone, 'emergency_contacts');
+
+      await ContactsModel.updateContact(contactId, { name: 'Sam (phone)', priority: 1 });
+      await writeCloudRow(otherPhone, 'emergency_contacts', {
+        ...cloudContact,
+        name: 'Sam (cloud)',
+        updated_at: iso(Date.now() + 60 * 1000)
+      });
+
+      await syncNow();
+
+      expect((await ContactsModel.getContacts())[0].name).toBe('Sam (cloud)');
+      expect((await cloudRows(otherPhone, 'emergency_contacts'))[0].name).toBe('Sam (cloud)');
+    });
+
+    it('keeps the edit made here when it is newer, and pushes it', async () => {
+      const contactId = await createContact('Sam');
+      await syncNow();
+      const [cloudContact] = await cloudRows(otherPhone, 'emergency_contacts');
+
+      await writeCloudRow(otherPhone, 'emergency_contacts', {
+        ...cloudContact,
+        name: 'Sam (cloud)',
+        updated_at: iso(Date.now() - 60 * 1000)
+      });
+      await ContactsModel.updateContact(contactId, { name: 'Sam (phone)', priority: 1 });
+
+      expect(await syncNow()).toEqual(expect.objectContaining({ success: true, pushed: 1 }));
+
+      expect((await ContactsModel.getContacts())[0].name).toBe('Sam (phone)');
+      expect((await cloudRows(otherPhone, 'emergency_contacts'))[0].name).toBe('Sam (phone)');
+    });
+
+    it('lets a newer deletion in the cloud win over an older edit here', async () => {
+      const routeId = await createRoute('Commute');
+      await syncNow();
+      const [route] = await cloudRows(otherPhone, 'routes');
+
+      await RoutesModel.updateRouteConfidence(routeId, 0.9, 1200);
+      const deletedAt = iso(Date.now() + 60 * 1000);
+      await writeCloudRow(otherPhone, 'routes', { ...route, updated_at: deletedAt, deleted_at: deletedAt });
+
+      await syncNow();
+
+      expect(await RoutesModel.getRoutes()).toEqual([]);
+      expect((await cloudRows(otherPhone, 'routes'))[0].deleted_at).toBe(deletedAt);
+    });
+  });
+
+  describe('one sync at a time', () => {
+    it('runs a sync asked for during a restore after it, with its push', async () => {
+      await createContact('Sam');
+
+      const restoring = restoreFromCloud();
+      const syncing = syncNow();
+
+      // Callers waiting together share the queued sync
+      expect(syncNow()).toBe(syncing);
+      expect(syncing).not.toBe(restoring);
+
+      expect(await restoring).toEqual(expect.objectContaining({ success: true, pushed: 0 }));
+      expect(await syncing).toEqual(expect.objectContaining({ success: true, pushed: 1 }));
+      expect(await cloudRows(otherPhone, 'emergency_contacts')).toHaveLength(1);
+    });
+
+    it('shares a running sync with a restore asked for meanwhile', async () => {
+      await createContact('Sam');
+
+      const syncing = syncNow();
+      expect(restoreFromCloud()).toBe(syncing);
+      expect(await syncing).toEqual(expect.objectContaining({ pushed: 1 }));
+    });
+  });
+
+  describe('switching accounts', () => {
+    let secondUserId: string;
+
+    beforeEach(async () => {
+      await createRoute('Commute');
+      await createContact('Sam');
+      await syncNow();
+
+      // The second account already has a contact from another phone
+      await signIn(otherPhone, 'second@example.com');
+      await writeCloudRow(otherPhone, 'emergency_contacts', {
+        uuid: randomUUID(),
+        user_id: userIds['second@example.com'],
+        name: 'Alex',
+        priority: 1,
+        is_active: true,
+        channels: [],
+        created_at: iso(Date.now()),
+        updated_at: iso(Date.now()),
+        deleted_at: null
+      });
+
+      secondUserId = await signIn(supabase, 'second@example.com');
+    });
+
+    it('clears the previous account\'s rows before syncing with the new one', async () => {
+      await setSyncUser(secondUserId);
+
+      expect(await RoutesModel.getRoutes()).toEqual([]);
+      expect((await ContactsModel.getContacts()).map(contact => contact.name)).toEqual(['Alex']);
+
+      await syncNow();
+      expect(await cloudRows(otherPhone, 'routes')).toEqual([]);
+      expect((await cloudRows(otherPhone, 'emergency_contacts')).map(contact => contact.name)).toEqual(['Alex']);
+
+      // Still in the first account's cloud
+      await signIn(otherPhone, 'first@example.com');
+      expect(await cloudRows(otherPhone, 'routes')).toHaveLength(1);
+      expect(await cloudRows(otherPhone, 'emergency_contacts')).toHaveLength(1);
+    });
+
+    it('asks before pushing anything, and clears the rows if the user says so', async () => {
+      let answer: (choice: 'keep' | 'clear') => void = () => {};
+      const resolver = jest.fn(() => new Promise<'keep' | 'clear'>(resolve => {
+        answer = resolve;
+      }));
+      setAccountSwitchResolver(resolver);
+
+      const switching = setSyncUser(secondUserId);
+      const syncing = syncNow();
+
+      await new Promise(resolve => setTimeout(resolve, 50));
+      expect(resolver).toHaveBeenCalledWith({
+        previousUserId: userIds['first@example.com'],
+        userId: secondUserId,
+        routes: 1,
+        contacts: 1
+      });
+      // Nothing has reached the new account while the user decides
+      expect((await cloudRows(otherPhone, 'emergency_contacts')).map(contact => contact.name)).toEqual(['Alex']);
+
+      answer('clear');
+      await switching;
+      expect(await syncing).toEqual(expect.objectContaining({ success: true, pushed: 0 }));
+      expect((await ContactsModel.getContacts()).map(contact => contact.name)).toEqual(['Alex']);
+    });
+
+    it('moves the rows to the new account if the user keeps them', async () => {
+      const [sam] = await ContactsModel.getContacts();
+      setAccountSwitchResolver(async () => 'keep');
+
+      await setSyncUser(secondUserId);
+      expect(await syncNow()).toEqual(expect.objectContaining({ success: true, pushed: 2 }));
+
+      const contacts = await cloudRows(otherPhone, 'emergency_contacts');
+      expect(contacts.map(contact => contact.name).sort()).toEqual(['Alex', 'Sam']);
+      expect(await cloudRows(otherPhone, 'routes')).toHaveLength(1);
+      // As new rows; the first account's keep their UUIDs
+      expect(contacts.map(contact => contact.uuid)).not.toContain(sam.uuid);
+      expect((await ContactsModel.getContacts()).map(contact => contact.name).sort()).toEqual(['Alex', 'Sam']);
+    });
+  });
+});
@@ -0,0 +1,164 @@
+import database from '../../app/database/database';
+import { RoutesModel, ContactsModel } from '../../app/database/models';
+import { runTripScenario, assertTripScenario } from '../../app/services/TripScenario';
+import { buildSimulatedFixes, DEFAULT_SIMULATION_OPTIONS } from '../../app/services/TripSimulator';
+import { checkJourneyWatchdog } from '../../app/services/WatchdogService';
+import { Track } from '../../app/utils/trackFormats';
+
+// A 2 km walk due north, learned as a route before the trips start
+const POINTS = Array.from({ length: 41 }, (_, i) => ({ latitude: 51.5 + i * 0.00045, longitude: -0.1 }));
+const TRACK: Track = { name: 'Walk to work', points: POINTS };
+
+const MINUTE = 60 * 1000;
+
+beforeAll(async () => {
+  await RoutesModel.createRoute({
+    name: 'Walk to work',
+    confidence_score: 0.9,
+    times_traveled: 5,
+    avg_duration: 25 * MINUTE,
+    start_location: POINTS[0],
+    end_location: POINTS[POINTS.length - 1]
+  }, POINTS.map((point, i) => ({ ...point, sequence_number: i })));
+
+  await ContactsModel.createContact({ name: 'Sam', phone_number: '+447700900123', priority: 1, is_active: true });
+});
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+// Rows of one journey straight from the tables, rather than through the models
+const storedRows = async (journeyId: number) => {
+  const query = async (sql: string) => (await database.executeQuery(sql, [journeyId])).rows._array;
+  return {
+    journey: (await query('SELECT * FROM Journeys WHERE id = ?'))[0],
+    points: await query('SELECT * FROM JourneyPoints WHERE journey_id = ? ORDER BY sequence_number'),
+    deviations: await query('SELECT * FROM DeviationEvents WHERE journey_id = ?'),
+    alerts: await query(
+      `SELECT AlertEvents.* FROM AlertEvents
+       JOIN DeviationEvents ON DeviationEvents.id = AlertEvents.deviation_id
+       WHERE DeviationEvents.journey_id = ?`
+    )
+  };
+};
+
+describe('trip scenarios', () => {
+  it('records a normal trip along the learned route without alerts', async () => {
+    const fixes = buildSimulatedFixes(TRACK, DEFAULT_SIMULATION_OPTIONS);
+
+    const result = await runTripScenario({ track: TRACK });
+
+    assertTripScenario(result, {
+      completed: true,
+      hasDeviation: false,
+      points: { min: fixes.length, max: fixes.length },
+      deviations: { max: 0 },
+      alerts: { max: 0 }
+    });
+
+    const rows = await storedRows(result.journeyId);
+    expect(rows.journey.end_time).toEqual(expect.any(Number));
+    expect(rows.journey.has_deviation).toBe(0);
+    expect(rows.points).toHaveLength(fixes.length);
+    expect(rows.points.map(point => point.sequence_number)).toEqual(fixes.map((_, i) => i));
+    expect(rows.deviations).toEqual([]);
+    expect(rows.alerts).toEqual([]);
+
+    // Locations are encrypted at rest but read back as numbers
+    expect(rows.points[0].latitude).toEqual(expect.stringMatching(/^enc1:/));
+    expect(result.points[0].latitude).toBeCloseTo(POINTS[0].latitude, 3);
+  });
+
+  it('raises a deviation and alerts contacts on a detour', async () => {
+    const result = await runTripScenario({
+      track: TRACK,
+      options: { detour: { start: 0.5, end: 0.8, offset: 400 } },
+      respond: 'confirm'
+    });
+
+    assertTripScenario(result, {
+      completed: true,
+      hasDeviation: true,
+      deviations: { min: 1 },
+      alerts: { min: 1 }
+    });
+
+    const rows = await storedRows(result.journeyId);
+    expect(rows.journey.has_deviation).toBe(1);
+    expect(rows.deviations[0]).toEqual(expect.objectContaining({ kind: 'deviation', alert_sent: 1 }));
+    expect(rows.deviations[0].deviation_distance).toBeGreaterThan(100);
+    expect(rows.alerts).toEqual(expect.arrayContaining([
+      expect.objectContaining({ deviation_id: rows.deviations[0].id, alert_method: 'sms' })
+    ]));
+  });
+
+  it('tolerates GPS noise on the learned route', async () => {
+    const result = await runTripScenario({ track: TRACK, options: { noise: 15, seed: 7 } });
+
+    assertTripScenario(result, { completed: true, hasDeviation: false, deviations: { max: 0 }, alerts: { max: 0 } });
+
+    const rows = await storedRows(result.journeyId);
+    // Fixes really were scattered off the route
+    const offRoute = result.points.filter(point => Math.abs(point.longitude - POINTS[0].longitude) > 0.0001);
+    expect(offRoute.length).toBeGreaterThan(result.points.length / 2);
+    expect(rows.points).toHaveLength(result.points.length);
+    expect(rows.deviations).toEqual([]);
+    expect(rows.alerts).toEqual([]);
+  });
+
+  it('sends the last known location when fixes stop arriving', async () => {
+    const realNow = Date.now();
+    let elapsed = 0;
+    jest.spyOn(Date, 'now').mockImplementation(() => realNow + elapsed);
+
+    const fullTrip = buildSimulatedFixes(TRACK, DEFAULT_SIMULATION_OPTIONS);
+    const result = await runTripScenario({
+      track: TRACK,
+      options: { signalLoss: { start: 0.4, end: 0.7 } },
+      // The watchdog's signal check runs on a timer; step it along with the trip
+      afterFix: async () => {
+        elapsed += 11 * MINUTE;
+        await checkJourneyWatchdog();
+      }
+    });
+
+    assertTripScenario(result, { completed: true, deviations: { min: 1, max: 1 }, alerts: { min: 1, max: 1 } });
+
+    const rows = await storedRows(result.journeyId);
+    expect(rows.points.length).toBeLessThan(fullTrip.length);
+
+    // No points were recorded while the signal was lost
+    const gaps = rows.points.slice(1).map((point, i) => point.timestamp - rows.points[i].timestamp);
+    expect(Math.max(...gaps)).toBeGreaterThan(5 * MINUTE);
+
+    expect(rows.deviations[0]).toEqual(expect.objectContaining({ kind: 'last_known', cause: 'signal', alert_sent: 1 }));
+    expect(rows.alerts[0]).toEqual(expect.objectContaining({ deviation_id: rows.deviations[0].id }));
+  });
+
+  it('sends the last known location once when the battery runs low', async () => {
+    const result = await runTripScenario({
+      track: TRACK,
+      // 12% draining to about 6% over the 25 minute walk
+      options: { batteryStart: 0.12, batteryDrain: 0.15 },
+      afterFix: async () => {
+        await checkJourneyWatchdog();
+      }
+    });
+
+    assertTripScenario(result, { completed: true, deviations: { min: 1, max: 1 }, alerts: { min: 1, max: 1 } });
+
+    const rows = await storedRows(result.journeyId);
+    const batteryLevels = rows.points.map(point => point.battery_level);
+    expect(batteryLevels[batteryLevels.length - 1]).toBeLessThan(batteryLevels[0]);
+
+    expect(rows.deviations[0]).toEqual(expect.objectContaining({ kind: 'last_known', cause: 'battery', alert_sent: 1 }));
+    expect(rows.deviations[0].battery_level).toBeLessThanOrEqual(0.1);
+    expect(rows.alerts).toHaveLength(1);
+  });
+});
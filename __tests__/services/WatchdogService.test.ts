@@ -0,0 +1,150 @@
+import database from '../../app/database/database';
+import { JourneysModel, ContactsModel } from '../../app/database/models';
+import { LocationSource, setLocationSource } from '../../app/services/LocationSource';
+import { checkJourneyWatchdog, stopWatchdog } from '../../app/services/WatchdogService';
+
+const MINUTE = 60 * 1000;
+
+// A phone that can't get a fix, with location access and battery as set
+const createSource = (state: { permitted: boolean; battery: number }): LocationSource => ({
+  name: 'test',
+  background: false,
+  requestPermissions: async () => ({ foreground: state.permitted, background: state.permitted }),
+  getPermissions: async () => ({ foreground: state.permitted, background: state.permitted }),
+  getCurrentPosition: async () => {
+    throw new Error('Location unavailable');
+  },
+  watchPosition: async () => ({ remove: () => {} }),
+  getBatteryLevel: async () => state.battery,
+  isCharging: async () => false
+});
+
+// A journey left open by an app the OS stopped, last heard from a while ago
+const createOpenJourney = async (silentFor: number): Promise<number> => {
+  const lastFixAt = Date.now() - silentFor;
+  const journeyId = await JourneysModel.createJourney({ start_time: lastFixAt - 10 * MINUTE });
+  await JourneysModel.addJourneyPoints(journeyId, [
+    { latitude: 51.5, longitude: -0.1, timestamp: lastFixAt - 10 * MINUTE, battery_level: 0.5, sequence_number: 0 },
+    { latitude: 51.501, longitude: -0.1, timestamp: lastFixAt, battery_level: 0.5, sequence_number: 1 }
+  ]);
+  return journeyId;
+};
+
+const storedRows = async (journeyId: number) => {
+  const query = async (sql: string) => (await database.executeQuery(sql, [journeyId])).rows._array;
+  return {
+    journey: (await query('SELECT * FROM Journeys WHERE id = ?'))[0],
+    deviations: await query('SELECT * FROM DeviationEvents WHERE journey_id = ?'),
+    alerts: await query(
+      `SELECT AlertEvents.* FROM AlertEvents
+       JOIN DeviationEvents ON DeviationEvents.id = AlertEvents.deviation_id
+       WHERE DeviationEvents.journey_id = ?`
+    )
+  };
+};
+
+describe('journey watchdog after a restart', () => {
+  const phone = { permitted: true, battery: 0.8 };
+
+  beforeAll(async () => {
+    await ContactsModel.createContact({ name: 'Sam', phone_number: '+447700900123', priority: 1, is_active: true });
+    setLocationSource(createSource(phone));
+  });
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    // Each test starts like a freshly launched background task, with nothing in memory
+    stopWatchdog();
+    phone.permitted = true;
+    phone.battery = 0.8;
+    await database.executeQuery('UPDATE Journeys SET end_time = start_time WHERE end_time IS NULL');
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('sends the last known location for the open journey once its signal has been lost', async () => {
+    const journeyId = await createOpenJourney(12 * MINUTE);
+
+    const alert = await checkJourneyWatchdog();
+
+    expect(alert).toEqual(expect.objectContaining({ cause: 'signal', contactsAlerted: 1 }));
+
+    const rows = await storedRows(journeyId);
+    expect(rows.journey.watchdog_causes).toBe('signal');
+    expect(rows.deviations).toEqual([
+      expect.objectContaining({ id: alert?.deviationId, kind: 'last_known', cause: 'signal', alert_sent: 1 })
+    ]);
+    expect(rows.alerts).toHaveLength(1);
+  });
+
+  it('waits until the signal has been gone long enough', async () => {
+    const journeyId = await createOpenJourney(3 * MINUTE);
+
+    expect(await checkJourneyWatchdog()).toBeNull();
+    expect((await storedRows(journeyId)).deviations).toEqual([]);
+  });
+
+  it('does not send a cause again after another restart', async () => {
+    const journeyId = await createOpenJourney(12 * MINUTE);
+    expect(await checkJourneyWatchdog()).not.toBeNull();
+
+    stopWatchdog();
+    expect(await checkJourneyWatchdog()).toBeNull();
+
+    const rows = await storedRows(journeyId);
+    expect(rows.deviations).toHaveLength(1);
+    expect(rows.alerts).toHaveLength(1);
+  });
+
+  it('still sends other causes for the same journey', async () => {
+    const journeyId = await createOpenJourney(12 * MINUTE);
+    expect(await checkJourneyWatchdog()).toEqual(expect.objectContaining({ cause: 'signal' }));
+
+    stopWatchdog();
+    phone.permitted = false;
+    expect(await checkJourneyWatchdog()).toEqual(expect.objectContaining({ cause: 'permission' }));
+
+    const rows = await storedRows(journeyId);
+    expect(rows.journey.watchdog_causes).toBe('signal,permission');
+    expect(rows.deviations.map(deviation => deviation.cause)).toEqual(['signal', 'permission']);
+  });
+
+  it('sends an alert that was recorded but not sent before the app stopped', async () => {
+    const journeyId = await createOpenJourney(MINUTE);
+    const deviationId = await JourneysModel.recordDeviation(journeyId, {
+      kind: 'last_known',
+      latitude: 51.501,
+      longitude: -0.1,
+      timestamp: Date.now() - MINUTE,
+      deviation_distance: 0,
+      cause: 'battery',
+      battery_level: 0.04
+    });
+    phone.battery = 0.03;
+
+    const alert = await checkJourneyWatchdog();
+
+    expect(alert).toEqual({ deviationId, cause: 'battery', contactsAlerted: 1 });
+
+    const rows = await storedRows(journeyId);
+    expect(rows.deviations).toHaveLength(1);
+    expect(rows.deviations[0]).toEqual(expect.objectContaining({ alert_sent: 1, battery_level: 0.04 }));
+    expect(rows.alerts).toEqual([expect.objectContaining({ deviation_id: deviationId })]);
+    expect(rows.journey.watchdog_causes).toBe('battery');
+  });
+
+  it('leaves journeys alone that went quiet long ago', async () => {
+    const journeyId = await createOpenJourney(7 * 60 * MINUTE);
+
+    expect(await checkJourneyWatchdog()).toBeNull();
+    expect((await storedRows(journeyId)).deviations).toEqual([]);
+  });
+
+  it('does nothing without an open journey', async () => {
+    expect(await checkJourneyWatchdog()).toBeNull();
+  });
+});
@@ -0,0 +1,113 @@
+import { segmentJourney, getDominantMode, SegmentPoint } from '../../app/utils/segmentation';
+import { unprojectFromPlane } from '../../app/utils/geometry';
+
+const ORIGIN = { latitude: 51.5, longitude: -0.12 };
+
+interface Leg {
+  speed: number;   // m/s
+  seconds: number;
+}
+
+// Fixes every few seconds heading east, travelling each leg at its speed
+const buildTrack = (legs: Leg[], interval: number = 5): SegmentPoint[] => {
+  const points: SegmentPoint[] = [];
+  let x = 0;
+  let time = 0;
+
+  points.push({ ...unprojectFromPlane({ x, y: 0 }, ORIGIN), timestamp: 0 });
+  for (const leg of legs) {
+    for (let t = 0; t < leg.seconds; t += interval) {
+      x += leg.speed * interval;
+      time += interval * 1000;
+      points.push({ ...unprojectFromPlane({ x, y: 0 }, ORIGIN), timestamp: time });
+    }
+  }
+
+  return points;
+};
+
+const modesOf = (points: SegmentPoint[]) => segmentJourney(points).map(segment => segment.mode);
+
+// A bus: 400m at 10 m/s between 30 second stops
+const busRide = (stops: number): Leg[] =>
+  Array.from({ length: stops }, () => [{ speed: 10, seconds: 40 }, { speed: 0, seconds: 30 }]).flat();
+
+describe('segmentJourney', () => {
+  it('splits a journey where the mode changes', () => {
+    const points = buildTrack([
+      { speed: 1.4, seconds: 300 },
+      { speed: 0, seconds: 180 },
+      { speed: 5, seconds: 300 }
+    ]);
+
+    const segments = segmentJourney(points);
+
+    expect(segments.map(segment => segment.mode)).toEqual(['walking', 'stationary', 'cycling']);
+    // Segments tile the journey
+    expect(segments[0].startTime).toBe(0);
+    expect(segments[1].startTime).toBe(segments[0].endTime);
+    expect(segments[2].endTime).toBe(points[points.length - 1].timestamp);
+    expect(segments[0].distance).toBeCloseTo(420, -1);
+    expect(segments[2].avgSpeed).toBeCloseTo(5, 0);
+  });
+
+  it('folds short stops into the travel around them', () => {
+    const segments = segmentJourney(buildTrack([
+      { speed: 1.4, seconds: 300 },
+      { speed: 0, seconds: 60 },
+      { speed: 1.4, seconds: 300 }
+    ]));
+
+    expect(segments).toEqual([expect.objectContaining({ mode: 'walking', stopCount: 1 })]);
+  });
+
+  it('tells a bus from a car by how often it stops', () => {
+    expect(modesOf(buildTrack(busRide(5)))).toEqual(['transit']);
+    expect(modesOf(buildTrack([{ speed: 10, seconds: 350 }]))).toEqual(['driving']);
+  });
+
+  it('counts sustained high speed as a train', () => {
+    expect(modesOf(buildTrack([{ speed: 40, seconds: 300 }]))).toEqual(['transit']);
+  });
+
+  it('tells slow traffic from cycling by how hard it pulls away', () => {
+    // Queueing at lights, pulling away at 2 m/s² each time, with a fix every second
+    const traffic = buildTrack(Array.from({ length: 6 }, () => [
+      { speed: 0, seconds: 10 },
+      { speed: 2, seconds: 1 },
+      { speed: 4, seconds: 1 },
+      { speed: 6, seconds: 20 },
+      { speed: 3, seconds: 1 }
+    ]).flat(), 1);
+
+    expect(modesOf(traffic)).toEqual(['driving']);
+    expect(modesOf(buildTrack([{ speed: 4, seconds: 300 }]))).toEqual(['cycling']);
+  });
+
+  it('ignores single GPS speed spikes and speeds the device could not measure', () => {
+    const points = buildTrack([{ speed: 1.4, seconds: 300 }]).map((point, i) => ({
+      ...point,
+      speed: i === 20 ? 30 : -1
+    }));
+
+    expect(modesOf(points)).toEqual(['walking']);
+  });
+
+  it('needs two fixes', () => {
+    expect(segmentJourney([])).toEqual([]);
+    expect(segmentJourney(buildTrack([]))).toEqual([]);
+  });
+});
+
+describe('getDominantMode', () => {
+  it('picks the mode covering the most distance, ignoring stops', () => {
+    expect(getDominantMode([
+      { mode: 'walking', distance: 800 },
+      { mode: 'stationary', distance: 0 },
+      { mode: 'transit', distance: 3000 },
+      { mode: 'walking', distance: 400 }
+    ])).toBe('transit');
+    expect(getDominantMode([{ mode: 'stationary', distance: 5 }])).toBe('stationary');
+    expect(getDominantMode([])).toBe('unknown');
+  });
+});
@@ -0,0 +1,135 @@
+import fs from 'fs';
+import path from 'path';
+import { SaxesParser } from 'saxes';
+import { formatTrack, parseTrack, Track } from '../../app/utils/trackFormats';
+
+const FIXTURES = path.join(__dirname, '../fixtures/tracks');
+
+const readFixture = (fileName: string): string => fs.readFileSync(path.join(FIXTURES, fileName), 'utf8');
+
+interface XmlElement {
+  name: string;
+  uri: string;
+  text: string;
+}
+
+// Read XML strictly, throwing on anything that isn't well-formed
+const readXml = (xml: string): XmlElement[] => {
+  const parser = new SaxesParser({ xmlns: true });
+  const elements: XmlElement[] = [];
+  const open: XmlElement[] = [];
+
+  parser.on('opentag', tag => {
+    const element = { name: tag.local, uri: tag.uri, text: '' };
+    elements.push(element);
+    open.push(element);
+  });
+  parser.on('text', text => {
+    if (open.length > 0) open[open.length - 1].text += text;
+  });
+  parser.on('closetag', () => {
+    open.pop();
+  });
+
+  parser.write(xml).close();
+  return elements;
+};
+
+// An export is stamped with the time it was made
+const withoutExportTime = (gpx: string): string =>
+  gpx.replace(/(<metadata>[\s\S]*?)<time>[^<]*<\/time>/, '$1<time />');
+
+const textsOf = (elements: XmlElement[], name: string): string[] =>
+  elements.filter(element => element.name === name).map(element => element.text);
+
+describe('GPX', () => {
+  it('imports the sample track with its segments joined', () => {
+    const track = parseTrack(readFixture('commute.gpx'), 'commute.gpx');
+
+    expect(track.name).toBe('Home & office');
+    expect(track.type).toBe('journey');
+    expect(track.points).toHaveLength(5);
+    expect(track.points[0]).toEqual({
+      latitude: 51.5007,
+      longitude: -0.1246,
+      altitude: 12,
+      timestamp: Date.parse('2026-03-02T08:00:00.000Z'),
+      speed: 1.4,
+      battery_level: 0.82
+    });
+    expect(track.points[4]).toEqual(expect.objectContaining({ altitude: null, speed: null, battery_level: null }));
+    expect(track.waypoints).toEqual([{
+      latitude: 51.5033,
+      longitude: -0.1196,
+      timestamp: Date.parse('2026-03-02T08:05:30.000Z'),
+      name: 'Route deviation',
+      description: '420 m from <Walk to work>'
+    }]);
+  });
+
+  it('round-trips the sample through export and import', () => {
+    const track = parseTrack(readFixture('commute.gpx'), 'commute.gpx');
+    const exported = formatTrack(track, 'gpx');
+
+    expect(parseTrack(exported, 'export.gpx')).toEqual(track);
+    // And without a file name to go by
+    expect(parseTrack(exported)).toEqual(track);
+    // Exporting the import again gives the same file
+    expect(withoutExportTime(formatTrack(parseTrack(exported), 'gpx'))).toBe(withoutExportTime(exported));
+  });
+
+  it('exports well-formed GPX 1.1', () => {
+    const exported = formatTrack(parseTrack(readFixture('commute.gpx')), 'gpx');
+    const elements = readXml(exported);
+
+    expect(elements[0]).toEqual(expect.objectContaining({ name: 'gpx', uri: 'http://www.topografix.com/GPX/1/1' }));
+    expect(elements.filter(element => element.name === 'trkpt')).toHaveLength(5);
+    expect(elements.find(element => element.name === 'speed')?.uri).toBe('urn:safetack:gpx:1');
+  });
+});
+
+describe('GeoJSON', () => {
+  it('imports the sample to the same track as the GPX sample', () => {
+    const fromGeoJson = parseTrack(readFixture('commute.geojson'), 'commute.geojson');
+
+    expect(fromGeoJson).toEqual(parseTrack(readFixture('commute.gpx'), 'commute.gpx'));
+  });
+
+  it('round-trips the sample through export and import', () => {
+    const track = parseTrack(readFixture('commute.geojson'), 'commute.geojson');
+    const exported = formatTrack(track, 'geojson');
+
+    expect(parseTrack(exported, 'export.geojson')).toEqual(track);
+    expect(JSON.parse(exported)).toEqual(JSON.parse(readFixture('commute.geojson')));
+  });
+});
+
+describe('KML', () => {
+  it('exports the sample track as the checked-in file', () => {
+    const track = parseTrack(readFixture('commute.gpx'), 'commute.gpx');
+
+    expect(formatTrack(track, 'kml')).toBe(readFixture('commute.kml'));
+  });
+
+  it('exports well-formed KML 2.2, escaping names and descriptions', () => {
+    const track: Track = {
+      name: 'Mum & Dad\'s <"short cut">',
+      points: [
+        { latitude: 51.5, longitude: -0.12 },
+        { latitude: 51.51, longitude: -0.1, altitude: 20 }
+      ],
+      waypoints: [{ latitude: 51.505, longitude: -0.11, name: 'Check-in', description: 'Late by 5 min & counting' }]
+    };
+
+    const elements = readXml(formatTrack(track, 'kml'));
+
+    expect(elements[0]).toEqual(expect.objectContaining({ name: 'kml', uri: 'http://www.opengis.net/kml/2.2' }));
+    expect(textsOf(elements, 'name')).toEqual([track.name, track.name, 'Check-in']);
+    expect(textsOf(elements, 'description')).toEqual(['Late by 5 min & counting']);
+    expect(textsOf(elements, 'coordinates')).toEqual(['-0.12,51.5 -0.1,51.51,20', '-0.11,51.505']);
+  });
+
+  it('is export only', () => {
+    expect(() => parseTrack(readFixture('commute.kml'), 'commute.kml')).toThrow('Only GPX and GeoJSON files can be imported');
+  });
+});
@@ -13,7 +13,8 @@ import {
   ListRenderItem
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
-import { ContactsModel } from '../database/models';
+import { ContactsModel, AlertStatus, ContactChannel, DeliveryStatus } from '../database/models';
+import { isDuressSession } from '../services/SecurityService';
 
 interface Contact {
   id: number;
@@ -34,12 +35,27 @@ interface ContactData {
   is_active: boolean;
 }
 
+// Colours for alert delivery statuses
+const DELIVERY_STATUS_COLORS: Record<DeliveryStatus, string> = {
+  queued: '#FF9800',
+  sent: '#2196F3',
+  delivered: '#4CAF50',
+  failed: '#F44336'
+};
+
+const ALERT_METHOD_LABELS: Record<string, string> = {
+  sms: 'SMS',
+  email: 'Email',
+  webhook: 'Webhook'
+};
+
 export default function ContactsScreen() {
   const [contacts, setContacts] = useState<Contact[]>([]);
   const [loading, setLoading] = useState<boolean>(true);
   const [error, setError] = useState<string | null>(null);
   const [modalVisible, setModalVisible] = useState<boolean>(false);
   const [editingContact, setEditingContact] = useState<Contact | null>(null);
+  const [alertStatuses, setAlertStatuses] = useState<Record<number, AlertStatus[]>>({});
   
   // Form state
   const [name, setName] = useState<string>('');
@@ -48,6 +64,10 @@ export default function ContactsScreen() {
   const [relationship, setRelationship] = useState<string>('');
   const [isActive, setIsActive] = useState<boolean>(true);
   const [priority, setPriority] = useState<string>('1');
+  const [alertBySms, setAlertBySms] = useState<boolean>(true);
+  const [alertByEmail, setAlertByEmail] = useState<boolean>(true);
+  const [webhookUrl, setWebhookUrl] = useState<string>('');
+  const [webhookSecret, setWebhookSecret] = useState<string>('');
   
   // Load contacts on initial render
   useEffect(() => {
@@ -63,6 +83,15 @@ export default function ContactsScreen() {
       const contactData = await ContactsModel.getContacts();
       setContacts(contactData);
       
+      // Group the latest delivery status of each channel by contact; after a duress
+      // unlock the badges mustn't show that contacts were just alerted
+      const statuses = await ContactsModel.getLatestAlertStatuses(isDuressSession());
+      const statusesByContact: Record<number, AlertStatus[]> = {};
+      for (const status of statuses) {
+        (statusesByContact[status.contact_id] = statusesByContact[status.contact_id] || []).push(status);
+      }
+      setAlertStatuses(statusesByContact);
+      
       setLoading(false);
     } catch (err) {
       console.error('Error loading contacts:', err);
@@ -80,11 +109,15 @@ export default function ContactsScreen() {
     setRelationship('');
     setIsActive(true);
     setPriority('1');
+    setAlertBySms(true);
+    setAlertByEmail(true);
+    setWebhookUrl('');
+    setWebhookSecret('');
     setModalVisible(true);
   };
   
   // Open modal to edit an existing contact
-  const handleEditContact = (contact: Contact): void => {
+  const handleEditContact = async (contact: Contact): Promise<void> => {
     setEditingContact(contact);
     setName(contact.name);
     setPhoneNumber(contact.phone_number || '');
@@ -92,6 +125,24 @@ export default function ContactsScreen() {
     setRelationship(contact.relationship || '');
     setIsActive(contact.is_active === 1);
     setPriority(contact.priority.toString());
+    
+    // Contacts without saved channels are alerted by SMS and email
+    try {
+      const channels = await ContactsModel.getContactChannels(contact.id);
+      const findChannel = (transport: string) => channels.find(channel => channel.transport === transport);
+      
+      setAlertBySms(channels.length === 0 || !!findChannel('sms')?.is_active);
+      setAlertByEmail(channels.length === 0 || !!findChannel('email')?.is_active);
+      setWebhookUrl(findChannel('webhook')?.destination || '');
+      setWebhookSecret(findChannel('webhook')?.secret || '');
+    } catch (err) {
+      console.error('Error loading contact channels:', err);
+      setAlertBySms(true);
+      setAlertByEmail(true);
+      setWebhookUrl('');
+      setWebhookSecret('');
+    }
+    
     setModalVisible(true);
   };
   
@@ -109,6 +160,11 @@ export default function ContactsScreen() {
         return;
       }
       
+      if (webhookUrl.trim() && !/^https:\/\//i.test(webhookUrl.trim())) {
+        Alert.alert('Error', 'Webhook URL must start with https://');
+        return;
+      }
+      
       const contactData: ContactData = {
         name: name.trim(),
         phone_number: phoneNumber.trim() || null,
@@ -120,14 +176,32 @@ export default function ContactsScreen() {
       
       setLoading(true);
       
+      let contactId: number;
+      
       if (editingContact) {
         // Update existing contact
         await ContactsModel.updateContact(editingContact.id, contactData);
+        contactId = editingContact.id;
       } else {
         // Create new contact
-        await ContactsModel.createContact(contactData);
+        contactId = await ContactsModel.createContact(contactData);
       }
       
+      // Save how this contact should be alerted
+      const channels: ContactChannel[] = [
+        { transport: 'sms', is_active: alertBySms },
+        { transport: 'email', is_active: alertByEmail }
+      ];
+      if (webhookUrl.trim()) {
+        channels.push({
+          transport: 'webhook',
+          destination: webhookUrl.trim(),
+          secret: webhookSecret.trim() || null,
+          is_active: true
+        });
+      }
+      await ContactsModel.saveContactChannels(contactId, channels);
+      
       // Refresh contact list
       await loadContacts();
       
@@ -217,6 +291,26 @@ export default function ContactsScreen() {
           </View>
         </View>
         
+        {alertStatuses[item.id] && (
+          <View style={styles.alertStatusRow}>
+            {alertStatuses[item.id].map(status => {
+              const statusColor = status.delivery_status ? DELIVERY_STATUS_COLORS[status.delivery_status] : '#999';
+              
+              return (
+                <View
+                  key={status.alert_method}
+                  style={[styles.alertStatusBadge, { borderColor: statusColor }]}
+                >
+                  <Text style={[styles.alertStatusText, { color: statusColor }]}>
+                    {ALERT_METHOD_LABELS[status.alert_method] || status.alert_method}: {status.delivery_status || 'unknown'}
+                    {' · '}{new Date(status.timestamp).toLocaleString([], { hour: '2-digit', minute: '2-digit', day: 'numeric', month: 'short' })}
+                  </Text>
+                </View>
+              );
+            })}
+          </View>
+        )}
+        
         <View style={styles.contactActions}>
           <TouchableOpacity 
             style={styles.actionButton}
@@ -361,6 +455,53 @@ export default function ContactsScreen() {
                 />
               </View>
               
+              <View style={styles.switchGroup}>
+                <Text style={styles.label}>Alert by SMS</Text>
+                <Switch
+                  value={alertBySms}
+                  onValueChange={setAlertBySms}
+                  trackColor={{ false: '#ccc', true: '#81D4FA' }}
+                  thumbColor={alertBySms ? '#2196F3' : '#f4f3f4'}
+                />
+              </View>
+              
+              <View style={styles.switchGroup}>
+                <Text style={styles.label}>Alert by Email</Text>
+                <Switch
+                  value={alertByEmail}
+                  onValueChange={setAlertByEmail}
+                  trackColor={{ false: '#ccc', true: '#81D4FA' }}
+                  thumbColor={alertByEmail ? '#2196F3' : '#f4f3f4'}
+                />
+              </View>
+              
+              <View style={styles.formGroup}>
+                <Text style={styles.label}>Webhook URL (optional)</Text>
+                <TextInput
+                  style={styles.input}
+                  value={webhookUrl}
+                  onChangeText={setWebhookUrl}
+                  placeholder="https://example.com/alerts"
+                  keyboardType="url"
+                  autoCapitalize="none"
+                />
+              </View>
+              
+              {webhookUrl.trim() !== '' && (
+                <View style={styles.formGroup}>
+                  <Text style={styles.label}>Webhook Secret (optional)</Text>
+                  <TextInput
+                    style={styles.input}
+                    value={webhookSecret}
+                    onChangeText={setWebhookSecret}
+                    placeholder="Sent as a Bearer token"
+                    autoCapitalize="none"
+                    autoCorrect={false}
+                    secureTextEntry
+                  />
+                </View>
+              )}
+              
               <View style={styles.switchGroup}>
                 <Text style={styles.label}>Active</Text>
                 <Switch
@@ -462,6 +603,23 @@ const styles = StyleSheet.create({
     color: '#666',
     marginLeft: 6,
   },
+  alertStatusRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginBottom: 12,
+  },
+  alertStatusBadge: {
+    borderWidth: 1,
+    borderRadius: 12,
+    paddingHorizontal: 8,
+    paddingVertical: 2,
+    marginRight: 6,
+    marginBottom: 4,
+  },
+  alertStatusText: {
+    fontSize: 12,
+    fontWeight: '500',
+  },
   contactActions: {
     flexDirection: 'row',
     justifyContent: 'flex-end',
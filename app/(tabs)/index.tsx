@@ -8,6 +8,8 @@ import { ThemedText } from '@/components/ThemedText';
 import { ThemedView } from '@/components/ThemedView';
 import SafetyMap from '../../components/SafetyMap';
 import SafetyStatus from '../../components/SafetyStatus';
+import CheckInStatus from '../../components/CheckInStatus';
+import LiveShareStatus from '../../components/LiveShareStatus';
 import { useSafety } from '../contexts/SafetyContext';
 
 export default function HomeScreen() {
@@ -26,6 +28,8 @@ export default function HomeScreen() {
       
       <ScrollView style={styles.content}>
         <SafetyStatus />
+        <CheckInStatus />
+        <LiveShareStatus />
         
         <ThemedView style={styles.infoCard}>
           <ThemedText style={styles.infoTitle}>SafeTack</ThemedText>
@@ -0,0 +1,414 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  StyleSheet,
+  View,
+  Text,
+  FlatList,
+  ScrollView,
+  TouchableOpacity,
+  ActivityIndicator,
+  ListRenderItem
+} from 'react-native';
+import { useRouter } from 'expo-router';
+import { Ionicons } from '@expo/vector-icons';
+import { JourneysModel, RoutesModel, Route, JourneySummary, JourneyFilters } from '../database/models';
+import {
+  formatDistance,
+  formatDuration,
+  formatDate,
+  formatTime,
+  getTransportationName
+} from '../utils/helpers';
+import { isDuressSession } from '../services/SecurityService';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Date range choices (null = all time)
+const DATE_RANGES: { label: string; days: number | null }[] = [
+  { label: 'All', days: null },
+  { label: 'Today', days: 1 },
+  { label: '7 days', days: 7 },
+  { label: '30 days', days: 30 }
+];
+
+const DEVIATION_FILTERS: { label: string; value: boolean | undefined }[] = [
+  { label: 'All', value: undefined },
+  { label: 'With deviations', value: true },
+  { label: 'No deviations', value: false }
+];
+
+export default function JourneysScreen() {
+  const [journeys, setJourneys] = useState<JourneySummary[]>([]);
+  const [routes, setRoutes] = useState<Route[]>([]);
+  const [modes, setModes] = useState<string[]>([]);
+  const [loading, setLoading] = useState<boolean>(true);
+  const [error, setError] = useState<string | null>(null);
+
+  const [rangeDays, setRangeDays] = useState<number | null>(null);
+  const [routeId, setRouteId] = useState<number | undefined>(undefined);
+  const [mode, setMode] = useState<string | undefined>(undefined);
+  const [hasDeviation, setHasDeviation] = useState<boolean | undefined>(undefined);
+  const router = useRouter();
+
+  // Load journeys matching the current filters
+  const loadJourneys = useCallback(async (): Promise<void> => {
+    try {
+      setLoading(true);
+      setError(null);
+
+      // After a duress unlock the list mustn't show that contacts were just alerted
+      const filters: JourneyFilters = {
+        routeId,
+        transportationMode: mode,
+        hasDeviation,
+        hideDuress: isDuressSession()
+      };
+      if (rangeDays !== null) {
+        // "Today" starts at midnight; longer ranges count back whole days from now
+        const today = new Date();
+        today.setHours(0, 0, 0, 0);
+        filters.from = rangeDays === 1 ? today.getTime() : Date.now() - rangeDays * DAY;
+      }
+
+      setJourneys(await JourneysModel.getJourneys(filters));
+      setLoading(false);
+    } catch (err) {
+      console.error('Error loading journeys:', err);
+      setError('Failed to load your journeys');
+      setLoading(false);
+    }
+  }, [rangeDays, routeId, mode, hasDeviation]);
+
+  // Load filter choices on initial render
+  useEffect(() => {
+    const loadFilterOptions = async (): Promise<void> => {
+      try {
+        setRoutes(await RoutesModel.getRoutes());
+        setModes(await JourneysModel.getTransportationModes());
+      } catch (err) {
+        console.error('Error loading journey filters:', err);
+      }
+    };
+
+    loadFilterOptions();
+  }, []);
+
+  // Reload whenever a filter changes
+  useEffect(() => {
+    loadJourneys();
+  }, [loadJourneys]);
+
+  // Render a row of filter choices
+  const renderFilterRow = <T,>(
+    label: string,
+    options: { label: string; value: T }[],
+    selected: T,
+    onSelect: (value: T) => void
+  ): React.ReactElement => (
+    <View style={styles.filterRow}>
+      <Text style={styles.filterLabel}>{label}</Text>
+      <ScrollView horizontal showsHorizontalScrollIndicator={false}>
+        {options.map(option => {
+          const isSelected = option.value === selected;
+          return (
+            <TouchableOpacity
+              key={option.label}
+              style={[styles.valueBadge, isSelected && styles.selectedValue]}
+              onPress={() => onSelect(option.value)}
+            >
+              <Text style={isSelected ? styles.selectedValueText : styles.valueText}>
+                {option.label}
+              </Text>
+            </TouchableOpacity>
+          );
+        })}
+      </ScrollView>
+    </View>
+  );
+
+  // Render journey item
+  const renderJourneyItem: ListRenderItem<JourneySummary> = ({ item }) => {
+    const duration = item.end_time ? item.end_time - item.start_time : undefined;
+
+    return (
+      <TouchableOpacity
+        style={styles.journeyItem}
+        onPress={() => router.push(`/journey/${item.id}`)}
+      >
+        <View style={styles.journeyDetails}>
+          <View style={styles.journeyHeader}>
+            <Text style={styles.journeyTitle}>
+              {formatDate(item.start_time)} at {formatTime(item.start_time)}
+            </Text>
+            {item.deviation_count > 0 && (
+              <View style={styles.deviationBadge}>
+                <Ionicons name="warning-outline" size={12} color="#E65100" />
+                <Text style={styles.deviationText}>{item.deviation_count}</Text>
+              </View>
+            )}
+          </View>
+
+          <View style={styles.detailRow}>
+            <Ionicons name="map-outline" size={16} color="#666" />
+            <Text style={styles.detailText}>{item.route_name || 'No matched route'}</Text>
+          </View>
+
+          <View style={styles.detailRow}>
+            <Ionicons name="time-outline" size={16} color="#666" />
+            <Text style={styles.detailText}>
+              {item.end_time ? formatDuration(duration) : 'In progress'} · {formatDistance(item.distance)}
+            </Text>
+          </View>
+
+          <View style={styles.detailRow}>
+            <Ionicons name="walk-outline" size={16} color="#666" />
+            <Text style={styles.detailText}>
+              {getTransportationName(item.transportation_mode || undefined)}
+            </Text>
+          </View>
+        </View>
+
+        <Ionicons name="chevron-forward-outline" size={24} color="#999" />
+      </TouchableOpacity>
+    );
+  };
+
+  // Empty state
+  const renderEmptyState = (): React.ReactElement => (
+    <View style={styles.emptyState}>
+      <Ionicons name="footsteps-outline" size={64} color="#ccc" />
+      <Text style={styles.emptyTitle}>No Journeys</Text>
+      <Text style={styles.emptyText}>
+        Journeys you track appear here. Try changing the filters if you expected to see some.
+      </Text>
+    </View>
+  );
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.header}>
+        <Text style={styles.title}>Journey History</Text>
+        <TouchableOpacity style={styles.refreshButton} onPress={loadJourneys}>
+          <Ionicons name="refresh-outline" size={24} color="#2196F3" />
+        </TouchableOpacity>
+      </View>
+
+      <View style={styles.filters}>
+        {renderFilterRow(
+          'Date',
+          DATE_RANGES.map(range => ({ label: range.label, value: range.days })),
+          rangeDays,
+          setRangeDays
+        )}
+        {renderFilterRow(
+          'Route',
+          [
+            { label: 'All', value: undefined as number | undefined },
+            ...routes.map(route => ({ label: route.name || `Route ${route.id}`, value: route.id }))
+          ],
+          routeId,
+          setRouteId
+        )}
+        {modes.length > 0 && renderFilterRow(
+          'Mode',
+          [
+            { label: 'All', value: undefined as string | undefined },
+            ...modes.map(value => ({ label: getTransportationName(value), value }))
+          ],
+          mode,
+          setMode
+        )}
+        {renderFilterRow('Deviations', DEVIATION_FILTERS, hasDeviation, setHasDeviation)}
+      </View>
+
+      {loading ? (
+        <View style={styles.loadingContainer}>
+          <ActivityIndicator size="large" color="#2196F3" />
+          <Text style={styles.loadingText}>Loading your journeys...</Text>
+        </View>
+      ) : error ? (
+        <View style={styles.errorContainer}>
+          <Ionicons name="alert-circle-outline" size={32} color="#F44336" />
+          <Text style={styles.errorText}>{error}</Text>
+          <TouchableOpacity
+            style={styles.retryButton}
+            onPress={loadJourneys}
+          >
+            <Text style={styles.retryText}>Retry</Text>
+          </TouchableOpacity>
+        </View>
+      ) : (
+        <FlatList
+          data={journeys}
+          renderItem={renderJourneyItem}
+          keyExtractor={item => item.id.toString()}
+          contentContainerStyle={journeys.length === 0 ? { flex: 1 } : null}
+          ListEmptyComponent={renderEmptyState}
+        />
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5',
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: 16,
+    paddingTop: 60,
+    backgroundColor: '#fff',
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  refreshButton: {
+    padding: 4,
+  },
+  filters: {
+    backgroundColor: '#fff',
+    paddingHorizontal: 16,
+    paddingBottom: 8,
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+  },
+  filterRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 8,
+  },
+  filterLabel: {
+    width: 80,
+    fontSize: 14,
+    color: '#666',
+  },
+  valueBadge: {
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+    borderRadius: 4,
+    backgroundColor: '#f0f0f0',
+    marginRight: 8,
+  },
+  selectedValue: {
+    backgroundColor: '#2196F3',
+  },
+  valueText: {
+    fontSize: 14,
+    color: '#555',
+  },
+  selectedValueText: {
+    fontSize: 14,
+    color: '#fff',
+    fontWeight: '500',
+  },
+  journeyItem: {
+    backgroundColor: '#fff',
+    borderRadius: 8,
+    padding: 16,
+    margin: 12,
+    marginBottom: 0,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.05,
+    shadowRadius: 2,
+    elevation: 1,
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  journeyDetails: {
+    flex: 1,
+  },
+  journeyHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  journeyTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#333',
+    flex: 1,
+  },
+  deviationBadge: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#FFF3E0',
+    borderRadius: 12,
+    paddingHorizontal: 8,
+    paddingVertical: 2,
+    marginLeft: 8,
+  },
+  deviationText: {
+    fontSize: 12,
+    color: '#E65100',
+    fontWeight: '500',
+    marginLeft: 4,
+  },
+  detailRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 4,
+  },
+  detailText: {
+    fontSize: 14,
+    color: '#666',
+    marginLeft: 6,
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  loadingText: {
+    marginTop: 12,
+    color: '#666',
+  },
+  errorContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 24,
+  },
+  errorText: {
+    marginTop: 12,
+    marginBottom: 16,
+    color: '#666',
+    textAlign: 'center',
+  },
+  retryButton: {
+    backgroundColor: '#2196F3',
+    paddingHorizontal: 16,
+    paddingVertical: 8,
+    borderRadius: 4,
+  },
+  retryText: {
+    color: '#fff',
+    fontWeight: '600',
+  },
+  emptyState: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 24,
+  },
+  emptyTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#333',
+    marginTop: 16,
+    marginBottom: 8,
+  },
+  emptyText: {
+    color: '#666',
+    textAlign: 'center',
+    lineHeight: 20,
+  },
+});
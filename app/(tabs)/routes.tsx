@@ -1,8 +1,9 @@
 import React, { useState, useEffect } from 'react';
-import { StyleSheet, View, Text, FlatList, TouchableOpacity, ActivityIndicator, ListRenderItem } from 'react-native';
+import { StyleSheet, View, Text, FlatList, TouchableOpacity, ActivityIndicator, ListRenderItem, Alert } from 'react-native';
 import { useRouter } from 'expo-router';
 import { Ionicons } from '@expo/vector-icons';
 import { RoutesModel } from '../database/models';
+import { pickAndImportRoute } from '../services/TrackExchangeService';
 
 interface RouteLocation {
   latitude: number;
@@ -26,6 +27,7 @@ export default function RoutesScreen() {
   const [routes, setRoutes] = useState<Route[]>([]);
   const [loading, setLoading] = useState<boolean>(true);
   const [error, setError] = useState<string | null>(null);
+  const [importing, setImporting] = useState<boolean>(false);
   const router = useRouter();
 
   // Load routes on initial render
@@ -47,6 +49,23 @@ export default function RoutesScreen() {
     }
   };
 
+  // Import a GPX or GeoJSON file as a new route
+  const handleImportRoute = async (): Promise<void> => {
+    try {
+      setImporting(true);
+      const routeId = await pickAndImportRoute();
+      if (routeId === null) return;
+      
+      await loadRoutes();
+      router.push(`/route/${routeId}`);
+    } catch (err: any) {
+      console.error('Error importing route:', err);
+      Alert.alert('Import Failed', err?.message || 'Could not import this file');
+    } finally {
+      setImporting(false);
+    }
+  };
+
   // Navigate to route detail
   const handleRoutePress = (routeId: number): void => {
     router.push(`/route/${routeId}`);
@@ -140,7 +159,7 @@ export default function RoutesScreen() {
         <Text style={styles.emptyTitle}>No Routes Yet</Text>
         <Text style={styles.emptyText}>
           As you travel, SafeTack will automatically learn your regular routes 
-          and display them here.
+          and display them here. You can also import a GPX or GeoJSON file.
         </Text>
       </View>
     );
@@ -150,9 +169,18 @@ export default function RoutesScreen() {
     <View style={styles.container}>
       <View style={styles.header}>
         <Text style={styles.title}>Your Routes</Text>
-        <TouchableOpacity style={styles.refreshButton} onPress={loadRoutes}>
-          <Ionicons name="refresh-outline" size={24} color="#2196F3" />
-        </TouchableOpacity>
+        <View style={styles.headerActions}>
+          <TouchableOpacity style={styles.refreshButton} onPress={handleImportRoute} disabled={importing}>
+            {importing ? (
+              <ActivityIndicator size="small" color="#2196F3" />
+            ) : (
+              <Ionicons name="download-outline" size={24} color="#2196F3" />
+            )}
+          </TouchableOpacity>
+          <TouchableOpacity style={styles.refreshButton} onPress={loadRoutes}>
+            <Ionicons name="refresh-outline" size={24} color="#2196F3" />
+          </TouchableOpacity>
+        </View>
       </View>
       
       {loading ? (
@@ -204,8 +232,13 @@ const styles = StyleSheet.create({
     fontWeight: 'bold',
     color: '#333',
   },
+  headerActions: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
   refreshButton: {
     padding: 4,
+    marginLeft: 12,
   },
   routeItem: {
     backgroundColor: '#fff',
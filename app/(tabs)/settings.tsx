@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { 
   StyleSheet, 
   View, 
@@ -11,71 +11,96 @@ import {
   ActivityIndicator
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
+import { useRouter } from 'expo-router';
 import * as Location from 'expo-location';
 import * as Notifications from 'expo-notifications';
 import { useSafety } from '../contexts/SafetyContext';
 import { useUser } from '../contexts/UserContext';
-import database from '../database/database';
-import { syncEmergencyContacts, syncRoutes } from '../services/SupabaseService';
+import { CleanupHistoryEntry } from '../database/models';
+import { syncNow, getSyncUser } from '../services/SyncService';
+import { runComprehensiveCleanup, getCleanupHistory } from '../services/DataRetentionService';
+import { getTrackingStatus } from '../services/LocationService';
+import { shareUserData, wipeAllData } from '../services/PrivacyService';
+import { isDuressSession } from '../services/SecurityService';
+import {
+  getSettings,
+  updateSettings,
+  subscribeToSettings,
+  AppSettings,
+  TrackingFrequency,
+  DEFAULT_SETTINGS
+} from '../services/SettingsService';
+import { SUPPORTED_ALERT_LOCALES } from '../services/AlertTemplates';
+import { formatDate } from '../utils/helpers';
 
-interface Settings {
-  deviationThreshold: number;
-  alertTimeout: number;
-  trackingFrequency: 'high' | 'balanced' | 'low';
-  batteryOptimization: boolean;
-  pauseDuringNight: boolean;
-  nightStartHour: number;
-  nightEndHour: number;
-  autoSyncToCloud: boolean;
-  dataRetentionDays: number;
-}
+// Retention choices (days) for history the user may want to keep for longer
+const ROUTE_HISTORY_OPTIONS = [
+  { days: 90, label: '3 months' },
+  { days: 365, label: '1 year' },
+  { days: 730, label: '2 years' }
+];
+const ALERT_HISTORY_OPTIONS = [
+  { days: 30, label: '30 days' },
+  { days: 90, label: '90 days' },
+  { days: 365, label: '1 year' }
+];
 
-interface SyncResult {
-  success: boolean;
-  count: number;
-}
+// Summarize what a cleanup run removed
+const describeCleanup = (entry: CleanupHistoryEntry): string => {
+  if (!entry.success) {
+    return `${formatDate(entry.started_at)} · failed`;
+  }
+
+  const { journeyPointsThinned = 0, ...deleted } = entry.counts;
+  const removed = Object.values(deleted).reduce((sum, count) => sum + count, 0);
+  return `${formatDate(entry.started_at)} · ${journeyPointsThinned} points thinned, ${removed} records removed`;
+};
 
 export default function SettingsScreen() {
+  const router = useRouter();
   const { locationPermission, notificationPermission, requestPermissions } = useSafety();
   const { user, signOut, isGuest, setGuest } = useUser();
   const [syncLoading, setSyncLoading] = useState<boolean>(false);
+  const [dataTask, setDataTask] = useState<'export' | 'cleanup' | 'wipe' | null>(null);
+  const [lastCleanup, setLastCleanup] = useState<CleanupHistoryEntry | null>(null);
   
   // Settings state
-  const [settings, setSettings] = useState<Settings>({
-    deviationThreshold: 100, // meters
-    alertTimeout: 60, // seconds
-    trackingFrequency: 'balanced', // 'high', 'balanced', 'low'
-    batteryOptimization: true,
-    pauseDuringNight: true,
-    nightStartHour: 23,
-    nightEndHour: 6,
-    autoSyncToCloud: false,
-    dataRetentionDays: 30
-  });
+  const [settings, setSettings] = useState<AppSettings>(DEFAULT_SETTINGS);
+  
+  // Load persisted settings and stay in sync with changes made elsewhere
+  useEffect(() => {
+    getSettings().then(setSettings);
+    return subscribeToSettings(setSettings);
+  }, []);
+  
+  // Load the latest cleanup run
+  useEffect(() => {
+    getCleanupHistory(1)
+      .then(([entry]) => setLastCleanup(entry || null))
+      .catch(error => console.warn('Error loading cleanup history:', error));
+  }, []);
+  
+  // Persist a setting change
+  const changeSetting = async <K extends keyof AppSettings>(key: K, value: AppSettings[K]): Promise<void> => {
+    try {
+      await updateSettings({ [key]: value } as Partial<AppSettings>);
+    } catch (error) {
+      console.error(`Error saving setting ${key}:`, error);
+      Alert.alert('Error', 'Failed to save setting');
+    }
+  };
 
   // Toggle a boolean setting
-  const toggleSetting = (key: keyof Settings): void => {
-    if (typeof settings[key] === 'boolean') {
-      setSettings({
-        ...settings,
-        [key]: !settings[key]
-      });
-      
-      // Save to local storage or database in real app
-      // This is a simplified implementation
-      console.log(`Setting ${key} changed to ${!settings[key]}`);
+  const toggleSetting = (key: keyof AppSettings): void => {
+    const value = settings[key];
+    if (typeof value === 'boolean') {
+      changeSetting(key, !value);
     }
   };
   
   // Handle tracking frequency change
-  const handleFrequencyChange = (value: 'high' | 'balanced' | 'low'): void => {
-    setSettings({
-      ...settings,
-      trackingFrequency: value
-    });
-    
-    // Save to local storage or database in real app
-    console.log(`Tracking frequency changed to ${value}`);
+  const handleFrequencyChange = (value: TrackingFrequency): void => {
+    changeSetting('trackingFrequency', value);
   };
   
   // Handle sync with Supabase
@@ -83,16 +108,15 @@ export default function SettingsScreen() {
     try {
       setSyncLoading(true);
       
-      // Sync contacts and routes
-      const contactsResult = await syncEmergencyContacts();
-      const routesResult = await syncRoutes();
+      // Sync contacts and routes both ways
+      const result = await syncNow();
       
       setSyncLoading(false);
       
-      if (contactsResult.success && routesResult.success) {
+      if (result.success) {
         Alert.alert(
           'Sync Complete',
-          `Successfully synced ${contactsResult.count} contacts and ${routesResult.count} routes to your cloud account.`
+          `Downloaded ${result.pulled} and uploaded ${result.pushed} changes with your cloud account.`
         );
       } else {
         Alert.alert(
@@ -121,35 +145,85 @@ export default function SettingsScreen() {
     }
   };
   
-  // Clear all data
-  const handleClearData = (): void => {
+  // Export everything SafeTack stores as a file; in a duress session it leaves the duress alert out
+  const handleExportData = async (): Promise<void> => {
+    try {
+      setDataTask('export');
+      await shareUserData();
+    } catch (error) {
+      console.error('Error exporting data:', error);
+      Alert.alert('Error', 'Failed to export your data');
+    } finally {
+      setDataTask(null);
+    }
+  };
+  
+  // Apply the retention settings now rather than waiting for the daily run
+  const handleCleanupNow = async (): Promise<void> => {
+    setDataTask('cleanup');
+    const result = await runComprehensiveCleanup('manual');
+    setDataTask(null);
+    
+    const [entry] = await getCleanupHistory(1);
+    setLastCleanup(entry || null);
+    
+    if (!result.success) {
+      Alert.alert('Error', 'Failed to clean up old data');
+    }
+  };
+  
+  // Delete all data, here and in the cloud unless the user chooses otherwise
+  const deleteAllData = async (includeCloud: boolean): Promise<void> => {
+    try {
+      setDataTask('wipe');
+      const result = await wipeAllData({ includeCloud });
+      setLastCleanup(null);
+      
+      Alert.alert(
+        'Data Deleted',
+        result.cloudRows === null
+          ? 'All data on this phone has been deleted.'
+          : 'All data on this phone and in your cloud account has been deleted.'
+      );
+    } catch (error) {
+      console.error('Error deleting data:', error);
+      const message = error instanceof Error ? error.message : 'Failed to delete your data';
+      
+      // Cloud rows go first, so nothing has been deleted yet. A duress session only
+      // gets the plain error: offering to delete from this phone instead would fail the same way
+      if (includeCloud && getSyncUser() && !isDuressSession() && !getTrackingStatus().isTracking) {
+        Alert.alert(
+          'Cloud Data Not Deleted',
+          `${message}. Nothing has been deleted. You can try again when you're online, or delete the data on this phone only.`,
+          [
+            { text: 'Cancel', style: 'cancel' },
+            { text: 'This Phone Only', style: 'destructive', onPress: () => deleteAllData(false) }
+          ]
+        );
+      } else {
+        Alert.alert('Error', message);
+      }
+    } finally {
+      setDataTask(null);
+    }
+  };
+  
+  // Confirm before deleting all data
+  const handleDeleteAllData = (): void => {
     Alert.alert(
-      'Clear All Data',
-      'This will delete all your routes, journeys, and tracking data. This action cannot be undone.',
+      'Delete All Data',
+      getSyncUser()
+        ? 'This will delete all your routes, journeys, contacts, alerts and settings on this phone and in your cloud account. This action cannot be undone.'
+        : 'This will delete all your routes, journeys, contacts, alerts and settings on this phone. This action cannot be undone.',
       [
         {
           text: 'Cancel',
           style: 'cancel'
         },
         {
-          text: 'Clear Data',
+          text: 'Delete Everything',
           style: 'destructive',
-          onPress: async () => {
-            try {
-              // In a real app, this would clear all tables
-              // This is a simplified implementation
-              await database.executeQuery('DELETE FROM Journeys');
-              await database.executeQuery('DELETE FROM JourneyPoints');
-              await database.executeQuery('DELETE FROM Routes');
-              await database.executeQuery('DELETE FROM RoutePoints');
-              await database.executeQuery('DELETE FROM DeviationEvents');
-              
-              Alert.alert('Success', 'All data has been cleared');
-            } catch (error) {
-              console.error('Error clearing data:', error);
-              Alert.alert('Error', 'Failed to clear data');
-            }
-          }
+          onPress: () => deleteAllData(true)
         }
       ]
     );
@@ -229,7 +303,7 @@ export default function SettingsScreen() {
                   styles.valueBadge,
                   settings.deviationThreshold === 50 && styles.selectedValue
                 ]}
-                onPress={() => setSettings({...settings, deviationThreshold: 50})}
+                onPress={() => changeSetting('deviationThreshold', 50)}
               >
                 <Text style={settings.deviationThreshold === 50 ? styles.selectedValueText : styles.valueText}>
                   50m
@@ -241,7 +315,7 @@ export default function SettingsScreen() {
                   styles.valueBadge,
                   settings.deviationThreshold === 100 && styles.selectedValue
                 ]}
-                onPress={() => setSettings({...settings, deviationThreshold: 100})}
+                onPress={() => changeSetting('deviationThreshold', 100)}
               >
                 <Text style={settings.deviationThreshold === 100 ? styles.selectedValueText : styles.valueText}>
                   100m
@@ -253,7 +327,7 @@ export default function SettingsScreen() {
                   styles.valueBadge,
                   settings.deviationThreshold === 200 && styles.selectedValue
                 ]}
-                onPress={() => setSettings({...settings, deviationThreshold: 200})}
+                onPress={() => changeSetting('deviationThreshold', 200)}
               >
                 <Text style={settings.deviationThreshold === 200 ? styles.selectedValueText : styles.valueText}>
                   200m
@@ -276,7 +350,7 @@ export default function SettingsScreen() {
                   styles.valueBadge,
                   settings.alertTimeout === 30 && styles.selectedValue
                 ]}
-                onPress={() => setSettings({...settings, alertTimeout: 30})}
+                onPress={() => changeSetting('alertTimeout', 30)}
               >
                 <Text style={settings.alertTimeout === 30 ? styles.selectedValueText : styles.valueText}>
                   30s
@@ -288,7 +362,7 @@ export default function SettingsScreen() {
                   styles.valueBadge,
                   settings.alertTimeout === 60 && styles.selectedValue
                 ]}
-                onPress={() => setSettings({...settings, alertTimeout: 60})}
+                onPress={() => changeSetting('alertTimeout', 60)}
               >
                 <Text style={settings.alertTimeout === 60 ? styles.selectedValueText : styles.valueText}>
                   60s
@@ -300,7 +374,7 @@ export default function SettingsScreen() {
                   styles.valueBadge,
                   settings.alertTimeout === 120 && styles.selectedValue
                 ]}
-                onPress={() => setSettings({...settings, alertTimeout: 120})}
+                onPress={() => changeSetting('alertTimeout', 120)}
               >
                 <Text style={settings.alertTimeout === 120 ? styles.selectedValueText : styles.valueText}>
                   2m
@@ -308,6 +382,216 @@ export default function SettingsScreen() {
               </TouchableOpacity>
             </View>
           </View>
+          
+          <View style={styles.settingItem}>
+            <View style={styles.settingInfo}>
+              <Text style={styles.settingTitle}>Escalation Interval</Text>
+              <Text style={styles.settingDescription}>
+                Wait between alerting each contact priority level
+              </Text>
+            </View>
+            
+            <View style={styles.valueSelector}>
+              {[120, 300, 600].map(delay => (
+                <TouchableOpacity 
+                  key={delay}
+                  style={[
+                    styles.valueBadge,
+                    settings.escalationTierDelay === delay && styles.selectedValue
+                  ]}
+                  onPress={() => changeSetting('escalationTierDelay', delay)}
+                >
+                  <Text style={settings.escalationTierDelay === delay ? styles.selectedValueText : styles.valueText}>
+                    {delay / 60}m
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+          </View>
+          
+          <View style={styles.settingItem}>
+            <View style={styles.settingInfo}>
+              <Text style={styles.settingTitle}>Alert Language</Text>
+              <Text style={styles.settingDescription}>
+                Language of messages sent to emergency contacts
+              </Text>
+            </View>
+            
+            <View style={styles.valueSelector}>
+              {SUPPORTED_ALERT_LOCALES.map(locale => (
+                <TouchableOpacity 
+                  key={locale}
+                  style={[
+                    styles.valueBadge,
+                    settings.alertLanguage === locale && styles.selectedValue
+                  ]}
+                  onPress={() => changeSetting('alertLanguage', locale)}
+                >
+                  <Text style={settings.alertLanguage === locale ? styles.selectedValueText : styles.valueText}>
+                    {locale.toUpperCase()}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+          </View>
+          
+          <TouchableOpacity 
+            style={styles.linkButton}
+            onPress={() => router.push('/alert-delivery')}
+          >
+            <Text style={styles.linkText}>SMS & Email Gateways</Text>
+            <Ionicons name="chevron-forward" size={16} color="#2196F3" />
+          </TouchableOpacity>
+        </View>
+        
+        {/* Check-ins */}
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Check-Ins</Text>
+          
+          <View style={styles.settingItem}>
+            <View style={styles.settingInfo}>
+              <Text style={styles.settingTitle}>Grace Period</Text>
+              <Text style={styles.settingDescription}>
+                How late you can be before SafeTack checks you're OK
+              </Text>
+            </View>
+            
+            <View style={styles.valueSelector}>
+              {[5, 10, 20].map(minutes => (
+                <TouchableOpacity 
+                  key={minutes}
+                  style={[
+                    styles.valueBadge,
+                    settings.checkInGraceMinutes === minutes && styles.selectedValue
+                  ]}
+                  onPress={() => changeSetting('checkInGraceMinutes', minutes)}
+                >
+                  <Text style={settings.checkInGraceMinutes === minutes ? styles.selectedValueText : styles.valueText}>
+                    {minutes}m
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+          </View>
+          
+          <View style={styles.settingItem}>
+            <View style={styles.settingInfo}>
+              <Text style={styles.settingTitle}>Stopped Moving</Text>
+              <Text style={styles.settingDescription}>
+                Check you're OK after stopping this long away from your destination
+              </Text>
+            </View>
+            
+            <View style={styles.valueSelector}>
+              {[10, 20, 30].map(minutes => (
+                <TouchableOpacity 
+                  key={minutes}
+                  style={[
+                    styles.valueBadge,
+                    settings.stationaryAlertMinutes === minutes && styles.selectedValue
+                  ]}
+                  onPress={() => changeSetting('stationaryAlertMinutes', minutes)}
+                >
+                  <Text style={settings.stationaryAlertMinutes === minutes ? styles.selectedValueText : styles.valueText}>
+                    {minutes}m
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+          </View>
+          
+          <View style={styles.settingItem}>
+            <View style={styles.settingInfo}>
+              <Text style={styles.settingTitle}>Arrival Messages</Text>
+              <Text style={styles.settingDescription}>
+                Tell your contacts when you arrive, unless you turn it off for a check-in
+              </Text>
+            </View>
+            
+            <Switch
+              value={settings.notifyContactsOnArrival}
+              onValueChange={() => toggleSetting('notifyContactsOnArrival')}
+              trackColor={{ false: '#ccc', true: '#81D4FA' }}
+              thumbColor={settings.notifyContactsOnArrival ? '#2196F3' : '#f4f3f4'}
+            />
+          </View>
+        </View>
+        
+        {/* Last known location */}
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Last Known Location</Text>
+          
+          <View style={styles.settingItem}>
+            <View style={styles.settingInfo}>
+              <Text style={styles.settingTitle}>Send Before Tracking Stops</Text>
+              <Text style={styles.settingDescription}>
+                Send contacts your last known location if your battery runs low, fixes stop or location access is turned off
+              </Text>
+            </View>
+            
+            <Switch
+              value={settings.lastKnownAlerts}
+              onValueChange={() => toggleSetting('lastKnownAlerts')}
+              trackColor={{ false: '#ccc', true: '#81D4FA' }}
+              thumbColor={settings.lastKnownAlerts ? '#2196F3' : '#f4f3f4'}
+            />
+          </View>
+          
+          {settings.lastKnownAlerts && (
+            <>
+              <View style={styles.settingItem}>
+                <View style={styles.settingInfo}>
+                  <Text style={styles.settingTitle}>Critical Battery</Text>
+                  <Text style={styles.settingDescription}>
+                    Battery level that counts as about to die, unless charging
+                  </Text>
+                </View>
+                
+                <View style={styles.valueSelector}>
+                  {[5, 10, 15].map(percent => (
+                    <TouchableOpacity 
+                      key={percent}
+                      style={[
+                        styles.valueBadge,
+                        settings.criticalBatteryPercent === percent && styles.selectedValue
+                      ]}
+                      onPress={() => changeSetting('criticalBatteryPercent', percent)}
+                    >
+                      <Text style={settings.criticalBatteryPercent === percent ? styles.selectedValueText : styles.valueText}>
+                        {percent}%
+                      </Text>
+                    </TouchableOpacity>
+                  ))}
+                </View>
+              </View>
+              
+              <View style={styles.settingItem}>
+                <View style={styles.settingInfo}>
+                  <Text style={styles.settingTitle}>Signal Lost</Text>
+                  <Text style={styles.settingDescription}>
+                    How long without a location fix before your location counts as lost
+                  </Text>
+                </View>
+                
+                <View style={styles.valueSelector}>
+                  {[5, 10, 20].map(minutes => (
+                    <TouchableOpacity 
+                      key={minutes}
+                      style={[
+                        styles.valueBadge,
+                        settings.signalLossMinutes === minutes && styles.selectedValue
+                      ]}
+                      onPress={() => changeSetting('signalLossMinutes', minutes)}
+                    >
+                      <Text style={settings.signalLossMinutes === minutes ? styles.selectedValueText : styles.valueText}>
+                        {minutes}m
+                      </Text>
+                    </TouchableOpacity>
+                  ))}
+                </View>
+              </View>
+            </>
+          )}
         </View>
         
         {/* Battery optimization */}
@@ -381,7 +665,7 @@ export default function SettingsScreen() {
             <View style={styles.settingInfo}>
               <Text style={styles.settingTitle}>Pause During Night</Text>
               <Text style={styles.settingDescription}>
-                Reduce tracking frequency during night hours
+                Pause background tracking from {settings.nightStartHour}:00 to {settings.nightEndHour}:00
               </Text>
             </View>
             
@@ -394,6 +678,19 @@ export default function SettingsScreen() {
           </View>
         </View>
         
+        {/* Security */}
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Security</Text>
+          
+          <TouchableOpacity 
+            style={styles.linkButton}
+            onPress={() => router.push('/security')}
+          >
+            <Text style={styles.linkText}>App Lock & Duress PIN</Text>
+            <Ionicons name="chevron-forward" size={16} color="#2196F3" />
+          </TouchableOpacity>
+        </View>
+        
         {/* Data & Privacy */}
         <View style={styles.section}>
           <Text style={styles.sectionTitle}>Data & Privacy</Text>
@@ -416,9 +713,9 @@ export default function SettingsScreen() {
           
           <View style={styles.settingItem}>
             <View style={styles.settingInfo}>
-              <Text style={styles.settingTitle}>Data Retention</Text>
+              <Text style={styles.settingTitle}>Sync Conflicts</Text>
               <Text style={styles.settingDescription}>
-                How long to keep journey history
+                When something changed on this phone and in the cloud
               </Text>
             </View>
             
@@ -426,46 +723,172 @@ export default function SettingsScreen() {
               <TouchableOpacity 
                 style={[
                   styles.valueBadge,
-                  settings.dataRetentionDays === 7 && styles.selectedValue
-                ]}
-                onPress={() => setSettings({...settings, dataRetentionDays: 7})}
-              >
-                <Text style={settings.dataRetentionDays === 7 ? styles.selectedValueText : styles.valueText}>
-                  7 days
-                </Text>
-              </TouchableOpacity>
-              
-              <TouchableOpacity 
-                style={[
-                  styles.valueBadge,
-                  settings.dataRetentionDays === 30 && styles.selectedValue
+                  settings.syncConflictResolution === 'newest' && styles.selectedValue
                 ]}
-                onPress={() => setSettings({...settings, dataRetentionDays: 30})}
+                onPress={() => changeSetting('syncConflictResolution', 'newest')}
               >
-                <Text style={settings.dataRetentionDays === 30 ? styles.selectedValueText : styles.valueText}>
-                  30 days
+                <Text style={settings.syncConflictResolution === 'newest' ? styles.selectedValueText : styles.valueText}>
+                  Newest
                 </Text>
               </TouchableOpacity>
               
               <TouchableOpacity 
                 style={[
                   styles.valueBadge,
-                  settings.dataRetentionDays === 90 && styles.selectedValue
+                  settings.syncConflictResolution === 'ask' && styles.selectedValue
                 ]}
-                onPress={() => setSettings({...settings, dataRetentionDays: 90})}
+                onPress={() => changeSetting('syncConflictResolution', 'ask')}
               >
-                <Text style={settings.dataRetentionDays === 90 ? styles.selectedValueText : styles.valueText}>
-                  90 days
+                <Text style={settings.syncConflictResolution === 'ask' ? styles.selectedValueText : styles.valueText}>
+                  Ask me
                 </Text>
               </TouchableOpacity>
             </View>
           </View>
           
+          <View style={styles.settingItem}>
+            <View style={styles.settingInfo}>
+              <Text style={styles.settingTitle}>Journey History</Text>
+              <Text style={styles.settingDescription}>
+                How long to keep journeys that aren't on a learned route
+              </Text>
+            </View>
+            
+            <View style={styles.valueSelector}>
+              {[7, 30, 90].map(days => (
+                <TouchableOpacity 
+                  key={days}
+                  style={[
+                    styles.valueBadge,
+                    settings.dataRetentionDays === days && styles.selectedValue
+                  ]}
+                  onPress={() => changeSetting('dataRetentionDays', days)}
+                >
+                  <Text style={settings.dataRetentionDays === days ? styles.selectedValueText : styles.valueText}>
+                    {days} days
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+          </View>
+          
+          <View style={styles.settingItem}>
+            <View style={styles.settingInfo}>
+              <Text style={styles.settingTitle}>Learned Route History</Text>
+              <Text style={styles.settingDescription}>
+                How long to keep journeys on your learned routes
+              </Text>
+            </View>
+            
+            <View style={styles.valueSelector}>
+              {ROUTE_HISTORY_OPTIONS.map(({ days, label }) => (
+                <TouchableOpacity 
+                  key={days}
+                  style={[
+                    styles.valueBadge,
+                    settings.routeHistoryDays === days && styles.selectedValue
+                  ]}
+                  onPress={() => changeSetting('routeHistoryDays', days)}
+                >
+                  <Text style={settings.routeHistoryDays === days ? styles.selectedValueText : styles.valueText}>
+                    {label}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+          </View>
+          
+          <View style={styles.settingItem}>
+            <View style={styles.settingInfo}>
+              <Text style={styles.settingTitle}>Full Detail</Text>
+              <Text style={styles.settingDescription}>
+                How long journeys keep every location before being thinned to one every 30 seconds
+              </Text>
+            </View>
+            
+            <View style={styles.valueSelector}>
+              {[1, 7, 30].map(days => (
+                <TouchableOpacity 
+                  key={days}
+                  style={[
+                    styles.valueBadge,
+                    settings.fullDetailDays === days && styles.selectedValue
+                  ]}
+                  onPress={() => changeSetting('fullDetailDays', days)}
+                >
+                  <Text style={settings.fullDetailDays === days ? styles.selectedValueText : styles.valueText}>
+                    {days === 1 ? '1 day' : `${days} days`}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+          </View>
+          
+          <View style={styles.settingItem}>
+            <View style={styles.settingInfo}>
+              <Text style={styles.settingTitle}>Alert History</Text>
+              <Text style={styles.settingDescription}>
+                How long to keep deviations and the alerts sent to your contacts
+              </Text>
+            </View>
+            
+            <View style={styles.valueSelector}>
+              {ALERT_HISTORY_OPTIONS.map(({ days, label }) => (
+                <TouchableOpacity 
+                  key={days}
+                  style={[
+                    styles.valueBadge,
+                    settings.alertHistoryDays === days && styles.selectedValue
+                  ]}
+                  onPress={() => changeSetting('alertHistoryDays', days)}
+                >
+                  <Text style={settings.alertHistoryDays === days ? styles.selectedValueText : styles.valueText}>
+                    {label}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+          </View>
+          
+          <View style={styles.aboutItem}>
+            <Text style={styles.aboutLabel}>Last Cleanup</Text>
+            <Text style={styles.aboutValue}>
+              {lastCleanup ? describeCleanup(lastCleanup) : 'Not yet run'}
+            </Text>
+          </View>
+          
+          <TouchableOpacity 
+            style={styles.linkButton}
+            onPress={handleCleanupNow}
+            disabled={dataTask !== null}
+          >
+            <Text style={styles.linkText}>
+              {dataTask === 'cleanup' ? 'Cleaning Up...' : 'Clean Up Now'}
+            </Text>
+            <Ionicons name="trash-bin-outline" size={18} color="#2196F3" />
+          </TouchableOpacity>
+          
+          <TouchableOpacity 
+            style={styles.linkButton}
+            onPress={handleExportData}
+            disabled={dataTask !== null}
+          >
+            <Text style={styles.linkText}>
+              {dataTask === 'export' ? 'Preparing...' : 'Download My Data'}
+            </Text>
+            <Ionicons name="download-outline" size={18} color="#2196F3" />
+          </TouchableOpacity>
+          
           <TouchableOpacity 
             style={styles.dangerButton}
-            onPress={handleClearData}
+            onPress={handleDeleteAllData}
+            disabled={dataTask !== null}
           >
-            <Text style={styles.dangerButtonText}>Clear All Data</Text>
+            {dataTask === 'wipe' ? (
+              <ActivityIndicator size="small" color="#f44336" />
+            ) : (
+              <Text style={styles.dangerButtonText}>Delete All Data</Text>
+            )}
           </TouchableOpacity>
         </View>
         
@@ -500,8 +923,8 @@ export default function SettingsScreen() {
                 </View>
               ) : (
                 <>
-                  <Text style={styles.linkText}>Sync Data to Cloud</Text>
-                  <Ionicons name="cloud-upload-outline" size={18} color="#2196F3" />
+                  <Text style={styles.linkText}>Sync Now</Text>
+                  <Ionicons name="sync-outline" size={18} color="#2196F3" />
                 </>
               )}
             </TouchableOpacity>
@@ -518,6 +941,21 @@ export default function SettingsScreen() {
           </TouchableOpacity>
         </View>
         
+        {/* Developer tools, only in development builds */}
+        {__DEV__ && (
+          <View style={styles.section}>
+            <Text style={styles.sectionTitle}>Developer</Text>
+            
+            <TouchableOpacity 
+              style={styles.linkButton}
+              onPress={() => router.push('/developer')}
+            >
+              <Text style={styles.linkText}>Trip Simulator</Text>
+              <Ionicons name="chevron-forward" size={16} color="#2196F3" />
+            </TouchableOpacity>
+          </View>
+        )}
+        
         {/* About section */}
         <View style={styles.section}>
           <Text style={styles.sectionTitle}>About</Text>
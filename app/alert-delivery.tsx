@@ -0,0 +1,331 @@
+import React, { useState, useEffect } from 'react';
+import {
+  StyleSheet,
+  View,
+  Text,
+  ScrollView,
+  TouchableOpacity,
+  ActivityIndicator,
+  Alert,
+  TextInput
+} from 'react-native';
+import { useRouter } from 'expo-router';
+import { Ionicons } from '@expo/vector-icons';
+import {
+  getGatewaySettings,
+  saveGatewaySettings,
+  GatewaySettings,
+  GatewayType
+} from './services/AlertTransports';
+import { isDuressSession } from './services/SecurityService';
+
+interface GatewayForm {
+  endpoint: string;
+  apiKey: string;
+  sender: string;
+  saved: GatewaySettings | null;
+}
+
+const EMPTY_FORM: GatewayForm = { endpoint: '', apiKey: '', sender: '', saved: null };
+
+const GATEWAYS: { type: GatewayType; title: string; description: string; senderLabel: string }[] = [
+  {
+    type: 'sms',
+    title: 'SMS Gateway',
+    description: 'An HTTP SMS gateway that texts your contacts',
+    senderLabel: 'Sender name or number'
+  },
+  {
+    type: 'email',
+    title: 'Email API',
+    description: 'An HTTP email API that emails your contacts',
+    senderLabel: 'From address'
+  }
+];
+
+export default function AlertDeliveryScreen(): React.ReactElement {
+  const router = useRouter();
+
+  const [forms, setForms] = useState<Record<GatewayType, GatewayForm> | null>(null);
+  const [saving, setSaving] = useState<GatewayType | null>(null);
+
+  useEffect(() => {
+    Promise.all([getGatewaySettings('sms'), getGatewaySettings('email')])
+      .then(([sms, email]) => {
+        // API keys stay in the keychain rather than being shown again
+        const toForm = (saved: GatewaySettings | null): GatewayForm => ({
+          endpoint: saved?.endpoint || '',
+          apiKey: '',
+          sender: saved?.sender || '',
+          saved
+        });
+        setForms({ sms: toForm(sms), email: toForm(email) });
+      })
+      .catch(err => {
+        console.error('Error loading gateway settings:', err);
+        Alert.alert('Error', 'Failed to load gateway settings');
+        setForms({ sms: EMPTY_FORM, email: EMPTY_FORM });
+      });
+  }, []);
+
+  const updateForm = (type: GatewayType, changes: Partial<GatewayForm>): void => {
+    setForms(current => current && { ...current, [type]: { ...current[type], ...changes } });
+  };
+
+  const applyChange = async (type: GatewayType, settings: GatewaySettings | null): Promise<void> => {
+    setSaving(type);
+    try {
+      // Whoever forced a duress unlock mustn't be able to stop alerts going out
+      if (!isDuressSession()) {
+        await saveGatewaySettings(type, settings);
+      }
+
+      updateForm(type, { apiKey: '', saved: settings, ...(settings ? {} : { endpoint: '', sender: '' }) });
+      Alert.alert('Saved', settings ? 'Alerts will be sent through this gateway.' : 'The gateway has been removed.');
+    } catch (err: any) {
+      Alert.alert('Error', err.message || 'Failed to save');
+    } finally {
+      setSaving(null);
+    }
+  };
+
+  const handleSave = (type: GatewayType): void => {
+    if (!forms) return;
+    const form = forms[type];
+
+    applyChange(type, {
+      endpoint: form.endpoint.trim(),
+      // A blank key field keeps the key already saved
+      apiKey: form.apiKey.trim() || form.saved?.apiKey || undefined,
+      sender: form.sender.trim() || undefined
+    });
+  };
+
+  const handleRemove = (type: GatewayType): void => {
+    Alert.alert(
+      'Remove Gateway',
+      'Contacts will no longer be alerted this way until a gateway is set up again.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Remove', style: 'destructive', onPress: () => applyChange(type, null) }
+      ]
+    );
+  };
+
+  if (!forms) {
+    return (
+      <View style={styles.loadingContainer}>
+        <ActivityIndicator size="large" color="#2196F3" />
+      </View>
+    );
+  }
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.header}>
+        <TouchableOpacity
+          style={styles.backButton}
+          onPress={() => router.back()}
+        >
+          <Ionicons name="arrow-back" size={24} color="#333" />
+        </TouchableOpacity>
+
+        <View style={styles.headerTitle}>
+          <Text style={styles.title}>Alert Delivery</Text>
+        </View>
+
+        <View style={styles.headerSpacer} />
+      </View>
+
+      <ScrollView style={styles.content}>
+        <Text style={styles.intro}>
+          API keys are kept in this phone&apos;s keychain and only sent to the gateway they belong to.
+          Webhook secrets are set per contact.
+        </Text>
+
+        {GATEWAYS.map(({ type, title, description, senderLabel }) => {
+          const form = forms[type];
+          return (
+            <View key={type} style={styles.detailsCard}>
+              <Text style={styles.cardTitle}>{title}</Text>
+              <Text style={styles.label}>{description}</Text>
+              {form.saved && (
+                <View style={styles.statusRow}>
+                  <Ionicons name="checkmark-circle" size={18} color="#4CAF50" />
+                  <Text style={styles.statusText}>
+                    {form.saved.apiKey ? 'Set up, API key saved' : 'Set up'}
+                  </Text>
+                </View>
+              )}
+
+              <TextInput
+                style={styles.input}
+                value={form.endpoint}
+                onChangeText={endpoint => updateForm(type, { endpoint })}
+                placeholder="https://gateway.example.com"
+                keyboardType="url"
+                autoCapitalize="none"
+                autoCorrect={false}
+              />
+              <TextInput
+                style={styles.input}
+                value={form.apiKey}
+                onChangeText={apiKey => updateForm(type, { apiKey })}
+                placeholder={form.saved?.apiKey ? 'New API key (blank keeps the saved one)' : 'API key'}
+                autoCapitalize="none"
+                autoCorrect={false}
+                secureTextEntry
+              />
+              <TextInput
+                style={styles.input}
+                value={form.sender}
+                onChangeText={sender => updateForm(type, { sender })}
+                placeholder={senderLabel}
+                autoCapitalize="none"
+                autoCorrect={false}
+              />
+
+              <TouchableOpacity
+                style={[styles.button, (saving !== null || !form.endpoint.trim()) && styles.buttonDisabled]}
+                onPress={() => handleSave(type)}
+                disabled={saving !== null || !form.endpoint.trim()}
+              >
+                {saving === type ? (
+                  <ActivityIndicator color="#fff" />
+                ) : (
+                  <>
+                    <Ionicons name="save-outline" size={20} color="#fff" />
+                    <Text style={styles.buttonText}>Save {title}</Text>
+                  </>
+                )}
+              </TouchableOpacity>
+
+              {form.saved && (
+                <TouchableOpacity
+                  style={styles.linkButton}
+                  onPress={() => handleRemove(type)}
+                  disabled={saving !== null}
+                >
+                  <Text style={styles.dangerText}>Remove {title}</Text>
+                </TouchableOpacity>
+              )}
+            </View>
+          );
+        })}
+      </ScrollView>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5',
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: 16,
+    paddingTop: 60,
+    backgroundColor: '#fff',
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+  },
+  backButton: {
+    padding: 4,
+  },
+  headerTitle: {
+    flex: 1,
+    alignItems: 'center',
+  },
+  headerSpacer: {
+    width: 32,
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  content: {
+    flex: 1,
+    padding: 16,
+  },
+  intro: {
+    fontSize: 14,
+    color: '#666',
+    marginBottom: 16,
+  },
+  detailsCard: {
+    backgroundColor: '#fff',
+    borderRadius: 8,
+    padding: 16,
+    marginBottom: 16,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.1,
+    shadowRadius: 2,
+    elevation: 2,
+  },
+  cardTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#333',
+    marginBottom: 8,
+  },
+  label: {
+    fontSize: 14,
+    color: '#666',
+    marginBottom: 4,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 4,
+    padding: 10,
+    fontSize: 16,
+    marginTop: 12,
+  },
+  statusRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 8,
+  },
+  statusText: {
+    fontSize: 14,
+    color: '#4CAF50',
+    marginLeft: 6,
+  },
+  button: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: '#2196F3',
+    borderRadius: 4,
+    padding: 12,
+    marginTop: 16,
+  },
+  buttonDisabled: {
+    backgroundColor: '#90CAF9',
+  },
+  buttonText: {
+    color: '#fff',
+    fontWeight: '600',
+    fontSize: 16,
+    marginLeft: 8,
+  },
+  linkButton: {
+    alignItems: 'center',
+    paddingVertical: 12,
+    marginTop: 4,
+  },
+  dangerText: {
+    fontSize: 14,
+    color: '#F44336',
+    fontWeight: '500',
+  },
+});
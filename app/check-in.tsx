@@ -0,0 +1,417 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import {
+  StyleSheet,
+  View,
+  Text,
+  ScrollView,
+  TouchableOpacity,
+  ActivityIndicator,
+  Alert,
+  Switch,
+  TextInput
+} from 'react-native';
+import { useRouter } from 'expo-router';
+import { Ionicons } from '@expo/vector-icons';
+import { RoutesModel, Route } from './database/models';
+import SafetyMap, { MapMarker } from '../components/SafetyMap';
+import { useSafety } from './contexts/SafetyContext';
+import { getSettings } from './services/SettingsService';
+import { CheckInDestination } from './services/CheckInService';
+import { formatDuration } from './utils/helpers';
+
+// Expected trip lengths offered, in minutes; routes also offer their usual duration
+const DURATION_OPTIONS = [15, 30, 45, 60, 90];
+
+interface PickedPoint {
+  latitude: number;
+  longitude: number;
+}
+
+export default function CheckInScreen(): React.ReactElement {
+  const router = useRouter();
+  const { startCheckIn, error } = useSafety();
+
+  const [routes, setRoutes] = useState<Route[]>([]);
+  const [selectedRoute, setSelectedRoute] = useState<Route | null>(null);
+  const [point, setPoint] = useState<PickedPoint | null>(null);
+  const [pointName, setPointName] = useState<string>('');
+  const [durationMinutes, setDurationMinutes] = useState<number | null>(null);
+  const [notifyContacts, setNotifyContacts] = useState<boolean>(false);
+  const [loading, setLoading] = useState<boolean>(true);
+  const [starting, setStarting] = useState<boolean>(false);
+
+  // Load learned routes and the arrival message default
+  useEffect(() => {
+    const load = async () => {
+      try {
+        const [routeList, settings] = await Promise.all([RoutesModel.getRoutes(), getSettings()]);
+        setRoutes(routeList);
+        setNotifyContacts(settings.notifyContactsOnArrival);
+      } catch (err) {
+        console.error('Error loading check-in options:', err);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    load();
+  }, []);
+
+  // Choose a learned route; its end becomes the destination
+  const handleSelectRoute = async (routeId: number): Promise<void> => {
+    try {
+      const route = await RoutesModel.getRouteWithPoints(routeId);
+      setSelectedRoute(route);
+      setPoint(null);
+      setDurationMinutes(route?.avg_duration ? null : 30);
+    } catch (err) {
+      console.error('Error loading route:', err);
+      Alert.alert('Error', 'Failed to load the route');
+    }
+  };
+
+  // Tapping the map picks an ad-hoc destination instead
+  const handlePickPoint = (coordinate: PickedPoint): void => {
+    setPoint(coordinate);
+    setSelectedRoute(null);
+    setDurationMinutes(current => current ?? 30);
+  };
+
+  const destinationMarkers = useMemo((): MapMarker[] => {
+    const destination = point || selectedRoute?.end_location;
+    if (!destination) return [];
+
+    return [{
+      key: 'destination',
+      latitude: destination.latitude,
+      longitude: destination.longitude,
+      title: 'Destination',
+      description: point ? pointName || 'Chosen on the map' : selectedRoute?.name,
+      color: 'green'
+    }];
+  }, [point, pointName, selectedRoute]);
+
+  // Start the check-in, and monitoring if it isn't running yet
+  const handleStart = async (): Promise<void> => {
+    let destination: CheckInDestination;
+
+    if (selectedRoute?.id) {
+      destination = {
+        routeId: selectedRoute.id,
+        expectedDuration: durationMinutes !== null ? durationMinutes * 60000 : undefined
+      };
+    } else if (point && durationMinutes !== null) {
+      destination = {
+        latitude: point.latitude,
+        longitude: point.longitude,
+        name: pointName.trim() || undefined,
+        expectedDuration: durationMinutes * 60000
+      };
+    } else {
+      Alert.alert('Choose a Destination', 'Pick one of your routes or tap the map where you are going.');
+      return;
+    }
+
+    setStarting(true);
+    const started = await startCheckIn(destination, { notifyContacts });
+    setStarting(false);
+
+    if (started) {
+      router.back();
+    }
+  };
+
+  if (loading) {
+    return (
+      <View style={styles.loadingContainer}>
+        <ActivityIndicator size="large" color="#2196F3" />
+        <Text style={styles.loadingText}>Loading routes...</Text>
+      </View>
+    );
+  }
+
+  const hasDestination = !!selectedRoute || !!point;
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.header}>
+        <TouchableOpacity
+          style={styles.backButton}
+          onPress={() => router.back()}
+        >
+          <Ionicons name="arrow-back" size={24} color="#333" />
+        </TouchableOpacity>
+
+        <View style={styles.headerTitle}>
+          <Text style={styles.title}>Check In</Text>
+        </View>
+
+        <View style={styles.headerSpacer} />
+      </View>
+
+      <View style={styles.mapContainer}>
+        <SafetyMap
+          route={selectedRoute?.points ? { id: selectedRoute.id, points: selectedRoute.points } : undefined}
+          showRoute={!!selectedRoute}
+          showLiveDeviation={false}
+          markers={destinationMarkers}
+          onPress={handlePickPoint}
+        />
+      </View>
+
+      <ScrollView style={styles.content}>
+        <View style={styles.detailsCard}>
+          <Text style={styles.cardTitle}>Destination</Text>
+          <Text style={styles.label}>
+            {routes.length > 0
+              ? 'Pick a route you travel, or tap the map where you are going'
+              : 'Tap the map where you are going'}
+          </Text>
+
+          <View style={styles.valueSelector}>
+            {routes.map(route => {
+              const selected = route.id === selectedRoute?.id;
+              return (
+                <TouchableOpacity
+                  key={route.id}
+                  style={[styles.valueBadge, selected && styles.selectedValue]}
+                  onPress={() => route.id && handleSelectRoute(route.id)}
+                >
+                  <Text style={selected ? styles.selectedValueText : styles.valueText}>
+                    {route.name || `Route ${route.id}`}
+                  </Text>
+                </TouchableOpacity>
+              );
+            })}
+          </View>
+
+          {point && (
+            <TextInput
+              style={styles.input}
+              value={pointName}
+              onChangeText={setPointName}
+              placeholder="Name this place, e.g. Home"
+            />
+          )}
+        </View>
+
+        {hasDestination && (
+          <View style={styles.detailsCard}>
+            <Text style={styles.cardTitle}>Expected Trip</Text>
+            <Text style={styles.label}>
+              If you haven't arrived by then, SafeTack checks you're OK before alerting your contacts
+            </Text>
+
+            <View style={styles.valueSelector}>
+              {selectedRoute?.avg_duration ? (
+                <TouchableOpacity
+                  style={[styles.valueBadge, durationMinutes === null && styles.selectedValue]}
+                  onPress={() => setDurationMinutes(null)}
+                >
+                  <Text style={durationMinutes === null ? styles.selectedValueText : styles.valueText}>
+                    Usual ({formatDuration(selectedRoute.avg_duration)})
+                  </Text>
+                </TouchableOpacity>
+              ) : null}
+
+              {DURATION_OPTIONS.map(minutes => (
+                <TouchableOpacity
+                  key={minutes}
+                  style={[styles.valueBadge, durationMinutes === minutes && styles.selectedValue]}
+                  onPress={() => setDurationMinutes(minutes)}
+                >
+                  <Text style={durationMinutes === minutes ? styles.selectedValueText : styles.valueText}>
+                    {formatDuration(minutes * 60000)}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+          </View>
+        )}
+
+        <View style={styles.detailsCard}>
+          <View style={styles.switchRow}>
+            <View style={styles.switchLabel}>
+              <Text style={styles.cardTitle}>Tell My Contacts</Text>
+              <Text style={styles.label}>
+                Send your emergency contacts an "arrived safely" message. Contacts who were alerted
+                during the trip always get one.
+              </Text>
+            </View>
+            <Switch
+              value={notifyContacts}
+              onValueChange={setNotifyContacts}
+              trackColor={{ false: '#ccc', true: '#81D4FA' }}
+              thumbColor={notifyContacts ? '#2196F3' : '#f4f3f4'}
+            />
+          </View>
+        </View>
+
+        {error && (
+          <View style={styles.errorContainer}>
+            <Ionicons name="alert-circle-outline" size={18} color="#F44336" />
+            <Text style={styles.errorText}>{error}</Text>
+          </View>
+        )}
+
+        <TouchableOpacity
+          style={[styles.button, !hasDestination && styles.buttonDisabled]}
+          onPress={handleStart}
+          disabled={starting || !hasDestination}
+        >
+          {starting ? (
+            <ActivityIndicator color="#fff" />
+          ) : (
+            <>
+              <Ionicons name="flag-outline" size={20} color="#fff" />
+              <Text style={styles.buttonText}>Start Check-In</Text>
+            </>
+          )}
+        </TouchableOpacity>
+      </ScrollView>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5',
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  loadingText: {
+    marginTop: 12,
+    color: '#666',
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: 16,
+    paddingTop: 60,
+    backgroundColor: '#fff',
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+  },
+  backButton: {
+    padding: 4,
+  },
+  headerTitle: {
+    flex: 1,
+    alignItems: 'center',
+  },
+  headerSpacer: {
+    width: 32,
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  mapContainer: {
+    height: '35%',
+    width: '100%',
+  },
+  content: {
+    flex: 1,
+    padding: 16,
+  },
+  detailsCard: {
+    backgroundColor: '#fff',
+    borderRadius: 8,
+    padding: 16,
+    marginBottom: 16,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.1,
+    shadowRadius: 2,
+    elevation: 2,
+  },
+  cardTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#333',
+    marginBottom: 8,
+  },
+  label: {
+    fontSize: 14,
+    color: '#666',
+    marginBottom: 4,
+  },
+  valueSelector: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginBottom: 4,
+  },
+  valueBadge: {
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+    borderRadius: 4,
+    backgroundColor: '#f0f0f0',
+    marginRight: 8,
+    marginTop: 4,
+  },
+  selectedValue: {
+    backgroundColor: '#2196F3',
+  },
+  valueText: {
+    fontSize: 14,
+    color: '#555',
+  },
+  selectedValueText: {
+    fontSize: 14,
+    color: '#fff',
+    fontWeight: '500',
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 4,
+    padding: 10,
+    fontSize: 16,
+    marginTop: 12,
+  },
+  switchRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  switchLabel: {
+    flex: 1,
+    marginRight: 12,
+  },
+  errorContainer: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 12,
+    backgroundColor: '#FFEBEE',
+    padding: 8,
+    borderRadius: 4,
+  },
+  errorText: {
+    flex: 1,
+    fontSize: 14,
+    color: '#D32F2F',
+    marginLeft: 6,
+  },
+  button: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: '#2196F3',
+    borderRadius: 4,
+    padding: 12,
+    marginBottom: 32,
+  },
+  buttonDisabled: {
+    backgroundColor: '#90CAF9',
+  },
+  buttonText: {
+    color: '#fff',
+    fontWeight: '600',
+    fontSize: 16,
+    marginLeft: 8,
+  },
+});
@@ -1,14 +1,45 @@
-import React, { createContext, useState, useEffect, useContext, ReactNode } from 'react';
+import React, { createContext, useState, useEffect, useContext, useRef, ReactNode } from 'react';
 import * as Location from 'expo-location';
 import * as Notifications from 'expo-notifications';
-import { Platform } from 'react-native';
+import { Platform, Alert } from 'react-native';
 
 // Import services
-import { startLocationTracking, stopLocationTracking, getTrackingStatus } from '../services/LocationService';
+import {
+  startLocationTracking,
+  stopLocationTracking,
+  getTrackingStatus,
+  addDeviationListener,
+  addArrivalListener
+} from '../services/LocationService';
 import { checkForDeviation, analyzeJourney } from '../services/RouteService';
-import { initializeAlerts, handleDeviation, handleDeviationResponse, AlertSeverity } from '../services/AlertService';
+import { initializeAlerts, AlertSeverity } from '../services/AlertService';
+import {
+  handleDeviation,
+  handleDeviationResponse,
+  resumeEscalations,
+  registerEscalationBackgroundTask
+} from '../services/EscalationService';
 import { schedulePeriodicCleanup } from '../services/DataRetentionService';
-import { JourneysModel } from '../database/models';
+import { startOutboxWorker, registerOutboxBackgroundTask } from '../services/AlertOutboxService';
+import { getSettings, subscribeToSettings } from '../services/SettingsService';
+import { syncNow, startSyncWorker, setConflictResolver, setAccountSwitchResolver } from '../services/SyncService';
+import { initializeSecurity, isDuressSession } from '../services/SecurityService';
+import { resumeLiveShares } from '../services/LiveShareService';
+import { registerWatchdogBackgroundTask } from '../services/WatchdogService';
+import {
+  startCheckIn as startJourneyCheckIn,
+  cancelCheckIns,
+  getActiveCheckIn,
+  addCheckInListener,
+  processCheckIns,
+  resumeCheckIns,
+  registerCheckInBackgroundTask,
+  CheckInDestination,
+  CheckInOptions
+} from '../services/CheckInService';
+import { JourneysModel, CheckIn } from '../database/models';
+import database from '../database/database';
+import { useUser } from './UserContext';
 
 export interface LocationPermission {
   foreground: boolean;
@@ -57,11 +88,14 @@ export interface SafetyContextType {
   loading: boolean;
   error: string | null;
   deviationStatus: DeviationStatus | null;
+  checkIn: CheckIn | null;
   locationPermission: LocationPermission | null;
   notificationPermission: boolean | null;
   requestPermissions: () => Promise<boolean>;
   startTracking: () => Promise<boolean>;
   stopTracking: () => Promise<boolean>;
+  startCheckIn: (destination: CheckInDestination, options?: CheckInOptions) => Promise<boolean>;
+  cancelCheckIn: () => Promise<void>;
   checkDeviation: (position: Position) => Promise<DeviationStatus | null>;
   getJourneyDetails: (journeyId?: number) => Promise<any[]>;
 }
@@ -88,9 +122,13 @@ const notificationResponseListener = Notifications.addNotificationResponseReceiv
   
   const responseType = responseMap[actionId] || 'unknown';
   
-  // Pass to handler
+  // Pass to handler; a check-in waiting on this answer picks it up straight away
   if (data.deviationId) {
-    handleDeviationResponse(data.deviationId, responseType);
+    handleDeviationResponse(data.deviationId, responseType)
+      .then(() => processCheckIns())
+      .catch(err => {
+        console.error('Error handling notification response:', err);
+      });
   }
 });
 
@@ -101,14 +139,62 @@ export const SafetyProvider = ({ children }: SafetyProviderProps) => {
   const [loading, setLoading] = useState<boolean>(true);
   const [error, setError] = useState<string | null>(null);
   const [deviationStatus, setDeviationStatus] = useState<DeviationStatus | null>(null);
+  const [checkIn, setCheckIn] = useState<CheckIn | null>(null);
   const [locationPermission, setLocationPermission] = useState<LocationPermission | null>(null);
   const [notificationPermission, setNotificationPermission] = useState<boolean | null>(null);
   const [cleanupSchedule, setCleanupSchedule] = useState<(() => void) | null>(null);
+  const { user } = useUser();
+  const userRef = useRef(user);
+  
+  // Keep the latest user available to long-lived subscriptions
+  useEffect(() => {
+    userRef.current = user;
+  }, [user]);
+  
+  // Back up to the cloud when auto-sync is enabled and the user is signed in
+  const runAutoSync = async (): Promise<void> => {
+    try {
+      const settings = await getSettings();
+      if (!settings.autoSyncToCloud || !userRef.current) return;
+      
+      const result = await syncNow();
+      if (!result.success) {
+        console.warn('Auto-sync failed:', result.error);
+      }
+    } catch (err) {
+      console.error('Error running auto-sync:', err);
+    }
+  };
+  
+  // Learn routes from a finished journey and reset the tracking state
+  const finishJourney = (journeyId: number | null): void => {
+    if (journeyId) {
+      analyzeJourney(journeyId)
+        .then(result => {
+          if (result) {
+            console.log('Journey analyzed:', result);
+          }
+          return runAutoSync();
+        })
+        .catch(err => {
+          console.error('Error analyzing journey:', err);
+        });
+    }
+    
+    setIsTracking(false);
+    setCurrentJourney(null);
+    setDeviationStatus(null);
+    setCheckIn(null);
+  };
   
   // Initialize on first load
   useEffect(() => {
     const initialize = async () => {
       try {
+        // Fail early if the schema could not be migrated
+        await database.ready;
+        await initializeSecurity();
+        
         // Check location permissions
         const { status: foreStatus } = await Location.getForegroundPermissionsAsync();
         const { status: backStatus } = await Location.getBackgroundPermissionsAsync();
@@ -125,17 +211,38 @@ export const SafetyProvider = ({ children }: SafetyProviderProps) => {
         // Initialize alerts
         await initializeAlerts();
         
+        // Let queued contact alerts go out even when the app is closed
+        await registerOutboxBackgroundTask();
+        
+        // Pick up escalations that fell due while the app was not running
+        await registerEscalationBackgroundTask();
+        await resumeEscalations();
+        
+        // Check-in deadlines pass whether or not location fixes arrive
+        await registerCheckInBackgroundTask();
+        await resumeCheckIns();
+        setCheckIn(await getActiveCheckIn());
+        
+        // Lost fixes don't wake the location task, so check for them on a schedule too
+        await registerWatchdogBackgroundTask();
+        
+        // Close live shares that expired while the app was not running
+        resumeLiveShares().catch(err => {
+          console.warn('Error resuming live shares:', err);
+        });
+        
         // Schedule periodic data cleanup (once per day)
         if (!cleanupSchedule) {
           const cancelCleanup = schedulePeriodicCleanup(24 * 60 * 60 * 1000);
           setCleanupSchedule(cancelCleanup);
         }
         
-        // Check if already tracking (app might have restarted)
+        // Check if already tracking (app might have restarted); after a duress
+        // unlock tracking was "stopped" as far as the screen is concerned
         const status = getTrackingStatus();
-        setIsTracking(status.isTracking);
+        setIsTracking(status.isTracking && !isDuressSession());
         
-        if (status.currentJourneyId) {
+        if (status.currentJourneyId && !isDuressSession()) {
           setCurrentJourney({
             id: status.currentJourneyId,
             startTime: Date.now() // Approximate, since we don't know actual start time
@@ -152,8 +259,87 @@ export const SafetyProvider = ({ children }: SafetyProviderProps) => {
     
     initialize();
     
+    // Deliver queued contact alerts and poll for delivery receipts
+    const stopOutboxWorker = startOutboxWorker();
+    
+    // Push changes made offline once the connection is back
+    const stopSyncWorker = startSyncWorker();
+    
+    // Ask which version to keep when the conflict setting is "ask"
+    setConflictResolver(conflict => new Promise(resolve => {
+      const describe = (deleted: boolean, updatedAt: number): string =>
+        deleted ? 'deleted' : `edited ${new Date(updatedAt).toLocaleString()}`;
+      const kind = conflict.table === 'Routes' ? 'route' : 'contact';
+      
+      Alert.alert(
+        'Sync Conflict',
+        `The ${kind} "${conflict.name || 'Unnamed'}" changed on this phone and in your cloud account.\n\n` +
+        `This phone: ${describe(conflict.localDeleted, conflict.localUpdatedAt)}\n` +
+        `Cloud: ${describe(conflict.remoteDeleted, conflict.remoteUpdatedAt)}`,
+        [
+          { text: 'Keep This Phone\'s', onPress: () => resolve('local') },
+          { text: 'Keep Cloud', onPress: () => resolve('remote') }
+        ],
+        { cancelable: false }
+      );
+    }));
+    
+    // Ask whether another account's routes and contacts should move to the one signing in
+    setAccountSwitchResolver(accountSwitch => new Promise(resolve => {
+      const plural = (count: number, noun: string): string => `${count} ${noun}${count === 1 ? '' : 's'}`;
+      
+      Alert.alert(
+        'Different Account',
+        `This phone has ${plural(accountSwitch.routes, 'route')} and ${plural(accountSwitch.contacts, 'contact')} ` +
+        'from the account that was signed in before. Removing them here leaves what was synced in that account\'s cloud.',
+        [
+          { text: 'Remove From Phone', style: 'destructive', onPress: () => resolve('clear') },
+          { text: 'Add to This Account', onPress: () => resolve('keep') }
+        ],
+        { cancelable: false }
+      );
+    }));
+    
+    // Deviations are detected automatically on every location fix
+    const removeDeviationListener = addDeviationListener((deviation, alertResult) => {
+      setDeviationStatus({
+        ...deviation,
+        alertSent: alertResult.success,
+        alertLevel: alertResult.alertLevel,
+        timestamp: Date.now()
+      });
+    });
+    
+    // Keep check-in progress (ETA, alerts) up to date
+    const removeCheckInListener = addCheckInListener(setCheckIn);
+    
+    // Arriving at a check-in destination ends the journey just like stopping by hand
+    const removeArrivalListener = addArrivalListener(arrival => {
+      finishJourney(arrival.checkIn.journey_id);
+    });
+    
+    // Sync straight away when auto-sync is switched on
+    let autoSyncEnabled: boolean | null = null;
+    getSettings().then(settings => {
+      autoSyncEnabled = settings.autoSyncToCloud;
+    });
+    const unsubscribeSettings = subscribeToSettings(settings => {
+      if (settings.autoSyncToCloud && autoSyncEnabled === false) {
+        runAutoSync();
+      }
+      autoSyncEnabled = settings.autoSyncToCloud;
+    });
+    
     // Clean up notification listener and data cleanup schedule
     return () => {
+      removeDeviationListener();
+      removeCheckInListener();
+      removeArrivalListener();
+      unsubscribeSettings();
+      stopOutboxWorker();
+      stopSyncWorker();
+      setConflictResolver(null);
+      setAccountSwitchResolver(null);
       Notifications.removeNotificationSubscription(notificationResponseListener);
       if (cleanupSchedule) {
         cleanupSchedule();
@@ -234,24 +420,17 @@ export const SafetyProvider = ({ children }: SafetyProviderProps) => {
     try {
       setLoading(true);
       
+      // Under duress tracking only appears to stop, so contacts keep getting positions
+      if (isDuressSession()) {
+        finishJourney(null);
+        setLoading(false);
+        return true;
+      }
+      
       await stopLocationTracking();
       
       // Analyze the completed journey
-      if (currentJourney) {
-        analyzeJourney(currentJourney.id)
-          .then(result => {
-            if (result) {
-              console.log('Journey analyzed:', result);
-            }
-          })
-          .catch(err => {
-            console.error('Error analyzing journey:', err);
-          });
-      }
-      
-      setIsTracking(false);
-      setCurrentJourney(null);
-      setDeviationStatus(null);
+      finishJourney(currentJourney?.id ?? null);
       
       setLoading(false);
       return true;
@@ -263,15 +442,51 @@ export const SafetyProvider = ({ children }: SafetyProviderProps) => {
     }
   };
   
+  // Start a check-in, starting monitoring first if needed
+  const startCheckIn = async (destination: CheckInDestination, options?: CheckInOptions): Promise<boolean> => {
+    try {
+      if (!getTrackingStatus().currentJourneyId) {
+        const started = await startTracking();
+        if (!started) return false;
+      }
+      
+      const { currentJourneyId } = getTrackingStatus();
+      if (!currentJourneyId) {
+        throw new Error('No journey in progress');
+      }
+      
+      setError(null);
+      await startJourneyCheckIn(currentJourneyId, destination, options);
+      return true;
+    } catch (err: any) {
+      console.error('Error starting check-in:', err);
+      setError(`Failed to start check-in: ${err.message}`);
+      return false;
+    }
+  };
+  
+  // Cancel the check-in without stopping monitoring
+  const cancelCheckIn = async (): Promise<void> => {
+    try {
+      await cancelCheckIns();
+    } catch (err: any) {
+      console.error('Error cancelling check-in:', err);
+      setError(`Failed to cancel check-in: ${err.message}`);
+    }
+  };
+  
   // Check for route deviation
   const checkDeviation = async (position: Position): Promise<DeviationStatus | null> => {
     if (!isTracking || !currentJourney) return null;
     
     try {
+      // Kept apart from the location updates' consecutive off-route count
       const deviation = await checkForDeviation(currentJourney.id, {
         latitude: position.coords.latitude,
-        longitude: position.coords.longitude
-      });
+        longitude: position.coords.longitude,
+        accuracy: position.coords.accuracy,
+        timestamp: position.timestamp
+      }, { manual: true });
       
       if (deviation) {
         // Handle the deviation
@@ -311,11 +526,14 @@ export const SafetyProvider = ({ children }: SafetyProviderProps) => {
     loading,
     error,
     deviationStatus,
+    checkIn,
     locationPermission,
     notificationPermission,
     requestPermissions,
     startTracking,
     stopTracking,
+    startCheckIn,
+    cancelCheckIn,
     checkDeviation,
     getJourneyDetails
   };
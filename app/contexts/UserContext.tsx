@@ -1,6 +1,7 @@
 import React, { createContext, useState, useEffect, useContext, ReactNode } from 'react';
 import { useRouter, useSegments } from 'expo-router';
 import supabase from '../services/SupabaseService';
+import { setSyncUser } from '../services/SyncService';
 
 export interface AuthResult {
   success: boolean;
@@ -77,6 +78,12 @@ export const UserProvider = ({ children }: UserProviderProps) => {
     return () => subscription.unsubscribe();
   }, []);
 
+  // Sync with the signed-in account
+  useEffect(() => {
+    if (loading) return;
+    setSyncUser(user?.id ?? null);
+  }, [user, loading]);
+
   // Handle routing based on auth state
   useEffect(() => {
     if (loading) return;
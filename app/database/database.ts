@@ -1,13 +1,5 @@
 import * as SQLite from 'expo-sqlite';
-
-export interface SQLTransaction {
-  executeSql: (
-    sqlStatement: string,
-    args?: any[],
-    callback?: (transaction: SQLTransaction, resultSet: SQLite.SQLResultSet) => void,
-    errorCallback?: (transaction: SQLTransaction, error: Error) => boolean
-  ) => void;
-}
+import { MIGRATIONS, Migration } from './migrations';
 
 export interface SQLResultSet {
   insertId?: number;
@@ -19,13 +11,42 @@ export interface SQLResultSet {
   };
 }
 
+/**
+ * The subset of an expo-sqlite database the service relies on, so an
+ * in-memory database (or a Node SQLite binding in tests) can stand in
+ */
+export interface DatabaseConnection {
+  execAsync(source: string): Promise<void>;
+  getAllAsync<T>(source: string, params: any[]): Promise<T[]>;
+  runAsync(source: string, params: any[]): Promise<{ lastInsertRowId: number; changes: number }>;
+}
+
+/**
+ * Query API available inside withTransaction
+ */
+export interface TransactionContext {
+  executeQuery(query: string, params?: any[]): Promise<SQLResultSet>;
+  insertRows(table: string, columns: string[], rows: any[][]): Promise<number>;
+}
+
+const DATABASE_NAME = 'safetack.db';
+
+// SQLite's default limit on bound parameters per statement
+const MAX_BOUND_PARAMETERS = 999;
+
+// Statements whose rows we need to read back
+const READ_QUERY = /^\s*(SELECT|PRAGMA|WITH)\b/i;
+
 /**
  * SafeTack Database Service
  * Handles local database setup and operations
  */
 export class Database {
   static instance: Database | null = null;
-  db: SQLite.WebSQLDatabase;
+  ready: Promise<void>;
+  private connection: DatabaseConnection | null = null;
+  private queue: Promise<unknown> = Promise.resolve();
+  private migrations: Migration[];
 
   /**
    * Get singleton database instance
@@ -37,198 +58,207 @@ export class Database {
     return Database.instance;
   }
 
+  /**
+   * Open a throwaway in-memory database with the full schema
+   */
+  static createInMemory(): Database {
+    return new Database(SQLite.openDatabaseAsync(':memory:'));
+  }
+
   /**
    * Initialize the database connection
+   * @param connection - Connection to use instead of the app database
+   * @param migrations - Schema history to apply instead of the app's, e.g. to stop at an older version
    */
-  constructor() {
-    this.db = SQLite.openDatabase('safetack.db');
-    this.setupTables();
+  constructor(connection?: DatabaseConnection | Promise<DatabaseConnection>, migrations: Migration[] = MIGRATIONS) {
+    this.migrations = migrations;
+    this.ready = this.initialize(connection || SQLite.openDatabaseAsync(DATABASE_NAME));
   }
 
   /**
-   * Create all required database tables and indexes
+   * Open the connection, bring the schema up to date and enable foreign keys
    */
-  setupTables(): Promise<void> {
-    return new Promise((resolve, reject) => {
-      this.db.transaction(tx => {
-        // Routes table - Established paths with confidence scores
-        tx.executeSql(
-          `CREATE TABLE IF NOT EXISTS Routes (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            name TEXT,
-            category TEXT,
-            confidence_score REAL DEFAULT 0,
-            start_location TEXT,
-            end_location TEXT,
-            avg_duration INTEGER,
-            times_traveled INTEGER DEFAULT 0,
-            created_at INTEGER,
-            updated_at INTEGER
-          );`
-        );
-        
-        // Create index on Routes updated_at for faster sorting
-        tx.executeSql(
-          `CREATE INDEX IF NOT EXISTS idx_routes_updated_at ON Routes(updated_at);`
-        );
-
-        // RoutePoints table - GPS coordinates defining route paths
-        tx.executeSql(
-          `CREATE TABLE IF NOT EXISTS RoutePoints (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            route_id INTEGER,
-            latitude REAL,
-            longitude REAL,
-            accuracy REAL,
-            altitude REAL,
-            sequence_number INTEGER,
-            FOREIGN KEY (route_id) REFERENCES Routes(id) ON DELETE CASCADE
-          );`
-        );
-        
-        // Create indexes for RoutePoints
-        tx.executeSql(
-          `CREATE INDEX IF NOT EXISTS idx_route_points_route_id ON RoutePoints(route_id);`
-        );
-        tx.executeSql(
-          `CREATE INDEX IF NOT EXISTS idx_route_points_sequence ON RoutePoints(route_id, sequence_number);`
-        );
-
-        // Journeys table - Complete travel sessions with metadata
-        tx.executeSql(
-          `CREATE TABLE IF NOT EXISTS Journeys (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            matched_route_id INTEGER,
-            start_time INTEGER,
-            end_time INTEGER,
-            distance REAL,
-            transportation_mode TEXT,
-            has_deviation BOOLEAN DEFAULT 0,
-            FOREIGN KEY (matched_route_id) REFERENCES Routes(id)
-          );`
-        );
-        
-        // Create indexes for Journeys
-        tx.executeSql(
-          `CREATE INDEX IF NOT EXISTS idx_journeys_matched_route_id ON Journeys(matched_route_id);`
-        );
-        tx.executeSql(
-          `CREATE INDEX IF NOT EXISTS idx_journeys_start_time ON Journeys(start_time);`
-        );
-
-        // JourneyPoints table - GPS coordinates for individual journeys
-        tx.executeSql(
-          `CREATE TABLE IF NOT EXISTS JourneyPoints (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            journey_id INTEGER,
-            latitude REAL,
-            longitude REAL,
-            accuracy REAL,
-            altitude REAL,
-            timestamp INTEGER,
-            speed REAL,
-            battery_level REAL,
-            sequence_number INTEGER,
-            FOREIGN KEY (journey_id) REFERENCES Journeys(id) ON DELETE CASCADE
-          );`
-        );
-        
-        // Create indexes for JourneyPoints
-        tx.executeSql(
-          `CREATE INDEX IF NOT EXISTS idx_journey_points_journey_id ON JourneyPoints(journey_id);`
-        );
-        tx.executeSql(
-          `CREATE INDEX IF NOT EXISTS idx_journey_points_sequence ON JourneyPoints(journey_id, sequence_number);`
-        );
-        tx.executeSql(
-          `CREATE INDEX IF NOT EXISTS idx_journey_points_timestamp ON JourneyPoints(timestamp);`
-        );
-
-        // EmergencyContacts table - Trusted contacts for alerts
-        tx.executeSql(
-          `CREATE TABLE IF NOT EXISTS EmergencyContacts (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            name TEXT,
-            phone_number TEXT,
-            email TEXT,
-            relationship TEXT,
-            priority INTEGER,
-            is_active BOOLEAN DEFAULT 1,
-            created_at INTEGER
-          );`
-        );
-        
-        // Create index for EmergencyContacts
-        tx.executeSql(
-          `CREATE INDEX IF NOT EXISTS idx_emergency_contacts_active ON EmergencyContacts(is_active, priority);`
-        );
-
-        // DeviationEvents table - Record of detected deviations
-        tx.executeSql(
-          `CREATE TABLE IF NOT EXISTS DeviationEvents (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            journey_id INTEGER,
-            latitude REAL,
-            longitude REAL,
-            timestamp INTEGER,
-            deviation_distance REAL,
-            alert_sent BOOLEAN DEFAULT 0,
-            user_response TEXT,
-            FOREIGN KEY (journey_id) REFERENCES Journeys(id) ON DELETE CASCADE
-          );`
-        );
-        
-        // Create indexes for DeviationEvents
-        tx.executeSql(
-          `CREATE INDEX IF NOT EXISTS idx_deviation_events_journey_id ON DeviationEvents(journey_id);`
-        );
-        tx.executeSql(
-          `CREATE INDEX IF NOT EXISTS idx_deviation_events_response ON DeviationEvents(user_response);`
-        );
-        
-        // Create table for alert events
-        tx.executeSql(
-          `CREATE TABLE IF NOT EXISTS AlertEvents (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            contact_id INTEGER,
-            deviation_id INTEGER,
-            alert_method TEXT,
-            timestamp INTEGER,
-            message TEXT,
-            delivery_status TEXT,
-            FOREIGN KEY (contact_id) REFERENCES EmergencyContacts(id),
-            FOREIGN KEY (deviation_id) REFERENCES DeviationEvents(id) ON DELETE CASCADE
-          );`
-        );
-        
-        // Create index for AlertEvents
-        tx.executeSql(
-          `CREATE INDEX IF NOT EXISTS idx_alert_events_deviation_id ON AlertEvents(deviation_id);`
-        );
-        
-      }, reject, resolve);
-    });
+  private async initialize(connection: DatabaseConnection | Promise<DatabaseConnection>): Promise<void> {
+    try {
+      this.connection = await connection;
+
+      // Must be off while migrations rebuild tables, or dropping a parent table
+      // would cascade into its children. PRAGMA foreign_keys is a no-op inside a
+      // transaction, so it is set here rather than in a migration.
+      await this.connection.execAsync('PRAGMA foreign_keys = OFF;');
+      await this.runMigrations(this.connection);
+      await this.connection.execAsync('PRAGMA foreign_keys = ON;');
+      // Overwrite deleted content, so plaintext replaced by encrypted values doesn't linger in free pages
+      await this.connection.execAsync('PRAGMA secure_delete = ON;');
+    } catch (error) {
+      console.error('Error initializing database:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the schema version recorded in the database file
+   */
+  async getSchemaVersion(): Promise<number> {
+    const result = await this.executeQuery('PRAGMA user_version');
+    return result.rows._array[0]?.user_version || 0;
+  }
+
+  /**
+   * Apply every migration newer than the database's user_version, each in its own transaction
+   */
+  private async runMigrations(connection: DatabaseConnection): Promise<void> {
+    const [{ user_version: currentVersion }] = await connection.getAllAsync<{ user_version: number }>(
+      'PRAGMA user_version',
+      []
+    );
+
+    const pending = this.migrations
+      .filter(migration => migration.version > currentVersion)
+      .sort((a, b) => a.version - b.version);
+
+    for (const migration of pending) {
+      await connection.execAsync('BEGIN IMMEDIATE;');
+
+      try {
+        for (const statement of migration.statements) {
+          await connection.execAsync(statement);
+        }
+        if (migration.migrate) {
+          await migration.migrate({
+            executeQuery: (query, params = []) => runQuery(connection, query, params),
+            insertRows: (table, columns, rows) => insertRows(connection, table, columns, rows)
+          });
+        }
+        await connection.execAsync(`PRAGMA user_version = ${migration.version};`);
+        await connection.execAsync('COMMIT;');
+      } catch (error: any) {
+        await connection.execAsync('ROLLBACK;');
+        throw new Error(`Migration ${migration.version} (${migration.description}) failed: ${error?.message || error}`);
+      }
+    }
   }
 
   /**
    * Execute a SQL query with parameters
    */
   executeQuery(query: string, params: any[] = []): Promise<SQLResultSet> {
-    return new Promise((resolve, reject) => {
-      this.db.transaction(tx => {
-        tx.executeSql(
-          query, 
-          params, 
-          (_, result) => resolve(result),
-          (_, error) => {
-            reject(error);
-            return false; // Tells WebSQL to fail the transaction
-          }
-        );
-      });
+    return this.enqueue(connection => runQuery(connection, query, params));
+  }
+
+  /**
+   * Run several statements atomically; everything is rolled back if work throws
+   *
+   * Use only the provided transaction for queries inside work - calling
+   * executeQuery would wait for this transaction to finish and deadlock.
+   */
+  withTransaction<T>(work: (tx: TransactionContext) => Promise<T>): Promise<T> {
+    return this.enqueue(async connection => {
+      const tx: TransactionContext = {
+        executeQuery: (query, params = []) => runQuery(connection, query, params),
+        insertRows: (table, columns, rows) => insertRows(connection, table, columns, rows)
+      };
+
+      await connection.execAsync('BEGIN IMMEDIATE;');
+
+      try {
+        const result = await work(tx);
+        await connection.execAsync('COMMIT;');
+        return result;
+      } catch (error) {
+        await connection.execAsync('ROLLBACK;');
+        throw error;
+      }
     });
   }
+
+  /**
+   * Insert many rows into a table in a single transaction
+   * @returns Number of rows inserted
+   */
+  insertRows(table: string, columns: string[], rows: any[][]): Promise<number> {
+    return this.withTransaction(tx => tx.insertRows(table, columns, rows));
+  }
+
+  /**
+   * Rebuild the database file to reclaim the space freed by deletions
+   *
+   * SQLite rejects VACUUM inside a transaction, so it runs as its own task
+   * rather than through executeQuery or withTransaction.
+   */
+  vacuum(): Promise<void> {
+    return this.enqueue(connection => connection.execAsync('VACUUM;'));
+  }
+
+  /**
+   * Run a task once the database is ready, one task at a time so a
+   * transaction never interleaves with unrelated statements
+   */
+  private enqueue<T>(task: (connection: DatabaseConnection) => Promise<T>): Promise<T> {
+    const run = this.queue.then(async () => {
+      await this.ready;
+      return task(this.connection!);
+    });
+
+    this.queue = run.catch(() => undefined);
+    return run;
+  }
 }
 
+/**
+ * Execute one statement and shape the result like the WebSQL result set
+ */
+const runQuery = async (connection: DatabaseConnection, query: string, params: any[]): Promise<SQLResultSet> => {
+  if (READ_QUERY.test(query)) {
+    const rows = await connection.getAllAsync<any>(query, params);
+    return {
+      rowsAffected: 0,
+      rows: {
+        _array: rows,
+        length: rows.length,
+        item: (index: number) => rows[index]
+      }
+    };
+  }
+
+  const result = await connection.runAsync(query, params);
+  return {
+    insertId: result.lastInsertRowId,
+    rowsAffected: result.changes,
+    rows: {
+      _array: [],
+      length: 0,
+      item: () => undefined
+    }
+  };
+};
+
+/**
+ * Insert rows using multi-row VALUES statements, chunked to stay under the bound parameter limit
+ */
+const insertRows = async (
+  connection: DatabaseConnection,
+  table: string,
+  columns: string[],
+  rows: any[][]
+): Promise<number> => {
+  if (rows.length === 0) return 0;
+
+  const rowPlaceholder = `(${columns.map(() => '?').join(', ')})`;
+  const rowsPerStatement = Math.max(1, Math.floor(MAX_BOUND_PARAMETERS / columns.length));
+  let inserted = 0;
+
+  for (let start = 0; start < rows.length; start += rowsPerStatement) {
+    const chunk = rows.slice(start, start + rowsPerStatement);
+    const result = await connection.runAsync(
+      `INSERT INTO ${table} (${columns.join(', ')}) VALUES ${chunk.map(() => rowPlaceholder).join(', ')}`,
+      chunk.flat()
+    );
+    inserted += result.changes;
+  }
+
+  return inserted;
+};
+
 // Export a singleton database instance
 export default Database.getInstance();
\ No newline at end of file
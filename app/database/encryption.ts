@@ -0,0 +1,129 @@
+import * as SecureStore from 'expo-secure-store';
+import { getRandomBytes } from 'expo-crypto';
+import { xchacha20poly1305 } from '@noble/ciphers/chacha';
+import { utf8ToBytes, bytesToUtf8, concatBytes } from '@noble/ciphers/utils';
+
+/**
+ * SafeTack Field Encryption
+ * Encrypts sensitive column values (locations, contact details) before they reach SQLite
+ *
+ * The key lives in the platform keychain rather than the database file, so a
+ * copy of safetack.db on its own reveals nothing. It is readable after the
+ * first unlock since boot because background tracking has to write points
+ * while the phone is locked; the app lock guards the UI, not this key.
+ */
+
+const FIELD_KEY_NAME = 'safetack.field-key';
+const KEY_LENGTH = 32;
+const NONCE_LENGTH = 24;
+
+// Marks encrypted values; anything without it is plaintext written before encryption
+export const ENCRYPTED_PREFIX = 'enc1:';
+
+const KEY_OPTIONS: SecureStore.SecureStoreOptions = {
+  keychainAccessible: SecureStore.AFTER_FIRST_UNLOCK_THIS_DEVICE_ONLY
+};
+
+export interface FieldCipher {
+  encrypt(value: string | number | null | undefined): string | null;
+  decryptText(value: unknown): string | null;
+  decryptNumber(value: unknown): number | null;
+}
+
+let cipher: Promise<FieldCipher> | null = null;
+
+/**
+ * Get the cipher for column values, creating the key on first use
+ */
+export const getFieldCipher = (): Promise<FieldCipher> => {
+  if (!cipher) {
+    cipher = loadFieldKey().then(createFieldCipher);
+    // Let a later call retry if the keychain was unavailable
+    cipher.catch(() => {
+      cipher = null;
+    });
+  }
+  return cipher;
+};
+
+/**
+ * Check whether a stored value is already encrypted
+ */
+export const isEncrypted = (value: unknown): boolean => {
+  return typeof value === 'string' && value.startsWith(ENCRYPTED_PREFIX);
+};
+
+/**
+ * Forget the key, e.g. when wiping all data; new data gets a new key
+ */
+export const deleteFieldKey = async (): Promise<void> => {
+  cipher = null;
+  await SecureStore.deleteItemAsync(FIELD_KEY_NAME, KEY_OPTIONS);
+};
+
+/**
+ * Read the key from the keychain, generating one if this is the first run
+ */
+const loadFieldKey = async (): Promise<Uint8Array> => {
+  const stored = await SecureStore.getItemAsync(FIELD_KEY_NAME, KEY_OPTIONS);
+  if (stored) {
+    return base64ToBytes(stored);
+  }
+
+  const key = getRandomBytes(KEY_LENGTH);
+  await SecureStore.setItemAsync(FIELD_KEY_NAME, bytesToBase64(key), KEY_OPTIONS);
+  return key;
+};
+
+/**
+ * Build encrypt/decrypt functions around a key
+ *
+ * XChaCha20-Poly1305 with a random nonce per value, so equal values (e.g. the
+ * same home coordinates) don't produce equal ciphertexts.
+ */
+const createFieldCipher = (key: Uint8Array): FieldCipher => {
+  const decrypt = (value: unknown): string | null => {
+    if (value === null || value === undefined) return null;
+    if (!isEncrypted(value)) return String(value);
+
+    const data = base64ToBytes((value as string).slice(ENCRYPTED_PREFIX.length));
+    const nonce = data.subarray(0, NONCE_LENGTH);
+    return bytesToUtf8(xchacha20poly1305(key, nonce).decrypt(data.subarray(NONCE_LENGTH)));
+  };
+
+  return {
+    encrypt: value => {
+      if (value === null || value === undefined) return null;
+
+      const nonce = getRandomBytes(NONCE_LENGTH);
+      const sealed = xchacha20poly1305(key, nonce).encrypt(utf8ToBytes(String(value)));
+      return ENCRYPTED_PREFIX + bytesToBase64(concatBytes(nonce, sealed));
+    },
+
+    decryptText: decrypt,
+
+    decryptNumber: value => {
+      if (typeof value === 'number') return value;
+
+      const text = decrypt(value);
+      return text === null ? null : Number(text);
+    }
+  };
+};
+
+const bytesToBase64 = (bytes: Uint8Array): string => {
+  let binary = '';
+  bytes.forEach(byte => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary);
+};
+
+const base64ToBytes = (text: string): Uint8Array => {
+  const binary = atob(text);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+};
@@ -0,0 +1,545 @@
+/**
+ * SafeTack Database Migrations
+ * Ordered schema changes; each runs once, tracked by PRAGMA user_version
+ *
+ * Never edit a migration that has shipped - add a new one instead.
+ */
+import type { TransactionContext } from './database';
+import { encodeGeohash } from '../utils/geohash';
+
+// Version 4 UUID built from SQLite's random bytes, for backfilling existing rows
+const RANDOM_UUID_SQL = `lower(
+  hex(randomblob(4)) || '-' || hex(randomblob(2)) || '-4' || substr(hex(randomblob(2)), 2) || '-' ||
+  substr('89ab', 1 + (abs(random()) % 4), 1) || substr(hex(randomblob(2)), 2) || '-' || hex(randomblob(6))
+)`;
+
+export interface Migration {
+  version: number;
+  description: string;
+  statements: string[];
+  // Data changes that need code; runs after statements, in the same transaction
+  migrate?: (tx: TransactionContext) => Promise<void>;
+}
+
+export const MIGRATIONS: Migration[] = [
+  {
+    version: 1,
+    description: 'Initial schema',
+    statements: [
+      // Routes table - Established paths with confidence scores
+      `CREATE TABLE IF NOT EXISTS Routes (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT,
+        category TEXT,
+        confidence_score REAL DEFAULT 0,
+        start_location TEXT,
+        end_location TEXT,
+        avg_duration INTEGER,
+        times_traveled INTEGER DEFAULT 0,
+        created_at INTEGER,
+        updated_at INTEGER
+      );`,
+
+      // Create index on Routes updated_at for faster sorting
+      `CREATE INDEX IF NOT EXISTS idx_routes_updated_at ON Routes(updated_at);`,
+
+      // RoutePoints table - GPS coordinates defining route paths
+      `CREATE TABLE IF NOT EXISTS RoutePoints (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        route_id INTEGER,
+        latitude REAL,
+        longitude REAL,
+        accuracy REAL,
+        altitude REAL,
+        sequence_number INTEGER,
+        FOREIGN KEY (route_id) REFERENCES Routes(id) ON DELETE CASCADE
+      );`,
+
+      // Create indexes for RoutePoints
+      `CREATE INDEX IF NOT EXISTS idx_route_points_route_id ON RoutePoints(route_id);`,
+      `CREATE INDEX IF NOT EXISTS idx_route_points_sequence ON RoutePoints(route_id, sequence_number);`,
+
+      // Journeys table - Complete travel sessions with metadata
+      `CREATE TABLE IF NOT EXISTS Journeys (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        matched_route_id INTEGER,
+        start_time INTEGER,
+        end_time INTEGER,
+        distance REAL,
+        transportation_mode TEXT,
+        has_deviation BOOLEAN DEFAULT 0,
+        FOREIGN KEY (matched_route_id) REFERENCES Routes(id)
+      );`,
+
+      // Create indexes for Journeys
+      `CREATE INDEX IF NOT EXISTS idx_journeys_matched_route_id ON Journeys(matched_route_id);`,
+      `CREATE INDEX IF NOT EXISTS idx_journeys_start_time ON Journeys(start_time);`,
+
+      // JourneyPoints table - GPS coordinates for individual journeys
+      `CREATE TABLE IF NOT EXISTS JourneyPoints (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        journey_id INTEGER,
+        latitude REAL,
+        longitude REAL,
+        accuracy REAL,
+        altitude REAL,
+        timestamp INTEGER,
+        speed REAL,
+        battery_level REAL,
+        sequence_number INTEGER,
+        FOREIGN KEY (journey_id) REFERENCES Journeys(id) ON DELETE CASCADE
+      );`,
+
+      // Create indexes for JourneyPoints
+      `CREATE INDEX IF NOT EXISTS idx_journey_points_journey_id ON JourneyPoints(journey_id);`,
+      `CREATE INDEX IF NOT EXISTS idx_journey_points_sequence ON JourneyPoints(journey_id, sequence_number);`,
+      `CREATE INDEX IF NOT EXISTS idx_journey_points_timestamp ON JourneyPoints(timestamp);`,
+
+      // EmergencyContacts table - Trusted contacts for alerts
+      `CREATE TABLE IF NOT EXISTS EmergencyContacts (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT,
+        phone_number TEXT,
+        email TEXT,
+        relationship TEXT,
+        priority INTEGER,
+        is_active BOOLEAN DEFAULT 1,
+        created_at INTEGER
+      );`,
+
+      // Create index for EmergencyContacts
+      `CREATE INDEX IF NOT EXISTS idx_emergency_contacts_active ON EmergencyContacts(is_active, priority);`,
+
+      // DeviationEvents table - Record of detected deviations
+      `CREATE TABLE IF NOT EXISTS DeviationEvents (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        journey_id INTEGER,
+        latitude REAL,
+        longitude REAL,
+        timestamp INTEGER,
+        deviation_distance REAL,
+        alert_sent BOOLEAN DEFAULT 0,
+        user_response TEXT,
+        FOREIGN KEY (journey_id) REFERENCES Journeys(id) ON DELETE CASCADE
+      );`,
+
+      // Create indexes for DeviationEvents
+      `CREATE INDEX IF NOT EXISTS idx_deviation_events_journey_id ON DeviationEvents(journey_id);`,
+      `CREATE INDEX IF NOT EXISTS idx_deviation_events_response ON DeviationEvents(user_response);`,
+
+      // Create table for alert events
+      `CREATE TABLE IF NOT EXISTS AlertEvents (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        contact_id INTEGER,
+        deviation_id INTEGER,
+        alert_method TEXT,
+        timestamp INTEGER,
+        message TEXT,
+        delivery_status TEXT,
+        FOREIGN KEY (contact_id) REFERENCES EmergencyContacts(id),
+        FOREIGN KEY (deviation_id) REFERENCES DeviationEvents(id) ON DELETE CASCADE
+      );`,
+
+      // Create index for AlertEvents
+      `CREATE INDEX IF NOT EXISTS idx_alert_events_deviation_id ON AlertEvents(deviation_id);`
+    ]
+  },
+  {
+    version: 2,
+    description: 'Settings and per-route overrides',
+    statements: [
+      // Settings table - User preferences stored as JSON values by key
+      `CREATE TABLE IF NOT EXISTS Settings (
+        key TEXT PRIMARY KEY,
+        value TEXT,
+        updated_at INTEGER
+      );`,
+
+      // RouteSettings table - Per-route overrides of selected settings
+      `CREATE TABLE IF NOT EXISTS RouteSettings (
+        route_id INTEGER,
+        key TEXT,
+        value TEXT,
+        updated_at INTEGER,
+        PRIMARY KEY (route_id, key),
+        FOREIGN KEY (route_id) REFERENCES Routes(id) ON DELETE CASCADE
+      );`
+    ]
+  },
+  {
+    version: 3,
+    description: 'Alert delivery channels and outbox',
+    statements: [
+      // ContactChannels table - How each contact should be alerted
+      `CREATE TABLE IF NOT EXISTS ContactChannels (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        contact_id INTEGER,
+        transport TEXT,
+        destination TEXT,
+        is_active BOOLEAN DEFAULT 1,
+        created_at INTEGER,
+        FOREIGN KEY (contact_id) REFERENCES EmergencyContacts(id) ON DELETE CASCADE
+      );`,
+      `CREATE INDEX IF NOT EXISTS idx_contact_channels_contact_id ON ContactChannels(contact_id);`,
+
+      // AlertOutbox table - Pending and completed alert deliveries
+      `CREATE TABLE IF NOT EXISTS AlertOutbox (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        alert_event_id INTEGER,
+        contact_id INTEGER,
+        transport TEXT,
+        destination TEXT,
+        subject TEXT,
+        message TEXT,
+        status TEXT DEFAULT 'queued',
+        attempts INTEGER DEFAULT 0,
+        next_attempt_at INTEGER,
+        last_error TEXT,
+        provider_message_id TEXT,
+        created_at INTEGER,
+        updated_at INTEGER,
+        FOREIGN KEY (alert_event_id) REFERENCES AlertEvents(id) ON DELETE CASCADE
+      );`,
+      `CREATE INDEX IF NOT EXISTS idx_alert_outbox_status ON AlertOutbox(status, next_attempt_at);`
+    ]
+  },
+  {
+    version: 4,
+    description: 'Deviation escalations',
+    statements: [
+      // Escalations table - Current state of each deviation's escalation
+      `CREATE TABLE IF NOT EXISTS Escalations (
+        deviation_id INTEGER PRIMARY KEY,
+        journey_id INTEGER,
+        route_id INTEGER,
+        severity TEXT,
+        state TEXT NOT NULL,
+        tier INTEGER DEFAULT 0,
+        next_action_at INTEGER,
+        created_at INTEGER,
+        updated_at INTEGER,
+        FOREIGN KEY (deviation_id) REFERENCES DeviationEvents(id) ON DELETE CASCADE
+      );`,
+      `CREATE INDEX IF NOT EXISTS idx_escalations_due ON Escalations(state, next_action_at);`,
+
+      // EscalationTransitions table - Audit trail of escalation state changes
+      `CREATE TABLE IF NOT EXISTS EscalationTransitions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        deviation_id INTEGER,
+        from_state TEXT,
+        to_state TEXT,
+        tier INTEGER,
+        reason TEXT,
+        timestamp INTEGER,
+        FOREIGN KEY (deviation_id) REFERENCES DeviationEvents(id) ON DELETE CASCADE
+      );`,
+      `CREATE INDEX IF NOT EXISTS idx_escalation_transitions_deviation_id ON EscalationTransitions(deviation_id);`
+    ]
+  },
+  {
+    version: 5,
+    description: 'Enforceable foreign key actions',
+    statements: [
+      // Foreign keys were never enforced, so deleted routes and journeys left orphans behind
+      `DELETE FROM RoutePoints WHERE route_id NOT IN (SELECT id FROM Routes);`,
+      `DELETE FROM RouteSettings WHERE route_id NOT IN (SELECT id FROM Routes);`,
+      `DELETE FROM JourneyPoints WHERE journey_id NOT IN (SELECT id FROM Journeys);`,
+      `DELETE FROM DeviationEvents WHERE journey_id NOT IN (SELECT id FROM Journeys);`,
+      `DELETE FROM AlertEvents WHERE deviation_id NOT IN (SELECT id FROM DeviationEvents);`,
+      `DELETE FROM AlertOutbox WHERE alert_event_id NOT IN (SELECT id FROM AlertEvents);`,
+      `DELETE FROM ContactChannels WHERE contact_id NOT IN (SELECT id FROM EmergencyContacts);`,
+      `DELETE FROM Escalations WHERE deviation_id NOT IN (SELECT id FROM DeviationEvents);`,
+      `DELETE FROM EscalationTransitions WHERE deviation_id NOT IN (SELECT id FROM DeviationEvents);`,
+
+      // Journeys outlive the route they matched, so deleting a route clears the link
+      `CREATE TABLE Journeys_new (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        matched_route_id INTEGER,
+        start_time INTEGER,
+        end_time INTEGER,
+        distance REAL,
+        transportation_mode TEXT,
+        has_deviation BOOLEAN DEFAULT 0,
+        FOREIGN KEY (matched_route_id) REFERENCES Routes(id) ON DELETE SET NULL
+      );`,
+      `INSERT INTO Journeys_new (id, matched_route_id, start_time, end_time, distance, transportation_mode, has_deviation)
+       SELECT id,
+              CASE WHEN matched_route_id IN (SELECT id FROM Routes) THEN matched_route_id END,
+              start_time, end_time, distance, transportation_mode, has_deviation
+       FROM Journeys;`,
+      `DROP TABLE Journeys;`,
+      `ALTER TABLE Journeys_new RENAME TO Journeys;`,
+      `CREATE INDEX IF NOT EXISTS idx_journeys_matched_route_id ON Journeys(matched_route_id);`,
+      `CREATE INDEX IF NOT EXISTS idx_journeys_start_time ON Journeys(start_time);`,
+
+      // Alert history outlives the contact it was sent to
+      `CREATE TABLE AlertEvents_new (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        contact_id INTEGER,
+        deviation_id INTEGER,
+        alert_method TEXT,
+        timestamp INTEGER,
+        message TEXT,
+        delivery_status TEXT,
+        FOREIGN KEY (contact_id) REFERENCES EmergencyContacts(id) ON DELETE SET NULL,
+        FOREIGN KEY (deviation_id) REFERENCES DeviationEvents(id) ON DELETE CASCADE
+      );`,
+      `INSERT INTO AlertEvents_new (id, contact_id, deviation_id, alert_method, timestamp, message, delivery_status)
+       SELECT id,
+              CASE WHEN contact_id IN (SELECT id FROM EmergencyContacts) THEN contact_id END,
+              deviation_id, alert_method, timestamp, message, delivery_status
+       FROM AlertEvents;`,
+      `DROP TABLE AlertEvents;`,
+      `ALTER TABLE AlertEvents_new RENAME TO AlertEvents;`,
+      `CREATE INDEX IF NOT EXISTS idx_alert_events_deviation_id ON AlertEvents(deviation_id);`
+    ]
+  },
+  {
+    version: 6,
+    description: 'Spatial index on routes',
+    statements: [
+      // Bounding box of each route's points, for overlap queries
+      `ALTER TABLE Routes ADD COLUMN min_latitude REAL;`,
+      `ALTER TABLE Routes ADD COLUMN max_latitude REAL;`,
+      `ALTER TABLE Routes ADD COLUMN min_longitude REAL;`,
+      `ALTER TABLE Routes ADD COLUMN max_longitude REAL;`,
+
+      // Geohash cells of the route ends, for start/end proximity lookups
+      `ALTER TABLE Routes ADD COLUMN start_geohash TEXT;`,
+      `ALTER TABLE Routes ADD COLUMN end_geohash TEXT;`,
+
+      `UPDATE Routes SET
+        min_latitude = (SELECT MIN(latitude) FROM RoutePoints WHERE route_id = Routes.id),
+        max_latitude = (SELECT MAX(latitude) FROM RoutePoints WHERE route_id = Routes.id),
+        min_longitude = (SELECT MIN(longitude) FROM RoutePoints WHERE route_id = Routes.id),
+        max_longitude = (SELECT MAX(longitude) FROM RoutePoints WHERE route_id = Routes.id);`,
+
+      `CREATE INDEX IF NOT EXISTS idx_routes_bounds ON Routes(min_latitude, max_latitude, min_longitude, max_longitude);`,
+      `CREATE INDEX IF NOT EXISTS idx_routes_start_geohash ON Routes(start_geohash);`,
+      `CREATE INDEX IF NOT EXISTS idx_routes_end_geohash ON Routes(end_geohash);`
+    ],
+    migrate: async tx => {
+      const result = await tx.executeQuery('SELECT id, start_location, end_location FROM Routes');
+
+      for (const row of result.rows._array) {
+        try {
+          const start = JSON.parse(row.start_location);
+          const end = JSON.parse(row.end_location);
+
+          await tx.executeQuery(
+            'UPDATE Routes SET start_geohash = ?, end_geohash = ? WHERE id = ?',
+            [encodeGeohash(start), encodeGeohash(end), row.id]
+          );
+        } catch (error) {
+          // Unreadable endpoints just leave the route out of proximity lookups
+          console.warn(`Skipping geohash for route ID ${row.id}:`, error);
+        }
+      }
+    }
+  },
+  {
+    version: 7,
+    description: 'Cloud sync change tracking',
+    statements: [
+      // Stable identity shared by a row and its cloud copy
+      `ALTER TABLE Routes ADD COLUMN uuid TEXT;`,
+      `ALTER TABLE EmergencyContacts ADD COLUMN uuid TEXT;`,
+      `UPDATE Routes SET uuid = ${RANDOM_UUID_SQL};`,
+      `UPDATE EmergencyContacts SET uuid = ${RANDOM_UUID_SQL};`,
+      `CREATE UNIQUE INDEX IF NOT EXISTS idx_routes_uuid ON Routes(uuid);`,
+      `CREATE UNIQUE INDEX IF NOT EXISTS idx_emergency_contacts_uuid ON EmergencyContacts(uuid);`,
+
+      // A row needs pushing while updated_at is ahead of the version last synced
+      `ALTER TABLE EmergencyContacts ADD COLUMN updated_at INTEGER;`,
+      `UPDATE EmergencyContacts SET updated_at = created_at;`,
+      `ALTER TABLE Routes ADD COLUMN synced_at INTEGER;`,
+      `ALTER TABLE EmergencyContacts ADD COLUMN synced_at INTEGER;`,
+
+      // Deletions of synced rows, kept until the cloud copy is marked deleted too
+      `CREATE TABLE IF NOT EXISTS SyncTombstones (
+        table_name TEXT NOT NULL,
+        uuid TEXT NOT NULL,
+        deleted_at INTEGER NOT NULL,
+        synced_at INTEGER,
+        PRIMARY KEY (table_name, uuid)
+      );`,
+
+      // How far each cloud table has been pulled, and for which account
+      `CREATE TABLE IF NOT EXISTS SyncState (
+        table_name TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        cursor_at TEXT,
+        cursor_uuid TEXT,
+        last_synced_at INTEGER
+      );`,
+
+      // Append-only records waiting for a connection, e.g. alert events
+      `CREATE TABLE IF NOT EXISTS SyncQueue (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        table_name TEXT NOT NULL,
+        payload TEXT NOT NULL,
+        attempts INTEGER DEFAULT 0,
+        last_error TEXT,
+        created_at INTEGER
+      );`
+    ]
+  },
+  {
+    version: 8,
+    description: 'Safe-arrival check-ins',
+    statements: [
+      // Deviations also record missed check-ins, so they escalate the same way
+      `ALTER TABLE DeviationEvents ADD COLUMN kind TEXT DEFAULT 'deviation';`,
+
+      // CheckIns table - Destinations the user expects to reach by a deadline
+      `CREATE TABLE IF NOT EXISTS CheckIns (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        journey_id INTEGER NOT NULL,
+        route_id INTEGER,
+        destination_latitude REAL NOT NULL,
+        destination_longitude REAL NOT NULL,
+        destination_name TEXT,
+        arrival_radius REAL NOT NULL,
+        planned_distance REAL,
+        expected_duration INTEGER NOT NULL,
+        started_at INTEGER NOT NULL,
+        due_at INTEGER NOT NULL,
+        eta INTEGER,
+        state TEXT NOT NULL DEFAULT 'active',
+        notify_contacts BOOLEAN DEFAULT 0,
+        last_latitude REAL,
+        last_longitude REAL,
+        last_fix_at INTEGER,
+        anchor_latitude REAL,
+        anchor_longitude REAL,
+        anchor_since INTEGER,
+        deviation_id INTEGER,
+        arrived_at INTEGER,
+        contacts_notified INTEGER DEFAULT 0,
+        updated_at INTEGER,
+        FOREIGN KEY (journey_id) REFERENCES Journeys(id) ON DELETE CASCADE,
+        FOREIGN KEY (route_id) REFERENCES Routes(id) ON DELETE SET NULL,
+        FOREIGN KEY (deviation_id) REFERENCES DeviationEvents(id) ON DELETE SET NULL
+      );`,
+      `CREATE INDEX IF NOT EXISTS idx_check_ins_journey_id ON CheckIns(journey_id);`,
+      `CREATE INDEX IF NOT EXISTS idx_check_ins_state ON CheckIns(state);`
+    ]
+  },
+  {
+    version: 9,
+    description: 'Journey segments by transportation mode',
+    statements: [
+      // JourneySegments table - Stretches of a journey travelled in one mode
+      `CREATE TABLE IF NOT EXISTS JourneySegments (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        journey_id INTEGER NOT NULL,
+        mode TEXT NOT NULL,
+        start_time INTEGER NOT NULL,
+        end_time INTEGER NOT NULL,
+        start_sequence INTEGER NOT NULL,
+        end_sequence INTEGER NOT NULL,
+        distance REAL DEFAULT 0,
+        avg_speed REAL,
+        max_speed REAL,
+        stop_count INTEGER DEFAULT 0,
+        FOREIGN KEY (journey_id) REFERENCES Journeys(id) ON DELETE CASCADE
+      );`,
+      `CREATE INDEX IF NOT EXISTS idx_journey_segments_journey_id ON JourneySegments(journey_id);`
+    ]
+  },
+  {
+    version: 10,
+    description: 'Coarsen route bounds stored alongside encrypted locations',
+    statements: [
+      // Widen each route's extent to whole 1/100 degrees (~1 km); SQLite has no FLOOR/CEIL
+      `UPDATE Routes SET
+        min_latitude = (CAST(min_latitude * 100 AS INTEGER) - (min_latitude * 100 < CAST(min_latitude * 100 AS INTEGER))) / 100.0,
+        max_latitude = (CAST(max_latitude * 100 AS INTEGER) + (max_latitude * 100 > CAST(max_latitude * 100 AS INTEGER))) / 100.0,
+        min_longitude = (CAST(min_longitude * 100 AS INTEGER) - (min_longitude * 100 < CAST(min_longitude * 100 AS INTEGER))) / 100.0,
+        max_longitude = (CAST(max_longitude * 100 AS INTEGER) + (max_longitude * 100 > CAST(max_longitude * 100 AS INTEGER))) / 100.0
+      WHERE min_latitude IS NOT NULL;`
+    ]
+  },
+  {
+    version: 11,
+    description: 'Live location sharing sessions',
+    statements: [
+      // LiveShares table - Time-limited links contacts can follow a journey on
+      `CREATE TABLE IF NOT EXISTS LiveShares (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        journey_id INTEGER,
+        deviation_id INTEGER,
+        token TEXT NOT NULL,
+        write_key TEXT NOT NULL,
+        reason TEXT NOT NULL DEFAULT 'manual',
+        started_at INTEGER NOT NULL,
+        expires_at INTEGER NOT NULL,
+        last_published_at INTEGER,
+        closed_at INTEGER,
+        closed_reason TEXT,
+        close_published INTEGER DEFAULT 0,
+        FOREIGN KEY (journey_id) REFERENCES Journeys(id) ON DELETE SET NULL
+      );`,
+      `CREATE INDEX IF NOT EXISTS idx_live_shares_journey_id ON LiveShares(journey_id, closed_at);`
+    ]
+  },
+  {
+    version: 12,
+    description: 'Last known location alerts',
+    statements: [
+      // What cut a journey's tracking short ('battery', 'signal' or 'permission') and the battery level at the time
+      `ALTER TABLE DeviationEvents ADD COLUMN cause TEXT;`,
+      `ALTER TABLE DeviationEvents ADD COLUMN battery_level REAL;`
+    ]
+  },
+  {
+    version: 13,
+    description: 'Retention policy and cleanup history',
+    statements: [
+      // When a journey's points were thinned out; thinned journeys aren't thinned again
+      `ALTER TABLE Journeys ADD COLUMN downsampled_at INTEGER;`,
+
+      // CleanupHistory table - What each retention run removed, for Settings
+      `CREATE TABLE IF NOT EXISTS CleanupHistory (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        started_at INTEGER NOT NULL,
+        finished_at INTEGER,
+        reason TEXT NOT NULL,
+        success BOOLEAN DEFAULT 0,
+        counts TEXT,
+        error TEXT
+      );`,
+      `CREATE INDEX IF NOT EXISTS idx_cleanup_history_started_at ON CleanupHistory(started_at);`
+    ]
+  },
+  {
+    version: 14,
+    description: 'Journey watchdog state',
+    statements: [
+      // Causes whose last known location has been sent, comma separated, so a restarted app neither skips nor repeats them
+      `ALTER TABLE Journeys ADD COLUMN watchdog_causes TEXT;`,
+      `UPDATE Journeys SET watchdog_causes = (
+        SELECT group_concat(DISTINCT cause) FROM DeviationEvents
+        WHERE journey_id = Journeys.id AND kind = 'last_known' AND cause IS NOT NULL
+      );`,
+      `CREATE INDEX IF NOT EXISTS idx_journeys_end_time ON Journeys(end_time);`
+    ]
+  },
+  {
+    version: 15,
+    description: 'Per-contact webhook secrets',
+    statements: [
+      // Bearer token a contact's webhook expects; encrypted, and never synced or exported
+      `ALTER TABLE ContactChannels ADD COLUMN secret TEXT;`
+    ]
+  },
+  {
+    version: 16,
+    description: 'Exact route extents',
+    statements: [
+      // Bounding box of the route's points as JSON, encrypted as it gives the route's ends away;
+      // routes saved before this have none and are narrowed down by their widened bounds instead
+      `ALTER TABLE Routes ADD COLUMN extent TEXT;`
+    ]
+  }
+];
@@ -1,8 +1,14 @@
-import database from './database';
+import { randomUUID } from 'expo-crypto';
+import database, { TransactionContext } from './database';
+import { getFieldCipher, isEncrypted, FieldCipher, ENCRYPTED_PREFIX } from './encryption';
+import { GeoBounds, GeoPosition, getBounds as getExactBounds, expandBounds, shareOfPathInBounds } from '../utils/geometry';
+import { encodeGeohash, geohashesAround } from '../utils/geohash';
+import { TransportationMode } from '../utils/segmentation';
 
 // Route-related interfaces
 export interface RouteData {
   id?: number;
+  uuid?: string;
   name?: string;
   category?: string;
   confidence_score?: number;
@@ -20,6 +26,15 @@ export interface RouteData {
   times_traveled?: number;
   created_at?: number;
   updated_at?: number;
+  synced_at?: number | null;
+  // Spatial index columns, maintained by createRoute
+  min_latitude?: number | null;
+  max_latitude?: number | null;
+  min_longitude?: number | null;
+  max_longitude?: number | null;
+  start_geohash?: string | null;
+  end_geohash?: string | null;
+  extent?: GeoBounds | null;       // exact bounds; the ones above are widened to whole 1/100 degrees
 }
 
 export interface RoutePoint {
@@ -34,6 +49,13 @@ export interface Route extends RouteData {
   points?: RoutePoint[];
 }
 
+// Narrows routes found by their bounds to those a path could follow for most of its length
+export interface RoutePathFilter {
+  path: GeoPosition[];
+  margin: number;    // meters a path may run beside a route's bounds
+  minShare: number;  // 0-1 share of the path's length that must lie within them
+}
+
 // Journey-related interfaces
 export interface JourneyData {
   id?: number;
@@ -43,6 +65,8 @@ export interface JourneyData {
   distance?: number;
   transportation_mode?: string | null;
   has_deviation?: boolean;
+  downsampled_at?: number | null; // when old points were thinned out by the retention policy
+  watchdog_causes?: string | null; // comma-separated causes whose last known location was sent
 }
 
 export interface JourneyPoint {
@@ -56,13 +80,95 @@ export interface JourneyPoint {
   sequence_number: number;
 }
 
+export interface JourneySegmentData {
+  mode: TransportationMode;
+  start_time: number;
+  end_time: number;
+  start_sequence: number;
+  end_sequence: number;
+  distance: number;
+  avg_speed: number | null;
+  max_speed: number | null;
+  stop_count: number;
+}
+
+export interface JourneySegment extends JourneySegmentData {
+  id: number;
+  journey_id: number;
+}
+
+// What a DeviationEvents row records: leaving the route, a missed check-in, an unlock with the duress PIN,
+// or the last known location sent when tracking is about to stop
+export type DeviationKind = 'deviation' | 'overdue' | 'stationary' | 'duress' | 'last_known';
+
+// Why a last known location was sent: battery nearly flat, no fixes arriving, or location access turned off
+export type LastKnownCause = 'battery' | 'signal' | 'permission';
+
 export interface DeviationData {
+  kind?: DeviationKind;
   latitude: number;
   longitude: number;
   timestamp: number;
   deviation_distance: number;
   alert_sent?: boolean;
   user_response?: string | null;
+  cause?: LastKnownCause | null;
+  battery_level?: number | null;
+}
+
+export interface DeviationEvent extends DeviationData {
+  id: number;
+  journey_id: number;
+}
+
+// DeviationEvents.user_response value for deviations the user says were not real
+export const FALSE_ALARM_RESPONSE = 'false_alarm';
+
+/**
+ * Condition leaving out duress deviations (alias `d`) when asked, so a duress session
+ * shows no sign that contacts were alerted
+ */
+const shownDeviationsSql = (hideDuress: boolean): string =>
+  hideDuress ? "IFNULL(d.kind, '') != 'duress'" : '1';
+
+/**
+ * Journeys.has_deviation (alias `j`) as a duress session shows it: journeys flagged
+ * only by a duress deviation look like they went to plan
+ */
+const shownHasDeviationSql = (hideDuress: boolean): string => hideDuress
+  ? `(j.has_deviation AND (
+      NOT EXISTS (SELECT 1 FROM DeviationEvents d WHERE d.journey_id = j.id AND d.kind = 'duress')
+      OR EXISTS (
+        SELECT 1 FROM DeviationEvents d
+        WHERE d.journey_id = j.id AND ${shownDeviationsSql(true)}
+          AND IFNULL(d.user_response, '') != '${FALSE_ALARM_RESPONSE}'
+      )
+    ))`
+  : 'j.has_deviation';
+
+export interface JourneyFilters {
+  from?: number;                 // start_time lower bound (ms)
+  to?: number;                   // start_time upper bound (ms)
+  routeId?: number;
+  transportationMode?: string;
+  hasDeviation?: boolean;
+  hideDuress?: boolean;          // Leave duress deviations out, as in a duress session
+}
+
+export interface JourneySummary extends JourneyData {
+  id: number;
+  route_name: string | null;
+  deviation_count: number;
+}
+
+export interface JourneyAlert {
+  id: number;
+  deviation_id: number;
+  contact_id: number | null;
+  contact_name: string | null;
+  alert_method: AlertTransportType;
+  timestamp: number;
+  delivery_status: DeliveryStatus | null;
 }
 
 // Contact-related interfaces
@@ -77,9 +183,361 @@ export interface ContactData {
 
 export interface Contact extends ContactData {
   id: number;
+  uuid: string;
+  created_at: number;
+  updated_at: number;
+  synced_at: number | null;
+}
+
+// Alert delivery interfaces
+export type AlertTransportType = 'sms' | 'email' | 'webhook';
+
+export type DeliveryStatus = 'queued' | 'sent' | 'delivered' | 'failed';
+
+export interface ContactChannel {
+  id?: number;
+  contact_id?: number;
+  transport: AlertTransportType;
+  destination?: string | null; // Only used by webhooks; SMS/email use the contact's details
+  secret?: string | null;      // Bearer token the contact's webhook expects; stays on this phone
+  is_active?: boolean;
+}
+
+export interface AlertStatus {
+  contact_id: number;
+  alert_method: AlertTransportType;
+  delivery_status: DeliveryStatus | null;
+  timestamp: number;
+}
+
+export interface OutboxItemData {
+  alert_event_id: number;
+  contact_id: number;
+  transport: AlertTransportType;
+  destination: string;
+  subject: string;
+  message: string;
+}
+
+export interface OutboxItem extends OutboxItemData {
+  id: number;
+  status: DeliveryStatus;
+  attempts: number;
+  next_attempt_at: number;
+  last_error: string | null;
+  provider_message_id: string | null;
+  created_at: number;
+  updated_at: number;
+}
+
+// Escalation-related interfaces
+export type EscalationState =
+  | 'pending'
+  | 'user_notified'
+  | 'snoozed'
+  | `escalated_tier_${number}`
+  | 'resolved';
+
+export interface Escalation {
+  deviation_id: number;
+  journey_id: number;
+  route_id: number | null;
+  severity: string;
+  state: EscalationState;
+  tier: number;
+  next_action_at: number | null;
+  created_at: number;
+  updated_at: number;
+}
+
+export interface EscalationTransition {
+  id: number;
+  deviation_id: number;
+  from_state: EscalationState | null;
+  to_state: EscalationState;
+  tier: number;
+  reason: string | null;
+  timestamp: number;
+}
+
+// Check-in interfaces
+export type CheckInState = 'active' | 'alerting' | 'arrived' | 'cancelled';
+
+export interface CheckInData {
+  journey_id: number;
+  route_id?: number | null;
+  destination_latitude: number;
+  destination_longitude: number;
+  destination_name?: string | null;
+  arrival_radius: number;          // meters around the destination that count as arrived
+  planned_distance?: number | null; // meters left to travel when the check-in started
+  expected_duration: number;       // milliseconds
+  started_at: number;
+  due_at: number;                  // expected arrival; pushed back when the user says they're fine
+  notify_contacts?: boolean;
+}
+
+export interface CheckIn extends CheckInData {
+  id: number;
+  eta: number | null;
+  state: CheckInState;
+  last_latitude: number | null;
+  last_longitude: number | null;
+  last_fix_at: number | null;
+  anchor_latitude: number | null;  // where the user was when they last moved
+  anchor_longitude: number | null;
+  anchor_since: number | null;
+  deviation_id: number | null;     // missed check-in being escalated
+  arrived_at: number | null;
+  contacts_notified: number;
+  updated_at: number;
+}
+
+// Columns that change while a check-in runs
+export type CheckInUpdate = Partial<Pick<CheckIn,
+  | 'due_at'
+  | 'eta'
+  | 'state'
+  | 'last_latitude'
+  | 'last_longitude'
+  | 'last_fix_at'
+  | 'anchor_latitude'
+  | 'anchor_longitude'
+  | 'anchor_since'
+  | 'deviation_id'
+  | 'arrived_at'
+  | 'contacts_notified'
+>>;
+
+// Live share interfaces
+export type LiveShareReason = 'manual' | 'escalation';
+
+// Why a share stopped: the user revoked it, they arrived, tracking stopped, or time ran out
+export type LiveShareCloseReason = 'revoked' | 'arrived' | 'ended' | 'expired';
+
+export interface LiveShare {
+  id: number;
+  journey_id: number | null;
+  deviation_id: number | null;     // escalation the share was opened for
+  token: string;                   // viewer link; anyone holding it can see the share
+  write_key: string;               // proves to the backend that this phone owns the share
+  reason: LiveShareReason;
+  started_at: number;
+  expires_at: number;
+  last_published_at: number | null;
+  closed_at: number | null;
+  closed_reason: LiveShareCloseReason | null;
+  close_published: boolean;        // backend has been told the share is closed
+}
+
+// Cloud sync interfaces
+export type SyncedTable = 'Routes' | 'EmergencyContacts';
+
+export interface SyncedContact extends Contact {
+  channels: ContactChannel[];
+}
+
+export interface SyncState {
+  table_name: string;
+  user_id: string;
+  cursor_at: string | null;     // server_updated_at of the last row pulled
+  cursor_uuid: string | null;   // breaks ties between rows written in the same request
+  last_synced_at: number | null;
+}
+
+export interface LocalVersion {
+  uuid: string;
+  name: string | null;
+  updated_at: number;           // deletion time for a pending deletion
+  synced_at: number | null;     // updated_at of the version last synced
+  deleted: boolean;             // deleted here, deletion not yet pushed
+}
+
+export interface Tombstone {
+  uuid: string;
+  deleted_at: number;
+}
+
+export interface QueuedRecord {
+  id: number;
+  table_name: string;
+  payload: Record<string, unknown>;
+  attempts: number;
+  last_error: string | null;
   created_at: number;
 }
 
+// Data retention interfaces
+export type CleanupReason = 'scheduled' | 'manual';
+
+export interface CleanupHistoryEntry {
+  id: number;
+  started_at: number;
+  finished_at: number | null;
+  reason: CleanupReason;
+  success: boolean;
+  counts: Record<string, number>;  // rows removed or thinned, by retention rule
+  error: string | null;
+}
+
+// Every table holding the user's data, children before parents so deleting in order never trips a foreign key
+export const USER_DATA_TABLES = [
+  'AlertOutbox',
+  'AlertEvents',
+  'EscalationTransitions',
+  'Escalations',
+  'LiveShares',
+  'CheckIns',
+  'JourneySegments',
+  'JourneyPoints',
+  'DeviationEvents',
+  'Journeys',
+  'RouteSettings',
+  'RoutePoints',
+  'Routes',
+  'ContactChannels',
+  'EmergencyContacts',
+  'Settings',
+  'SyncQueue',
+  'SyncTombstones',
+  'SyncState',
+  'CleanupHistory'
+];
+
+// Columns left out of data exports: keys that would let the file's holder act as this phone
+const UNEXPORTED_COLUMNS: Record<string, string[]> = {
+  LiveShares: ['write_key'],
+  ContactChannels: ['secret']
+};
+
+// Duress deviations, for leaving them and everything they set off out of a duress session's export
+const DURESS_DEVIATION_IDS = "SELECT id FROM DeviationEvents WHERE kind = 'duress'";
+
+// How a duress session reads the tables that would give the duress alert away; other tables are read whole
+const DURESS_EXPORT_QUERIES: Record<string, string> = {
+  AlertOutbox: `SELECT * FROM AlertOutbox WHERE IFNULL(alert_event_id, 0) NOT IN (
+    SELECT id FROM AlertEvents WHERE deviation_id IN (${DURESS_DEVIATION_IDS})
+  )`,
+  AlertEvents: `SELECT * FROM AlertEvents WHERE IFNULL(deviation_id, 0) NOT IN (${DURESS_DEVIATION_IDS})`,
+  EscalationTransitions: `SELECT * FROM EscalationTransitions WHERE IFNULL(deviation_id, 0) NOT IN (${DURESS_DEVIATION_IDS})`,
+  Escalations: `SELECT * FROM Escalations WHERE deviation_id NOT IN (${DURESS_DEVIATION_IDS})`,
+  LiveShares: `SELECT * FROM LiveShares WHERE IFNULL(deviation_id, 0) NOT IN (${DURESS_DEVIATION_IDS})`,
+  DeviationEvents: `SELECT * FROM DeviationEvents d WHERE ${shownDeviationsSql(true)}`,
+  Journeys: `SELECT j.*, ${shownHasDeviationSql(true)} AS shown_deviation FROM Journeys j`
+};
+
+// Columns stored encrypted (see ./encryption); numeric ones decrypt back to numbers
+export const ENCRYPTED_COLUMNS: Record<string, { numbers?: string[]; text?: string[] }> = {
+  Routes: { text: ['start_location', 'end_location', 'extent'] },
+  RoutePoints: { numbers: ['latitude', 'longitude'] },
+  JourneyPoints: { numbers: ['latitude', 'longitude'] },
+  DeviationEvents: { numbers: ['latitude', 'longitude'] },
+  CheckIns: {
+    numbers: [
+      'destination_latitude', 'destination_longitude', 'last_latitude',
+      'last_longitude', 'anchor_latitude', 'anchor_longitude'
+    ],
+    text: ['destination_name']
+  },
+  EmergencyContacts: { text: ['phone_number', 'email'] },
+  ContactChannels: { text: ['destination', 'secret'] },
+  AlertEvents: { text: ['message'] },
+  AlertOutbox: { text: ['destination', 'message'] },
+  SyncQueue: { text: ['payload'] },
+  LiveShares: { text: ['token', 'write_key'] }
+};
+
+// Route extents stay in plaintext for spatial queries, so they are widened to whole 1/100 degrees (~1 km)
+const BOUNDS_GRID = 100;
+
+/**
+ * Decrypt the encrypted columns present in a row
+ */
+const decryptRow = (cipher: FieldCipher, table: string, row: any): any => {
+  const { numbers = [], text = [] } = ENCRYPTED_COLUMNS[table];
+  const decrypted = { ...row };
+  
+  for (const column of numbers) {
+    if (column in row) decrypted[column] = cipher.decryptNumber(row[column]);
+  }
+  for (const column of text) {
+    if (column in row) decrypted[column] = cipher.decryptText(row[column]);
+  }
+  
+  return decrypted;
+};
+
+/**
+ * Bounding box of a route, widened so it doesn't pinpoint where the route starts or ends
+ */
+const getBounds = (points: GeoPosition[]): GeoBounds | null => {
+  const bounds = getExactBounds(points);
+  if (!bounds) return null;
+  
+  return {
+    minLatitude: Math.floor(bounds.minLatitude * BOUNDS_GRID) / BOUNDS_GRID,
+    maxLatitude: Math.ceil(bounds.maxLatitude * BOUNDS_GRID) / BOUNDS_GRID,
+    minLongitude: Math.floor(bounds.minLongitude * BOUNDS_GRID) / BOUNDS_GRID,
+    maxLongitude: Math.ceil(bounds.maxLongitude * BOUNDS_GRID) / BOUNDS_GRID
+  };
+};
+
+/**
+ * Decrypt and parse the JSON location columns of a Routes row
+ */
+const parseRouteRow = (cipher: FieldCipher, row: any): Route => {
+  const decrypted = decryptRow(cipher, 'Routes', row);
+  return {
+    ...decrypted,
+    start_location: decrypted.start_location ? JSON.parse(decrypted.start_location) : decrypted.start_location,
+    end_location: decrypted.end_location ? JSON.parse(decrypted.end_location) : decrypted.end_location,
+    extent: decrypted.extent ? JSON.parse(decrypted.extent) : null
+  };
+};
+
+const ROUTE_POINTS_BATCH_SIZE = 500;
+
+/**
+ * Load the points of several routes in one query per batch of routes
+ */
+const attachRoutePoints = async (cipher: FieldCipher, routes: Route[]): Promise<Route[]> => {
+  if (routes.length === 0) return routes;
+  
+  const byId = new Map<number, Route>();
+  for (const route of routes) {
+    route.points = [];
+    byId.set(route.id!, route);
+  }
+  
+  // Chunked to stay under SQLite's bound parameter limit
+  const ids = [...byId.keys()];
+  for (let i = 0; i < ids.length; i += ROUTE_POINTS_BATCH_SIZE) {
+    const batch = ids.slice(i, i + ROUTE_POINTS_BATCH_SIZE);
+    const pointsResult = await database.executeQuery(
+      `SELECT * FROM RoutePoints WHERE route_id IN (${batch.map(() => '?').join(', ')})
+      ORDER BY route_id, sequence_number`,
+      batch
+    );
+    
+    for (const point of pointsResult.rows._array) {
+      byId.get(point.route_id)?.points!.push(decryptRow(cipher, 'RoutePoints', point) as RoutePoint);
+    }
+  }
+  
+  return routes;
+};
+
+/**
+ * Remember the deletion of a row that has a cloud copy, so sync can delete that copy too
+ */
+const recordTombstone = async (tx: TransactionContext, table: SyncedTable, id: number): Promise<void> => {
+  await tx.executeQuery(
+    `INSERT OR REPLACE INTO SyncTombstones (table_name, uuid, deleted_at, synced_at)
+     SELECT ?, uuid, ?, synced_at FROM ${table} WHERE id = ? AND synced_at IS NOT NULL`,
+    [table, Date.now(), id]
+  );
+};
+
 /**
  * Routes Model - Handles operations for user's learned routes
  */
@@ -89,52 +547,62 @@ export class RoutesModel {
    */
   static async createRoute(routeData: RouteData, routePoints: RoutePoint[]): Promise<number> {
     try {
+      const cipher = await getFieldCipher();
       const now = Date.now();
+      const bounds = getBounds(routePoints);
+      const extent = getExactBounds(routePoints);
       
-      // Insert route
-      const routeResult = await database.executeQuery(
-        `INSERT INTO Routes (
-          name, category, confidence_score, start_location, end_location, 
-          avg_duration, times_traveled, created_at, updated_at
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-        [
-          routeData.name || null,
-          routeData.category || null,
-          routeData.confidence_score || 0,
-          JSON.stringify(routeData.start_location),
-          JSON.stringify(routeData.end_location),
-          routeData.avg_duration || 0,
-          routeData.times_traveled || 1,
-          now,
-          now
-        ]
-      );
-      
-      const routeId = routeResult.insertId;
-      
-      if (!routeId) {
-        throw new Error('Failed to insert route');
-      }
-      
-      // Insert route points
-      for (let i = 0; i < routePoints.length; i++) {
-        const point = routePoints[i];
-        await database.executeQuery(
-          `INSERT INTO RoutePoints (
-            route_id, latitude, longitude, accuracy, altitude, sequence_number
-          ) VALUES (?, ?, ?, ?, ?, ?)`,
+      // Route and points are written together so a failure never leaves half a route
+      return await database.withTransaction(async tx => {
+        const routeResult = await tx.executeQuery(
+          `INSERT INTO Routes (
+            uuid, name, category, confidence_score, start_location, end_location, 
+            avg_duration, times_traveled, created_at, updated_at,
+            min_latitude, max_latitude, min_longitude, max_longitude,
+            start_geohash, end_geohash, extent
+          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
           [
+            randomUUID(),
+            routeData.name || null,
+            routeData.category || null,
+            routeData.confidence_score || 0,
+            cipher.encrypt(JSON.stringify(routeData.start_location)),
+            cipher.encrypt(JSON.stringify(routeData.end_location)),
+            routeData.avg_duration || 0,
+            routeData.times_traveled ?? 1,
+            now,
+            now,
+            bounds?.minLatitude ?? null,
+            bounds?.maxLatitude ?? null,
+            bounds?.minLongitude ?? null,
+            bounds?.maxLongitude ?? null,
+            encodeGeohash(routeData.start_location),
+            encodeGeohash(routeData.end_location),
+            extent ? cipher.encrypt(JSON.stringify(extent)) : null
+          ]
+        );
+        
+        const routeId = routeResult.insertId;
+        
+        if (!routeId) {
+          throw new Error('Failed to insert route');
+        }
+        
+        await tx.insertRows(
+          'RoutePoints',
+          ['route_id', 'latitude', 'longitude', 'accuracy', 'altitude', 'sequence_number'],
+          routePoints.map((point, i) => [
             routeId,
-            point.latitude,
-            point.longitude,
+            cipher.encrypt(point.latitude),
+            cipher.encrypt(point.longitude),
             point.accuracy || null,
             point.altitude || null,
             i
-          ]
+          ])
         );
-      }
-      
-      return routeId;
+        
+        return routeId;
+      });
     } catch (error) {
       console.error('Error creating route:', error);
       throw error;
@@ -146,8 +614,9 @@ export class RoutesModel {
    */
   static async getRoutes(): Promise<Route[]> {
     try {
+      const cipher = await getFieldCipher();
       const result = await database.executeQuery('SELECT * FROM Routes ORDER BY updated_at DESC');
-      return result.rows._array;
+      return result.rows._array.map(row => parseRouteRow(cipher, row));
     } catch (error) {
       console.error('Error getting routes:', error);
       throw error;
@@ -159,6 +628,7 @@ export class RoutesModel {
    */
   static async getRouteWithPoints(routeId: number): Promise<Route | null> {
     try {
+      const cipher = await getFieldCipher();
       const routeResult = await database.executeQuery(
         'SELECT * FROM Routes WHERE id = ?',
         [routeId]
@@ -168,14 +638,14 @@ export class RoutesModel {
         return null;
       }
       
-      const route = routeResult.rows._array[0] as Route;
+      const route = parseRouteRow(cipher, routeResult.rows._array[0]);
       
       const pointsResult = await database.executeQuery(
         'SELECT * FROM RoutePoints WHERE route_id = ? ORDER BY sequence_number',
         [routeId]
       );
       
-      route.points = pointsResult.rows._array as RoutePoint[];
+      route.points = pointsResult.rows._array.map(row => decryptRow(cipher, 'RoutePoints', row)) as RoutePoint[];
       return route;
     } catch (error) {
       console.error(`Error getting route with ID ${routeId}:`, error);
@@ -183,6 +653,61 @@ export class RoutesModel {
     }
   }
   
+  /**
+   * Get routes whose bounding box overlaps the given bounds, including their points
+   * @param along - Keep only routes whose extent, grown by its margin, takes in enough of this path
+   */
+  static async getRoutesInBounds(bounds: GeoBounds, along?: RoutePathFilter): Promise<Route[]> {
+    try {
+      const cipher = await getFieldCipher();
+      const result = await database.executeQuery(
+        `SELECT * FROM Routes
+        WHERE min_latitude <= ? AND max_latitude >= ?
+          AND min_longitude <= ? AND max_longitude >= ?`,
+        [bounds.maxLatitude, bounds.minLatitude, bounds.maxLongitude, bounds.minLongitude]
+      );
+      
+      const routes = result.rows._array.map(row => parseRouteRow(cipher, row));
+      
+      // Routes that only cross the path are dropped before their points are read, which is most of the cost
+      const candidates = along
+        ? routes.filter(route => {
+          const extent = route.extent || {
+            minLatitude: route.min_latitude!,
+            maxLatitude: route.max_latitude!,
+            minLongitude: route.min_longitude!,
+            maxLongitude: route.max_longitude!
+          };
+          return shareOfPathInBounds(along.path, expandBounds(extent, along.margin)) >= along.minShare;
+        })
+        : routes;
+      
+      return await attachRoutePoints(cipher, candidates);
+    } catch (error) {
+      console.error('Error getting routes in bounds:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Get routes starting in or next to the geohash cell of a position, including their points
+   */
+  static async getRoutesStartingNear(position: GeoPosition): Promise<Route[]> {
+    try {
+      const cipher = await getFieldCipher();
+      const cells = geohashesAround(position);
+      const result = await database.executeQuery(
+        `SELECT * FROM Routes WHERE start_geohash IN (${cells.map(() => '?').join(', ')})`,
+        cells
+      );
+      
+      return await attachRoutePoints(cipher, result.rows._array.map(row => parseRouteRow(cipher, row)));
+    } catch (error) {
+      console.error('Error getting routes starting nearby:', error);
+      throw error;
+    }
+  }
+  
   /**
    * Update route confidence score and metadata
    */
@@ -203,12 +728,103 @@ export class RoutesModel {
     }
   }
   
+  /**
+   * Insert or replace a route pulled from the cloud, matched on its UUID
+   */
+  static async saveSyncedRoute(routeData: RouteData, routePoints: RoutePoint[]): Promise<number> {
+    try {
+      const cipher = await getFieldCipher();
+      const bounds = getBounds(routePoints);
+      const extent = getExactBounds(routePoints);
+      const values = [
+        routeData.name || null,
+        routeData.category || null,
+        routeData.confidence_score || 0,
+        cipher.encrypt(JSON.stringify(routeData.start_location)),
+        cipher.encrypt(JSON.stringify(routeData.end_location)),
+        routeData.avg_duration || 0,
+        routeData.times_traveled ?? 1,
+        routeData.created_at,
+        routeData.updated_at,
+        routeData.updated_at,
+        bounds?.minLatitude ?? null,
+        bounds?.maxLatitude ?? null,
+        bounds?.minLongitude ?? null,
+        bounds?.maxLongitude ?? null,
+        encodeGeohash(routeData.start_location),
+        encodeGeohash(routeData.end_location),
+        extent ? cipher.encrypt(JSON.stringify(extent)) : null
+      ];
+      
+      return await database.withTransaction(async tx => {
+        const existing = await tx.executeQuery('SELECT id FROM Routes WHERE uuid = ?', [routeData.uuid]);
+        let routeId: number;
+        
+        if (existing.rows.length > 0) {
+          routeId = existing.rows._array[0].id;
+          await tx.executeQuery(
+            `UPDATE Routes SET
+              name = ?, category = ?, confidence_score = ?, start_location = ?, end_location = ?,
+              avg_duration = ?, times_traveled = ?, created_at = ?, updated_at = ?, synced_at = ?,
+              min_latitude = ?, max_latitude = ?, min_longitude = ?, max_longitude = ?,
+              start_geohash = ?, end_geohash = ?, extent = ?
+            WHERE id = ?`,
+            [...values, routeId]
+          );
+          await tx.executeQuery('DELETE FROM RoutePoints WHERE route_id = ?', [routeId]);
+        } else {
+          const result = await tx.executeQuery(
+            `INSERT INTO Routes (
+              name, category, confidence_score, start_location, end_location,
+              avg_duration, times_traveled, created_at, updated_at, synced_at,
+              min_latitude, max_latitude, min_longitude, max_longitude,
+              start_geohash, end_geohash, extent, uuid
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [...values, routeData.uuid]
+          );
+          
+          if (!result.insertId) {
+            throw new Error('Failed to insert route');
+          }
+          routeId = result.insertId;
+        }
+        
+        await tx.insertRows(
+          'RoutePoints',
+          ['route_id', 'latitude', 'longitude', 'accuracy', 'altitude', 'sequence_number'],
+          routePoints.map((point, i) => [
+            routeId,
+            cipher.encrypt(point.latitude),
+            cipher.encrypt(point.longitude),
+            point.accuracy || null,
+            point.altitude || null,
+            i
+          ])
+        );
+        
+        // The pulled version replaces a deletion that never reached the cloud
+        await tx.executeQuery(
+          'DELETE FROM SyncTombstones WHERE table_name = ? AND uuid = ?',
+          ['Routes', routeData.uuid]
+        );
+        
+        return routeId;
+      });
+    } catch (error) {
+      console.error(`Error saving synced route ${routeData.uuid}:`, error);
+      throw error;
+    }
+  }
+  
   /**
    * Delete a route and all its points
    */
   static async deleteRoute(routeId: number): Promise<void> {
     try {
-      await database.executeQuery('DELETE FROM Routes WHERE id = ?', [routeId]);
+      await database.withTransaction(async tx => {
+        await recordTombstone(tx, 'Routes', routeId);
+        await tx.executeQuery('DELETE FROM Routes WHERE id = ?', [routeId]);
+      });
     } catch (error) {
       console.error(`Error deleting route with ID ${routeId}:`, error);
       throw error;
@@ -256,6 +872,7 @@ export class JourneysModel {
    */
   static async addJourneyPoint(journeyId: number, pointData: JourneyPoint): Promise<void> {
     try {
+      const cipher = await getFieldCipher();
       await database.executeQuery(
         `INSERT INTO JourneyPoints (
           journey_id, latitude, longitude, accuracy, altitude,
@@ -263,8 +880,8 @@ export class JourneysModel {
         ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
         [
           journeyId,
-          pointData.latitude,
-          pointData.longitude,
+          cipher.encrypt(pointData.latitude),
+          cipher.encrypt(pointData.longitude),
           pointData.accuracy || null,
           pointData.altitude || null,
           pointData.timestamp,
@@ -279,6 +896,36 @@ export class JourneysModel {
     }
   }
   
+  /**
+   * Add many location points to a journey in one transaction
+   */
+  static async addJourneyPoints(journeyId: number, points: JourneyPoint[]): Promise<void> {
+    try {
+      const cipher = await getFieldCipher();
+      await database.insertRows(
+        'JourneyPoints',
+        [
+          'journey_id', 'latitude', 'longitude', 'accuracy', 'altitude',
+          'timestamp', 'speed', 'battery_level', 'sequence_number'
+        ],
+        points.map(pointData => [
+          journeyId,
+          cipher.encrypt(pointData.latitude),
+          cipher.encrypt(pointData.longitude),
+          pointData.accuracy || null,
+          pointData.altitude || null,
+          pointData.timestamp,
+          pointData.speed || null,
+          pointData.battery_level || null,
+          pointData.sequence_number
+        ])
+      );
+    } catch (error) {
+      console.error(`Error adding points to journey ID ${journeyId}:`, error);
+      throw error;
+    }
+  }
+  
   /**
    * Complete a journey by setting its end time
    */
@@ -299,121 +946,536 @@ export class JourneysModel {
   }
   
   /**
-   * Get journey points for a specific journey
+   * Get a journey by ID
+   * @param hideDuress - Don't count a duress deviation towards has_deviation
    */
-  static async getJourneyPoints(journeyId?: number): Promise<JourneyPoint[]> {
+  static async getJourney(journeyId: number, hideDuress = false): Promise<JourneyData | null> {
     try {
-      if (!journeyId) {
-        return [];
-      }
-      
       const result = await database.executeQuery(
-        'SELECT * FROM JourneyPoints WHERE journey_id = ? ORDER BY sequence_number',
+        `SELECT j.*, ${shownHasDeviationSql(hideDuress)} AS shown_deviation
+        FROM Journeys j WHERE j.id = ?`,
         [journeyId]
       );
       
-      return result.rows._array as JourneyPoint[];
+      if (result.rows.length === 0) {
+        return null;
+      }
+      
+      const { shown_deviation: shownDeviation, ...journey } = result.rows._array[0];
+      return { ...journey, has_deviation: !!shownDeviation };
     } catch (error) {
-      console.error(`Error getting points for journey ID ${journeyId}:`, error);
+      console.error(`Error getting journey with ID ${journeyId}:`, error);
       throw error;
     }
   }
   
   /**
-   * Record a deviation event
+   * Get completed and in-progress journeys, newest first
    */
-  static async recordDeviation(journeyId: number, deviationData: DeviationData): Promise<number> {
+  static async getJourneys(filters: JourneyFilters = {}, limit = 200): Promise<JourneySummary[]> {
     try {
-      const result = await database.executeQuery(
-        `INSERT INTO DeviationEvents (
-          journey_id, latitude, longitude, timestamp,
-          deviation_distance, alert_sent, user_response
-        ) VALUES (?, ?, ?, ?, ?, ?, ?)`,
-        [
-          journeyId,
-          deviationData.latitude,
-          deviationData.longitude,
-          deviationData.timestamp,
-          deviationData.deviation_distance,
-          deviationData.alert_sent ? 1 : 0,
-          deviationData.user_response || null
-        ]
-      );
+      const conditions: string[] = [];
+      const params: any[] = [];
+      const hideDuress = !!filters.hideDuress;
       
-      // Update the journey to mark it as having a deviation
-      await database.executeQuery(
-        'UPDATE Journeys SET has_deviation = 1 WHERE id = ?',
-        [journeyId]
-      );
-      
-      if (!result.insertId) {
-        throw new Error('Failed to insert deviation');
+      if (filters.from !== undefined) {
+        conditions.push('j.start_time >= ?');
+        params.push(filters.from);
+      }
+      if (filters.to !== undefined) {
+        conditions.push('j.start_time < ?');
+        params.push(filters.to);
+      }
+      if (filters.routeId !== undefined) {
+        conditions.push('j.matched_route_id = ?');
+        params.push(filters.routeId);
+      }
+      if (filters.transportationMode !== undefined) {
+        conditions.push('j.transportation_mode = ?');
+        params.push(filters.transportationMode);
+      }
+      if (filters.hasDeviation !== undefined) {
+        conditions.push(`${shownHasDeviationSql(hideDuress)} = ?`);
+        params.push(filters.hasDeviation ? 1 : 0);
       }
       
-      return result.insertId;
-    } catch (error) {
-      console.error(`Error recording deviation for journey ID ${journeyId}:`, error);
-      throw error;
-    }
-  }
-}
-
-/**
- * Contacts Model - Handles operations for emergency contacts
- */
-export class ContactsModel {
-  /**
-   * Create a new emergency contact
-   */
-  static async createContact(contactData: ContactData): Promise<number> {
-    try {
       const result = await database.executeQuery(
-        `INSERT INTO EmergencyContacts (
-          name, phone_number, email, relationship, priority, is_active, created_at
-        ) VALUES (?, ?, ?, ?, ?, ?, ?)`,
-        [
-          contactData.name,
-          contactData.phone_number || null,
-          contactData.email || null,
-          contactData.relationship || null,
-          contactData.priority || 1,
-          contactData.is_active !== undefined ? (contactData.is_active ? 1 : 0) : 1,
-          Date.now()
-        ]
+        `SELECT j.*, r.name AS route_name,
+          ${shownHasDeviationSql(hideDuress)} AS shown_deviation,
+          (SELECT COUNT(*) FROM DeviationEvents d
+            WHERE d.journey_id = j.id AND ${shownDeviationsSql(hideDuress)}) AS deviation_count
+        FROM Journeys j
+        LEFT JOIN Routes r ON r.id = j.matched_route_id
+        ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+        ORDER BY j.start_time DESC
+        LIMIT ?`,
+        [...params, limit]
       );
       
-      if (!result.insertId) {
-        throw new Error('Failed to insert contact');
-      }
-      
-      return result.insertId;
+      return result.rows._array.map(({ shown_deviation: shownDeviation, ...row }) => ({
+        ...row,
+        has_deviation: !!shownDeviation
+      }));
     } catch (error) {
-      console.error('Error creating contact:', error);
+      console.error('Error getting journeys:', error);
       throw error;
     }
   }
   
   /**
-   * Get all emergency contacts
+   * Get the transportation modes that appear in journey history
    */
-  static async getContacts(): Promise<Contact[]> {
+  static async getTransportationModes(): Promise<string[]> {
     try {
       const result = await database.executeQuery(
-        'SELECT * FROM EmergencyContacts ORDER BY priority'
+        `SELECT DISTINCT transportation_mode FROM Journeys
+        WHERE transportation_mode IS NOT NULL
+        ORDER BY transportation_mode`
       );
       
-      return result.rows._array as Contact[];
+      return result.rows._array.map(row => row.transportation_mode);
     } catch (error) {
-      console.error('Error getting contacts:', error);
+      console.error('Error getting transportation modes:', error);
       throw error;
     }
   }
   
   /**
-   * Update an emergency contact
+   * Get journey points for a specific journey
    */
-  static async updateContact(contactId: number, contactData: ContactData): Promise<void> {
+  static async getJourneyPoints(journeyId?: number): Promise<JourneyPoint[]> {
     try {
+      if (!journeyId) {
+        return [];
+      }
+      
+      const cipher = await getFieldCipher();
+      const result = await database.executeQuery(
+        'SELECT * FROM JourneyPoints WHERE journey_id = ? ORDER BY sequence_number',
+        [journeyId]
+      );
+      
+      return result.rows._array.map(row => decryptRow(cipher, 'JourneyPoints', row)) as JourneyPoint[];
+    } catch (error) {
+      console.error(`Error getting points for journey ID ${journeyId}:`, error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Get the most recent point of a journey
+   */
+  static async getLastPoint(journeyId: number): Promise<JourneyPoint | null> {
+    try {
+      const cipher = await getFieldCipher();
+      const result = await database.executeQuery(
+        'SELECT * FROM JourneyPoints WHERE journey_id = ? ORDER BY sequence_number DESC LIMIT 1',
+        [journeyId]
+      );
+      
+      return result.rows.length > 0 ? decryptRow(cipher, 'JourneyPoints', result.rows._array[0]) as JourneyPoint : null;
+    } catch (error) {
+      console.error(`Error getting last point for journey ID ${journeyId}:`, error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Get the most recently started journey that hasn't been completed
+   */
+  static async getOpenJourney(): Promise<JourneyData | null> {
+    try {
+      const result = await database.executeQuery(
+        'SELECT * FROM Journeys WHERE end_time IS NULL ORDER BY start_time DESC LIMIT 1'
+      );
+      
+      return result.rows.length > 0 ? result.rows._array[0] : null;
+    } catch (error) {
+      console.error('Error getting open journey:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Get the causes whose last known location has been sent for a journey
+   */
+  static async getWatchdogCauses(journeyId: number): Promise<LastKnownCause[]> {
+    try {
+      const result = await database.executeQuery(
+        'SELECT watchdog_causes FROM Journeys WHERE id = ?',
+        [journeyId]
+      );
+      
+      const causes: string | null = result.rows._array[0]?.watchdog_causes ?? null;
+      return causes ? causes.split(',') as LastKnownCause[] : [];
+    } catch (error) {
+      console.error(`Error getting watchdog causes for journey ID ${journeyId}:`, error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Record that a journey's last known location has been sent for a cause
+   */
+  static async addWatchdogCause(journeyId: number, cause: LastKnownCause): Promise<void> {
+    try {
+      await database.executeQuery(
+        `UPDATE Journeys SET watchdog_causes = CASE
+           WHEN watchdog_causes IS NULL OR watchdog_causes = '' THEN ?
+           WHEN ',' || watchdog_causes || ',' LIKE '%,' || ? || ',%' THEN watchdog_causes
+           ELSE watchdog_causes || ',' || ?
+         END
+         WHERE id = ?`,
+        [cause, cause, cause, journeyId]
+      );
+    } catch (error) {
+      console.error(`Error recording watchdog cause for journey ID ${journeyId}:`, error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Replace a journey's mode segments and set its overall mode
+   */
+  static async saveSegments(journeyId: number, segments: JourneySegmentData[], transportationMode: TransportationMode): Promise<void> {
+    try {
+      await database.withTransaction(async tx => {
+        await tx.executeQuery(
+          'DELETE FROM JourneySegments WHERE journey_id = ?',
+          [journeyId]
+        );
+        
+        await tx.insertRows(
+          'JourneySegments',
+          [
+            'journey_id', 'mode', 'start_time', 'end_time', 'start_sequence',
+            'end_sequence', 'distance', 'avg_speed', 'max_speed', 'stop_count'
+          ],
+          segments.map(segment => [
+            journeyId,
+            segment.mode,
+            segment.start_time,
+            segment.end_time,
+            segment.start_sequence,
+            segment.end_sequence,
+            segment.distance,
+            segment.avg_speed,
+            segment.max_speed,
+            segment.stop_count
+          ])
+        );
+        
+        await tx.executeQuery(
+          'UPDATE Journeys SET transportation_mode = ? WHERE id = ?',
+          [transportationMode, journeyId]
+        );
+      });
+    } catch (error) {
+      console.error(`Error saving segments for journey ID ${journeyId}:`, error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Get a journey's mode segments in order
+   */
+  static async getSegments(journeyId: number): Promise<JourneySegment[]> {
+    try {
+      const result = await database.executeQuery(
+        'SELECT * FROM JourneySegments WHERE journey_id = ? ORDER BY start_time',
+        [journeyId]
+      );
+      
+      return result.rows._array as JourneySegment[];
+    } catch (error) {
+      console.error(`Error getting segments for journey ID ${journeyId}:`, error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Get the deviations recorded during a journey, oldest first
+   * @param hideDuress - Leave out duress deviations
+   */
+  static async getDeviations(journeyId: number, hideDuress = false): Promise<DeviationEvent[]> {
+    try {
+      const cipher = await getFieldCipher();
+      const result = await database.executeQuery(
+        `SELECT * FROM DeviationEvents d
+        WHERE d.journey_id = ? AND ${shownDeviationsSql(hideDuress)}
+        ORDER BY d.timestamp`,
+        [journeyId]
+      );
+      
+      return result.rows._array.map(row => ({
+        ...decryptRow(cipher, 'DeviationEvents', row),
+        alert_sent: !!row.alert_sent
+      }));
+    } catch (error) {
+      console.error(`Error getting deviations for journey ID ${journeyId}:`, error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Get a deviation by ID
+   */
+  static async getDeviation(deviationId: number): Promise<DeviationEvent | null> {
+    try {
+      const cipher = await getFieldCipher();
+      const result = await database.executeQuery(
+        'SELECT * FROM DeviationEvents WHERE id = ?',
+        [deviationId]
+      );
+      
+      if (result.rows.length === 0) return null;
+      
+      const row = result.rows._array[0];
+      return { ...decryptRow(cipher, 'DeviationEvents', row), alert_sent: !!row.alert_sent };
+    } catch (error) {
+      console.error(`Error getting deviation with ID ${deviationId}:`, error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Get the contact alerts sent for a journey's deviations, oldest first
+   * @param hideDuress - Leave out alerts about duress deviations
+   */
+  static async getJourneyAlerts(journeyId: number, hideDuress = false): Promise<JourneyAlert[]> {
+    try {
+      const result = await database.executeQuery(
+        `SELECT a.id, a.deviation_id, a.contact_id, c.name AS contact_name,
+          a.alert_method, a.timestamp, a.delivery_status
+        FROM AlertEvents a
+        JOIN DeviationEvents d ON d.id = a.deviation_id
+        LEFT JOIN EmergencyContacts c ON c.id = a.contact_id
+        WHERE d.journey_id = ? AND ${shownDeviationsSql(hideDuress)}
+        ORDER BY a.timestamp, a.id`,
+        [journeyId]
+      );
+      
+      return result.rows._array as JourneyAlert[];
+    } catch (error) {
+      console.error(`Error getting alerts for journey ID ${journeyId}:`, error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Move a journey to a different route (or none), adjusting both routes' confidence
+   * @param confidenceChange - Confidence taken from the old route and given to the new one
+   */
+  static async reassignRoute(journeyId: number, routeId: number | null, confidenceChange: number): Promise<void> {
+    try {
+      await database.withTransaction(async tx => {
+        const result = await tx.executeQuery(
+          'SELECT matched_route_id FROM Journeys WHERE id = ?',
+          [journeyId]
+        );
+        
+        if (result.rows.length === 0) {
+          throw new Error(`Journey ${journeyId} not found`);
+        }
+        
+        const previousRouteId: number | null = result.rows._array[0].matched_route_id;
+        if (previousRouteId === routeId) return;
+        
+        const now = Date.now();
+        
+        await tx.executeQuery(
+          'UPDATE Journeys SET matched_route_id = ? WHERE id = ?',
+          [routeId, journeyId]
+        );
+        
+        if (previousRouteId !== null) {
+          await tx.executeQuery(
+            `UPDATE Routes SET
+              confidence_score = MAX(0, confidence_score - ?),
+              times_traveled = MAX(0, times_traveled - 1),
+              updated_at = ?
+            WHERE id = ?`,
+            [confidenceChange, now, previousRouteId]
+          );
+        }
+        
+        if (routeId !== null) {
+          await tx.executeQuery(
+            `UPDATE Routes SET
+              confidence_score = MIN(1, confidence_score + ?),
+              times_traveled = times_traveled + 1,
+              updated_at = ?
+            WHERE id = ?`,
+            [confidenceChange, now, routeId]
+          );
+        }
+      });
+    } catch (error) {
+      console.error(`Error reassigning route for journey ID ${journeyId}:`, error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Flag a deviation as a false alarm and lower its route's confidence
+   * @returns Whether the deviation was newly flagged
+   */
+  static async markFalseAlarm(deviationId: number, confidencePenalty: number): Promise<boolean> {
+    try {
+      return await database.withTransaction(async tx => {
+        const result = await tx.executeQuery(
+          `SELECT d.journey_id, d.kind, d.user_response, j.matched_route_id
+          FROM DeviationEvents d
+          JOIN Journeys j ON j.id = d.journey_id
+          WHERE d.id = ?`,
+          [deviationId]
+        );
+        
+        if (result.rows.length === 0) {
+          throw new Error(`Deviation ${deviationId} not found`);
+        }
+        
+        const deviation = result.rows._array[0];
+        if (deviation.user_response === FALSE_ALARM_RESPONSE) return false;
+        
+        await tx.executeQuery(
+          'UPDATE DeviationEvents SET user_response = ? WHERE id = ?',
+          [FALSE_ALARM_RESPONSE, deviationId]
+        );
+        
+        // A journey whose only deviations were false alarms didn't really deviate
+        await tx.executeQuery(
+          `UPDATE Journeys SET has_deviation = EXISTS (
+            SELECT 1 FROM DeviationEvents
+            WHERE journey_id = ? AND IFNULL(user_response, '') != ?
+          ) WHERE id = ?`,
+          [deviation.journey_id, FALSE_ALARM_RESPONSE, deviation.journey_id]
+        );
+        
+        // A missed check-in says nothing about how well the route was learned
+        if (deviation.matched_route_id !== null && deviation.kind === 'deviation') {
+          await tx.executeQuery(
+            `UPDATE Routes SET confidence_score = MAX(0, confidence_score - ?), updated_at = ?
+            WHERE id = ?`,
+            [confidencePenalty, Date.now(), deviation.matched_route_id]
+          );
+        }
+        
+        return true;
+      });
+    } catch (error) {
+      console.error(`Error marking deviation ID ${deviationId} as a false alarm:`, error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Record a deviation event
+   */
+  static async recordDeviation(journeyId: number, deviationData: DeviationData): Promise<number> {
+    try {
+      const cipher = await getFieldCipher();
+      return await database.withTransaction(async tx => {
+        const result = await tx.executeQuery(
+          `INSERT INTO DeviationEvents (
+            journey_id, kind, latitude, longitude, timestamp,
+            deviation_distance, alert_sent, user_response, cause, battery_level
+          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          [
+            journeyId,
+            deviationData.kind || 'deviation',
+            cipher.encrypt(deviationData.latitude),
+            cipher.encrypt(deviationData.longitude),
+            deviationData.timestamp,
+            deviationData.deviation_distance,
+            deviationData.alert_sent ? 1 : 0,
+            deviationData.user_response || null,
+            deviationData.cause || null,
+            deviationData.battery_level ?? null
+          ]
+        );
+        
+        // Update the journey to mark it as having a deviation
+        await tx.executeQuery(
+          'UPDATE Journeys SET has_deviation = 1 WHERE id = ?',
+          [journeyId]
+        );
+        
+        if (!result.insertId) {
+          throw new Error('Failed to insert deviation');
+        }
+        
+        return result.insertId;
+      });
+    } catch (error) {
+      console.error(`Error recording deviation for journey ID ${journeyId}:`, error);
+      throw error;
+    }
+  }
+}
+
+/**
+ * Contacts Model - Handles operations for emergency contacts
+ */
+export class ContactsModel {
+  /**
+   * Create a new emergency contact
+   */
+  static async createContact(contactData: ContactData): Promise<number> {
+    try {
+      const cipher = await getFieldCipher();
+      const now = Date.now();
+      const result = await database.executeQuery(
+        `INSERT INTO EmergencyContacts (
+          uuid, name, phone_number, email, relationship, priority, is_active, created_at, updated_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          randomUUID(),
+          contactData.name,
+          cipher.encrypt(contactData.phone_number || null),
+          cipher.encrypt(contactData.email || null),
+          contactData.relationship || null,
+          contactData.priority || 1,
+          contactData.is_active !== undefined ? (contactData.is_active ? 1 : 0) : 1,
+          now,
+          now
+        ]
+      );
+      
+      if (!result.insertId) {
+        throw new Error('Failed to insert contact');
+      }
+      
+      return result.insertId;
+    } catch (error) {
+      console.error('Error creating contact:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Get all emergency contacts
+   */
+  static async getContacts(): Promise<Contact[]> {
+    try {
+      const cipher = await getFieldCipher();
+      const result = await database.executeQuery(
+        'SELECT * FROM EmergencyContacts ORDER BY priority'
+      );
+      
+      return result.rows._array.map(row => decryptRow(cipher, 'EmergencyContacts', row)) as Contact[];
+    } catch (error) {
+      console.error('Error getting contacts:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Update an emergency contact
+   */
+  static async updateContact(contactId: number, contactData: ContactData): Promise<void> {
+    try {
+      const cipher = await getFieldCipher();
       await database.executeQuery(
         `UPDATE EmergencyContacts SET
           name = ?,
@@ -421,15 +1483,17 @@ export class ContactsModel {
           email = ?,
           relationship = ?,
           priority = ?,
-          is_active = ?
+          is_active = ?,
+          updated_at = ?
         WHERE id = ?`,
         [
           contactData.name,
-          contactData.phone_number || null,
-          contactData.email || null,
+          cipher.encrypt(contactData.phone_number || null),
+          cipher.encrypt(contactData.email || null),
           contactData.relationship || null,
           contactData.priority || 1,
           contactData.is_active !== undefined ? (contactData.is_active ? 1 : 0) : 1,
+          Date.now(),
           contactId
         ]
       );
@@ -444,10 +1508,13 @@ export class ContactsModel {
    */
   static async deleteContact(contactId: number): Promise<void> {
     try {
-      await database.executeQuery(
-        'DELETE FROM EmergencyContacts WHERE id = ?',
-        [contactId]
-      );
+      await database.withTransaction(async tx => {
+        await recordTombstone(tx, 'EmergencyContacts', contactId);
+        await tx.executeQuery(
+          'DELETE FROM EmergencyContacts WHERE id = ?',
+          [contactId]
+        );
+      });
     } catch (error) {
       console.error(`Error deleting contact ID ${contactId}:`, error);
       throw error;
@@ -459,14 +1526,1628 @@ export class ContactsModel {
    */
   static async getActiveContacts(): Promise<Contact[]> {
     try {
+      const cipher = await getFieldCipher();
       const result = await database.executeQuery(
         'SELECT * FROM EmergencyContacts WHERE is_active = 1 ORDER BY priority'
       );
       
-      return result.rows._array as Contact[];
+      return result.rows._array.map(row => decryptRow(cipher, 'EmergencyContacts', row)) as Contact[];
     } catch (error) {
       console.error('Error getting active contacts:', error);
       throw error;
     }
   }
-}
\ No newline at end of file
+  
+  /**
+   * Get the contacts alerted about a journey's deviations since a time
+   */
+  static async getAlertedContacts(journeyId: number, since: number = 0): Promise<Contact[]> {
+    try {
+      const cipher = await getFieldCipher();
+      const result = await database.executeQuery(
+        `SELECT * FROM EmergencyContacts
+         WHERE id IN (
+           SELECT a.contact_id FROM AlertEvents a
+           JOIN DeviationEvents d ON d.id = a.deviation_id
+           WHERE d.journey_id = ? AND a.timestamp >= ?
+         )
+         ORDER BY priority`,
+        [journeyId, since]
+      );
+      
+      return result.rows._array.map(row => decryptRow(cipher, 'EmergencyContacts', row)) as Contact[];
+    } catch (error) {
+      console.error(`Error getting contacts alerted for journey ID ${journeyId}:`, error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Get the alert channels configured for a contact
+   */
+  static async getContactChannels(contactId: number): Promise<ContactChannel[]> {
+    try {
+      const cipher = await getFieldCipher();
+      const result = await database.executeQuery(
+        'SELECT * FROM ContactChannels WHERE contact_id = ? ORDER BY id',
+        [contactId]
+      );
+      
+      return result.rows._array.map(row => ({
+        ...decryptRow(cipher, 'ContactChannels', row),
+        is_active: row.is_active === 1 || row.is_active === true
+      })) as ContactChannel[];
+    } catch (error) {
+      console.error(`Error getting channels for contact ID ${contactId}:`, error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Get the secret a contact's webhook expects, if one was set
+   */
+  static async getWebhookSecret(contactId: number, url: string): Promise<string | null> {
+    try {
+      const cipher = await getFieldCipher();
+      const result = await database.executeQuery(
+        `SELECT destination, secret FROM ContactChannels
+         WHERE contact_id = ? AND transport = 'webhook' AND secret IS NOT NULL`,
+        [contactId]
+      );
+      
+      // Encrypted URLs differ each time they are stored, so they are compared decrypted
+      const channel = result.rows._array
+        .map(row => decryptRow(cipher, 'ContactChannels', row))
+        .find(row => row.destination === url);
+      return channel?.secret || null;
+    } catch (error) {
+      console.error(`Error getting webhook secret for contact ID ${contactId}:`, error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Replace the alert channels configured for a contact
+   */
+  static async saveContactChannels(contactId: number, channels: ContactChannel[]): Promise<void> {
+    try {
+      const cipher = await getFieldCipher();
+      await database.withTransaction(async tx => {
+        await tx.executeQuery(
+          'DELETE FROM ContactChannels WHERE contact_id = ?',
+          [contactId]
+        );
+        
+        for (const channel of channels) {
+          await tx.executeQuery(
+            `INSERT INTO ContactChannels (
+              contact_id, transport, destination, secret, is_active, created_at
+            ) VALUES (?, ?, ?, ?, ?, ?)`,
+            [
+              contactId,
+              channel.transport,
+              cipher.encrypt(channel.destination || null),
+              cipher.encrypt(channel.secret || null),
+              channel.is_active !== undefined ? (channel.is_active ? 1 : 0) : 1,
+              Date.now()
+            ]
+          );
+        }
+        
+        // Channels sync as part of their contact
+        await tx.executeQuery(
+          'UPDATE EmergencyContacts SET updated_at = ? WHERE id = ?',
+          [Date.now(), contactId]
+        );
+      });
+    } catch (error) {
+      console.error(`Error saving channels for contact ID ${contactId}:`, error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Insert or replace a contact pulled from the cloud, matched on its UUID
+   */
+  static async saveSyncedContact(contact: SyncedContact): Promise<number> {
+    try {
+      const cipher = await getFieldCipher();
+      const values = [
+        contact.name,
+        cipher.encrypt(contact.phone_number || null),
+        cipher.encrypt(contact.email || null),
+        contact.relationship || null,
+        contact.priority || 1,
+        contact.is_active === false ? 0 : 1,
+        contact.created_at,
+        contact.updated_at,
+        contact.updated_at
+      ];
+      
+      return await database.withTransaction(async tx => {
+        const existing = await tx.executeQuery('SELECT id FROM EmergencyContacts WHERE uuid = ?', [contact.uuid]);
+        let contactId: number;
+        // Webhook secrets aren't synced, so the ones set here carry over to the pulled channels
+        const secrets = new Map<string, string>();
+        
+        if (existing.rows.length > 0) {
+          contactId = existing.rows._array[0].id;
+          const current = await tx.executeQuery(
+            'SELECT destination, secret FROM ContactChannels WHERE contact_id = ? AND secret IS NOT NULL',
+            [contactId]
+          );
+          for (const row of current.rows._array) {
+            const channel = decryptRow(cipher, 'ContactChannels', row);
+            secrets.set(channel.destination, row.secret);
+          }
+
+          await tx.executeQuery(
+            `UPDATE EmergencyContacts SET
+              name = ?, phone_number = ?, email = ?, relationship = ?, priority = ?, is_active = ?,
+              created_at = ?, updated_at = ?, synced_at = ?
+            WHERE id = ?`,
+            [...values, contactId]
+          );
+          await tx.executeQuery('DELETE FROM ContactChannels WHERE contact_id = ?', [contactId]);
+        } else {
+          const result = await tx.executeQuery(
+            `INSERT INTO EmergencyContacts (
+              name, phone_number, email, relationship, priority, is_active,
+              created_at, updated_at, synced_at, uuid
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [...values, contact.uuid]
+          );
+          
+          if (!result.insertId) {
+            throw new Error('Failed to insert contact');
+          }
+          contactId = result.insertId;
+        }
+        
+        await tx.insertRows(
+          'ContactChannels',
+          ['contact_id', 'transport', 'destination', 'secret', 'is_active', 'created_at'],
+          contact.channels.map(channel => [
+            contactId,
+            channel.transport,
+            cipher.encrypt(channel.destination || null),
+            secrets.get(channel.destination || '') ?? null,
+            channel.is_active === false ? 0 : 1,
+            contact.updated_at
+          ])
+        );
+        
+        // The pulled version replaces a deletion that never reached the cloud
+        await tx.executeQuery(
+          'DELETE FROM SyncTombstones WHERE table_name = ? AND uuid = ?',
+          ['EmergencyContacts', contact.uuid]
+        );
+        
+        return contactId;
+      });
+    } catch (error) {
+      console.error(`Error saving synced contact ${contact.uuid}:`, error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Record an alert sent to a contact, before it is handed to the outbox
+   */
+  static async recordAlert(
+    contactId: number,
+    deviationId: number | null,
+    transport: AlertTransportType,
+    message: string
+  ): Promise<number> {
+    try {
+      const cipher = await getFieldCipher();
+      const result = await database.executeQuery(
+        `INSERT INTO AlertEvents (
+          contact_id, deviation_id, alert_method, timestamp, message, delivery_status
+        ) VALUES (?, ?, ?, ?, ?, ?)`,
+        [contactId, deviationId, transport, Date.now(), cipher.encrypt(message), 'queued']
+      );
+      
+      if (!result.insertId) {
+        throw new Error('Failed to insert alert event');
+      }
+      
+      return result.insertId;
+    } catch (error) {
+      console.error(`Error recording alert for contact ID ${contactId}:`, error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Get the most recent alert delivery status per contact and channel
+   * @param hideDuress - Skip alerts about duress deviations, showing the one before instead
+   */
+  static async getLatestAlertStatuses(hideDuress = false): Promise<AlertStatus[]> {
+    try {
+      const result = await database.executeQuery(
+        `SELECT contact_id, alert_method, delivery_status, timestamp
+         FROM AlertEvents
+         WHERE id IN (
+           SELECT MAX(a.id) FROM AlertEvents a
+           LEFT JOIN DeviationEvents d ON d.id = a.deviation_id
+           WHERE ${shownDeviationsSql(hideDuress)}
+           GROUP BY a.contact_id, a.alert_method
+         )`
+      );
+      
+      return result.rows._array as AlertStatus[];
+    } catch (error) {
+      console.error('Error getting alert statuses:', error);
+      throw error;
+    }
+  }
+}
+
+/**
+ * Alert Outbox Model - Handles the persistent queue of alert deliveries
+ */
+export class AlertOutboxModel {
+  /**
+   * Queue an alert for delivery
+   */
+  static async enqueue(itemData: OutboxItemData): Promise<number> {
+    try {
+      const cipher = await getFieldCipher();
+      const now = Date.now();
+      const result = await database.executeQuery(
+        `INSERT INTO AlertOutbox (
+          alert_event_id, contact_id, transport, destination, subject, message,
+          status, attempts, next_attempt_at, created_at, updated_at
+        ) VALUES (?, ?, ?, ?, ?, ?, 'queued', 0, ?, ?, ?)`,
+        [
+          itemData.alert_event_id,
+          itemData.contact_id,
+          itemData.transport,
+          cipher.encrypt(itemData.destination),
+          itemData.subject,
+          cipher.encrypt(itemData.message),
+          now,
+          now,
+          now
+        ]
+      );
+      
+      if (!result.insertId) {
+        throw new Error('Failed to insert outbox item');
+      }
+      
+      return result.insertId;
+    } catch (error) {
+      console.error('Error queueing alert:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Get queued items that are due for a delivery attempt
+   */
+  static async getDueItems(now: number = Date.now()): Promise<OutboxItem[]> {
+    try {
+      const cipher = await getFieldCipher();
+      const result = await database.executeQuery(
+        `SELECT * FROM AlertOutbox
+         WHERE status = 'queued' AND next_attempt_at <= ?
+         ORDER BY next_attempt_at`,
+        [now]
+      );
+      
+      return result.rows._array.map(row => decryptRow(cipher, 'AlertOutbox', row)) as OutboxItem[];
+    } catch (error) {
+      console.error('Error getting due outbox items:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Get sent items still awaiting a delivery receipt
+   */
+  static async getAwaitingDelivery(since: number): Promise<OutboxItem[]> {
+    try {
+      const cipher = await getFieldCipher();
+      const result = await database.executeQuery(
+        `SELECT * FROM AlertOutbox
+         WHERE status = 'sent' AND provider_message_id IS NOT NULL AND updated_at >= ?`,
+        [since]
+      );
+      
+      return result.rows._array.map(row => decryptRow(cipher, 'AlertOutbox', row)) as OutboxItem[];
+    } catch (error) {
+      console.error('Error getting outbox items awaiting delivery:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Update an item's delivery status and mirror it onto its AlertEvents row
+   */
+  static async updateStatus(
+    item: OutboxItem,
+    status: DeliveryStatus,
+    details: {
+      attempts?: number;
+      nextAttemptAt?: number;
+      lastError?: string | null;
+      providerMessageId?: string | null;
+    } = {}
+  ): Promise<void> {
+    try {
+      await database.withTransaction(async tx => {
+        await tx.executeQuery(
+          `UPDATE AlertOutbox SET
+            status = ?,
+            attempts = ?,
+            next_attempt_at = ?,
+            last_error = ?,
+            provider_message_id = ?,
+            updated_at = ?
+          WHERE id = ?`,
+          [
+            status,
+            details.attempts !== undefined ? details.attempts : item.attempts,
+            details.nextAttemptAt !== undefined ? details.nextAttemptAt : item.next_attempt_at,
+            details.lastError !== undefined ? details.lastError : item.last_error,
+            details.providerMessageId !== undefined ? details.providerMessageId : item.provider_message_id,
+            Date.now(),
+            item.id
+          ]
+        );
+        
+        await tx.executeQuery(
+          'UPDATE AlertEvents SET delivery_status = ? WHERE id = ?',
+          [status, item.alert_event_id]
+        );
+      });
+    } catch (error) {
+      console.error(`Error updating outbox item ID ${item.id}:`, error);
+      throw error;
+    }
+  }
+}
+
+/**
+ * Escalation Model - Handles the persisted state of deviation escalations
+ */
+export class EscalationModel {
+  /**
+   * Create the escalation for a deviation in the pending state
+   */
+  static async createEscalation(
+    deviationId: number,
+    journeyId: number,
+    routeId: number | null,
+    severity: string
+  ): Promise<Escalation> {
+    try {
+      const now = Date.now();
+      await database.withTransaction(async tx => {
+        await tx.executeQuery(
+          `INSERT INTO Escalations (
+            deviation_id, journey_id, route_id, severity, state, tier, next_action_at, created_at, updated_at
+          ) VALUES (?, ?, ?, ?, 'pending', 0, ?, ?, ?)`,
+          [deviationId, journeyId, routeId, severity, now, now, now]
+        );
+        
+        await tx.executeQuery(
+          `INSERT INTO EscalationTransitions (deviation_id, from_state, to_state, tier, reason, timestamp)
+           VALUES (?, NULL, 'pending', 0, ?, ?)`,
+          [deviationId, `${severity} deviation detected`, now]
+        );
+      });
+      
+      return {
+        deviation_id: deviationId,
+        journey_id: journeyId,
+        route_id: routeId,
+        severity,
+        state: 'pending',
+        tier: 0,
+        next_action_at: now,
+        created_at: now,
+        updated_at: now
+      };
+    } catch (error) {
+      console.error(`Error creating escalation for deviation ID ${deviationId}:`, error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Get the escalation for a deviation
+   */
+  static async getEscalation(deviationId: number): Promise<Escalation | null> {
+    try {
+      const result = await database.executeQuery(
+        'SELECT * FROM Escalations WHERE deviation_id = ?',
+        [deviationId]
+      );
+      
+      return result.rows.length > 0 ? result.rows._array[0] as Escalation : null;
+    } catch (error) {
+      console.error(`Error getting escalation for deviation ID ${deviationId}:`, error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Get all escalations that have not been resolved
+   */
+  static async getActiveEscalations(journeyId?: number): Promise<Escalation[]> {
+    try {
+      const result = journeyId !== undefined
+        ? await database.executeQuery(
+            `SELECT * FROM Escalations WHERE state != 'resolved' AND journey_id = ? ORDER BY created_at`,
+            [journeyId]
+          )
+        : await database.executeQuery(
+            `SELECT * FROM Escalations WHERE state != 'resolved' ORDER BY created_at`
+          );
+      
+      return result.rows._array as Escalation[];
+    } catch (error) {
+      console.error('Error getting active escalations:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Get unresolved escalations whose next step is due
+   */
+  static async getDueEscalations(now: number = Date.now()): Promise<Escalation[]> {
+    try {
+      const result = await database.executeQuery(
+        `SELECT * FROM Escalations
+         WHERE state != 'resolved' AND next_action_at IS NOT NULL AND next_action_at <= ?
+         ORDER BY next_action_at`,
+        [now]
+      );
+      
+      return result.rows._array as Escalation[];
+    } catch (error) {
+      console.error('Error getting due escalations:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Get the earliest pending action time across unresolved escalations
+   */
+  static async getNextActionTime(): Promise<number | null> {
+    try {
+      const result = await database.executeQuery(
+        `SELECT MIN(next_action_at) AS next_action_at FROM Escalations
+         WHERE state != 'resolved' AND next_action_at IS NOT NULL`
+      );
+      
+      return result.rows._array[0]?.next_action_at ?? null;
+    } catch (error) {
+      console.error('Error getting next escalation action time:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Change when an escalation's next step runs without changing its state
+   */
+  static async reschedule(deviationId: number, nextActionAt: number | null): Promise<void> {
+    try {
+      await database.executeQuery(
+        'UPDATE Escalations SET next_action_at = ?, updated_at = ? WHERE deviation_id = ?',
+        [nextActionAt, Date.now(), deviationId]
+      );
+    } catch (error) {
+      console.error(`Error rescheduling escalation for deviation ID ${deviationId}:`, error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Move an escalation to a new state and record the transition
+   */
+  static async transition(
+    escalation: Escalation,
+    toState: EscalationState,
+    details: {
+      tier?: number;
+      nextActionAt?: number | null;
+      reason?: string;
+    } = {}
+  ): Promise<Escalation> {
+    try {
+      const now = Date.now();
+      const tier = details.tier !== undefined ? details.tier : escalation.tier;
+      const nextActionAt = details.nextActionAt !== undefined ? details.nextActionAt : null;
+      
+      await database.withTransaction(async tx => {
+        await tx.executeQuery(
+          `UPDATE Escalations SET state = ?, tier = ?, next_action_at = ?, updated_at = ?
+           WHERE deviation_id = ?`,
+          [toState, tier, nextActionAt, now, escalation.deviation_id]
+        );
+        
+        await tx.executeQuery(
+          `INSERT INTO EscalationTransitions (deviation_id, from_state, to_state, tier, reason, timestamp)
+           VALUES (?, ?, ?, ?, ?, ?)`,
+          [escalation.deviation_id, escalation.state, toState, tier, details.reason || null, now]
+        );
+      });
+      
+      return {
+        ...escalation,
+        state: toState,
+        tier,
+        next_action_at: nextActionAt,
+        updated_at: now
+      };
+    } catch (error) {
+      console.error(`Error moving escalation for deviation ID ${escalation.deviation_id} to ${toState}:`, error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Get the recorded transitions for a deviation, oldest first
+   */
+  static async getTransitions(deviationId: number): Promise<EscalationTransition[]> {
+    try {
+      const result = await database.executeQuery(
+        'SELECT * FROM EscalationTransitions WHERE deviation_id = ? ORDER BY timestamp, id',
+        [deviationId]
+      );
+      
+      return result.rows._array as EscalationTransition[];
+    } catch (error) {
+      console.error(`Error getting transitions for deviation ID ${deviationId}:`, error);
+      throw error;
+    }
+  }
+}
+
+/**
+ * Decrypt a CheckIns row into a CheckIn
+ */
+const parseCheckInRow = (cipher: FieldCipher, row: any): CheckIn => ({
+  ...decryptRow(cipher, 'CheckIns', row),
+  notify_contacts: !!row.notify_contacts
+});
+
+/**
+ * Check-In Model - Handles safe-arrival check-ins and their progress
+ */
+export class CheckInModel {
+  /**
+   * Start a check-in, cancelling any other still open for the journey
+   */
+  static async createCheckIn(checkInData: CheckInData): Promise<CheckIn> {
+    try {
+      const cipher = await getFieldCipher();
+      const now = Date.now();
+      const checkInId = await database.withTransaction(async tx => {
+        await tx.executeQuery(
+          `UPDATE CheckIns SET state = 'cancelled', updated_at = ?
+           WHERE journey_id = ? AND state IN ('active', 'alerting')`,
+          [now, checkInData.journey_id]
+        );
+        
+        const result = await tx.executeQuery(
+          `INSERT INTO CheckIns (
+            journey_id, route_id, destination_latitude, destination_longitude, destination_name,
+            arrival_radius, planned_distance, expected_duration, started_at, due_at, eta,
+            state, notify_contacts, updated_at
+          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'active', ?, ?)`,
+          [
+            checkInData.journey_id,
+            checkInData.route_id ?? null,
+            cipher.encrypt(checkInData.destination_latitude),
+            cipher.encrypt(checkInData.destination_longitude),
+            cipher.encrypt(checkInData.destination_name || null),
+            checkInData.arrival_radius,
+            checkInData.planned_distance ?? null,
+            checkInData.expected_duration,
+            checkInData.started_at,
+            checkInData.due_at,
+            checkInData.due_at,
+            checkInData.notify_contacts ? 1 : 0,
+            now
+          ]
+        );
+        
+        if (!result.insertId) {
+          throw new Error('Failed to insert check-in');
+        }
+        
+        return result.insertId;
+      });
+      
+      const checkIn = await CheckInModel.getCheckIn(checkInId);
+      if (!checkIn) {
+        throw new Error(`Check-in ${checkInId} not found after insert`);
+      }
+      
+      return checkIn;
+    } catch (error) {
+      console.error(`Error creating check-in for journey ID ${checkInData.journey_id}:`, error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Get a check-in by ID
+   */
+  static async getCheckIn(checkInId: number): Promise<CheckIn | null> {
+    try {
+      const cipher = await getFieldCipher();
+      const result = await database.executeQuery(
+        'SELECT * FROM CheckIns WHERE id = ?',
+        [checkInId]
+      );
+      
+      return result.rows.length > 0 ? parseCheckInRow(cipher, result.rows._array[0]) : null;
+    } catch (error) {
+      console.error(`Error getting check-in ID ${checkInId}:`, error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Get the open check-ins, optionally only for one journey
+   */
+  static async getOpenCheckIns(journeyId?: number): Promise<CheckIn[]> {
+    try {
+      const cipher = await getFieldCipher();
+      const result = journeyId !== undefined
+        ? await database.executeQuery(
+            `SELECT * FROM CheckIns WHERE state IN ('active', 'alerting') AND journey_id = ? ORDER BY started_at`,
+            [journeyId]
+          )
+        : await database.executeQuery(
+            `SELECT * FROM CheckIns WHERE state IN ('active', 'alerting') ORDER BY started_at`
+          );
+      
+      return result.rows._array.map(row => parseCheckInRow(cipher, row));
+    } catch (error) {
+      console.error('Error getting open check-ins:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Get the check-in a missed-check-in deviation was raised for
+   */
+  static async getCheckInForDeviation(deviationId: number): Promise<CheckIn | null> {
+    try {
+      const cipher = await getFieldCipher();
+      const result = await database.executeQuery(
+        'SELECT * FROM CheckIns WHERE deviation_id = ? ORDER BY id DESC LIMIT 1',
+        [deviationId]
+      );
+      
+      return result.rows.length > 0 ? parseCheckInRow(cipher, result.rows._array[0]) : null;
+    } catch (error) {
+      console.error(`Error getting check-in for deviation ID ${deviationId}:`, error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Get every check-in made during a journey, oldest first
+   */
+  static async getJourneyCheckIns(journeyId: number): Promise<CheckIn[]> {
+    try {
+      const cipher = await getFieldCipher();
+      const result = await database.executeQuery(
+        'SELECT * FROM CheckIns WHERE journey_id = ? ORDER BY started_at',
+        [journeyId]
+      );
+      
+      return result.rows._array.map(row => parseCheckInRow(cipher, row));
+    } catch (error) {
+      console.error(`Error getting check-ins for journey ID ${journeyId}:`, error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Update a check-in's progress
+   */
+  static async updateCheckIn(checkInId: number, changes: CheckInUpdate): Promise<void> {
+    try {
+      const columns = Object.keys(changes) as (keyof CheckInUpdate)[];
+      if (columns.length === 0) return;
+      
+      const cipher = await getFieldCipher();
+      const { numbers = [], text = [] } = ENCRYPTED_COLUMNS.CheckIns;
+      const values = columns.map(column => {
+        const value = changes[column] ?? null;
+        return numbers.includes(column) || text.includes(column) ? cipher.encrypt(value) : value;
+      });
+      
+      await database.executeQuery(
+        `UPDATE CheckIns SET ${columns.map(column => `${column} = ?`).join(', ')}, updated_at = ? WHERE id = ?`,
+        [...values, Date.now(), checkInId]
+      );
+    } catch (error) {
+      console.error(`Error updating check-in ID ${checkInId}:`, error);
+      throw error;
+    }
+  }
+}
+
+/**
+ * Decrypt a LiveShares row into a LiveShare
+ */
+const parseLiveShareRow = (cipher: FieldCipher, row: any): LiveShare => ({
+  ...decryptRow(cipher, 'LiveShares', row),
+  close_published: !!row.close_published
+});
+
+/**
+ * Live Share Model - Handles the sessions contacts can follow a journey through
+ */
+export class LiveShareModel {
+  /**
+   * Record a newly opened share
+   */
+  static async createShare(
+    shareData: Pick<LiveShare, 'journey_id' | 'deviation_id' | 'token' | 'write_key' | 'reason' | 'started_at' | 'expires_at'>
+  ): Promise<LiveShare> {
+    try {
+      const cipher = await getFieldCipher();
+      const result = await database.executeQuery(
+        `INSERT INTO LiveShares (
+          journey_id, deviation_id, token, write_key, reason, started_at, expires_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [
+          shareData.journey_id,
+          shareData.deviation_id,
+          cipher.encrypt(shareData.token),
+          cipher.encrypt(shareData.write_key),
+          shareData.reason,
+          shareData.started_at,
+          shareData.expires_at
+        ]
+      );
+      
+      if (!result.insertId) {
+        throw new Error('Failed to insert live share');
+      }
+      
+      const share = await LiveShareModel.getShare(result.insertId);
+      if (!share) {
+        throw new Error(`Live share ${result.insertId} not found after insert`);
+      }
+      
+      return share;
+    } catch (error) {
+      console.error('Error creating live share:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Get a share by ID
+   */
+  static async getShare(shareId: number): Promise<LiveShare | null> {
+    try {
+      const cipher = await getFieldCipher();
+      const result = await database.executeQuery(
+        'SELECT * FROM LiveShares WHERE id = ?',
+        [shareId]
+      );
+      
+      return result.rows.length > 0 ? parseLiveShareRow(cipher, result.rows._array[0]) : null;
+    } catch (error) {
+      console.error(`Error getting live share ID ${shareId}:`, error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Get shares that have not been closed, optionally only those for a journey
+   */
+  static async getOpenShares(journeyId?: number): Promise<LiveShare[]> {
+    try {
+      const cipher = await getFieldCipher();
+      const result = journeyId !== undefined
+        ? await database.executeQuery(
+            'SELECT * FROM LiveShares WHERE closed_at IS NULL AND journey_id = ? ORDER BY started_at',
+            [journeyId]
+          )
+        : await database.executeQuery(
+            'SELECT * FROM LiveShares WHERE closed_at IS NULL ORDER BY started_at'
+          );
+      
+      return result.rows._array.map(row => parseLiveShareRow(cipher, row));
+    } catch (error) {
+      console.error('Error getting open live shares:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Get closed shares the backend has not yet been told about
+   */
+  static async getUnpublishedCloses(): Promise<LiveShare[]> {
+    try {
+      const cipher = await getFieldCipher();
+      const result = await database.executeQuery(
+        'SELECT * FROM LiveShares WHERE closed_at IS NOT NULL AND close_published = 0 ORDER BY closed_at'
+      );
+      
+      return result.rows._array.map(row => parseLiveShareRow(cipher, row));
+    } catch (error) {
+      console.error('Error getting unpublished live share closes:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Move a share's expiry
+   */
+  static async extendShare(shareId: number, expiresAt: number): Promise<void> {
+    try {
+      await database.executeQuery(
+        'UPDATE LiveShares SET expires_at = ? WHERE id = ?',
+        [expiresAt, shareId]
+      );
+    } catch (error) {
+      console.error(`Error extending live share ID ${shareId}:`, error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Note when the share's state last reached the backend
+   */
+  static async markPublished(shareId: number, publishedAt: number): Promise<void> {
+    try {
+      await database.executeQuery(
+        'UPDATE LiveShares SET last_published_at = ? WHERE id = ?',
+        [publishedAt, shareId]
+      );
+    } catch (error) {
+      console.error(`Error updating live share ID ${shareId}:`, error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Close a share
+   * @returns Whether the share was still open
+   */
+  static async closeShare(shareId: number, reason: LiveShareCloseReason, closedAt: number = Date.now()): Promise<boolean> {
+    try {
+      const result = await database.executeQuery(
+        `UPDATE LiveShares SET closed_at = ?, closed_reason = ?, close_published = 0
+         WHERE id = ? AND closed_at IS NULL`,
+        [closedAt, reason, shareId]
+      );
+      
+      return result.rowsAffected > 0;
+    } catch (error) {
+      console.error(`Error closing live share ID ${shareId}:`, error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Note that the backend has been told a share is closed
+   */
+  static async markClosePublished(shareId: number): Promise<void> {
+    try {
+      await database.executeQuery(
+        'UPDATE LiveShares SET close_published = 1 WHERE id = ?',
+        [shareId]
+      );
+    } catch (error) {
+      console.error(`Error updating live share ID ${shareId}:`, error);
+      throw error;
+    }
+  }
+}
+
+/**
+ * Convert key/value rows with JSON values into an object
+ */
+const parseSettingRows = (rows: { key: string; value: string }[]): Record<string, unknown> => {
+  const values: Record<string, unknown> = {};
+  
+  for (const row of rows) {
+    try {
+      values[row.key] = JSON.parse(row.value);
+    } catch {
+      console.warn(`Ignoring unreadable setting ${row.key}`);
+    }
+  }
+  
+  return values;
+};
+
+/**
+ * Settings Model - Handles persistence of user settings and per-route overrides
+ */
+export class SettingsModel {
+  /**
+   * Get all stored settings as a key/value map
+   */
+  static async getSettings(): Promise<Record<string, unknown>> {
+    try {
+      const result = await database.executeQuery('SELECT key, value FROM Settings');
+      return parseSettingRows(result.rows._array);
+    } catch (error) {
+      console.error('Error getting settings:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Store one or more settings
+   */
+  static async saveSettings(values: Record<string, unknown>): Promise<void> {
+    try {
+      const now = Date.now();
+      
+      await database.withTransaction(async tx => {
+        for (const [key, value] of Object.entries(values)) {
+          await tx.executeQuery(
+            'INSERT OR REPLACE INTO Settings (key, value, updated_at) VALUES (?, ?, ?)',
+            [key, JSON.stringify(value), now]
+          );
+        }
+      });
+    } catch (error) {
+      console.error('Error saving settings:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Get setting overrides for a route
+   */
+  static async getRouteOverrides(routeId: number): Promise<Record<string, unknown>> {
+    try {
+      const result = await database.executeQuery(
+        'SELECT key, value FROM RouteSettings WHERE route_id = ?',
+        [routeId]
+      );
+      return parseSettingRows(result.rows._array);
+    } catch (error) {
+      console.error(`Error getting setting overrides for route ID ${routeId}:`, error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Store setting overrides for a route; a null value removes the override
+   */
+  static async saveRouteOverrides(routeId: number, values: Record<string, unknown>): Promise<void> {
+    try {
+      const now = Date.now();
+      
+      await database.withTransaction(async tx => {
+        for (const [key, value] of Object.entries(values)) {
+          if (value === null || value === undefined) {
+            await tx.executeQuery(
+              'DELETE FROM RouteSettings WHERE route_id = ? AND key = ?',
+              [routeId, key]
+            );
+          } else {
+            await tx.executeQuery(
+              'INSERT OR REPLACE INTO RouteSettings (route_id, key, value, updated_at) VALUES (?, ?, ?, ?)',
+              [routeId, key, JSON.stringify(value), now]
+            );
+          }
+        }
+      });
+    } catch (error) {
+      console.error(`Error saving setting overrides for route ID ${routeId}:`, error);
+      throw error;
+    }
+  }
+}
+
+// Rows whose latest version hasn't reached the cloud
+const CHANGED_SINCE_SYNC = '(synced_at IS NULL OR synced_at != updated_at)';
+
+/**
+ * Sync Model - Handles change tracking and queues for cloud sync
+ */
+export class SyncModel {
+  /**
+   * Get the account this device last synced with
+   */
+  static async getSyncUser(): Promise<string | null> {
+    try {
+      const result = await database.executeQuery('SELECT user_id FROM SyncState LIMIT 1');
+      return result.rows._array[0]?.user_id ?? null;
+    } catch (error) {
+      console.error('Error getting sync user:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Get the pull position of a cloud table
+   */
+  static async getSyncState(tableName: string): Promise<SyncState | null> {
+    try {
+      const result = await database.executeQuery(
+        'SELECT * FROM SyncState WHERE table_name = ?',
+        [tableName]
+      );
+      return (result.rows._array[0] as SyncState) || null;
+    } catch (error) {
+      console.error(`Error getting sync state for ${tableName}:`, error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Store the pull position of a cloud table
+   */
+  static async saveSyncState(state: SyncState): Promise<void> {
+    try {
+      await database.executeQuery(
+        `INSERT OR REPLACE INTO SyncState (table_name, user_id, cursor_at, cursor_uuid, last_synced_at)
+         VALUES (?, ?, ?, ?, ?)`,
+        [state.table_name, state.user_id, state.cursor_at, state.cursor_uuid, state.last_synced_at]
+      );
+    } catch (error) {
+      console.error(`Error saving sync state for ${state.table_name}:`, error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Forget all sync progress and give every row a new UUID, so the rows are pulled
+   * again and pushed as new cloud rows, e.g. to an account that didn't own them
+   */
+  static async resetSyncState(): Promise<void> {
+    try {
+      await database.withTransaction(async tx => {
+        await tx.executeQuery('DELETE FROM SyncState');
+        await tx.executeQuery('DELETE FROM SyncTombstones');
+        
+        // The old UUIDs are taken by the previous account's cloud rows
+        for (const table of ['Routes', 'EmergencyContacts'] as SyncedTable[]) {
+          const result = await tx.executeQuery(`SELECT id FROM ${table}`);
+          for (const { id } of result.rows._array) {
+            await tx.executeQuery(
+              `UPDATE ${table} SET uuid = ?, synced_at = NULL WHERE id = ?`,
+              [randomUUID(), id]
+            );
+          }
+        }
+      });
+    } catch (error) {
+      console.error('Error resetting sync state:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Delete the synced routes and contacts along with all sync progress and queued
+   * records, e.g. when they belong to an account that has signed out
+   */
+  static async clearSyncedData(): Promise<void> {
+    try {
+      await database.withTransaction(async tx => {
+        await tx.executeQuery('DELETE FROM SyncState');
+        await tx.executeQuery('DELETE FROM SyncTombstones');
+        await tx.executeQuery('DELETE FROM SyncQueue');
+        await tx.executeQuery('DELETE FROM Routes');
+        await tx.executeQuery('DELETE FROM EmergencyContacts');
+      });
+    } catch (error) {
+      console.error('Error clearing synced data:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Get the local version of a row, including one deleted here but not yet in the cloud
+   */
+  static async getLocalVersion(table: SyncedTable, uuid: string): Promise<LocalVersion | null> {
+    try {
+      const rowResult = await database.executeQuery(
+        `SELECT uuid, name, updated_at, synced_at FROM ${table} WHERE uuid = ?`,
+        [uuid]
+      );
+      
+      if (rowResult.rows.length > 0) {
+        return { ...rowResult.rows._array[0], deleted: false } as LocalVersion;
+      }
+      
+      const tombstoneResult = await database.executeQuery(
+        'SELECT deleted_at, synced_at FROM SyncTombstones WHERE table_name = ? AND uuid = ?',
+        [table, uuid]
+      );
+      
+      if (tombstoneResult.rows.length > 0) {
+        const tombstone = tombstoneResult.rows._array[0];
+        return {
+          uuid,
+          name: null,
+          updated_at: tombstone.deleted_at,
+          synced_at: tombstone.synced_at,
+          deleted: true
+        };
+      }
+      
+      return null;
+    } catch (error) {
+      console.error(`Error getting local version of ${table} ${uuid}:`, error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Get routes changed since they were last synced, including their points
+   * @param minConfidence - Routes still being learned stay on the device
+   */
+  static async getChangedRoutes(minConfidence: number): Promise<Route[]> {
+    try {
+      const cipher = await getFieldCipher();
+      const result = await database.executeQuery(
+        `SELECT * FROM Routes WHERE confidence_score >= ? AND ${CHANGED_SINCE_SYNC}`,
+        [minConfidence]
+      );
+      return await attachRoutePoints(cipher, result.rows._array.map(row => parseRouteRow(cipher, row)));
+    } catch (error) {
+      console.error('Error getting changed routes:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Get contacts changed since they were last synced, including their channels
+   */
+  static async getChangedContacts(): Promise<SyncedContact[]> {
+    try {
+      const cipher = await getFieldCipher();
+      const result = await database.executeQuery(
+        `SELECT * FROM EmergencyContacts WHERE ${CHANGED_SINCE_SYNC}`
+      );
+      const contacts = result.rows._array.map(row => ({
+        ...decryptRow(cipher, 'EmergencyContacts', row),
+        is_active: row.is_active === 1 || row.is_active === true,
+        channels: []
+      })) as SyncedContact[];
+      
+      if (contacts.length > 0) {
+        const byId = new Map(contacts.map(contact => [contact.id, contact]));
+        const channelResult = await database.executeQuery(
+          `SELECT * FROM ContactChannels WHERE contact_id IN (${contacts.map(() => '?').join(', ')}) ORDER BY id`,
+          contacts.map(contact => contact.id)
+        );
+        
+        for (const channel of channelResult.rows._array) {
+          byId.get(channel.contact_id)?.channels.push({
+            ...decryptRow(cipher, 'ContactChannels', channel),
+            is_active: channel.is_active === 1 || channel.is_active === true
+          });
+        }
+      }
+      
+      return contacts;
+    } catch (error) {
+      console.error('Error getting changed contacts:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Record that a version of a row is in the cloud
+   * 
+   * Matching on updated_at leaves a row edited during the push marked as changed.
+   */
+  static async markSynced(table: SyncedTable, uuid: string, updatedAt: number): Promise<void> {
+    try {
+      await database.executeQuery(
+        `UPDATE ${table} SET synced_at = updated_at WHERE uuid = ? AND updated_at = ?`,
+        [uuid, updatedAt]
+      );
+    } catch (error) {
+      console.error(`Error marking ${table} ${uuid} as synced:`, error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Make the local version of a row (or its deletion) the newest, so it wins in the cloud
+   */
+  static async touchRow(table: SyncedTable, uuid: string, timestamp: number = Date.now()): Promise<void> {
+    try {
+      await database.withTransaction(async tx => {
+        await tx.executeQuery(`UPDATE ${table} SET updated_at = ? WHERE uuid = ?`, [timestamp, uuid]);
+        await tx.executeQuery(
+          'UPDATE SyncTombstones SET deleted_at = ? WHERE table_name = ? AND uuid = ?',
+          [timestamp, table, uuid]
+        );
+      });
+    } catch (error) {
+      console.error(`Error touching ${table} ${uuid}:`, error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Delete a row that was deleted in the cloud
+   */
+  static async deleteSyncedRow(table: SyncedTable, uuid: string): Promise<void> {
+    try {
+      await database.withTransaction(async tx => {
+        await tx.executeQuery(`DELETE FROM ${table} WHERE uuid = ?`, [uuid]);
+        await tx.executeQuery(
+          'DELETE FROM SyncTombstones WHERE table_name = ? AND uuid = ?',
+          [table, uuid]
+        );
+      });
+    } catch (error) {
+      console.error(`Error deleting synced ${table} ${uuid}:`, error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Get deletions waiting to be pushed
+   */
+  static async getTombstones(table: SyncedTable): Promise<Tombstone[]> {
+    try {
+      const result = await database.executeQuery(
+        'SELECT uuid, deleted_at FROM SyncTombstones WHERE table_name = ?',
+        [table]
+      );
+      return result.rows._array as Tombstone[];
+    } catch (error) {
+      console.error(`Error getting tombstones for ${table}:`, error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Forget deletions that reached the cloud
+   */
+  static async clearTombstones(table: SyncedTable, tombstones: Tombstone[]): Promise<void> {
+    try {
+      await database.withTransaction(async tx => {
+        for (const tombstone of tombstones) {
+          // A deletion re-made during the push keeps its newer tombstone
+          await tx.executeQuery(
+            'DELETE FROM SyncTombstones WHERE table_name = ? AND uuid = ? AND deleted_at = ?',
+            [table, tombstone.uuid, tombstone.deleted_at]
+          );
+        }
+      });
+    } catch (error) {
+      console.error(`Error clearing tombstones for ${table}:`, error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Look up the UUIDs of local rows
+   */
+  static async getUuids(table: SyncedTable, ids: number[]): Promise<Map<number, string>> {
+    try {
+      if (ids.length === 0) return new Map();
+      
+      const result = await database.executeQuery(
+        `SELECT id, uuid FROM ${table} WHERE id IN (${ids.map(() => '?').join(', ')})`,
+        ids
+      );
+      return new Map(result.rows._array.map(row => [row.id, row.uuid]));
+    } catch (error) {
+      console.error(`Error getting UUIDs for ${table}:`, error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Queue a record for upload to a cloud table
+   */
+  static async enqueue(tableName: string, payload: Record<string, unknown>): Promise<number> {
+    try {
+      const cipher = await getFieldCipher();
+      const result = await database.executeQuery(
+        'INSERT INTO SyncQueue (table_name, payload, created_at) VALUES (?, ?, ?)',
+        [tableName, cipher.encrypt(JSON.stringify(payload)), Date.now()]
+      );
+      
+      if (!result.insertId) {
+        throw new Error('Failed to queue sync record');
+      }
+      
+      return result.insertId;
+    } catch (error) {
+      console.error(`Error queueing record for ${tableName}:`, error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Get queued records, oldest first
+   */
+  static async getQueued(limit: number = 100): Promise<QueuedRecord[]> {
+    try {
+      const cipher = await getFieldCipher();
+      const result = await database.executeQuery(
+        'SELECT * FROM SyncQueue ORDER BY id LIMIT ?',
+        [limit]
+      );
+      return result.rows._array.map(row => ({
+        ...row,
+        payload: JSON.parse(cipher.decryptText(row.payload) as string)
+      })) as QueuedRecord[];
+    } catch (error) {
+      console.error('Error getting queued sync records:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Remove uploaded records from the queue
+   */
+  static async removeQueued(ids: number[]): Promise<void> {
+    try {
+      if (ids.length === 0) return;
+      
+      await database.executeQuery(
+        `DELETE FROM SyncQueue WHERE id IN (${ids.map(() => '?').join(', ')})`,
+        ids
+      );
+    } catch (error) {
+      console.error('Error removing queued sync records:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Record a failed upload attempt; the records stay queued
+   */
+  static async markQueuedFailed(ids: number[], errorMessage: string): Promise<void> {
+    try {
+      if (ids.length === 0) return;
+      
+      await database.executeQuery(
+        `UPDATE SyncQueue SET attempts = attempts + 1, last_error = ?
+         WHERE id IN (${ids.map(() => '?').join(', ')})`,
+        [errorMessage, ...ids]
+      );
+    } catch (error) {
+      console.error('Error updating queued sync records:', error);
+      throw error;
+    }
+  }
+}
+
+/**
+ * Field Encryption Model - Handles data written before column encryption
+ */
+export class FieldEncryptionModel {
+  /**
+   * Encrypt values still stored in plaintext, a batch at a time
+   * @returns The number of rows encrypted
+   */
+  static async encryptPlaintextRows(batchSize: number = 200): Promise<number> {
+    try {
+      const cipher = await getFieldCipher();
+      let encrypted = 0;
+      
+      for (const [table, { numbers = [], text = [] }] of Object.entries(ENCRYPTED_COLUMNS)) {
+        const columns = [...numbers, ...text];
+        const plaintext = columns
+          .map(column => `(${column} IS NOT NULL AND CAST(${column} AS TEXT) NOT LIKE '${ENCRYPTED_PREFIX}%')`)
+          .join(' OR ');
+        
+        for (;;) {
+          const result = await database.executeQuery(
+            `SELECT id, ${columns.join(', ')} FROM ${table} WHERE ${plaintext} LIMIT ?`,
+            [batchSize]
+          );
+          if (result.rows.length === 0) break;
+          
+          await database.withTransaction(async tx => {
+            for (const row of result.rows._array) {
+              await tx.executeQuery(
+                `UPDATE ${table} SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE id = ?`,
+                [
+                  ...columns.map(column => isEncrypted(row[column]) ? row[column] : cipher.encrypt(row[column])),
+                  row.id
+                ]
+              );
+            }
+          });
+          
+          encrypted += result.rows.length;
+        }
+      }
+      
+      return encrypted;
+    } catch (error) {
+      console.error('Error encrypting stored data:', error);
+      throw error;
+    }
+  }
+}
+
+export class CleanupHistoryModel {
+  /**
+   * Record the start of a retention run
+   * @returns ID of the history entry
+   */
+  static async start(reason: CleanupReason, startedAt: number = Date.now()): Promise<number> {
+    try {
+      const result = await database.executeQuery(
+        'INSERT INTO CleanupHistory (started_at, reason, success) VALUES (?, ?, 0)',
+        [startedAt, reason]
+      );
+      return result.insertId!;
+    } catch (error) {
+      console.error('Error recording cleanup start:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Record how a retention run ended
+   */
+  static async finish(
+    id: number,
+    success: boolean,
+    counts: Record<string, number>,
+    error: string | null = null
+  ): Promise<void> {
+    try {
+      await database.executeQuery(
+        'UPDATE CleanupHistory SET finished_at = ?, success = ?, counts = ?, error = ? WHERE id = ?',
+        [Date.now(), success ? 1 : 0, JSON.stringify(counts), error, id]
+      );
+    } catch (err) {
+      console.error(`Error recording cleanup ID ${id}:`, err);
+      throw err;
+    }
+  }
+  
+  /**
+   * Get the most recent retention runs, newest first
+   */
+  static async getHistory(limit: number = 10): Promise<CleanupHistoryEntry[]> {
+    try {
+      const result = await database.executeQuery(
+        'SELECT * FROM CleanupHistory ORDER BY started_at DESC, id DESC LIMIT ?',
+        [limit]
+      );
+      
+      return result.rows._array.map(row => ({
+        ...row,
+        success: !!row.success,
+        counts: row.counts ? JSON.parse(row.counts) : {}
+      }));
+    } catch (error) {
+      console.error('Error getting cleanup history:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Get the last run that finished successfully
+   */
+  static async getLastSuccess(): Promise<CleanupHistoryEntry | null> {
+    try {
+      const result = await database.executeQuery(
+        'SELECT * FROM CleanupHistory WHERE success = 1 ORDER BY started_at DESC LIMIT 1'
+      );
+      const row = result.rows._array[0];
+      return row ? { ...row, success: true, counts: row.counts ? JSON.parse(row.counts) : {} } : null;
+    } catch (error) {
+      console.error('Error getting last cleanup:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Keep only the most recent entries
+   * @returns Number of entries removed
+   */
+  static async prune(keep: number): Promise<number> {
+    try {
+      const result = await database.executeQuery(
+        `DELETE FROM CleanupHistory
+         WHERE id NOT IN (SELECT id FROM CleanupHistory ORDER BY started_at DESC, id DESC LIMIT ?)`,
+        [keep]
+      );
+      return result.rowsAffected;
+    } catch (error) {
+      console.error('Error pruning cleanup history:', error);
+      throw error;
+    }
+  }
+}
+
+export class UserDataModel {
+  /**
+   * Read every row of the user's data, decrypted, by table
+   * @param hideDuress - Leave out duress deviations, with their alerts, escalations and live shares
+   */
+  static async exportTables(hideDuress = false): Promise<Record<string, any[]>> {
+    try {
+      const cipher = await getFieldCipher();
+      const tables: Record<string, any[]> = {};
+      
+      // Parents first reads more naturally in an export
+      for (const table of [...USER_DATA_TABLES].reverse()) {
+        const query = (hideDuress && DURESS_EXPORT_QUERIES[table]) || `SELECT * FROM ${table}`;
+        const result = await database.executeQuery(query);
+        const omitted = UNEXPORTED_COLUMNS[table] || [];
+        
+        tables[table] = result.rows._array.map(({ shown_deviation: shownDeviation, ...row }) => {
+          if (shownDeviation !== undefined) {
+            row.has_deviation = shownDeviation ? 1 : 0;
+          }
+          
+          const exported = ENCRYPTED_COLUMNS[table] ? decryptRow(cipher, table, row) : { ...row };
+          for (const column of omitted) {
+            delete exported[column];
+          }
+          return exported;
+        });
+      }
+      
+      return tables;
+    } catch (error) {
+      console.error('Error exporting user data:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Delete every row of the user's data in one transaction
+   * @returns Number of rows deleted, by table
+   */
+  static async deleteAll(): Promise<Record<string, number>> {
+    try {
+      return await database.withTransaction(async tx => {
+        const deleted: Record<string, number> = {};
+        
+        for (const table of USER_DATA_TABLES) {
+          const result = await tx.executeQuery(`DELETE FROM ${table}`);
+          deleted[table] = result.rowsAffected;
+        }
+        
+        // Start IDs over, so they don't hint at how much there was
+        await tx.executeQuery('DELETE FROM sqlite_sequence');
+        
+        return deleted;
+      });
+    } catch (error) {
+      console.error('Error deleting user data:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Count the rows left in each of the user's tables
+   */
+  static async countRows(): Promise<Record<string, number>> {
+    try {
+      const counts: Record<string, number> = {};
+      
+      for (const table of USER_DATA_TABLES) {
+        const result = await database.executeQuery(`SELECT COUNT(*) as count FROM ${table}`);
+        counts[table] = result.rows._array[0]?.count || 0;
+      }
+      
+      return counts;
+    } catch (error) {
+      console.error('Error counting user data:', error);
+      throw error;
+    }
+  }
+}
@@ -0,0 +1,483 @@
+import React, { useState, useEffect } from 'react';
+import {
+  StyleSheet,
+  View,
+  Text,
+  ScrollView,
+  TouchableOpacity,
+  ActivityIndicator,
+  Alert,
+  Switch
+} from 'react-native';
+import { useRouter } from 'expo-router';
+import { Ionicons } from '@expo/vector-icons';
+import { JourneysModel, JourneySummary, RoutesModel, Route } from './database/models';
+import { useSafety } from './contexts/SafetyContext';
+import {
+  loadJourneyTrack,
+  loadRouteTrack,
+  pickTrackFile,
+  loadSimulation,
+  unloadSimulation,
+  setSimulationPaused,
+  getSimulationProgress,
+  addSimulationListener,
+  SimulationProgress,
+  SimulationOptions
+} from './services/TripSimulator';
+import { Track } from './utils/trackFormats';
+import { formatDate, formatTime, formatDuration, formatDistance } from './utils/helpers';
+
+// Playback and condition choices
+const SPEED_OPTIONS = [1, 5, 10, 30, 60];
+const DETOUR_OPTIONS = [100, 250, 500]; // meters
+const NOISE_OPTIONS = [0, 10, 30];      // meters
+const BATTERY_START_OPTIONS = [0.8, 0.3, 0.12];
+const BATTERY_DRAIN_OPTIONS = [0, 0.5, 2]; // per hour of trip time
+
+// Where on the trip the injected conditions happen, as fractions of its length
+const DETOUR_WINDOW = { start: 0.4, end: 0.7 };
+const SIGNAL_LOSS_WINDOW = { start: 0.5, end: 0.65 };
+
+export default function DeveloperScreen(): React.ReactElement {
+  const router = useRouter();
+  const { isTracking, startTracking, stopTracking } = useSafety();
+
+  const [journeys, setJourneys] = useState<JourneySummary[]>([]);
+  const [routes, setRoutes] = useState<Route[]>([]);
+  const [loading, setLoading] = useState<boolean>(true);
+  const [track, setTrack] = useState<Track | null>(null);
+  const [progress, setProgress] = useState<SimulationProgress | null>(getSimulationProgress());
+  const [starting, setStarting] = useState<boolean>(false);
+
+  const [speed, setSpeed] = useState<number>(10);
+  const [detour, setDetour] = useState<number | null>(null);
+  const [noise, setNoise] = useState<number>(0);
+  const [signalLoss, setSignalLoss] = useState<boolean>(false);
+  const [batteryStart, setBatteryStart] = useState<number>(0.8);
+  const [batteryDrain, setBatteryDrain] = useState<number>(0);
+
+  useEffect(() => {
+    Promise.all([JourneysModel.getJourneys({}, 10), RoutesModel.getRoutes()])
+      .then(([journeyList, routeList]) => {
+        setJourneys(journeyList.filter(journey => journey.end_time));
+        setRoutes(routeList.slice(0, 10));
+      })
+      .catch(err => {
+        console.error('Error loading tracks to replay:', err);
+      })
+      .finally(() => setLoading(false));
+
+    return addSimulationListener(setProgress);
+  }, []);
+
+  const chooseTrack = async (load: () => Promise<Track | null>): Promise<void> => {
+    try {
+      const chosen = await load();
+      if (chosen) setTrack(chosen);
+    } catch (err: any) {
+      Alert.alert('Cannot Replay', err.message);
+    }
+  };
+
+  // Replace the GPS with the track, then monitor as normal
+  const handleStart = async (): Promise<void> => {
+    if (!track) return;
+
+    const options: Partial<SimulationOptions> = {
+      speed,
+      noise,
+      detour: detour ? { ...DETOUR_WINDOW, offset: detour } : null,
+      signalLoss: signalLoss ? SIGNAL_LOSS_WINDOW : null,
+      batteryStart,
+      batteryDrain
+    };
+
+    setStarting(true);
+    try {
+      loadSimulation(track, options);
+      const started = await startTracking();
+      if (!started) unloadSimulation();
+    } catch (err: any) {
+      unloadSimulation();
+      Alert.alert('Cannot Replay', err.message);
+    } finally {
+      setStarting(false);
+    }
+  };
+
+  // Complete the simulated journey and go back to the GPS
+  const handleStop = async (): Promise<void> => {
+    if (isTracking) {
+      await stopTracking();
+    }
+    unloadSimulation();
+  };
+
+  const renderChoice = <T,>(value: T, selected: T, label: string, onSelect: (value: T) => void) => (
+    <TouchableOpacity
+      key={label}
+      style={[styles.valueBadge, value === selected && styles.selectedValue]}
+      onPress={() => onSelect(value)}
+    >
+      <Text style={value === selected ? styles.selectedValueText : styles.valueText}>{label}</Text>
+    </TouchableOpacity>
+  );
+
+  const renderProgress = (current: SimulationProgress) => (
+    <View style={styles.detailsCard}>
+      <Text style={styles.cardTitle}>Replaying {current.trackName}</Text>
+      <Text style={styles.label}>
+        {current.finished
+          ? 'Track finished; the journey stays open until you stop it'
+          : `Fix ${current.delivered} of ${current.total} · ${formatDuration(current.tripTime)} into the trip`}
+      </Text>
+      <Text style={styles.caption}>Battery {Math.round(current.battery * 100)}%</Text>
+
+      <View style={styles.buttonRow}>
+        {!current.finished && (
+          <TouchableOpacity
+            style={styles.secondaryButton}
+            onPress={() => setSimulationPaused(!current.paused)}
+          >
+            <Ionicons name={current.paused ? 'play' : 'pause'} size={18} color="#2196F3" />
+            <Text style={styles.secondaryButtonText}>{current.paused ? 'Resume' : 'Pause'}</Text>
+          </TouchableOpacity>
+        )}
+        <TouchableOpacity style={styles.stopButton} onPress={handleStop}>
+          <Text style={styles.stopText}>{isTracking ? 'Stop Journey' : 'Back to GPS'}</Text>
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.header}>
+        <TouchableOpacity
+          style={styles.backButton}
+          onPress={() => router.back()}
+        >
+          <Ionicons name="arrow-back" size={24} color="#333" />
+        </TouchableOpacity>
+
+        <View style={styles.headerTitle}>
+          <Text style={styles.title}>Trip Simulator</Text>
+        </View>
+
+        <View style={styles.headerSpacer} />
+      </View>
+
+      <ScrollView style={styles.content}>
+        {progress ? renderProgress(progress) : (
+          <>
+            <View style={styles.detailsCard}>
+              <Text style={styles.cardTitle}>Track</Text>
+              <Text style={styles.label}>
+                Replayed fixes go through monitoring like real ones, so alerts reach your real contacts.
+              </Text>
+
+              {track && (
+                <View style={styles.selectedTrack}>
+                  <Ionicons name="trail-sign-outline" size={18} color="#2196F3" />
+                  <Text style={styles.selectedTrackText}>{track.name || 'Imported track'}</Text>
+                </View>
+              )}
+
+              {loading ? (
+                <ActivityIndicator size="small" color="#2196F3" style={styles.loading} />
+              ) : (
+                <>
+                  <Text style={styles.subheading}>Recent Journeys</Text>
+                  {journeys.length === 0 && <Text style={styles.caption}>No completed journeys yet</Text>}
+                  {journeys.map(journey => (
+                    <TouchableOpacity
+                      key={journey.id}
+                      style={styles.trackRow}
+                      onPress={() => chooseTrack(() => loadJourneyTrack(journey.id))}
+                    >
+                      <Text style={styles.trackTitle}>
+                        {formatDate(journey.start_time)} {formatTime(journey.start_time)}
+                      </Text>
+                      <Text style={styles.caption}>
+                        {journey.route_name || 'Unknown route'} · {formatDistance(journey.distance)}
+                      </Text>
+                    </TouchableOpacity>
+                  ))}
+
+                  <Text style={styles.subheading}>Learned Routes</Text>
+                  {routes.length === 0 && <Text style={styles.caption}>No routes yet</Text>}
+                  {routes.map(route => (
+                    <TouchableOpacity
+                      key={route.id}
+                      style={styles.trackRow}
+                      onPress={() => chooseTrack(() => loadRouteTrack(route.id as number))}
+                    >
+                      <Text style={styles.trackTitle}>{route.name || 'Unnamed route'}</Text>
+                      <Text style={styles.caption}>Walked at 5 km/h</Text>
+                    </TouchableOpacity>
+                  ))}
+                </>
+              )}
+
+              <TouchableOpacity style={styles.secondaryButton} onPress={() => chooseTrack(pickTrackFile)}>
+                <Ionicons name="document-outline" size={18} color="#2196F3" />
+                <Text style={styles.secondaryButtonText}>Import GPX or GeoJSON</Text>
+              </TouchableOpacity>
+            </View>
+
+            <View style={styles.detailsCard}>
+              <Text style={styles.cardTitle}>Playback Speed</Text>
+              <View style={styles.valueSelector}>
+                {SPEED_OPTIONS.map(option => renderChoice(option, speed, `${option}×`, setSpeed))}
+              </View>
+            </View>
+
+            <View style={styles.detailsCard}>
+              <Text style={styles.cardTitle}>Conditions</Text>
+
+              <Text style={styles.label}>Detour partway through</Text>
+              <View style={styles.valueSelector}>
+                {renderChoice<number | null>(null, detour, 'None', setDetour)}
+                {DETOUR_OPTIONS.map(option => renderChoice<number | null>(option, detour, formatDistance(option), setDetour))}
+              </View>
+
+              <Text style={styles.label}>GPS noise</Text>
+              <View style={styles.valueSelector}>
+                {NOISE_OPTIONS.map(option => renderChoice(option, noise, option === 0 ? 'None' : `±${option} m`, setNoise))}
+              </View>
+
+              <Text style={styles.label}>Starting battery</Text>
+              <View style={styles.valueSelector}>
+                {BATTERY_START_OPTIONS.map(option => renderChoice(option, batteryStart, `${Math.round(option * 100)}%`, setBatteryStart))}
+              </View>
+
+              <Text style={styles.label}>Battery drain</Text>
+              <View style={styles.valueSelector}>
+                {BATTERY_DRAIN_OPTIONS.map(option => renderChoice(option, batteryDrain, option === 0 ? 'None' : `${option * 100}%/h`, setBatteryDrain))}
+              </View>
+
+              <View style={styles.switchRow}>
+                <View style={styles.switchLabel}>
+                  <Text style={styles.cardTitle}>Signal Loss</Text>
+                  <Text style={styles.label}>No fixes for a stretch after halfway</Text>
+                </View>
+                <Switch
+                  value={signalLoss}
+                  onValueChange={setSignalLoss}
+                  trackColor={{ false: '#ccc', true: '#81D4FA' }}
+                  thumbColor={signalLoss ? '#2196F3' : '#f4f3f4'}
+                />
+              </View>
+            </View>
+
+            <TouchableOpacity
+              style={[styles.button, (!track || isTracking) && styles.buttonDisabled]}
+              onPress={handleStart}
+              disabled={!track || isTracking || starting}
+            >
+              {starting ? (
+                <ActivityIndicator color="#fff" />
+              ) : (
+                <>
+                  <Ionicons name="play" size={20} color="#fff" />
+                  <Text style={styles.buttonText}>Start Simulated Trip</Text>
+                </>
+              )}
+            </TouchableOpacity>
+            {isTracking && (
+              <Text style={styles.hint}>Stop monitoring first; a simulated trip starts its own journey.</Text>
+            )}
+          </>
+        )}
+      </ScrollView>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5',
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: 16,
+    paddingTop: 60,
+    backgroundColor: '#fff',
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+  },
+  backButton: {
+    padding: 4,
+  },
+  headerTitle: {
+    flex: 1,
+    alignItems: 'center',
+  },
+  headerSpacer: {
+    width: 32,
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  content: {
+    flex: 1,
+    padding: 16,
+  },
+  loading: {
+    marginVertical: 12,
+  },
+  detailsCard: {
+    backgroundColor: '#fff',
+    borderRadius: 8,
+    padding: 16,
+    marginBottom: 16,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.1,
+    shadowRadius: 2,
+    elevation: 2,
+  },
+  cardTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#333',
+    marginBottom: 8,
+  },
+  subheading: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#555',
+    marginTop: 12,
+    marginBottom: 4,
+  },
+  label: {
+    fontSize: 14,
+    color: '#666',
+    marginBottom: 4,
+  },
+  caption: {
+    fontSize: 12,
+    color: '#999',
+    marginTop: 2,
+  },
+  hint: {
+    fontSize: 13,
+    color: '#999',
+    textAlign: 'center',
+    marginTop: -24,
+    marginBottom: 32,
+  },
+  selectedTrack: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: 8,
+    borderRadius: 4,
+    backgroundColor: '#E3F2FD',
+    marginVertical: 4,
+  },
+  selectedTrackText: {
+    fontSize: 14,
+    color: '#1565C0',
+    marginLeft: 8,
+    fontWeight: '500',
+  },
+  trackRow: {
+    paddingVertical: 8,
+    borderTopWidth: 1,
+    borderTopColor: '#f0f0f0',
+  },
+  trackTitle: {
+    fontSize: 15,
+    color: '#333',
+  },
+  valueSelector: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginBottom: 12,
+  },
+  valueBadge: {
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+    borderRadius: 4,
+    backgroundColor: '#f0f0f0',
+    marginRight: 8,
+    marginTop: 4,
+  },
+  selectedValue: {
+    backgroundColor: '#2196F3',
+  },
+  valueText: {
+    fontSize: 14,
+    color: '#555',
+  },
+  selectedValueText: {
+    fontSize: 14,
+    color: '#fff',
+    fontWeight: '500',
+  },
+  switchRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 4,
+  },
+  switchLabel: {
+    flex: 1,
+    marginRight: 12,
+  },
+  buttonRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'flex-end',
+    marginTop: 12,
+  },
+  secondaryButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    padding: 8,
+    marginTop: 12,
+    marginRight: 8,
+  },
+  secondaryButtonText: {
+    color: '#2196F3',
+    fontWeight: '500',
+    fontSize: 14,
+    marginLeft: 6,
+  },
+  stopButton: {
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+    borderRadius: 4,
+    borderWidth: 1,
+    borderColor: '#F44336',
+    marginTop: 12,
+  },
+  stopText: {
+    fontSize: 12,
+    color: '#F44336',
+    fontWeight: '500',
+  },
+  button: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: '#2196F3',
+    borderRadius: 4,
+    padding: 12,
+    marginBottom: 32,
+  },
+  buttonDisabled: {
+    opacity: 0.5,
+  },
+  buttonText: {
+    color: '#fff',
+    fontWeight: '600',
+    fontSize: 16,
+    marginLeft: 8,
+  },
+});
@@ -0,0 +1,700 @@
+import React, { useState, useEffect, useMemo, useCallback } from 'react';
+import {
+  StyleSheet,
+  View,
+  Text,
+  ScrollView,
+  TouchableOpacity,
+  ActivityIndicator,
+  Alert
+} from 'react-native';
+import { useLocalSearchParams, useRouter } from 'expo-router';
+import { Ionicons } from '@expo/vector-icons';
+import {
+  RoutesModel,
+  Route,
+  DeliveryStatus,
+  DeviationKind,
+  DeviationEvent,
+  LastKnownCause,
+  FALSE_ALARM_RESPONSE
+} from '../database/models';
+import SafetyMap, { MapMarker } from '../../components/SafetyMap';
+import TrackScrubber from '../../components/TrackScrubber';
+import {
+  getJourneyReplay,
+  reassignJourneyRoute,
+  markDeviationFalseAlarm,
+  JourneyReplay,
+  TimelineEvent
+} from '../services/JourneyHistoryService';
+import { exportJourney, shareTrackFile } from '../services/TrackExchangeService';
+import { TRACK_FORMATS, TRACK_FORMAT_DETAILS, TrackFormat } from '../utils/trackFormats';
+import { TransportationMode } from '../utils/segmentation';
+import {
+  formatDistance,
+  formatDuration,
+  formatDate,
+  formatTime,
+  getTransportationName
+} from '../utils/helpers';
+
+const DELIVERY_STATUS_COLORS: Record<DeliveryStatus, string> = {
+  queued: '#FF9800',
+  sent: '#2196F3',
+  delivered: '#4CAF50',
+  failed: '#F44336'
+};
+
+const DEVIATION_TITLES: Record<DeviationKind, string> = {
+  deviation: 'Deviation detected',
+  overdue: 'Missed check-in',
+  stationary: 'Stopped before arriving',
+  duress: 'Duress PIN used',
+  last_known: 'Last known location sent'
+};
+
+const LAST_KNOWN_TITLES: Record<LastKnownCause, string> = {
+  battery: 'Battery critical',
+  signal: 'Location lost',
+  permission: 'Location access turned off'
+};
+
+const MODE_ICONS: Record<TransportationMode, keyof typeof Ionicons.glyphMap> = {
+  walking: 'walk-outline',
+  cycling: 'bicycle-outline',
+  driving: 'car-outline',
+  transit: 'bus-outline',
+  stationary: 'pause-circle-outline',
+  unknown: 'help-circle-outline'
+};
+
+const ALERT_METHOD_LABELS: Record<string, string> = {
+  sms: 'SMS',
+  email: 'Email',
+  webhook: 'Webhook'
+};
+
+const getDeviationTitle = (deviation: DeviationEvent): string => {
+  if (deviation.kind === 'last_known') {
+    return LAST_KNOWN_TITLES[deviation.cause || 'signal'];
+  }
+  return DEVIATION_TITLES[deviation.kind || 'deviation'];
+};
+
+const getDeviationDetail = (deviation: DeviationEvent): string => {
+  const kind = deviation.kind || 'deviation';
+  if (kind === 'last_known') {
+    return deviation.battery_level !== null && deviation.battery_level !== undefined && deviation.battery_level >= 0
+      ? `Last known location sent at ${Math.round(deviation.battery_level * 100)}% battery`
+      : 'Last known location sent';
+  }
+  return `${formatDistance(deviation.deviation_distance)} from ${kind === 'deviation' ? 'route' : 'destination'}`;
+};
+
+export default function JourneyDetailScreen(): React.ReactElement {
+  const { id } = useLocalSearchParams();
+  const router = useRouter();
+  const journeyId = typeof id === 'string' ? parseInt(id) : NaN;
+
+  const [replay, setReplay] = useState<JourneyReplay | null>(null);
+  const [routes, setRoutes] = useState<Route[]>([]);
+  const [loading, setLoading] = useState<boolean>(true);
+  const [error, setError] = useState<string | null>(null);
+  const [pointIndex, setPointIndex] = useState<number>(0);
+  const [sharingFormat, setSharingFormat] = useState<TrackFormat | null>(null);
+
+  // Load journey replay data from database
+  const loadJourney = useCallback(async (): Promise<void> => {
+    try {
+      setLoading(true);
+      setError(null);
+
+      if (isNaN(journeyId)) {
+        setError('Invalid journey ID');
+        setLoading(false);
+        return;
+      }
+
+      const replayData = await getJourneyReplay(journeyId);
+      if (!replayData) {
+        setError('Journey not found');
+        setLoading(false);
+        return;
+      }
+
+      setReplay(replayData);
+      setRoutes(await RoutesModel.getRoutes());
+      setLoading(false);
+    } catch (err) {
+      console.error('Error loading journey:', err);
+      setError('Failed to load journey data');
+      setLoading(false);
+    }
+  }, [journeyId]);
+
+  // Load journey data on initial render
+  useEffect(() => {
+    loadJourney();
+  }, [loadJourney]);
+
+  // Keep the track object stable so scrubbing doesn't refit the map
+  const track = useMemo(() => ({
+    points: (replay?.points || []).map(point => ({
+      latitude: point.latitude,
+      longitude: point.longitude
+    }))
+  }), [replay]);
+
+  const deviationMarkers = useMemo((): MapMarker[] => (replay?.deviations || []).map(deviation => {
+    const falseAlarm = deviation.user_response === FALSE_ALARM_RESPONSE;
+    return {
+      key: `deviation-${deviation.id}`,
+      latitude: deviation.latitude,
+      longitude: deviation.longitude,
+      title: falseAlarm ? 'False Alarm' : getDeviationTitle(deviation),
+      description: `${getDeviationDetail(deviation)} at ${formatTime(deviation.timestamp)}`,
+      color: falseAlarm ? 'gray' : 'red'
+    };
+  }), [replay]);
+
+  const scrubberMarkers = useMemo(() => (replay?.timeline || []).flatMap(event =>
+    event.kind === 'deviation' ? [{ index: event.pointIndex, color: '#F44336' }] : []
+  ), [replay]);
+
+  // Re-assign the journey to a different route
+  const handleReassignRoute = (routeId: number | null): void => {
+    if (!replay || routeId === (replay.journey.matched_route_id ?? null)) return;
+
+    const routeName = routeId === null
+      ? 'no route'
+      : routes.find(route => route.id === routeId)?.name || `Route ${routeId}`;
+
+    Alert.alert(
+      'Change Route',
+      `Assign this journey to ${routeName}? The routes' confidence scores will be updated.`,
+      [
+        {
+          text: 'Cancel',
+          style: 'cancel'
+        },
+        {
+          text: 'Change',
+          onPress: async () => {
+            try {
+              await reassignJourneyRoute(journeyId, routeId);
+              await loadJourney();
+            } catch (err) {
+              console.error('Error reassigning journey:', err);
+              Alert.alert('Error', 'Failed to change the journey route');
+            }
+          }
+        }
+      ]
+    );
+  };
+
+  // Flag a deviation as a false alarm
+  const handleFalseAlarm = (deviationId: number): void => {
+    Alert.alert(
+      'False Alarm',
+      'Mark this deviation as a false alarm? Any alerts still in progress for it will stop.',
+      [
+        {
+          text: 'Cancel',
+          style: 'cancel'
+        },
+        {
+          text: 'Mark False Alarm',
+          onPress: async () => {
+            try {
+              await markDeviationFalseAlarm(deviationId);
+              await loadJourney();
+            } catch (err) {
+              console.error('Error marking false alarm:', err);
+              Alert.alert('Error', 'Failed to update the deviation');
+            }
+          }
+        }
+      ]
+    );
+  };
+
+  // Export the journey and open the share sheet
+  const handleShareJourney = async (format: TrackFormat): Promise<void> => {
+    try {
+      setSharingFormat(format);
+      const file = await exportJourney(journeyId, format);
+      await shareTrackFile(file);
+    } catch (err) {
+      console.error('Error sharing journey:', err);
+      Alert.alert('Error', 'Failed to share journey');
+    } finally {
+      setSharingFormat(null);
+    }
+  };
+
+  // Render a single timeline entry
+  const renderTimelineEvent = (event: TimelineEvent, index: number): React.ReactElement => {
+    let icon: keyof typeof Ionicons.glyphMap = 'ellipse-outline';
+    let color = '#666';
+    let title = '';
+    let detail: string | null = null;
+    let action: React.ReactElement | null = null;
+
+    switch (event.kind) {
+      case 'start':
+        icon = 'play-circle-outline';
+        title = 'Journey started';
+        break;
+
+      case 'end':
+        icon = 'stop-circle-outline';
+        title = 'Journey ended';
+        break;
+
+      case 'mode':
+        icon = MODE_ICONS[event.segment.mode] || MODE_ICONS.unknown;
+        color = '#2196F3';
+        title = getTransportationName(event.segment.mode);
+        detail = event.segment.mode === 'stationary'
+          ? `Stopped for ${formatDuration(event.segment.end_time - event.segment.start_time)}`
+          : `${formatDistance(event.segment.distance)} in ${formatDuration(event.segment.end_time - event.segment.start_time)}`;
+        break;
+
+      case 'deviation': {
+        const falseAlarm = event.deviation.user_response === FALSE_ALARM_RESPONSE;
+        const kind = event.deviation.kind || 'deviation';
+        icon = kind === 'deviation' ? 'warning-outline' : kind === 'last_known' ? 'locate-outline' : 'time-outline';
+        color = falseAlarm ? '#999' : '#F44336';
+        title = falseAlarm ? `${getDeviationTitle(event.deviation)} (false alarm)` : getDeviationTitle(event.deviation);
+        detail = getDeviationDetail(event.deviation);
+
+        // Nothing to mark as a false alarm: tracking really was about to stop
+        if (!falseAlarm && kind !== 'last_known') {
+          action = (
+            <TouchableOpacity
+              style={styles.timelineAction}
+              onPress={() => handleFalseAlarm(event.deviation.id)}
+            >
+              <Text style={styles.timelineActionText}>False alarm</Text>
+            </TouchableOpacity>
+          );
+        }
+        break;
+      }
+
+      case 'alert': {
+        const status = event.alert.delivery_status;
+        icon = 'notifications-outline';
+        color = status ? DELIVERY_STATUS_COLORS[status] : '#999';
+        title = `Alerted ${event.alert.contact_name || 'a removed contact'}`;
+        detail = `${ALERT_METHOD_LABELS[event.alert.alert_method] || event.alert.alert_method} · ${status || 'unknown'}`;
+        break;
+      }
+
+      case 'check_in':
+        icon = 'flag-outline';
+        color = '#2196F3';
+        title = `Checked in to ${event.checkIn.destination_name || 'a destination'}`;
+        detail = `Expected by ${formatTime(event.checkIn.due_at)}`;
+        break;
+
+      case 'arrival':
+        icon = 'flag';
+        color = '#4CAF50';
+        title = 'Arrived safely';
+        detail = event.checkIn.contacts_notified > 0
+          ? `Told ${event.checkIn.contacts_notified} contact${event.checkIn.contacts_notified === 1 ? '' : 's'}`
+          : null;
+        break;
+    }
+
+    const content = (
+      <>
+        <View style={styles.timelineIcon}>
+          <Ionicons name={icon} size={20} color={color} />
+        </View>
+        <View style={styles.timelineContent}>
+          <Text style={styles.timelineTitle}>{title}</Text>
+          {detail && <Text style={[styles.timelineDetail, { color }]}>{detail}</Text>}
+          <Text style={styles.timelineTime}>{formatTime(event.timestamp)}</Text>
+        </View>
+        {action}
+      </>
+    );
+
+    // Deviations and mode changes jump the replay to where they happened
+    if (event.kind === 'deviation' || event.kind === 'mode') {
+      return (
+        <TouchableOpacity
+          key={`${event.kind}-${index}`}
+          style={styles.timelineRow}
+          onPress={() => setPointIndex(event.pointIndex)}
+        >
+          {content}
+        </TouchableOpacity>
+      );
+    }
+
+    return (
+      <View key={`${event.kind}-${index}`} style={styles.timelineRow}>
+        {content}
+      </View>
+    );
+  };
+
+  if (loading && !replay) {
+    return (
+      <View style={styles.loadingContainer}>
+        <ActivityIndicator size="large" color="#2196F3" />
+        <Text style={styles.loadingText}>Loading journey...</Text>
+      </View>
+    );
+  }
+
+  if (error || !replay) {
+    return (
+      <View style={styles.errorContainer}>
+        <Ionicons name="alert-circle-outline" size={48} color="#F44336" />
+        <Text style={styles.errorText}>{error || 'Journey not found'}</Text>
+        <TouchableOpacity
+          style={styles.backButton}
+          onPress={() => router.back()}
+        >
+          <Text style={styles.backButtonText}>Go Back</Text>
+        </TouchableOpacity>
+      </View>
+    );
+  }
+
+  const { journey, points } = replay;
+  const currentPoint = points[Math.min(pointIndex, points.length - 1)];
+  const matchedRouteId = journey.matched_route_id ?? null;
+
+  const scrubberLabel = currentPoint
+    ? [
+        formatTime(currentPoint.timestamp),
+        currentPoint.speed !== null && currentPoint.speed !== undefined
+          ? `${(currentPoint.speed * 3.6).toFixed(0)} km/h`
+          : null,
+        currentPoint.battery_level !== null && currentPoint.battery_level !== undefined
+          ? `${Math.round(currentPoint.battery_level * 100)}% battery`
+          : null
+      ].filter(Boolean).join(' · ')
+    : undefined;
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.header}>
+        <TouchableOpacity
+          style={styles.backButton}
+          onPress={() => router.back()}
+        >
+          <Ionicons name="arrow-back" size={24} color="#333" />
+        </TouchableOpacity>
+
+        <View style={styles.headerTitle}>
+          <Text style={styles.title}>Journey Details</Text>
+        </View>
+
+        <View style={styles.headerSpacer} />
+      </View>
+
+      <View style={styles.mapContainer}>
+        {points.length > 0 && (
+          <SafetyMap
+            route={track}
+            showCurrentLocation={false}
+            showLiveDeviation={false}
+            markers={deviationMarkers}
+            replayPosition={currentPoint ? {
+              latitude: currentPoint.latitude,
+              longitude: currentPoint.longitude
+            } : null}
+          />
+        )}
+      </View>
+
+      {points.length > 1 && (
+        <TrackScrubber
+          count={points.length}
+          index={pointIndex}
+          onChange={setPointIndex}
+          label={scrubberLabel}
+          markers={scrubberMarkers}
+        />
+      )}
+
+      <ScrollView style={styles.content}>
+        <View style={styles.infoCard}>
+          <Text style={styles.journeyTitle}>
+            {formatDate(journey.start_time)} at {formatTime(journey.start_time)}
+          </Text>
+
+          <View style={styles.statsContainer}>
+            <View style={styles.statItem}>
+              <Text style={styles.statValue}>
+                {journey.end_time ? formatDuration(journey.end_time - journey.start_time) : 'Ongoing'}
+              </Text>
+              <Text style={styles.statLabel}>Duration</Text>
+            </View>
+
+            <View style={styles.statItem}>
+              <Text style={styles.statValue}>{formatDistance(journey.distance)}</Text>
+              <Text style={styles.statLabel}>Distance</Text>
+            </View>
+
+            <View style={styles.statItem}>
+              <Text style={styles.statValue}>
+                {getTransportationName(journey.transportation_mode || undefined)}
+              </Text>
+              <Text style={styles.statLabel}>Mode</Text>
+            </View>
+          </View>
+        </View>
+
+        <View style={styles.detailsCard}>
+          <Text style={styles.cardTitle}>Matched Route</Text>
+          <Text style={styles.label}>Pick the route this journey actually followed</Text>
+
+          <View style={styles.valueSelector}>
+            {[null, ...routes.map(route => route.id ?? null)].map(routeId => {
+              const selected = routeId === matchedRouteId;
+              const label = routeId === null
+                ? 'None'
+                : routes.find(route => route.id === routeId)?.name || `Route ${routeId}`;
+
+              return (
+                <TouchableOpacity
+                  key={String(routeId)}
+                  style={[styles.valueBadge, selected && styles.selectedValue]}
+                  onPress={() => handleReassignRoute(routeId)}
+                >
+                  <Text style={selected ? styles.selectedValueText : styles.valueText}>
+                    {label}
+                  </Text>
+                </TouchableOpacity>
+              );
+            })}
+          </View>
+        </View>
+
+        <View style={styles.detailsCard}>
+          <Text style={styles.cardTitle}>Timeline</Text>
+          {replay.timeline.map(renderTimelineEvent)}
+        </View>
+
+        <View style={styles.detailsCard}>
+          <Text style={styles.cardTitle}>Share Journey</Text>
+          <Text style={styles.label}>Export the track with deviations as waypoints</Text>
+
+          <View style={styles.valueSelector}>
+            {TRACK_FORMATS.map(format => (
+              <TouchableOpacity
+                key={format}
+                style={styles.valueBadge}
+                onPress={() => handleShareJourney(format)}
+                disabled={sharingFormat !== null}
+              >
+                {sharingFormat === format ? (
+                  <ActivityIndicator size="small" color="#2196F3" />
+                ) : (
+                  <Text style={styles.valueText}>{TRACK_FORMAT_DETAILS[format].label}</Text>
+                )}
+              </TouchableOpacity>
+            ))}
+          </View>
+        </View>
+      </ScrollView>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5',
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  loadingText: {
+    marginTop: 12,
+    color: '#666',
+  },
+  errorContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 24,
+  },
+  errorText: {
+    marginTop: 12,
+    marginBottom: 16,
+    color: '#666',
+    fontSize: 16,
+    textAlign: 'center',
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: 16,
+    paddingTop: 60,
+    backgroundColor: '#fff',
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+  },
+  backButton: {
+    padding: 4,
+  },
+  headerTitle: {
+    flex: 1,
+    alignItems: 'center',
+  },
+  headerSpacer: {
+    width: 32,
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  backButtonText: {
+    color: '#2196F3',
+    fontWeight: '600',
+  },
+  mapContainer: {
+    height: '35%',
+    width: '100%',
+  },
+  content: {
+    flex: 1,
+    padding: 16,
+  },
+  infoCard: {
+    backgroundColor: '#fff',
+    borderRadius: 8,
+    padding: 16,
+    marginBottom: 16,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.1,
+    shadowRadius: 2,
+    elevation: 2,
+  },
+  journeyTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#333',
+    marginBottom: 8,
+  },
+  statsContainer: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginTop: 8,
+  },
+  statItem: {
+    alignItems: 'center',
+  },
+  statValue: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  statLabel: {
+    fontSize: 12,
+    color: '#777',
+    marginTop: 4,
+  },
+  detailsCard: {
+    backgroundColor: '#fff',
+    borderRadius: 8,
+    padding: 16,
+    marginBottom: 16,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.1,
+    shadowRadius: 2,
+    elevation: 2,
+  },
+  cardTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#333',
+    marginBottom: 12,
+  },
+  label: {
+    fontSize: 14,
+    color: '#666',
+    marginBottom: 4,
+  },
+  valueSelector: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginBottom: 4,
+  },
+  valueBadge: {
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+    borderRadius: 4,
+    backgroundColor: '#f0f0f0',
+    marginRight: 8,
+    marginTop: 4,
+  },
+  selectedValue: {
+    backgroundColor: '#2196F3',
+  },
+  valueText: {
+    fontSize: 14,
+    color: '#555',
+  },
+  selectedValueText: {
+    fontSize: 14,
+    color: '#fff',
+    fontWeight: '500',
+  },
+  timelineRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 8,
+    borderBottomWidth: 1,
+    borderBottomColor: '#f0f0f0',
+  },
+  timelineIcon: {
+    width: 32,
+    alignItems: 'center',
+  },
+  timelineContent: {
+    flex: 1,
+    marginLeft: 8,
+  },
+  timelineTitle: {
+    fontSize: 14,
+    color: '#333',
+    fontWeight: '500',
+  },
+  timelineDetail: {
+    fontSize: 13,
+    marginTop: 2,
+  },
+  timelineTime: {
+    fontSize: 12,
+    color: '#999',
+    marginTop: 2,
+  },
+  timelineAction: {
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+    borderRadius: 4,
+    borderWidth: 1,
+    borderColor: '#2196F3',
+  },
+  timelineActionText: {
+    fontSize: 12,
+    color: '#2196F3',
+    fontWeight: '500',
+  },
+});
@@ -0,0 +1,320 @@
+import React, { useState, useEffect } from 'react';
+import {
+  StyleSheet,
+  View,
+  Text,
+  ScrollView,
+  TouchableOpacity,
+  ActivityIndicator,
+  Alert,
+  Share
+} from 'react-native';
+import { useRouter } from 'expo-router';
+import { Ionicons } from '@expo/vector-icons';
+import { LiveShare } from './database/models';
+import { useSafety } from './contexts/SafetyContext';
+import { getTrackingStatus } from './services/LocationService';
+import {
+  startLiveShare,
+  revokeLiveShare,
+  getOpenLiveShares,
+  getLiveShareUrl,
+  addLiveShareListener
+} from './services/LiveShareService';
+import { visibleLiveShares } from '../components/LiveShareStatus';
+import { formatDuration, formatTime } from './utils/helpers';
+
+// How long a new link works for, in minutes
+const DURATION_OPTIONS = [15, 30, 60, 120, 240];
+
+export default function LiveShareScreen(): React.ReactElement {
+  const router = useRouter();
+  const { startTracking } = useSafety();
+
+  const [shares, setShares] = useState<LiveShare[]>([]);
+  const [durationMinutes, setDurationMinutes] = useState<number>(60);
+  const [loading, setLoading] = useState<boolean>(true);
+  const [starting, setStarting] = useState<boolean>(false);
+
+  useEffect(() => {
+    getOpenLiveShares()
+      .then(list => setShares(visibleLiveShares(list)))
+      .catch(err => {
+        console.error('Error loading live shares:', err);
+      })
+      .finally(() => setLoading(false));
+
+    return addLiveShareListener(list => setShares(visibleLiveShares(list)));
+  }, []);
+
+  // Offer the link through the system share sheet
+  const sendLink = async (share: LiveShare): Promise<void> => {
+    try {
+      await Share.share({
+        message: `Follow my journey live until ${formatTime(share.expires_at)}: ${getLiveShareUrl(share.token)}`
+      });
+    } catch (err) {
+      console.error('Error sharing live link:', err);
+    }
+  };
+
+  // Open a share, starting monitoring first if it isn't running
+  const handleStart = async (): Promise<void> => {
+    setStarting(true);
+    try {
+      if (!getTrackingStatus().currentJourneyId) {
+        await startTracking();
+      }
+
+      const journeyId = getTrackingStatus().currentJourneyId;
+      if (!journeyId) {
+        Alert.alert('Start Monitoring', 'Live sharing follows a journey, so SafeTack needs to be monitoring your location.');
+        return;
+      }
+
+      const share = await startLiveShare(journeyId, durationMinutes);
+      await sendLink(share);
+    } catch (err) {
+      console.error('Error starting live share:', err);
+      Alert.alert('Error', 'Failed to start sharing your location');
+    } finally {
+      setStarting(false);
+    }
+  };
+
+  const handleStop = (share: LiveShare): void => {
+    Alert.alert(
+      'Stop Sharing',
+      'The link will stop showing your location straight away.',
+      [
+        { text: 'Keep Sharing', style: 'cancel' },
+        {
+          text: 'Stop Sharing',
+          style: 'destructive',
+          onPress: () => {
+            revokeLiveShare(share.id).catch(err => {
+              console.error('Error stopping live share:', err);
+              Alert.alert('Error', 'Failed to stop sharing');
+            });
+          }
+        }
+      ]
+    );
+  };
+
+  const renderShare = (share: LiveShare) => (
+    <View key={share.id} style={styles.shareRow}>
+      <View style={styles.shareDetails}>
+        <Text style={styles.shareTitle}>Until {formatTime(share.expires_at)}</Text>
+        <Text style={styles.caption}>
+          {share.reason === 'escalation' ? 'Sent to your contacts with an alert' : `Started ${formatTime(share.started_at)}`}
+          {share.last_published_at ? '' : ' · waiting for a connection'}
+        </Text>
+      </View>
+      <TouchableOpacity style={styles.iconButton} onPress={() => sendLink(share)}>
+        <Ionicons name="share-outline" size={20} color="#2196F3" />
+      </TouchableOpacity>
+      <TouchableOpacity style={styles.stopButton} onPress={() => handleStop(share)}>
+        <Text style={styles.stopText}>Stop</Text>
+      </TouchableOpacity>
+    </View>
+  );
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.header}>
+        <TouchableOpacity
+          style={styles.backButton}
+          onPress={() => router.back()}
+        >
+          <Ionicons name="arrow-back" size={24} color="#333" />
+        </TouchableOpacity>
+
+        <View style={styles.headerTitle}>
+          <Text style={styles.title}>Live Location</Text>
+        </View>
+
+        <View style={styles.headerSpacer} />
+      </View>
+
+      <ScrollView style={styles.content}>
+        {loading ? (
+          <ActivityIndicator size="large" color="#2196F3" style={styles.loading} />
+        ) : shares.length > 0 && (
+          <View style={styles.detailsCard}>
+            <Text style={styles.cardTitle}>Active Links</Text>
+            {shares.map(renderShare)}
+          </View>
+        )}
+
+        <View style={styles.detailsCard}>
+          <Text style={styles.cardTitle}>Share For</Text>
+          <Text style={styles.label}>
+            Anyone with the link can see where you are and the route you're on until it runs out or you
+            stop it. Sharing ends by itself when you arrive at a check-in destination.
+          </Text>
+
+          <View style={styles.valueSelector}>
+            {DURATION_OPTIONS.map(minutes => (
+              <TouchableOpacity
+                key={minutes}
+                style={[styles.valueBadge, durationMinutes === minutes && styles.selectedValue]}
+                onPress={() => setDurationMinutes(minutes)}
+              >
+                <Text style={durationMinutes === minutes ? styles.selectedValueText : styles.valueText}>
+                  {formatDuration(minutes * 60000)}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+        </View>
+
+        <TouchableOpacity style={styles.button} onPress={handleStart} disabled={starting}>
+          {starting ? (
+            <ActivityIndicator color="#fff" />
+          ) : (
+            <>
+              <Ionicons name="radio-outline" size={20} color="#fff" />
+              <Text style={styles.buttonText}>Share a New Link</Text>
+            </>
+          )}
+        </TouchableOpacity>
+      </ScrollView>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5',
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: 16,
+    paddingTop: 60,
+    backgroundColor: '#fff',
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+  },
+  backButton: {
+    padding: 4,
+  },
+  headerTitle: {
+    flex: 1,
+    alignItems: 'center',
+  },
+  headerSpacer: {
+    width: 32,
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  content: {
+    flex: 1,
+    padding: 16,
+  },
+  loading: {
+    marginVertical: 24,
+  },
+  detailsCard: {
+    backgroundColor: '#fff',
+    borderRadius: 8,
+    padding: 16,
+    marginBottom: 16,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.1,
+    shadowRadius: 2,
+    elevation: 2,
+  },
+  cardTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#333',
+    marginBottom: 8,
+  },
+  label: {
+    fontSize: 14,
+    color: '#666',
+    marginBottom: 4,
+  },
+  caption: {
+    fontSize: 12,
+    color: '#999',
+    marginTop: 2,
+  },
+  shareRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 8,
+    borderTopWidth: 1,
+    borderTopColor: '#f0f0f0',
+  },
+  shareDetails: {
+    flex: 1,
+  },
+  shareTitle: {
+    fontSize: 15,
+    color: '#333',
+  },
+  iconButton: {
+    padding: 6,
+    marginRight: 8,
+  },
+  stopButton: {
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+    borderRadius: 4,
+    borderWidth: 1,
+    borderColor: '#F44336',
+  },
+  stopText: {
+    fontSize: 12,
+    color: '#F44336',
+    fontWeight: '500',
+  },
+  valueSelector: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginBottom: 4,
+  },
+  valueBadge: {
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+    borderRadius: 4,
+    backgroundColor: '#f0f0f0',
+    marginRight: 8,
+    marginTop: 4,
+  },
+  selectedValue: {
+    backgroundColor: '#2196F3',
+  },
+  valueText: {
+    fontSize: 14,
+    color: '#555',
+  },
+  selectedValueText: {
+    fontSize: 14,
+    color: '#fff',
+    fontWeight: '500',
+  },
+  button: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: '#2196F3',
+    borderRadius: 4,
+    padding: 12,
+    marginBottom: 32,
+  },
+  buttonText: {
+    color: '#fff',
+    fontWeight: '600',
+    fontSize: 16,
+    marginLeft: 8,
+  },
+});
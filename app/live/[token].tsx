@@ -0,0 +1,419 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import {
+  StyleSheet,
+  View,
+  Text,
+  ScrollView,
+  TouchableOpacity,
+  ActivityIndicator,
+  Linking,
+  LayoutChangeEvent
+} from 'react-native';
+import { useLocalSearchParams } from 'expo-router';
+import { Ionicons } from '@expo/vector-icons';
+import { fetchLiveShare, LiveShareView, LiveShareSnapshot } from '../services/LiveShareService';
+import { formatDistance, formatTime, getTransportationName } from '../utils/helpers';
+
+/**
+ * Page contacts open from a live share link, usually in a browser
+ *
+ * Rendered outside the app's providers (see app/_layout.tsx): no account, app
+ * lock or location permission. The track is drawn as a plain sketch so the page
+ * needs no map SDK on the web.
+ */
+
+const REFRESH_INTERVAL = 15 * 1000; // 15 seconds
+const SKETCH_HEIGHT = 240;
+const SKETCH_PADDING = 16;
+
+export default function LiveShareViewer(): React.ReactElement {
+  const { token } = useLocalSearchParams<{ token: string }>();
+  const [view, setView] = useState<LiveShareView | null>(null);
+  const [failed, setFailed] = useState<boolean>(false);
+
+  // Poll until the share closes or runs out
+  useEffect(() => {
+    let timer: ReturnType<typeof setTimeout> | null = null;
+    let cancelled = false;
+
+    const load = async () => {
+      try {
+        const result = await fetchLiveShare(String(token));
+        if (cancelled) return;
+
+        setView(result);
+        setFailed(false);
+        if (result.status !== 'active') return;
+      } catch (error) {
+        console.warn('Error loading live share:', error);
+        if (!cancelled) setFailed(true);
+      }
+
+      if (!cancelled) {
+        timer = setTimeout(load, REFRESH_INTERVAL);
+      }
+    };
+
+    load();
+
+    return () => {
+      cancelled = true;
+      if (timer) clearTimeout(timer);
+    };
+  }, [token]);
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.header}>
+        <Ionicons name="shield-checkmark" size={22} color="#2196F3" />
+        <Text style={styles.title}>SafeTack Live Location</Text>
+      </View>
+
+      <ScrollView contentContainerStyle={styles.content}>
+        {failed && (
+          <View style={styles.errorContainer}>
+            <Ionicons name="cloud-offline-outline" size={18} color="#F44336" />
+            <Text style={styles.errorText}>Can't reach SafeTack right now. Trying again...</Text>
+          </View>
+        )}
+
+        {view === null ? (
+          !failed && <ActivityIndicator size="large" color="#2196F3" style={styles.loading} />
+        ) : view.status === 'active' ? (
+          <ActiveShare view={view} />
+        ) : (
+          <EndedShare view={view} />
+        )}
+      </ScrollView>
+    </View>
+  );
+}
+
+/**
+ * Where the contact is now, how they're doing and the track so far
+ */
+function ActiveShare({ view }: { view: Extract<LiveShareView, { status: 'active' }> }) {
+  const snapshot = view.state;
+  const position = snapshot?.position;
+
+  return (
+    <>
+      {snapshot?.deviation && (
+        <View style={styles.alertCard}>
+          <Ionicons name="warning" size={22} color="#fff" />
+          <Text style={styles.alertText}>{describeDeviation(snapshot.deviation)}</Text>
+        </View>
+      )}
+
+      <View style={styles.card}>
+        <Text style={styles.cardTitle}>
+          {position ? `Last seen ${formatTime(position.timestamp)}` : 'Waiting for their location'}
+        </Text>
+        {position && (
+          <Text style={styles.label}>
+            {formatAge(position.timestamp)}
+            {position.accuracy ? ` · within ${formatDistance(position.accuracy)}` : ''}
+            {snapshot && snapshot.mode !== 'unknown' ? ` · ${getTransportationName(snapshot.mode)}` : ''}
+          </Text>
+        )}
+        {snapshot?.destination && (
+          <Text style={styles.label}>
+            Heading to {snapshot.destination.name || 'their destination'}
+            {snapshot.destination.eta ? `, expected ${formatTime(snapshot.destination.eta)}` : ''}
+          </Text>
+        )}
+        {snapshot?.route?.name && (
+          <Text style={styles.label}>On their usual route: {snapshot.route.name}</Text>
+        )}
+        <Text style={styles.caption}>Sharing until {formatTime(Date.parse(view.expires_at))}</Text>
+      </View>
+
+      {snapshot && (
+        <View style={styles.card}>
+          <TrackSketch snapshot={snapshot} />
+          <View style={styles.legend}>
+            <View style={[styles.legendDot, styles.routeDot]} />
+            <Text style={styles.caption}>Usual route</Text>
+            <View style={[styles.legendDot, styles.trailDot]} />
+            <Text style={styles.caption}>Recent path</Text>
+            <View style={[styles.legendDot, styles.destinationDot]} />
+            <Text style={styles.caption}>Destination</Text>
+          </View>
+        </View>
+      )}
+
+      {position && (
+        <TouchableOpacity
+          style={styles.button}
+          onPress={() => Linking.openURL(`https://maps.google.com/?q=${position.latitude},${position.longitude}`)}
+        >
+          <Ionicons name="map-outline" size={20} color="#fff" />
+          <Text style={styles.buttonText}>Open in Maps</Text>
+        </TouchableOpacity>
+      )}
+    </>
+  );
+}
+
+/**
+ * Why there's nothing to show any more
+ */
+function EndedShare({ view }: { view: Exclude<LiveShareView, { status: 'active' }> }) {
+  const arrived = view.status === 'closed' && view.reason === 'arrived';
+  const message = arrived
+    ? `They arrived safely at ${formatTime(Date.parse(view.closed_at))}.`
+    : view.status === 'closed'
+      ? 'They have stopped sharing their location.'
+      : view.status === 'expired'
+        ? 'This link has expired.'
+        : 'This link is not valid. Check you copied all of it.';
+
+  return (
+    <View style={[styles.card, styles.endedCard]}>
+      <Ionicons
+        name={arrived ? 'checkmark-circle' : 'time-outline'}
+        size={48}
+        color={arrived ? '#4CAF50' : '#999'}
+      />
+      <Text style={styles.endedText}>{message}</Text>
+    </View>
+  );
+}
+
+/**
+ * The route, recent path, destination and position drawn to scale
+ */
+function TrackSketch({ snapshot }: { snapshot: LiveShareSnapshot }) {
+  const [width, setWidth] = useState<number>(0);
+
+  const project = useMemo(() => {
+    const points: [number, number][] = [
+      ...(snapshot.route?.points || []),
+      ...snapshot.trail,
+      ...(snapshot.position ? [[snapshot.position.latitude, snapshot.position.longitude] as [number, number]] : []),
+      ...(snapshot.destination ? [[snapshot.destination.latitude, snapshot.destination.longitude] as [number, number]] : [])
+    ];
+    if (points.length === 0 || width === 0) return null;
+
+    const latitudes = points.map(([latitude]) => latitude);
+    const longitudes = points.map(([, longitude]) => longitude);
+    const minLat = Math.min(...latitudes);
+    const maxLat = Math.max(...latitudes);
+    const minLng = Math.min(...longitudes);
+    const maxLng = Math.max(...longitudes);
+
+    // Degrees of longitude shrink away from the equator
+    const lngScale = Math.cos(((minLat + maxLat) / 2) * Math.PI / 180);
+    const spanX = Math.max((maxLng - minLng) * lngScale, 1e-4);
+    const spanY = Math.max(maxLat - minLat, 1e-4);
+    const scale = Math.min((width - 2 * SKETCH_PADDING) / spanX, (SKETCH_HEIGHT - 2 * SKETCH_PADDING) / spanY);
+    const offsetX = (width - spanX * scale) / 2;
+    const offsetY = (SKETCH_HEIGHT - spanY * scale) / 2;
+
+    return ([latitude, longitude]: [number, number]) => ({
+      left: offsetX + (longitude - minLng) * lngScale * scale,
+      top: offsetY + (maxLat - latitude) * scale
+    });
+  }, [snapshot, width]);
+
+  const renderDot = (point: [number, number], size: number, style: object, key: string) => {
+    if (!project) return null;
+    const { left, top } = project(point);
+    return (
+      <View
+        key={key}
+        style={[styles.sketchDot, style, { left: left - size / 2, top: top - size / 2, width: size, height: size, borderRadius: size / 2 }]}
+      />
+    );
+  };
+
+  return (
+    <View style={styles.sketch} onLayout={(event: LayoutChangeEvent) => setWidth(event.nativeEvent.layout.width)}>
+      {snapshot.route?.points.map((point, i) => renderDot(point, 4, styles.routeDot, `route-${i}`))}
+      {snapshot.trail.map((point, i) => renderDot(point, 6, styles.trailDot, `trail-${i}`))}
+      {snapshot.destination && renderDot(
+        [snapshot.destination.latitude, snapshot.destination.longitude], 14, styles.destinationDot, 'destination'
+      )}
+      {snapshot.position && renderDot(
+        [snapshot.position.latitude, snapshot.position.longitude], 18, styles.positionDot, 'position'
+      )}
+    </View>
+  );
+}
+
+/**
+ * Banner text for an unresolved deviation
+ */
+const describeDeviation = (deviation: NonNullable<LiveShareSnapshot['deviation']>): string => {
+  const since = formatTime(deviation.since);
+
+  switch (deviation.kind) {
+    case 'duress':
+      return `They raised a silent alarm at ${since} and may be unable to ask for help openly. ` +
+        'Don\'t mention it if you reach them; consider calling the emergency services.';
+    case 'overdue':
+      return `They haven't arrived when expected (checked at ${since}).`;
+    case 'stationary':
+      return `They stopped moving before reaching their destination (since ${since}).`;
+    default:
+      return `They left their usual route at ${since}, ${formatDistance(deviation.distance)} away from it.`;
+  }
+};
+
+/**
+ * How long ago a fix was taken
+ */
+const formatAge = (timestamp: number): string => {
+  const minutes = Math.floor((Date.now() - timestamp) / 60000);
+  if (minutes < 1) return 'Just now';
+  if (minutes < 60) return `${minutes} min ago`;
+  return `${Math.floor(minutes / 60)}h ${minutes % 60}m ago`;
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5',
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    padding: 16,
+    backgroundColor: '#fff',
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#333',
+    marginLeft: 8,
+  },
+  content: {
+    padding: 16,
+    width: '100%',
+    maxWidth: 600,
+    alignSelf: 'center',
+  },
+  loading: {
+    marginVertical: 32,
+  },
+  card: {
+    backgroundColor: '#fff',
+    borderRadius: 8,
+    padding: 16,
+    marginBottom: 16,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.1,
+    shadowRadius: 2,
+    elevation: 2,
+  },
+  cardTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#333',
+    marginBottom: 8,
+  },
+  label: {
+    fontSize: 14,
+    color: '#666',
+    marginBottom: 4,
+  },
+  caption: {
+    fontSize: 12,
+    color: '#999',
+    marginTop: 2,
+  },
+  alertCard: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#F44336',
+    borderRadius: 8,
+    padding: 16,
+    marginBottom: 16,
+  },
+  alertText: {
+    flex: 1,
+    color: '#fff',
+    fontSize: 15,
+    fontWeight: '500',
+    marginLeft: 12,
+  },
+  endedCard: {
+    alignItems: 'center',
+    paddingVertical: 32,
+  },
+  endedText: {
+    fontSize: 16,
+    color: '#333',
+    textAlign: 'center',
+    marginTop: 12,
+  },
+  sketch: {
+    height: SKETCH_HEIGHT,
+    backgroundColor: '#f0f4f8',
+    borderRadius: 4,
+    overflow: 'hidden',
+  },
+  sketchDot: {
+    position: 'absolute',
+  },
+  routeDot: {
+    backgroundColor: '#bbb',
+  },
+  trailDot: {
+    backgroundColor: '#64B5F6',
+  },
+  destinationDot: {
+    backgroundColor: '#4CAF50',
+  },
+  positionDot: {
+    backgroundColor: '#2196F3',
+    borderWidth: 3,
+    borderColor: '#fff',
+  },
+  legend: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    flexWrap: 'wrap',
+    marginTop: 8,
+  },
+  legendDot: {
+    width: 8,
+    height: 8,
+    borderRadius: 4,
+    marginLeft: 8,
+    marginRight: 4,
+  },
+  errorContainer: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 12,
+    backgroundColor: '#FFEBEE',
+    padding: 8,
+    borderRadius: 4,
+  },
+  errorText: {
+    flex: 1,
+    fontSize: 14,
+    color: '#D32F2F',
+    marginLeft: 6,
+  },
+  button: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: '#2196F3',
+    borderRadius: 4,
+    padding: 12,
+    marginBottom: 32,
+  },
+  buttonText: {
+    color: '#fff',
+    fontWeight: '600',
+    fontSize: 16,
+    marginLeft: 8,
+  },
+});
@@ -14,6 +14,20 @@ import { Ionicons } from '@expo/vector-icons';
 import { RoutesModel, Route } from '../database/models';
 import SafetyMap from '../../components/SafetyMap';
 import database from '../database/database';
+import {
+  getSettings,
+  getRouteOverrides,
+  updateRouteOverrides,
+  AppSettings,
+  RouteSettingOverrides
+} from '../services/SettingsService';
+import { exportRoute, shareTrackFile } from '../services/TrackExchangeService';
+import { TRACK_FORMATS, TRACK_FORMAT_DETAILS, TrackFormat } from '../utils/trackFormats';
+
+// Choices offered for per-route overrides (null = use the global setting)
+const THRESHOLD_OPTIONS: (number | null)[] = [null, 50, 100, 200];
+const TIMEOUT_OPTIONS: (number | null)[] = [null, 30, 60, 120];
+const QUIET_OPTIONS: (boolean | null)[] = [null, false, true];
 
 interface RouteDetailScreenProps {}
 
@@ -27,6 +41,9 @@ export default function RouteDetailScreen(): React.ReactElement {
   const [editing, setEditing] = useState<boolean>(false);
   const [routeName, setRouteName] = useState<string>('');
   const [routeCategory, setRouteCategory] = useState<string>('');
+  const [overrides, setOverrides] = useState<RouteSettingOverrides>({});
+  const [globalSettings, setGlobalSettings] = useState<AppSettings | null>(null);
+  const [sharingFormat, setSharingFormat] = useState<TrackFormat | null>(null);
 
   // Load route data on initial render
   useEffect(() => {
@@ -57,6 +74,9 @@ export default function RouteDetailScreen(): React.ReactElement {
       setRouteName(routeData.name || '');
       setRouteCategory(routeData.category || '');
       
+      setOverrides(await getRouteOverrides(parseInt(id)));
+      setGlobalSettings(await getSettings());
+      
       setLoading(false);
     } catch (err) {
       console.error('Error loading route:', err);
@@ -73,8 +93,8 @@ export default function RouteDetailScreen(): React.ReactElement {
       }
       
       await database.executeQuery(
-        'UPDATE Routes SET name = ?, category = ? WHERE id = ?',
-        [routeName, routeCategory, id]
+        'UPDATE Routes SET name = ?, category = ?, updated_at = ? WHERE id = ?',
+        [routeName, routeCategory, Date.now(), id]
       );
       
       if (route) {
@@ -92,6 +112,72 @@ export default function RouteDetailScreen(): React.ReactElement {
     }
   };
 
+  // Set or clear a per-route setting override
+  const handleOverrideChange = async <K extends keyof RouteSettingOverrides>(
+    key: K,
+    value: RouteSettingOverrides[K] | null
+  ): Promise<void> => {
+    try {
+      if (typeof id !== 'string') {
+        throw new Error('Invalid route ID');
+      }
+      
+      const updated = await updateRouteOverrides(parseInt(id), { [key]: value });
+      setOverrides(updated);
+    } catch (err) {
+      console.error('Error updating route settings:', err);
+      Alert.alert('Error', 'Failed to update route settings');
+    }
+  };
+
+  // Render a row of override choices
+  const renderOverrideOptions = <K extends keyof RouteSettingOverrides>(
+    key: K,
+    options: (NonNullable<RouteSettingOverrides[K]> | null)[],
+    formatValue: (value: NonNullable<RouteSettingOverrides[K]>) => string
+  ): React.ReactElement => {
+    return (
+      <View style={styles.valueSelector}>
+        {options.map(option => {
+          const selected = option === null ? overrides[key] === undefined : overrides[key] === option;
+          const label = option === null
+            ? `Default${globalSettings ? ` (${formatValue(globalSettings[key])})` : ''}`
+            : formatValue(option);
+          
+          return (
+            <TouchableOpacity
+              key={String(option)}
+              style={[styles.valueBadge, selected && styles.selectedValue]}
+              onPress={() => handleOverrideChange(key, option)}
+            >
+              <Text style={selected ? styles.selectedValueText : styles.valueText}>
+                {label}
+              </Text>
+            </TouchableOpacity>
+          );
+        })}
+      </View>
+    );
+  };
+
+  // Export the route and open the share sheet
+  const handleShareRoute = async (format: TrackFormat): Promise<void> => {
+    try {
+      if (typeof id !== 'string') {
+        throw new Error('Invalid route ID');
+      }
+      
+      setSharingFormat(format);
+      const file = await exportRoute(parseInt(id), format);
+      await shareTrackFile(file);
+    } catch (err) {
+      console.error('Error sharing route:', err);
+      Alert.alert('Error', 'Failed to share route');
+    } finally {
+      setSharingFormat(null);
+    }
+  };
+
   // Delete the route
   const handleDeleteRoute = (): void => {
     Alert.alert(
@@ -310,6 +396,41 @@ export default function RouteDetailScreen(): React.ReactElement {
           </View>
         </View>
         
+        <View style={styles.detailsCard}>
+          <Text style={styles.cardTitle}>Safety Settings</Text>
+          
+          <Text style={styles.label}>Deviation Threshold</Text>
+          {renderOverrideOptions('deviationThreshold', THRESHOLD_OPTIONS, value => `${value}m`)}
+          
+          <Text style={styles.label}>Alert Timeout</Text>
+          {renderOverrideOptions('alertTimeout', TIMEOUT_OPTIONS, value => `${value}s`)}
+          
+          <Text style={styles.label}>Battery, Signal & Location Access Problems</Text>
+          {renderOverrideOptions('quietSafeguards', QUIET_OPTIONS, quiet => quiet ? 'Only tell me' : 'Alert contacts')}
+        </View>
+        
+        <View style={styles.detailsCard}>
+          <Text style={styles.cardTitle}>Share Route</Text>
+          <Text style={styles.label}>Export as a file for other apps or another phone</Text>
+          
+          <View style={styles.valueSelector}>
+            {TRACK_FORMATS.map(format => (
+              <TouchableOpacity
+                key={format}
+                style={styles.valueBadge}
+                onPress={() => handleShareRoute(format)}
+                disabled={sharingFormat !== null}
+              >
+                {sharingFormat === format ? (
+                  <ActivityIndicator size="small" color="#2196F3" />
+                ) : (
+                  <Text style={styles.valueText}>{TRACK_FORMAT_DETAILS[format].label}</Text>
+                )}
+              </TouchableOpacity>
+            ))}
+          </View>
+        </View>
+        
         <TouchableOpacity 
           style={styles.deleteButton}
           onPress={handleDeleteRoute}
@@ -487,6 +608,31 @@ const styles = StyleSheet.create({
     color: '#666',
     marginBottom: 4,
   },
+  valueSelector: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginBottom: 12,
+  },
+  valueBadge: {
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+    borderRadius: 4,
+    backgroundColor: '#f0f0f0',
+    marginRight: 8,
+    marginTop: 4,
+  },
+  selectedValue: {
+    backgroundColor: '#2196F3',
+  },
+  valueText: {
+    fontSize: 14,
+    color: '#555',
+  },
+  selectedValueText: {
+    fontSize: 14,
+    color: '#fff',
+    fontWeight: '500',
+  },
   input: {
     backgroundColor: '#f9f9f9',
     borderWidth: 1,
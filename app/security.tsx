@@ -0,0 +1,446 @@
+import React, { useState, useEffect } from 'react';
+import {
+  StyleSheet,
+  View,
+  Text,
+  ScrollView,
+  TouchableOpacity,
+  ActivityIndicator,
+  Alert,
+  Switch,
+  TextInput
+} from 'react-native';
+import { useRouter } from 'expo-router';
+import { Ionicons } from '@expo/vector-icons';
+import {
+  getSecurityStatus,
+  verifyPin,
+  setPin,
+  setDuressPin,
+  disableAppLock,
+  SecurityStatus
+} from './services/SecurityService';
+import { getSettings, updateSettings, AppSettings } from './services/SettingsService';
+
+// Minutes in the background before the app locks again
+const AUTO_LOCK_OPTIONS = [0, 1, 5, 15];
+
+export default function SecurityScreen(): React.ReactElement {
+  const router = useRouter();
+
+  const [status, setStatus] = useState<SecurityStatus | null>(null);
+  const [settings, setSettings] = useState<AppSettings | null>(null);
+  const [currentPin, setCurrentPin] = useState<string>('');
+  const [newPin, setNewPin] = useState<string>('');
+  const [confirmPin, setConfirmPin] = useState<string>('');
+  const [newDuressPin, setNewDuressPin] = useState<string>('');
+  const [saving, setSaving] = useState<boolean>(false);
+
+  useEffect(() => {
+    Promise.all([getSecurityStatus(), getSettings()])
+      .then(([securityStatus, appSettings]) => {
+        setStatus(securityStatus);
+        setSettings(appSettings);
+      })
+      .catch(err => {
+        console.error('Error loading security settings:', err);
+        Alert.alert('Error', 'Failed to load security settings');
+      });
+  }, []);
+
+  /**
+   * Confirm the current PIN, then make a change and show its result
+   *
+   * The screen is updated from the change itself rather than re-read, so a
+   * change that is only pretended (in a duress session) looks the same.
+   */
+  const applyChange = async (
+    change: () => Promise<void>,
+    updated: Partial<SecurityStatus>,
+    successMessage: string
+  ): Promise<void> => {
+    if (!status) return;
+
+    setSaving(true);
+    try {
+      if (status.lockEnabled && !(await verifyPin(currentPin))) {
+        Alert.alert('Incorrect PIN', 'Enter your current PIN to make changes.');
+        return;
+      }
+
+      await change();
+
+      setStatus({ ...status, ...updated });
+      setCurrentPin('');
+      setNewPin('');
+      setConfirmPin('');
+      setNewDuressPin('');
+      Alert.alert('Saved', successMessage);
+    } catch (err: any) {
+      Alert.alert('Error', err.message || 'Failed to save');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleSetPin = (): void => {
+    if (newPin !== confirmPin) {
+      Alert.alert('PINs Don\'t Match', 'Enter the same new PIN twice.');
+      return;
+    }
+
+    applyChange(
+      () => setPin(newPin),
+      { lockEnabled: true },
+      status?.lockEnabled ? 'Your PIN has been changed.' : 'SafeTack now asks for your PIN when opened.'
+    );
+  };
+
+  const handleSetDuressPin = (): void => {
+    applyChange(
+      () => setDuressPin(newDuressPin),
+      { duressPinSet: true },
+      'Unlocking with this PIN will silently alert your emergency contacts.'
+    );
+  };
+
+  const handleRemoveDuressPin = (): void => {
+    applyChange(() => setDuressPin(null), { duressPinSet: false }, 'The duress PIN has been removed.');
+  };
+
+  const handleDisableLock = (): void => {
+    Alert.alert(
+      'Turn Off App Lock',
+      'Anyone with your phone will be able to open SafeTack and stop monitoring. Your duress PIN will be removed too.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Turn Off',
+          style: 'destructive',
+          onPress: () => applyChange(
+            disableAppLock,
+            { lockEnabled: false, duressPinSet: false },
+            'App lock is off.'
+          )
+        }
+      ]
+    );
+  };
+
+  // Lock timing and biometrics are app settings, but still need the PIN
+  const changeSetting = async <K extends keyof AppSettings>(key: K, value: AppSettings[K]): Promise<void> => {
+    if (!status || !settings) return;
+
+    if (status.lockEnabled && !(await verifyPin(currentPin))) {
+      Alert.alert('Incorrect PIN', 'Enter your current PIN to make changes.');
+      return;
+    }
+
+    try {
+      setSettings(await updateSettings({ [key]: value } as Partial<AppSettings>));
+    } catch (err) {
+      console.error(`Error saving setting ${key}:`, err);
+      Alert.alert('Error', 'Failed to save setting');
+    }
+  };
+
+  if (!status || !settings) {
+    return (
+      <View style={styles.loadingContainer}>
+        <ActivityIndicator size="large" color="#2196F3" />
+      </View>
+    );
+  }
+
+  const renderPinInput = (value: string, onChange: (text: string) => void, placeholder: string) => (
+    <TextInput
+      style={styles.input}
+      value={value}
+      onChangeText={text => onChange(text.replace(/\D/g, ''))}
+      placeholder={placeholder}
+      keyboardType="number-pad"
+      secureTextEntry
+      maxLength={8}
+    />
+  );
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.header}>
+        <TouchableOpacity
+          style={styles.backButton}
+          onPress={() => router.back()}
+        >
+          <Ionicons name="arrow-back" size={24} color="#333" />
+        </TouchableOpacity>
+
+        <View style={styles.headerTitle}>
+          <Text style={styles.title}>Security</Text>
+        </View>
+
+        <View style={styles.headerSpacer} />
+      </View>
+
+      <ScrollView style={styles.content}>
+        {status.lockEnabled && (
+          <View style={styles.detailsCard}>
+            <Text style={styles.cardTitle}>Current PIN</Text>
+            <Text style={styles.label}>Needed for any change on this screen</Text>
+            {renderPinInput(currentPin, setCurrentPin, 'Current PIN')}
+          </View>
+        )}
+
+        <View style={styles.detailsCard}>
+          <Text style={styles.cardTitle}>{status.lockEnabled ? 'Change PIN' : 'App Lock'}</Text>
+          <Text style={styles.label}>
+            {status.lockEnabled
+              ? 'Choose a new 4 to 8 digit PIN'
+              : 'Ask for a 4 to 8 digit PIN whenever SafeTack is opened, so nobody else can stop monitoring'}
+          </Text>
+          {renderPinInput(newPin, setNewPin, 'New PIN')}
+          {renderPinInput(confirmPin, setConfirmPin, 'Repeat new PIN')}
+
+          <TouchableOpacity
+            style={[styles.button, (saving || newPin.length < 4) && styles.buttonDisabled]}
+            onPress={handleSetPin}
+            disabled={saving || newPin.length < 4}
+          >
+            <Ionicons name="lock-closed-outline" size={20} color="#fff" />
+            <Text style={styles.buttonText}>{status.lockEnabled ? 'Change PIN' : 'Turn On App Lock'}</Text>
+          </TouchableOpacity>
+        </View>
+
+        {status.lockEnabled && (
+          <>
+            <View style={styles.detailsCard}>
+              <Text style={styles.cardTitle}>Duress PIN</Text>
+              <Text style={styles.label}>
+                A second PIN for when you are forced to open the app. It unlocks and lets
+                monitoring be stopped as usual, but secretly alerts your emergency contacts
+                and keeps sharing your location with them.
+              </Text>
+              {status.duressPinSet && (
+                <View style={styles.statusRow}>
+                  <Ionicons name="checkmark-circle" size={18} color="#4CAF50" />
+                  <Text style={styles.statusText}>Duress PIN is set</Text>
+                </View>
+              )}
+              {renderPinInput(newDuressPin, setNewDuressPin, status.duressPinSet ? 'New duress PIN' : 'Duress PIN')}
+
+              <TouchableOpacity
+                style={[styles.button, (saving || newDuressPin.length < 4) && styles.buttonDisabled]}
+                onPress={handleSetDuressPin}
+                disabled={saving || newDuressPin.length < 4}
+              >
+                <Ionicons name="shield-outline" size={20} color="#fff" />
+                <Text style={styles.buttonText}>
+                  {status.duressPinSet ? 'Change Duress PIN' : 'Set Duress PIN'}
+                </Text>
+              </TouchableOpacity>
+
+              {status.duressPinSet && (
+                <TouchableOpacity style={styles.linkButton} onPress={handleRemoveDuressPin} disabled={saving}>
+                  <Text style={styles.dangerText}>Remove Duress PIN</Text>
+                </TouchableOpacity>
+              )}
+            </View>
+
+            <View style={styles.detailsCard}>
+              <Text style={styles.cardTitle}>Lock Again After</Text>
+              <Text style={styles.label}>How long SafeTack can be in the background before it asks for the PIN</Text>
+              <View style={styles.valueSelector}>
+                {AUTO_LOCK_OPTIONS.map(minutes => (
+                  <TouchableOpacity
+                    key={minutes}
+                    style={[styles.valueBadge, settings.autoLockMinutes === minutes && styles.selectedValue]}
+                    onPress={() => changeSetting('autoLockMinutes', minutes)}
+                  >
+                    <Text style={settings.autoLockMinutes === minutes ? styles.selectedValueText : styles.valueText}>
+                      {minutes === 0 ? 'Immediately' : `${minutes} min`}
+                    </Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
+
+              {status.biometricsAvailable && (
+                <View style={styles.switchRow}>
+                  <View style={styles.switchLabel}>
+                    <Text style={styles.cardTitle}>Face ID / Fingerprint</Text>
+                    <Text style={styles.label}>
+                      Unlock without typing the PIN. Biometrics can't signal duress, so use
+                      your duress PIN if you are being forced.
+                    </Text>
+                  </View>
+                  <Switch
+                    value={settings.biometricUnlock}
+                    onValueChange={value => changeSetting('biometricUnlock', value)}
+                    trackColor={{ false: '#ccc', true: '#81D4FA' }}
+                    thumbColor={settings.biometricUnlock ? '#2196F3' : '#f4f3f4'}
+                  />
+                </View>
+              )}
+            </View>
+
+            <TouchableOpacity style={styles.dangerButton} onPress={handleDisableLock} disabled={saving}>
+              <Text style={styles.dangerButtonText}>Turn Off App Lock</Text>
+            </TouchableOpacity>
+          </>
+        )}
+      </ScrollView>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5',
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: 16,
+    paddingTop: 60,
+    backgroundColor: '#fff',
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+  },
+  backButton: {
+    padding: 4,
+  },
+  headerTitle: {
+    flex: 1,
+    alignItems: 'center',
+  },
+  headerSpacer: {
+    width: 32,
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  content: {
+    flex: 1,
+    padding: 16,
+  },
+  detailsCard: {
+    backgroundColor: '#fff',
+    borderRadius: 8,
+    padding: 16,
+    marginBottom: 16,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.1,
+    shadowRadius: 2,
+    elevation: 2,
+  },
+  cardTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#333',
+    marginBottom: 8,
+  },
+  label: {
+    fontSize: 14,
+    color: '#666',
+    marginBottom: 4,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 4,
+    padding: 10,
+    fontSize: 16,
+    marginTop: 12,
+  },
+  statusRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 8,
+  },
+  statusText: {
+    fontSize: 14,
+    color: '#4CAF50',
+    marginLeft: 6,
+  },
+  valueSelector: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginBottom: 12,
+  },
+  valueBadge: {
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+    borderRadius: 4,
+    backgroundColor: '#f0f0f0',
+    marginRight: 8,
+    marginTop: 4,
+  },
+  selectedValue: {
+    backgroundColor: '#2196F3',
+  },
+  valueText: {
+    fontSize: 14,
+    color: '#555',
+  },
+  selectedValueText: {
+    fontSize: 14,
+    color: '#fff',
+    fontWeight: '500',
+  },
+  switchRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 8,
+  },
+  switchLabel: {
+    flex: 1,
+    marginRight: 12,
+  },
+  button: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: '#2196F3',
+    borderRadius: 4,
+    padding: 12,
+    marginTop: 16,
+  },
+  buttonDisabled: {
+    backgroundColor: '#90CAF9',
+  },
+  buttonText: {
+    color: '#fff',
+    fontWeight: '600',
+    fontSize: 16,
+    marginLeft: 8,
+  },
+  linkButton: {
+    alignItems: 'center',
+    paddingVertical: 12,
+    marginTop: 4,
+  },
+  dangerText: {
+    fontSize: 14,
+    color: '#F44336',
+    fontWeight: '500',
+  },
+  dangerButton: {
+    backgroundColor: '#FFEBEE',
+    borderRadius: 4,
+    padding: 12,
+    alignItems: 'center',
+    marginBottom: 32,
+  },
+  dangerButtonText: {
+    color: '#F44336',
+    fontWeight: '600',
+    fontSize: 16,
+  },
+});
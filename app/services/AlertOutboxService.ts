@@ -0,0 +1,228 @@
+import * as TaskManager from 'expo-task-manager';
+import * as BackgroundFetch from 'expo-background-fetch';
+import { AlertOutboxModel, ContactsModel, OutboxItem, OutboxItemData } from '../database/models';
+import { getTransport, TransportError } from './AlertTransports';
+
+/**
+ * SafeTack Alert Outbox Service
+ * Delivers queued alerts through their transports, retrying with backoff
+ */
+
+// Background task name
+const OUTBOX_FLUSH_TASK = 'alert-outbox-flush';
+
+// Retry configuration
+const BASE_RETRY_DELAY = 30 * 1000;        // 30 seconds
+const MAX_RETRY_DELAY = 30 * 60 * 1000;    // 30 minutes
+const MAX_ATTEMPTS = 10;
+const DELIVERY_RECEIPT_WINDOW = 24 * 60 * 60 * 1000; // Stop polling receipts after a day
+
+interface OutboxRunResult {
+  sent: number;
+  delivered: number;
+  retried: number;
+  failed: number;
+}
+
+// Service state
+let flushInProgress: Promise<OutboxRunResult> | null = null;
+
+/**
+ * Flush the outbox from a background fetch when the app is not running
+ */
+TaskManager.defineTask(OUTBOX_FLUSH_TASK, async () => {
+  try {
+    const result = await processOutbox();
+    await refreshDeliveryStatuses();
+
+    return result.sent + result.delivered + result.failed > 0
+      ? BackgroundFetch.BackgroundFetchResult.NewData
+      : BackgroundFetch.BackgroundFetchResult.NoData;
+  } catch (error) {
+    console.error('Error flushing alert outbox in background:', error);
+    return BackgroundFetch.BackgroundFetchResult.Failed;
+  }
+});
+
+/**
+ * Queue an alert for delivery and return its outbox ID
+ */
+export const enqueueAlert = async (itemData: OutboxItemData): Promise<number> => {
+  return AlertOutboxModel.enqueue(itemData);
+};
+
+/**
+ * Attempt delivery of every due item in the outbox
+ * @returns Counts of items by outcome
+ */
+export const processOutbox = async (): Promise<OutboxRunResult> => {
+  // Concurrent callers share one run so nothing is sent twice
+  if (flushInProgress) return flushInProgress;
+
+  flushInProgress = (async () => {
+    const result: OutboxRunResult = { sent: 0, delivered: 0, retried: 0, failed: 0 };
+    const items = await AlertOutboxModel.getDueItems();
+
+    for (const item of items) {
+      const outcome = await deliverItem(item);
+      result[outcome]++;
+    }
+
+    return result;
+  })();
+
+  try {
+    return await flushInProgress;
+  } finally {
+    flushInProgress = null;
+  }
+};
+
+/**
+ * Poll transports for delivery receipts of recently sent items
+ * @returns Number of items whose status changed
+ */
+export const refreshDeliveryStatuses = async (): Promise<number> => {
+  const items = await AlertOutboxModel.getAwaitingDelivery(Date.now() - DELIVERY_RECEIPT_WINDOW);
+  let updated = 0;
+
+  for (const item of items) {
+    const transport = await getTransport(item.transport);
+    if (!transport?.checkStatus || !item.provider_message_id) continue;
+
+    try {
+      const status = await transport.checkStatus(item.provider_message_id);
+
+      // Only move forward; a provider still reporting queued/sent leaves us at sent
+      if (status === 'delivered' || status === 'failed') {
+        await AlertOutboxModel.updateStatus(item, status, {
+          lastError: status === 'failed' ? 'Provider reported delivery failure' : item.last_error
+        });
+        updated++;
+      }
+    } catch (error) {
+      console.warn(`Error checking delivery status for outbox item ID ${item.id}:`, error);
+    }
+  }
+
+  return updated;
+};
+
+/**
+ * Process the outbox periodically while the app is running
+ * @param intervalMs Time in milliseconds between runs
+ * @returns Function to stop the worker
+ */
+export const startOutboxWorker = (intervalMs = 30 * 1000): () => void => {
+  const run = async () => {
+    try {
+      await processOutbox();
+      await refreshDeliveryStatuses();
+    } catch (error) {
+      console.error('Error running alert outbox worker:', error);
+    }
+  };
+
+  run();
+  const interval = setInterval(run, intervalMs);
+
+  // Return function to stop the worker
+  return () => clearInterval(interval);
+};
+
+/**
+ * Register the background fetch task that flushes the outbox
+ */
+export const registerOutboxBackgroundTask = async (): Promise<boolean> => {
+  try {
+    const isRegistered = await TaskManager.isTaskRegisteredAsync(OUTBOX_FLUSH_TASK);
+    if (!isRegistered) {
+      await BackgroundFetch.registerTaskAsync(OUTBOX_FLUSH_TASK, {
+        minimumInterval: 15 * 60, // seconds; the OS may run it less often
+        stopOnTerminate: false,
+        startOnBoot: true
+      });
+    }
+    return true;
+  } catch (error) {
+    console.warn('Error registering alert outbox background task:', error);
+    return false;
+  }
+};
+
+/**
+ * Calculate the delay before the next attempt using exponential backoff
+ */
+export const getRetryDelay = (attempts: number): number => {
+  return Math.min(BASE_RETRY_DELAY * Math.pow(2, Math.max(0, attempts - 1)), MAX_RETRY_DELAY);
+};
+
+/**
+ * Attempt delivery of a single item and record the outcome
+ */
+const deliverItem = async (item: OutboxItem): Promise<keyof OutboxRunResult> => {
+  const attempts = item.attempts + 1;
+  const transport = await getTransport(item.transport);
+
+  if (!transport) {
+    await AlertOutboxModel.updateStatus(item, 'failed', {
+      attempts,
+      lastError: `No ${item.transport} transport configured`
+    });
+    return 'failed';
+  }
+
+  try {
+    // Read at send time, so the secret is never copied into the outbox
+    const secret = item.transport === 'webhook'
+      ? await ContactsModel.getWebhookSecret(item.contact_id, item.destination)
+      : null;
+
+    const result = await transport.send({
+      destination: item.destination,
+      subject: item.subject,
+      message: item.message,
+      metadata: {
+        alert_event_id: item.alert_event_id,
+        contact_id: item.contact_id
+      },
+      secret
+    });
+
+    await AlertOutboxModel.updateStatus(item, result.status, {
+      attempts,
+      lastError: null,
+      providerMessageId: result.providerMessageId || null
+    });
+
+    return result.status;
+  } catch (error: any) {
+    const retryable = error instanceof TransportError ? error.retryable : true;
+    const message = error?.message || String(error);
+
+    if (retryable && attempts < MAX_ATTEMPTS) {
+      await AlertOutboxModel.updateStatus(item, 'queued', {
+        attempts,
+        nextAttemptAt: Date.now() + getRetryDelay(attempts),
+        lastError: message
+      });
+      return 'retried';
+    }
+
+    console.error(`Giving up on ${item.transport} alert to contact ID ${item.contact_id}:`, message);
+    await AlertOutboxModel.updateStatus(item, 'failed', {
+      attempts,
+      lastError: message
+    });
+    return 'failed';
+  }
+};
+
+export default {
+  enqueueAlert,
+  processOutbox,
+  refreshDeliveryStatuses,
+  startOutboxWorker,
+  registerOutboxBackgroundTask,
+  getRetryDelay
+};
@@ -1,7 +1,11 @@
 import * as Notifications from 'expo-notifications';
 import { Platform } from 'react-native';
-import { ContactsModel, Contact } from '../database/models';
+import { ContactsModel, Contact, ContactChannel, AlertTransportType, DeviationKind, LastKnownCause } from '../database/models';
 import database from '../database/database';
+import { getSettings } from './SettingsService';
+import { enqueueAlert, processOutbox } from './AlertOutboxService';
+import { renderAlertMessage, AlertMessage } from './AlertTemplates';
+import { recordAlertEvent } from './SyncService';
 
 // Configure notifications
 Notifications.setNotificationHandler({
@@ -23,9 +27,46 @@ export interface DeviationData {
   deviationId: number;
   journeyId: number;
   routeId?: number;
-  distance: number;
+  kind?: DeviationKind;           // defaults to 'deviation'
+  distance: number;               // meters from the route, or from the destination for check-ins
   latitude: number;
   longitude: number;
+  destinationName?: string | null; // check-in destination
+  expectedAt?: number;            // check-in arrival deadline
+  liveShare?: LiveShareLink | null; // link contacts can follow the user on
+  cause?: LastKnownCause | null;   // why a last known location is being sent
+  batteryLevel?: number | null;    // 0-1, when the last known location was sent
+  contactsAlerted?: boolean;       // whether contacts got the last known location, for the user's notification
+}
+
+export interface LiveShareLink {
+  url: string;
+  expiresAt: number;
+}
+
+export interface ArrivalData {
+  journeyId: number;
+  routeId?: number;
+  destinationName?: string | null;
+  latitude: number;
+  longitude: number;
+}
+
+// Journey whose details go into a contact message
+interface MessageSource {
+  journeyId: number;
+  routeId?: number;
+}
+
+interface AlertContext {
+  routeName: string | null;
+  lastSeen: number;
+  locale: string;
+}
+
+interface ResolvedChannel {
+  transport: AlertTransportType;
+  destination: string;
 }
 
 export interface AlertResponse {
@@ -87,106 +128,19 @@ export const initializeAlerts = async (): Promise<boolean> => {
   }
 };
 
-/**
- * Handle a route deviation by notifying user and/or contacts
- */
-export const handleDeviation = async (deviationData: DeviationData, severity: AlertSeverity = AlertSeverity.MEDIUM): Promise<AlertResponse> => {
-  try {
-    // Mark deviation as having alert sent
-    await database.executeQuery(
-      'UPDATE DeviationEvents SET alert_sent = 1 WHERE id = ?',
-      [deviationData.deviationId]
-    );
-    
-    // For LOW severity, just notify the user
-    if (severity === AlertSeverity.LOW) {
-      await notifyUser(deviationData, false);
-      return {
-        success: true,
-        alertLevel: 'user',
-        notificationId: null
-      };
-    }
-    
-    // For MEDIUM severity, notify user with required response
-    if (severity === AlertSeverity.MEDIUM) {
-      const notificationId = await notifyUser(deviationData, true);
-      
-      // Set up a timeout to escalate if no response
-      setTimeout(async () => {
-        try {
-          // Check if the deviation has been responded to
-          const result = await database.executeQuery(
-            'SELECT user_response FROM DeviationEvents WHERE id = ?',
-            [deviationData.deviationId]
-          );
-          
-          const userResponse = result.rows._array[0]?.user_response;
-          
-          // If no response, escalate to emergency contacts
-          if (!userResponse) {
-            await alertEmergencyContacts(deviationData);
-            
-            // Update the deviation with auto-escalation
-            await database.executeQuery(
-              'UPDATE DeviationEvents SET user_response = ? WHERE id = ?',
-              ['auto_escalated', deviationData.deviationId]
-            );
-          }
-        } catch (error) {
-          console.error('Error in auto-escalation timeout:', error);
-        }
-      }, 60000); // 1 minute timeout for response
-      
-      return {
-        success: true,
-        alertLevel: 'user_with_timeout',
-        notificationId
-      };
-    }
-    
-    // For HIGH severity, immediately alert emergency contacts
-    if (severity === AlertSeverity.HIGH) {
-      await notifyUser(deviationData, false);
-      await alertEmergencyContacts(deviationData);
-      
-      return {
-        success: true,
-        alertLevel: 'emergency',
-        notificationId: null
-      };
-    }
-    
-    return {
-      success: false,
-      error: 'Invalid severity level'
-    };
-  } catch (error: any) {
-    console.error('Error handling deviation alert:', error);
-    return {
-      success: false,
-      error: error.message
-    };
-  }
-};
-
 /**
  * Notify user of deviation
  */
-const notifyUser = async (deviationData: DeviationData, requireResponse: boolean = false): Promise<string> => {
+export const notifyUser = async (deviationData: DeviationData, requireResponse: boolean = false): Promise<string> => {
   try {
-    // Format distance nicely
-    const distanceText = formatDistance(deviationData.distance);
-    
     // Prepare notification content
     const notificationContent: Notifications.NotificationContentInput = {
-      title: 'Route Deviation Detected',
-      body: `You are ${distanceText} away from your expected route.`,
+      ...describeDeviation(deviationData),
       data: {
         deviationId: deviationData.deviationId,
         journeyId: deviationData.journeyId,
         routeId: deviationData.routeId,
-        type: 'deviation'
+        type: deviationData.kind || 'deviation'
       },
     };
     
@@ -215,49 +169,65 @@ const notifyUser = async (deviationData: DeviationData, requireResponse: boolean
   }
 };
 
+/**
+ * Tell the user a check-in has closed because they arrived
+ */
+export const notifyUserOfArrival = async (arrival: ArrivalData, contactsNotified: number): Promise<string> => {
+  try {
+    const destination = arrival.destinationName || 'your destination';
+    const contactsText = contactsNotified === 1 ? '1 contact' : `${contactsNotified} contacts`;
+    
+    return await Notifications.scheduleNotificationAsync({
+      content: {
+        title: 'Arrived Safely',
+        body: contactsNotified > 0
+          ? `You've arrived at ${destination}. We've let ${contactsText} know.`
+          : `You've arrived at ${destination}. Check-in complete.`,
+        data: {
+          journeyId: arrival.journeyId,
+          type: 'arrival'
+        },
+      },
+      trigger: null, // Send immediately
+    });
+  } catch (error) {
+    console.error('Error sending arrival notification:', error);
+    throw error;
+  }
+};
+
 /**
  * Alert emergency contacts about a deviation
+ * 
+ * Each contact channel gets an AlertEvents row and an outbox entry; the outbox
+ * delivers them and keeps delivery_status up to date, retrying when offline.
+ * @param contactsToAlert - Contacts to alert (defaults to all active contacts)
  */
-const alertEmergencyContacts = async (deviationData: DeviationData): Promise<number> => {
+export const alertEmergencyContacts = async (deviationData: DeviationData, contactsToAlert?: Contact[]): Promise<number> => {
   try {
     // Get active emergency contacts
-    const contacts = await ContactsModel.getActiveContacts();
+    const contacts = contactsToAlert || await ContactsModel.getActiveContacts();
     if (!contacts || contacts.length === 0) {
       console.warn('No emergency contacts available to alert');
       return 0;
     }
     
-    // In a real app, this would send SMS, email, or use a third-party service
-    // For now, we'll just simulate the alerts and log them
+    const context = await getAlertContext(deviationData);
     
-    for (const contact of contacts) {
-      console.log(`ALERT to ${contact.name}: User has deviated from their expected route.`);
-      
-      // Simulate sending SMS
-      if (contact.phone_number) {
-        // This would be implemented with a real SMS service
-        console.log(`Simulated SMS to ${contact.phone_number}`);
-      }
-      
-      // Simulate sending email
-      if (contact.email) {
-        // This would be implemented with a real email service
-        console.log(`Simulated Email to ${contact.email}`);
-      }
-      
-      // Record this alert in the database
-      await database.executeQuery(
-        `INSERT INTO AlertEvents (
-          contact_id, deviation_id, alert_method, timestamp, message
-        ) VALUES (?, ?, ?, ?, ?)`,
-        [
-          contact.id,
-          deviationData.deviationId,
-          contact.phone_number ? 'sms' : 'email',
-          Date.now(),
-          generateAlertMessage(deviationData, contact)
-        ]
-      );
+    await queueContactMessages(contacts, deviationData.deviationId, contact =>
+      generateAlertMessage(deviationData, contact, context)
+    );
+    
+    // Keep a record in the user's cloud account when they back up there
+    const settings = await getSettings();
+    if (settings.autoSyncToCloud) {
+      await recordAlertEvent({
+        latitude: deviationData.latitude,
+        longitude: deviationData.longitude,
+        deviation_distance: deviationData.distance,
+        contacts_notified: contacts.map(contact => contact.id),
+        route_id: deviationData.routeId
+      });
     }
     
     return contacts.length;
@@ -268,46 +238,139 @@ const alertEmergencyContacts = async (deviationData: DeviationData): Promise<num
 };
 
 /**
- * Handle user response to a deviation notification
+ * Send contacts an "arrived safely" message for a check-in
+ * @param deviationId - Missed check-in the contacts were alerted about, if any
  */
-export const handleDeviationResponse = async (deviationId: number, response: string): Promise<boolean> => {
+export const notifyContactsOfArrival = async (
+  arrival: ArrivalData,
+  contacts: Contact[],
+  deviationId: number | null = null
+): Promise<number> => {
   try {
-    // Update the deviation record with the user's response
-    await database.executeQuery(
-      'UPDATE DeviationEvents SET user_response = ? WHERE id = ?',
-      [response, deviationId]
+    if (contacts.length === 0) return 0;
+    
+    const context = await getAlertContext(arrival);
+    
+    await queueContactMessages(contacts, deviationId, contact =>
+      renderAlertMessage(context.locale, {
+        kind: 'arrived',
+        contactName: contact.name,
+        routeName: context.routeName,
+        destinationName: arrival.destinationName,
+        lastSeen: context.lastSeen,
+        latitude: arrival.latitude,
+        longitude: arrival.longitude,
+        distance: 0
+      })
     );
     
-    // If confirmed emergency, alert contacts
-    if (response === 'confirm') {
-      // Get the deviation data
-      const result = await database.executeQuery(
-        `SELECT d.*, j.matched_route_id 
-         FROM DeviationEvents d
-         JOIN Journeys j ON d.journey_id = j.id
-         WHERE d.id = ?`,
-        [deviationId]
+    return contacts.length;
+  } catch (error) {
+    console.error('Error sending arrival messages:', error);
+    throw error;
+  }
+};
+
+/**
+ * Record and queue a message to each contact on each of their channels
+ */
+const queueContactMessages = async (
+  contacts: Contact[],
+  deviationId: number | null,
+  renderMessage: (contact: Contact) => AlertMessage
+): Promise<void> => {
+  for (const contact of contacts) {
+    const channels = resolveChannels(contact, await ContactsModel.getContactChannels(contact.id));
+    if (channels.length === 0) {
+      console.warn(`No way to reach contact ${contact.name}`);
+      continue;
+    }
+    
+    const alertMessage = renderMessage(contact);
+    
+    for (const channel of channels) {
+      // Record this alert in the database
+      const alertEventId = await ContactsModel.recordAlert(
+        contact.id,
+        deviationId,
+        channel.transport,
+        alertMessage.body
       );
       
-      if (result.rows.length > 0) {
-        const deviationData = result.rows._array[0];
-        
-        await alertEmergencyContacts({
-          deviationId,
-          journeyId: deviationData.journey_id,
-          routeId: deviationData.matched_route_id,
-          distance: deviationData.deviation_distance,
-          latitude: deviationData.latitude,
-          longitude: deviationData.longitude
-        });
-      }
+      await enqueueAlert({
+        alert_event_id: alertEventId,
+        contact_id: contact.id,
+        transport: channel.transport,
+        destination: channel.destination,
+        subject: alertMessage.subject,
+        message: alertMessage.body
+      });
     }
+  }
+  
+  // Deliver right away; anything that fails stays queued for retry
+  processOutbox().catch(error => {
+    console.error('Error processing alert outbox:', error);
+  });
+};
+
+/**
+ * Work out which channels to alert a contact through
+ * 
+ * Contacts without configured channels get SMS and email if they have them.
+ */
+const resolveChannels = (contact: Contact, channels: ContactChannel[]): ResolvedChannel[] => {
+  const configured: ContactChannel[] = channels.length > 0 ? channels.filter(channel => channel.is_active) : [
+    { transport: 'sms' },
+    { transport: 'email' }
+  ];
+  
+  const resolved: ResolvedChannel[] = [];
+  
+  for (const channel of configured) {
+    const destination = channel.transport === 'sms' ? contact.phone_number :
+                        channel.transport === 'email' ? contact.email :
+                        channel.destination;
     
-    return true;
+    if (destination) {
+      resolved.push({ transport: channel.transport, destination });
+    }
+  }
+  
+  return resolved;
+};
+
+/**
+ * Gather route name, last-seen time and language for alert messages
+ */
+const getAlertContext = async (source: MessageSource): Promise<AlertContext> => {
+  const settings = await getSettings();
+  let routeName: string | null = null;
+  let lastSeen = Date.now();
+  
+  try {
+    if (source.routeId) {
+      const routeResult = await database.executeQuery(
+        'SELECT name FROM Routes WHERE id = ?',
+        [source.routeId]
+      );
+      routeName = routeResult.rows._array[0]?.name || null;
+    }
+    
+    const pointResult = await database.executeQuery(
+      'SELECT MAX(timestamp) AS last_seen FROM JourneyPoints WHERE journey_id = ?',
+      [source.journeyId]
+    );
+    lastSeen = pointResult.rows._array[0]?.last_seen || lastSeen;
   } catch (error) {
-    console.error('Error handling deviation response:', error);
-    return false;
+    console.warn('Error gathering alert context:', error);
   }
+  
+  return {
+    routeName,
+    lastSeen,
+    locale: settings.alertLanguage
+  };
 };
 
 /**
@@ -321,9 +384,78 @@ const formatDistance = (distanceInMeters: number): string => {
   }
 };
 
+/**
+ * Title and body of the notification asking the user about a deviation
+ */
+const describeDeviation = (deviationData: DeviationData): { title: string; body: string } => {
+  const distanceText = formatDistance(deviationData.distance);
+  const destination = deviationData.destinationName || 'your destination';
+  
+  switch (deviationData.kind) {
+    case 'overdue': {
+      const expectedAt = new Date(deviationData.expectedAt || Date.now())
+        .toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+      return {
+        title: 'Have You Arrived?',
+        body: `You were expected at ${destination} by ${expectedAt}. Let us know you're OK or your contacts will be alerted.`
+      };
+    }
+    
+    case 'stationary':
+      return {
+        title: 'Are You OK?',
+        body: `You haven't moved for a while and are ${distanceText} from ${destination}. Let us know you're OK or your contacts will be alerted.`
+      };
+    
+    case 'last_known': {
+      const sent = deviationData.contactsAlerted
+        ? ' Your contacts have been sent your last known location.'
+        : '';
+      
+      switch (deviationData.cause) {
+        case 'battery':
+          return {
+            title: 'Battery Critical',
+            body: `SafeTack will stop when your phone switches off.${sent} Charge it to keep monitoring your route.`
+          };
+        case 'permission':
+          return {
+            title: 'Location Access Turned Off',
+            body: `SafeTack can no longer see where you are.${sent} Turn location access back on to keep monitoring your route.`
+          };
+        default:
+          return {
+            title: 'Location Lost',
+            body: `SafeTack hasn't had a location fix for a while.${sent}`
+          };
+      }
+    }
+    
+    default:
+      return {
+        title: 'Route Deviation Detected',
+        body: `You are ${distanceText} away from your expected route.`
+      };
+  }
+};
+
 /**
  * Generate alert message for emergency contacts
  */
-const generateAlertMessage = (deviationData: DeviationData, contact: Contact): string => {
-  return `ALERT: SafeTack has detected that your contact has deviated significantly from their usual route. They are currently located at https://maps.google.com/?q=${deviationData.latitude},${deviationData.longitude}. Please try to contact them to check on their safety.`;
-};
\ No newline at end of file
+const generateAlertMessage = (deviationData: DeviationData, contact: Contact, context: AlertContext): AlertMessage => {
+  return renderAlertMessage(context.locale, {
+    kind: deviationData.kind,
+    contactName: contact.name,
+    routeName: context.routeName,
+    destinationName: deviationData.destinationName,
+    expectedAt: deviationData.expectedAt,
+    lastSeen: context.lastSeen,
+    latitude: deviationData.latitude,
+    longitude: deviationData.longitude,
+    distance: deviationData.distance,
+    liveLink: deviationData.liveShare?.url,
+    liveUntil: deviationData.liveShare?.expiresAt,
+    cause: deviationData.cause,
+    batteryLevel: deviationData.batteryLevel
+  });
+};
@@ -0,0 +1,253 @@
+/**
+ * SafeTack Alert Templates
+ * Localised message templates for emergency contact alerts
+ */
+
+import type { LastKnownCause } from '../database/models';
+
+export const SUPPORTED_ALERT_LOCALES = ['en', 'es', 'fr', 'de'] as const;
+
+export type AlertLocale = typeof SUPPORTED_ALERT_LOCALES[number];
+
+// Deviation kinds, plus the all-clear sent when a check-in arrives
+export type AlertMessageKind = 'deviation' | 'overdue' | 'stationary' | 'duress' | 'last_known' | 'arrived';
+
+export interface AlertTemplateParams {
+  kind?: AlertMessageKind; // defaults to 'deviation'
+  contactName: string;
+  routeName?: string | null;
+  destinationName?: string | null;
+  expectedAt?: number;    // check-in arrival deadline, Unix timestamp in milliseconds
+  lastSeen: number;       // Unix timestamp in milliseconds
+  latitude: number;
+  longitude: number;
+  distance: number;       // meters from the expected route, or from the destination for check-ins
+  liveLink?: string | null; // live share contacts can follow until liveUntil
+  liveUntil?: number;     // Unix timestamp in milliseconds
+  cause?: LastKnownCause | null; // why a last known location is being sent
+  batteryLevel?: number | null;  // 0-1
+}
+
+export interface AlertMessage {
+  subject: string;
+  body: string;
+}
+
+interface AlertTemplate {
+  subject: string;
+  body: string;
+  overdue: string;
+  stationary: string;
+  duress: string;
+  lastKnown: string;
+  lastKnownCauses: Record<LastKnownCause, string>;
+  lastKnownDestination: string;
+  arrivedSubject: string;
+  arrived: string;
+  liveShare: string;
+  unknownRoute: string;
+  unknownDestination: string;
+  unknownBattery: string;
+}
+
+// Placeholders: {contactName} {routeName} {destination} {expectedAt} {lastSeen} {mapLink} {distance}
+// liveShare is appended to alerts that come with a live link: {liveLink} {liveUntil}
+// lastKnown opens with one of lastKnownCauses as {cause} and adds lastKnownDestination during a check-in: {battery}
+const ALERT_TEMPLATES: Record<AlertLocale, AlertTemplate> = {
+  en: {
+    subject: 'SafeTack safety alert',
+    body: 'ALERT for {contactName}: SafeTack has detected that your contact has deviated {distance} from their usual route ({routeName}). ' +
+          'They were last seen at {lastSeen} at {mapLink}. Please try to contact them to check on their safety.',
+    overdue: 'ALERT for {contactName}: your contact expected to reach {destination} by {expectedAt} but has not arrived. ' +
+             'They were last seen at {lastSeen} at {mapLink}. Please try to contact them to check on their safety.',
+    stationary: 'ALERT for {contactName}: your contact has not moved for a while and is still {distance} from {destination}. ' +
+                'They were last seen at {lastSeen} at {mapLink}. Please try to contact them to check on their safety.',
+    duress: 'URGENT for {contactName}: your contact has unlocked SafeTack with their duress PIN, which means they may be in danger and unable to ask for help openly. ' +
+            'They were last seen at {lastSeen} at {mapLink}. Don\'t mention this alert if you reach them; consider calling the emergency services.',
+    lastKnown: 'ALERT for {contactName}: {cause}, so this may be the last update SafeTack can send. ' +
+               'They were last seen at {lastSeen} at {mapLink} on {routeName} (battery {battery}). Please try to contact them to check on their safety.',
+    lastKnownCauses: {
+      battery: 'your contact\'s phone battery is almost empty',
+      signal: 'SafeTack has stopped receiving locations from your contact\'s phone',
+      permission: 'location access for SafeTack has been turned off on your contact\'s phone'
+    },
+    lastKnownDestination: 'They were heading to {destination}, expected by {expectedAt}.',
+    arrivedSubject: 'SafeTack: arrived safely',
+    arrived: 'Hi {contactName}, your contact has arrived safely at {destination} ({lastSeen}).',
+    liveShare: 'Follow their live location until {liveUntil}: {liveLink}',
+    unknownRoute: 'an unrecognised route',
+    unknownDestination: 'their destination',
+    unknownBattery: 'unknown'
+  },
+  es: {
+    subject: 'Alerta de seguridad de SafeTack',
+    body: 'ALERTA para {contactName}: SafeTack ha detectado que tu contacto se ha desviado {distance} de su ruta habitual ({routeName}). ' +
+          'Fue visto por última vez a las {lastSeen} en {mapLink}. Intenta comunicarte con esta persona para comprobar que está a salvo.',
+    overdue: 'ALERTA para {contactName}: tu contacto esperaba llegar a {destination} antes de las {expectedAt}, pero aún no ha llegado. ' +
+             'Fue visto por última vez a las {lastSeen} en {mapLink}. Intenta comunicarte con esta persona para comprobar que está a salvo.',
+    stationary: 'ALERTA para {contactName}: tu contacto lleva un tiempo sin moverse y aún está a {distance} de {destination}. ' +
+                'Fue visto por última vez a las {lastSeen} en {mapLink}. Intenta comunicarte con esta persona para comprobar que está a salvo.',
+    duress: 'URGENTE para {contactName}: tu contacto ha desbloqueado SafeTack con su PIN de coacción, lo que significa que puede estar en peligro y no poder pedir ayuda abiertamente. ' +
+            'Fue visto por última vez a las {lastSeen} en {mapLink}. No menciones esta alerta si hablas con esta persona; considera llamar a los servicios de emergencia.',
+    lastKnown: 'ALERTA para {contactName}: {cause}, así que puede que esta sea la última actualización que SafeTack pueda enviar. ' +
+               'Fue visto por última vez a las {lastSeen} en {mapLink}, en {routeName} (batería: {battery}). Intenta comunicarte con esta persona para comprobar que está a salvo.',
+    lastKnownCauses: {
+      battery: 'la batería del teléfono de tu contacto está casi agotada',
+      signal: 'SafeTack ha dejado de recibir la ubicación del teléfono de tu contacto',
+      permission: 'el acceso a la ubicación de SafeTack se ha desactivado en el teléfono de tu contacto'
+    },
+    lastKnownDestination: 'Se dirigía a {destination} y esperaba llegar antes de las {expectedAt}.',
+    arrivedSubject: 'SafeTack: llegada segura',
+    arrived: 'Hola {contactName}: tu contacto ha llegado bien a {destination} ({lastSeen}).',
+    liveShare: 'Sigue su ubicación en tiempo real hasta las {liveUntil}: {liveLink}',
+    unknownRoute: 'una ruta no reconocida',
+    unknownDestination: 'su destino',
+    unknownBattery: 'desconocida'
+  },
+  fr: {
+    subject: 'Alerte de sécurité SafeTack',
+    body: 'ALERTE pour {contactName} : SafeTack a détecté que votre contact s\'est écarté de {distance} de son trajet habituel ({routeName}). ' +
+          'Dernière position connue à {lastSeen} : {mapLink}. Merci d\'essayer de le contacter pour vérifier qu\'il est en sécurité.',
+    overdue: 'ALERTE pour {contactName} : votre contact devait arriver à {destination} avant {expectedAt} mais n\'est pas encore arrivé. ' +
+             'Dernière position connue à {lastSeen} : {mapLink}. Merci d\'essayer de le contacter pour vérifier qu\'il est en sécurité.',
+    stationary: 'ALERTE pour {contactName} : votre contact ne s\'est pas déplacé depuis un moment et se trouve encore à {distance} de {destination}. ' +
+                'Dernière position connue à {lastSeen} : {mapLink}. Merci d\'essayer de le contacter pour vérifier qu\'il est en sécurité.',
+    duress: 'URGENT pour {contactName} : votre contact a déverrouillé SafeTack avec son code de contrainte, ce qui signifie qu\'il est peut-être en danger et ne peut pas demander de l\'aide ouvertement. ' +
+            'Dernière position connue à {lastSeen} : {mapLink}. Ne mentionnez pas cette alerte si vous le joignez ; envisagez d\'appeler les services d\'urgence.',
+    lastKnown: 'ALERTE pour {contactName} : {cause}, ce message est donc peut-être le dernier que SafeTack pourra envoyer. ' +
+               'Dernière position connue à {lastSeen} : {mapLink}, sur {routeName} (batterie : {battery}). Merci d\'essayer de le contacter pour vérifier qu\'il est en sécurité.',
+    lastKnownCauses: {
+      battery: 'la batterie du téléphone de votre contact est presque vide',
+      signal: 'SafeTack ne reçoit plus la position du téléphone de votre contact',
+      permission: 'l\'accès à la localisation a été désactivé pour SafeTack sur le téléphone de votre contact'
+    },
+    lastKnownDestination: 'Il se rendait à {destination}, où il était attendu avant {expectedAt}.',
+    arrivedSubject: 'SafeTack : bien arrivé',
+    arrived: 'Bonjour {contactName}, votre contact est bien arrivé à {destination} ({lastSeen}).',
+    liveShare: 'Suivez sa position en direct jusqu\'à {liveUntil} : {liveLink}',
+    unknownRoute: 'un trajet non reconnu',
+    unknownDestination: 'sa destination',
+    unknownBattery: 'inconnue'
+  },
+  de: {
+    subject: 'SafeTack Sicherheitswarnung',
+    body: 'WARNUNG für {contactName}: SafeTack hat erkannt, dass Ihr Kontakt {distance} von der üblichen Route ({routeName}) abgewichen ist. ' +
+          'Zuletzt gesehen um {lastSeen} bei {mapLink}. Bitte versuchen Sie, die Person zu erreichen und nach ihr zu sehen.',
+    overdue: 'WARNUNG für {contactName}: Ihr Kontakt wurde bis {expectedAt} bei {destination} erwartet, ist dort aber noch nicht angekommen. ' +
+             'Zuletzt gesehen um {lastSeen} bei {mapLink}. Bitte versuchen Sie, die Person zu erreichen und nach ihr zu sehen.',
+    stationary: 'WARNUNG für {contactName}: Ihr Kontakt hat sich seit einiger Zeit nicht bewegt und ist noch {distance} von {destination} entfernt. ' +
+                'Zuletzt gesehen um {lastSeen} bei {mapLink}. Bitte versuchen Sie, die Person zu erreichen und nach ihr zu sehen.',
+    duress: 'DRINGEND für {contactName}: Ihr Kontakt hat SafeTack mit der Notfall-PIN entsperrt. Die Person ist möglicherweise in Gefahr und kann nicht offen um Hilfe bitten. ' +
+            'Zuletzt gesehen um {lastSeen} bei {mapLink}. Erwähnen Sie diese Warnung nicht, wenn Sie die Person erreichen; rufen Sie gegebenenfalls den Notruf.',
+    lastKnown: 'WARNUNG für {contactName}: {cause}, daher ist dies möglicherweise die letzte Nachricht, die SafeTack senden kann. ' +
+               'Zuletzt gesehen um {lastSeen} bei {mapLink} auf {routeName} (Akku: {battery}). Bitte versuchen Sie, die Person zu erreichen und nach ihr zu sehen.',
+    lastKnownCauses: {
+      battery: 'Der Akku des Telefons Ihres Kontakts ist fast leer',
+      signal: 'SafeTack empfängt keine Standorte mehr vom Telefon Ihres Kontakts',
+      permission: 'Der Standortzugriff für SafeTack wurde auf dem Telefon Ihres Kontakts deaktiviert'
+    },
+    lastKnownDestination: 'Die Person war unterwegs nach {destination} und wurde bis {expectedAt} erwartet.',
+    arrivedSubject: 'SafeTack: sicher angekommen',
+    arrived: 'Hallo {contactName}, Ihr Kontakt ist sicher bei {destination} angekommen ({lastSeen}).',
+    liveShare: 'Live-Standort bis {liveUntil} verfolgen: {liveLink}',
+    unknownRoute: 'einer unbekannten Route',
+    unknownDestination: 'seinem Ziel',
+    unknownBattery: 'unbekannt'
+  }
+};
+
+/**
+ * Check whether a locale has alert templates
+ */
+export const isSupportedAlertLocale = (locale: unknown): locale is AlertLocale => {
+  return SUPPORTED_ALERT_LOCALES.includes(locale as AlertLocale);
+};
+
+/**
+ * Render the alert message for a contact in the given locale
+ * @param locale - Template locale (falls back to English)
+ * @param params - Values substituted into the template
+ * @returns Subject line and message body
+ */
+export const renderAlertMessage = (locale: string, params: AlertTemplateParams): AlertMessage => {
+  const resolvedLocale: AlertLocale = isSupportedAlertLocale(locale) ? locale : 'en';
+  const template = ALERT_TEMPLATES[resolvedLocale];
+
+  const kind = params.kind || 'deviation';
+
+  const values: Record<string, string> = {
+    contactName: params.contactName,
+    routeName: params.routeName || template.unknownRoute,
+    destination: params.destinationName || template.unknownDestination,
+    expectedAt: params.expectedAt ? formatClockTime(params.expectedAt, resolvedLocale) : '',
+    lastSeen: formatLastSeen(params.lastSeen, resolvedLocale),
+    mapLink: `https://maps.google.com/?q=${params.latitude},${params.longitude}`,
+    distance: formatAlertDistance(params.distance),
+    liveLink: params.liveLink || '',
+    liveUntil: params.liveUntil ? formatClockTime(params.liveUntil, resolvedLocale) : '',
+    battery: typeof params.batteryLevel === 'number' && params.batteryLevel >= 0
+      ? `${Math.round(params.batteryLevel * 100)}%`
+      : template.unknownBattery
+  };
+
+  let body: string;
+  if (kind === 'deviation') {
+    body = template.body;
+  } else if (kind === 'last_known') {
+    body = template.lastKnown.replace('{cause}', template.lastKnownCauses[params.cause || 'signal']);
+    if (params.destinationName && params.expectedAt) {
+      body = `${body} ${template.lastKnownDestination}`;
+    }
+  } else {
+    body = template[kind];
+  }
+
+  if (params.liveLink && kind !== 'arrived') {
+    body = `${body} ${template.liveShare}`;
+  }
+
+  return {
+    subject: kind === 'arrived' ? template.arrivedSubject : template.subject,
+    body: body.replace(/\{(\w+)\}/g, (match, key) => values[key] ?? match)
+  };
+};
+
+/**
+ * Format the last-seen time in the contact's locale
+ */
+const formatLastSeen = (timestamp: number, locale: AlertLocale): string => {
+  try {
+    return new Date(timestamp).toLocaleString(locale, {
+      hour: '2-digit',
+      minute: '2-digit',
+      day: 'numeric',
+      month: 'short'
+    });
+  } catch {
+    return new Date(timestamp).toISOString();
+  }
+};
+
+/**
+ * Format a time of day in the contact's locale
+ */
+const formatClockTime = (timestamp: number, locale: AlertLocale): string => {
+  try {
+    return new Date(timestamp).toLocaleTimeString(locale, {
+      hour: '2-digit',
+      minute: '2-digit'
+    });
+  } catch {
+    return new Date(timestamp).toISOString();
+  }
+};
+
+/**
+ * Format a distance without locale-specific words
+ */
+const formatAlertDistance = (distanceInMeters: number): string => {
+  if (distanceInMeters < 1000) {
+    return `${Math.round(distanceInMeters)} m`;
+  }
+  return `${(distanceInMeters / 1000).toFixed(1)} km`;
+};
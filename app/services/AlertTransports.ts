@@ -0,0 +1,386 @@
+import * as SecureStore from 'expo-secure-store';
+import { AlertTransportType, DeliveryStatus } from '../database/models';
+
+/**
+ * SafeTack Alert Transports
+ * Pluggable adapters that deliver alert messages to emergency contacts
+ *
+ * Gateway URLs and API keys are entered in the app and kept in the keychain,
+ * never in the app bundle, where anyone could read them out.
+ */
+
+const DEFAULT_REQUEST_TIMEOUT = 15000; // 15 seconds
+
+// Keychain entries holding each gateway's settings
+const GATEWAY_KEYS: Record<GatewayType, string> = {
+  sms: 'safetack.gateway.sms',
+  email: 'safetack.gateway.email'
+};
+
+// Alerts are sent from background tasks while the phone is locked
+const GATEWAY_KEY_OPTIONS: SecureStore.SecureStoreOptions = {
+  keychainAccessible: SecureStore.AFTER_FIRST_UNLOCK_THIS_DEVICE_ONLY
+};
+
+export interface OutboundAlert {
+  destination: string;
+  subject: string;
+  message: string;
+  metadata?: Record<string, unknown>;
+  secret?: string | null;  // Bearer token the destination expects, for webhooks
+}
+
+export interface TransportResult {
+  status: 'sent' | 'delivered';
+  providerMessageId?: string | null;
+}
+
+export interface AlertTransport {
+  type: AlertTransportType;
+  send: (alert: OutboundAlert) => Promise<TransportResult>;
+  // Optional delivery receipt lookup for providers that confirm asynchronously
+  checkStatus?: (providerMessageId: string) => Promise<DeliveryStatus>;
+}
+
+export interface HttpGatewayConfig {
+  endpoint: string;
+  apiKey?: string;
+  sender?: string;
+  timeoutMs?: number;
+  fetchImpl?: typeof fetch;
+}
+
+export interface WebhookConfig {
+  timeoutMs?: number;
+  fetchImpl?: typeof fetch;
+}
+
+export type GatewayType = 'sms' | 'email';
+
+export type GatewaySettings = Pick<HttpGatewayConfig, 'endpoint' | 'apiKey' | 'sender'>;
+
+/**
+ * Error raised by a transport; retryable errors are re-queued with backoff
+ */
+export class TransportError extends Error {
+  retryable: boolean;
+  statusCode?: number;
+
+  constructor(message: string, retryable: boolean, statusCode?: number) {
+    super(message);
+    this.name = 'TransportError';
+    this.retryable = retryable;
+    this.statusCode = statusCode;
+  }
+}
+
+// Registered transports
+const transports = new Map<AlertTransportType, AlertTransport>();
+
+// Transports created from the stored gateway settings, replaced when those change
+const defaultTypes = new Set<AlertTransportType>();
+let defaultsLoaded: Promise<void> | null = null;
+
+/**
+ * Register (or replace) the adapter for a transport type
+ */
+export const registerTransport = (transport: AlertTransport): void => {
+  transports.set(transport.type, transport);
+  defaultTypes.delete(transport.type);
+};
+
+/**
+ * Get the adapter for a transport type, if one is configured
+ */
+export const getTransport = async (type: AlertTransportType): Promise<AlertTransport | undefined> => {
+  await ensureDefaultTransports();
+  return transports.get(type);
+};
+
+/**
+ * Remove all registered transports (defaults are re-created on next use)
+ */
+export const resetTransports = (): void => {
+  transports.clear();
+  defaultTypes.clear();
+  defaultsLoaded = null;
+};
+
+/**
+ * Get the stored settings for the SMS or email gateway
+ * @returns The settings, or null if the gateway isn't set up
+ */
+export const getGatewaySettings = async (type: GatewayType): Promise<GatewaySettings | null> => {
+  const stored = await SecureStore.getItemAsync(GATEWAY_KEYS[type], GATEWAY_KEY_OPTIONS);
+  if (!stored) return null;
+
+  try {
+    return JSON.parse(stored);
+  } catch {
+    console.warn(`Ignoring unreadable ${type} gateway settings`);
+    return null;
+  }
+};
+
+/**
+ * Save the settings for the SMS or email gateway, or remove them with null
+ */
+export const saveGatewaySettings = async (type: GatewayType, settings: GatewaySettings | null): Promise<void> => {
+  if (settings) {
+    // API keys and alert text mustn't travel unencrypted; plain HTTP is for a gateway on this machine
+    if (!isSecureUrl(settings.endpoint)) {
+      throw new Error('Gateway URL must start with https://');
+    }
+    await SecureStore.setItemAsync(GATEWAY_KEYS[type], JSON.stringify(settings), GATEWAY_KEY_OPTIONS);
+  } else {
+    await SecureStore.deleteItemAsync(GATEWAY_KEYS[type], GATEWAY_KEY_OPTIONS);
+  }
+
+  // The adapter is created again from the new settings on next use
+  if (defaultTypes.has(type)) {
+    transports.delete(type);
+    defaultTypes.delete(type);
+  }
+  defaultsLoaded = null;
+};
+
+/**
+ * Create an SMS adapter for a generic HTTP SMS gateway
+ *
+ * POST {endpoint}/messages  { to, from, body }  ->  { id, status }
+ * GET  {endpoint}/messages/{id}                 ->  { status }
+ */
+export const createSmsTransport = (config: HttpGatewayConfig): AlertTransport => ({
+  type: 'sms',
+  send: async (alert) => {
+    const response = await requestJson(config, `${trimSlash(config.endpoint)}/messages`, {
+      method: 'POST',
+      body: JSON.stringify({
+        to: alert.destination,
+        from: config.sender,
+        body: alert.message
+      })
+    });
+
+    return toTransportResult(response);
+  },
+  checkStatus: async (providerMessageId) => {
+    const response = await requestJson(
+      config,
+      `${trimSlash(config.endpoint)}/messages/${encodeURIComponent(providerMessageId)}`,
+      { method: 'GET' }
+    );
+
+    return mapProviderStatus(response?.status);
+  }
+});
+
+/**
+ * Create an email adapter for a generic HTTP email API
+ *
+ * POST {endpoint}/emails  { to, from, subject, text }  ->  { id, status }
+ * GET  {endpoint}/emails/{id}                          ->  { status }
+ */
+export const createEmailTransport = (config: HttpGatewayConfig): AlertTransport => ({
+  type: 'email',
+  send: async (alert) => {
+    const response = await requestJson(config, `${trimSlash(config.endpoint)}/emails`, {
+      method: 'POST',
+      body: JSON.stringify({
+        to: alert.destination,
+        from: config.sender,
+        subject: alert.subject,
+        text: alert.message
+      })
+    });
+
+    return toTransportResult(response);
+  },
+  checkStatus: async (providerMessageId) => {
+    const response = await requestJson(
+      config,
+      `${trimSlash(config.endpoint)}/emails/${encodeURIComponent(providerMessageId)}`,
+      { method: 'GET' }
+    );
+
+    return mapProviderStatus(response?.status);
+  }
+});
+
+/**
+ * Create an adapter that POSTs alerts to a contact's HTTPS webhook
+ *
+ * The contact's own secret, if they gave one, is sent as a Bearer token. A 2xx
+ * response is treated as delivered, since the receiver has accepted it.
+ */
+export const createWebhookTransport = (config: WebhookConfig = {}): AlertTransport => ({
+  type: 'webhook',
+  send: async (alert) => {
+    if (!isSecureUrl(alert.destination)) {
+      throw new TransportError('Webhook URL must use HTTPS', false);
+    }
+
+    const response = await requestJson(
+      {
+        endpoint: alert.destination,
+        apiKey: alert.secret || undefined,
+        timeoutMs: config.timeoutMs,
+        fetchImpl: config.fetchImpl
+      },
+      alert.destination,
+      {
+        method: 'POST',
+        body: JSON.stringify({
+          type: 'safetack.alert',
+          subject: alert.subject,
+          message: alert.message,
+          ...alert.metadata,
+          sent_at: new Date().toISOString()
+        })
+      }
+    );
+
+    return {
+      status: 'delivered',
+      providerMessageId: response?.id ? String(response.id) : null
+    };
+  }
+});
+
+/**
+ * Register adapters for the gateways set up in the app, once until they change
+ */
+const ensureDefaultTransports = (): Promise<void> => {
+  if (!defaultsLoaded) {
+    defaultsLoaded = loadDefaultTransports();
+    defaultsLoaded.catch(() => {
+      defaultsLoaded = null;
+    });
+  }
+  return defaultsLoaded;
+};
+
+const loadDefaultTransports = async (): Promise<void> => {
+  const [sms, email] = await Promise.all([getGatewaySettings('sms'), getGatewaySettings('email')]);
+
+  if (sms && !transports.has('sms')) {
+    registerDefaultTransport(createSmsTransport(sms));
+  }
+
+  if (email && !transports.has('email')) {
+    registerDefaultTransport(createEmailTransport(email));
+  }
+
+  // Webhooks need no gateway, so they are always available
+  if (!transports.has('webhook')) {
+    registerDefaultTransport(createWebhookTransport());
+  }
+};
+
+const registerDefaultTransport = (transport: AlertTransport): void => {
+  transports.set(transport.type, transport);
+  defaultTypes.add(transport.type);
+};
+
+/**
+ * Perform a JSON request, classifying failures as retryable or permanent
+ */
+const requestJson = async (
+  config: HttpGatewayConfig,
+  url: string,
+  init: { method: string; body?: string }
+): Promise<any> => {
+  const fetchImpl = config.fetchImpl || fetch;
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), config.timeoutMs || DEFAULT_REQUEST_TIMEOUT);
+
+  let response: Response;
+
+  try {
+    response = await fetchImpl(url, {
+      method: init.method,
+      body: init.body,
+      headers: {
+        'Content-Type': 'application/json',
+        Accept: 'application/json',
+        ...(config.apiKey ? { Authorization: `Bearer ${config.apiKey}` } : {})
+      },
+      signal: controller.signal
+    });
+  } catch (error: any) {
+    // Network errors and timeouts usually mean we're offline - try again later
+    throw new TransportError(`Network error: ${error?.message || error}`, true);
+  } finally {
+    clearTimeout(timeout);
+  }
+
+  if (!response.ok) {
+    // Rate limits and server errors are transient; other client errors are not
+    const retryable = response.status === 408 || response.status === 429 || response.status >= 500;
+    throw new TransportError(`Gateway responded with ${response.status}`, retryable, response.status);
+  }
+
+  const text = await response.text();
+  if (!text) return null;
+
+  try {
+    return JSON.parse(text);
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Map a gateway send response to a transport result
+ */
+const toTransportResult = (response: any): TransportResult => {
+  const status = mapProviderStatus(response?.status);
+
+  if (status === 'failed') {
+    throw new TransportError(`Gateway rejected message: ${response?.error || response?.status}`, false);
+  }
+
+  return {
+    status: status === 'delivered' ? 'delivered' : 'sent',
+    providerMessageId: response?.id ? String(response.id) : null
+  };
+};
+
+/**
+ * Normalise provider-specific status strings
+ */
+const mapProviderStatus = (status: unknown): DeliveryStatus => {
+  switch (String(status || '').toLowerCase()) {
+    case 'delivered':
+    case 'read':
+      return 'delivered';
+    case 'failed':
+    case 'undelivered':
+    case 'bounced':
+    case 'rejected':
+      return 'failed';
+    case 'queued':
+    case 'accepted':
+    case 'scheduled':
+      return 'queued';
+    default:
+      return 'sent';
+  }
+};
+
+const trimSlash = (url: string): string => url.replace(/\/+$/, '');
+
+// HTTPS, or plain HTTP to localhost for local testing
+const isSecureUrl = (url: string): boolean =>
+  /^https:\/\//i.test(url) || /^http:\/\/(localhost|127\.0\.0\.1)(:\d+)?(\/|$)/i.test(url);
+
+export default {
+  registerTransport,
+  getTransport,
+  resetTransports,
+  getGatewaySettings,
+  saveGatewaySettings,
+  createSmsTransport,
+  createEmailTransport,
+  createWebhookTransport
+};
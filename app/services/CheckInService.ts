@@ -0,0 +1,648 @@
+import * as TaskManager from 'expo-task-manager';
+import * as BackgroundFetch from 'expo-background-fetch';
+import {
+  CheckInModel,
+  CheckIn,
+  CheckInData,
+  CheckInUpdate,
+  ContactsModel,
+  Contact,
+  DeviationKind,
+  EscalationModel,
+  JourneysModel,
+  RoutesModel,
+  Route
+} from '../database/models';
+import { haversineDistance } from '../utils/helpers';
+import { GeoPosition, cumulativeDistances, projectOntoPolyline } from '../utils/geometry';
+import {
+  AlertSeverity,
+  ArrivalData,
+  DeviationData,
+  notifyContactsOfArrival,
+  notifyUserOfArrival
+} from './AlertService';
+import { handleDeviation, resolveEscalation } from './EscalationService';
+import { getSettings, AppSettings } from './SettingsService';
+
+/**
+ * SafeTack Check-In Service
+ * Safe-arrival check-ins for the "text me when you're home" case
+ *
+ * The user picks a destination - the end of a learned route or any point - and
+ * the journey closes by itself once they arrive. Missing the ETA, or standing
+ * still far from the destination, is recorded as a deviation of that kind and
+ * escalated like one: the user is asked first, then their contacts are alerted.
+ */
+
+// Background task name
+const CHECK_IN_TASK = 'check-in-deadline-check';
+
+// Configuration constants
+const ARRIVAL_RADIUS = 100; // meters around the destination that count as arrived
+const MAX_ARRIVAL_ACCURACY = 100; // meters; vaguer fixes can't confirm an arrival
+const ON_ROUTE_TOLERANCE = 200; // meters from a route's line for progress along it to count
+const STATIONARY_RADIUS = 50; // meters the user must move to count as moving
+const STATIONARY_MIN_DISTANCE = 300; // meters from the destination before standing still is a concern
+const MAX_ETA_EXTENSION = 1; // a slow trip can push the deadline back by at most this share of the expected duration
+
+// Where the user is heading: a learned route's end, or an ad-hoc point
+export type CheckInDestination =
+  | { routeId: number; expectedDuration?: number }
+  | { latitude: number; longitude: number; name?: string; expectedDuration: number };
+
+export interface CheckInOptions {
+  notifyContacts?: boolean; // send contacts an "arrived safely" message
+}
+
+export interface CheckInFix extends GeoPosition {
+  accuracy?: number | null;
+  timestamp?: number;
+}
+
+export interface CheckInArrival {
+  checkIn: CheckIn;
+  contactsNotified: number;
+}
+
+export type CheckInListener = (checkIn: CheckIn | null) => void;
+
+interface RouteLine {
+  points: GeoPosition[];
+  cumulative: number[];
+}
+
+// Service state
+let checkInTimer: ReturnType<typeof setTimeout> | null = null;
+let processingInProgress: Promise<number> | null = null;
+const routeLines = new Map<number, RouteLine>();
+const closingCheckIns = new Set<number>();
+const listeners = new Set<CheckInListener>();
+
+/**
+ * Check for missed check-ins from a background fetch when no fixes are arriving
+ */
+TaskManager.defineTask(CHECK_IN_TASK, async () => {
+  try {
+    const raised = await processCheckIns();
+    return raised > 0
+      ? BackgroundFetch.BackgroundFetchResult.NewData
+      : BackgroundFetch.BackgroundFetchResult.NoData;
+  } catch (error) {
+    console.error('Error checking check-ins in background:', error);
+    return BackgroundFetch.BackgroundFetchResult.Failed;
+  }
+});
+
+/**
+ * Start a check-in for a journey in progress
+ *
+ * Route check-ins expect the route's average duration, scaled to the part
+ * still ahead; ad-hoc check-ins use the duration the user chose.
+ */
+export const startCheckIn = async (
+  journeyId: number,
+  destination: CheckInDestination,
+  options: CheckInOptions = {}
+): Promise<CheckIn> => {
+  const origin = await JourneysModel.getLastPoint(journeyId);
+  if (!origin) {
+    throw new Error('Waiting for a location fix before starting the check-in');
+  }
+
+  const now = Date.now();
+  const settings = await getSettings();
+  const checkInData: CheckInData = 'routeId' in destination
+    ? await planRouteCheckIn(journeyId, destination.routeId, origin, destination.expectedDuration, now)
+    : {
+        journey_id: journeyId,
+        destination_latitude: destination.latitude,
+        destination_longitude: destination.longitude,
+        destination_name: destination.name || null,
+        arrival_radius: ARRIVAL_RADIUS,
+        planned_distance: distanceBetween(origin, {
+          latitude: destination.latitude,
+          longitude: destination.longitude
+        }),
+        expected_duration: destination.expectedDuration,
+        started_at: now,
+        due_at: now + destination.expectedDuration
+      };
+
+  if (!(checkInData.expected_duration > 0)) {
+    throw new Error('Choose how long the trip should take');
+  }
+
+  checkInData.notify_contacts = options.notifyContacts ?? settings.notifyContactsOnArrival;
+
+  const created = await CheckInModel.createCheckIn(checkInData);
+  const start: CheckInUpdate = {
+    last_latitude: origin.latitude,
+    last_longitude: origin.longitude,
+    last_fix_at: origin.timestamp,
+    anchor_latitude: origin.latitude,
+    anchor_longitude: origin.longitude,
+    anchor_since: now
+  };
+  await CheckInModel.updateCheckIn(created.id, start);
+
+  const checkIn = { ...created, ...start };
+  notifyListeners(checkIn);
+  armCheckInTimer();
+
+  return checkIn;
+};
+
+/**
+ * Update a journey's check-in with a new fix
+ * @returns Arrival details when the fix closes the check-in, otherwise null
+ */
+export const monitorCheckIn = async (journeyId: number, fix: CheckInFix): Promise<CheckInArrival | null> => {
+  const [checkIn] = await CheckInModel.getOpenCheckIns(journeyId);
+  if (!checkIn || closingCheckIns.has(checkIn.id)) return null;
+
+  const now = Date.now();
+  const fixTime = fix.timestamp || now;
+  const accuracy = fix.accuracy ?? 0;
+  const distanceToDestination = distanceBetween(fix, destinationOf(checkIn));
+
+  if (accuracy <= MAX_ARRIVAL_ACCURACY && distanceToDestination <= checkIn.arrival_radius + accuracy) {
+    return completeArrival(checkIn, fix);
+  }
+
+  const changes: CheckInUpdate = {
+    eta: await estimateArrival(checkIn, fix, now),
+    last_latitude: fix.latitude,
+    last_longitude: fix.longitude,
+    last_fix_at: fixTime
+  };
+
+  // Moving means leaving the spot the user was last seen moving from
+  const anchor = checkIn.anchor_latitude !== null && checkIn.anchor_longitude !== null
+    ? { latitude: checkIn.anchor_latitude, longitude: checkIn.anchor_longitude }
+    : null;
+  if (!anchor || distanceBetween(anchor, fix) > Math.max(STATIONARY_RADIUS, accuracy)) {
+    changes.anchor_latitude = fix.latitude;
+    changes.anchor_longitude = fix.longitude;
+    changes.anchor_since = fixTime;
+  }
+
+  await CheckInModel.updateCheckIn(checkIn.id, changes);
+
+  const updated = await evaluateCheckIn({ ...checkIn, ...changes }, now);
+  notifyListeners(updated);
+  armCheckInTimer();
+
+  return null;
+};
+
+/**
+ * Check every open check-in for a missed ETA or a long stop
+ * @returns Number of check-ins newly escalated
+ */
+export const processCheckIns = async (): Promise<number> => {
+  // Timer, background fetch and location task may all fire together
+  if (processingInProgress) return processingInProgress;
+
+  processingInProgress = (async () => {
+    const checkIns = await CheckInModel.getOpenCheckIns();
+    let raised = 0;
+
+    for (const checkIn of checkIns) {
+      try {
+        const updated = await evaluateCheckIn(checkIn, Date.now());
+        if (updated.state === 'alerting' && checkIn.state === 'active') {
+          raised++;
+        }
+        notifyListeners(updated);
+      } catch (error) {
+        console.error(`Error checking check-in ID ${checkIn.id}:`, error);
+      }
+    }
+
+    return raised;
+  })();
+
+  try {
+    return await processingInProgress;
+  } finally {
+    processingInProgress = null;
+    armCheckInTimer();
+  }
+};
+
+/**
+ * Cancel the open check-ins for a journey, or all of them
+ */
+export const cancelCheckIns = async (journeyId?: number): Promise<void> => {
+  const checkIns = await CheckInModel.getOpenCheckIns(journeyId);
+
+  for (const checkIn of checkIns) {
+    await CheckInModel.updateCheckIn(checkIn.id, { state: 'cancelled' });
+    if (checkIn.route_id) {
+      routeLines.delete(checkIn.route_id);
+    }
+  }
+
+  if (checkIns.length > 0) {
+    notifyListeners(null);
+    armCheckInTimer();
+  }
+};
+
+/**
+ * Get the check-in currently in progress, if any
+ */
+export const getActiveCheckIn = async (): Promise<CheckIn | null> => {
+  const [checkIn] = await CheckInModel.getOpenCheckIns();
+  return checkIn || null;
+};
+
+/**
+ * Work out when a check-in counts as missed: the ETA plus the grace period
+ *
+ * A trip running slow may push the ETA back, but never past twice the
+ * expected duration, so a crawl can't postpone the alert indefinitely.
+ */
+export const getCheckInDeadline = (checkIn: CheckIn, settings: Pick<AppSettings, 'checkInGraceMinutes'>): number => {
+  const latest = checkIn.due_at + checkIn.expected_duration * MAX_ETA_EXTENSION;
+  const expected = Math.min(Math.max(checkIn.due_at, checkIn.eta ?? checkIn.due_at), latest);
+  return expected + settings.checkInGraceMinutes * 60 * 1000;
+};
+
+/**
+ * Subscribe to check-in progress; called with null when the check-in ends
+ * @returns Function to remove the listener
+ */
+export const addCheckInListener = (listener: CheckInListener): (() => void) => {
+  listeners.add(listener);
+  return () => {
+    listeners.delete(listener);
+  };
+};
+
+/**
+ * Catch up on check-ins that were missed while the app was not running
+ */
+export const resumeCheckIns = async (): Promise<void> => {
+  try {
+    await processCheckIns();
+  } catch (error) {
+    console.error('Error resuming check-ins:', error);
+  }
+};
+
+/**
+ * Register the background fetch task that checks check-in deadlines
+ */
+export const registerCheckInBackgroundTask = async (): Promise<boolean> => {
+  try {
+    const isRegistered = await TaskManager.isTaskRegisteredAsync(CHECK_IN_TASK);
+    if (!isRegistered) {
+      await BackgroundFetch.registerTaskAsync(CHECK_IN_TASK, {
+        minimumInterval: 15 * 60, // seconds; the OS may run it less often
+        stopOnTerminate: false,
+        startOnBoot: true
+      });
+    }
+    return true;
+  } catch (error) {
+    console.warn('Error registering check-in background task:', error);
+    return false;
+  }
+};
+
+/**
+ * Build a check-in towards the end of a learned route
+ */
+const planRouteCheckIn = async (
+  journeyId: number,
+  routeId: number,
+  origin: GeoPosition,
+  expectedDuration: number | undefined,
+  now: number
+): Promise<CheckInData> => {
+  const route = await RoutesModel.getRouteWithPoints(routeId);
+  if (!route) {
+    throw new Error(`Route ${routeId} not found`);
+  }
+
+  const line = cacheRouteLine(route);
+  const length = line.cumulative[line.cumulative.length - 1] || 0;
+  const remaining = remainingAlongRoute(line, origin) ?? distanceBetween(origin, route.end_location);
+
+  // Starting part-way along the route leaves only part of the usual trip
+  const duration = expectedDuration ??
+    (route.avg_duration && length > 0 ? route.avg_duration * Math.min(1, remaining / length) : 0);
+
+  return {
+    journey_id: journeyId,
+    route_id: routeId,
+    destination_latitude: route.end_location.latitude,
+    destination_longitude: route.end_location.longitude,
+    destination_name: route.end_location.name || route.name || null,
+    arrival_radius: ARRIVAL_RADIUS,
+    planned_distance: remaining,
+    expected_duration: Math.round(duration),
+    started_at: now,
+    due_at: now + Math.round(duration)
+  };
+};
+
+/**
+ * Estimate the arrival time from the distance left at the planned pace
+ */
+const estimateArrival = async (checkIn: CheckIn, fix: GeoPosition, now: number): Promise<number> => {
+  if (!checkIn.planned_distance || checkIn.expected_duration <= 0) {
+    return checkIn.due_at;
+  }
+
+  const line = checkIn.route_id ? await getRouteLine(checkIn.route_id) : null;
+  const remaining = (line && remainingAlongRoute(line, fix)) ?? distanceBetween(fix, destinationOf(checkIn));
+  const pace = checkIn.expected_duration / checkIn.planned_distance; // ms per meter
+
+  return Math.round(now + remaining * pace);
+};
+
+/**
+ * Raise a missed check-in, or return to waiting once the user says they're fine
+ * @returns The check-in with any changes applied
+ */
+const evaluateCheckIn = async (checkIn: CheckIn, now: number): Promise<CheckIn> => {
+  const settings = await getSettings();
+
+  if (checkIn.state === 'alerting') {
+    const escalation = checkIn.deviation_id ? await EscalationModel.getEscalation(checkIn.deviation_id) : null;
+    if (escalation && escalation.state !== 'resolved') return checkIn;
+
+    // Dismissed: give them another grace period and start timing stops afresh
+    const changes: CheckInUpdate = {
+      state: 'active',
+      due_at: Math.max(checkIn.due_at, now + settings.checkInGraceMinutes * 60 * 1000),
+      anchor_latitude: checkIn.last_latitude,
+      anchor_longitude: checkIn.last_longitude,
+      anchor_since: now
+    };
+    await CheckInModel.updateCheckIn(checkIn.id, changes);
+    return { ...checkIn, ...changes };
+  }
+
+  let kind: DeviationKind | null = null;
+  if (now >= getCheckInDeadline(checkIn, settings)) {
+    kind = 'overdue';
+  } else if (isStationary(checkIn, settings, now)) {
+    kind = 'stationary';
+  }
+
+  if (!kind) return checkIn;
+
+  // An escalation already running for the journey, e.g. a route deviation, covers this
+  const [active] = await EscalationModel.getActiveEscalations(checkIn.journey_id);
+  if (active) return checkIn;
+
+  return raiseMissedCheckIn(checkIn, kind, now);
+};
+
+/**
+ * Check whether the user has stopped moving somewhere other than their destination
+ */
+const isStationary = (checkIn: CheckIn, settings: AppSettings, now: number): boolean => {
+  if (checkIn.anchor_since === null || checkIn.last_latitude === null || checkIn.last_longitude === null) {
+    return false;
+  }
+
+  const stoppedFor = now - checkIn.anchor_since;
+  const distanceToDestination = distanceBetween(
+    { latitude: checkIn.last_latitude, longitude: checkIn.last_longitude },
+    destinationOf(checkIn)
+  );
+
+  return stoppedFor >= settings.stationaryAlertMinutes * 60 * 1000 &&
+         distanceToDestination >= STATIONARY_MIN_DISTANCE;
+};
+
+/**
+ * Record a missed check-in as a deviation and escalate it
+ */
+const raiseMissedCheckIn = async (checkIn: CheckIn, kind: DeviationKind, now: number): Promise<CheckIn> => {
+  const position = checkIn.last_latitude !== null && checkIn.last_longitude !== null
+    ? { latitude: checkIn.last_latitude, longitude: checkIn.last_longitude }
+    : destinationOf(checkIn);
+  const distance = distanceBetween(position, destinationOf(checkIn));
+
+  const deviationId = await JourneysModel.recordDeviation(checkIn.journey_id, {
+    kind,
+    latitude: position.latitude,
+    longitude: position.longitude,
+    timestamp: now,
+    deviation_distance: distance,
+    alert_sent: false
+  });
+
+  const changes: CheckInUpdate = { state: 'alerting', deviation_id: deviationId };
+  await CheckInModel.updateCheckIn(checkIn.id, changes);
+
+  const deviationData: DeviationData = {
+    deviationId,
+    journeyId: checkIn.journey_id,
+    routeId: checkIn.route_id ?? undefined,
+    kind,
+    distance,
+    latitude: position.latitude,
+    longitude: position.longitude,
+    destinationName: checkIn.destination_name,
+    expectedAt: checkIn.due_at
+  };
+
+  const alertResult = await handleDeviation(deviationData, AlertSeverity.MEDIUM);
+  if (!alertResult.success) {
+    console.warn(`Failed to escalate missed check-in ID ${checkIn.id}:`, alertResult.error);
+  }
+
+  return { ...checkIn, ...changes };
+};
+
+/**
+ * Close a check-in on arrival and give everyone the all-clear
+ */
+const completeArrival = async (checkIn: CheckIn, fix: CheckInFix): Promise<CheckInArrival> => {
+  closingCheckIns.add(checkIn.id);
+
+  try {
+    const now = Date.now();
+    const closed: CheckInUpdate = {
+      state: 'arrived',
+      arrived_at: now,
+      eta: now,
+      last_latitude: fix.latitude,
+      last_longitude: fix.longitude,
+      last_fix_at: fix.timestamp || now
+    };
+    await CheckInModel.updateCheckIn(checkIn.id, closed);
+
+    // Arriving answers any alert still running for the trip
+    for (const escalation of await EscalationModel.getActiveEscalations(checkIn.journey_id)) {
+      await resolveEscalation(escalation.deviation_id, 'User arrived at their destination');
+    }
+
+    // Contacts who were alerted always hear the user is safe
+    const recipients = new Map<number, Contact>();
+    if (checkIn.notify_contacts) {
+      for (const contact of await ContactsModel.getActiveContacts()) {
+        recipients.set(contact.id, contact);
+      }
+    }
+    for (const contact of await ContactsModel.getAlertedContacts(checkIn.journey_id, checkIn.started_at)) {
+      recipients.set(contact.id, contact);
+    }
+
+    const arrival: ArrivalData = {
+      journeyId: checkIn.journey_id,
+      routeId: checkIn.route_id ?? undefined,
+      destinationName: checkIn.destination_name,
+      latitude: fix.latitude,
+      longitude: fix.longitude
+    };
+
+    let contactsNotified = 0;
+    try {
+      contactsNotified = await notifyContactsOfArrival(arrival, [...recipients.values()], checkIn.deviation_id);
+      await CheckInModel.updateCheckIn(checkIn.id, { contacts_notified: contactsNotified });
+    } catch (error) {
+      console.error(`Error sending arrival messages for check-in ID ${checkIn.id}:`, error);
+    }
+
+    notifyUserOfArrival(arrival, contactsNotified).catch(error => {
+      console.warn('Error notifying user of arrival:', error);
+    });
+
+    if (checkIn.route_id) {
+      routeLines.delete(checkIn.route_id);
+    }
+
+    notifyListeners(null);
+    armCheckInTimer();
+
+    return {
+      checkIn: { ...checkIn, ...closed, contacts_notified: contactsNotified },
+      contactsNotified
+    };
+  } finally {
+    closingCheckIns.delete(checkIn.id);
+  }
+};
+
+/**
+ * Distance left along a route from the closest point on it
+ * @returns Meters to the route's end, or null when too far off the route to tell
+ */
+const remainingAlongRoute = (line: RouteLine, position: GeoPosition): number | null => {
+  const projection = projectOntoPolyline(position, line.points);
+  if (!projection || projection.distance > ON_ROUTE_TOLERANCE) return null;
+
+  const length = line.cumulative[line.cumulative.length - 1] || 0;
+  return Math.max(0, length - projection.alongTrack);
+};
+
+/**
+ * Get a route's line, loading it if it isn't cached
+ */
+const getRouteLine = async (routeId: number): Promise<RouteLine | null> => {
+  const cached = routeLines.get(routeId);
+  if (cached) return cached;
+
+  const route = await RoutesModel.getRouteWithPoints(routeId);
+  return route ? cacheRouteLine(route) : null;
+};
+
+/**
+ * Cache a route's line and cumulative distances for progress estimates
+ */
+const cacheRouteLine = (route: Route): RouteLine => {
+  const points = route.points || [];
+  const line = { points, cumulative: cumulativeDistances(points) };
+  routeLines.set(route.id!, line);
+  return line;
+};
+
+/**
+ * Get a check-in's destination as a position
+ */
+const destinationOf = (checkIn: CheckIn): GeoPosition => ({
+  latitude: checkIn.destination_latitude,
+  longitude: checkIn.destination_longitude
+});
+
+/**
+ * Distance in meters between two positions
+ */
+const distanceBetween = (a: GeoPosition, b: GeoPosition): number =>
+  haversineDistance(a.latitude, a.longitude, b.latitude, b.longitude);
+
+/**
+ * Schedule an in-app timer for the next check-in deadline or stop alert
+ *
+ * Timers don't survive the app being killed; the background fetch task,
+ * location updates and resumeCheckIns() pick up anything that was missed.
+ */
+const armCheckInTimer = async (): Promise<void> => {
+  try {
+    if (checkInTimer) {
+      clearTimeout(checkInTimer);
+      checkInTimer = null;
+    }
+
+    const settings = await getSettings();
+    const checkIns = await CheckInModel.getOpenCheckIns();
+    const now = Date.now();
+    const times: number[] = [];
+
+    // Alerting check-ins wait on their escalation, which the user answers
+    for (const checkIn of checkIns.filter(open => open.state === 'active')) {
+      times.push(getCheckInDeadline(checkIn, settings));
+      if (checkIn.anchor_since !== null) {
+        times.push(checkIn.anchor_since + settings.stationaryAlertMinutes * 60 * 1000);
+      }
+    }
+
+    // Times already passed were held back (e.g. by another escalation) and are rechecked on the next fix
+    const upcoming = times.filter(time => time > now);
+    if (upcoming.length === 0) return;
+
+    const nextCheckAt = Math.min(...upcoming);
+
+    checkInTimer = setTimeout(() => {
+      checkInTimer = null;
+      processCheckIns().catch(error => {
+        console.error('Error processing check-ins:', error);
+      });
+    }, Math.max(0, nextCheckAt - Date.now()));
+  } catch (error) {
+    console.warn('Error scheduling check-in timer:', error);
+  }
+};
+
+/**
+ * Broadcast check-in progress to all subscribers
+ */
+const notifyListeners = (checkIn: CheckIn | null): void => {
+  listeners.forEach(listener => {
+    try {
+      listener(checkIn);
+    } catch (error) {
+      console.warn('Error in check-in listener:', error);
+    }
+  });
+};
+
+export default {
+  startCheckIn,
+  monitorCheckIn,
+  processCheckIns,
+  cancelCheckIns,
+  getActiveCheckIn,
+  getCheckInDeadline,
+  addCheckInListener,
+  resumeCheckIns,
+  registerCheckInBackgroundTask
+};
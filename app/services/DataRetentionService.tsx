@@ -1,79 +1,122 @@
 import database from '../database/database';
+import { CleanupHistoryModel, CleanupHistoryEntry, CleanupReason } from '../database/models';
+import { getSettings, AppSettings } from './SettingsService';
 
 /**
  * SafeTack Data Retention Service
- * Handles cleaning up old data to keep database size manageable
+ * Applies the user's retention settings to stored data to keep history and database size in check
+ *
+ * Each rule removes (or thins out) one kind of data once it is older than the
+ * number of days in a setting. Journeys on learned routes are kept longer than
+ * others, but their points are thinned out like every other journey's, so route
+ * history stays without keeping every fix. Every run is logged in CleanupHistory.
  */
 
-interface RetentionPeriods {
-  journeyPoints: number;
-  journeys: number;
-  deviationEvents: number;
-  alertEvents: number;
+// Settings holding how many days each kind of data is kept
+export type RetentionPeriodKey = 'fullDetailDays' | 'dataRetentionDays' | 'routeHistoryDays' | 'alertHistoryDays';
+
+export type RetentionPeriods = Pick<AppSettings, RetentionPeriodKey>;
+
+interface RetentionRule {
+  name: string;                 // key of the rule's count in CleanupResult and the history
+  period: RetentionPeriodKey;
+  apply: (cutoffTime: number) => Promise<number>;
 }
 
-interface CleanupResult {
+export interface CleanupResult {
   success: boolean;
-  journeyPointsDeleted?: number;
-  journeysDeleted?: number;
-  deviationEventsDeleted?: number;
-  alertEventsDeleted?: number;
+  counts: Record<string, number>;
   error?: string;
   timestamp: number;
 }
 
-// Default data retention periods (in milliseconds)
-const DEFAULT_RETENTION_PERIODS: RetentionPeriods = {
-  journeyPoints: 30 * 24 * 60 * 60 * 1000, // 30 days
-  journeys: 90 * 24 * 60 * 60 * 1000,      // 90 days
-  deviationEvents: 90 * 24 * 60 * 60 * 1000, // 90 days
-  alertEvents: 90 * 24 * 60 * 60 * 1000    // 90 days
+// Configuration constants
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DOWNSAMPLE_INTERVAL = 30 * 1000;       // thinned journeys keep one point per 30 seconds
+const CLEANUP_INTERVAL = 24 * 60 * 60 * 1000; // how often scheduled cleanup runs
+const CLEANUP_HISTORY_LIMIT = 30;            // runs kept in the history
+
+// Service state
+let activeCleanup: Promise<CleanupResult> | null = null;
+
+/**
+ * Get how many days each kind of data is kept, from the user's settings
+ */
+export const getRetentionPeriods = async (): Promise<RetentionPeriods> => {
+  const { fullDetailDays, dataRetentionDays, routeHistoryDays, alertHistoryDays } = await getSettings();
+  return { fullDetailDays, dataRetentionDays, routeHistoryDays, alertHistoryDays };
 };
 
 /**
- * Clean up old journey points that exceed retention period
- * @param retentionPeriod Time in milliseconds to keep journey points
- * @returns Number of deleted points
+ * Thin out the points of completed journeys that ended before the cutoff
+ *
+ * Keeps the first point in each 30 second window, the journey's last point and
+ * the points where its transportation mode changed.
+ * @returns Number of points removed
  */
-export const cleanupJourneyPoints = async (retentionPeriod = DEFAULT_RETENTION_PERIODS.journeyPoints): Promise<number> => {
+export const downsampleJourneyPoints = async (cutoffTime: number): Promise<number> => {
   try {
-    const cutoffTime = Date.now() - retentionPeriod;
-    
-    // Delete journey points older than cutoff time
-    const result = await database.executeQuery(
-      `DELETE FROM JourneyPoints
-       WHERE timestamp < ?
-       AND journey_id IN (
-         SELECT id FROM Journeys
-         WHERE end_time IS NOT NULL
-       )`,
+    const journeys = await database.executeQuery(
+      `SELECT id FROM Journeys
+       WHERE end_time IS NOT NULL
+       AND end_time < ?
+       AND downsampled_at IS NULL`,
       [cutoffTime]
     );
-    
-    return result.rowsAffected;
+
+    let removed = 0;
+
+    for (const { id } of journeys.rows._array) {
+      removed += await database.withTransaction(async tx => {
+        const result = await tx.executeQuery(
+          `DELETE FROM JourneyPoints
+           WHERE journey_id = ?
+           AND id NOT IN (
+             SELECT MIN(id) FROM JourneyPoints
+             WHERE journey_id = ?
+             GROUP BY CAST(timestamp / ${DOWNSAMPLE_INTERVAL} AS INTEGER)
+           )
+           AND sequence_number NOT IN (
+             SELECT COALESCE(MAX(sequence_number), -1) FROM JourneyPoints WHERE journey_id = ?
+             UNION SELECT start_sequence FROM JourneySegments WHERE journey_id = ?
+             UNION SELECT end_sequence FROM JourneySegments WHERE journey_id = ?
+           )`,
+          [id, id, id, id, id]
+        );
+
+        await tx.executeQuery(
+          'UPDATE Journeys SET downsampled_at = ? WHERE id = ?',
+          [Date.now(), id]
+        );
+
+        return result.rowsAffected;
+      });
+    }
+
+    return removed;
   } catch (error) {
-    console.error('Error cleaning up journey points:', error);
+    console.error('Error thinning out journey points:', error);
     throw error;
   }
 };
 
 /**
- * Clean up old journeys that exceed retention period
- * @param retentionPeriod Time in milliseconds to keep journeys
+ * Delete completed journeys that ended before the cutoff, with their points, deviations and check-ins
+ * @param onLearnedRoute Delete journeys matched to a learned route, rather than those that weren't
  * @returns Number of deleted journeys
  */
-export const cleanupJourneys = async (retentionPeriod = DEFAULT_RETENTION_PERIODS.journeys): Promise<number> => {
+export const cleanupJourneys = async (cutoffTime: number, onLearnedRoute: boolean): Promise<number> => {
   try {
-    const cutoffTime = Date.now() - retentionPeriod;
-    
-    // Delete journeys older than cutoff time and not part of a route
     const result = await database.executeQuery(
       `DELETE FROM Journeys
-       WHERE end_time < ?
-       AND (matched_route_id IS NULL OR matched_route_id = 0)`,
+       WHERE end_time IS NOT NULL
+       AND end_time < ?
+       AND ${onLearnedRoute
+         ? '(matched_route_id IS NOT NULL AND matched_route_id <> 0)'
+         : '(matched_route_id IS NULL OR matched_route_id = 0)'}`,
       [cutoffTime]
     );
-    
+
     return result.rowsAffected;
   } catch (error) {
     console.error('Error cleaning up journeys:', error);
@@ -82,21 +125,19 @@ export const cleanupJourneys = async (retentionPeriod = DEFAULT_RETENTION_PERIOD
 };
 
 /**
- * Clean up old deviation events that exceed retention period
- * @param retentionPeriod Time in milliseconds to keep deviation events
+ * Delete deviation events recorded before the cutoff, with their alerts and escalations
  * @returns Number of deleted events
  */
-export const cleanupDeviationEvents = async (retentionPeriod = DEFAULT_RETENTION_PERIODS.deviationEvents): Promise<number> => {
+export const cleanupDeviationEvents = async (cutoffTime: number): Promise<number> => {
   try {
-    const cutoffTime = Date.now() - retentionPeriod;
-    
-    // Delete deviation events older than cutoff time
+    // An open escalation still needs its deviation, however old
     const result = await database.executeQuery(
       `DELETE FROM DeviationEvents
-       WHERE timestamp < ?`,
+       WHERE timestamp < ?
+       AND id NOT IN (SELECT deviation_id FROM Escalations WHERE state <> 'resolved')`,
       [cutoffTime]
     );
-    
+
     return result.rowsAffected;
   } catch (error) {
     console.error('Error cleaning up deviation events:', error);
@@ -105,21 +146,17 @@ export const cleanupDeviationEvents = async (retentionPeriod = DEFAULT_RETENTION
 };
 
 /**
- * Clean up old alert events that exceed retention period
- * @param retentionPeriod Time in milliseconds to keep alert events
+ * Delete alert events sent before the cutoff, with their deliveries
  * @returns Number of deleted events
  */
-export const cleanupAlertEvents = async (retentionPeriod = DEFAULT_RETENTION_PERIODS.alertEvents): Promise<number> => {
+export const cleanupAlertEvents = async (cutoffTime: number): Promise<number> => {
   try {
-    const cutoffTime = Date.now() - retentionPeriod;
-    
-    // Delete alert events older than cutoff time
     const result = await database.executeQuery(
       `DELETE FROM AlertEvents
        WHERE timestamp < ?`,
       [cutoffTime]
     );
-    
+
     return result.rowsAffected;
   } catch (error) {
     console.error('Error cleaning up alert events:', error);
@@ -128,65 +165,150 @@ export const cleanupAlertEvents = async (retentionPeriod = DEFAULT_RETENTION_PER
 };
 
 /**
- * Run a comprehensive cleanup of all old data
- * @param retentionPeriods Custom retention periods (optional)
- * @returns Summary of cleanup results
+ * Delete live shares that closed before the cutoff
+ * @returns Number of deleted shares
  */
-export const runComprehensiveCleanup = async (retentionPeriods = DEFAULT_RETENTION_PERIODS): Promise<CleanupResult> => {
+export const cleanupLiveShares = async (cutoffTime: number): Promise<number> => {
   try {
-    // Run cleanup operations in sequence
-    const journeyPointsDeleted = await cleanupJourneyPoints(retentionPeriods.journeyPoints);
-    const journeysDeleted = await cleanupJourneys(retentionPeriods.journeys);
-    const deviationEventsDeleted = await cleanupDeviationEvents(retentionPeriods.deviationEvents);
-    const alertEventsDeleted = await cleanupAlertEvents(retentionPeriods.alertEvents);
-    
-    // Run VACUUM to reclaim space
-    await database.executeQuery('VACUUM');
-    
-    return {
-      success: true,
-      journeyPointsDeleted,
-      journeysDeleted,
-      deviationEventsDeleted,
-      alertEventsDeleted,
-      timestamp: Date.now()
-    };
+    const result = await database.executeQuery(
+      `DELETE FROM LiveShares
+       WHERE closed_at IS NOT NULL
+       AND closed_at < ?
+       AND close_published = 1`,
+      [cutoffTime]
+    );
+
+    return result.rowsAffected;
   } catch (error) {
-    console.error('Error running comprehensive cleanup:', error);
-    return {
-      success: false,
-      error: error instanceof Error ? error.message : String(error),
-      timestamp: Date.now()
-    };
+    console.error('Error cleaning up live shares:', error);
+    throw error;
+  }
+};
+
+// Applied in order; a journey deleted by a later rule may be thinned first, which is harmless
+const RETENTION_RULES: RetentionRule[] = [
+  { name: 'journeyPointsThinned', period: 'fullDetailDays', apply: downsampleJourneyPoints },
+  { name: 'journeysDeleted', period: 'dataRetentionDays', apply: cutoff => cleanupJourneys(cutoff, false) },
+  { name: 'routeJourneysDeleted', period: 'routeHistoryDays', apply: cutoff => cleanupJourneys(cutoff, true) },
+  { name: 'deviationEventsDeleted', period: 'alertHistoryDays', apply: cleanupDeviationEvents },
+  { name: 'alertEventsDeleted', period: 'alertHistoryDays', apply: cleanupAlertEvents },
+  { name: 'liveSharesDeleted', period: 'dataRetentionDays', apply: cleanupLiveShares }
+];
+
+/**
+ * Apply every retention rule and log the run
+ * @param reason What started the run, for the history
+ * @param customPeriods Days to keep each kind of data (optional, defaults to settings)
+ * @returns Rows removed by each rule
+ */
+export const runComprehensiveCleanup = (
+  reason: CleanupReason = 'manual',
+  customPeriods?: Partial<RetentionPeriods>
+): Promise<CleanupResult> => {
+  // A scheduled run and a manual one may overlap
+  if (!activeCleanup) {
+    activeCleanup = runRules(reason, customPeriods).finally(() => {
+      activeCleanup = null;
+    });
   }
+  return activeCleanup;
+};
+
+/**
+ * Get the most recent cleanup runs, newest first
+ */
+export const getCleanupHistory = (limit: number = 10): Promise<CleanupHistoryEntry[]> => {
+  return CleanupHistoryModel.getHistory(limit);
 };
 
 /**
- * Schedule periodic cleanup based on specified interval
+ * Run cleanup now if the last run is a day old, then once a day while the app is open
  * @param intervalMs Time in milliseconds between cleanups
  * @returns Function to cancel the scheduled cleanup
  */
-export const schedulePeriodicCleanup = (intervalMs = 24 * 60 * 60 * 1000): () => void => { // Default: daily
-  const interval = setInterval(async () => {
+export const schedulePeriodicCleanup = (intervalMs = CLEANUP_INTERVAL): () => void => { // Default: daily
+  const runScheduled = async () => {
     try {
       console.log('Running scheduled data cleanup');
-      await runComprehensiveCleanup();
-      console.log('Scheduled data cleanup completed');
+      const result = await runComprehensiveCleanup('scheduled');
+      console.log('Scheduled data cleanup completed', result.counts);
     } catch (error) {
       console.error('Error in scheduled data cleanup:', error);
     }
-  }, intervalMs);
-  
+  };
+
+  // The app is rarely open for a whole day, so catch up on launch
+  CleanupHistoryModel.getLastSuccess()
+    .then(last => {
+      if (!last || Date.now() - last.started_at >= intervalMs) {
+        return runScheduled();
+      }
+    })
+    .catch(error => {
+      console.error('Error checking last data cleanup:', error);
+    });
+
+  const interval = setInterval(runScheduled, intervalMs);
+
   // Return function to cancel the interval
   return () => clearInterval(interval);
 };
 
+/**
+ * Apply each rule with its cutoff, record the counts and reclaim the freed space
+ */
+const runRules = async (reason: CleanupReason, customPeriods?: Partial<RetentionPeriods>): Promise<CleanupResult> => {
+  const startedAt = Date.now();
+  const counts: Record<string, number> = {};
+  let historyId: number | null = null;
+
+  try {
+    historyId = await CleanupHistoryModel.start(reason, startedAt);
+    const periods = { ...await getRetentionPeriods(), ...customPeriods };
+
+    for (const rule of RETENTION_RULES) {
+      counts[rule.name] = await rule.apply(startedAt - periods[rule.period] * DAY_MS);
+    }
+
+    if (Object.values(counts).some(count => count > 0)) {
+      await database.vacuum();
+    }
+
+    await CleanupHistoryModel.finish(historyId, true, counts);
+    await CleanupHistoryModel.prune(CLEANUP_HISTORY_LIMIT);
+
+    return {
+      success: true,
+      counts,
+      timestamp: Date.now()
+    };
+  } catch (error) {
+    console.error('Error running comprehensive cleanup:', error);
+    const message = error instanceof Error ? error.message : String(error);
+
+    if (historyId !== null) {
+      await CleanupHistoryModel.finish(historyId, false, counts, message).catch(err => {
+        console.warn('Error recording failed cleanup:', err);
+      });
+    }
+
+    return {
+      success: false,
+      counts,
+      error: message,
+      timestamp: Date.now()
+    };
+  }
+};
+
 export default {
-  cleanupJourneyPoints,
+  downsampleJourneyPoints,
   cleanupJourneys,
   cleanupDeviationEvents,
   cleanupAlertEvents,
+  cleanupLiveShares,
   runComprehensiveCleanup,
+  getCleanupHistory,
   schedulePeriodicCleanup,
-  DEFAULT_RETENTION_PERIODS
+  getRetentionPeriods
 };
\ No newline at end of file
@@ -0,0 +1,461 @@
+import * as TaskManager from 'expo-task-manager';
+import * as BackgroundFetch from 'expo-background-fetch';
+import {
+  ContactsModel,
+  Contact,
+  EscalationModel,
+  Escalation,
+  CheckInModel,
+  JourneysModel,
+  FALSE_ALARM_RESPONSE
+} from '../database/models';
+import database from '../database/database';
+import {
+  notifyUser,
+  alertEmergencyContacts,
+  AlertSeverity,
+  AlertResponse,
+  DeviationData,
+  LiveShareLink
+} from './AlertService';
+import { getEffectiveSettings } from './SettingsService';
+import { shareForEscalation, getLiveShareUrl } from './LiveShareService';
+
+/**
+ * SafeTack Escalation Service
+ * Persisted workflow that escalates unanswered deviations to emergency contacts
+ *
+ * pending → user_notified → snoozed → escalated_tier_N → resolved
+ *
+ * Each tier is one contact priority level, alerted in ascending priority order.
+ * State lives in the database so escalations resume after the app is killed.
+ */
+
+// Background task name
+const ESCALATION_CHECK_TASK = 'deviation-escalation-check';
+
+// Configuration constants
+export const SNOOZE_DURATION = 15 * 60 * 1000; // 15 minutes
+const NO_CONTACTS_RETRY_DELAY = 5 * 60 * 1000; // Check again in case contacts are added
+
+// Service state
+let escalationTimer: ReturnType<typeof setTimeout> | null = null;
+let processingInProgress: Promise<number> | null = null;
+
+/**
+ * Advance due escalations from a background fetch when the app is not running
+ */
+TaskManager.defineTask(ESCALATION_CHECK_TASK, async () => {
+  try {
+    const processed = await processDueEscalations();
+    return processed > 0
+      ? BackgroundFetch.BackgroundFetchResult.NewData
+      : BackgroundFetch.BackgroundFetchResult.NoData;
+  } catch (error) {
+    console.error('Error checking escalations in background:', error);
+    return BackgroundFetch.BackgroundFetchResult.Failed;
+  }
+});
+
+/**
+ * Handle a route deviation by starting its escalation
+ */
+export const handleDeviation = async (deviationData: DeviationData, severity: AlertSeverity = AlertSeverity.MEDIUM): Promise<AlertResponse> => {
+  try {
+    // One escalation per journey at a time, so contacts aren't alerted for every excursion;
+    // a duress unlock is never held back by one already running
+    const [active] = await EscalationModel.getActiveEscalations(deviationData.journeyId);
+    if (active && deviationData.kind !== 'duress') {
+      return {
+        success: true,
+        alertLevel: active.state
+      };
+    }
+
+    // Mark deviation as having alert sent
+    await database.executeQuery(
+      'UPDATE DeviationEvents SET alert_sent = 1 WHERE id = ?',
+      [deviationData.deviationId]
+    );
+
+    let escalation = await EscalationModel.createEscalation(
+      deviationData.deviationId,
+      deviationData.journeyId,
+      deviationData.routeId ?? null,
+      severity
+    );
+
+    // For LOW severity, just notify the user
+    if (severity === AlertSeverity.LOW) {
+      const notificationId = await notifyUser(deviationData, false);
+      escalation = await EscalationModel.transition(escalation, 'user_notified', {
+        reason: 'User notified of minor deviation'
+      });
+      await EscalationModel.transition(escalation, 'resolved', {
+        reason: 'Low severity; no response required'
+      });
+
+      return {
+        success: true,
+        alertLevel: 'user',
+        notificationId
+      };
+    }
+
+    // For MEDIUM severity, notify user and wait for a response
+    if (severity === AlertSeverity.MEDIUM) {
+      const notificationId = await notifyAndAwaitResponse(escalation, deviationData, 'Deviation detected');
+
+      return {
+        success: true,
+        alertLevel: 'user_with_timeout',
+        notificationId
+      };
+    }
+
+    // For HIGH severity, immediately start alerting emergency contacts
+    if (severity === AlertSeverity.HIGH) {
+      // Whoever forced the duress unlock may be watching the screen
+      const notificationId = deviationData.kind === 'duress'
+        ? undefined
+        : await notifyUser(deviationData, false);
+      await escalateToNextTier(escalation, deviationData, 'High severity deviation');
+
+      return {
+        success: true,
+        alertLevel: 'emergency',
+        notificationId
+      };
+    }
+
+    return {
+      success: false,
+      error: 'Invalid severity level'
+    };
+  } catch (error: any) {
+    console.error('Error handling deviation alert:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  } finally {
+    armEscalationTimer();
+  }
+};
+
+/**
+ * Handle user response to a deviation notification
+ */
+export const handleDeviationResponse = async (deviationId: number, response: string): Promise<boolean> => {
+  try {
+    // Keep the user's latest response on the deviation record, unless they have since called it a false alarm
+    await database.executeQuery(
+      `UPDATE DeviationEvents SET user_response = ?
+       WHERE id = ? AND IFNULL(user_response, '') != ?`,
+      [response, deviationId, FALSE_ALARM_RESPONSE]
+    );
+
+    const escalation = await EscalationModel.getEscalation(deviationId);
+    if (!escalation || escalation.state === 'resolved') return true;
+
+    switch (response) {
+      case 'dismissed':
+        await EscalationModel.transition(escalation, 'resolved', {
+          reason: 'User dismissed the alert'
+        });
+        break;
+
+      case 'snoozed':
+        await EscalationModel.transition(escalation, 'snoozed', {
+          nextActionAt: Date.now() + SNOOZE_DURATION,
+          reason: 'User snoozed for 15 minutes'
+        });
+        break;
+
+      case 'confirm': {
+        const deviationData = await loadDeviationData(escalation);
+        if (deviationData) {
+          await escalateToNextTier(escalation, deviationData, 'User asked for help');
+        }
+        break;
+      }
+
+      default:
+        // Opening the app is not an answer, so the escalation carries on
+        break;
+    }
+
+    armEscalationTimer();
+    return true;
+  } catch (error) {
+    console.error('Error handling deviation response:', error);
+    return false;
+  }
+};
+
+/**
+ * Resolve a deviation's escalation, e.g. when it turns out to be a false alarm
+ */
+export const resolveEscalation = async (deviationId: number, reason: string): Promise<boolean> => {
+  try {
+    const escalation = await EscalationModel.getEscalation(deviationId);
+    if (!escalation || escalation.state === 'resolved') return false;
+
+    await EscalationModel.transition(escalation, 'resolved', { reason });
+    armEscalationTimer();
+    return true;
+  } catch (error) {
+    console.error(`Error resolving escalation for deviation ID ${deviationId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Run the next step of every escalation that is due
+ * @returns Number of escalations advanced
+ */
+export const processDueEscalations = async (): Promise<number> => {
+  // Timer, background fetch and location task may all fire together
+  if (processingInProgress) return processingInProgress;
+
+  processingInProgress = (async () => {
+    const due = await EscalationModel.getDueEscalations();
+
+    for (const escalation of due) {
+      try {
+        await advanceEscalation(escalation);
+      } catch (error) {
+        console.error(`Error advancing escalation for deviation ID ${escalation.deviation_id}:`, error);
+      }
+    }
+
+    return due.length;
+  })();
+
+  try {
+    return await processingInProgress;
+  } finally {
+    processingInProgress = null;
+    armEscalationTimer();
+  }
+};
+
+/**
+ * Catch up on escalations that fell due while the app was not running
+ */
+export const resumeEscalations = async (): Promise<void> => {
+  try {
+    await processDueEscalations();
+  } catch (error) {
+    console.error('Error resuming escalations:', error);
+  }
+};
+
+/**
+ * Register the background fetch task that advances escalations
+ */
+export const registerEscalationBackgroundTask = async (): Promise<boolean> => {
+  try {
+    const isRegistered = await TaskManager.isTaskRegisteredAsync(ESCALATION_CHECK_TASK);
+    if (!isRegistered) {
+      await BackgroundFetch.registerTaskAsync(ESCALATION_CHECK_TASK, {
+        minimumInterval: 15 * 60, // seconds; the OS may run it less often
+        stopOnTerminate: false,
+        startOnBoot: true
+      });
+    }
+    return true;
+  } catch (error) {
+    console.warn('Error registering escalation background task:', error);
+    return false;
+  }
+};
+
+/**
+ * Run the step that follows an escalation's current state
+ */
+const advanceEscalation = async (escalation: Escalation): Promise<void> => {
+  const deviationData = await loadDeviationData(escalation);
+  if (!deviationData) {
+    await EscalationModel.transition(escalation, 'resolved', {
+      reason: 'Deviation record no longer exists'
+    });
+    return;
+  }
+
+  if (escalation.state === 'pending' && deviationData.kind === 'duress') {
+    // Interrupted before contacts were alerted; the user is never asked
+    await escalateToNextTier(escalation, deviationData, 'Resumed after restart');
+  } else if (escalation.state === 'pending') {
+    // Interrupted before the user was told
+    await notifyAndAwaitResponse(escalation, deviationData, 'Resumed after restart');
+  } else if (escalation.state === 'snoozed' && escalation.tier === 0) {
+    await notifyAndAwaitResponse(escalation, deviationData, 'Snooze ended');
+  } else if (escalation.state === 'snoozed') {
+    await escalateToNextTier(escalation, deviationData, 'Snooze ended');
+  } else if (escalation.state === 'user_notified') {
+    await escalateToNextTier(escalation, deviationData, 'No response from user');
+  } else {
+    await escalateToNextTier(escalation, deviationData, `No response after tier ${escalation.tier}`);
+  }
+};
+
+/**
+ * Notify the user and give them the configured time to respond
+ */
+const notifyAndAwaitResponse = async (
+  escalation: Escalation,
+  deviationData: DeviationData,
+  reason: string
+): Promise<string> => {
+  const notificationId = await notifyUser(deviationData, true);
+  const { alertTimeout } = await getEffectiveSettings(escalation.route_id);
+
+  await EscalationModel.transition(escalation, 'user_notified', {
+    nextActionAt: Date.now() + alertTimeout * 1000,
+    reason
+  });
+
+  return notificationId;
+};
+
+/**
+ * Alert the next contact priority tier and schedule the one after it
+ */
+const escalateToNextTier = async (
+  escalation: Escalation,
+  deviationData: DeviationData,
+  reason: string
+): Promise<void> => {
+  const tiers = await getContactTiers();
+  const nextTier = escalation.tier + 1;
+
+  if (tiers.length === 0) {
+    console.warn('No emergency contacts available to alert');
+    await EscalationModel.reschedule(escalation.deviation_id, Date.now() + NO_CONTACTS_RETRY_DELAY);
+    return;
+  }
+
+  // Every tier has already been alerted
+  if (nextTier > tiers.length) {
+    if (escalation.state === `escalated_tier_${escalation.tier}`) {
+      await EscalationModel.reschedule(escalation.deviation_id, null);
+    } else {
+      await EscalationModel.transition(escalation, `escalated_tier_${escalation.tier}`, {
+        reason: `${reason}; all contacts already alerted`
+      });
+    }
+    return;
+  }
+
+  const tierContacts = tiers[nextTier - 1];
+  const liveShare = await openLiveShare(deviationData);
+  await alertEmergencyContacts({ ...deviationData, liveShare }, tierContacts);
+
+  const { escalationTierDelay } = await getEffectiveSettings(escalation.route_id);
+  const hasMoreTiers = nextTier < tiers.length;
+
+  await EscalationModel.transition(escalation, `escalated_tier_${nextTier}`, {
+    tier: nextTier,
+    nextActionAt: hasMoreTiers ? Date.now() + escalationTierDelay * 1000 : null,
+    reason: `${reason}; alerted ${tierContacts.map(contact => contact.name).join(', ')}`
+  });
+};
+
+/**
+ * Open (or reuse) a live share for contacts to follow the user on
+ * @returns The link, or null if the journey has ended or sharing failed
+ */
+const openLiveShare = async (deviationData: DeviationData): Promise<LiveShareLink | null> => {
+  try {
+    const share = await shareForEscalation(deviationData.journeyId, deviationData.deviationId);
+    return share ? { url: getLiveShareUrl(share.token), expiresAt: share.expires_at } : null;
+  } catch (error) {
+    // The alert still carries the last known location
+    console.warn('Error opening live share for escalation:', error);
+    return null;
+  }
+};
+
+/**
+ * Group active contacts into tiers by priority (1 = first)
+ */
+const getContactTiers = async (): Promise<Contact[][]> => {
+  const contacts = await ContactsModel.getActiveContacts();
+  const tiers = new Map<number, Contact[]>();
+
+  for (const contact of contacts) {
+    const priority = contact.priority ?? Number.MAX_SAFE_INTEGER;
+    tiers.set(priority, [...(tiers.get(priority) || []), contact]);
+  }
+
+  return [...tiers.keys()]
+    .sort((a, b) => a - b)
+    .map(priority => tiers.get(priority)!);
+};
+
+/**
+ * Rebuild the alert payload for an escalation from its deviation record
+ */
+const loadDeviationData = async (escalation: Escalation): Promise<DeviationData | null> => {
+  const deviation = await JourneysModel.getDeviation(escalation.deviation_id);
+  if (!deviation) return null;
+
+  const deviationData: DeviationData = {
+    deviationId: escalation.deviation_id,
+    journeyId: escalation.journey_id,
+    routeId: escalation.route_id ?? undefined,
+    kind: deviation.kind || 'deviation',
+    distance: deviation.deviation_distance,
+    latitude: deviation.latitude,
+    longitude: deviation.longitude
+  };
+
+  // Missed check-ins tell contacts where the user was heading and by when
+  if (deviationData.kind === 'overdue' || deviationData.kind === 'stationary') {
+    const checkIn = await CheckInModel.getCheckInForDeviation(escalation.deviation_id);
+    if (checkIn) {
+      deviationData.destinationName = checkIn.destination_name;
+      deviationData.expectedAt = checkIn.due_at;
+    }
+  }
+
+  return deviationData;
+};
+
+/**
+ * Schedule an in-app timer for the earliest pending escalation step
+ *
+ * Timers don't survive the app being killed; the background fetch task and
+ * resumeEscalations() pick up anything that was missed.
+ */
+const armEscalationTimer = async (): Promise<void> => {
+  try {
+    const nextActionAt = await EscalationModel.getNextActionTime();
+
+    if (escalationTimer) {
+      clearTimeout(escalationTimer);
+      escalationTimer = null;
+    }
+
+    if (nextActionAt === null) return;
+
+    escalationTimer = setTimeout(() => {
+      escalationTimer = null;
+      processDueEscalations().catch(error => {
+        console.error('Error processing escalations:', error);
+      });
+    }, Math.max(0, nextActionAt - Date.now()));
+  } catch (error) {
+    console.warn('Error scheduling escalation timer:', error);
+  }
+};
+
+export default {
+  handleDeviation,
+  handleDeviationResponse,
+  resolveEscalation,
+  processDueEscalations,
+  resumeEscalations,
+  registerEscalationBackgroundTask
+};
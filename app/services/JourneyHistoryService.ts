@@ -0,0 +1,149 @@
+import {
+  JourneysModel,
+  JourneyData,
+  JourneyPoint,
+  DeviationEvent,
+  JourneyAlert,
+  JourneySegmentData,
+  CheckInModel,
+  CheckIn
+} from '../database/models';
+import { CONFIDENCE_INCREMENT } from './RouteService';
+import { resolveEscalation } from './EscalationService';
+import { getJourneySegments } from './SegmentationService';
+import { isDuressSession } from './SecurityService';
+
+/**
+ * SafeTack Journey History Service
+ * Replay data for recorded journeys and user feedback on how they were matched
+ */
+
+// Configuration constants
+const FALSE_ALARM_CONFIDENCE_PENALTY = 0.05; // A false alarm means the learned route misses how the user travels
+
+export type TimelineEvent =
+  | { kind: 'start'; timestamp: number }
+  | { kind: 'end'; timestamp: number }
+  | { kind: 'mode'; timestamp: number; segment: JourneySegmentData; pointIndex: number }
+  | { kind: 'deviation'; timestamp: number; deviation: DeviationEvent; pointIndex: number }
+  | { kind: 'alert'; timestamp: number; alert: JourneyAlert }
+  | { kind: 'check_in'; timestamp: number; checkIn: CheckIn }
+  | { kind: 'arrival'; timestamp: number; checkIn: CheckIn };
+
+export interface JourneyReplay {
+  journey: JourneyData;
+  points: JourneyPoint[];
+  deviations: DeviationEvent[];
+  alerts: JourneyAlert[];
+  segments: JourneySegmentData[];
+  timeline: TimelineEvent[];
+}
+
+/**
+ * Load everything needed to replay a journey
+ * @returns Replay data, or null if the journey doesn't exist
+ */
+export const getJourneyReplay = async (journeyId: number): Promise<JourneyReplay | null> => {
+  // Whoever forced a duress unlock mustn't see that contacts were alerted
+  const hideDuress = isDuressSession();
+
+  const journey = await JourneysModel.getJourney(journeyId, hideDuress);
+  if (!journey) return null;
+
+  const [points, deviations, alerts, checkIns] = await Promise.all([
+    JourneysModel.getJourneyPoints(journeyId),
+    JourneysModel.getDeviations(journeyId, hideDuress),
+    JourneysModel.getJourneyAlerts(journeyId, hideDuress),
+    CheckInModel.getJourneyCheckIns(journeyId)
+  ]);
+  const segments = await getJourneySegments(journeyId, points);
+
+  const timeline: TimelineEvent[] = [
+    { kind: 'start', timestamp: journey.start_time },
+    ...segments.map(segment => ({
+      kind: 'mode' as const,
+      timestamp: segment.start_time,
+      segment,
+      pointIndex: findPointIndexAt(points, segment.start_time)
+    })),
+    ...deviations.map(deviation => ({
+      kind: 'deviation' as const,
+      timestamp: deviation.timestamp,
+      deviation,
+      pointIndex: findPointIndexAt(points, deviation.timestamp)
+    })),
+    ...alerts.map(alert => ({
+      kind: 'alert' as const,
+      timestamp: alert.timestamp,
+      alert
+    })),
+    ...checkIns.map(checkIn => ({
+      kind: 'check_in' as const,
+      timestamp: checkIn.started_at,
+      checkIn
+    })),
+    ...checkIns.flatMap(checkIn => checkIn.arrived_at ? [{
+      kind: 'arrival' as const,
+      timestamp: checkIn.arrived_at,
+      checkIn
+    }] : [])
+  ];
+
+  if (journey.end_time) {
+    timeline.push({ kind: 'end', timestamp: journey.end_time });
+  }
+
+  // Stable sort keeps a deviation ahead of the alerts it raised at the same moment
+  timeline.sort((a, b) => a.timestamp - b.timestamp);
+
+  return { journey, points, deviations, alerts, segments, timeline };
+};
+
+/**
+ * Assign a journey to a different learned route, or to none
+ *
+ * The confidence the old route gained from the wrong match moves to the new one.
+ */
+export const reassignJourneyRoute = async (journeyId: number, routeId: number | null): Promise<void> => {
+  await JourneysModel.reassignRoute(journeyId, routeId, CONFIDENCE_INCREMENT);
+};
+
+/**
+ * Mark a deviation as a false alarm, lowering its route's confidence and
+ * stopping any escalation still running for it
+ */
+export const markDeviationFalseAlarm = async (deviationId: number): Promise<void> => {
+  const flagged = await JourneysModel.markFalseAlarm(deviationId, FALSE_ALARM_CONFIDENCE_PENALTY);
+
+  if (flagged) {
+    await resolveEscalation(deviationId, 'Marked as a false alarm');
+  }
+};
+
+/**
+ * Find the last point recorded at or before a time
+ */
+export const findPointIndexAt = (points: JourneyPoint[], timestamp: number): number => {
+  let low = 0;
+  let high = points.length - 1;
+  let index = 0;
+
+  // Points are ordered by sequence, which follows time
+  while (low <= high) {
+    const mid = Math.floor((low + high) / 2);
+    if (points[mid].timestamp <= timestamp) {
+      index = mid;
+      low = mid + 1;
+    } else {
+      high = mid - 1;
+    }
+  }
+
+  return index;
+};
+
+export default {
+  getJourneyReplay,
+  reassignJourneyRoute,
+  markDeviationFalseAlarm
+};
@@ -0,0 +1,524 @@
+import * as Crypto from 'expo-crypto';
+import * as Linking from 'expo-linking';
+import supabase from './SupabaseService';
+import {
+  LiveShareModel,
+  LiveShare,
+  LiveShareCloseReason,
+  JourneysModel,
+  RoutesModel,
+  CheckInModel,
+  EscalationModel,
+  DeviationKind
+} from '../database/models';
+import { GeoPosition } from '../utils/geometry';
+import { getPredictedRoute } from './RoutePredictionService';
+import { simplifyRoute } from './RouteService';
+import { getLiveMode } from './SegmentationService';
+
+/**
+ * SafeTack Live Share Service
+ * Time-limited links that let trusted contacts follow a journey live
+ *
+ * A share is a row in the backend's live_shares table keyed by a random token;
+ * the viewer link carries the token, so contacts need no account. The phone
+ * also holds a write key, which the backend checks before accepting updates,
+ * so knowing a link is enough to watch but not to change or close a share.
+ * Positions are published at most every PUBLISH_INTERVAL together with the
+ * route being followed, any unresolved deviation and the check-in destination.
+ */
+
+// Configuration constants
+const TOKEN_BYTES = 32;
+const PUBLISH_INTERVAL = 30 * 1000; // 30 seconds between published positions
+const TRAIL_LENGTH = 60; // recent positions shown behind the current one
+const ROUTE_MAX_POINTS = 200;
+const ROUTE_SIMPLIFY_TOLERANCE = 15; // meters
+const COORDINATE_PRECISION = 1e5; // ~1 meter
+const MAX_SHARE_DURATION = 24 * 60 * 60 * 1000; // also enforced by the backend
+const ESCALATION_SHARE_DURATION = 4 * 60 * 60 * 1000;
+
+export interface LiveShareFix extends GeoPosition {
+  accuracy?: number | null;
+  timestamp?: number;
+}
+
+// What a contact sees; stored by the backend as the share's state
+export interface LiveShareSnapshot {
+  position: {
+    latitude: number;
+    longitude: number;
+    accuracy: number | null;
+    timestamp: number;
+  } | null;
+  trail: [number, number][];       // [latitude, longitude], oldest first
+  route: {
+    name: string | null;
+    points: [number, number][];
+  } | null;
+  deviation: {
+    kind: DeviationKind;
+    since: number;
+    distance: number;
+    contactsAlerted: boolean;
+  } | null;
+  destination: {
+    name: string | null;
+    latitude: number;
+    longitude: number;
+    eta: number | null;
+  } | null;
+  mode: string;
+  publishedAt: number;
+}
+
+// Answer from get_live_share; times are ISO strings from the backend
+export type LiveShareView =
+  | { status: 'active'; expires_at: string; updated_at: string; state: LiveShareSnapshot | null }
+  | { status: 'closed'; reason: LiveShareCloseReason; closed_at: string }
+  | { status: 'expired'; expires_at: string }
+  | { status: 'not_found' };
+
+export type LiveShareListener = (shares: LiveShare[]) => void;
+
+interface SharedRoute {
+  name: string | null;
+  points: [number, number][];
+}
+
+// Service state
+const openShares = new Map<number, LiveShare[]>();
+const trails = new Map<number, [number, number][]>();
+const sharedRoutes = new Map<number, SharedRoute>();
+const listeners = new Set<LiveShareListener>();
+let closesPending = true; // unknown until checked once
+
+/**
+ * Open a share for a journey
+ * @param durationMinutes - How long the link works for
+ */
+export const startLiveShare = async (journeyId: number, durationMinutes: number): Promise<LiveShare> => {
+  const now = Date.now();
+  const share = await LiveShareModel.createShare({
+    journey_id: journeyId,
+    deviation_id: null,
+    token: generateToken(),
+    write_key: generateToken(),
+    reason: 'manual',
+    started_at: now,
+    expires_at: now + Math.min(durationMinutes * 60 * 1000, MAX_SHARE_DURATION)
+  });
+
+  openShares.delete(journeyId);
+  await publishNow(share);
+  notifyListeners();
+
+  return share;
+};
+
+/**
+ * Get the share to send contacts when a deviation is escalated to them
+ *
+ * Reuses a share the user already opened for the journey, keeping it open for
+ * at least ESCALATION_SHARE_DURATION.
+ * @returns The share, or null if the journey is no longer being tracked
+ */
+export const shareForEscalation = async (journeyId: number, deviationId: number): Promise<LiveShare | null> => {
+  const journey = await JourneysModel.getJourney(journeyId);
+  if (!journey || journey.end_time) return null;
+
+  const now = Date.now();
+  const expiresAt = now + ESCALATION_SHARE_DURATION;
+  const existing = (await LiveShareModel.getOpenShares(journeyId)).find(share => share.expires_at > now);
+
+  let share: LiveShare;
+  if (existing) {
+    share = existing;
+    if (share.expires_at < expiresAt) {
+      await LiveShareModel.extendShare(share.id, expiresAt);
+      share = { ...share, expires_at: expiresAt };
+    }
+  } else {
+    share = await LiveShareModel.createShare({
+      journey_id: journeyId,
+      deviation_id: deviationId,
+      token: generateToken(),
+      write_key: generateToken(),
+      reason: 'escalation',
+      started_at: now,
+      expires_at: expiresAt
+    });
+  }
+
+  openShares.delete(journeyId);
+  await publishNow(share);
+  notifyListeners();
+
+  return share;
+};
+
+/**
+ * Stop a share; the link shows that sharing has ended
+ */
+export const revokeLiveShare = async (shareId: number): Promise<void> => {
+  const share = await LiveShareModel.getShare(shareId);
+  if (!share || share.closed_at) return;
+
+  await closeShare(share, 'revoked');
+};
+
+/**
+ * Close every share for a journey, e.g. on safe arrival
+ */
+export const closeJourneyShares = async (journeyId: number, reason: LiveShareCloseReason): Promise<number> => {
+  const shares = await LiveShareModel.getOpenShares(journeyId);
+
+  for (const share of shares) {
+    await closeShare(share, reason);
+  }
+
+  trails.delete(journeyId);
+  sharedRoutes.clear();
+  return shares.length;
+};
+
+/**
+ * Add a fix to the journey's open shares, publishing them when due
+ */
+export const publishLiveLocation = async (journeyId: number, fix: LiveShareFix): Promise<void> => {
+  if (closesPending) {
+    await publishPendingCloses();
+  }
+
+  const shares = await getJourneyShares(journeyId);
+  if (shares.length === 0) return;
+
+  // A rebuilt trail already ends with this fix
+  const trail = trails.get(journeyId);
+  if (trail) {
+    trail.push([round(fix.latitude), round(fix.longitude)]);
+    trail.splice(0, Math.max(0, trail.length - TRAIL_LENGTH));
+  } else {
+    await getTrail(journeyId);
+  }
+
+  const now = Date.now();
+  let snapshot: LiveShareSnapshot | null = null;
+
+  for (const share of shares) {
+    if (share.expires_at <= now) {
+      await closeShare(share, 'expired');
+      continue;
+    }
+
+    if (share.last_published_at && now - share.last_published_at < PUBLISH_INTERVAL) continue;
+
+    try {
+      snapshot = snapshot || await buildSnapshot(journeyId, fix);
+      await publishSnapshot(share, snapshot);
+    } catch (error) {
+      // The next fix tries again
+      console.warn(`Error publishing live share ${share.id}:`, error);
+    }
+  }
+};
+
+/**
+ * Get shares that are still open, oldest first
+ */
+export const getOpenLiveShares = async (): Promise<LiveShare[]> => {
+  return LiveShareModel.getOpenShares();
+};
+
+/**
+ * Link contacts open to follow a share
+ *
+ * Set EXPO_PUBLIC_LIVE_SHARE_URL to where the web build is hosted; otherwise
+ * the link points at this build, which is only reachable during development.
+ */
+export const getLiveShareUrl = (token: string): string => {
+  const baseUrl = process.env.EXPO_PUBLIC_LIVE_SHARE_URL;
+  return baseUrl
+    ? `${baseUrl.replace(/\/+$/, '')}/live/${token}`
+    : Linking.createURL(`/live/${token}`);
+};
+
+/**
+ * Tidy up after a restart: close expired shares and tell the backend about closes it missed
+ */
+export const resumeLiveShares = async (): Promise<void> => {
+  const now = Date.now();
+  const expired = (await LiveShareModel.getOpenShares()).filter(share => share.expires_at <= now);
+
+  for (const share of expired) {
+    await closeShare(share, 'expired');
+  }
+
+  await publishPendingCloses();
+};
+
+/**
+ * Load what a share's link shows; used by the web viewer
+ */
+export const fetchLiveShare = async (token: string): Promise<LiveShareView> => {
+  const { data, error } = await supabase.rpc('get_live_share', { share_token: token });
+  if (error) throw error;
+
+  return (data as LiveShareView | null) || { status: 'not_found' };
+};
+
+/**
+ * Subscribe to shares opening and closing
+ * @returns Function to remove the listener
+ */
+export const addLiveShareListener = (listener: LiveShareListener): (() => void) => {
+  listeners.add(listener);
+  return () => {
+    listeners.delete(listener);
+  };
+};
+
+/**
+ * Publish a share straight away, from the journey's last recorded point
+ *
+ * An offline phone still gets a share; it is published with the next fix.
+ */
+const publishNow = async (share: LiveShare): Promise<void> => {
+  if (!share.journey_id) return;
+
+  try {
+    const lastPoint = await JourneysModel.getLastPoint(share.journey_id);
+    await getTrail(share.journey_id);
+    await publishSnapshot(share, await buildSnapshot(share.journey_id, lastPoint));
+  } catch (error) {
+    console.warn(`Error publishing live share ${share.id}:`, error);
+  }
+};
+
+/**
+ * Send a share's current state to the backend
+ */
+const publishSnapshot = async (share: LiveShare, snapshot: LiveShareSnapshot): Promise<void> => {
+  const { error } = await supabase.rpc('publish_live_share', {
+    share_token: share.token,
+    write_key: share.write_key,
+    share_expires_at: new Date(share.expires_at).toISOString(),
+    share_state: snapshot
+  });
+  if (error) throw error;
+
+  share.last_published_at = snapshot.publishedAt;
+  await LiveShareModel.markPublished(share.id, snapshot.publishedAt);
+};
+
+/**
+ * Close a share here, then on the backend if it can be reached
+ */
+const closeShare = async (share: LiveShare, reason: LiveShareCloseReason): Promise<void> => {
+  const closed = await LiveShareModel.closeShare(share.id, reason);
+  if (share.journey_id) {
+    openShares.delete(share.journey_id);
+  }
+  if (!closed) return;
+
+  try {
+    await publishClose(share, reason);
+  } catch (error) {
+    // Retried with the next fix or restart; the backend also stops showing it at expiry
+    console.warn(`Error closing live share ${share.id}:`, error);
+    closesPending = true;
+  }
+
+  notifyListeners();
+};
+
+/**
+ * Tell the backend a share is closed, which also drops its location data
+ */
+const publishClose = async (share: LiveShare, reason: LiveShareCloseReason): Promise<void> => {
+  const { error } = await supabase.rpc('close_live_share', {
+    share_token: share.token,
+    write_key: share.write_key,
+    close_reason: reason
+  });
+  if (error) throw error;
+
+  await LiveShareModel.markClosePublished(share.id);
+};
+
+/**
+ * Retry closes the backend has not heard about
+ */
+const publishPendingCloses = async (): Promise<void> => {
+  closesPending = false;
+
+  try {
+    for (const share of await LiveShareModel.getUnpublishedCloses()) {
+      await publishClose(share, share.closed_reason || 'ended');
+    }
+  } catch (error) {
+    console.warn('Error publishing closed live shares:', error);
+    closesPending = true;
+  }
+};
+
+/**
+ * Get a journey's open shares, cached between fixes
+ */
+const getJourneyShares = async (journeyId: number): Promise<LiveShare[]> => {
+  let shares = openShares.get(journeyId);
+  if (!shares) {
+    shares = await LiveShareModel.getOpenShares(journeyId);
+    openShares.set(journeyId, shares);
+  }
+  return shares;
+};
+
+/**
+ * Get a journey's recent positions, rebuilding them after a restart
+ */
+const getTrail = async (journeyId: number): Promise<[number, number][]> => {
+  let trail = trails.get(journeyId);
+  if (!trail) {
+    const points = await JourneysModel.getJourneyPoints(journeyId);
+    trail = points
+      .slice(-TRAIL_LENGTH)
+      .map(point => [round(point.latitude), round(point.longitude)] as [number, number]);
+    trails.set(journeyId, trail);
+  }
+  return trail;
+};
+
+/**
+ * Gather what a contact should see for a journey
+ */
+const buildSnapshot = async (journeyId: number, fix: LiveShareFix | null): Promise<LiveShareSnapshot> => {
+  const [route, deviation, destination] = await Promise.all([
+    getSharedRoute(journeyId),
+    getSharedDeviation(journeyId),
+    getSharedDestination(journeyId)
+  ]);
+
+  return {
+    position: fix ? {
+      latitude: round(fix.latitude),
+      longitude: round(fix.longitude),
+      accuracy: fix.accuracy ?? null,
+      timestamp: fix.timestamp || Date.now()
+    } : null,
+    trail: [...(trails.get(journeyId) || [])],
+    route,
+    deviation,
+    destination,
+    mode: getLiveMode(journeyId),
+    publishedAt: Date.now()
+  };
+};
+
+/**
+ * The route the journey matched or is predicted to follow, simplified for sending
+ */
+const getSharedRoute = async (journeyId: number): Promise<SharedRoute | null> => {
+  const journey = await JourneysModel.getJourney(journeyId);
+  const routeId = journey?.matched_route_id || getPredictedRoute(journeyId)?.routeId;
+  if (!routeId) return null;
+
+  const cached = sharedRoutes.get(routeId);
+  if (cached) return cached;
+
+  const route = await RoutesModel.getRouteWithPoints(routeId);
+  if (!route?.points || route.points.length < 2) return null;
+
+  const simplified = simplifyRoute(route.points, ROUTE_SIMPLIFY_TOLERANCE);
+  const stride = Math.ceil(simplified.length / ROUTE_MAX_POINTS);
+  const shared: SharedRoute = {
+    name: route.name || null,
+    points: simplified
+      .filter((_, i) => i % stride === 0 || i === simplified.length - 1)
+      .map(point => [round(point.latitude), round(point.longitude)])
+  };
+
+  sharedRoutes.set(routeId, shared);
+  return shared;
+};
+
+/**
+ * The journey's most recent unresolved deviation, if any
+ */
+const getSharedDeviation = async (journeyId: number): Promise<LiveShareSnapshot['deviation']> => {
+  const escalations = await EscalationModel.getActiveEscalations(journeyId);
+  const escalation = escalations[escalations.length - 1];
+  if (!escalation) return null;
+
+  const deviation = await JourneysModel.getDeviation(escalation.deviation_id);
+  if (!deviation) return null;
+
+  return {
+    kind: deviation.kind || 'deviation',
+    since: deviation.timestamp,
+    distance: Math.round(deviation.deviation_distance),
+    contactsAlerted: escalation.tier > 0
+  };
+};
+
+/**
+ * Where the journey's check-in expects the user to arrive, if there is one
+ */
+const getSharedDestination = async (journeyId: number): Promise<LiveShareSnapshot['destination']> => {
+  const [checkIn] = await CheckInModel.getOpenCheckIns(journeyId);
+  if (!checkIn) return null;
+
+  return {
+    name: checkIn.destination_name || null,
+    latitude: round(checkIn.destination_latitude),
+    longitude: round(checkIn.destination_longitude),
+    eta: checkIn.eta ?? checkIn.due_at
+  };
+};
+
+/**
+ * Random URL-safe token; 32 bytes can't be guessed
+ */
+const generateToken = (): string => {
+  let binary = '';
+  Crypto.getRandomBytes(TOKEN_BYTES).forEach(byte => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+const round = (value: number): number => Math.round(value * COORDINATE_PRECISION) / COORDINATE_PRECISION;
+
+/**
+ * Tell listeners which shares are open
+ */
+const notifyListeners = (): void => {
+  if (listeners.size === 0) return;
+
+  LiveShareModel.getOpenShares()
+    .then(shares => {
+      listeners.forEach(listener => {
+        try {
+          listener(shares);
+        } catch (error) {
+          console.warn('Error in live share listener:', error);
+        }
+      });
+    })
+    .catch(error => {
+      console.warn('Error loading live shares for listeners:', error);
+    });
+};
+
+export default {
+  startLiveShare,
+  shareForEscalation,
+  revokeLiveShare,
+  closeJourneyShares,
+  publishLiveLocation,
+  getOpenLiveShares,
+  getLiveShareUrl,
+  resumeLiveShares,
+  fetchLiveShare,
+  addLiveShareListener
+};
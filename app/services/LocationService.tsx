@@ -1,7 +1,16 @@
 import * as Location from 'expo-location';
 import * as TaskManager from 'expo-task-manager';
-import * as Battery from 'expo-battery';
 import { JourneysModel, JourneyPoint } from '../database/models';
+import { checkForDeviation, resetDeviationTracking, DeviationResult } from './RouteService';
+import { startRoutePrediction, clearRoutePrediction } from './RoutePredictionService';
+import { AlertSeverity, AlertResponse } from './AlertService';
+import { handleDeviation, processDueEscalations } from './EscalationService';
+import { monitorCheckIn, processCheckIns, cancelCheckIns, CheckInArrival } from './CheckInService';
+import { updateLiveMode, getLiveMode, clearLiveMode, getModeProfile, saveJourneySegments } from './SegmentationService';
+import { publishLiveLocation, closeJourneyShares } from './LiveShareService';
+import { getLocationSource, LocationSource, LocationSourceSubscription } from './LocationSource';
+import { startWatchdog, stopWatchdog, noteFix, setWatchdogDiscreet, checkJourneyWatchdog } from './WatchdogService';
+import { getSettings, subscribeToSettings, isNightTime, TrackingFrequency } from './SettingsService';
 
 // Background task name
 const LOCATION_TRACKING_TASK = 'background-location-tracking';
@@ -9,9 +18,16 @@ const LOCATION_TRACKING_TASK = 'background-location-tracking';
 // Service state
 let isTracking = false;
 let currentJourneyId: number | null = null;
-let locationSubscription: Location.LocationSubscription | null = null;
+let locationSource: LocationSource | null = null;
+let locationSubscription: LocationSourceSubscription | null = null;
 let pointSequence = 0;
 let batteryCheckInterval: NodeJS.Timeout | null = null;
+let activeForegroundSettings: TrackingSettings['foreground'] | null = null;
+let activeBackgroundSettings: TrackingSettings['background'] | null = null;
+let unsubscribeSettings: (() => void) | null = null;
+let discreetMode = false;
+const deviationListeners = new Set<DeviationListener>();
+const arrivalListeners = new Set<ArrivalListener>();
 
 interface TrackingSettings {
   foreground: {
@@ -29,8 +45,53 @@ interface TrackingSettings {
 interface TrackingStatus {
   isTracking: boolean;
   currentJourneyId: number | null;
+  source: string | null;
 }
 
+export type DeviationListener = (deviation: DeviationResult, alert: AlertResponse) => void;
+
+export type ArrivalListener = (arrival: CheckInArrival) => void;
+
+// Base tracking parameters for each precision setting
+const TRACKING_PROFILES: Record<TrackingFrequency, TrackingSettings> = {
+  high: {
+    foreground: {
+      accuracy: Location.Accuracy.High,
+      distanceInterval: 5,  // meters
+      timeInterval: 10000,  // 10 seconds
+    },
+    background: {
+      accuracy: Location.Accuracy.High,
+      distanceInterval: 10, // meters
+      timeInterval: 30000,  // 30 seconds
+    }
+  },
+  balanced: {
+    foreground: {
+      accuracy: Location.Accuracy.Balanced,
+      distanceInterval: 10, // meters
+      timeInterval: 15000,  // 15 seconds
+    },
+    background: {
+      accuracy: Location.Accuracy.Balanced,
+      distanceInterval: 20, // meters
+      timeInterval: 60000,  // 1 minute
+    }
+  },
+  low: {
+    foreground: {
+      accuracy: Location.Accuracy.Low,
+      distanceInterval: 25, // meters
+      timeInterval: 30000,  // 30 seconds
+    },
+    background: {
+      accuracy: Location.Accuracy.Low,
+      distanceInterval: 50, // meters
+      timeInterval: 180000, // 3 minutes
+    }
+  }
+};
+
 /**
  * Handle background location updates
  */
@@ -66,71 +127,189 @@ TaskManager.defineTask(LOCATION_TRACKING_TASK, async ({ data, error }: TaskManag
       console.error('Error processing location in background task:', err);
     }
   }
+  
+  // Location updates keep arriving while the app is backgrounded, unlike in-app timers
+  try {
+    await processDueEscalations();
+  } catch (err) {
+    console.error('Error processing escalations in background task:', err);
+  }
+  
+  try {
+    await processCheckIns();
+  } catch (err) {
+    console.error('Error processing check-ins in background task:', err);
+  }
+  
+  try {
+    await checkJourneyWatchdog();
+  } catch (err) {
+    console.error('Error running journey watchdog in background task:', err);
+  }
 });
 
 /**
- * Get optimal tracking settings based on battery level and activity
+ * Get optimal tracking settings based on user preferences, travel mode and battery level
  */
 const getOptimalTrackingSettings = async (): Promise<TrackingSettings> => {
+  const appSettings = await getSettings();
+  const profile = TRACKING_PROFILES[appSettings.trackingFrequency];
+  const mode = getModeProfile(getLiveMode(currentJourneyId));
+  
+  // Start from the profile for the chosen precision, scaled for how fast we're moving
+  const settings: TrackingSettings = {
+    foreground: {
+      ...profile.foreground,
+      timeInterval: Math.round(profile.foreground.timeInterval * mode.intervalScale),
+      distanceInterval: Math.round(profile.foreground.distanceInterval * mode.distanceScale)
+    },
+    background: {
+      ...profile.background,
+      timeInterval: Math.round(profile.background.timeInterval * mode.intervalScale),
+      distanceInterval: Math.round(profile.background.distanceInterval * mode.distanceScale)
+    }
+  };
+  
+  if (!appSettings.batteryOptimization) {
+    return settings;
+  }
+  
   try {
     // Get current battery level
-    const batteryLevel = await Battery.getBatteryLevelAsync();
+    const batteryLevel = await getActiveSource().getBatteryLevel();
     
-    // Default settings
-    const settings: TrackingSettings = {
-      foreground: {
-        accuracy: Location.Accuracy.Balanced,
-        distanceInterval: 10, // meters
-        timeInterval: 15000,  // 15 seconds
-      },
-      background: {
-        accuracy: Location.Accuracy.Balanced,
-        distanceInterval: 20, // meters
-        timeInterval: 60000,  // 1 minute
-      }
-    };
-    
-    // Adjust based on battery level
+    // Adjust based on battery level, never tracking more often than the profile
     if (batteryLevel < 0.15) {
       // Critical battery - minimal updates
       settings.foreground.accuracy = Location.Accuracy.Low;
-      settings.foreground.timeInterval = 60000; // 1 minute
-      settings.foreground.distanceInterval = 50; // 50 meters
+      settings.foreground.timeInterval = Math.max(settings.foreground.timeInterval, 60000); // 1 minute
+      settings.foreground.distanceInterval = Math.max(settings.foreground.distanceInterval, 50); // 50 meters
       
       settings.background.accuracy = Location.Accuracy.Low;
-      settings.background.timeInterval = 300000; // 5 minutes
-      settings.background.distanceInterval = 100; // 100 meters
+      settings.background.timeInterval = Math.max(settings.background.timeInterval, 300000); // 5 minutes
+      settings.background.distanceInterval = Math.max(settings.background.distanceInterval, 100); // 100 meters
     } else if (batteryLevel < 0.3) {
       // Low battery - reduced updates
-      settings.foreground.timeInterval = 30000; // 30 seconds
-      settings.foreground.distanceInterval = 30; // 30 meters
+      settings.foreground.timeInterval = Math.max(settings.foreground.timeInterval, 30000); // 30 seconds
+      settings.foreground.distanceInterval = Math.max(settings.foreground.distanceInterval, 30); // 30 meters
       
-      settings.background.timeInterval = 180000; // 3 minutes
-      settings.background.distanceInterval = 50; // 50 meters
-    } else if (batteryLevel > 0.7) {
-      // High battery - can be more frequent
+      settings.background.timeInterval = Math.max(settings.background.timeInterval, 180000); // 3 minutes
+      settings.background.distanceInterval = Math.max(settings.background.distanceInterval, 50); // 50 meters
+    } else if (batteryLevel > 0.7 && appSettings.trackingFrequency === 'balanced') {
+      // High battery - can be more frequent (10 s / 45 s when travelling at walking pace)
       settings.foreground.accuracy = Location.Accuracy.High;
-      settings.foreground.timeInterval = 10000; // 10 seconds
+      settings.foreground.timeInterval = Math.round(settings.foreground.timeInterval * 2 / 3);
       
-      settings.background.timeInterval = 45000; // 45 seconds
+      settings.background.timeInterval = Math.round(settings.background.timeInterval * 3 / 4);
     }
-    
-    return settings;
   } catch (error) {
     console.warn('Error getting optimal tracking settings:', error);
-    // Return default settings if there's an error
-    return {
-      foreground: {
-        accuracy: Location.Accuracy.Balanced,
-        distanceInterval: 10,
-        timeInterval: 15000,
-      },
-      background: {
-        accuracy: Location.Accuracy.Balanced,
-        distanceInterval: 20,
-        timeInterval: 60000,
-      }
-    };
+  }
+  
+  return settings;
+};
+
+/**
+ * Start background location updates with the given settings
+ */
+const startBackgroundUpdates = async (background: TrackingSettings['background']): Promise<void> => {
+  await Location.startLocationUpdatesAsync(LOCATION_TRACKING_TASK, {
+    ...background,
+    // In discreet mode the notification mustn't give away that the route is being watched
+    foregroundService: discreetMode
+      ? {
+          notificationTitle: "SafeTack",
+          notificationBody: "Running in the background",
+        }
+      : {
+          notificationTitle: "SafeTack is monitoring your route",
+          notificationBody: "Your safety is being monitored in the background",
+        },
+    // Optimize for battery life
+    activityType: Location.ActivityType.Fitness,
+    pausesUpdatesAutomatically: true,
+    // Reduce frequency when stationary
+    deferredUpdatesInterval: 300000, // 5 minutes when deferred
+    deferredUpdatesDistance: 100,    // 100 meters when deferred
+  });
+  
+  activeBackgroundSettings = background;
+};
+
+/**
+ * Stop background location updates if they are running
+ */
+const stopBackgroundUpdates = async (): Promise<void> => {
+  const isRegistered = await TaskManager.isTaskRegisteredAsync(LOCATION_TRACKING_TASK);
+  if (isRegistered) {
+    await Location.stopLocationUpdatesAsync(LOCATION_TRACKING_TASK);
+  }
+  
+  activeBackgroundSettings = null;
+};
+
+/**
+ * Start watching foreground location with the given settings
+ */
+const startForegroundUpdates = async (foreground: TrackingSettings['foreground']): Promise<void> => {
+  locationSubscription = await getActiveSource().watchPosition(
+    foreground,
+    async (location) => {
+      await processLocationUpdate(location);
+    }
+  );
+  
+  activeForegroundSettings = foreground;
+};
+
+/**
+ * Check whether two tracking configurations differ enough to restart updates
+ */
+const hasSignificantChange = (
+  current: TrackingSettings['foreground'] | null,
+  next: TrackingSettings['foreground']
+): boolean => {
+  if (!current) return true;
+  
+  return current.accuracy !== next.accuracy ||
+         current.distanceInterval !== next.distanceInterval ||
+         Math.abs(current.timeInterval - next.timeInterval) > 30000;
+};
+
+/**
+ * Apply current settings, battery level and night pause to active tracking
+ */
+const applyTrackingSettings = async (): Promise<void> => {
+  const appSettings = await getSettings();
+  const newSettings = await getOptimalTrackingSettings();
+  
+  // Update foreground tracking if the profile changed
+  if (hasSignificantChange(activeForegroundSettings, newSettings.foreground)) {
+    if (locationSubscription) {
+      locationSubscription.remove();
+      locationSubscription = null;
+    }
+    await startForegroundUpdates(newSettings.foreground);
+  }
+  
+  // Night pause suspends background tracking entirely, except after a duress unlock
+  if (appSettings.pauseDuringNight && isNightTime(appSettings) && !discreetMode) {
+    if (activeBackgroundSettings) {
+      await stopBackgroundUpdates();
+      console.log('Background tracking paused for night hours');
+    }
+    return;
+  }
+  
+  // A simulated trip delivers every fix through its foreground watch
+  if (!getActiveSource().background) return;
+  
+  // Update background tracking if significantly different (or resuming after night)
+  if (hasSignificantChange(activeBackgroundSettings, newSettings.background)) {
+    if (activeBackgroundSettings) {
+      await stopBackgroundUpdates();
+    }
+    await startBackgroundUpdates(newSettings.background);
   }
 };
 
@@ -141,52 +320,32 @@ export const startLocationTracking = async (): Promise<number | null> => {
   if (isTracking) return currentJourneyId;
   
   try {
+    // The whole journey reads from one source, even if another is set meanwhile
+    locationSource = getLocationSource();
+    
     // Request permissions
-    const foregroundPermission = await Location.requestForegroundPermissionsAsync();
-    if (foregroundPermission.status !== 'granted') {
+    const permissions = await locationSource.requestPermissions();
+    if (!permissions.foreground) {
       throw new Error('Foreground location permission denied');
     }
     
-    const backgroundPermission = await Location.requestBackgroundPermissionsAsync();
-    if (backgroundPermission.status !== 'granted') {
+    if (!permissions.background) {
       throw new Error('Background location permission denied');
     }
     
-    // Get optimal tracking settings based on battery and activity
+    // Get optimal tracking settings based on preferences and battery
     const trackingSettings = await getOptimalTrackingSettings();
     
     // Start a new journey
-    const location = await Location.getCurrentPositionAsync({
-      accuracy: trackingSettings.foreground.accuracy
-    });
+    const location = await locationSource.getCurrentPosition(trackingSettings.foreground.accuracy);
     
     currentJourneyId = await startNewJourney(location);
     
-    // Start foreground tracking
-    locationSubscription = await Location.watchPositionAsync(
-      trackingSettings.foreground,
-      async (location) => {
-        await processLocationUpdate(location);
-      }
-    );
-    
-    // Start background tracking
-    await Location.startLocationUpdatesAsync(LOCATION_TRACKING_TASK, {
-      ...trackingSettings.background,
-      foregroundService: {
-        notificationTitle: "SafeTack is monitoring your route",
-        notificationBody: "Your safety is being monitored in the background",
-      },
-      // Optimize for battery life
-      activityType: Location.ActivityType.Fitness,
-      pausesUpdatesAutomatically: true,
-      // Reduce frequency when stationary
-      deferredUpdatesInterval: 300000, // 5 minutes when deferred
-      deferredUpdatesDistance: 100,    // 100 meters when deferred
-    });
+    // Start foreground and background tracking (honouring night pause)
+    await applyTrackingSettings();
     
-    // Set up periodic battery check to adjust tracking parameters
-    const BATTERY_CHECK_INTERVAL = 5 * 60 * 1000; // 5 minutes
+    // Set up periodic check to adjust tracking for battery level and night hours
+    const SETTINGS_CHECK_INTERVAL = 5 * 60 * 1000; // 5 minutes
     batteryCheckInterval = setInterval(async () => {
       try {
         if (!isTracking) {
@@ -196,34 +355,24 @@ export const startLocationTracking = async (): Promise<number | null> => {
           return;
         }
         
-        // Update tracking parameters based on current battery level
-        const newSettings = await getOptimalTrackingSettings();
-        
-        // Update background tracking if significantly different
-        if (Math.abs(newSettings.background.timeInterval - 
-            trackingSettings.background.timeInterval) > 30000) {
-          // Stop and restart with new settings
-          await Location.stopLocationUpdatesAsync(LOCATION_TRACKING_TASK);
-          await Location.startLocationUpdatesAsync(LOCATION_TRACKING_TASK, {
-            ...newSettings.background,
-            foregroundService: {
-              notificationTitle: "SafeTack is monitoring your route",
-              notificationBody: "Your safety is being monitored in the background",
-            },
-            activityType: Location.ActivityType.Fitness,
-            pausesUpdatesAutomatically: true,
-            deferredUpdatesInterval: 300000,
-            deferredUpdatesDistance: 100,
-          });
-        }
+        await applyTrackingSettings();
       } catch (error) {
         console.warn('Error in battery check interval:', error);
       }
-    }, BATTERY_CHECK_INTERVAL);
+    }, SETTINGS_CHECK_INTERVAL);
+    
+    // Apply settings changes immediately while tracking
+    unsubscribeSettings = subscribeToSettings(() => {
+      if (!isTracking) return;
+      applyTrackingSettings().catch(error => {
+        console.warn('Error applying updated tracking settings:', error);
+      });
+    });
     
     isTracking = true;
     return currentJourneyId;
   } catch (error) {
+    locationSource = null;
     console.error('Error starting location tracking:', error);
     throw error;
   }
@@ -233,7 +382,8 @@ export const startLocationTracking = async (): Promise<number | null> => {
  * Stop tracking user location
  */
 export const stopLocationTracking = async (): Promise<void> => {
-  if (!isTracking) return;
+  // A journey started by the background task has no foreground tracking to stop
+  if (!isTracking && !currentJourneyId) return;
   
   try {
     // Stop foreground tracking
@@ -241,30 +391,62 @@ export const stopLocationTracking = async (): Promise<void> => {
       locationSubscription.remove();
       locationSubscription = null;
     }
+    activeForegroundSettings = null;
     
     // Stop background tracking
-    const isRegistered = await TaskManager.isTaskRegisteredAsync(LOCATION_TRACKING_TASK);
-    if (isRegistered) {
-      await Location.stopLocationUpdatesAsync(LOCATION_TRACKING_TASK);
-    }
+    await stopBackgroundUpdates();
+    
+    stopWatchdog();
     
-    // Clear battery check interval
+    // Clear battery check interval and settings subscription
     if (batteryCheckInterval) {
       clearInterval(batteryCheckInterval);
       batteryCheckInterval = null;
     }
     
+    if (unsubscribeSettings) {
+      unsubscribeSettings();
+      unsubscribeSettings = null;
+    }
+    
     // Complete the current journey
     if (currentJourneyId) {
+      clearRoutePrediction(currentJourneyId);
+      resetDeviationTracking(currentJourneyId);
+      clearLiveMode(currentJourneyId);
+      
+      // Stopping by hand ends any check-in the user hadn't arrived for yet
+      try {
+        await cancelCheckIns(currentJourneyId);
+      } catch (error) {
+        console.warn('Error cancelling check-in:', error);
+      }
+      
+      // No more positions will come, so end the journey's live shares
+      try {
+        await closeJourneyShares(currentJourneyId, 'ended');
+      } catch (error) {
+        console.warn('Error closing live shares:', error);
+      }
+      
       // Get the last point to calculate total distance
       const points = await JourneysModel.getJourneyPoints(currentJourneyId);
       const totalDistance = calculateTotalDistance(points);
       
       await JourneysModel.completeJourney(currentJourneyId, Date.now(), totalDistance);
+      
+      // Split the journey by mode; route analysis reads the segments back
+      try {
+        await saveJourneySegments(currentJourneyId);
+      } catch (error) {
+        console.warn('Error saving journey segments:', error);
+      }
+      
       currentJourneyId = null;
       pointSequence = 0;
     }
     
+    locationSource = null;
     isTracking = false;
   } catch (error) {
     console.error('Error stopping location tracking:', error);
@@ -278,7 +460,58 @@ export const stopLocationTracking = async (): Promise<void> => {
 export const getTrackingStatus = (): TrackingStatus => {
   return {
     isTracking,
-    currentJourneyId
+    currentJourneyId,
+    source: locationSource?.name ?? null
+  };
+};
+
+/**
+ * The source the current journey reads from, or the configured one between journeys
+ */
+const getActiveSource = (): LocationSource => {
+  return locationSource || getLocationSource();
+};
+
+/**
+ * Keep tracking without visible signs of it, e.g. after a duress unlock
+ *
+ * Deviation prompts are suppressed and the background notification is made
+ * neutral; contacts have already been alerted.
+ */
+export const setDiscreetMode = async (enabled: boolean): Promise<void> => {
+  if (discreetMode === enabled) return;
+  discreetMode = enabled;
+  setWatchdogDiscreet(enabled);
+  
+  // Restart background updates so the new notification text is shown
+  if (activeBackgroundSettings) {
+    const background = activeBackgroundSettings;
+    await stopBackgroundUpdates();
+    await startBackgroundUpdates(background);
+  } else if (isTracking) {
+    await applyTrackingSettings();
+  }
+};
+
+/**
+ * Subscribe to deviations detected while tracking
+ * @returns Function to remove the listener
+ */
+export const addDeviationListener = (listener: DeviationListener): (() => void) => {
+  deviationListeners.add(listener);
+  return () => {
+    deviationListeners.delete(listener);
+  };
+};
+
+/**
+ * Subscribe to check-in arrivals, which stop tracking and complete the journey
+ * @returns Function to remove the listener
+ */
+export const addArrivalListener = (listener: ArrivalListener): (() => void) => {
+  arrivalListeners.add(listener);
+  return () => {
+    arrivalListeners.delete(listener);
   };
 };
 
@@ -287,9 +520,9 @@ export const getTrackingStatus = (): TrackingStatus => {
  */
 const startNewJourney = async (location: Location.LocationObject): Promise<number> => {
   // Create a new journey
+  // Mode is set from the journey's segments once it completes
   const journeyId = await JourneysModel.createJourney({
-    start_time: Date.now(),
-    transportation_mode: detectTransportationMode(location)
+    start_time: Date.now()
   });
   
   // Add first point
@@ -298,6 +531,21 @@ const startNewJourney = async (location: Location.LocationObject): Promise<numbe
   // Reset sequence counter
   pointSequence = 1;
   
+  // Start predicting which learned route this journey follows
+  try {
+    await startRoutePrediction(journeyId, {
+      latitude: location.coords.latitude,
+      longitude: location.coords.longitude,
+      timestamp: location.timestamp || Date.now()
+    });
+  } catch (error) {
+    // Prediction is rebuilt lazily on the next fix, so don't fail the journey
+    console.warn('Error starting route prediction:', error);
+  }
+  
+  // Watch for the battery, signal or location access ending the journey early
+  startWatchdog(journeyId);
+  
   return journeyId;
 };
 
@@ -308,6 +556,117 @@ const processLocationUpdate = async (location: Location.LocationObject): Promise
   if (!currentJourneyId) return;
   
   await addJourneyPoint(currentJourneyId, location);
+  noteFix();
+  await followTransportationMode(currentJourneyId, location);
+  await monitorForDeviation(currentJourneyId, location);
+  await shareLiveLocation(currentJourneyId, location);
+  await monitorForArrival(currentJourneyId, location);
+};
+
+/**
+ * Update the live transportation mode, retuning tracking when it changes
+ */
+const followTransportationMode = async (journeyId: number, location: Location.LocationObject): Promise<void> => {
+  try {
+    const previousMode = getLiveMode(journeyId);
+    const mode = await updateLiveMode(journeyId, {
+      latitude: location.coords.latitude,
+      longitude: location.coords.longitude,
+      timestamp: location.timestamp || Date.now(),
+      speed: location.coords.speed
+    });
+    
+    if (mode !== previousMode && isTracking) {
+      console.log(`Transportation mode changed from ${previousMode} to ${mode}`);
+      await applyTrackingSettings();
+    }
+  } catch (error) {
+    // Tracking carries on with the previous mode's settings
+    console.warn('Error updating transportation mode:', error);
+  }
+};
+
+/**
+ * Check a fix against the expected route and raise an alert on deviation
+ */
+const monitorForDeviation = async (journeyId: number, location: Location.LocationObject): Promise<void> => {
+  if (discreetMode) return;
+  
+  try {
+    const deviation = await checkForDeviation(journeyId, {
+      latitude: location.coords.latitude,
+      longitude: location.coords.longitude,
+      accuracy: location.coords.accuracy,
+      timestamp: location.timestamp || Date.now()
+    });
+    
+    if (!deviation) return;
+    
+    const alertResult = await handleDeviation(deviation, AlertSeverity.MEDIUM);
+    
+    deviationListeners.forEach(listener => {
+      try {
+        listener(deviation, alertResult);
+      } catch (error) {
+        console.warn('Error in deviation listener:', error);
+      }
+    });
+  } catch (error) {
+    // Never let deviation monitoring interrupt tracking
+    console.error('Error monitoring for deviation:', error);
+  }
+};
+
+/**
+ * Pass a fix on to the journey's live shares
+ * 
+ * Runs in discreet mode too: contacts following a duress alert need it most.
+ */
+const shareLiveLocation = async (journeyId: number, location: Location.LocationObject): Promise<void> => {
+  try {
+    await publishLiveLocation(journeyId, {
+      latitude: location.coords.latitude,
+      longitude: location.coords.longitude,
+      accuracy: location.coords.accuracy,
+      timestamp: location.timestamp || Date.now()
+    });
+  } catch (error) {
+    // Never let live sharing interrupt tracking
+    console.error('Error publishing live location:', error);
+  }
+};
+
+/**
+ * Update the journey's check-in with a fix, ending the journey on arrival
+ */
+const monitorForArrival = async (journeyId: number, location: Location.LocationObject): Promise<void> => {
+  const arrival = await monitorCheckIn(journeyId, {
+    latitude: location.coords.latitude,
+    longitude: location.coords.longitude,
+    accuracy: location.coords.accuracy,
+    timestamp: location.timestamp || Date.now()
+  }).catch(error => {
+    // Never let check-in monitoring interrupt tracking
+    console.error('Error monitoring check-in:', error);
+    return null;
+  });
+  
+  if (!arrival) return;
+  
+  // Contacts following along see the arrival rather than just "sharing ended"
+  await closeJourneyShares(journeyId, 'arrived').catch(error => {
+    console.warn('Error closing live shares on arrival:', error);
+  });
+  
+  await stopLocationTracking();
+  
+  arrivalListeners.forEach(listener => {
+    try {
+      listener(arrival);
+    } catch (error) {
+      console.warn('Error in arrival listener:', error);
+    }
+  });
 };
 
 /**
@@ -316,7 +675,7 @@ const processLocationUpdate = async (location: Location.LocationObject): Promise
 const addJourneyPoint = async (journeyId: number, location: Location.LocationObject): Promise<void> => {
   try {
     // Get battery level
-    const batteryLevel = await Battery.getBatteryLevelAsync();
+    const batteryLevel = await getActiveSource().getBatteryLevel();
     
     await JourneysModel.addJourneyPoint(journeyId, {
       latitude: location.coords.latitude,
@@ -334,30 +693,6 @@ const addJourneyPoint = async (journeyId: number, location: Location.LocationObj
   }
 };
 
-/**
- * Detect transportation mode based on speed
- */
-const detectTransportationMode = (location: Location.LocationObject): string => {
-  const speed = location.coords.speed;
-  
-  if (speed === null || speed === undefined) {
-    return 'unknown';
-  }
-  
-  // Convert from m/s to km/h
-  const speedKmh = speed * 3.6;
-  
-  if (speedKmh < 6) {
-    return 'walking';
-  } else if (speedKmh < 20) {
-    return 'cycling';
-  } else if (speedKmh < 200) {
-    return 'driving';
-  } else {
-    return 'unknown';
-  }
-};
-
 /**
  * Calculate total distance of a journey from points
  */
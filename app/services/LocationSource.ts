@@ -0,0 +1,124 @@
+/**
+ * SafeTack Location Sources
+ * Where tracking gets its fixes and battery readings: the device, or a simulated trip
+ */
+
+import * as Location from 'expo-location';
+import * as Battery from 'expo-battery';
+
+export interface LocationWatchOptions {
+  accuracy: Location.Accuracy;
+  distanceInterval: number;
+  timeInterval: number;
+}
+
+export type LocationCallback = (location: Location.LocationObject) => Promise<void>;
+
+export interface LocationSourceSubscription {
+  remove: () => void;
+}
+
+export interface LocationPermissions {
+  foreground: boolean;
+  background: boolean;
+}
+
+export interface LocationSource {
+  // Shown in logs and developer settings
+  name: string;
+  // Whether fixes also arrive through the background location task
+  background: boolean;
+  requestPermissions: () => Promise<LocationPermissions>;
+  // Current permissions, without prompting
+  getPermissions: () => Promise<LocationPermissions>;
+  getCurrentPosition: (accuracy: Location.Accuracy) => Promise<Location.LocationObject>;
+  watchPosition: (options: LocationWatchOptions, callback: LocationCallback) => Promise<LocationSourceSubscription>;
+  getBatteryLevel: () => Promise<number>;
+  isCharging: () => Promise<boolean>;
+}
+
+export type LocationSourceListener = (source: LocationSource) => void;
+
+/**
+ * The phone's own GPS and battery
+ */
+export const deviceLocationSource: LocationSource = {
+  name: 'device',
+  background: true,
+
+  requestPermissions: async () => {
+    const foreground = await Location.requestForegroundPermissionsAsync();
+    if (foreground.status !== 'granted') {
+      return { foreground: false, background: false };
+    }
+
+    const background = await Location.requestBackgroundPermissionsAsync();
+    return { foreground: true, background: background.status === 'granted' };
+  },
+
+  getPermissions: async () => {
+    const [foreground, background] = await Promise.all([
+      Location.getForegroundPermissionsAsync(),
+      Location.getBackgroundPermissionsAsync()
+    ]);
+    return { foreground: foreground.status === 'granted', background: background.status === 'granted' };
+  },
+
+  getCurrentPosition: accuracy => Location.getCurrentPositionAsync({ accuracy }),
+
+  watchPosition: (options, callback) => Location.watchPositionAsync(options, location => {
+    callback(location).catch(error => {
+      console.error('Error processing location update:', error);
+    });
+  }),
+
+  getBatteryLevel: () => Battery.getBatteryLevelAsync(),
+
+  isCharging: async () => {
+    const state = await Battery.getBatteryStateAsync();
+    return state === Battery.BatteryState.CHARGING || state === Battery.BatteryState.FULL;
+  }
+};
+
+// Service state
+let activeSource: LocationSource = deviceLocationSource;
+const sourceListeners = new Set<LocationSourceListener>();
+
+/**
+ * Get the source tracking currently reads from
+ */
+export const getLocationSource = (): LocationSource => activeSource;
+
+/**
+ * Replace the location source, or pass null to go back to the device
+ *
+ * Takes effect the next time tracking starts, so stop tracking first.
+ */
+export const setLocationSource = (source: LocationSource | null): void => {
+  activeSource = source || deviceLocationSource;
+  sourceListeners.forEach(listener => {
+    try {
+      listener(activeSource);
+    } catch (error) {
+      console.warn('Error in location source listener:', error);
+    }
+  });
+};
+
+/**
+ * Subscribe to location source changes
+ * @returns Function to remove the listener
+ */
+export const addLocationSourceListener = (listener: LocationSourceListener): (() => void) => {
+  sourceListeners.add(listener);
+  return () => {
+    sourceListeners.delete(listener);
+  };
+};
+
+export default {
+  deviceLocationSource,
+  getLocationSource,
+  setLocationSource,
+  addLocationSourceListener
+};
@@ -0,0 +1,136 @@
+import * as Notifications from 'expo-notifications';
+import database from '../database/database';
+import { deleteFieldKey } from '../database/encryption';
+import { UserDataModel } from '../database/models';
+import { getTrackingStatus } from './LocationService';
+import { getOpenLiveShares, revokeLiveShare } from './LiveShareService';
+import { isDuressSession } from './SecurityService';
+import { getSyncUser, deleteCloudData } from './SyncService';
+import { reloadSettings } from './SettingsService';
+import { TrackFile, shareTrackFile, deleteSharedFiles } from './TrackExchangeService';
+
+/**
+ * SafeTack Privacy Service
+ * Download everything SafeTack stores about the user, or delete all of it
+ *
+ * The export is a single JSON file with every table, decrypted. The wipe removes
+ * local rows, the signed-in account's cloud rows, notifications and shared files,
+ * checks that nothing is left, then forgets the field encryption key. The app
+ * lock PIN is kept, as it lives in the keychain rather than the data.
+ */
+
+// Configuration constants
+const EXPORT_FORMAT_VERSION = 1;
+const EXPORT_FILE_PREFIX = 'safetack-data-';
+const EXPORT_FILE_PATTERN = new RegExp(`^${EXPORT_FILE_PREFIX}.*\\.json$`);
+
+// What a wipe asked for in a duress session fails with: the real reason, the hidden tracking, mustn't show
+const WIPE_UNAVAILABLE_MESSAGE = 'Your data could not be deleted right now. Please try again later';
+
+export interface WipeOptions {
+  // Delete the signed-in account's cloud rows too (default true)
+  includeCloud?: boolean;
+}
+
+export interface WipeResult {
+  localRows: number;               // rows deleted on this phone
+  cloudRows: number | null;        // rows deleted from the cloud; null if the cloud was left alone
+  liveSharesClosed: number;
+  filesDeleted: number;
+}
+
+/**
+ * Build the data export file
+ *
+ * In a duress session the file leaves the duress alert out, as every screen does.
+ */
+export const exportUserData = async (): Promise<TrackFile> => {
+  const exportedAt = new Date();
+
+  const archive = {
+    app: 'SafeTack',
+    format_version: EXPORT_FORMAT_VERSION,
+    schema_version: await database.getSchemaVersion(),
+    exported_at: exportedAt.toISOString(),
+    tables: await UserDataModel.exportTables(isDuressSession())
+  };
+
+  return {
+    fileName: `${EXPORT_FILE_PREFIX}${exportedAt.toISOString().slice(0, 10)}.json`,
+    mimeType: 'application/json',
+    content: JSON.stringify(archive, null, 2)
+  };
+};
+
+/**
+ * Build the data export and open the share sheet, e.g. to save it to Files
+ */
+export const shareUserData = async (): Promise<void> => {
+  await shareTrackFile(await exportUserData());
+};
+
+/**
+ * Delete all of the user's data and check nothing is left
+ *
+ * Cloud rows go first: if they can't be deleted, nothing on the phone is
+ * touched, so the user can retry with a connection or choose to leave the
+ * cloud alone. In a duress session nothing is deleted: the wipe fails with
+ * WIPE_UNAVAILABLE_MESSAGE, as it could on any phone, so the data and the
+ * hidden tracking stay in place for contacts.
+ * @throws Error if monitoring is active or data is still stored afterwards
+ */
+export const wipeAllData = async (options: WipeOptions = {}): Promise<WipeResult> => {
+  if (isDuressSession()) {
+    throw new Error(WIPE_UNAVAILABLE_MESSAGE);
+  }
+
+  if (getTrackingStatus().isTracking) {
+    throw new Error('Stop monitoring before deleting your data');
+  }
+
+  // Links already sent to contacts should say sharing ended rather than linger until they expire
+  let liveSharesClosed = 0;
+  for (const share of await getOpenLiveShares()) {
+    try {
+      await revokeLiveShare(share.id);
+      liveSharesClosed++;
+    } catch (error) {
+      console.warn('Error closing live share before wipe:', error);
+    }
+  }
+
+  const includeCloud = options.includeCloud !== false && !!getSyncUser();
+  const cloudRows = includeCloud ? await deleteCloudData() : null;
+
+  await Notifications.cancelAllScheduledNotificationsAsync();
+  await Notifications.dismissAllNotificationsAsync();
+
+  const deleted = await UserDataModel.deleteAll();
+
+  const remaining = Object.entries(await UserDataModel.countRows())
+    .filter(([, count]) => count > 0)
+    .map(([table]) => table);
+  if (remaining.length > 0) {
+    throw new Error(`Data is still stored in ${remaining.join(', ')}`);
+  }
+
+  // Anything restored from a backup of the old database can no longer be read
+  await deleteFieldKey();
+  await database.vacuum();
+
+  const filesDeleted = await deleteSharedFiles(EXPORT_FILE_PATTERN);
+  await reloadSettings();
+
+  return {
+    localRows: Object.values(deleted).reduce((sum, count) => sum + count, 0),
+    cloudRows,
+    liveSharesClosed,
+    filesDeleted
+  };
+};
+
+export default {
+  exportUserData,
+  shareUserData,
+  wipeAllData
+};
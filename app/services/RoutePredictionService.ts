@@ -0,0 +1,331 @@
+import { RoutesModel, JourneysModel, RoutePoint, Route } from '../database/models';
+import database from '../database/database';
+import { haversineDistance } from '../utils/helpers';
+import {
+  GeoPosition,
+  calculateBearing,
+  bearingDifference,
+  cumulativeDistances,
+  projectOntoPolyline,
+  pointAlongPolyline
+} from '../utils/geometry';
+
+/**
+ * SafeTack Route Prediction Service
+ * Predicts which learned route an in-progress journey is following
+ */
+
+// Configuration constants
+const CANDIDATE_START_RADIUS = 300; // meters between journey start and route start
+const PREDICTION_MIN_DISTANCE = 150; // meters travelled before committing to a prediction
+const PREDICTION_MIN_SCORE = 0.6;
+const PREDICTION_MIN_MARGIN = 0.1; // lead required over the runner-up candidate
+const HEADING_MIN_DISTANCE = 50; // meters travelled before heading is meaningful
+const HEADING_TOLERANCE = 90; // degrees at which heading score reaches zero
+const PATH_OFFSET_TOLERANCE = 150; // meters of mean offset at which path score reaches zero
+const TIME_OF_DAY_TOLERANCE = 3; // hours at which time score reaches zero
+
+// Score weights (sum to 1)
+const START_WEIGHT = 0.25;
+const HEADING_WEIGHT = 0.25;
+const TIME_WEIGHT = 0.15;
+const PATH_WEIGHT = 0.35;
+
+export interface RouteCandidate {
+  routeId: number;
+  name?: string;
+  score: number;
+  startScore: number;
+  headingScore: number;
+  timeScore: number;
+  pathScore: number;
+}
+
+export interface PredictedRoute {
+  routeId: number;
+  score: number;
+  points: RoutePoint[];
+}
+
+interface TrackedPoint extends GeoPosition {
+  timestamp?: number;
+}
+
+interface CandidateRoute {
+  route: Route;
+  points: RoutePoint[];
+  length: number;
+  typicalHours: number[];
+  offsetSum: number;
+  offsetCount: number;
+}
+
+interface PredictionState {
+  journeyId: number;
+  startPoint: TrackedPoint;
+  lastPoint: TrackedPoint;
+  distanceTravelled: number;
+  candidates: CandidateRoute[];
+  ranking: RouteCandidate[];
+  predictedRouteId: number | null;
+}
+
+// Prediction state per active journey
+const predictionStates = new Map<number, PredictionState>();
+
+/**
+ * Begin predicting the route for a newly started journey
+ */
+export const startRoutePrediction = async (journeyId: number, startPoint: TrackedPoint): Promise<void> => {
+  try {
+    const candidates = await loadCandidateRoutes(startPoint);
+
+    predictionStates.set(journeyId, {
+      journeyId,
+      startPoint,
+      lastPoint: startPoint,
+      distanceTravelled: 0,
+      candidates,
+      ranking: [],
+      predictedRouteId: null
+    });
+  } catch (error) {
+    console.error(`Error starting route prediction for journey ID ${journeyId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Feed a new location into the prediction and re-rank candidate routes
+ * @returns Candidates ordered by descending score
+ */
+export const updateRoutePrediction = async (journeyId: number, point: TrackedPoint): Promise<RouteCandidate[]> => {
+  try {
+    let state = predictionStates.get(journeyId);
+
+    // State is lost when the OS restarts the background task, so rebuild it
+    if (!state) {
+      state = await restorePredictionState(journeyId);
+      if (!state) return [];
+    }
+
+    applyPoint(state, point);
+    return state.ranking;
+  } catch (error) {
+    console.error(`Error updating route prediction for journey ID ${journeyId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Get the route currently predicted for a journey, if confident enough
+ */
+export const getPredictedRoute = (journeyId: number): PredictedRoute | null => {
+  const state = predictionStates.get(journeyId);
+  if (!state || state.predictedRouteId === null) return null;
+
+  const candidate = state.candidates.find(c => c.route.id === state.predictedRouteId);
+  const ranked = state.ranking.find(r => r.routeId === state.predictedRouteId);
+  if (!candidate || !ranked) return null;
+
+  return {
+    routeId: state.predictedRouteId,
+    score: ranked.score,
+    points: candidate.points
+  };
+};
+
+/**
+ * Discard prediction state once a journey ends
+ */
+export const clearRoutePrediction = (journeyId: number): void => {
+  predictionStates.delete(journeyId);
+};
+
+/**
+ * Load learned routes that start near the given point
+ */
+const loadCandidateRoutes = async (startPoint: GeoPosition): Promise<CandidateRoute[]> => {
+  // Geohash lookup narrows to routes starting within a cell or two, then filter exactly
+  const routes = await RoutesModel.getRoutesStartingNear(startPoint);
+  const nearbyRoutes = routes.filter(route =>
+    route.id && route.start_location && route.points && route.points.length >= 2 &&
+    haversineDistance(
+      startPoint.latitude, startPoint.longitude,
+      route.start_location.latitude, route.start_location.longitude
+    ) <= CANDIDATE_START_RADIUS
+  );
+
+  if (nearbyRoutes.length === 0) return [];
+
+  const typicalHours = await getTypicalStartHours(nearbyRoutes.map(route => route.id!));
+
+  return nearbyRoutes.map(route => {
+    const cumulative = cumulativeDistances(route.points!);
+
+    return {
+      route,
+      points: route.points!,
+      length: cumulative[cumulative.length - 1],
+      typicalHours: typicalHours.get(route.id!) || [],
+      offsetSum: 0,
+      offsetCount: 0
+    };
+  });
+};
+
+/**
+ * Get the hours of day at which past journeys on each route started
+ */
+const getTypicalStartHours = async (routeIds: number[]): Promise<Map<number, number[]>> => {
+  const placeholders = routeIds.map(() => '?').join(', ');
+  const result = await database.executeQuery(
+    `SELECT matched_route_id, start_time FROM Journeys
+     WHERE matched_route_id IN (${placeholders}) AND start_time IS NOT NULL`,
+    routeIds
+  );
+
+  const hours = new Map<number, number[]>();
+
+  for (const row of result.rows._array) {
+    const date = new Date(row.start_time);
+    const list = hours.get(row.matched_route_id) || [];
+    list.push(date.getHours() + date.getMinutes() / 60);
+    hours.set(row.matched_route_id, list);
+  }
+
+  return hours;
+};
+
+/**
+ * Rebuild prediction state from the points already stored for a journey
+ */
+const restorePredictionState = async (journeyId: number): Promise<PredictionState | undefined> => {
+  const points: TrackedPoint[] = await JourneysModel.getJourneyPoints(journeyId);
+  if (points.length === 0) return undefined;
+
+  await startRoutePrediction(journeyId, points[0]);
+  const state = predictionStates.get(journeyId);
+
+  if (state) {
+    for (let i = 1; i < points.length; i++) {
+      applyPoint(state, points[i]);
+    }
+  }
+
+  return state;
+};
+
+/**
+ * Update state with a new point and recompute the ranking
+ */
+const applyPoint = (state: PredictionState, point: TrackedPoint): void => {
+  state.distanceTravelled += haversineDistance(
+    state.lastPoint.latitude, state.lastPoint.longitude,
+    point.latitude, point.longitude
+  );
+  state.lastPoint = point;
+
+  for (const candidate of state.candidates) {
+    const projection = projectOntoPolyline(point, candidate.points);
+    if (projection) {
+      candidate.offsetSum += projection.distance;
+      candidate.offsetCount++;
+    }
+  }
+
+  state.ranking = state.candidates
+    .map(candidate => scoreCandidate(state, candidate))
+    .sort((a, b) => b.score - a.score);
+
+  state.predictedRouteId = selectPrediction(state);
+};
+
+/**
+ * Score how well a candidate route explains the journey so far (0-1 scale)
+ */
+const scoreCandidate = (state: PredictionState, candidate: CandidateRoute): RouteCandidate => {
+  const routeStart = candidate.points[0];
+
+  // Start location: 0m = 1.0, CANDIDATE_START_RADIUS = 0.0
+  const startDistance = haversineDistance(
+    state.startPoint.latitude, state.startPoint.longitude,
+    routeStart.latitude, routeStart.longitude
+  );
+  const startScore = Math.max(0, 1 - startDistance / CANDIDATE_START_RADIUS);
+
+  // Heading: compare journey bearing with route bearing over the same distance
+  let headingScore = 0.5; // Neutral until we have moved far enough
+  if (state.distanceTravelled >= HEADING_MIN_DISTANCE) {
+    const routeReference = pointAlongPolyline(
+      candidate.points,
+      Math.min(state.distanceTravelled, candidate.length)
+    );
+
+    if (routeReference) {
+      const journeyBearing = calculateBearing(state.startPoint, state.lastPoint);
+      const routeBearing = calculateBearing(routeStart, routeReference);
+      headingScore = Math.max(0, 1 - bearingDifference(journeyBearing, routeBearing) / HEADING_TOLERANCE);
+    }
+  }
+
+  // Time of day: closest past start hour for this route
+  let timeScore = 0.5; // Neutral when the route has no history
+  if (candidate.typicalHours.length > 0) {
+    const now = new Date(state.startPoint.timestamp || Date.now());
+    const hour = now.getHours() + now.getMinutes() / 60;
+    const closest = Math.min(...candidate.typicalHours.map(h => {
+      const diff = Math.abs(h - hour);
+      return Math.min(diff, 24 - diff);
+    }));
+    timeScore = Math.max(0, 1 - closest / TIME_OF_DAY_TOLERANCE);
+  }
+
+  // Path: mean offset of journey points from the route polyline
+  const meanOffset = candidate.offsetCount > 0 ? candidate.offsetSum / candidate.offsetCount : 0;
+  const pathScore = Math.max(0, 1 - meanOffset / PATH_OFFSET_TOLERANCE);
+
+  const baseScore = START_WEIGHT * startScore +
+                    HEADING_WEIGHT * headingScore +
+                    TIME_WEIGHT * timeScore +
+                    PATH_WEIGHT * pathScore;
+
+  // Well-established routes get a small prior boost
+  const confidence = candidate.route.confidence_score || 0;
+
+  return {
+    routeId: candidate.route.id!,
+    name: candidate.route.name,
+    score: baseScore * (0.8 + 0.2 * confidence),
+    startScore,
+    headingScore,
+    timeScore,
+    pathScore
+  };
+};
+
+/**
+ * Pick the predicted route once the leader is clear enough
+ */
+const selectPrediction = (state: PredictionState): number | null => {
+  if (state.distanceTravelled < PREDICTION_MIN_DISTANCE || state.ranking.length === 0) {
+    return null;
+  }
+
+  const [best, runnerUp] = state.ranking;
+  const current = state.ranking.find(r => r.routeId === state.predictedRouteId);
+
+  // A falling score is exactly what a deviation looks like, so once a route is
+  // predicted keep it until another candidate clearly overtakes it
+  if (current) {
+    const overtaken = best.routeId !== current.routeId &&
+                      best.score >= PREDICTION_MIN_SCORE &&
+                      best.score - current.score >= PREDICTION_MIN_MARGIN;
+    return overtaken ? best.routeId : current.routeId;
+  }
+
+  if (best.score < PREDICTION_MIN_SCORE) return null;
+  if (runnerUp && best.score - runnerUp.score < PREDICTION_MIN_MARGIN) return null;
+
+  return best.routeId;
+};
@@ -1,14 +1,23 @@
-import { RoutesModel, JourneysModel, RoutePoint, JourneyPoint } from '../database/models';
-import { haversineDistance } from './LocationService';
+import { RoutesModel, JourneysModel, RoutePoint, JourneyPoint, Route } from '../database/models';
+import { haversineDistance } from '../utils/helpers';
+import { projectOntoPolyline, distanceToSegment, getBounds, expandBounds } from '../utils/geometry';
+import { compareRoutes, RouteMatch } from '../utils/routeMatching';
+import { updateRoutePrediction, getPredictedRoute } from './RoutePredictionService';
+import { getEffectiveSettings } from './SettingsService';
+import { getJourneySegments, getMatchTolerance, getLiveMode, getModeProfile } from './SegmentationService';
 import database from '../database/database';
 
 // Configuration constants
 const MIN_POINTS_FOR_ROUTE = 10;
 const MIN_ROUTE_DISTANCE = 500; // meters
 const ROUTE_SIMILARITY_THRESHOLD = 0.8; // 80% similarity to consider routes the same
-const DEVIATION_DISTANCE_THRESHOLD = 100; // meters
+const CANDIDATE_BOUNDS_MARGIN = 200; // meters around the journey to search for overlapping routes; above the 80m a match can stray
+const FULL_TRAVERSAL_COVERAGE = 0.9; // share of a route travelled for the trip to count towards its duration
+const ROUTE_COVERAGE_WEIGHT = 0.1; // ranking bonus for journeys that cover more of a route
+const DEVIATION_CONFIRMATION_POINTS = 3; // consecutive off-route fixes before recording
+const MAX_FIX_ACCURACY = 50; // meters; less accurate fixes are ignored
 const INITIAL_CONFIDENCE_SCORE = 0.3;
-const CONFIDENCE_INCREMENT = 0.1;
+export const CONFIDENCE_INCREMENT = 0.1; // per trip matched to a route
 const MAX_CONFIDENCE_SCORE = 1.0;
 
 interface AnalysisResult {
@@ -22,15 +31,47 @@ interface GeoPosition {
   longitude: number;
 }
 
-interface DeviationResult {
+interface TrackedPosition extends GeoPosition {
+  accuracy?: number | null;
+  timestamp?: number;
+}
+
+interface PathPoint extends GeoPosition {
+  accuracy?: number | null;
+  altitude?: number | null;
+  timestamp?: number | null;
+}
+
+interface NewRouteDetails {
+  name: string;
+  category?: string;
+  timesTraveled: number;
+}
+
+export interface DeviationResult {
   deviationId: number;
   distance: number;
   expected: GeoPosition;
   actual: GeoPosition;
+  latitude: number;
+  longitude: number;
   routeId: number;
   journeyId: number;
 }
 
+export interface DeviationCheckOptions {
+  manual?: boolean; // asked for by the user rather than a location update
+}
+
+interface DeviationTracking {
+  routeId: number;
+  offRouteCount: number;
+  deviating: boolean;
+}
+
+// Consecutive off-route state per active journey
+const deviationTracking = new Map<number, DeviationTracking>();
+
 /**
  * Analyze a completed journey to identify if it matches existing routes
  * or should be considered a new route
@@ -53,29 +94,41 @@ export const analyzeJourney = async (journeyId: number): Promise<AnalysisResult
       return null;
     }
     
-    // Get all existing routes
-    const routes = await RoutesModel.getRoutes();
+    // Only routes whose extent takes in most of the journey can match: similarity is at
+    // most the share of the journey that follows the route, which lies within the route's bounds
+    const bounds = expandBounds(getBounds(journeyPoints)!, CANDIDATE_BOUNDS_MARGIN);
+    const routes = await RoutesModel.getRoutesInBounds(bounds, {
+      path: journeyPoints,
+      margin: CANDIDATE_BOUNDS_MARGIN,
+      minShare: ROUTE_SIMILARITY_THRESHOLD
+    });
+    
+    // A bus can stray further from a learned route than someone walking it
+    const segments = await getJourneySegments(journeyId, journeyPoints);
+    const matchTolerance = getMatchTolerance(segments);
     
     // Find the best matching route, if any
-    let bestMatchRoute = null;
-    let bestMatchScore = 0;
+    let bestMatchRoute: Route | null = null;
+    let bestMatch: RouteMatch | null = null;
+    let bestRank = 0;
     
     for (const route of routes) {
-      if (route.id) {
-        const routeWithPoints = await RoutesModel.getRouteWithPoints(route.id);
-        if (routeWithPoints && routeWithPoints.points) {
-          const similarity = calculateRouteSimilarity(journeyPoints, routeWithPoints.points);
-          
-          if (similarity > bestMatchScore) {
-            bestMatchScore = similarity;
-            bestMatchRoute = routeWithPoints;
-          }
-        }
+      if (!route.points) continue;
+      
+      const match = compareRoutes(journeyPoints, route.points, matchTolerance);
+      if (match.similarity < ROUTE_SIMILARITY_THRESHOLD) continue;
+      
+      // Prefer the route the journey travelled most of, e.g. the whole commute over a longer route it shares
+      const rank = match.similarity + ROUTE_COVERAGE_WEIGHT * match.routeCoverage;
+      if (rank > bestRank) {
+        bestRank = rank;
+        bestMatch = match;
+        bestMatchRoute = route;
       }
     }
     
     // If we found a good match, update the route confidence
-    if (bestMatchScore >= ROUTE_SIMILARITY_THRESHOLD && bestMatchRoute && bestMatchRoute.id) {
+    if (bestMatch && bestMatchRoute && bestMatchRoute.id) {
       // Update the journey with the matched route
       await JourneysModel.completeJourney(
         journeyId, 
@@ -94,11 +147,14 @@ export const analyzeJourney = async (journeyId: number): Promise<AnalysisResult
         MAX_CONFIDENCE_SCORE
       );
       
-      // Calculate new average duration
-      const newAvgDuration = bestMatchRoute.avg_duration && bestMatchRoute.times_traveled ?
-        (bestMatchRoute.avg_duration * bestMatchRoute.times_traveled + journeyDuration) / 
-        (bestMatchRoute.times_traveled + 1) :
-        journeyDuration;
+      // Calculate new average duration; partial trips would drag it down, so keep the old one
+      let newAvgDuration = bestMatchRoute.avg_duration || journeyDuration;
+      if (bestMatch.routeCoverage >= FULL_TRAVERSAL_COVERAGE) {
+        newAvgDuration = bestMatchRoute.avg_duration && bestMatchRoute.times_traveled ?
+          (bestMatchRoute.avg_duration * bestMatchRoute.times_traveled + journeyDuration) / 
+          (bestMatchRoute.times_traveled + 1) :
+          journeyDuration;
+      }
       
       await RoutesModel.updateRouteConfidence(
         bestMatchRoute.id,
@@ -109,40 +165,15 @@ export const analyzeJourney = async (journeyId: number): Promise<AnalysisResult
       return {
         routeId: bestMatchRoute.id,
         isNewRoute: false,
-        similarity: bestMatchScore
+        similarity: bestMatch.similarity
       };
     } 
     // If no good match, create a new route
     else {
-      // Simplify journey points to create a more efficient route
-      const simplifiedPoints = simplifyRoute(journeyPoints);
-      
-      // Create a new route
-      const startLocation = journeyPoints[0];
-      const endLocation = journeyPoints[journeyPoints.length - 1];
-      
-      const routeId = await RoutesModel.createRoute(
-        {
-          name: generateRouteName(startLocation, endLocation),
-          confidence_score: INITIAL_CONFIDENCE_SCORE,
-          start_location: {
-            latitude: startLocation.latitude,
-            longitude: startLocation.longitude
-          },
-          end_location: {
-            latitude: endLocation.latitude,
-            longitude: endLocation.longitude
-          },
-          avg_duration: endLocation.timestamp - startLocation.timestamp,
-          times_traveled: 1
-        },
-        simplifiedPoints.map(point => ({
-          latitude: point.latitude,
-          longitude: point.longitude,
-          accuracy: point.accuracy,
-          altitude: point.altitude
-        }))
-      );
+      const routeId = await createRouteFromPoints(journeyPoints, {
+        name: generateRouteName(journeyPoints[0], journeyPoints[journeyPoints.length - 1]),
+        timesTraveled: 1
+      });
       
       // Update the journey with the new route ID
       await JourneysModel.completeJourney(
@@ -164,17 +195,78 @@ export const analyzeJourney = async (journeyId: number): Promise<AnalysisResult
   }
 };
 
+/**
+ * Store a path as a new learned route
+ * 
+ * Recorded journeys and imported tracks both come through here, so every
+ * route is simplified the same way before it is saved.
+ */
+export const createRouteFromPoints = async (points: PathPoint[], details: NewRouteDetails): Promise<number> => {
+  try {
+    if (!points || points.length < 2) {
+      throw new Error('A route needs at least two points');
+    }
+    
+    // Simplify points to create a more efficient route
+    const simplifiedPoints = simplifyRoute(points);
+    
+    const startLocation = points[0];
+    const endLocation = points[points.length - 1];
+    const duration = startLocation.timestamp && endLocation.timestamp
+      ? endLocation.timestamp - startLocation.timestamp
+      : 0;
+    
+    return await RoutesModel.createRoute(
+      {
+        name: details.name,
+        category: details.category,
+        confidence_score: INITIAL_CONFIDENCE_SCORE,
+        start_location: {
+          latitude: startLocation.latitude,
+          longitude: startLocation.longitude
+        },
+        end_location: {
+          latitude: endLocation.latitude,
+          longitude: endLocation.longitude
+        },
+        avg_duration: duration,
+        times_traveled: details.timesTraveled
+      },
+      simplifiedPoints.map(point => ({
+        latitude: point.latitude,
+        longitude: point.longitude,
+        accuracy: point.accuracy ?? undefined,
+        altitude: point.altitude ?? undefined
+      }))
+    );
+  } catch (error) {
+    console.error('Error creating route from points:', error);
+    throw error;
+  }
+};
+
 /**
  * Check for deviation from the current route
+ * 
+ * Uses the journey's matched route when known, otherwise the live prediction.
+ * Low-accuracy fixes are ignored and a deviation is only recorded after
+ * several consecutive off-route fixes so GPS jitter does not raise alerts.
+ * The allowed distance depends on the journey's live transportation mode.
+ *
+ * A manual check is judged on its own fix: it neither counts towards nor
+ * resets the consecutive off-route fixes, and doesn't feed the prediction,
+ * which follow location updates only. It still reports each excursion once.
  */
 export const checkForDeviation = async (
   journeyId: number, 
-  currentPosition: GeoPosition
+  currentPosition: TrackedPosition,
+  options: DeviationCheckOptions = {}
 ): Promise<DeviationResult | null> => {
   try {
-    // Get journey details
-    const points = await JourneysModel.getJourneyPoints(journeyId);
-    if (!points || points.length === 0) return null;
+    // Ignore fixes too imprecise to tell on-route from off-route
+    if (currentPosition.accuracy && currentPosition.accuracy > MAX_FIX_ACCURACY) {
+      return null;
+    }
     
     // Get the matched route for this journey
     const journey = await database.executeQuery(
@@ -182,53 +274,77 @@ export const checkForDeviation = async (
       [journeyId]
     );
     
-    const matchedRouteId = journey.rows._array[0]?.matched_route_id;
-    if (!matchedRouteId) return null; // No matched route yet
+    let routeId: number | null = journey.rows._array[0]?.matched_route_id || null;
+    let routePoints: RoutePoint[] | undefined;
     
-    // Get the route points
-    const route = await RoutesModel.getRouteWithPoints(matchedRouteId);
-    if (!route || !route.points || route.points.length === 0) return null;
+    if (routeId) {
+      const route = await RoutesModel.getRouteWithPoints(routeId);
+      routePoints = route?.points;
+    } else {
+      // No confirmed match yet, so use the live prediction
+      if (!options.manual) {
+        await updateRoutePrediction(journeyId, currentPosition);
+      }
+      const prediction = getPredictedRoute(journeyId);
+      routeId = prediction?.routeId || null;
+      routePoints = prediction?.points;
+    }
     
-    // Determine how far along the journey we are
-    const progress = estimateRouteProgress(points, route.points);
+    if (!routeId || !routePoints || routePoints.length === 0) return null; // No route to compare against
     
-    // Get expected position at this progress
-    const expectedPosition = interpolateRoutePosition(route.points, progress);
-    if (!expectedPosition) return null;
+    // Find the closest position on the route
+    const projection = projectOntoPolyline(currentPosition, routePoints);
+    if (!projection) return null;
     
-    // Calculate distance between current and expected position
-    const deviationDistance = haversineDistance(
-      currentPosition.latitude,
-      currentPosition.longitude,
-      expectedPosition.latitude,
-      expectedPosition.longitude
-    );
+    const deviationDistance = projection.distance;
+    const tracking = getDeviationTracking(journeyId, routeId);
     
-    // Check if deviation exceeds threshold
-    if (deviationDistance > DEVIATION_DISTANCE_THRESHOLD) {
-      // Record the deviation
-      const deviationId = await JourneysModel.recordDeviation(journeyId, {
-        latitude: currentPosition.latitude,
-        longitude: currentPosition.longitude,
-        timestamp: Date.now(),
-        deviation_distance: deviationDistance,
-        alert_sent: false
-      });
-      
-      return {
-        deviationId,
-        distance: deviationDistance,
-        expected: expectedPosition,
-        actual: {
-          latitude: currentPosition.latitude,
-          longitude: currentPosition.longitude
-        },
-        routeId: matchedRouteId,
-        journeyId
-      };
+    // Threshold comes from settings, with any override for this route applied,
+    // then widened or tightened for the mode being travelled
+    const { deviationThreshold } = await getEffectiveSettings(routeId);
+    const modeThreshold = deviationThreshold * getModeProfile(getLiveMode(journeyId)).deviationScale;
+    
+    // Back on route - reset so a later excursion is reported again
+    if (deviationDistance <= modeThreshold) {
+      if (!options.manual) {
+        tracking.offRouteCount = 0;
+        tracking.deviating = false;
+      }
+      return null;
     }
     
-    return null; // No significant deviation
+    // Report each excursion once
+    if (tracking.deviating) return null;
+    
+    // Wait for consecutive off-route fixes
+    if (!options.manual && ++tracking.offRouteCount < DEVIATION_CONFIRMATION_POINTS) {
+      return null;
+    }
+    
+    tracking.deviating = true;
+    
+    // Record the deviation
+    const deviationId = await JourneysModel.recordDeviation(journeyId, {
+      latitude: currentPosition.latitude,
+      longitude: currentPosition.longitude,
+      timestamp: Date.now(),
+      deviation_distance: deviationDistance,
+      alert_sent: false
+    });
+    
+    return {
+      deviationId,
+      distance: deviationDistance,
+      expected: projection.point,
+      actual: {
+        latitude: currentPosition.latitude,
+        longitude: currentPosition.longitude
+      },
+      latitude: currentPosition.latitude,
+      longitude: currentPosition.longitude,
+      routeId,
+      journeyId
+    };
   } catch (error) {
     console.error('Error checking for deviation:', error);
     throw error;
@@ -236,142 +352,30 @@ export const checkForDeviation = async (
 };
 
 /**
- * Calculate the similarity between two routes (0-1 scale)
- */
-const calculateRouteSimilarity = (journeyPoints: JourneyPoint[], routePoints: RoutePoint[]): number => {
-  if (!journeyPoints || !routePoints || 
-      journeyPoints.length < 5 || routePoints.length < 5) {
-    return 0;
-  }
-  
-  // Simplify both sets of points for comparison
-  const simplifiedJourney = simplifyRoute(journeyPoints);
-  const simplifiedRoute = simplifyRoute(routePoints);
-  
-  // Check start and end point similarity
-  const startPointSimilarity = calculatePointSimilarity(
-    simplifiedJourney[0], 
-    simplifiedRoute[0]
-  );
-  
-  const endPointSimilarity = calculatePointSimilarity(
-    simplifiedJourney[simplifiedJourney.length - 1], 
-    simplifiedRoute[simplifiedRoute.length - 1]
-  );
-  
-  // If start or end points are very different, routes are different
-  if (startPointSimilarity < 0.7 || endPointSimilarity < 0.7) {
-    return 0;
-  }
-  
-  // Calculate Frechet distance or similar metric
-  const pathSimilarity = calculatePathSimilarity(simplifiedJourney, simplifiedRoute);
-  
-  // Weight: 20% start point, 20% end point, 60% path
-  return 0.2 * startPointSimilarity + 0.2 * endPointSimilarity + 0.6 * pathSimilarity;
-};
-
-/**
- * Calculate similarity between two points (0-1 scale)
+ * Clear deviation tracking state once a journey ends
  */
-const calculatePointSimilarity = (
-  point1: GeoPosition, 
-  point2: GeoPosition
-): number => {
-  const distance = haversineDistance(
-    point1.latitude, point1.longitude,
-    point2.latitude, point2.longitude
-  );
-  
-  // Convert distance to similarity score
-  // 0m = 1.0 similarity, 200m = 0.0 similarity
-  return Math.max(0, 1 - distance / 200);
+export const resetDeviationTracking = (journeyId: number): void => {
+  deviationTracking.delete(journeyId);
 };
 
 /**
- * Calculate path similarity using discrete Fréchet distance
+ * Get off-route tracking state for a journey, resetting it if the route changed
  */
-const calculatePathSimilarity = (path1: GeoPosition[], path2: GeoPosition[]): number => {
-  // Simplified implementation - in production would use a proper Fréchet algorithm
-  // This is a basic approach that samples points along both paths
+const getDeviationTracking = (journeyId: number, routeId: number): DeviationTracking => {
+  let tracking = deviationTracking.get(journeyId);
   
-  // Normalize paths to have same number of points
-  const numSamples = 20;
-  const samples1 = samplePath(path1, numSamples);
-  const samples2 = samplePath(path2, numSamples);
-  
-  // Calculate average distance between corresponding points
-  let totalDistance = 0;
-  for (let i = 0; i < numSamples; i++) {
-    totalDistance += haversineDistance(
-      samples1[i].latitude, samples1[i].longitude,
-      samples2[i].latitude, samples2[i].longitude
-    );
+  if (!tracking || tracking.routeId !== routeId) {
+    tracking = { routeId, offRouteCount: 0, deviating: false };
+    deviationTracking.set(journeyId, tracking);
   }
   
-  const avgDistance = totalDistance / numSamples;
-  
-  // Convert to similarity score (0-1)
-  // 0m = 1.0 similarity, 200m = 0.0 similarity
-  return Math.max(0, 1 - avgDistance / 200);
-};
-
-/**
- * Sample a path to get evenly spaced points
- */
-const samplePath = (path: GeoPosition[], numSamples: number): GeoPosition[] => {
-  if (path.length <= numSamples) {
-    return path;
-  }
-  
-  const result: GeoPosition[] = [path[0]]; // Always include first point
-  
-  // Calculate total path length
-  let totalLength = 0;
-  const segmentLengths: number[] = [];
-  
-  for (let i = 1; i < path.length; i++) {
-    const dist = haversineDistance(
-      path[i-1].latitude, path[i-1].longitude,
-      path[i].latitude, path[i].longitude
-    );
-    segmentLengths.push(dist);
-    totalLength += dist;
-  }
-  
-  // Sample evenly along the path
-  const stepSize = totalLength / (numSamples - 1);
-  let currentDist = stepSize;
-  let accumulatedDist = 0;
-  
-  for (let i = 0; i < segmentLengths.length; i++) {
-    accumulatedDist += segmentLengths[i];
-    
-    while (currentDist <= accumulatedDist && result.length < numSamples - 1) {
-      // Interpolate point
-      const segmentPosition = 1 - (accumulatedDist - currentDist) / segmentLengths[i];
-      const point: GeoPosition = {
-        latitude: path[i].latitude * (1 - segmentPosition) + path[i+1].latitude * segmentPosition,
-        longitude: path[i].longitude * (1 - segmentPosition) + path[i+1].longitude * segmentPosition
-      };
-      
-      result.push(point);
-      currentDist += stepSize;
-    }
-  }
-  
-  // Always include last point
-  if (result.length < numSamples) {
-    result.push(path[path.length - 1]);
-  }
-  
-  return result;
+  return tracking;
 };
 
 /**
  * Simplify a route using Ramer-Douglas-Peucker algorithm
  */
-const simplifyRoute = <T extends GeoPosition>(points: T[], epsilon = 20): T[] => {
+export const simplifyRoute = <T extends GeoPosition>(points: T[], epsilon = 20): T[] => {
   if (points.length <= 2) {
     return [...points];
   }
@@ -384,7 +388,7 @@ const simplifyRoute = <T extends GeoPosition>(points: T[], epsilon = 20): T[] =>
   const lastPoint = points[points.length - 1];
   
   for (let i = 1; i < points.length - 1; i++) {
-    const distance = perpendicularDistance(
+    const distance = distanceToSegment(
       points[i],
       firstPoint,
       lastPoint
@@ -416,107 +420,6 @@ const simplifyRoute = <T extends GeoPosition>(points: T[], epsilon = 20): T[] =>
   }
 };
 
-/**
- * Calculate perpendicular distance from a point to a line
- */
-const perpendicularDistance = (
-  point: GeoPosition, 
-  lineStart: GeoPosition, 
-  lineEnd: GeoPosition
-): number => {
-  const x = point.latitude;
-  const y = point.longitude;
-  const x1 = lineStart.latitude;
-  const y1 = lineStart.longitude;
-  const x2 = lineEnd.latitude;
-  const y2 = lineEnd.longitude;
-  
-  // Line length
-  const lineLength = haversineDistance(x1, y1, x2, y2);
-  
-  if (lineLength === 0) {
-    return haversineDistance(x, y, x1, y1);
-  }
-  
-  // Calculate the perpendicular distance
-  const t = ((x - x1) * (x2 - x1) + (y - y1) * (y2 - y1)) / (lineLength * lineLength);
-  
-  if (t < 0) {
-    return haversineDistance(x, y, x1, y1);
-  }
-  
-  if (t > 1) {
-    return haversineDistance(x, y, x2, y2);
-  }
-  
-  const projectionX = x1 + t * (x2 - x1);
-  const projectionY = y1 + t * (y2 - y1);
-  
-  return haversineDistance(x, y, projectionX, projectionY);
-};
-
-/**
- * Estimate how far along a route the user has progressed (0-1)
- */
-const estimateRouteProgress = (journeyPoints: JourneyPoint[], routePoints: RoutePoint[]): number => {
-  if (!journeyPoints || !routePoints || journeyPoints.length === 0 || routePoints.length === 0) {
-    return 0;
-  }
-  
-  // Get current location
-  const currentPoint = journeyPoints[journeyPoints.length - 1];
-  
-  // Find closest match on route
-  let minDistance = Infinity;
-  let closestIndex = 0;
-  
-  for (let i = 0; i < routePoints.length; i++) {
-    const distance = haversineDistance(
-      currentPoint.latitude, currentPoint.longitude,
-      routePoints[i].latitude, routePoints[i].longitude
-    );
-    
-    if (distance < minDistance) {
-      minDistance = distance;
-      closestIndex = i;
-    }
-  }
-  
-  // Return progress as percentage along route
-  return closestIndex / (routePoints.length - 1);
-};
-
-/**
- * Interpolate position on route at a specific progress point
- */
-const interpolateRoutePosition = (routePoints: RoutePoint[], progress: number): GeoPosition | null => {
-  if (!routePoints || routePoints.length === 0) {
-    return null;
-  }
-  
-  if (progress <= 0) return routePoints[0];
-  if (progress >= 1) return routePoints[routePoints.length - 1];
-  
-  // Calculate the exact index we need
-  const exactIndex = progress * (routePoints.length - 1);
-  const lowerIndex = Math.floor(exactIndex);
-  const upperIndex = Math.ceil(exactIndex);
-  
-  if (lowerIndex === upperIndex) {
-    return routePoints[lowerIndex];
-  }
-  
-  // Interpolate between the two points
-  const weight = exactIndex - lowerIndex;
-  
-  return {
-    latitude: routePoints[lowerIndex].latitude * (1 - weight) + 
-              routePoints[upperIndex].latitude * weight,
-    longitude: routePoints[lowerIndex].longitude * (1 - weight) + 
-               routePoints[upperIndex].longitude * weight
-  };
-};
-
 /**
  * Calculate total distance of a path
  */
@@ -0,0 +1,483 @@
+import * as SecureStore from 'expo-secure-store';
+import * as Crypto from 'expo-crypto';
+import * as LocalAuthentication from 'expo-local-authentication';
+import * as Location from 'expo-location';
+import { pbkdf2Async } from '@noble/hashes/pbkdf2';
+import { sha256 } from '@noble/hashes/sha2';
+import { bytesToHex, hexToBytes } from '@noble/hashes/utils';
+import { JourneysModel, FieldEncryptionModel } from '../database/models';
+import { AlertSeverity } from './AlertService';
+import { handleDeviation } from './EscalationService';
+import { cancelCheckIns } from './CheckInService';
+import { startLocationTracking, getTrackingStatus, setDiscreetMode } from './LocationService';
+import { getSettings } from './SettingsService';
+
+/**
+ * SafeTack Security Service
+ * App lock with a PIN (or biometrics), and a duress PIN that unlocks normally
+ * while silently alerting emergency contacts
+ *
+ * PIN hashes, the lockout counter and the duress flag live in the keychain,
+ * not the database, so they survive "clear data" and can't be read from a
+ * copied database file. PINs are stretched with PBKDF2 so each guess at a
+ * hash lifted from the keychain costs real time.
+ */
+
+// Keychain entries
+const PIN_KEY = 'safetack.pin';
+const DURESS_PIN_KEY = 'safetack.duress-pin';
+const LOCKOUT_KEY = 'safetack.lockout';
+const DURESS_ACTIVE_KEY = 'safetack.duress-active';
+
+// Configuration constants
+const PIN_PATTERN = /^\d{4,8}$/;
+const MAX_FAILED_ATTEMPTS = 5;             // wrong PINs allowed before unlocking is paused
+const LOCKOUT_BASE_DELAY = 30 * 1000;      // first pause; doubles with each further wrong PIN
+const LOCKOUT_MAX_DELAY = 15 * 60 * 1000;
+const PIN_KDF = 'pbkdf2-sha256';
+const PIN_HASH_ITERATIONS = 100000;        // runs in JS on the phone, so well short of server counts
+const PIN_HASH_LENGTH = 32;
+
+export type SessionState = 'locked' | 'unlocked' | 'duress';
+
+// Duress unlocks report 'unlocked' so nothing on screen can tell them apart
+export type UnlockResult = 'unlocked' | 'invalid' | 'locked_out';
+
+export type SessionListener = (state: SessionState) => void;
+
+export interface SecurityStatus {
+  lockEnabled: boolean;
+  duressPinSet: boolean;
+  biometricsAvailable: boolean;
+  lockedUntil: number | null;  // Unix timestamp in milliseconds while unlocking is paused
+}
+
+interface StoredPin {
+  kdf?: typeof PIN_KDF;  // missing on PINs stored as a single salted SHA-256
+  iterations?: number;
+  salt: string;
+  hash: string;
+}
+
+interface Lockout {
+  failures: number;
+  lockedUntil: number | null;
+}
+
+// Service state
+let sessionState: SessionState = 'unlocked';
+let lockEnabled = false;
+let initializing: Promise<SessionState> | null = null;
+const sessionListeners = new Set<SessionListener>();
+
+/**
+ * Load the lock configuration and resume a duress session, once per launch
+ * @returns The session state the app starts in
+ */
+export const initializeSecurity = (): Promise<SessionState> => {
+  if (!initializing) {
+    initializing = loadSession();
+    initializing.catch(() => {
+      initializing = null;
+    });
+  }
+  return initializing;
+};
+
+/**
+ * Get the current session state
+ */
+export const getSessionState = (): SessionState => sessionState;
+
+/**
+ * Check whether the app was last unlocked with the duress PIN
+ */
+export const isDuressSession = (): boolean => sessionState === 'duress';
+
+/**
+ * Subscribe to the app locking and unlocking
+ * @returns Function to remove the listener
+ */
+export const addSessionListener = (listener: SessionListener): (() => void) => {
+  sessionListeners.add(listener);
+  return () => {
+    sessionListeners.delete(listener);
+  };
+};
+
+/**
+ * Describe how the app lock is set up
+ */
+export const getSecurityStatus = async (): Promise<SecurityStatus> => {
+  const [pin, duressPin, lockout, biometricsAvailable] = await Promise.all([
+    SecureStore.getItemAsync(PIN_KEY),
+    SecureStore.getItemAsync(DURESS_PIN_KEY),
+    readLockout(),
+    isBiometricsAvailable()
+  ]);
+
+  return {
+    lockEnabled: !!pin,
+    // Under duress the duress PIN is reported as unset, as it would be on a phone without one
+    duressPinSet: !!duressPin && !isDuressSession(),
+    biometricsAvailable,
+    lockedUntil: lockout.lockedUntil && lockout.lockedUntil > Date.now() ? lockout.lockedUntil : null
+  };
+};
+
+/**
+ * Lock the app, if a PIN is set
+ */
+export const lockApp = (): void => {
+  if (!lockEnabled || sessionState === 'locked') return;
+  // A duress session carries on in the background; only the real PIN ends it
+  setSessionState('locked');
+};
+
+/**
+ * Unlock with a PIN; the duress PIN unlocks too, and raises a silent alert
+ */
+export const unlockWithPin = async (pin: string): Promise<UnlockResult> => {
+  const match = await matchPin(pin);
+  if (match === 'locked_out' || match === 'invalid') return match;
+
+  if (match === 'duress') {
+    // Contacts are alerted once per duress session, however often the duress PIN is used
+    const alreadyRaised = await SecureStore.getItemAsync(DURESS_ACTIVE_KEY);
+    await persistDuress(true);
+    setSessionState('duress');
+
+    if (!alreadyRaised) {
+      raiseDuressAlert().catch(error => {
+        console.error('Error raising duress alert:', error);
+      });
+    }
+  } else {
+    // The real PIN means the user is safe again
+    await persistDuress(false);
+    await setDiscreetMode(false);
+    setSessionState('unlocked');
+  }
+
+  return 'unlocked';
+};
+
+/**
+ * Unlock with Face ID / fingerprint, when enabled in settings
+ *
+ * Biometrics can be forced, so they never end a duress session.
+ */
+export const unlockWithBiometrics = async (): Promise<UnlockResult> => {
+  const settings = await getSettings();
+  if (!settings.biometricUnlock || !(await isBiometricsAvailable())) return 'invalid';
+
+  const lockout = await readLockout();
+  if (lockout.lockedUntil && lockout.lockedUntil > Date.now()) return 'locked_out';
+
+  const result = await LocalAuthentication.authenticateAsync({
+    promptMessage: 'Unlock SafeTack',
+    cancelLabel: 'Use PIN',
+    disableDeviceFallback: true
+  });
+  if (!result.success) return 'invalid';
+
+  const duress = await SecureStore.getItemAsync(DURESS_ACTIVE_KEY);
+  setSessionState(duress ? 'duress' : 'unlocked');
+  return 'unlocked';
+};
+
+/**
+ * Confirm the current PIN before a security setting is changed
+ *
+ * In a duress session the duress PIN is accepted as the current PIN.
+ */
+export const verifyPin = async (pin: string): Promise<boolean> => {
+  const match = await matchPin(pin);
+  return isDuressSession() ? match === 'duress' : match === 'pin';
+};
+
+/**
+ * Set or change the unlock PIN, turning the app lock on
+ */
+export const setPin = async (pin: string): Promise<void> => {
+  assertValidPin(pin);
+
+  // Changes made under duress only appear to succeed
+  if (isDuressSession()) return;
+
+  if (await pinMatches(DURESS_PIN_KEY, pin)) {
+    throw new Error('The PIN must be different from the duress PIN');
+  }
+
+  await SecureStore.setItemAsync(PIN_KEY, JSON.stringify(await hashPin(pin)));
+  lockEnabled = true;
+};
+
+/**
+ * Set the duress PIN, or remove it with null
+ */
+export const setDuressPin = async (pin: string | null): Promise<void> => {
+  if (isDuressSession()) return;
+
+  if (pin === null) {
+    await SecureStore.deleteItemAsync(DURESS_PIN_KEY);
+    return;
+  }
+
+  assertValidPin(pin);
+  if (!lockEnabled) {
+    throw new Error('Set an unlock PIN first');
+  }
+  if (await pinMatches(PIN_KEY, pin)) {
+    throw new Error('The duress PIN must be different from the unlock PIN');
+  }
+
+  await SecureStore.setItemAsync(DURESS_PIN_KEY, JSON.stringify(await hashPin(pin)));
+};
+
+/**
+ * Turn the app lock off, removing both PINs
+ */
+export const disableAppLock = async (): Promise<void> => {
+  if (isDuressSession()) return;
+
+  await Promise.all([
+    SecureStore.deleteItemAsync(PIN_KEY),
+    SecureStore.deleteItemAsync(DURESS_PIN_KEY),
+    SecureStore.deleteItemAsync(LOCKOUT_KEY)
+  ]);
+  lockEnabled = false;
+};
+
+/**
+ * Silently alert contacts after a duress unlock and keep tracking running
+ *
+ * Monitoring is started if it wasn't running, so contacts get live positions
+ * until the user next unlocks with the real PIN.
+ */
+export const raiseDuressAlert = async (): Promise<void> => {
+  let journeyId = getTrackingStatus().currentJourneyId;
+
+  if (!journeyId) {
+    try {
+      journeyId = await startLocationTracking();
+    } catch (error) {
+      // Without location permission there's still a journey to hang the alert on
+      console.warn('Could not start tracking for duress alert:', error);
+      journeyId = await JourneysModel.createJourney({ start_time: Date.now() });
+    }
+  }
+  if (!journeyId) {
+    throw new Error('No journey to record the duress alert against');
+  }
+
+  await setDiscreetMode(true);
+
+  // Check-in prompts and "arrived safely" messages would contradict the alert
+  try {
+    await cancelCheckIns(journeyId);
+  } catch (error) {
+    console.warn('Error cancelling check-ins after duress unlock:', error);
+  }
+
+  const position = await getLastPosition(journeyId);
+  const timestamp = Date.now();
+  const deviationId = await JourneysModel.recordDeviation(journeyId, {
+    kind: 'duress',
+    latitude: position.latitude,
+    longitude: position.longitude,
+    timestamp,
+    deviation_distance: 0
+  });
+
+  const result = await handleDeviation({
+    deviationId,
+    journeyId,
+    kind: 'duress',
+    distance: 0,
+    latitude: position.latitude,
+    longitude: position.longitude
+  }, AlertSeverity.HIGH);
+
+  if (!result.success) {
+    throw new Error(result.error || 'Duress alert failed');
+  }
+};
+
+/**
+ * Load whether a PIN is set and whether a duress session was running
+ */
+const loadSession = async (): Promise<SessionState> => {
+  const [pin, duress] = await Promise.all([
+    SecureStore.getItemAsync(PIN_KEY),
+    SecureStore.getItemAsync(DURESS_ACTIVE_KEY)
+  ]);
+
+  lockEnabled = !!pin;
+
+  if (duress) {
+    // The app was restarted after a duress unlock; keep hiding the tracking
+    await setDiscreetMode(true);
+  }
+
+  setSessionState(lockEnabled ? 'locked' : duress ? 'duress' : 'unlocked');
+
+  // Rows written before encryption was added are encrypted in the background
+  FieldEncryptionModel.encryptPlaintextRows()
+    .then(count => {
+      if (count > 0) console.log(`Encrypted ${count} stored rows`);
+    })
+    .catch(error => {
+      console.warn('Error encrypting stored data:', error);
+    });
+
+  return sessionState;
+};
+
+/**
+ * Check a PIN against both stored PINs, counting failures towards a lockout
+ */
+const matchPin = async (pin: string): Promise<'pin' | 'duress' | 'invalid' | 'locked_out'> => {
+  const lockout = await readLockout();
+  if (lockout.lockedUntil && lockout.lockedUntil > Date.now()) return 'locked_out';
+
+  const match = await pinMatches(PIN_KEY, pin)
+    ? 'pin'
+    : await pinMatches(DURESS_PIN_KEY, pin) ? 'duress' : 'invalid';
+
+  if (match === 'invalid') {
+    const failures = lockout.failures + 1;
+    const extra = failures - MAX_FAILED_ATTEMPTS;
+    await writeLockout({
+      failures,
+      lockedUntil: extra >= 0
+        ? Date.now() + Math.min(LOCKOUT_BASE_DELAY * 2 ** extra, LOCKOUT_MAX_DELAY)
+        : null
+    });
+  } else if (lockout.failures > 0) {
+    await SecureStore.deleteItemAsync(LOCKOUT_KEY);
+  }
+
+  return match;
+};
+
+/**
+ * Check a PIN against the hash stored under a keychain entry, upgrading
+ * older hashes to the current strength once the PIN is known to be right
+ */
+const pinMatches = async (key: string, pin: string): Promise<boolean> => {
+  const stored = await SecureStore.getItemAsync(key);
+  if (!stored) return false;
+
+  const { kdf, iterations = 0, salt, hash } = JSON.parse(stored) as StoredPin;
+  const candidate = kdf === PIN_KDF
+    ? await derivePinHash(pin, salt, iterations)
+    : await legacyDigest(salt, pin);
+  if (candidate !== hash) return false;
+
+  if (kdf !== PIN_KDF || iterations < PIN_HASH_ITERATIONS) {
+    await SecureStore.setItemAsync(key, JSON.stringify(await hashPin(pin)));
+  }
+  return true;
+};
+
+/**
+ * Hash a PIN with a fresh random salt
+ */
+const hashPin = async (pin: string): Promise<StoredPin> => {
+  const salt = bytesToHex(Crypto.getRandomBytes(16));
+  return {
+    kdf: PIN_KDF,
+    iterations: PIN_HASH_ITERATIONS,
+    salt,
+    hash: await derivePinHash(pin, salt, PIN_HASH_ITERATIONS)
+  };
+};
+
+const derivePinHash = async (pin: string, salt: string, iterations: number): Promise<string> => {
+  const hash = await pbkdf2Async(sha256, pin, hexToBytes(salt), { c: iterations, dkLen: PIN_HASH_LENGTH });
+  return bytesToHex(hash);
+};
+
+// How PINs were hashed before they were stretched
+const legacyDigest = (salt: string, pin: string): Promise<string> => {
+  return Crypto.digestStringAsync(Crypto.CryptoDigestAlgorithm.SHA256, `${salt}:${pin}`);
+};
+
+const assertValidPin = (pin: string): void => {
+  if (!PIN_PATTERN.test(pin)) {
+    throw new Error('PIN must be 4 to 8 digits');
+  }
+};
+
+const readLockout = async (): Promise<Lockout> => {
+  const stored = await SecureStore.getItemAsync(LOCKOUT_KEY);
+  return stored ? JSON.parse(stored) as Lockout : { failures: 0, lockedUntil: null };
+};
+
+const writeLockout = async (lockout: Lockout): Promise<void> => {
+  await SecureStore.setItemAsync(LOCKOUT_KEY, JSON.stringify(lockout));
+};
+
+const persistDuress = async (active: boolean): Promise<void> => {
+  if (active) {
+    await SecureStore.setItemAsync(DURESS_ACTIVE_KEY, String(Date.now()));
+  } else {
+    await SecureStore.deleteItemAsync(DURESS_ACTIVE_KEY);
+  }
+};
+
+/**
+ * Check for biometric hardware with at least one enrolled face or finger
+ */
+const isBiometricsAvailable = async (): Promise<boolean> => {
+  try {
+    return await LocalAuthentication.hasHardwareAsync() && await LocalAuthentication.isEnrolledAsync();
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Where the user was last seen: the journey's last fix, or the device's last known position
+ */
+const getLastPosition = async (journeyId: number): Promise<{ latitude: number; longitude: number }> => {
+  const point = await JourneysModel.getLastPoint(journeyId);
+  if (point) return point;
+
+  const known = await Location.getLastKnownPositionAsync();
+  if (known) return known.coords;
+
+  const current = await Location.getCurrentPositionAsync({ accuracy: Location.Accuracy.Balanced });
+  return current.coords;
+};
+
+/**
+ * Update the session state and tell subscribers
+ */
+const setSessionState = (state: SessionState): void => {
+  sessionState = state;
+  sessionListeners.forEach(listener => {
+    try {
+      listener(state);
+    } catch (error) {
+      console.warn('Error in session listener:', error);
+    }
+  });
+};
+
+export default {
+  initializeSecurity,
+  getSessionState,
+  isDuressSession,
+  addSessionListener,
+  getSecurityStatus,
+  lockApp,
+  unlockWithPin,
+  unlockWithBiometrics,
+  verifyPin,
+  setPin,
+  setDuressPin,
+  disableAppLock,
+  raiseDuressAlert
+};
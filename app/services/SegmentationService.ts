@@ -0,0 +1,162 @@
+import { JourneysModel, JourneyPoint, JourneySegmentData } from '../database/models';
+import {
+  segmentJourney,
+  getDominantMode,
+  Segment,
+  SegmentPoint,
+  TransportationMode
+} from '../utils/segmentation';
+
+/**
+ * SafeTack Segmentation Service
+ * Follows the transportation mode of the live journey and stores each journey's mode segments
+ */
+
+// Configuration constants
+const LIVE_WINDOW = 10 * 60 * 1000; // recent fixes used to judge the current mode; long enough to see bus stops
+
+export interface ModeProfile {
+  deviationScale: number;   // multiplier on the configured deviation threshold
+  matchTolerance: number;   // meters of Fréchet distance at which route similarity reaches zero
+  intervalScale: number;    // multiplier on tracking time intervals
+  distanceScale: number;    // multiplier on tracking distance intervals
+}
+
+// How monitoring adapts to each mode
+export const MODE_PROFILES: Record<TransportationMode, ModeProfile> = {
+  // Pavements are narrow, so even a short detour on foot is meaningful
+  walking: { deviationScale: 0.6, matchTolerance: 120, intervalScale: 1, distanceScale: 1 },
+  cycling: { deviationScale: 1, matchTolerance: 200, intervalScale: 1, distanceScale: 1.5 },
+  // Faster travel needs more frequent fixes to keep the same spacing along the route
+  driving: { deviationScale: 1.5, matchTolerance: 250, intervalScale: 0.5, distanceScale: 3 },
+  // Buses and trains run in wide corridors, wait at stops and take diversions
+  transit: { deviationScale: 2.5, matchTolerance: 400, intervalScale: 0.5, distanceScale: 3 },
+  // Nothing to follow while standing still, so fix less often until moving again
+  stationary: { deviationScale: 1, matchTolerance: 200, intervalScale: 4, distanceScale: 1 },
+  unknown: { deviationScale: 1, matchTolerance: 200, intervalScale: 1, distanceScale: 1 }
+};
+
+interface LiveModeState {
+  points: SegmentPoint[];
+  mode: TransportationMode;
+}
+
+// Recent fixes and current mode per active journey
+const liveModes = new Map<number, LiveModeState>();
+
+/**
+ * Get the monitoring profile for a mode, treating unrecognised modes as unknown
+ */
+export const getModeProfile = (mode?: string | null): ModeProfile => {
+  return MODE_PROFILES[mode as TransportationMode] || MODE_PROFILES.unknown;
+};
+
+/**
+ * Add a fix to the live journey and work out the mode being travelled now
+ * @returns The current mode
+ */
+export const updateLiveMode = async (journeyId: number, fix: SegmentPoint): Promise<TransportationMode> => {
+  let state = liveModes.get(journeyId);
+
+  if (!state) {
+    // The background task may resume a journey this process hasn't seen yet
+    const earlier = await JourneysModel.getJourneyPoints(journeyId);
+    state = {
+      points: earlier.filter(point => point.timestamp < fix.timestamp),
+      mode: 'unknown'
+    };
+    liveModes.set(journeyId, state);
+  }
+
+  state.points.push(fix);
+  state.points = state.points.filter(point => fix.timestamp - point.timestamp <= LIVE_WINDOW);
+
+  const segments = segmentJourney(state.points);
+  if (segments.length > 0) {
+    state.mode = segments[segments.length - 1].mode;
+  }
+
+  return state.mode;
+};
+
+/**
+ * Get the mode the live journey is being travelled in
+ */
+export const getLiveMode = (journeyId?: number | null): TransportationMode => {
+  if (!journeyId) return 'unknown';
+  return liveModes.get(journeyId)?.mode || 'unknown';
+};
+
+/**
+ * Clear live mode state once a journey ends
+ */
+export const clearLiveMode = (journeyId: number): void => {
+  liveModes.delete(journeyId);
+};
+
+/**
+ * Segment a journey's recorded points and store the result
+ * @returns The stored segments
+ */
+export const saveJourneySegments = async (journeyId: number): Promise<JourneySegmentData[]> => {
+  try {
+    const points = await JourneysModel.getJourneyPoints(journeyId);
+    const segments = toSegmentData(points, segmentJourney(points));
+
+    if (segments.length > 0) {
+      await JourneysModel.saveSegments(journeyId, segments, getDominantMode(segments));
+    }
+
+    return segments;
+  } catch (error) {
+    console.error(`Error saving segments for journey ID ${journeyId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Get a journey's segments, working them out for journeys recorded before segmentation
+ */
+export const getJourneySegments = async (
+  journeyId: number,
+  points?: JourneyPoint[]
+): Promise<JourneySegmentData[]> => {
+  const stored = await JourneysModel.getSegments(journeyId);
+  if (stored.length > 0) return stored;
+
+  const journeyPoints = points || await JourneysModel.getJourneyPoints(journeyId);
+  return toSegmentData(journeyPoints, segmentJourney(journeyPoints));
+};
+
+/**
+ * Route matching tolerance for a journey, weighted by the distance travelled in each mode
+ */
+export const getMatchTolerance = (segments: JourneySegmentData[]): number => {
+  let weighted = 0;
+  let distance = 0;
+
+  for (const segment of segments) {
+    if (segment.mode === 'stationary' || segment.distance <= 0) continue;
+    weighted += getModeProfile(segment.mode).matchTolerance * segment.distance;
+    distance += segment.distance;
+  }
+
+  return distance > 0 ? weighted / distance : MODE_PROFILES.unknown.matchTolerance;
+};
+
+/**
+ * Convert point-index segments into rows keyed by point sequence numbers
+ */
+const toSegmentData = (points: JourneyPoint[], segments: Segment[]): JourneySegmentData[] => {
+  return segments.map(segment => ({
+    mode: segment.mode,
+    start_time: segment.startTime,
+    end_time: segment.endTime,
+    start_sequence: points[segment.startIndex].sequence_number,
+    end_sequence: points[segment.endIndex].sequence_number,
+    distance: segment.distance,
+    avg_speed: segment.avgSpeed,
+    max_speed: segment.maxSpeed,
+    stop_count: segment.stopCount
+  }));
+};
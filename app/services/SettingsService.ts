@@ -0,0 +1,319 @@
+import { SettingsModel } from '../database/models';
+import { AlertLocale, isSupportedAlertLocale } from './AlertTemplates';
+
+/**
+ * SafeTack Settings Service
+ * Typed, persisted user settings with defaults, validation and change subscriptions
+ */
+
+export type TrackingFrequency = 'high' | 'balanced' | 'low';
+
+// How a row changed both on this phone and in the cloud is settled
+export type SyncConflictResolution = 'newest' | 'ask';
+
+export interface AppSettings {
+  deviationThreshold: number;      // meters
+  alertTimeout: number;            // seconds
+  escalationTierDelay: number;     // seconds between alerting each contact priority tier
+  checkInGraceMinutes: number;     // minutes past a check-in's ETA before the user is asked if they're OK
+  stationaryAlertMinutes: number;  // minutes without moving, away from the destination, before asking
+  notifyContactsOnArrival: boolean; // default for sending contacts an "arrived safely" message
+  lastKnownAlerts: boolean;        // send contacts the last known location when tracking is about to stop
+  criticalBatteryPercent: number;  // battery level (%) that counts as about to switch off
+  signalLossMinutes: number;       // minutes without a fix, mid-journey, before the location counts as lost
+  quietSafeguards: boolean;        // low-risk: battery, signal and permission problems only notify the user
+  trackingFrequency: TrackingFrequency;
+  batteryOptimization: boolean;
+  pauseDuringNight: boolean;
+  nightStartHour: number;          // 0-23
+  nightEndHour: number;            // 0-23
+  autoSyncToCloud: boolean;
+  syncConflictResolution: SyncConflictResolution;
+  dataRetentionDays: number;       // days to keep journeys that didn't follow a learned route
+  routeHistoryDays: number;        // days to keep journeys on learned routes, at reduced detail
+  fullDetailDays: number;          // days a journey keeps every point before it is thinned out
+  alertHistoryDays: number;        // days to keep deviations and the alerts sent for them
+  alertLanguage: AlertLocale;      // Language of messages sent to contacts
+  biometricUnlock: boolean;        // Face ID / fingerprint may unlock the app lock
+  autoLockMinutes: number;         // minutes in the background before the app locks again
+}
+
+// Settings a single route may override, e.g. a tighter threshold on a night walk home
+export type RouteSettingOverrides = Partial<Pick<AppSettings, 'deviationThreshold' | 'alertTimeout' | 'quietSafeguards'>>;
+
+export type SettingsListener = (settings: AppSettings) => void;
+
+export const DEFAULT_SETTINGS: AppSettings = {
+  deviationThreshold: 100,
+  alertTimeout: 60,
+  escalationTierDelay: 300,
+  checkInGraceMinutes: 10,
+  stationaryAlertMinutes: 20,
+  notifyContactsOnArrival: false,
+  lastKnownAlerts: true,
+  criticalBatteryPercent: 10,
+  signalLossMinutes: 10,
+  quietSafeguards: false,
+  trackingFrequency: 'balanced',
+  batteryOptimization: true,
+  pauseDuringNight: true,
+  nightStartHour: 23,
+  nightEndHour: 6,
+  autoSyncToCloud: false,
+  syncConflictResolution: 'newest',
+  dataRetentionDays: 30,
+  routeHistoryDays: 365,
+  fullDetailDays: 7,
+  alertHistoryDays: 90,
+  alertLanguage: 'en',
+  biometricUnlock: true,
+  autoLockMinutes: 1
+};
+
+export const ROUTE_OVERRIDABLE_SETTINGS: (keyof RouteSettingOverrides)[] = ['deviationThreshold', 'alertTimeout', 'quietSafeguards'];
+
+const isHour = (value: unknown): boolean =>
+  typeof value === 'number' && Number.isInteger(value) && value >= 0 && value <= 23;
+
+// Validation rule for every setting
+const SETTING_VALIDATORS: { [K in keyof AppSettings]: (value: unknown) => boolean } = {
+  deviationThreshold: value => typeof value === 'number' && value >= 10 && value <= 5000,
+  alertTimeout: value => typeof value === 'number' && value >= 10 && value <= 3600,
+  escalationTierDelay: value => typeof value === 'number' && value >= 30 && value <= 3600,
+  checkInGraceMinutes: value => typeof value === 'number' && value >= 1 && value <= 120,
+  stationaryAlertMinutes: value => typeof value === 'number' && value >= 5 && value <= 240,
+  notifyContactsOnArrival: value => typeof value === 'boolean',
+  lastKnownAlerts: value => typeof value === 'boolean',
+  criticalBatteryPercent: value => typeof value === 'number' && Number.isInteger(value) && value >= 3 && value <= 30,
+  signalLossMinutes: value => typeof value === 'number' && Number.isInteger(value) && value >= 2 && value <= 120,
+  quietSafeguards: value => typeof value === 'boolean',
+  trackingFrequency: value => value === 'high' || value === 'balanced' || value === 'low',
+  batteryOptimization: value => typeof value === 'boolean',
+  pauseDuringNight: value => typeof value === 'boolean',
+  nightStartHour: isHour,
+  nightEndHour: isHour,
+  autoSyncToCloud: value => typeof value === 'boolean',
+  syncConflictResolution: value => value === 'newest' || value === 'ask',
+  dataRetentionDays: value => typeof value === 'number' && Number.isInteger(value) && value >= 1 && value <= 3650,
+  routeHistoryDays: value => typeof value === 'number' && Number.isInteger(value) && value >= 1 && value <= 3650,
+  fullDetailDays: value => typeof value === 'number' && Number.isInteger(value) && value >= 1 && value <= 3650,
+  alertHistoryDays: value => typeof value === 'number' && Number.isInteger(value) && value >= 1 && value <= 3650,
+  alertLanguage: isSupportedAlertLocale,
+  biometricUnlock: value => typeof value === 'boolean',
+  autoLockMinutes: value => typeof value === 'number' && Number.isInteger(value) && value >= 0 && value <= 60
+};
+
+// Service state
+let cachedSettings: AppSettings | null = null;
+let loadingSettings: Promise<AppSettings> | null = null;
+const listeners = new Set<SettingsListener>();
+
+/**
+ * Check a partial settings object against the validation rules
+ * @returns List of validation error messages (empty when valid)
+ */
+export const validateSettings = (values: Partial<AppSettings>): string[] => {
+  const errors: string[] = [];
+
+  for (const [key, value] of Object.entries(values)) {
+    const validator = SETTING_VALIDATORS[key as keyof AppSettings];
+
+    if (!validator) {
+      errors.push(`Unknown setting: ${key}`);
+    } else if (!validator(value)) {
+      errors.push(`Invalid value for ${key}: ${JSON.stringify(value)}`);
+    }
+  }
+
+  return errors;
+};
+
+/**
+ * Get current settings, loading them from the database on first use
+ */
+export const getSettings = async (): Promise<AppSettings> => {
+  if (cachedSettings) return cachedSettings;
+
+  if (!loadingSettings) {
+    loadingSettings = loadSettings().finally(() => {
+      loadingSettings = null;
+    });
+  }
+
+  return loadingSettings;
+};
+
+/**
+ * Validate, persist and broadcast a settings change
+ * @returns The updated settings
+ */
+export const updateSettings = async (changes: Partial<AppSettings>): Promise<AppSettings> => {
+  const errors = validateSettings(changes);
+  if (errors.length > 0) {
+    throw new Error(errors.join('; '));
+  }
+
+  const current = await getSettings();
+  await SettingsModel.saveSettings(changes);
+
+  cachedSettings = { ...current, ...changes };
+  notifyListeners(cachedSettings);
+
+  return cachedSettings;
+};
+
+/**
+ * Drop the cached settings and broadcast what is now stored, e.g. after a wipe
+ */
+export const reloadSettings = async (): Promise<AppSettings> => {
+  cachedSettings = null;
+  const settings = await getSettings();
+  notifyListeners(settings);
+  return settings;
+};
+
+/**
+ * Restore all settings to their defaults
+ */
+export const resetSettings = async (): Promise<AppSettings> => {
+  return updateSettings(DEFAULT_SETTINGS);
+};
+
+/**
+ * Subscribe to settings changes
+ * @returns Function to remove the listener
+ */
+export const subscribeToSettings = (listener: SettingsListener): (() => void) => {
+  listeners.add(listener);
+  return () => {
+    listeners.delete(listener);
+  };
+};
+
+/**
+ * Get the overrides configured for a route
+ */
+export const getRouteOverrides = async (routeId: number): Promise<RouteSettingOverrides> => {
+  const stored = await SettingsModel.getRouteOverrides(routeId);
+  return pickValid(stored, ROUTE_OVERRIDABLE_SETTINGS) as RouteSettingOverrides;
+};
+
+/**
+ * Set or clear (with null) overrides for a route
+ */
+export const updateRouteOverrides = async (
+  routeId: number,
+  overrides: { [K in keyof RouteSettingOverrides]?: RouteSettingOverrides[K] | null }
+): Promise<RouteSettingOverrides> => {
+  const toValidate: Partial<AppSettings> = {};
+
+  for (const [key, value] of Object.entries(overrides)) {
+    if (!ROUTE_OVERRIDABLE_SETTINGS.includes(key as keyof RouteSettingOverrides)) {
+      throw new Error(`Setting ${key} cannot be overridden per route`);
+    }
+    if (value !== null && value !== undefined) {
+      (toValidate as Record<string, unknown>)[key] = value;
+    }
+  }
+
+  const errors = validateSettings(toValidate);
+  if (errors.length > 0) {
+    throw new Error(errors.join('; '));
+  }
+
+  await SettingsModel.saveRouteOverrides(routeId, overrides);
+
+  // Route-level changes affect effective settings, so let subscribers re-read
+  notifyListeners(await getSettings());
+
+  return getRouteOverrides(routeId);
+};
+
+/**
+ * Get settings with any overrides for the given route applied
+ */
+export const getEffectiveSettings = async (routeId?: number | null): Promise<AppSettings> => {
+  const settings = await getSettings();
+  if (!routeId) return settings;
+
+  try {
+    const overrides = await getRouteOverrides(routeId);
+    return { ...settings, ...overrides };
+  } catch (error) {
+    console.warn(`Error applying overrides for route ID ${routeId}:`, error);
+    return settings;
+  }
+};
+
+/**
+ * Check whether a time falls within the configured night hours
+ */
+export const isNightTime = (settings: AppSettings, date: Date = new Date()): boolean => {
+  const hour = date.getHours();
+  const { nightStartHour, nightEndHour } = settings;
+
+  if (nightStartHour === nightEndHour) return false;
+
+  // Window may wrap past midnight (e.g. 23:00 - 06:00)
+  return nightStartHour < nightEndHour
+    ? hour >= nightStartHour && hour < nightEndHour
+    : hour >= nightStartHour || hour < nightEndHour;
+};
+
+/**
+ * Load settings from the database, falling back to defaults for missing or invalid values
+ */
+const loadSettings = async (): Promise<AppSettings> => {
+  try {
+    const stored = await SettingsModel.getSettings();
+    const keys = Object.keys(DEFAULT_SETTINGS) as (keyof AppSettings)[];
+
+    cachedSettings = { ...DEFAULT_SETTINGS, ...pickValid(stored, keys) };
+    return cachedSettings;
+  } catch (error) {
+    console.warn('Error loading settings, using defaults:', error);
+    return { ...DEFAULT_SETTINGS };
+  }
+};
+
+/**
+ * Keep only known keys whose stored values pass validation
+ */
+const pickValid = (stored: Record<string, unknown>, keys: (keyof AppSettings)[]): Partial<AppSettings> => {
+  const result: Record<string, unknown> = {};
+
+  for (const key of keys) {
+    if (key in stored && SETTING_VALIDATORS[key](stored[key])) {
+      result[key] = stored[key];
+    }
+  }
+
+  return result as Partial<AppSettings>;
+};
+
+/**
+ * Broadcast settings to all subscribers
+ */
+const notifyListeners = (settings: AppSettings): void => {
+  listeners.forEach(listener => {
+    try {
+      listener(settings);
+    } catch (error) {
+      console.warn('Error in settings listener:', error);
+    }
+  });
+};
+
+export default {
+  getSettings,
+  updateSettings,
+  resetSettings,
+  reloadSettings,
+  subscribeToSettings,
+  validateSettings,
+  getRouteOverrides,
+  updateRouteOverrides,
+  getEffectiveSettings,
+  isNightTime,
+  DEFAULT_SETTINGS
+};
@@ -0,0 +1,734 @@
+import NetInfo from '@react-native-community/netinfo';
+import { AppState } from 'react-native';
+import { randomUUID } from 'expo-crypto';
+import supabase from './SupabaseService';
+import { getSettings } from './SettingsService';
+import {
+  RoutesModel,
+  ContactsModel,
+  SyncModel,
+  UserDataModel,
+  Route,
+  SyncedContact,
+  SyncedTable,
+  LocalVersion,
+  QueuedRecord
+} from '../database/models';
+
+/**
+ * SafeTack Sync Service
+ * Two-way sync of routes and emergency contacts with the signed-in user's Supabase account
+ *
+ * Every synced row has a UUID shared with its cloud copy. Local edits bump updated_at
+ * and stay pending until synced_at catches up; deletions leave a tombstone until the
+ * cloud copy is marked deleted. Pulls resume from the server's own write time, so edits
+ * made offline on another phone are never skipped. A row changed on both sides keeps the
+ * newest edit, or the user's choice when the conflict setting is "ask". When another
+ * account signs in, the previous account's rows are cleared, or kept for the new one
+ * if the user chooses, before anything is pushed.
+ */
+
+// Configuration constants
+const PULL_PAGE_SIZE = 200;
+const PULL_OVERLAP = 60 * 1000; // Re-read recent writes in case a slower one committed behind the cursor
+const PUSH_BATCH_SIZE = 50;
+const QUEUE_BATCH_SIZE = 100;
+const MIN_SYNC_CONFIDENCE = 0.5; // Routes still being learned stay on the device
+
+// Cloud table for each synced local table
+const CLOUD_TABLES: Record<SyncedTable, string> = {
+  Routes: 'routes',
+  EmergencyContacts: 'emergency_contacts'
+};
+
+// Every cloud table holding the user's rows
+const USER_CLOUD_TABLES = [...Object.values(CLOUD_TABLES), 'alert_events'];
+
+export interface SyncResult {
+  success: boolean;
+  pulled?: number;
+  pushed?: number;
+  count?: number;
+  message?: string;
+  error?: string;
+}
+
+export interface AlertData {
+  latitude: number;
+  longitude: number;
+  deviation_distance: number;
+  contacts_notified: number[];
+  route_id?: number;
+  user_response?: string | null;
+}
+
+export interface AlertResult {
+  success: boolean;
+  id?: string;
+  message?: string;
+  error?: string;
+}
+
+export interface SyncConflict {
+  table: SyncedTable;
+  uuid: string;
+  name: string | null;
+  localUpdatedAt: number;
+  remoteUpdatedAt: number;
+  localDeleted: boolean;
+  remoteDeleted: boolean;
+}
+
+export type ConflictChoice = 'local' | 'remote';
+
+export type ConflictResolver = (conflict: SyncConflict) => Promise<ConflictChoice>;
+
+export interface AccountSwitch {
+  previousUserId: string;
+  userId: string;
+  routes: number;
+  contacts: number;
+}
+
+// Keep the previous account's rows and sync them to the new one, or clear them
+export type AccountSwitchChoice = 'keep' | 'clear';
+
+export type AccountSwitchResolver = (accountSwitch: AccountSwitch) => Promise<AccountSwitchChoice>;
+
+// Service state
+let currentUserId: string | null = null;
+let activeSync: Promise<SyncResult> | null = null;
+let queuedSync: Promise<SyncResult> | null = null;
+let conflictResolver: ConflictResolver | null = null;
+let accountSwitchResolver: AccountSwitchResolver | null = null;
+
+/**
+ * Set the signed-in account to sync with (null when signed out)
+ *
+ * Called by UserContext whenever the session changes. An account new to this device
+ * gets its cloud data restored, once any rows left by the previous account are dealt with.
+ */
+export const setSyncUser = async (userId: string | null): Promise<void> => {
+  if (userId === currentUserId) return;
+  currentUserId = userId;
+  if (!userId) return;
+
+  try {
+    if (await SyncModel.getSyncUser() === userId) return;
+
+    const result = await restoreFromCloud();
+    if (!result.success) {
+      console.warn('Restoring from the cloud failed:', result.error);
+    }
+  } catch (error) {
+    console.error('Error setting sync user:', error);
+  }
+};
+
+/**
+ * Get the account being synced with
+ */
+export const getSyncUser = (): string | null => currentUserId;
+
+/**
+ * Let the app ask the user which version of a conflicting row to keep
+ */
+export const setConflictResolver = (resolver: ConflictResolver | null): void => {
+  conflictResolver = resolver;
+};
+
+/**
+ * Let the app ask the user what to do with another account's rows after a switch;
+ * without one they are cleared
+ */
+export const setAccountSwitchResolver = (resolver: AccountSwitchResolver | null): void => {
+  accountSwitchResolver = resolver;
+};
+
+/**
+ * Pull remote changes, push local ones and upload queued records
+ */
+export const syncNow = (): Promise<SyncResult> => runExclusive(true);
+
+/**
+ * Pull everything in the cloud account without pushing, e.g. on a new phone
+ */
+export const restoreFromCloud = (): Promise<SyncResult> => runExclusive(false);
+
+/**
+ * Record an emergency alert event in the cloud
+ *
+ * The event is queued locally first, so alerts raised without a connection are
+ * uploaded once the phone is back online.
+ */
+export const recordAlertEvent = async (alertData: AlertData): Promise<AlertResult> => {
+  try {
+    const contactUuids = await SyncModel.getUuids('EmergencyContacts', alertData.contacts_notified);
+    const routeUuids = alertData.route_id ? await SyncModel.getUuids('Routes', [alertData.route_id]) : new Map();
+    const uuid = randomUUID();
+
+    await SyncModel.enqueue('alert_events', {
+      uuid,
+      latitude: alertData.latitude,
+      longitude: alertData.longitude,
+      deviation_distance: alertData.deviation_distance,
+      contacts_notified: alertData.contacts_notified
+        .map(id => contactUuids.get(id))
+        .filter(Boolean),
+      route_uuid: alertData.route_id ? routeUuids.get(alertData.route_id) || null : null,
+      user_response: alertData.user_response || null,
+      timestamp: new Date().toISOString()
+    });
+
+    // Upload straight away when possible; otherwise it waits in the queue
+    if (currentUserId) {
+      flushQueue(currentUserId).catch(error => {
+        console.warn('Alert event stays queued:', error);
+      });
+    }
+
+    return {
+      success: true,
+      id: uuid,
+      message: 'Alert recorded successfully'
+    };
+  } catch (error: any) {
+    console.error('Error recording alert event:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+};
+
+/**
+ * Delete every row the signed-in account has in the cloud, and check none are left
+ *
+ * Rows are removed outright rather than marked deleted, so other phones on the
+ * account keep their own copies until they are wiped too.
+ * @returns Number of rows deleted
+ */
+export const deleteCloudData = async (): Promise<number> => {
+  const userId = currentUserId;
+  if (!userId) {
+    throw new Error('Sign in to delete your cloud data');
+  }
+
+  // Wait for syncs in progress or queued, so they can't upload rows after they are deleted
+  while (activeSync || queuedSync) {
+    await (queuedSync || activeSync);
+  }
+
+  let deleted = 0;
+
+  for (const cloudTable of USER_CLOUD_TABLES) {
+    const { count, error } = await supabase
+      .from(cloudTable)
+      .delete({ count: 'exact' })
+      .eq('user_id', userId);
+
+    if (error) throw error;
+    deleted += count || 0;
+
+    const { data, error: checkError } = await supabase
+      .from(cloudTable)
+      .select('uuid')
+      .eq('user_id', userId)
+      .limit(1);
+
+    if (checkError) throw checkError;
+    if (data.length > 0) {
+      throw new Error(`Rows are still stored in the cloud ${cloudTable} table`);
+    }
+  }
+
+  return deleted;
+};
+
+/**
+ * Sync whenever the phone comes back online or the app returns to the foreground,
+ * while auto-sync is enabled
+ * @returns Function that stops the worker
+ */
+export const startSyncWorker = (): () => void => {
+  let wasConnected: boolean | null = null;
+
+  const run = async () => {
+    try {
+      const settings = await getSettings();
+      if (!settings.autoSyncToCloud || !currentUserId) return;
+
+      const result = await syncNow();
+      if (!result.success) {
+        console.warn('Background sync failed:', result.error);
+      }
+    } catch (error) {
+      console.error('Error running sync worker:', error);
+    }
+  };
+
+  const unsubscribeNetInfo = NetInfo.addEventListener(state => {
+    const isConnected = state.isConnected === true && state.isInternetReachable !== false;
+    if (isConnected && wasConnected === false) {
+      run();
+    }
+    wasConnected = isConnected;
+  });
+
+  const appStateSubscription = AppState.addEventListener('change', state => {
+    if (state === 'active') {
+      run();
+    }
+  });
+
+  return () => {
+    unsubscribeNetInfo();
+    appStateSubscription.remove();
+  };
+};
+
+/**
+ * Run one sync at a time
+ *
+ * A restore arriving mid-sync shares its result, as every sync pulls. A sync that
+ * pushes waits for the running one to finish and then runs, so its push is never
+ * lost to a restore; callers waiting together share that run.
+ */
+const runExclusive = (push: boolean): Promise<SyncResult> => {
+  if (!activeSync) {
+    activeSync = runSyncStep(async userId => {
+      let pulled = 0;
+      let pushed = 0;
+
+      for (const table of Object.keys(CLOUD_TABLES) as SyncedTable[]) {
+        const counts = await syncTable(table, userId, push);
+        pulled += counts.pulled;
+        pushed += counts.pushed;
+      }
+
+      if (push) {
+        pushed += await flushQueue(userId);
+      }
+
+      return { pulled, pushed };
+    }).finally(() => {
+      activeSync = null;
+    });
+
+    return activeSync;
+  }
+
+  if (!push) {
+    return queuedSync || activeSync;
+  }
+
+  if (!queuedSync) {
+    queuedSync = activeSync.then(() => {
+      queuedSync = null;
+      return runExclusive(true);
+    });
+  }
+
+  return queuedSync;
+};
+
+/**
+ * Run a sync step for the signed-in user and report the outcome
+ */
+const runSyncStep = async (
+  step: (userId: string) => Promise<{ pulled: number; pushed: number }>
+): Promise<SyncResult> => {
+  const userId = currentUserId;
+  if (!userId) {
+    return {
+      success: false,
+      error: 'Sign in to sync your data'
+    };
+  }
+
+  try {
+    await settleAccountSwitch(userId);
+    const { pulled, pushed } = await step(userId);
+
+    return {
+      success: true,
+      pulled,
+      pushed,
+      count: pulled + pushed,
+      message: `Downloaded ${pulled} and uploaded ${pushed} changes`
+    };
+  } catch (error: any) {
+    // Anything not pushed stays pending and goes with the next sync
+    console.error('Error syncing with Supabase:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+};
+
+/**
+ * Deal with the rows of the account this device last synced with before anything
+ * is pushed to a different one
+ *
+ * Sync progress is started over either way, so the new account's rows are all pulled.
+ */
+const settleAccountSwitch = async (userId: string): Promise<void> => {
+  const previousUserId = await SyncModel.getSyncUser();
+  if (!previousUserId || previousUserId === userId) return;
+
+  const { Routes: routes = 0, EmergencyContacts: contacts = 0 } = await UserDataModel.countRows();
+  const choice = (routes > 0 || contacts > 0) && accountSwitchResolver
+    ? await accountSwitchResolver({ previousUserId, userId, routes, contacts })
+    : 'clear';
+
+  if (choice === 'keep') {
+    // Kept rows get new UUIDs and are pushed to the new account as its own
+    await SyncModel.resetSyncState();
+  } else {
+    await SyncModel.clearSyncedData();
+  }
+};
+
+/**
+ * Pull and then push one table, so conflicts are settled before anything is uploaded
+ */
+const syncTable = async (
+  table: SyncedTable,
+  userId: string,
+  push: boolean
+): Promise<{ pulled: number; pushed: number }> => {
+  const pulled = await pullTable(table, userId);
+  const pushed = push ? await pushTable(table, userId) : 0;
+  return { pulled, pushed };
+};
+
+/**
+ * Apply every cloud change made since the last pull
+ * @returns Number of local rows changed
+ */
+const pullTable = async (table: SyncedTable, userId: string): Promise<number> => {
+  const cloudTable = CLOUD_TABLES[table];
+  const state = await SyncModel.getSyncState(cloudTable);
+  let cursorAt = state?.user_id === userId ? state.cursor_at : null;
+  let cursorUuid = state?.user_id === userId ? state.cursor_uuid : null;
+  let applied = 0;
+
+  // Rows seen again are skipped as already applied
+  const overlapFrom = cursorAt ? new Date(Date.parse(cursorAt) - PULL_OVERLAP).toISOString() : null;
+  let firstPage = true;
+
+  for (;;) {
+    let query = supabase
+      .from(cloudTable)
+      .select('*')
+      .eq('user_id', userId)
+      .order('server_updated_at')
+      .order('uuid')
+      .limit(PULL_PAGE_SIZE);
+
+    // Rows written in the same instant share a server time, so the UUID breaks the tie
+    if (firstPage && overlapFrom) {
+      query = query.gte('server_updated_at', overlapFrom);
+    } else if (cursorAt && cursorUuid) {
+      query = query.or(
+        `server_updated_at.gt."${cursorAt}",and(server_updated_at.eq."${cursorAt}",uuid.gt.${cursorUuid})`
+      );
+    }
+
+    const { data, error } = await query;
+    if (error) throw error;
+    firstPage = false;
+
+    for (const row of data) {
+      if (await applyRemoteRow(table, row)) {
+        applied++;
+      }
+    }
+
+    if (data.length > 0) {
+      cursorAt = data[data.length - 1].server_updated_at;
+      cursorUuid = data[data.length - 1].uuid;
+    }
+
+    await SyncModel.saveSyncState({
+      table_name: cloudTable,
+      user_id: userId,
+      cursor_at: cursorAt,
+      cursor_uuid: cursorUuid,
+      last_synced_at: Date.now()
+    });
+
+    if (data.length < PULL_PAGE_SIZE) break;
+  }
+
+  return applied;
+};
+
+/**
+ * Apply one pulled row unless the local version should win
+ * @returns Whether the local copy changed
+ */
+const applyRemoteRow = async (table: SyncedTable, row: any): Promise<boolean> => {
+  const remoteUpdatedAt = Date.parse(row.updated_at);
+  const local = await SyncModel.getLocalVersion(table, row.uuid);
+
+  // Nothing new in the cloud, e.g. our own push coming back
+  if (local && local.synced_at === remoteUpdatedAt) return false;
+
+  // Deleted on both sides
+  if (local?.deleted && row.deleted_at) {
+    await SyncModel.deleteSyncedRow(table, row.uuid);
+    return false;
+  }
+
+  if (local && isPending(local)) {
+    const choice = await resolveConflict(table, local, row, remoteUpdatedAt);
+    if (choice === 'local') {
+      // Make the kept version the newest so it replaces the cloud copy everywhere
+      if (local.updated_at <= remoteUpdatedAt) {
+        await SyncModel.touchRow(table, row.uuid);
+      }
+      return false;
+    }
+  }
+
+  if (row.deleted_at) {
+    if (!local) return false;
+    await SyncModel.deleteSyncedRow(table, row.uuid);
+    return !local.deleted;
+  }
+
+  if (table === 'Routes') {
+    const { route, points } = fromRemoteRoute(row);
+    await RoutesModel.saveSyncedRoute(route, points);
+  } else {
+    await ContactsModel.saveSyncedContact(fromRemoteContact(row));
+  }
+
+  return true;
+};
+
+/**
+ * Whether a local row has changes the cloud hasn't seen
+ */
+const isPending = (local: LocalVersion): boolean =>
+  local.deleted || local.synced_at === null || local.synced_at !== local.updated_at;
+
+/**
+ * Decide which version of a row changed on both sides to keep
+ */
+const resolveConflict = async (
+  table: SyncedTable,
+  local: LocalVersion,
+  row: any,
+  remoteUpdatedAt: number
+): Promise<ConflictChoice> => {
+  const settings = await getSettings();
+
+  if (settings.syncConflictResolution === 'ask' && conflictResolver) {
+    return conflictResolver({
+      table,
+      uuid: row.uuid,
+      name: local.name ?? row.name ?? null,
+      localUpdatedAt: local.updated_at,
+      remoteUpdatedAt,
+      localDeleted: local.deleted,
+      remoteDeleted: !!row.deleted_at
+    });
+  }
+
+  // Last writer wins
+  return local.updated_at >= remoteUpdatedAt ? 'local' : 'remote';
+};
+
+/**
+ * Upload changed rows and deletions
+ * @returns Number of rows uploaded
+ */
+const pushTable = async (table: SyncedTable, userId: string): Promise<number> => {
+  const cloudTable = CLOUD_TABLES[table];
+  const changed: { uuid: string; updated_at: number; record: Record<string, unknown> }[] = table === 'Routes'
+    ? (await SyncModel.getChangedRoutes(MIN_SYNC_CONFIDENCE)).map(route => ({
+      uuid: route.uuid!,
+      updated_at: route.updated_at!,
+      record: toRemoteRoute(route, userId)
+    }))
+    : (await SyncModel.getChangedContacts()).map(contact => ({
+      uuid: contact.uuid,
+      updated_at: contact.updated_at,
+      record: toRemoteContact(contact, userId)
+    }));
+
+  for (let i = 0; i < changed.length; i += PUSH_BATCH_SIZE) {
+    const batch = changed.slice(i, i + PUSH_BATCH_SIZE);
+    const { error } = await supabase
+      .from(cloudTable)
+      .upsert(batch.map(item => item.record), { onConflict: 'uuid' });
+
+    if (error) throw error;
+
+    for (const item of batch) {
+      await SyncModel.markSynced(table, item.uuid, item.updated_at);
+    }
+  }
+
+  // Deleted rows stay in the cloud, marked deleted, so other phones delete them too
+  const tombstones = await SyncModel.getTombstones(table);
+  for (let i = 0; i < tombstones.length; i += PUSH_BATCH_SIZE) {
+    const batch = tombstones.slice(i, i + PUSH_BATCH_SIZE);
+    const { error } = await supabase
+      .from(cloudTable)
+      .upsert(
+        batch.map(tombstone => ({
+          uuid: tombstone.uuid,
+          user_id: userId,
+          updated_at: new Date(tombstone.deleted_at).toISOString(),
+          deleted_at: new Date(tombstone.deleted_at).toISOString()
+        })),
+        { onConflict: 'uuid' }
+      );
+
+    if (error) throw error;
+    await SyncModel.clearTombstones(table, batch);
+  }
+
+  return changed.length + tombstones.length;
+};
+
+/**
+ * Upload queued append-only records
+ * @returns Number of records uploaded
+ */
+const flushQueue = async (userId: string): Promise<number> => {
+  let uploaded = 0;
+
+  for (;;) {
+    const queued = await SyncModel.getQueued(QUEUE_BATCH_SIZE);
+    if (queued.length === 0) break;
+
+    const byTable = new Map<string, QueuedRecord[]>();
+    for (const record of queued) {
+      byTable.set(record.table_name, [...(byTable.get(record.table_name) || []), record]);
+    }
+
+    for (const [cloudTable, records] of byTable) {
+      const ids = records.map(record => record.id);
+
+      // The UUID makes a retried upload of the same record a no-op
+      const { error } = await supabase
+        .from(cloudTable)
+        .upsert(
+          records.map(record => ({ ...record.payload, user_id: userId })),
+          { onConflict: 'uuid', ignoreDuplicates: true }
+        );
+
+      if (error) {
+        await SyncModel.markQueuedFailed(ids, error.message);
+        throw error;
+      }
+
+      await SyncModel.removeQueued(ids);
+      uploaded += records.length;
+    }
+
+    if (queued.length < QUEUE_BATCH_SIZE) break;
+  }
+
+  return uploaded;
+};
+
+/**
+ * Convert a local route to its cloud row
+ */
+const toRemoteRoute = (route: Route, userId: string): Record<string, unknown> => ({
+  uuid: route.uuid,
+  user_id: userId,
+  name: route.name || null,
+  category: route.category || null,
+  confidence_score: route.confidence_score || 0,
+  start_location: route.start_location,
+  end_location: route.end_location,
+  avg_duration: route.avg_duration || 0,
+  times_traveled: route.times_traveled || 0,
+  points: (route.points || []).map(point => ({
+    latitude: point.latitude,
+    longitude: point.longitude,
+    accuracy: point.accuracy ?? null,
+    altitude: point.altitude ?? null
+  })),
+  created_at: new Date(route.created_at || 0).toISOString(),
+  updated_at: new Date(route.updated_at || 0).toISOString(),
+  deleted_at: null
+});
+
+/**
+ * Convert a cloud row to a local route and its points
+ */
+const fromRemoteRoute = (row: any) => ({
+  route: {
+    uuid: row.uuid,
+    name: row.name,
+    category: row.category,
+    confidence_score: row.confidence_score,
+    start_location: row.start_location,
+    end_location: row.end_location,
+    avg_duration: row.avg_duration,
+    times_traveled: row.times_traveled,
+    created_at: Date.parse(row.created_at),
+    updated_at: Date.parse(row.updated_at)
+  },
+  points: row.points || []
+});
+
+/**
+ * Convert a local contact to its cloud row
+ */
+const toRemoteContact = (contact: SyncedContact, userId: string): Record<string, unknown> => ({
+  uuid: contact.uuid,
+  user_id: userId,
+  name: contact.name,
+  phone_number: contact.phone_number || null,
+  email: contact.email || null,
+  relationship: contact.relationship || null,
+  priority: contact.priority || 1,
+  is_active: contact.is_active !== false,
+  channels: contact.channels.map(channel => ({
+    transport: channel.transport,
+    destination: channel.destination || null,
+    is_active: channel.is_active !== false
+  })),
+  created_at: new Date(contact.created_at).toISOString(),
+  updated_at: new Date(contact.updated_at).toISOString(),
+  deleted_at: null
+});
+
+/**
+ * Convert a cloud row to a local contact
+ */
+const fromRemoteContact = (row: any): SyncedContact => ({
+  id: 0,
+  uuid: row.uuid,
+  name: row.name,
+  phone_number: row.phone_number,
+  email: row.email,
+  relationship: row.relationship,
+  priority: row.priority,
+  is_active: row.is_active !== false,
+  channels: row.channels || [],
+  created_at: Date.parse(row.created_at),
+  updated_at: Date.parse(row.updated_at),
+  synced_at: Date.parse(row.updated_at)
+});
+
+export default {
+  setSyncUser,
+  getSyncUser,
+  setConflictResolver,
+  setAccountSwitchResolver,
+  syncNow,
+  restoreFromCloud,
+  recordAlertEvent,
+  deleteCloudData,
+  startSyncWorker
+};
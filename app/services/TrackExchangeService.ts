@@ -0,0 +1,184 @@
+import * as FileSystem from 'expo-file-system';
+import * as Sharing from 'expo-sharing';
+import * as DocumentPicker from 'expo-document-picker';
+import { RoutesModel, JourneysModel } from '../database/models';
+import { createRouteFromPoints } from './RouteService';
+import { isDuressSession } from './SecurityService';
+import { formatDistance, formatDate } from '../utils/helpers';
+import {
+  Track,
+  TrackFormat,
+  TRACK_FORMAT_DETAILS,
+  formatTrack,
+  parseTrack
+} from '../utils/trackFormats';
+
+/**
+ * SafeTack Track Exchange Service
+ * Export routes and journeys as GPX, GeoJSON or KML files and import tracks as learned routes
+ */
+
+export interface TrackFile {
+  fileName: string;
+  mimeType: string;
+  content: string;
+}
+
+/**
+ * Export a learned route with its points
+ */
+export const exportRoute = async (routeId: number, format: TrackFormat): Promise<TrackFile> => {
+  const route = await RoutesModel.getRouteWithPoints(routeId);
+  if (!route) {
+    throw new Error(`Route ${routeId} not found`);
+  }
+
+  const name = route.name || `Route ${routeId}`;
+  const track: Track = {
+    name,
+    type: 'route',
+    points: (route.points || []).map(point => ({
+      latitude: point.latitude,
+      longitude: point.longitude,
+      altitude: point.altitude
+    }))
+  };
+
+  return toTrackFile(track, name, format);
+};
+
+/**
+ * Export a recorded journey with speed, battery and its deviations as waypoints
+ */
+export const exportJourney = async (journeyId: number, format: TrackFormat): Promise<TrackFile> => {
+  const journey = await JourneysModel.getJourney(journeyId);
+  if (!journey) {
+    throw new Error(`Journey ${journeyId} not found`);
+  }
+
+  const [points, deviations] = await Promise.all([
+    JourneysModel.getJourneyPoints(journeyId),
+    // Files exported in a duress session leave the duress alert out
+    JourneysModel.getDeviations(journeyId, isDuressSession())
+  ]);
+
+  const name = `Journey ${formatDate(journey.start_time)}`;
+  const track: Track = {
+    name,
+    type: 'journey',
+    points: points.map(point => ({
+      latitude: point.latitude,
+      longitude: point.longitude,
+      altitude: point.altitude,
+      timestamp: point.timestamp,
+      speed: point.speed,
+      battery_level: point.battery_level
+    })),
+    waypoints: deviations.map(deviation => ({
+      latitude: deviation.latitude,
+      longitude: deviation.longitude,
+      timestamp: deviation.timestamp,
+      name: 'Deviation',
+      description: `${formatDistance(deviation.deviation_distance)} off route`
+    }))
+  };
+
+  return toTrackFile(track, name, format);
+};
+
+/**
+ * Write an exported file to the cache and open the system share sheet
+ */
+export const shareTrackFile = async (file: TrackFile): Promise<void> => {
+  if (!(await Sharing.isAvailableAsync())) {
+    throw new Error('Sharing is not available on this device');
+  }
+
+  const uri = `${FileSystem.cacheDirectory}${file.fileName}`;
+  await FileSystem.writeAsStringAsync(uri, file.content);
+
+  await Sharing.shareAsync(uri, {
+    mimeType: file.mimeType,
+    dialogTitle: `Share ${file.fileName}`
+  });
+};
+
+/**
+ * Delete the files shareTrackFile left in the cache, e.g. when wiping all data
+ * @param extraPattern Other shared file names to delete too
+ * @returns Number of files deleted
+ */
+export const deleteSharedFiles = async (extraPattern?: RegExp): Promise<number> => {
+  const directory = FileSystem.cacheDirectory;
+  if (!directory) return 0;
+
+  const extensions = Object.values(TRACK_FORMAT_DETAILS).map(details => `.${details.extension}`);
+  const shared = (await FileSystem.readDirectoryAsync(directory)).filter(name =>
+    extensions.some(extension => name.toLowerCase().endsWith(extension)) || extraPattern?.test(name)
+  );
+
+  for (const name of shared) {
+    await FileSystem.deleteAsync(`${directory}${name}`, { idempotent: true });
+  }
+
+  return shared.length;
+};
+
+/**
+ * Create a learned route from the text of a GPX or GeoJSON file
+ * @returns ID of the new route
+ */
+export const importRoute = async (content: string, fileName?: string): Promise<number> => {
+  const track = parseTrack(content, fileName);
+  const name = track.name || fileName?.replace(/\.[^.]+$/, '') || 'Imported Route';
+
+  // Never travelled yet, so it starts with no trips counted
+  return createRouteFromPoints(track.points, {
+    name,
+    category: 'Imported',
+    timesTraveled: 0
+  });
+};
+
+/**
+ * Let the user pick a GPX or GeoJSON file and import it as a route
+ * @returns ID of the new route, or null if the user cancelled
+ */
+export const pickAndImportRoute = async (): Promise<number | null> => {
+  // GPX files rarely carry a registered MIME type, so accept anything and detect the format
+  const result = await DocumentPicker.getDocumentAsync({
+    type: '*/*',
+    copyToCacheDirectory: true
+  });
+
+  if (result.canceled || result.assets.length === 0) {
+    return null;
+  }
+
+  const [asset] = result.assets;
+  const content = await FileSystem.readAsStringAsync(asset.uri);
+  return importRoute(content, asset.name);
+};
+
+/**
+ * Serialize a track and give it a file name
+ */
+const toTrackFile = (track: Track, name: string, format: TrackFormat): TrackFile => {
+  const { extension, mimeType } = TRACK_FORMAT_DETAILS[format];
+  const baseName = name.replace(/[^a-z0-9]+/gi, '-').replace(/^-+|-+$/g, '').toLowerCase() || 'track';
+
+  return {
+    fileName: `${baseName}.${extension}`,
+    mimeType,
+    content: formatTrack(track, format)
+  };
+};
+
+export default {
+  exportRoute,
+  exportJourney,
+  shareTrackFile,
+  deleteSharedFiles,
+  importRoute,
+  pickAndImportRoute
+};
@@ -0,0 +1,175 @@
+/**
+ * SafeTack Trip Scenarios
+ * Headless end-to-end runs of a simulated trip, for tests and scripted checks
+ *
+ * A scenario drives tracking with a manual simulated source, answers deviation
+ * prompts the way it is told to, and reads back the rows the trip produced.
+ * It uses whatever database the models use; under Jest that is the in-memory
+ * one from jest/nodeSqlite.ts (see __tests__/services/TripScenario.test.ts).
+ */
+
+import {
+  JourneysModel,
+  JourneyData,
+  JourneyPoint,
+  DeviationEvent,
+  JourneyAlert
+} from '../database/models';
+import {
+  startLocationTracking,
+  stopLocationTracking,
+  getTrackingStatus,
+  addDeviationListener
+} from './LocationService';
+import { setLocationSource } from './LocationSource';
+import { handleDeviationResponse } from './EscalationService';
+import {
+  buildSimulatedFixes,
+  createSimulatedLocationSource,
+  DEFAULT_SIMULATION_OPTIONS,
+  SimulationOptions
+} from './TripSimulator';
+import { Track } from '../utils/trackFormats';
+
+// How the simulated user answers a deviation prompt; null leaves it unanswered
+export type ScenarioResponse = 'confirm' | 'dismissed' | 'snoozed' | null;
+
+export interface TripScenario {
+  track: Track;
+  options?: Partial<SimulationOptions>;
+  respond?: ScenarioResponse;
+  // Complete the journey when the track runs out, unless it ended itself on arrival
+  stopAtEnd?: boolean;
+  // Called after each fix, e.g. to advance fake timers or start a check-in
+  afterFix?: (journeyId: number, delivered: number) => Promise<void> | void;
+}
+
+export interface TripScenarioResult {
+  journeyId: number;
+  journey: JourneyData | null;
+  points: JourneyPoint[];
+  deviations: DeviationEvent[];
+  alerts: JourneyAlert[];
+}
+
+export interface CountRange {
+  min?: number;
+  max?: number;
+}
+
+export interface TripExpectations {
+  completed?: boolean;
+  hasDeviation?: boolean;
+  points?: CountRange;
+  deviations?: CountRange;
+  alerts?: CountRange;
+}
+
+/**
+ * Replay a track through tracking and collect the journey's rows
+ */
+export const runTripScenario = async (scenario: TripScenario): Promise<TripScenarioResult> => {
+  if (getTrackingStatus().isTracking) {
+    throw new Error('Cannot run a trip scenario while monitoring is active');
+  }
+
+  const options = { ...DEFAULT_SIMULATION_OPTIONS, ...scenario.options };
+  const source = createSimulatedLocationSource(buildSimulatedFixes(scenario.track, options), {
+    trackName: scenario.track.name || 'Scenario',
+    speed: options.speed,
+    interval: options.interval,
+    manual: true
+  });
+
+  // Answer prompts after the fix that raised them has been processed
+  const pendingResponses: number[] = [];
+  const removeListener = addDeviationListener((deviation, alert) => {
+    if (scenario.respond && alert.success) {
+      pendingResponses.push(deviation.deviationId);
+    }
+  });
+
+  setLocationSource(source);
+
+  try {
+    const journeyId = await startLocationTracking();
+    if (!journeyId) {
+      throw new Error('Tracking did not start a journey');
+    }
+
+    let delivering = true;
+    while (delivering) {
+      delivering = await source.step();
+
+      for (const deviationId of pendingResponses.splice(0)) {
+        await handleDeviationResponse(deviationId, scenario.respond as string);
+      }
+
+      await scenario.afterFix?.(journeyId, source.getProgress().delivered);
+    }
+
+    // Arrival at a check-in destination has already completed the journey
+    if (scenario.stopAtEnd !== false && getTrackingStatus().currentJourneyId === journeyId) {
+      await stopLocationTracking();
+    }
+
+    return {
+      journeyId,
+      journey: await JourneysModel.getJourney(journeyId),
+      points: await JourneysModel.getJourneyPoints(journeyId),
+      deviations: await JourneysModel.getDeviations(journeyId),
+      alerts: await JourneysModel.getJourneyAlerts(journeyId)
+    };
+  } finally {
+    removeListener();
+    source.dispose();
+    setLocationSource(null);
+  }
+};
+
+/**
+ * Check a scenario's rows against expectations
+ * @throws Error listing every expectation that was not met
+ */
+export const assertTripScenario = (result: TripScenarioResult, expected: TripExpectations): void => {
+  const failures: string[] = [];
+
+  if (expected.completed !== undefined) {
+    const completed = !!result.journey?.end_time;
+    if (completed !== expected.completed) {
+      failures.push(`journey ${expected.completed ? 'was not' : 'was'} completed`);
+    }
+  }
+
+  if (expected.hasDeviation !== undefined && !!result.journey?.has_deviation !== expected.hasDeviation) {
+    failures.push(`journey has_deviation is ${!!result.journey?.has_deviation}`);
+  }
+
+  checkCount(failures, 'JourneyPoints', result.points.length, expected.points);
+  checkCount(failures, 'DeviationEvents', result.deviations.length, expected.deviations);
+  checkCount(failures, 'AlertEvents', result.alerts.length, expected.alerts);
+
+  if (failures.length > 0) {
+    throw new Error(`Trip scenario for journey ${result.journeyId} failed: ${failures.join('; ')}`);
+  }
+};
+
+/**
+ * Record a failure if a row count falls outside its range
+ */
+const checkCount = (failures: string[], table: string, count: number, range?: CountRange): void => {
+  if (!range) return;
+
+  if (range.min !== undefined && count < range.min) {
+    failures.push(`${count} ${table} rows, expected at least ${range.min}`);
+  }
+
+  if (range.max !== undefined && count > range.max) {
+    failures.push(`${count} ${table} rows, expected at most ${range.max}`);
+  }
+};
+
+export default {
+  runTripScenario,
+  assertTripScenario
+};
@@ -0,0 +1,521 @@
+/**
+ * SafeTack Trip Simulator
+ * Replays recorded or imported tracks through the tracking pipeline as a location source
+ */
+
+import * as Location from 'expo-location';
+import * as DocumentPicker from 'expo-document-picker';
+import * as FileSystem from 'expo-file-system';
+import { JourneysModel, RoutesModel } from '../database/models';
+import { getTrackingStatus } from './LocationService';
+import { LocationSource, LocationCallback, setLocationSource } from './LocationSource';
+import { parseTrack, Track } from '../utils/trackFormats';
+import { projectToPlane, unprojectFromPlane, cumulativeDistances } from '../utils/geometry';
+import { formatDate, formatTime } from '../utils/helpers';
+
+// Configuration constants
+const DEFAULT_TRAVEL_SPEED = 1.4;  // m/s, used for tracks without timestamps
+const BASE_ACCURACY = 5;           // meters reported for a fix without added noise
+const MIN_FIX_INTERVAL = 1000;     // ms of trip time
+
+export interface SimulationWindow {
+  start: number;  // fraction of the trip, 0-1
+  end: number;    // fraction of the trip, 0-1
+}
+
+export interface SimulationDetour extends SimulationWindow {
+  offset: number; // meters to the left of the track at the detour's midpoint (negative for right)
+}
+
+export interface SimulationOptions {
+  speed: number;                           // playback speed multiplier
+  interval: number;                        // ms of trip time between fixes
+  noise: number;                           // GPS noise standard deviation, meters
+  detour: SimulationDetour | null;
+  signalLoss: SimulationWindow | null;     // no fixes are delivered inside the window
+  batteryStart: number;                    // 0-1
+  batteryDrain: number;                    // fraction of a full battery per hour of trip time
+  seed: number;                            // noise is reproducible for a given seed
+}
+
+export const DEFAULT_SIMULATION_OPTIONS: SimulationOptions = {
+  speed: 1,
+  interval: 10000,
+  noise: 0,
+  detour: null,
+  signalLoss: null,
+  batteryStart: 0.8,
+  batteryDrain: 0,
+  seed: 1
+};
+
+export interface SimulatedFix {
+  latitude: number;
+  longitude: number;
+  altitude: number | null;
+  accuracy: number;
+  speed: number | null;
+  battery: number;
+  offset: number;  // ms of trip time since the first fix
+}
+
+export interface SimulationProgress {
+  trackName: string;
+  delivered: number;
+  total: number;
+  tripTime: number;      // ms of trip time reached
+  battery: number;
+  paused: boolean;
+  finished: boolean;
+}
+
+export interface SimulatedLocationSource extends LocationSource {
+  // Deliver the next fix to the watchers; false once the track is done or nobody is watching
+  step: () => Promise<boolean>;
+  pause: () => void;
+  resume: () => void;
+  getProgress: () => SimulationProgress;
+  dispose: () => void;
+}
+
+export type SimulationListener = (progress: SimulationProgress | null) => void;
+
+// Service state
+let activeSimulation: SimulatedLocationSource | null = null;
+const simulationListeners = new Set<SimulationListener>();
+
+/**
+ * Load a recorded journey as a track, keeping its original timing
+ */
+export const loadJourneyTrack = async (journeyId: number): Promise<Track> => {
+  const journey = await JourneysModel.getJourney(journeyId);
+  if (!journey) {
+    throw new Error(`Journey ${journeyId} not found`);
+  }
+
+  const points = await JourneysModel.getJourneyPoints(journeyId);
+  if (points.length < 2) {
+    throw new Error('Journey has too few points to replay');
+  }
+
+  return {
+    name: `Journey ${formatDate(journey.start_time)} ${formatTime(journey.start_time)}`,
+    type: 'journey',
+    points
+  };
+};
+
+/**
+ * Load a learned route as a track, travelled at walking pace
+ */
+export const loadRouteTrack = async (routeId: number): Promise<Track> => {
+  const route = await RoutesModel.getRouteWithPoints(routeId);
+  if (!route || !route.points || route.points.length < 2) {
+    throw new Error(`Route ${routeId} has no points to replay`);
+  }
+
+  return {
+    name: route.name,
+    type: 'route',
+    points: route.points
+  };
+};
+
+/**
+ * Let the user pick a GPX or GeoJSON file to replay
+ * @returns Track, or null if the user cancelled
+ */
+export const pickTrackFile = async (): Promise<Track | null> => {
+  const result = await DocumentPicker.getDocumentAsync({
+    type: '*/*',
+    copyToCacheDirectory: true
+  });
+
+  if (result.canceled || result.assets.length === 0) {
+    return null;
+  }
+
+  const [asset] = result.assets;
+  const content = await FileSystem.readAsStringAsync(asset.uri);
+  const track = parseTrack(content, asset.name);
+  return { ...track, name: track.name || asset.name };
+};
+
+/**
+ * Resample a track into the fixes a phone would report travelling it
+ *
+ * Tracks with timestamps keep their timing; others are travelled at walking
+ * pace. Detours bulge sideways off the track, rising and falling smoothly
+ * across their window.
+ */
+export const buildSimulatedFixes = (track: Track, options: SimulationOptions): SimulatedFix[] => {
+  const points = track.points;
+  if (points.length < 2) {
+    throw new Error('Track needs at least two points');
+  }
+
+  const times = trackTimes(track);
+  const duration = times[times.length - 1];
+  const interval = Math.max(options.interval, MIN_FIX_INTERVAL);
+  const random = gaussianRandom(options.seed);
+  const fixes: SimulatedFix[] = [];
+
+  let segment = 0;
+  for (let offset = 0; ; offset = Math.min(offset + interval, duration)) {
+    while (segment < points.length - 2 && times[segment + 1] <= offset) {
+      segment++;
+    }
+
+    const from = points[segment];
+    const to = points[segment + 1];
+    const segmentTime = times[segment + 1] - times[segment];
+    const weight = segmentTime > 0 ? Math.min(Math.max((offset - times[segment]) / segmentTime, 0), 1) : 1;
+    const fraction = duration > 0 ? offset / duration : 1;
+
+    // Work in meters around the interpolated position
+    const origin = {
+      latitude: from.latitude + (to.latitude - from.latitude) * weight,
+      longitude: from.longitude + (to.longitude - from.longitude) * weight
+    };
+    const position = { x: 0, y: 0 };
+
+    const direction = projectToPlane(to, from);
+    const length = Math.hypot(direction.x, direction.y);
+
+    if (options.detour && length > 0 && inWindow(fraction, options.detour)) {
+      const { start, end, offset: detourOffset } = options.detour;
+      const bulge = detourOffset * Math.sin(Math.PI * (fraction - start) / (end - start));
+      position.x += -direction.y / length * bulge;
+      position.y += direction.x / length * bulge;
+    }
+
+    if (options.noise > 0) {
+      position.x += random() * options.noise;
+      position.y += random() * options.noise;
+    }
+
+    const coordinate = unprojectFromPlane(position, origin);
+    const signalLost = options.signalLoss && inWindow(fraction, options.signalLoss);
+
+    if (!signalLost) {
+      fixes.push({
+        latitude: coordinate.latitude,
+        longitude: coordinate.longitude,
+        altitude: from.altitude ?? null,
+        accuracy: BASE_ACCURACY + options.noise,
+        speed: to.speed ?? (segmentTime > 0 ? length / (segmentTime / 1000) : null),
+        battery: Math.min(Math.max(options.batteryStart - options.batteryDrain * offset / 3600000, 0), 1),
+        offset
+      });
+    }
+
+    if (offset >= duration) break;
+  }
+
+  if (fixes.length < 2) {
+    throw new Error('Signal loss leaves too few fixes to replay');
+  }
+
+  return fixes;
+};
+
+/**
+ * Create a location source that plays fixes back
+ *
+ * Fix timestamps follow trip time, so a sped-up replay looks to mode
+ * detection and check-in ETAs like the original trip. A manual source never
+ * plays by itself; call step() to deliver each fix, as a headless harness does.
+ */
+export const createSimulatedLocationSource = (
+  fixes: SimulatedFix[],
+  options: {
+    trackName: string;
+    speed: number;
+    interval: number;
+    manual?: boolean;
+    onProgress?: (progress: SimulationProgress) => void;
+  }
+): SimulatedLocationSource => {
+  const callbacks = new Set<LocationCallback>();
+  let cursor = 0;
+  let tripStart: number | null = null;
+  let timer: ReturnType<typeof setTimeout> | null = null;
+  let paused = false;
+  let disposed = false;
+
+  const toLocation = (fix: SimulatedFix): Location.LocationObject => ({
+    coords: {
+      latitude: fix.latitude,
+      longitude: fix.longitude,
+      altitude: fix.altitude,
+      accuracy: fix.accuracy,
+      altitudeAccuracy: null,
+      heading: null,
+      speed: fix.speed
+    },
+    timestamp: (tripStart ?? Date.now()) + fix.offset,
+    mocked: true
+  });
+
+  const getProgress = (): SimulationProgress => ({
+    trackName: options.trackName,
+    delivered: cursor,
+    total: fixes.length,
+    tripTime: cursor > 0 ? fixes[cursor - 1].offset : 0,
+    battery: fixes[Math.max(cursor - 1, 0)].battery,
+    paused,
+    finished: cursor >= fixes.length
+  });
+
+  const reportProgress = (): void => {
+    try {
+      options.onProgress?.(getProgress());
+    } catch (error) {
+      console.warn('Error in simulation progress listener:', error);
+    }
+  };
+
+  // Between two fixes further apart than the fix interval, the phone has no signal
+  const inSignalGap = (): boolean => {
+    if (cursor === 0 || cursor >= fixes.length) return false;
+    return fixes[cursor].offset - fixes[cursor - 1].offset > options.interval * 1.5;
+  };
+
+  const clearTimer = (): void => {
+    if (timer) {
+      clearTimeout(timer);
+      timer = null;
+    }
+  };
+
+  const step = async (): Promise<boolean> => {
+    if (disposed || cursor >= fixes.length || callbacks.size === 0) return false;
+
+    const location = toLocation(fixes[cursor++]);
+    for (const callback of [...callbacks]) {
+      await callback(location);
+    }
+
+    reportProgress();
+    return cursor < fixes.length && callbacks.size > 0;
+  };
+
+  // Wait the fix's trip-time gap, shortened by the playback speed
+  const scheduleNext = (): void => {
+    if (options.manual || disposed || paused || timer || cursor >= fixes.length || callbacks.size === 0) return;
+
+    const gap = fixes[cursor].offset - (cursor > 0 ? fixes[cursor - 1].offset : 0);
+    timer = setTimeout(() => {
+      timer = null;
+      step()
+        .catch(error => {
+          console.error('Error delivering simulated fix:', error);
+        })
+        .finally(scheduleNext);
+    }, gap / options.speed);
+  };
+
+  return {
+    name: 'simulator',
+    background: false,
+
+    requestPermissions: async () => ({ foreground: true, background: true }),
+
+    getPermissions: async () => ({ foreground: true, background: true }),
+
+    // The first fix starts the journey; watching carries on from the next one
+    getCurrentPosition: async () => {
+      if (tripStart === null) tripStart = Date.now();
+      if (cursor === 0) cursor = 1;
+      if (inSignalGap()) {
+        throw new Error('Location unavailable');
+      }
+      return toLocation(fixes[cursor - 1]);
+    },
+
+    // Tracking re-watches when its settings change, so playback resumes where it was
+    watchPosition: async (_options, callback) => {
+      callbacks.add(callback);
+      scheduleNext();
+
+      return {
+        remove: () => {
+          callbacks.delete(callback);
+          if (callbacks.size === 0) clearTimer();
+        }
+      };
+    },
+
+    getBatteryLevel: async () => getProgress().battery,
+
+    isCharging: async () => false,
+
+    step,
+
+    pause: () => {
+      paused = true;
+      clearTimer();
+      reportProgress();
+    },
+
+    resume: () => {
+      paused = false;
+      scheduleNext();
+      reportProgress();
+    },
+
+    getProgress,
+
+    dispose: () => {
+      disposed = true;
+      clearTimer();
+      callbacks.clear();
+    }
+  };
+};
+
+/**
+ * Make the next journey a replay of a track
+ *
+ * Playback starts when monitoring starts and follows the normal pipeline from
+ * there: deviations, escalation, check-ins and live shares all see the fixes.
+ */
+export const loadSimulation = (track: Track, overrides: Partial<SimulationOptions> = {}): SimulationProgress => {
+  if (getTrackingStatus().isTracking) {
+    throw new Error('Stop monitoring before loading a simulated trip');
+  }
+
+  const options = { ...DEFAULT_SIMULATION_OPTIONS, ...overrides };
+  const fixes = buildSimulatedFixes(track, options);
+
+  activeSimulation?.dispose();
+  activeSimulation = createSimulatedLocationSource(fixes, {
+    trackName: track.name || 'Simulated trip',
+    speed: options.speed,
+    interval: options.interval,
+    onProgress: notifyListeners
+  });
+
+  setLocationSource(activeSimulation);
+
+  const progress = activeSimulation.getProgress();
+  notifyListeners(progress);
+  return progress;
+};
+
+/**
+ * Stop replaying and go back to the device's GPS
+ *
+ * A journey still being monitored keeps its recorded points; stop monitoring
+ * to complete it.
+ */
+export const unloadSimulation = (): void => {
+  if (!activeSimulation) return;
+
+  activeSimulation.dispose();
+  activeSimulation = null;
+  setLocationSource(null);
+  notifyListeners(null);
+};
+
+/**
+ * Pause or resume playback of the loaded trip
+ */
+export const setSimulationPaused = (paused: boolean): void => {
+  if (!activeSimulation) return;
+
+  if (paused) {
+    activeSimulation.pause();
+  } else {
+    activeSimulation.resume();
+  }
+};
+
+/**
+ * Get playback progress, or null if no trip is loaded
+ */
+export const getSimulationProgress = (): SimulationProgress | null => {
+  return activeSimulation?.getProgress() ?? null;
+};
+
+/**
+ * Subscribe to playback progress
+ * @returns Function to remove the listener
+ */
+export const addSimulationListener = (listener: SimulationListener): (() => void) => {
+  simulationListeners.add(listener);
+  return () => {
+    simulationListeners.delete(listener);
+  };
+};
+
+/**
+ * Milliseconds from the track's start to each point
+ */
+const trackTimes = (track: Track): number[] => {
+  const { points } = track;
+  const first = points[0].timestamp;
+  const timed = typeof first === 'number' && points.every((point, i) =>
+    typeof point.timestamp === 'number' && (i === 0 || point.timestamp >= (points[i - 1].timestamp as number))
+  );
+
+  if (timed && (points[points.length - 1].timestamp as number) > first) {
+    return points.map(point => (point.timestamp as number) - first);
+  }
+
+  return cumulativeDistances(points).map(distance => distance / DEFAULT_TRAVEL_SPEED * 1000);
+};
+
+/**
+ * Check whether a trip fraction falls inside a window
+ */
+const inWindow = (fraction: number, window: SimulationWindow): boolean => {
+  return window.end > window.start && fraction >= window.start && fraction <= window.end;
+};
+
+/**
+ * Seeded standard normal generator (mulberry32 with Box-Muller)
+ */
+const gaussianRandom = (seed: number): (() => number) => {
+  let state = seed >>> 0;
+
+  const uniform = (): number => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+
+  return () => {
+    const u = Math.max(uniform(), Number.EPSILON);
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * uniform());
+  };
+};
+
+/**
+ * Tell subscribers about playback progress
+ */
+const notifyListeners = (progress: SimulationProgress | null): void => {
+  simulationListeners.forEach(listener => {
+    try {
+      listener(progress);
+    } catch (error) {
+      console.warn('Error in simulation listener:', error);
+    }
+  });
+};
+
+export default {
+  DEFAULT_SIMULATION_OPTIONS,
+  loadJourneyTrack,
+  loadRouteTrack,
+  pickTrackFile,
+  buildSimulatedFixes,
+  createSimulatedLocationSource,
+  loadSimulation,
+  unloadSimulation,
+  setSimulationPaused,
+  getSimulationProgress,
+  addSimulationListener
+};
@@ -0,0 +1,329 @@
+import * as TaskManager from 'expo-task-manager';
+import * as BackgroundFetch from 'expo-background-fetch';
+import * as Location from 'expo-location';
+import { JourneysModel, CheckInModel, LastKnownCause } from '../database/models';
+import database from '../database/database';
+import { alertEmergencyContacts, notifyUser, DeviationData } from './AlertService';
+import { getLocationSource, LocationSource } from './LocationSource';
+import { getPredictedRoute } from './RoutePredictionService';
+import { getSettings, getEffectiveSettings, AppSettings } from './SettingsService';
+
+/**
+ * SafeTack Journey Watchdog
+ * Sends contacts the last known location when tracking is about to stop
+ *
+ * A flat battery, a lost location fix and location access being turned off
+ * all end monitoring without the user choosing to. Each is sent once per
+ * journey and recorded as a 'last_known' deviation; on routes marked
+ * low-risk only the user is told.
+ *
+ * The causes already sent are kept on the journey, and a background check
+ * after the OS restarts the app picks the open journey back up from the
+ * database, since a lost signal or revoked access brings no fix to restart it.
+ */
+
+// Background task name
+const WATCHDOG_TASK = 'journey-watchdog-check';
+
+// Configuration constants
+const WATCHDOG_CHECK_INTERVAL = 60 * 1000; // 1 minute
+const FIX_PROBE_TIMEOUT = 30 * 1000;       // how long to wait for a fresh fix before calling it lost
+const RESTORE_WINDOW = 6 * 60 * 60 * 1000; // open journeys silent for longer are left alone after a restart
+
+export interface WatchdogAlert {
+  deviationId: number;
+  cause: LastKnownCause;
+  contactsAlerted: number;
+}
+
+// Service state
+let watchedJourneyId: number | null = null;
+let lastFixAt = 0;
+let discreet = false;
+let watchdogInterval: ReturnType<typeof setInterval> | null = null;
+let checkInProgress: Promise<WatchdogAlert | null> | null = null;
+const raisedCauses = new Set<LastKnownCause>();
+
+/**
+ * Check the watched journey from a background fetch, when no fixes are waking the app
+ */
+TaskManager.defineTask(WATCHDOG_TASK, async () => {
+  try {
+    const alert = await checkJourneyWatchdog();
+    return alert
+      ? BackgroundFetch.BackgroundFetchResult.NewData
+      : BackgroundFetch.BackgroundFetchResult.NoData;
+  } catch (error) {
+    console.error('Error running journey watchdog in background:', error);
+    return BackgroundFetch.BackgroundFetchResult.Failed;
+  }
+});
+
+/**
+ * Start watching a journey that has just started
+ */
+export const startWatchdog = (journeyId: number): void => {
+  stopWatchdog();
+
+  watchedJourneyId = journeyId;
+  lastFixAt = Date.now();
+
+  watchdogInterval = setInterval(() => {
+    checkJourneyWatchdog().catch(error => {
+      console.warn('Error running journey watchdog:', error);
+    });
+  }, WATCHDOG_CHECK_INTERVAL);
+};
+
+/**
+ * Stop watching once the journey has ended
+ */
+export const stopWatchdog = (): void => {
+  if (watchdogInterval) {
+    clearInterval(watchdogInterval);
+    watchdogInterval = null;
+  }
+
+  watchedJourneyId = null;
+  raisedCauses.clear();
+};
+
+/**
+ * Note that a fix arrived for the watched journey
+ */
+export const noteFix = (): void => {
+  lastFixAt = Date.now();
+};
+
+/**
+ * Keep the watchdog's notifications off the screen, e.g. after a duress unlock
+ *
+ * Contacts are still sent the last known location.
+ */
+export const setWatchdogDiscreet = (enabled: boolean): void => {
+  discreet = enabled;
+};
+
+/**
+ * Look for anything about to stop tracking and send the last known location
+ * @returns The alert raised, or null if there was nothing new to report
+ */
+export const checkJourneyWatchdog = async (): Promise<WatchdogAlert | null> => {
+  // Interval, location task and background fetch may all fire together
+  if (checkInProgress) return checkInProgress;
+
+  checkInProgress = (async () => {
+    const journeyId = watchedJourneyId ?? await restoreWatchdog();
+    if (!journeyId) return null;
+
+    const settings = await getSettings();
+    if (!settings.lastKnownAlerts) return null;
+
+    const source = getLocationSource();
+    const causes = await detectCauses(source, settings);
+
+    for (const cause of causes) {
+      if (!raisedCauses.has(cause)) {
+        return raiseLastKnownAlert(journeyId, cause, source);
+      }
+    }
+
+    return null;
+  })();
+
+  try {
+    return await checkInProgress;
+  } finally {
+    checkInProgress = null;
+  }
+};
+
+/**
+ * Register the background fetch task that checks the watched journey
+ */
+export const registerWatchdogBackgroundTask = async (): Promise<boolean> => {
+  try {
+    const isRegistered = await TaskManager.isTaskRegisteredAsync(WATCHDOG_TASK);
+    if (!isRegistered) {
+      await BackgroundFetch.registerTaskAsync(WATCHDOG_TASK, {
+        minimumInterval: 15 * 60, // seconds; the OS may run it less often
+        stopOnTerminate: false,
+        startOnBoot: true
+      });
+    }
+    return true;
+  } catch (error) {
+    console.warn('Error registering watchdog background task:', error);
+    return false;
+  }
+};
+
+/**
+ * Work out which problems are ending tracking, most urgent first
+ */
+const detectCauses = async (source: LocationSource, settings: AppSettings): Promise<LastKnownCause[]> => {
+  const causes: LastKnownCause[] = [];
+
+  try {
+    // Background access matters too: without it tracking stops when the app is closed
+    const permissions = await source.getPermissions();
+    if (!permissions.foreground || !permissions.background) {
+      causes.push('permission');
+    }
+  } catch (error) {
+    console.warn('Error checking location permissions:', error);
+  }
+
+  try {
+    // An unknown level reads as -1
+    const batteryLevel = await source.getBatteryLevel();
+    if (batteryLevel >= 0 && batteryLevel * 100 <= settings.criticalBatteryPercent && !(await source.isCharging())) {
+      causes.push('battery');
+    }
+  } catch (error) {
+    console.warn('Error checking battery level:', error);
+  }
+
+  if (Date.now() - lastFixAt >= settings.signalLossMinutes * 60 * 1000) {
+    // Standing still sends no fixes either, so ask for one before deciding
+    if (await probeFix(source)) {
+      lastFixAt = Date.now();
+    } else {
+      causes.push('signal');
+    }
+  }
+
+  return causes;
+};
+
+/**
+ * Try to get a fresh fix
+ */
+const probeFix = async (source: LocationSource): Promise<boolean> => {
+  let timer: ReturnType<typeof setTimeout> | null = null;
+
+  try {
+    const timeout = new Promise<never>((_, reject) => {
+      timer = setTimeout(() => reject(new Error('Timed out waiting for a fix')), FIX_PROBE_TIMEOUT);
+    });
+
+    // Balanced accuracy can fall back to Wi-Fi and cell towers
+    await Promise.race([source.getCurrentPosition(Location.Accuracy.Balanced), timeout]);
+    return true;
+  } catch {
+    return false;
+  } finally {
+    if (timer) clearTimeout(timer);
+  }
+};
+
+/**
+ * Pick up watching the open journey after the OS restarted the app
+ *
+ * Its last fix is taken from its last stored point, so time without a signal
+ * before the restart still counts.
+ * @returns The journey now watched, or null if there is none to watch
+ */
+const restoreWatchdog = async (): Promise<number | null> => {
+  const journey = await JourneysModel.getOpenJourney();
+  if (!journey?.id) return null;
+
+  const lastPoint = await JourneysModel.getLastPoint(journey.id);
+  const lastSeenAt = lastPoint?.timestamp ?? journey.start_time;
+
+  // Tracking that stopped long ago without completing its journey isn't being watched for
+  if (Date.now() - lastSeenAt > RESTORE_WINDOW) return null;
+
+  watchedJourneyId = journey.id;
+  lastFixAt = lastSeenAt;
+  raisedCauses.clear();
+  for (const cause of await JourneysModel.getWatchdogCauses(journey.id)) {
+    raisedCauses.add(cause);
+  }
+
+  console.log(`Journey watchdog restored for journey ${journey.id}`);
+  return journey.id;
+};
+
+/**
+ * Record the last known location and send it to contacts (or only the user, on a low-risk route)
+ */
+const raiseLastKnownAlert = async (
+  journeyId: number,
+  cause: LastKnownCause,
+  source: LocationSource
+): Promise<WatchdogAlert | null> => {
+  const lastPoint = await JourneysModel.getLastPoint(journeyId);
+  if (!lastPoint) return null;
+
+  const routeId = getPredictedRoute(journeyId)?.routeId;
+  const { quietSafeguards } = await getEffectiveSettings(routeId);
+  const [checkIn] = await CheckInModel.getOpenCheckIns(journeyId);
+
+  // Recorded before the app was stopped partway through sending it; send it now rather than record it again
+  const deviations = await JourneysModel.getDeviations(journeyId);
+  const unsent = deviations.find(deviation => deviation.kind === 'last_known' && deviation.cause === cause);
+
+  const batteryLevel = unsent
+    ? unsent.battery_level ?? null
+    : await source.getBatteryLevel().catch(() => lastPoint.battery_level ?? null);
+
+  const deviationId = unsent?.id ?? await JourneysModel.recordDeviation(journeyId, {
+    kind: 'last_known',
+    latitude: lastPoint.latitude,
+    longitude: lastPoint.longitude,
+    timestamp: Date.now(),
+    deviation_distance: 0,
+    cause,
+    battery_level: batteryLevel
+  });
+
+  const deviationData: DeviationData = {
+    deviationId,
+    journeyId,
+    routeId,
+    kind: 'last_known',
+    distance: 0,
+    latitude: unsent?.latitude ?? lastPoint.latitude,
+    longitude: unsent?.longitude ?? lastPoint.longitude,
+    destinationName: checkIn?.destination_name,
+    expectedAt: checkIn?.due_at,
+    cause,
+    batteryLevel
+  };
+
+  let contactsAlerted = 0;
+  if (!quietSafeguards) {
+    contactsAlerted = await alertEmergencyContacts(deviationData);
+    if (contactsAlerted > 0) {
+      await database.executeQuery(
+        'UPDATE DeviationEvents SET alert_sent = 1 WHERE id = ?',
+        [deviationId]
+      );
+    }
+  }
+
+  // Only once contacts have it does the cause count as sent
+  raisedCauses.add(cause);
+  await JourneysModel.addWatchdogCause(journeyId, cause);
+
+  if (!discreet) {
+    try {
+      await notifyUser({ ...deviationData, contactsAlerted: contactsAlerted > 0 });
+    } catch (error) {
+      console.warn('Error notifying user of last known location:', error);
+    }
+  }
+
+  console.log(`Last known location sent for journey ${journeyId} (${cause}) to ${contactsAlerted} contacts`);
+  return { deviationId, cause, contactsAlerted };
+};
+
+export default {
+  startWatchdog,
+  stopWatchdog,
+  noteFix,
+  setWatchdogDiscreet,
+  checkJourneyWatchdog,
+  registerWatchdogBackgroundTask
+};
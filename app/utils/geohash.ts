@@ -0,0 +1,129 @@
+/**
+ * SafeTack Geohash Utilities
+ * Encode coordinates as geohash cells for indexed proximity lookups
+ */
+import { GeoPosition } from './geometry';
+
+const BASE32 = '0123456789bcdefghjkmnpqrstuvwxyz';
+
+// Precision 6 cells are roughly 1.2km x 0.6km, so a cell and its neighbours
+// always cover a few hundred meters around a point
+export const DEFAULT_GEOHASH_PRECISION = 6;
+
+interface GeohashCell {
+  latitude: number;
+  longitude: number;
+  latitudeError: number;
+  longitudeError: number;
+}
+
+/**
+ * Encode a coordinate as a geohash
+ * @param point - Coordinate to encode
+ * @param precision - Number of characters (default 6)
+ * @returns Geohash string
+ */
+export const encodeGeohash = (point: GeoPosition, precision = DEFAULT_GEOHASH_PRECISION): string => {
+  let minLat = -90, maxLat = 90;
+  let minLng = -180, maxLng = 180;
+  let hash = '';
+  let bit = 0;
+  let charIndex = 0;
+  let evenBit = true;
+
+  while (hash.length < precision) {
+    if (evenBit) {
+      const mid = (minLng + maxLng) / 2;
+      if (point.longitude >= mid) {
+        charIndex = charIndex * 2 + 1;
+        minLng = mid;
+      } else {
+        charIndex = charIndex * 2;
+        maxLng = mid;
+      }
+    } else {
+      const mid = (minLat + maxLat) / 2;
+      if (point.latitude >= mid) {
+        charIndex = charIndex * 2 + 1;
+        minLat = mid;
+      } else {
+        charIndex = charIndex * 2;
+        maxLat = mid;
+      }
+    }
+
+    evenBit = !evenBit;
+
+    if (++bit === 5) {
+      hash += BASE32.charAt(charIndex);
+      bit = 0;
+      charIndex = 0;
+    }
+  }
+
+  return hash;
+};
+
+/**
+ * Decode a geohash to the centre and half-size of its cell
+ */
+const decodeGeohash = (hash: string): GeohashCell => {
+  let minLat = -90, maxLat = 90;
+  let minLng = -180, maxLng = 180;
+  let evenBit = true;
+
+  for (const char of hash) {
+    const charIndex = BASE32.indexOf(char);
+    if (charIndex === -1) {
+      throw new Error(`Invalid geohash: ${hash}`);
+    }
+
+    for (let n = 4; n >= 0; n--) {
+      const bitSet = ((charIndex >> n) & 1) === 1;
+
+      if (evenBit) {
+        const mid = (minLng + maxLng) / 2;
+        if (bitSet) minLng = mid; else maxLng = mid;
+      } else {
+        const mid = (minLat + maxLat) / 2;
+        if (bitSet) minLat = mid; else maxLat = mid;
+      }
+
+      evenBit = !evenBit;
+    }
+  }
+
+  return {
+    latitude: (minLat + maxLat) / 2,
+    longitude: (minLng + maxLng) / 2,
+    latitudeError: (maxLat - minLat) / 2,
+    longitudeError: (maxLng - minLng) / 2
+  };
+};
+
+/**
+ * Get the geohash cell containing a coordinate plus its eight neighbours
+ * @param point - Coordinate at the centre
+ * @param precision - Number of characters (default 6)
+ * @returns Distinct geohashes of the 3x3 block of cells
+ */
+export const geohashesAround = (point: GeoPosition, precision = DEFAULT_GEOHASH_PRECISION): string[] => {
+  const cell = decodeGeohash(encodeGeohash(point, precision));
+  const hashes = new Set<string>();
+
+  for (const dLat of [-1, 0, 1]) {
+    for (const dLng of [-1, 0, 1]) {
+      const latitude = cell.latitude + dLat * cell.latitudeError * 2;
+      if (latitude < -90 || latitude > 90) continue;
+
+      // Wrap around the antimeridian
+      let longitude = cell.longitude + dLng * cell.longitudeError * 2;
+      if (longitude > 180) longitude -= 360;
+      if (longitude < -180) longitude += 360;
+
+      hashes.add(encodeGeohash({ latitude, longitude }, precision));
+    }
+  }
+
+  return [...hashes];
+};
@@ -0,0 +1,291 @@
+/**
+ * SafeTack Geometry Utilities
+ * Planar helpers for working with short GPS paths in metres
+ */
+import { haversineDistance } from './helpers';
+
+const EARTH_RADIUS = 6371e3; // meters
+
+export interface GeoPosition {
+  latitude: number;
+  longitude: number;
+}
+
+export interface PlanarPoint {
+  x: number;
+  y: number;
+}
+
+export interface GeoBounds {
+  minLatitude: number;
+  maxLatitude: number;
+  minLongitude: number;
+  maxLongitude: number;
+}
+
+export interface PolylineProjection {
+  point: GeoPosition;
+  distance: number;      // meters from the query point to the polyline
+  segmentIndex: number;  // index of the segment start vertex
+  alongTrack: number;    // meters from the polyline start to the projected point
+}
+
+/**
+ * Project a coordinate onto a local equirectangular plane (meters)
+ * @param point - Coordinate to project
+ * @param origin - Reference coordinate the plane is centred on
+ * @returns Planar x/y offset from the origin in meters
+ */
+export const projectToPlane = (point: GeoPosition, origin: GeoPosition): PlanarPoint => {
+  const originLat = origin.latitude * Math.PI / 180;
+  return {
+    x: (point.longitude - origin.longitude) * Math.PI / 180 * Math.cos(originLat) * EARTH_RADIUS,
+    y: (point.latitude - origin.latitude) * Math.PI / 180 * EARTH_RADIUS
+  };
+};
+
+/**
+ * Convert a planar offset back to a coordinate
+ * @param point - Planar x/y offset in meters
+ * @param origin - Reference coordinate used for the projection
+ * @returns Geographic coordinate
+ */
+export const unprojectFromPlane = (point: PlanarPoint, origin: GeoPosition): GeoPosition => {
+  const originLat = origin.latitude * Math.PI / 180;
+  return {
+    latitude: origin.latitude + point.y / EARTH_RADIUS * 180 / Math.PI,
+    longitude: origin.longitude + point.x / (EARTH_RADIUS * Math.cos(originLat)) * 180 / Math.PI
+  };
+};
+
+/**
+ * Calculate the initial bearing from one coordinate to another
+ * @param from - Start coordinate
+ * @param to - End coordinate
+ * @returns Bearing in degrees (0-360, clockwise from north)
+ */
+export const calculateBearing = (from: GeoPosition, to: GeoPosition): number => {
+  const φ1 = from.latitude * Math.PI / 180;
+  const φ2 = to.latitude * Math.PI / 180;
+  const Δλ = (to.longitude - from.longitude) * Math.PI / 180;
+
+  const y = Math.sin(Δλ) * Math.cos(φ2);
+  const x = Math.cos(φ1) * Math.sin(φ2) - Math.sin(φ1) * Math.cos(φ2) * Math.cos(Δλ);
+
+  return (Math.atan2(y, x) * 180 / Math.PI + 360) % 360;
+};
+
+/**
+ * Smallest absolute difference between two bearings
+ * @returns Difference in degrees (0-180)
+ */
+export const bearingDifference = (bearing1: number, bearing2: number): number => {
+  const diff = Math.abs(bearing1 - bearing2) % 360;
+  return diff > 180 ? 360 - diff : diff;
+};
+
+/**
+ * Calculate cumulative distance along a path
+ * @param points - Ordered path coordinates
+ * @returns Array where entry i is the distance in meters from the start to point i
+ */
+export const cumulativeDistances = (points: GeoPosition[]): number[] => {
+  const result: number[] = [];
+  let total = 0;
+
+  for (let i = 0; i < points.length; i++) {
+    if (i > 0) {
+      total += haversineDistance(
+        points[i - 1].latitude, points[i - 1].longitude,
+        points[i].latitude, points[i].longitude
+      );
+    }
+    result.push(total);
+  }
+
+  return result;
+};
+
+/**
+ * Find the closest point on a polyline to a coordinate
+ * @param point - Query coordinate
+ * @param polyline - Ordered path coordinates
+ * @returns Projection details, or null for an empty polyline
+ */
+export const projectOntoPolyline = (point: GeoPosition, polyline: GeoPosition[]): PolylineProjection | null => {
+  if (!polyline || polyline.length === 0) {
+    return null;
+  }
+
+  if (polyline.length === 1) {
+    return {
+      point: polyline[0],
+      distance: haversineDistance(point.latitude, point.longitude, polyline[0].latitude, polyline[0].longitude),
+      segmentIndex: 0,
+      alongTrack: 0
+    };
+  }
+
+  const origin = point;
+  const cumulative = cumulativeDistances(polyline);
+  let best: PolylineProjection | null = null;
+
+  for (let i = 0; i < polyline.length - 1; i++) {
+    const a = projectToPlane(polyline[i], origin);
+    const b = projectToPlane(polyline[i + 1], origin);
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const lengthSquared = dx * dx + dy * dy;
+
+    // Query point is the plane origin, so project (0,0) onto segment a-b
+    const t = lengthSquared === 0 ? 0 : Math.max(0, Math.min(1, -(a.x * dx + a.y * dy) / lengthSquared));
+    const projected = { x: a.x + t * dx, y: a.y + t * dy };
+    const distance = Math.sqrt(projected.x * projected.x + projected.y * projected.y);
+
+    if (!best || distance < best.distance) {
+      best = {
+        point: unprojectFromPlane(projected, origin),
+        distance,
+        segmentIndex: i,
+        alongTrack: cumulative[i] + t * (cumulative[i + 1] - cumulative[i])
+      };
+    }
+  }
+
+  return best;
+};
+
+/**
+ * Find the coordinate at a given distance along a polyline
+ * @param polyline - Ordered path coordinates
+ * @param distance - Meters from the polyline start
+ * @returns Interpolated coordinate (clamped to the polyline ends)
+ */
+export const pointAlongPolyline = (polyline: GeoPosition[], distance: number): GeoPosition | null => {
+  if (!polyline || polyline.length === 0) {
+    return null;
+  }
+
+  const cumulative = cumulativeDistances(polyline);
+
+  if (distance <= 0) return polyline[0];
+  if (distance >= cumulative[cumulative.length - 1]) return polyline[polyline.length - 1];
+
+  for (let i = 1; i < polyline.length; i++) {
+    if (cumulative[i] >= distance) {
+      const segmentLength = cumulative[i] - cumulative[i - 1];
+      const weight = segmentLength === 0 ? 0 : (distance - cumulative[i - 1]) / segmentLength;
+
+      return {
+        latitude: polyline[i - 1].latitude * (1 - weight) + polyline[i].latitude * weight,
+        longitude: polyline[i - 1].longitude * (1 - weight) + polyline[i].longitude * weight
+      };
+    }
+  }
+
+  return polyline[polyline.length - 1];
+};
+
+/**
+ * Shortest distance from a coordinate to a line segment
+ * @param point - Query coordinate
+ * @param segmentStart - First end of the segment
+ * @param segmentEnd - Second end of the segment
+ * @returns Distance in meters
+ */
+export const distanceToSegment = (point: GeoPosition, segmentStart: GeoPosition, segmentEnd: GeoPosition): number => {
+  // Work in meters on a plane centred on the query point, so x/y scales match
+  const a = projectToPlane(segmentStart, point);
+  const b = projectToPlane(segmentEnd, point);
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const lengthSquared = dx * dx + dy * dy;
+
+  const t = lengthSquared === 0 ? 0 : Math.max(0, Math.min(1, -(a.x * dx + a.y * dy) / lengthSquared));
+  const x = a.x + t * dx;
+  const y = a.y + t * dy;
+
+  return Math.sqrt(x * x + y * y);
+};
+
+/**
+ * Calculate the bounding box of a set of coordinates
+ * @returns Bounds, or null for an empty set
+ */
+export const getBounds = (points: GeoPosition[]): GeoBounds | null => {
+  if (!points || points.length === 0) {
+    return null;
+  }
+
+  const bounds: GeoBounds = {
+    minLatitude: points[0].latitude,
+    maxLatitude: points[0].latitude,
+    minLongitude: points[0].longitude,
+    maxLongitude: points[0].longitude
+  };
+
+  for (const point of points) {
+    bounds.minLatitude = Math.min(bounds.minLatitude, point.latitude);
+    bounds.maxLatitude = Math.max(bounds.maxLatitude, point.latitude);
+    bounds.minLongitude = Math.min(bounds.minLongitude, point.longitude);
+    bounds.maxLongitude = Math.max(bounds.maxLongitude, point.longitude);
+  }
+
+  return bounds;
+};
+
+/**
+ * Grow a bounding box by a margin on every side
+ * @param bounds - Bounds to expand
+ * @param margin - Margin in meters
+ * @returns Expanded bounds
+ */
+export const expandBounds = (bounds: GeoBounds, margin: number): GeoBounds => {
+  const latitudeMargin = margin / EARTH_RADIUS * 180 / Math.PI;
+  const widestLatitude = Math.max(Math.abs(bounds.minLatitude), Math.abs(bounds.maxLatitude));
+  const longitudeMargin = latitudeMargin / Math.max(Math.cos(widestLatitude * Math.PI / 180), 0.01);
+
+  return {
+    minLatitude: bounds.minLatitude - latitudeMargin,
+    maxLatitude: bounds.maxLatitude + latitudeMargin,
+    minLongitude: bounds.minLongitude - longitudeMargin,
+    maxLongitude: bounds.maxLongitude + longitudeMargin
+  };
+};
+
+/**
+ * Share of a path's length that runs inside a bounding box
+ *
+ * A segment with either end inside counts in full, so the share is never
+ * underestimated.
+ * @param points - Ordered path coordinates
+ * @param bounds - Bounding box
+ * @returns 0-1 share of the path's length, or 0 for a path with no length
+ */
+export const shareOfPathInBounds = (points: GeoPosition[], bounds: GeoBounds): number => {
+  const distances = cumulativeDistances(points);
+  const total = distances[distances.length - 1] || 0;
+  if (total === 0) return 0;
+
+  const inside = points.map(point =>
+    point.latitude >= bounds.minLatitude && point.latitude <= bounds.maxLatitude &&
+    point.longitude >= bounds.minLongitude && point.longitude <= bounds.maxLongitude
+  );
+
+  let within = 0;
+  for (let i = 1; i < points.length; i++) {
+    if (inside[i - 1] || inside[i]) {
+      within += distances[i] - distances[i - 1];
+    }
+  }
+
+  return within / total;
+};
+
+/**
+ * Check whether two bounding boxes overlap
+ */
+export const boundsIntersect = (a: GeoBounds, b: GeoBounds): boolean => {
+  return a.minLatitude <= b.maxLatitude && a.maxLatitude >= b.minLatitude &&
+         a.minLongitude <= b.maxLongitude && a.maxLongitude >= b.minLongitude;
+};
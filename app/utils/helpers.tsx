@@ -112,30 +112,6 @@ export const getConfidenceColor = (score?: number): string => {
   return '#F44336'; // Red
 };
 
-/**
- * Detect transportation mode based on speed
- * @param speedMps - Speed in meters per second
- * @returns Detected transportation mode
- */
-export const detectTransportationMode = (speedMps?: number): string => {
-  if (speedMps === null || speedMps === undefined) {
-    return 'unknown';
-  }
-  
-  // Convert from m/s to km/h
-  const speedKmh = speedMps * 3.6;
-  
-  if (speedKmh < 6) {
-    return 'walking';
-  } else if (speedKmh < 20) {
-    return 'cycling';
-  } else if (speedKmh < 200) {
-    return 'driving';
-  } else {
-    return 'unknown';
-  }
-};
-
 /**
  * Get human readable name for transportation mode
  * @param mode - Transportation mode code
@@ -148,6 +124,8 @@ export const getTransportationName = (mode?: string): string => {
     'walking': 'Walking',
     'cycling': 'Cycling',
     'driving': 'Driving',
+    'transit': 'Public Transport',
+    'stationary': 'Stationary',
     'unknown': 'Unknown'
   };
   
@@ -0,0 +1,175 @@
+/**
+ * SafeTack Route Matching
+ * Path similarity between a journey and a learned route using discrete Fréchet distance
+ */
+import {
+  GeoPosition,
+  PlanarPoint,
+  projectToPlane,
+  cumulativeDistances,
+  projectOntoPolyline
+} from './geometry';
+
+// Configuration constants
+const ENDPOINT_TOLERANCE = 100;  // meters an endpoint may sit off the other path and still anchor the overlap
+const FRECHET_TOLERANCE = 200;   // default meters of Fréchet distance at which path similarity reaches zero
+const MIN_SAMPLE_SPACING = 15;   // meters between resampled points
+const MAX_SAMPLES = 200;         // per path; bounds the O(n*m) Fréchet table
+
+export interface RouteMatch {
+  similarity: number;       // 0-1; path similarity weighted by how much of the journey overlaps
+  frechetDistance: number;  // meters, over the overlapping sections
+  journeyCoverage: number;  // 0-1 share of the journey that follows the route
+  routeCoverage: number;    // 0-1 share of the route the journey travelled
+}
+
+const NO_MATCH: RouteMatch = {
+  similarity: 0,
+  frechetDistance: Infinity,
+  journeyCoverage: 0,
+  routeCoverage: 0
+};
+
+/**
+ * Compare a journey against a learned route
+ *
+ * The overlapping sections are found first, so a journey that joins a route
+ * late or leaves it early still matches on the part it shares.
+ * @param journey - Ordered journey coordinates
+ * @param route - Ordered route coordinates
+ * @param frechetTolerance - Meters of Fréchet distance at which similarity reaches zero
+ * @returns Similarity and overlap of the two paths
+ */
+export const compareRoutes = (
+  journey: GeoPosition[],
+  route: GeoPosition[],
+  frechetTolerance: number = FRECHET_TOLERANCE
+): RouteMatch => {
+  if (!journey || !route || journey.length < 2 || route.length < 2) {
+    return NO_MATCH;
+  }
+
+  const journeyLength = pathLength(journey);
+  const routeLength = pathLength(route);
+  if (journeyLength === 0 || routeLength === 0) {
+    return NO_MATCH;
+  }
+
+  const journeyStartOnRoute = projectOntoPolyline(journey[0], route)!;
+  const journeyEndOnRoute = projectOntoPolyline(journey[journey.length - 1], route)!;
+  const routeStartOnJourney = projectOntoPolyline(route[0], journey)!;
+  const routeEndOnJourney = projectOntoPolyline(route[route.length - 1], journey)!;
+
+  // Start of the shared section: journey joins the route, or the route begins along the journey
+  let journeyFrom = 0;
+  let routeFrom = 0;
+  if (journeyStartOnRoute.distance <= ENDPOINT_TOLERANCE) {
+    routeFrom = journeyStartOnRoute.alongTrack;
+  } else if (routeStartOnJourney.distance <= ENDPOINT_TOLERANCE) {
+    journeyFrom = routeStartOnJourney.alongTrack;
+  }
+
+  // End of the shared section, worked out the same way
+  let journeyTo = journeyLength;
+  let routeTo = routeLength;
+  if (journeyEndOnRoute.distance <= ENDPOINT_TOLERANCE) {
+    routeTo = journeyEndOnRoute.alongTrack;
+  } else if (routeEndOnJourney.distance <= ENDPOINT_TOLERANCE) {
+    journeyTo = routeEndOnJourney.alongTrack;
+  }
+
+  // Travelling the route in the opposite direction is a different route
+  if (journeyTo <= journeyFrom || routeTo <= routeFrom) {
+    return NO_MATCH;
+  }
+
+  const spacing = Math.max(
+    MIN_SAMPLE_SPACING,
+    Math.max(journeyTo - journeyFrom, routeTo - routeFrom) / MAX_SAMPLES
+  );
+
+  const origin = journey[0];
+  const journeySamples = resamplePath(journey, journeyFrom, journeyTo, spacing).map(p => projectToPlane(p, origin));
+  const routeSamples = resamplePath(route, routeFrom, routeTo, spacing).map(p => projectToPlane(p, origin));
+
+  const frechetDistance = discreteFrechetDistance(journeySamples, routeSamples);
+  const journeyCoverage = (journeyTo - journeyFrom) / journeyLength;
+  const routeCoverage = (routeTo - routeFrom) / routeLength;
+
+  return {
+    similarity: Math.max(0, 1 - frechetDistance / frechetTolerance) * journeyCoverage,
+    frechetDistance,
+    journeyCoverage,
+    routeCoverage
+  };
+};
+
+/**
+ * Discrete Fréchet distance between two planar paths
+ * @returns Distance in the paths' units (meters for projected coordinates)
+ */
+export const discreteFrechetDistance = (a: PlanarPoint[], b: PlanarPoint[]): number => {
+  if (a.length === 0 || b.length === 0) {
+    return Infinity;
+  }
+
+  // Dynamic programming over the coupling table, keeping one row at a time
+  let previous = new Float64Array(b.length);
+  let current = new Float64Array(b.length);
+
+  for (let i = 0; i < a.length; i++) {
+    for (let j = 0; j < b.length; j++) {
+      const d = Math.hypot(a[i].x - b[j].x, a[i].y - b[j].y);
+
+      if (i === 0 && j === 0) {
+        current[j] = d;
+      } else if (i === 0) {
+        current[j] = Math.max(current[j - 1], d);
+      } else if (j === 0) {
+        current[j] = Math.max(previous[j], d);
+      } else {
+        current[j] = Math.max(Math.min(previous[j], previous[j - 1], current[j - 1]), d);
+      }
+    }
+
+    [previous, current] = [current, previous];
+  }
+
+  return previous[b.length - 1];
+};
+
+/**
+ * Evenly resample the section of a path between two along-track distances
+ */
+const resamplePath = (path: GeoPosition[], from: number, to: number, spacing: number): GeoPosition[] => {
+  const cumulative = cumulativeDistances(path);
+  const count = Math.max(2, Math.ceil((to - from) / spacing) + 1);
+  const step = (to - from) / (count - 1);
+  const samples: GeoPosition[] = [];
+  let segment = 1;
+
+  // Sample distances only increase, so walk the path once
+  for (let i = 0; i < count; i++) {
+    const distance = from + i * step;
+    while (segment < path.length - 1 && cumulative[segment] < distance) {
+      segment++;
+    }
+
+    const segmentLength = cumulative[segment] - cumulative[segment - 1];
+    const weight = segmentLength === 0
+      ? 0
+      : Math.max(0, Math.min(1, (distance - cumulative[segment - 1]) / segmentLength));
+
+    samples.push({
+      latitude: path[segment - 1].latitude * (1 - weight) + path[segment].latitude * weight,
+      longitude: path[segment - 1].longitude * (1 - weight) + path[segment].longitude * weight
+    });
+  }
+
+  return samples;
+};
+
+const pathLength = (path: GeoPosition[]): number => {
+  const cumulative = cumulativeDistances(path);
+  return cumulative[cumulative.length - 1];
+};
@@ -0,0 +1,297 @@
+/**
+ * SafeTack Journey Segmentation
+ * Splits a journey into single-mode segments from speed, acceleration and dwell patterns
+ */
+import { haversineDistance } from './helpers';
+
+// Configuration constants
+const STATIONARY_SPEED = 0.4;       // m/s; slower counts as standing still
+const WALKING_MAX_SPEED = 2.2;      // m/s (~8 km/h)
+const CYCLING_MAX_SPEED = 7;        // m/s (~25 km/h)
+const RAIL_SPEED = 33;              // m/s (~120 km/h); sustained faster travel is a train
+const MOTOR_ACCELERATION = 1.5;     // m/s²; cyclists rarely accelerate harder than this
+const SPEED_WINDOW = 5;             // fixes in the median filter that removes GPS speed spikes
+const MIN_DWELL_DURATION = 120000;  // ms; shorter stops belong to the segment around them
+const MIN_SEGMENT_DURATION = 60000; // ms; shorter moving runs are absorbed by a neighbour
+const MIN_TRANSIT_STOPS = 3;        // stops before a motorised segment can count as a bus
+const TRANSIT_STOPS_PER_KM = 1.5;   // buses stop more often than cars do at lights
+
+export type TransportationMode = 'walking' | 'cycling' | 'driving' | 'transit' | 'stationary' | 'unknown';
+
+export interface SegmentPoint {
+  latitude: number;
+  longitude: number;
+  timestamp: number;
+  speed?: number | null;  // m/s as reported by the device, if any
+}
+
+export interface Segment {
+  mode: TransportationMode;
+  startIndex: number;   // first point of the segment
+  endIndex: number;     // last point of the segment (inclusive)
+  startTime: number;
+  endTime: number;      // start of the next segment, so segments tile the journey
+  distance: number;     // meters
+  avgSpeed: number;     // m/s over the whole segment, stops included
+  maxSpeed: number;     // m/s; 85th percentile, so single spikes don't count
+  stopCount: number;    // short stops absorbed into the segment
+}
+
+// Speed band of a single fix, before dwell and duration rules are applied
+type SpeedBand = 'stationary' | 'walking' | 'cycling' | 'motorised';
+
+interface Run {
+  band: SpeedBand;
+  start: number;
+  end: number;
+  stops: number;
+}
+
+/**
+ * Split a journey into segments travelled in a single mode
+ *
+ * Fixes are first banded by median-filtered speed. Stops shorter than a dwell
+ * (traffic lights, bus stops) and brief bursts of another speed are folded into
+ * the segment around them, then each segment is classified from its speed,
+ * acceleration and how often it stopped.
+ * @param points - Journey fixes in time order
+ * @returns Segments covering the journey in order; empty for fewer than two fixes
+ */
+export const segmentJourney = (points: SegmentPoint[]): Segment[] => {
+  if (!points || points.length < 2) {
+    return [];
+  }
+
+  const speeds = smoothSpeeds(points);
+  let runs = toRuns(speeds.map(classifySpeed));
+
+  // Fold the shortest too-short run into its longer neighbour until none remain
+  for (;;) {
+    let shortest = -1;
+    for (let i = 0; i < runs.length && runs.length > 1; i++) {
+      const minimum = runs[i].band === 'stationary' ? MIN_DWELL_DURATION : MIN_SEGMENT_DURATION;
+      const duration = runDuration(points, runs, i);
+      if (duration < minimum && (shortest < 0 || duration < runDuration(points, runs, shortest))) {
+        shortest = i;
+      }
+    }
+    if (shortest < 0) break;
+
+    runs = absorbRun(points, runs, shortest);
+  }
+
+  return runs.map((run, i) => buildSegment(points, speeds, run, runs[i + 1]));
+};
+
+/**
+ * Pick the mode covering most of the distance travelled
+ * @returns The dominant moving mode, 'stationary' if the journey never moved
+ */
+export const getDominantMode = (segments: Pick<Segment, 'mode' | 'distance'>[]): TransportationMode => {
+  if (segments.length === 0) return 'unknown';
+
+  const distanceByMode = new Map<TransportationMode, number>();
+  for (const segment of segments) {
+    if (segment.mode === 'stationary') continue;
+    distanceByMode.set(segment.mode, (distanceByMode.get(segment.mode) || 0) + segment.distance);
+  }
+
+  let dominant: TransportationMode = 'stationary';
+  let longest = -1;
+  distanceByMode.forEach((distance, mode) => {
+    if (distance > longest) {
+      longest = distance;
+      dominant = mode;
+    }
+  });
+
+  return dominant;
+};
+
+/**
+ * Band a speed into the coarse classes used before segmentation
+ */
+const classifySpeed = (speed: number): SpeedBand => {
+  if (speed < STATIONARY_SPEED) return 'stationary';
+  if (speed < WALKING_MAX_SPEED) return 'walking';
+  if (speed < CYCLING_MAX_SPEED) return 'cycling';
+  return 'motorised';
+};
+
+/**
+ * Per-fix speed, preferring the device's reading and median-filtered to drop spikes
+ */
+const smoothSpeeds = (points: SegmentPoint[]): number[] => {
+  const raw = points.map((point, i) => {
+    // Devices report -1 (or nothing) when they can't measure speed
+    if (point.speed !== null && point.speed !== undefined && point.speed >= 0) {
+      return point.speed;
+    }
+
+    const neighbour = points[i > 0 ? i - 1 : i + 1];
+    const elapsed = Math.abs(point.timestamp - neighbour.timestamp) / 1000;
+    if (elapsed === 0) return 0;
+
+    return haversineDistance(
+      neighbour.latitude,
+      neighbour.longitude,
+      point.latitude,
+      point.longitude
+    ) / elapsed;
+  });
+
+  const half = Math.floor(SPEED_WINDOW / 2);
+  return raw.map((_, i) => {
+    const window = raw.slice(Math.max(0, i - half), i + half + 1).sort((a, b) => a - b);
+    return window[Math.floor(window.length / 2)];
+  });
+};
+
+/**
+ * Group consecutive fixes with the same band
+ */
+const toRuns = (bands: SpeedBand[]): Run[] => {
+  const runs: Run[] = [];
+
+  bands.forEach((band, i) => {
+    const last = runs[runs.length - 1];
+    if (last && last.band === band) {
+      last.end = i;
+    } else {
+      runs.push({ band, start: i, end: i, stops: 0 });
+    }
+  });
+
+  return runs;
+};
+
+/**
+ * Time from a run's first fix to the next run's first fix (or its own last fix)
+ */
+const runDuration = (points: SegmentPoint[], runs: Run[], index: number): number => {
+  const run = runs[index];
+  const next = runs[index + 1];
+  return points[next ? next.start : run.end].timestamp - points[run.start].timestamp;
+};
+
+/**
+ * Merge a run into its longer neighbour, joining the neighbours if they now match
+ */
+const absorbRun = (points: SegmentPoint[], runs: Run[], index: number): Run[] => {
+  const run = runs[index];
+  const before = index > 0 ? index - 1 : -1;
+  const after = index < runs.length - 1 ? index + 1 : -1;
+  const target = after < 0 || (before >= 0 && runDuration(points, runs, before) >= runDuration(points, runs, after))
+    ? before
+    : after;
+
+  const merged = runs.slice();
+  const host = { ...merged[target] };
+  host.start = Math.min(host.start, run.start);
+  host.end = Math.max(host.end, run.end);
+  // A pause folded into moving travel is a stop, e.g. a bus stop or traffic light
+  host.stops += run.stops + (run.band === 'stationary' && host.band !== 'stationary' ? 1 : 0);
+  merged[target] = host;
+  merged.splice(index, 1);
+
+  // Absorbing a run can leave two runs of the same band side by side
+  const result: Run[] = [];
+  for (const current of merged) {
+    const last = result[result.length - 1];
+    if (last && last.band === current.band) {
+      result[result.length - 1] = { ...last, end: current.end, stops: last.stops + current.stops };
+    } else {
+      result.push(current);
+    }
+  }
+
+  return result;
+};
+
+/**
+ * Measure a run and decide its final mode
+ */
+const buildSegment = (points: SegmentPoint[], speeds: number[], run: Run, next?: Run): Segment => {
+  const lastIndex = next ? next.start : run.end;
+
+  let distance = 0;
+  for (let i = run.start + 1; i <= lastIndex; i++) {
+    distance += haversineDistance(
+      points[i - 1].latitude,
+      points[i - 1].longitude,
+      points[i].latitude,
+      points[i].longitude
+    );
+  }
+
+  const startTime = points[run.start].timestamp;
+  const endTime = points[lastIndex].timestamp;
+  const duration = (endTime - startTime) / 1000;
+  const runSpeeds = speeds.slice(run.start, run.end + 1);
+
+  const segment: Segment = {
+    mode: 'unknown',
+    startIndex: run.start,
+    endIndex: run.end,
+    startTime,
+    endTime,
+    distance,
+    avgSpeed: duration > 0 ? distance / duration : 0,
+    maxSpeed: percentile(runSpeeds, 0.85),
+    stopCount: run.stops
+  };
+
+  segment.mode = classifySegment(segment, run.band, peakAcceleration(points, speeds, run));
+  return segment;
+};
+
+/**
+ * Final mode of a segment from its speed band, stops and acceleration
+ */
+const classifySegment = (segment: Segment, band: SpeedBand, acceleration: number): TransportationMode => {
+  switch (band) {
+    case 'stationary':
+      return 'stationary';
+    case 'walking':
+      return 'walking';
+    case 'cycling':
+      // Slow traffic looks like cycling by speed, but pulls away much harder
+      return acceleration > MOTOR_ACCELERATION ? 'driving' : 'cycling';
+    case 'motorised': {
+      if (segment.maxSpeed >= RAIL_SPEED) return 'transit';
+
+      const stopsPerKm = segment.distance > 0 ? segment.stopCount / (segment.distance / 1000) : 0;
+      return segment.stopCount >= MIN_TRANSIT_STOPS && stopsPerKm >= TRANSIT_STOPS_PER_KM
+        ? 'transit'
+        : 'driving';
+    }
+    default:
+      return 'unknown';
+  }
+};
+
+/**
+ * 90th percentile of the absolute acceleration between fixes of a run
+ */
+const peakAcceleration = (points: SegmentPoint[], speeds: number[], run: Run): number => {
+  const accelerations: number[] = [];
+
+  for (let i = run.start + 1; i <= run.end; i++) {
+    const elapsed = (points[i].timestamp - points[i - 1].timestamp) / 1000;
+    if (elapsed > 0) {
+      accelerations.push(Math.abs(speeds[i] - speeds[i - 1]) / elapsed);
+    }
+  }
+
+  return percentile(accelerations, 0.9);
+};
+
+/**
+ * Value below which the given share of the values fall
+ */
+const percentile = (values: number[], share: number): number => {
+  if (values.length === 0) return 0;
+
+  const sorted = values.slice().sort((a, b) => a - b);
+  return sorted[Math.min(sorted.length - 1, Math.floor(share * sorted.length))];
+};
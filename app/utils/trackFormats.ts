@@ -0,0 +1,387 @@
+/**
+ * SafeTack Track Formats
+ * Convert routes and journeys to and from GPX 1.1, GeoJSON and KML
+ */
+
+export type TrackFormat = 'gpx' | 'geojson' | 'kml';
+
+export const TRACK_FORMATS: TrackFormat[] = ['gpx', 'geojson', 'kml'];
+
+export const TRACK_FORMAT_DETAILS: Record<TrackFormat, { label: string; extension: string; mimeType: string }> = {
+  gpx: { label: 'GPX', extension: 'gpx', mimeType: 'application/gpx+xml' },
+  geojson: { label: 'GeoJSON', extension: 'geojson', mimeType: 'application/geo+json' },
+  kml: { label: 'KML', extension: 'kml', mimeType: 'application/vnd.google-earth.kml+xml' }
+};
+
+export interface TrackPoint {
+  latitude: number;
+  longitude: number;
+  altitude?: number | null;
+  timestamp?: number | null;
+  speed?: number | null;          // m/s
+  battery_level?: number | null;  // 0-1
+}
+
+export interface TrackWaypoint {
+  latitude: number;
+  longitude: number;
+  timestamp?: number | null;
+  name: string;
+  description?: string;
+}
+
+export interface Track {
+  name?: string;
+  type?: 'route' | 'journey';
+  points: TrackPoint[];
+  waypoints?: TrackWaypoint[];
+}
+
+// Namespace for the per-point fields GPX has no element for
+const GPX_EXTENSION_NAMESPACE = 'urn:safetack:gpx:1';
+
+/**
+ * Serialize a track in the given format
+ */
+export const formatTrack = (track: Track, format: TrackFormat): string => {
+  switch (format) {
+    case 'gpx':
+      return formatGpx(track);
+    case 'geojson':
+      return formatGeoJson(track);
+    case 'kml':
+      return formatKml(track);
+    default:
+      throw new Error(`Unsupported track format: ${format}`);
+  }
+};
+
+/**
+ * Work out a file's format from its name, falling back to its content
+ * @returns Format, or null if it is not GPX or GeoJSON
+ */
+export const detectImportFormat = (content: string, fileName?: string): TrackFormat | null => {
+  const extension = fileName?.split('.').pop()?.toLowerCase();
+  if (extension === 'gpx') return 'gpx';
+  if (extension === 'geojson' || extension === 'json') return 'geojson';
+
+  const start = content.trimStart();
+  if (start.startsWith('{')) return 'geojson';
+  if (/<gpx[\s>]/.test(start)) return 'gpx';
+
+  return null;
+};
+
+/**
+ * Parse a GPX or GeoJSON file into a single track
+ *
+ * Multiple tracks or segments are joined in file order.
+ */
+export const parseTrack = (content: string, fileName?: string): Track => {
+  const format = detectImportFormat(content, fileName);
+
+  let track: Track;
+  if (format === 'gpx') {
+    track = parseGpx(content);
+  } else if (format === 'geojson') {
+    track = parseGeoJson(content);
+  } else {
+    throw new Error('Only GPX and GeoJSON files can be imported');
+  }
+
+  track.points = track.points.filter(isValidCoordinate);
+  if (track.points.length < 2) {
+    throw new Error('File does not contain a track with at least two points');
+  }
+
+  return track;
+};
+
+// GPX
+
+const formatGpx = (track: Track): string => {
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<gpx version="1.1" creator="SafeTack" xmlns="http://www.topografix.com/GPX/1/1" xmlns:safetack="${GPX_EXTENSION_NAMESPACE}">`,
+    '  <metadata>',
+    ...(track.name ? [`    <name>${escapeXml(track.name)}</name>`] : []),
+    `    <time>${new Date().toISOString()}</time>`,
+    '  </metadata>'
+  ];
+
+  for (const waypoint of track.waypoints || []) {
+    lines.push(`  <wpt lat="${waypoint.latitude}" lon="${waypoint.longitude}">`);
+    if (waypoint.timestamp) lines.push(`    <time>${toIsoTime(waypoint.timestamp)}</time>`);
+    lines.push(`    <name>${escapeXml(waypoint.name)}</name>`);
+    if (waypoint.description) lines.push(`    <desc>${escapeXml(waypoint.description)}</desc>`);
+    lines.push('  </wpt>');
+  }
+
+  lines.push('  <trk>');
+  if (track.name) lines.push(`    <name>${escapeXml(track.name)}</name>`);
+  if (track.type) lines.push(`    <type>${track.type}</type>`);
+  lines.push('    <trkseg>');
+
+  for (const point of track.points) {
+    lines.push(`      <trkpt lat="${point.latitude}" lon="${point.longitude}">`);
+    if (isNumber(point.altitude)) lines.push(`        <ele>${point.altitude}</ele>`);
+    if (point.timestamp) lines.push(`        <time>${toIsoTime(point.timestamp)}</time>`);
+
+    if (isNumber(point.speed) || isNumber(point.battery_level)) {
+      lines.push('        <extensions>');
+      if (isNumber(point.speed)) lines.push(`          <safetack:speed>${point.speed}</safetack:speed>`);
+      if (isNumber(point.battery_level)) lines.push(`          <safetack:battery>${point.battery_level}</safetack:battery>`);
+      lines.push('        </extensions>');
+    }
+
+    lines.push('      </trkpt>');
+  }
+
+  lines.push('    </trkseg>', '  </trk>', '</gpx>', '');
+  return lines.join('\n');
+};
+
+const parseGpx = (content: string): Track => {
+  // Track points, falling back to planned route points
+  let points = matchElements(content, 'trkpt').map(parseGpxPoint);
+  if (points.length === 0) {
+    points = matchElements(content, 'rtept').map(parseGpxPoint);
+  }
+
+  const trackBody = matchElements(content, 'trk')[0]?.body || '';
+  const trackName = readElement(trackBody, 'name')
+    || readElement(matchElements(content, 'rte')[0]?.body || '', 'name')
+    || readElement(matchElements(content, 'metadata')[0]?.body || '', 'name');
+
+  const waypoints = matchElements(content, 'wpt').map(({ attributes, body }) => ({
+    latitude: parseFloat(readAttribute(attributes, 'lat') || ''),
+    longitude: parseFloat(readAttribute(attributes, 'lon') || ''),
+    timestamp: parseIsoTime(readElement(body, 'time')),
+    name: readElement(body, 'name') || 'Waypoint',
+    description: readElement(body, 'desc') || undefined
+  }));
+
+  return {
+    name: trackName || undefined,
+    type: toTrackType(readElement(trackBody, 'type')),
+    points,
+    waypoints: waypoints.filter(isValidCoordinate)
+  };
+};
+
+const parseGpxPoint = ({ attributes, body }: XmlElement): TrackPoint => {
+  const altitude = parseFloat(readElement(body, 'ele') || '');
+  const speed = parseFloat(readElement(body, 'safetack:speed') || '');
+  const battery = parseFloat(readElement(body, 'safetack:battery') || '');
+
+  return {
+    latitude: parseFloat(readAttribute(attributes, 'lat') || ''),
+    longitude: parseFloat(readAttribute(attributes, 'lon') || ''),
+    altitude: isNaN(altitude) ? null : altitude,
+    timestamp: parseIsoTime(readElement(body, 'time')),
+    speed: isNaN(speed) ? null : speed,
+    battery_level: isNaN(battery) ? null : battery
+  };
+};
+
+// GeoJSON
+
+const formatGeoJson = (track: Track): string => {
+  const hasTimes = track.points.some(point => point.timestamp);
+
+  const line = {
+    type: 'Feature',
+    properties: {
+      name: track.name ?? null,
+      type: track.type ?? null,
+      // Per-coordinate values, following the coordTimes convention used by GPX converters
+      ...(hasTimes && { coordTimes: track.points.map(point => point.timestamp ? toIsoTime(point.timestamp) : null) }),
+      ...(track.points.some(point => isNumber(point.speed)) && { speeds: track.points.map(point => point.speed ?? null) }),
+      ...(track.points.some(point => isNumber(point.battery_level)) && {
+        batteryLevels: track.points.map(point => point.battery_level ?? null)
+      })
+    },
+    geometry: {
+      type: 'LineString',
+      coordinates: track.points.map(point =>
+        isNumber(point.altitude)
+          ? [point.longitude, point.latitude, point.altitude]
+          : [point.longitude, point.latitude]
+      )
+    }
+  };
+
+  const waypoints = (track.waypoints || []).map(waypoint => ({
+    type: 'Feature',
+    properties: {
+      name: waypoint.name,
+      description: waypoint.description ?? null,
+      time: waypoint.timestamp ? toIsoTime(waypoint.timestamp) : null
+    },
+    geometry: {
+      type: 'Point',
+      coordinates: [waypoint.longitude, waypoint.latitude]
+    }
+  }));
+
+  return JSON.stringify({ type: 'FeatureCollection', features: [line, ...waypoints] }, null, 2);
+};
+
+const parseGeoJson = (content: string): Track => {
+  let data: any;
+  try {
+    data = JSON.parse(content);
+  } catch {
+    throw new Error('File is not valid GeoJSON');
+  }
+
+  const features: any[] = data?.type === 'FeatureCollection'
+    ? data.features || []
+    : data?.type === 'Feature'
+      ? [data]
+      : [{ type: 'Feature', properties: {}, geometry: data }];
+
+  const points: TrackPoint[] = [];
+  const waypoints: TrackWaypoint[] = [];
+  let name: string | undefined;
+  let type: Track['type'];
+
+  for (const feature of features) {
+    const geometry = feature?.geometry;
+    const properties = feature?.properties || {};
+
+    if (geometry?.type === 'LineString' || geometry?.type === 'MultiLineString') {
+      const lines: number[][][] = geometry.type === 'LineString' ? [geometry.coordinates] : geometry.coordinates;
+      const times = Array.isArray(properties.coordTimes) ? properties.coordTimes.flat() : [];
+      const speeds = Array.isArray(properties.speeds) ? properties.speeds : [];
+      const batteryLevels = Array.isArray(properties.batteryLevels) ? properties.batteryLevels : [];
+      const offset = points.length;
+
+      lines.flat().forEach((coordinate, i) => {
+        points.push({
+          latitude: coordinate[1],
+          longitude: coordinate[0],
+          altitude: isNumber(coordinate[2]) ? coordinate[2] : null,
+          timestamp: parseIsoTime(times[i]),
+          speed: isNumber(speeds[i]) ? speeds[i] : null,
+          battery_level: isNumber(batteryLevels[i]) ? batteryLevels[i] : null
+        });
+      });
+
+      if (!name && typeof properties.name === 'string' && points.length > offset) {
+        name = properties.name;
+      }
+      type = type || toTrackType(properties.type);
+    } else if (geometry?.type === 'Point') {
+      waypoints.push({
+        latitude: geometry.coordinates[1],
+        longitude: geometry.coordinates[0],
+        timestamp: parseIsoTime(properties.time),
+        name: typeof properties.name === 'string' ? properties.name : 'Waypoint',
+        description: typeof properties.description === 'string' ? properties.description : undefined
+      });
+    }
+  }
+
+  return { name, type, points, waypoints: waypoints.filter(isValidCoordinate) };
+};
+
+// KML
+
+const formatKml = (track: Track): string => {
+  const coordinates = track.points
+    .map(point => [point.longitude, point.latitude, ...(isNumber(point.altitude) ? [point.altitude] : [])].join(','))
+    .join(' ');
+
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2">',
+    '  <Document>',
+    ...(track.name ? [`    <name>${escapeXml(track.name)}</name>`] : []),
+    '    <Placemark>',
+    `      <name>${escapeXml(track.name || 'Track')}</name>`,
+    '      <LineString>',
+    '        <tessellate>1</tessellate>',
+    `        <coordinates>${coordinates}</coordinates>`,
+    '      </LineString>',
+    '    </Placemark>'
+  ];
+
+  for (const waypoint of track.waypoints || []) {
+    lines.push('    <Placemark>', `      <name>${escapeXml(waypoint.name)}</name>`);
+    if (waypoint.description) lines.push(`      <description>${escapeXml(waypoint.description)}</description>`);
+    if (waypoint.timestamp) lines.push(`      <TimeStamp><when>${toIsoTime(waypoint.timestamp)}</when></TimeStamp>`);
+    lines.push(`      <Point><coordinates>${waypoint.longitude},${waypoint.latitude}</coordinates></Point>`, '    </Placemark>');
+  }
+
+  lines.push('  </Document>', '</kml>', '');
+  return lines.join('\n');
+};
+
+// XML helpers - GPX is simple enough that a regex reader avoids shipping an XML parser
+
+interface XmlElement {
+  attributes: string;
+  body: string;
+}
+
+const matchElements = (xml: string, tag: string): XmlElement[] => {
+  const pattern = new RegExp(`<${tag}(\\s[^>]*?)?(?:/>|>([\\s\\S]*?)</${tag}>)`, 'g');
+  const elements: XmlElement[] = [];
+  let match: RegExpExecArray | null;
+
+  while ((match = pattern.exec(xml)) !== null) {
+    elements.push({ attributes: match[1] || '', body: match[2] || '' });
+  }
+
+  return elements;
+};
+
+const readElement = (xml: string, tag: string): string | null => {
+  const match = new RegExp(`<${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</${tag}>`).exec(xml);
+  if (!match) return null;
+
+  const text = match[1].replace(/^\s*<!\[CDATA\[([\s\S]*)\]\]>\s*$/, '$1');
+  return unescapeXml(text.trim());
+};
+
+const readAttribute = (attributes: string, name: string): string | null => {
+  const match = new RegExp(`\\b${name}\\s*=\\s*["']([^"']*)["']`).exec(attributes);
+  return match ? match[1] : null;
+};
+
+const escapeXml = (text: string): string =>
+  text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+
+const unescapeXml = (text: string): string =>
+  text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+
+// Shared helpers
+
+const isNumber = (value: unknown): value is number =>
+  typeof value === 'number' && !isNaN(value);
+
+const isValidCoordinate = (point: { latitude: number; longitude: number }): boolean =>
+  isNumber(point.latitude) && isNumber(point.longitude) &&
+  Math.abs(point.latitude) <= 90 && Math.abs(point.longitude) <= 180;
+
+const toTrackType = (value: unknown): Track['type'] =>
+  value === 'route' || value === 'journey' ? value : undefined;
+
+const toIsoTime = (timestamp: number): string => new Date(timestamp).toISOString();
+
+const parseIsoTime = (value: unknown): number | null => {
+  if (typeof value !== 'string') return null;
+  const time = Date.parse(value);
+  return isNaN(time) ? null : time;
+};
@@ -0,0 +1,343 @@
+import React, { useState, useEffect, useRef, ReactNode } from 'react';
+import { StyleSheet, View, Text, TouchableOpacity, ActivityIndicator, AppState } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import {
+  initializeSecurity,
+  getSessionState,
+  addSessionListener,
+  lockApp,
+  unlockWithPin,
+  unlockWithBiometrics,
+  getSecurityStatus,
+  SessionState,
+  UnlockResult
+} from '../app/services/SecurityService';
+import { getSettings } from '../app/services/SettingsService';
+
+const MAX_PIN_LENGTH = 8;
+const KEYPAD_ROWS = [['1', '2', '3'], ['4', '5', '6'], ['7', '8', '9']];
+
+interface AppLockProps {
+  children: ReactNode;
+}
+
+/**
+ * Covers the app with a PIN pad while it is locked, and locks it again after
+ * it has spent the configured time in the background
+ */
+export default function AppLock({ children }: AppLockProps) {
+  const [state, setState] = useState<SessionState | null>(null);
+  const [loadFailed, setLoadFailed] = useState<boolean>(false);
+  const [retrying, setRetrying] = useState<boolean>(false);
+
+  // Without the keychain there's no telling whether a PIN is set, so stay covered until it loads
+  const loadLock = async (): Promise<void> => {
+    try {
+      setState(await initializeSecurity());
+      setLoadFailed(false);
+    } catch (error) {
+      console.error('Error loading app lock:', error);
+      setLoadFailed(true);
+    }
+  };
+
+  const handleRetry = async (): Promise<void> => {
+    setRetrying(true);
+    await loadLock();
+    setRetrying(false);
+  };
+
+  useEffect(() => {
+    const removeListener = addSessionListener(setState);
+
+    loadLock();
+
+    let backgroundedAt: number | null = null;
+    const subscription = AppState.addEventListener('change', async appState => {
+      if (appState === 'background') {
+        backgroundedAt = Date.now();
+      } else if (appState === 'active' && backgroundedAt !== null) {
+        const away = Date.now() - backgroundedAt;
+        backgroundedAt = null;
+
+        const { autoLockMinutes } = await getSettings();
+        if (away >= autoLockMinutes * 60 * 1000) {
+          lockApp();
+        }
+      }
+    });
+
+    return () => {
+      removeListener();
+      subscription.remove();
+    };
+  }, []);
+
+  return (
+    <View style={styles.container}>
+      {children}
+      {state === null && (
+        <View style={styles.overlay}>
+          {loadFailed && (
+            <View style={styles.lockScreen}>
+              <Ionicons name="lock-closed" size={40} color="#2196F3" />
+              <Text style={styles.title}>SafeTack is locked</Text>
+              <Text style={styles.message}>
+                Your lock settings couldn't be loaded. SafeTack stays locked until they can.
+              </Text>
+              <TouchableOpacity style={styles.retryButton} onPress={handleRetry} disabled={retrying}>
+                {retrying ? (
+                  <ActivityIndicator color="#fff" />
+                ) : (
+                  <Text style={styles.retryText}>Retry</Text>
+                )}
+              </TouchableOpacity>
+            </View>
+          )}
+        </View>
+      )}
+      {state === 'locked' && (
+        <View style={styles.overlay}>
+          <LockScreen />
+        </View>
+      )}
+    </View>
+  );
+}
+
+/**
+ * PIN pad, offering biometrics first when enabled
+ */
+function LockScreen() {
+  const [pin, setPin] = useState<string>('');
+  const [message, setMessage] = useState<string | null>(null);
+  const [checking, setChecking] = useState<boolean>(false);
+  const [canUseBiometrics, setCanUseBiometrics] = useState<boolean>(false);
+  const mounted = useRef(true);
+
+  const tryBiometrics = async (): Promise<void> => {
+    const result = await attemptBiometrics();
+    if (mounted.current && result === 'locked_out') {
+      setMessage(await describeFailure(result));
+    }
+  };
+
+  useEffect(() => {
+    mounted.current = true;
+
+    Promise.all([getSettings(), getSecurityStatus()])
+      .then(async ([settings, status]) => {
+        const available = settings.biometricUnlock && status.biometricsAvailable;
+        if (!mounted.current) return;
+
+        setCanUseBiometrics(available);
+        if (available && getSessionState() === 'locked') {
+          const result = await attemptBiometrics();
+          if (mounted.current && result === 'locked_out') {
+            setMessage(await describeFailure(result));
+          }
+        }
+      })
+      .catch(error => {
+        console.warn('Error checking biometric unlock:', error);
+      });
+
+    return () => {
+      mounted.current = false;
+    };
+  }, []);
+
+  const handleUnlock = async (): Promise<void> => {
+    if (pin.length === 0 || checking) return;
+
+    setChecking(true);
+    try {
+      const result = await unlockWithPin(pin);
+      if (!mounted.current) return;
+
+      setPin('');
+      setMessage(await describeFailure(result));
+    } catch (error) {
+      console.error('Error unlocking:', error);
+      setMessage('Could not check the PIN');
+    } finally {
+      if (mounted.current) setChecking(false);
+    }
+  };
+
+  const handleDigit = (digit: string): void => {
+    setMessage(null);
+    setPin(current => current.length < MAX_PIN_LENGTH ? current + digit : current);
+  };
+
+  const renderKey = (digit: string) => (
+    <TouchableOpacity key={digit} style={styles.key} onPress={() => handleDigit(digit)}>
+      <Text style={styles.keyText}>{digit}</Text>
+    </TouchableOpacity>
+  );
+
+  return (
+    <View style={styles.lockScreen}>
+      <Ionicons name="lock-closed" size={40} color="#2196F3" />
+      <Text style={styles.title}>SafeTack is locked</Text>
+      <Text style={styles.subtitle}>Enter your PIN</Text>
+
+      <View style={styles.dots}>
+        {Array.from({ length: Math.max(pin.length, 4) }, (_, i) => (
+          <View key={i} style={[styles.dot, i < pin.length && styles.dotFilled]} />
+        ))}
+      </View>
+
+      <Text style={styles.message}>{message || ' '}</Text>
+
+      {KEYPAD_ROWS.map((row, i) => (
+        <View key={i} style={styles.keyRow}>
+          {row.map(renderKey)}
+        </View>
+      ))}
+
+      <View style={styles.keyRow}>
+        {canUseBiometrics ? (
+          <TouchableOpacity style={styles.key} onPress={tryBiometrics}>
+            <Ionicons name="finger-print" size={28} color="#2196F3" />
+          </TouchableOpacity>
+        ) : (
+          <TouchableOpacity
+            style={styles.key}
+            onPress={() => setPin(current => current.slice(0, -1))}
+          >
+            <Ionicons name="backspace-outline" size={26} color="#333" />
+          </TouchableOpacity>
+        )}
+        {renderKey('0')}
+        <TouchableOpacity style={[styles.key, styles.unlockKey]} onPress={handleUnlock} disabled={checking}>
+          {checking ? (
+            <ActivityIndicator color="#fff" />
+          ) : (
+            <Ionicons name="arrow-forward" size={26} color="#fff" />
+          )}
+        </TouchableOpacity>
+      </View>
+
+      {canUseBiometrics && pin.length > 0 && (
+        <TouchableOpacity onPress={() => setPin(current => current.slice(0, -1))}>
+          <Text style={styles.linkText}>Delete</Text>
+        </TouchableOpacity>
+      )}
+    </View>
+  );
+}
+
+/**
+ * Offer biometric unlock, treating errors like a cancelled prompt
+ */
+const attemptBiometrics = async (): Promise<UnlockResult> => {
+  try {
+    return await unlockWithBiometrics();
+  } catch (error) {
+    console.warn('Biometric unlock failed:', error);
+    return 'invalid';
+  }
+};
+
+/**
+ * Explain why an unlock attempt failed
+ */
+const describeFailure = async (result: UnlockResult): Promise<string | null> => {
+  if (result === 'invalid') return 'Incorrect PIN';
+  if (result !== 'locked_out') return null;
+
+  const { lockedUntil } = await getSecurityStatus();
+  const seconds = lockedUntil ? Math.ceil((lockedUntil - Date.now()) / 1000) : 0;
+  return `Too many attempts. Try again in ${seconds} seconds.`;
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+  overlay: {
+    ...StyleSheet.absoluteFillObject,
+    backgroundColor: '#f5f5f5',
+  },
+  lockScreen: {
+    flex: 1,
+    alignItems: 'center',
+    justifyContent: 'center',
+    padding: 24,
+  },
+  title: {
+    fontSize: 22,
+    fontWeight: 'bold',
+    color: '#333',
+    marginTop: 16,
+  },
+  subtitle: {
+    fontSize: 16,
+    color: '#666',
+    marginTop: 8,
+  },
+  dots: {
+    flexDirection: 'row',
+    marginTop: 24,
+  },
+  dot: {
+    width: 14,
+    height: 14,
+    borderRadius: 7,
+    borderWidth: 2,
+    borderColor: '#2196F3',
+    marginHorizontal: 6,
+  },
+  dotFilled: {
+    backgroundColor: '#2196F3',
+  },
+  message: {
+    fontSize: 14,
+    color: '#D32F2F',
+    marginTop: 16,
+    marginBottom: 16,
+    textAlign: 'center',
+  },
+  keyRow: {
+    flexDirection: 'row',
+  },
+  key: {
+    width: 72,
+    height: 72,
+    borderRadius: 36,
+    backgroundColor: '#fff',
+    alignItems: 'center',
+    justifyContent: 'center',
+    margin: 8,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.1,
+    shadowRadius: 2,
+    elevation: 2,
+  },
+  unlockKey: {
+    backgroundColor: '#2196F3',
+  },
+  keyText: {
+    fontSize: 26,
+    color: '#333',
+  },
+  retryButton: {
+    backgroundColor: '#2196F3',
+    paddingHorizontal: 16,
+    paddingVertical: 8,
+    borderRadius: 4,
+    minWidth: 80,
+    alignItems: 'center',
+  },
+  retryText: {
+    color: '#fff',
+    fontWeight: '600',
+  },
+  linkText: {
+    fontSize: 14,
+    color: '#2196F3',
+    marginTop: 12,
+  },
+});
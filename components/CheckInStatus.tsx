@@ -0,0 +1,123 @@
+import React from 'react';
+import { StyleSheet, View, Text, TouchableOpacity, Alert } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useRouter } from 'expo-router';
+import { useSafety } from '../app/contexts/SafetyContext';
+import { formatTime } from '../app/utils/helpers';
+
+export default function CheckInStatus() {
+  const router = useRouter();
+  const { checkIn, cancelCheckIn } = useSafety();
+
+  // Confirm before dropping the check-in; monitoring carries on
+  const handleCancel = (): void => {
+    Alert.alert(
+      'Cancel Check-In',
+      'Stop waiting for you to arrive? Route monitoring will continue.',
+      [
+        { text: 'Keep', style: 'cancel' },
+        { text: 'Cancel Check-In', style: 'destructive', onPress: () => cancelCheckIn() }
+      ]
+    );
+  };
+
+  if (!checkIn) {
+    return (
+      <TouchableOpacity style={styles.container} onPress={() => router.push('/check-in')}>
+        <View style={styles.row}>
+          <Ionicons name="flag-outline" size={22} color="#2196F3" />
+          <View style={styles.details}>
+            <Text style={styles.title}>Check In</Text>
+            <Text style={styles.subtitle}>Let your contacts know you got there safely</Text>
+          </View>
+          <Ionicons name="chevron-forward" size={20} color="#999" />
+        </View>
+      </TouchableOpacity>
+    );
+  }
+
+  const alerting = checkIn.state === 'alerting';
+  const late = !alerting && checkIn.eta !== null && checkIn.eta > checkIn.due_at;
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.row}>
+        <Ionicons
+          name={alerting ? 'warning-outline' : 'flag'}
+          size={22}
+          color={alerting ? '#FF9800' : '#2196F3'}
+        />
+        <View style={styles.details}>
+          <Text style={styles.title}>
+            {checkIn.destination_name || 'Destination'}
+          </Text>
+          <Text style={[styles.subtitle, alerting && styles.alertText]}>
+            {alerting
+              ? 'Checking you\'re OK - answer the notification'
+              : `ETA ${formatTime(checkIn.eta ?? checkIn.due_at)}${late ? ' (running late)' : ''}`}
+          </Text>
+          <Text style={styles.caption}>
+            Expected by {formatTime(checkIn.due_at)}
+            {checkIn.notify_contacts ? ' · contacts told on arrival' : ''}
+          </Text>
+        </View>
+        <TouchableOpacity style={styles.cancelButton} onPress={handleCancel}>
+          <Text style={styles.cancelText}>Cancel</Text>
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    backgroundColor: '#fff',
+    borderRadius: 8,
+    padding: 16,
+    marginHorizontal: 16,
+    marginBottom: 8,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 4,
+    elevation: 2,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  details: {
+    flex: 1,
+    marginLeft: 12,
+  },
+  title: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#333',
+  },
+  subtitle: {
+    fontSize: 14,
+    color: '#555',
+    marginTop: 2,
+  },
+  alertText: {
+    color: '#E65100',
+  },
+  caption: {
+    fontSize: 12,
+    color: '#999',
+    marginTop: 2,
+  },
+  cancelButton: {
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+    borderRadius: 4,
+    borderWidth: 1,
+    borderColor: '#2196F3',
+  },
+  cancelText: {
+    fontSize: 12,
+    color: '#2196F3',
+    fontWeight: '500',
+  },
+});
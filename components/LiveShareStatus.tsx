@@ -0,0 +1,83 @@
+import React, { useState, useEffect } from 'react';
+import { StyleSheet, View, Text, TouchableOpacity } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useRouter } from 'expo-router';
+import { getOpenLiveShares, addLiveShareListener } from '../app/services/LiveShareService';
+import { isDuressSession } from '../app/services/SecurityService';
+import { LiveShare } from '../app/database/models';
+import { formatTime } from '../app/utils/helpers';
+
+/**
+ * Shares the user can see; after a duress unlock, links opened for the alert stay hidden
+ */
+export const visibleLiveShares = (shares: LiveShare[]): LiveShare[] => {
+  return isDuressSession() ? shares.filter(share => share.reason !== 'escalation') : shares;
+};
+
+export default function LiveShareStatus() {
+  const router = useRouter();
+  const [shares, setShares] = useState<LiveShare[]>([]);
+
+  useEffect(() => {
+    getOpenLiveShares()
+      .then(list => setShares(visibleLiveShares(list)))
+      .catch(error => {
+        console.warn('Error loading live shares:', error);
+      });
+
+    return addLiveShareListener(list => setShares(visibleLiveShares(list)));
+  }, []);
+
+  const sharing = shares.length > 0;
+  const until = Math.max(...shares.map(share => share.expires_at));
+
+  return (
+    <TouchableOpacity style={styles.container} onPress={() => router.push('/live-share')}>
+      <View style={styles.row}>
+        <Ionicons name={sharing ? 'radio' : 'radio-outline'} size={22} color="#2196F3" />
+        <View style={styles.details}>
+          <Text style={styles.title}>{sharing ? 'Sharing Live Location' : 'Share Live Location'}</Text>
+          <Text style={styles.subtitle}>
+            {sharing
+              ? `Until ${formatTime(until)}${shares.length > 1 ? ` · ${shares.length} links` : ''}`
+              : 'Let contacts follow your journey for a while'}
+          </Text>
+        </View>
+        <Ionicons name="chevron-forward" size={20} color="#999" />
+      </View>
+    </TouchableOpacity>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    backgroundColor: '#fff',
+    borderRadius: 8,
+    padding: 16,
+    marginHorizontal: 16,
+    marginBottom: 8,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 4,
+    elevation: 2,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  details: {
+    flex: 1,
+    marginLeft: 12,
+  },
+  title: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#333',
+  },
+  subtitle: {
+    fontSize: 14,
+    color: '#555',
+    marginTop: 2,
+  },
+});
@@ -35,16 +35,31 @@ interface Route {
   points: RoutePoint[];
 }
 
+export interface MapMarker extends Coordinates {
+  key: string;
+  title: string;
+  description?: string;
+  color?: string;
+}
+
 interface SafetyMapProps {
   route?: Route;
   showCurrentLocation?: boolean;
   showRoute?: boolean;
+  showLiveDeviation?: boolean;
+  markers?: MapMarker[];
+  replayPosition?: Coordinates | null; // Position of a replayed track at the scrubber time
+  onPress?: (coordinate: Coordinates) => void; // e.g. picking a check-in destination
 }
 
 export default function SafetyMap({ 
   route, 
   showCurrentLocation = true, 
-  showRoute = true 
+  showRoute = true,
+  showLiveDeviation = true,
+  markers = [],
+  replayPosition = null,
+  onPress
 }: SafetyMapProps) {
   const [region, setRegion] = useState<Region | null>(null);
   const [currentLocation, setCurrentLocation] = useState<Coordinates | null>(null);
@@ -164,6 +179,14 @@ export default function SafetyMap({
           
           setRouteCoordinates(coordinates);
           
+          // Without a location fix there is no region yet, so start from the route
+          setRegion(current => current ?? {
+            latitude: coordinates[0].latitude,
+            longitude: coordinates[0].longitude,
+            latitudeDelta: LATITUDE_DELTA,
+            longitudeDelta: LONGITUDE_DELTA
+          });
+          
           // Fit map to show the route
           if (mapRef.current && coordinates.length > 1) {
             mapRef.current.fitToCoordinates(coordinates, {
@@ -182,7 +205,7 @@ export default function SafetyMap({
 
   // Show deviation marker if there's a deviation
   const renderDeviationMarker = () => {
-    if (!deviationStatus) return null;
+    if (!deviationStatus || !showLiveDeviation) return null;
     
     return (
       <Marker
@@ -199,7 +222,7 @@ export default function SafetyMap({
 
   // Show expected location marker if there's a deviation
   const renderExpectedLocationMarker = () => {
-    if (!deviationStatus) return null;
+    if (!deviationStatus || !showLiveDeviation) return null;
     
     return (
       <Marker
@@ -233,6 +256,7 @@ export default function SafetyMap({
           showsUserLocation={showCurrentLocation}
           showsMyLocationButton={true}
           showsCompass={true}
+          onPress={onPress ? event => onPress(event.nativeEvent.coordinate) : undefined}
         >
           {/* Route line */}
           {routeCoordinates.length > 1 && (
@@ -254,6 +278,28 @@ export default function SafetyMap({
           {/* Deviation markers */}
           {renderDeviationMarker()}
           {renderExpectedLocationMarker()}
+          
+          {/* Caller-provided markers, e.g. past deviations */}
+          {markers.map(marker => (
+            <Marker
+              key={marker.key}
+              coordinate={{ latitude: marker.latitude, longitude: marker.longitude }}
+              pinColor={marker.color}
+              title={marker.title}
+              description={marker.description}
+            />
+          ))}
+          
+          {/* Replay position */}
+          {replayPosition && (
+            <Marker
+              coordinate={replayPosition}
+              anchor={{ x: 0.5, y: 0.5 }}
+              title="Replay Position"
+            >
+              <View style={styles.replayMarker} />
+            </Marker>
+          )}
         </MapView>
       )}
     </View>
@@ -271,4 +317,12 @@ const styles = StyleSheet.create({
     width: '100%',
     height: '100%',
   },
+  replayMarker: {
+    width: 16,
+    height: 16,
+    borderRadius: 8,
+    backgroundColor: '#2196F3',
+    borderWidth: 3,
+    borderColor: '#fff',
+  },
 });
\ No newline at end of file
@@ -0,0 +1,157 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { StyleSheet, View, Text, TouchableOpacity, GestureResponderEvent, LayoutChangeEvent } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+
+// Replay timing
+const PLAYBACK_INTERVAL = 100; // milliseconds between ticks
+const PLAYBACK_DURATION = 20000; // a whole journey replays in about 20 seconds
+
+interface TrackMarker {
+  index: number;
+  color: string;
+}
+
+interface TrackScrubberProps {
+  count: number;                  // number of points in the track
+  index: number;                  // currently selected point
+  onChange: (index: number) => void;
+  label?: string;                 // e.g. the time at the selected point
+  markers?: TrackMarker[];        // ticks drawn on the track, e.g. deviations
+}
+
+export default function TrackScrubber({ count, index, onChange, label, markers = [] }: TrackScrubberProps) {
+  const [width, setWidth] = useState<number>(0);
+  const [playing, setPlaying] = useState<boolean>(false);
+  const indexRef = useRef<number>(index);
+
+  indexRef.current = index;
+
+  // Advance through the track while playing
+  useEffect(() => {
+    if (!playing || count < 2) return;
+
+    const step = Math.max(1, Math.round(count * PLAYBACK_INTERVAL / PLAYBACK_DURATION));
+    const timer = setInterval(() => {
+      const next = Math.min(indexRef.current + step, count - 1);
+      onChange(next);
+      if (next >= count - 1) setPlaying(false);
+    }, PLAYBACK_INTERVAL);
+
+    return () => clearInterval(timer);
+  }, [playing, count, onChange]);
+
+  // Map a touch on the track to a point index
+  const handleTouch = (event: GestureResponderEvent): void => {
+    if (width === 0 || count < 2) return;
+
+    const fraction = Math.max(0, Math.min(1, event.nativeEvent.locationX / width));
+    onChange(Math.round(fraction * (count - 1)));
+  };
+
+  const handleTogglePlay = (): void => {
+    // Start again from the beginning once the end is reached
+    if (!playing && index >= count - 1) {
+      onChange(0);
+    }
+    setPlaying(!playing);
+  };
+
+  const position = count > 1 ? index / (count - 1) : 0;
+
+  return (
+    <View style={styles.container}>
+      <TouchableOpacity style={styles.playButton} onPress={handleTogglePlay} disabled={count < 2}>
+        <Ionicons name={playing ? 'pause' : 'play'} size={20} color="#fff" />
+      </TouchableOpacity>
+
+      <View style={styles.trackArea}>
+        <View
+          style={styles.touchArea}
+          onLayout={(event: LayoutChangeEvent) => setWidth(event.nativeEvent.layout.width)}
+          onStartShouldSetResponder={() => true}
+          onMoveShouldSetResponder={() => true}
+          onResponderGrant={event => {
+            setPlaying(false);
+            handleTouch(event);
+          }}
+          onResponderMove={handleTouch}
+        >
+          <View style={styles.track} pointerEvents="none">
+            <View style={[styles.progress, { width: position * width }]} />
+          </View>
+
+          {count > 1 && markers.map(marker => (
+            <View
+              key={`${marker.index}-${marker.color}`}
+              pointerEvents="none"
+              style={[
+                styles.marker,
+                { left: marker.index / (count - 1) * width - 2, backgroundColor: marker.color }
+              ]}
+            />
+          ))}
+
+          <View pointerEvents="none" style={[styles.thumb, { left: position * width - 8 }]} />
+        </View>
+
+        {label && <Text style={styles.label}>{label}</Text>}
+      </View>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#fff',
+    padding: 12,
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+  },
+  playButton: {
+    width: 36,
+    height: 36,
+    borderRadius: 18,
+    backgroundColor: '#2196F3',
+    alignItems: 'center',
+    justifyContent: 'center',
+    marginRight: 12,
+  },
+  trackArea: {
+    flex: 1,
+  },
+  touchArea: {
+    height: 28,
+    justifyContent: 'center',
+  },
+  track: {
+    height: 4,
+    borderRadius: 2,
+    backgroundColor: '#e0e0e0',
+    overflow: 'hidden',
+  },
+  progress: {
+    height: 4,
+    backgroundColor: '#2196F3',
+  },
+  marker: {
+    position: 'absolute',
+    width: 4,
+    height: 12,
+    borderRadius: 2,
+  },
+  thumb: {
+    position: 'absolute',
+    width: 16,
+    height: 16,
+    borderRadius: 8,
+    backgroundColor: '#fff',
+    borderWidth: 2,
+    borderColor: '#2196F3',
+  },
+  label: {
+    fontSize: 12,
+    color: '#666',
+  },
+});
@@ -0,0 +1,68 @@
+import initSqlJs from 'sql.js/dist/sql-asm.js';
+import type { Database, SqlJsStatic, SqlValue } from 'sql.js';
+import type { DatabaseConnection } from '../app/database/database';
+
+/**
+ * In-memory SQLite for Jest, through the same interface as expo-sqlite
+ *
+ * sql.js is SQLite compiled to JavaScript, so it runs under Node without a
+ * native build. Its asm.js build is used because the WebAssembly one can't
+ * open a database inside jest-expo's environment. Each call opens a new,
+ * empty database. All of them share the asm.js build's fixed-size memory, so
+ * tests that open many should close them with closeNodeDatabases.
+ */
+
+let sqlJs: Promise<SqlJsStatic> | null = null;
+const openDatabases = new Set<Database>();
+
+// expo-sqlite binds booleans as integers and undefined as NULL
+const toSqlValue = (value: unknown): SqlValue => {
+  if (value === undefined) return null;
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  return value as SqlValue;
+};
+
+export const openNodeDatabase = async (): Promise<DatabaseConnection> => {
+  if (!sqlJs) {
+    sqlJs = initSqlJs();
+  }
+
+  const db = new (await sqlJs).Database();
+  openDatabases.add(db);
+
+  return {
+    async execAsync(source) {
+      db.exec(source);
+    },
+
+    async getAllAsync<T>(source: string, params: any[]): Promise<T[]> {
+      const statement = db.prepare(source);
+
+      try {
+        statement.bind(params.map(toSqlValue));
+        const rows: T[] = [];
+        while (statement.step()) {
+          rows.push(statement.getAsObject() as T);
+        }
+        return rows;
+      } finally {
+        statement.free();
+      }
+    },
+
+    async runAsync(source, params) {
+      db.run(source, params.map(toSqlValue));
+      const changes = db.getRowsModified();
+      const [{ values }] = db.exec('SELECT last_insert_rowid()');
+      return { lastInsertRowId: Number(values[0][0]), changes };
+    }
+  };
+};
+
+/**
+ * Close every database opened so far, freeing their memory
+ */
+export const closeNodeDatabases = (): void => {
+  openDatabases.forEach(db => db.close());
+  openDatabases.clear();
+};
@@ -0,0 +1,13 @@
+// babel-preset-expo inlines EXPO_PUBLIC_ variables when it compiles, and the
+// client can't be created without a project URL, so tests pick the Supabase
+// project at run time instead: SUPABASE_TEST_URL, usually the local stand-in
+jest.mock('../app/services/SupabaseService', () => {
+  const { createClient } = jest.requireActual('@supabase/supabase-js');
+  const { SUPABASE_TEST_URL } = jest.requireActual('./standins');
+  return {
+    __esModule: true,
+    default: createClient(SUPABASE_TEST_URL, 'test-anon-key', {
+      auth: { autoRefreshToken: false, persistSession: false }
+    })
+  };
+});
@@ -0,0 +1,48 @@
+import { spawn, ChildProcess } from 'child_process';
+import { createServer } from 'net';
+import path from 'path';
+
+/**
+ * Run the local stand-ins in scripts/ for tests that talk to a real server
+ *
+ * Each stand-in is a separate Node process started on the port asked for; stop
+ * it with kill() on the returned process once the tests are done.
+ */
+
+const SCRIPTS_DIR = path.join(__dirname, '../scripts');
+
+// Where the Supabase client in tests connects, usually scripts/supabase-standin.js
+export const SUPABASE_TEST_URL = process.env.SUPABASE_TEST_URL || 'http://127.0.0.1:54321';
+
+// A port nothing is listening on yet
+export const findFreePort = (): Promise<number> => new Promise((resolve, reject) => {
+  const server = createServer();
+  server.once('error', reject);
+  server.listen(0, '127.0.0.1', () => {
+    const { port } = server.address() as { port: number };
+    server.close(() => resolve(port));
+  });
+});
+
+/**
+ * Start a stand-in script and wait until it is listening
+ */
+export const startStandin = async (
+  script: string,
+  port: number,
+  env: Record<string, string> = {}
+): Promise<ChildProcess> => {
+  const standin = spawn(process.execPath, [path.join(SCRIPTS_DIR, script)], {
+    env: { ...process.env, ...env, PORT: String(port) }
+  });
+
+  await new Promise<void>((resolve, reject) => {
+    standin.once('error', reject);
+    standin.once('exit', code => reject(new Error(`${script} exited with ${code}`)));
+    standin.stdout?.on('data', data => {
+      if (String(data).includes('listening')) resolve();
+    });
+  });
+
+  return standin;
+};
@@ -0,0 +1,132 @@
+#!/usr/bin/env node
+
+/**
+ * Local stand-in for the SMS, email and webhook endpoints used by contact alerts.
+ * Point the app at it to exercise the alert outbox without a real provider, under
+ * Settings > Safety Alerts > SMS & Email Gateways:
+ *
+ *   SMS gateway URL:     http://<host>:8787/sms
+ *   Email API URL:       http://<host>:8787/email
+ *   webhook contact URL: http://localhost:8787/webhook
+ *
+ * Options (environment variables):
+ *   PORT          Port to listen on (default 8787)
+ *   FAIL_RATE     Fraction of sends answered with a 503, to exercise retries (default 0)
+ *   DELIVERY_MS   Delay before a sent message reports "delivered" (default 5000)
+ *
+ * GET /_inbox lists everything received; DELETE /_inbox clears it.
+ * POST /_fail { status, count, channel? } answers the next `count` sends (to one
+ * channel, or any) with `status`, to fail deliveries on purpose.
+ */
+
+const http = require("http");
+const crypto = require("crypto");
+const { URL } = require("url");
+
+const port = parseInt(process.env.PORT || "8787", 10);
+const failRate = parseFloat(process.env.FAIL_RATE || "0");
+const deliveryMs = parseInt(process.env.DELIVERY_MS || "5000", 10);
+
+// Messages received, keyed by id
+const inbox = new Map();
+
+// Failures asked for through /_fail, used up in order
+const failures = [];
+
+const sendJson = (res, statusCode, body) => {
+  res.writeHead(statusCode, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(body));
+};
+
+const readBody = (req) =>
+  new Promise((resolve, reject) => {
+    let data = "";
+    req.on("data", (chunk) => {
+      data += chunk;
+    });
+    req.on("end", () => {
+      try {
+        resolve(data ? JSON.parse(data) : {});
+      } catch (error) {
+        reject(error);
+      }
+    });
+    req.on("error", reject);
+  });
+
+const statusOf = (message) =>
+  Date.now() - message.receivedAt >= deliveryMs ? "delivered" : "sent";
+
+const takeFailure = (channel) => {
+  const index = failures.findIndex((failure) => !failure.channel || failure.channel === channel);
+  if (index === -1) return null;
+
+  const failure = failures[index];
+  if (--failure.count <= 0) failures.splice(index, 1);
+  return failure.status;
+};
+
+const accept = (channel, payload, authorization) => {
+  const id = crypto.randomUUID();
+  const message = { id, channel, payload, authorization, receivedAt: Date.now() };
+  inbox.set(id, message);
+  console.log(`[${channel}] ${payload.to || "webhook"}: ${payload.body || payload.text || payload.message}`);
+  return message;
+};
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, `http://${req.headers.host}`);
+  const parts = url.pathname.split("/").filter(Boolean);
+
+  try {
+    if (url.pathname === "/_inbox") {
+      if (req.method === "DELETE") {
+        inbox.clear();
+        failures.length = 0;
+        return sendJson(res, 204, {});
+      }
+      return sendJson(res, 200, [...inbox.values()].map((m) => ({ ...m, status: statusOf(m) })));
+    }
+
+    if (url.pathname === "/_fail" && req.method === "POST") {
+      const { status = 503, count = 1, channel = null } = await readBody(req);
+      failures.push({ status, count, channel });
+      return sendJson(res, 200, { queued: failures.length });
+    }
+
+    const isSend = req.method === "POST" &&
+      ((parts[0] === "sms" && parts[1] === "messages") ||
+       (parts[0] === "email" && parts[1] === "emails") ||
+       parts[0] === "webhook");
+
+    if (isSend) {
+      const payload = await readBody(req);
+
+      const failStatus = takeFailure(parts[0]);
+      if (failStatus) {
+        return sendJson(res, failStatus, { error: "Simulated failure" });
+      }
+
+      if (Math.random() < failRate) {
+        return sendJson(res, 503, { error: "Simulated outage" });
+      }
+
+      const message = accept(parts[0], payload, req.headers.authorization || null);
+      return sendJson(res, 200, { id: message.id, status: "sent" });
+    }
+
+    if (req.method === "GET" && parts.length === 3 && (parts[0] === "sms" || parts[0] === "email")) {
+      const message = inbox.get(parts[2]);
+      if (!message) return sendJson(res, 404, { error: "Unknown message" });
+      return sendJson(res, 200, { id: message.id, status: statusOf(message) });
+    }
+
+    sendJson(res, 404, { error: "Not found" });
+  } catch (error) {
+    sendJson(res, 400, { error: error.message });
+  }
+});
+
+server.listen(port, () => {
+  console.log(`Alert gateway stand-in listening on http://localhost:${port}`);
+});
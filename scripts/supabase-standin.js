@@ -0,0 +1,566 @@
+#!/usr/bin/env node
+
+/**
+ * Local stand-in for the parts of Supabase used by cloud sync and live sharing:
+ * email/password auth, the REST API for the tables in supabase/schema.sql and its
+ * live share functions. Point the app at it to exercise sync, offline queueing,
+ * restore and live sharing without a Supabase project:
+ *
+ *   EXPO_PUBLIC_SUPABASE_URL=http://<host>:54321
+ *   EXPO_PUBLIC_SUPABASE_KEY=any-anon-key
+ *
+ * Sign up in the app, sync, then sign in with the same account on a second phone or
+ * after clearing app data to see routes and contacts restored.
+ *
+ * Supported REST subset: select=*, eq/neq/gt/gte/lt/lte/is/in filters, or=(...) with
+ * nested and(...), order, limit, and inserts/upserts with on_conflict and
+ * Prefer: resolution=merge-duplicates|ignore-duplicates, return=representation, and
+ * deletes with the same filters and Prefer: count=exact.
+ * Rows are only visible to the user who owns them, as with row level security.
+ *
+ * The live share functions (POST /rest/v1/rpc/publish_live_share, close_live_share
+ * and get_live_share) behave like their SQL versions, so a share's link can be
+ * opened in the web build (npm run web) without signing in.
+ *
+ * Options (environment variables):
+ *   PORT        Port to listen on (default 54321)
+ *   DATA_FILE   JSON file to keep users and rows in between runs (default: memory only)
+ *   OFFLINE     Set to 1 to answer every REST call with a 503, to exercise the offline queue
+ *
+ * GET /_data lists every stored row and live share; DELETE /_data clears them
+ * (accounts are kept).
+ */
+
+const http = require("http");
+const crypto = require("crypto");
+const fs = require("fs");
+const { URL } = require("url");
+const { Buffer } = require("buffer");
+
+const port = parseInt(process.env.PORT || "54321", 10);
+const dataFile = process.env.DATA_FILE || null;
+const offline = process.env.OFFLINE === "1";
+const jwtSecret = crypto.randomBytes(32);
+
+const TABLES = ["routes", "emergency_contacts", "alert_events"];
+const TOKEN_LIFETIME = 3600; // seconds
+const MAX_SHARE_DURATION = 24 * 60 * 60 * 1000; // milliseconds
+const MIN_SHARE_KEY_LENGTH = 32;
+
+// Stored state; users are keyed by email, rows by table then primary key, live shares by token
+const state = {
+  users: {},
+  rows: Object.fromEntries(TABLES.map((table) => [table, {}])),
+  liveShares: {},
+};
+const refreshTokens = new Map();
+
+if (dataFile && fs.existsSync(dataFile)) {
+  Object.assign(state, JSON.parse(fs.readFileSync(dataFile, "utf8")));
+}
+
+const save = () => {
+  if (dataFile) {
+    fs.writeFileSync(dataFile, JSON.stringify(state, null, 2));
+  }
+};
+
+// The web build calls in from another origin
+const CORS_HEADERS = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Methods": "GET, POST, DELETE, OPTIONS",
+  "Access-Control-Allow-Headers": "authorization, apikey, content-type, prefer, x-client-info, accept-profile, content-profile",
+  "Access-Control-Expose-Headers": "content-range",
+};
+
+const sendJson = (res, statusCode, body, headers = {}) => {
+  res.writeHead(statusCode, { "Content-Type": "application/json", ...CORS_HEADERS, ...headers });
+  res.end(body === undefined ? "" : JSON.stringify(body));
+};
+
+const readBody = (req) =>
+  new Promise((resolve, reject) => {
+    let data = "";
+    req.on("data", (chunk) => {
+      data += chunk;
+    });
+    req.on("end", () => {
+      try {
+        resolve(data ? JSON.parse(data) : {});
+      } catch (error) {
+        reject(error);
+      }
+    });
+    req.on("error", reject);
+  });
+
+// --- Auth -------------------------------------------------------------------
+
+const base64url = (value) => Buffer.from(value).toString("base64url");
+
+const signToken = (user) => {
+  const now = Math.floor(Date.now() / 1000);
+  const header = base64url(JSON.stringify({ alg: "HS256", typ: "JWT" }));
+  const payload = base64url(JSON.stringify({
+    sub: user.id,
+    email: user.email,
+    role: "authenticated",
+    aud: "authenticated",
+    iat: now,
+    exp: now + TOKEN_LIFETIME,
+  }));
+  const signature = crypto.createHmac("sha256", jwtSecret).update(`${header}.${payload}`).digest("base64url");
+  return `${header}.${payload}.${signature}`;
+};
+
+// Signed-in user id from the Authorization header, or null for the anon key
+const verifyToken = (req) => {
+  const token = (req.headers.authorization || "").replace(/^Bearer /, "");
+  const [header, payload, signature] = token.split(".");
+  if (!signature) return null;
+
+  const expected = crypto.createHmac("sha256", jwtSecret).update(`${header}.${payload}`).digest("base64url");
+  if (expected !== signature) return null;
+
+  const claims = JSON.parse(Buffer.from(payload, "base64url").toString());
+  return claims.exp > Date.now() / 1000 ? claims.sub : null;
+};
+
+const publicUser = (user) => ({
+  id: user.id,
+  aud: "authenticated",
+  role: "authenticated",
+  email: user.email,
+  email_confirmed_at: user.created_at,
+  app_metadata: { provider: "email", providers: ["email"] },
+  user_metadata: user.metadata,
+  identities: [{ id: user.id, provider: "email" }],
+  created_at: user.created_at,
+  updated_at: user.created_at,
+});
+
+const issueSession = (user) => {
+  const refreshToken = crypto.randomBytes(24).toString("hex");
+  refreshTokens.set(refreshToken, user.email);
+  return {
+    access_token: signToken(user),
+    token_type: "bearer",
+    expires_in: TOKEN_LIFETIME,
+    expires_at: Math.floor(Date.now() / 1000) + TOKEN_LIFETIME,
+    refresh_token: refreshToken,
+    user: publicUser(user),
+  };
+};
+
+const hashPassword = (password, salt) =>
+  crypto.scryptSync(password, salt, 32).toString("hex");
+
+const authError = (res, statusCode, message) =>
+  sendJson(res, statusCode, { code: statusCode, error: "invalid_grant", error_description: message, msg: message });
+
+const handleAuth = async (req, res, url, path) => {
+  if (req.method === "POST" && path === "signup") {
+    const { email, password, data } = await readBody(req);
+    if (!email || !password) return authError(res, 400, "Email and password are required");
+    if (state.users[email]) return authError(res, 422, "User already registered");
+
+    const salt = crypto.randomBytes(16).toString("hex");
+    state.users[email] = {
+      id: crypto.randomUUID(),
+      email,
+      salt,
+      password: hashPassword(password, salt),
+      metadata: data || {},
+      created_at: new Date().toISOString(),
+    };
+    save();
+    console.log(`[auth] signed up ${email}`);
+    return sendJson(res, 200, issueSession(state.users[email]));
+  }
+
+  if (req.method === "POST" && path === "token") {
+    const body = await readBody(req);
+    const grantType = url.searchParams.get("grant_type");
+
+    if (grantType === "password") {
+      const user = state.users[body.email];
+      if (!user || hashPassword(body.password || "", user.salt) !== user.password) {
+        return authError(res, 400, "Invalid login credentials");
+      }
+      console.log(`[auth] signed in ${body.email}`);
+      return sendJson(res, 200, issueSession(user));
+    }
+
+    if (grantType === "refresh_token") {
+      const email = refreshTokens.get(body.refresh_token);
+      if (!email) return authError(res, 400, "Invalid Refresh Token");
+      refreshTokens.delete(body.refresh_token);
+      return sendJson(res, 200, issueSession(state.users[email]));
+    }
+
+    return authError(res, 400, `Unsupported grant type ${grantType}`);
+  }
+
+  if (req.method === "GET" && path === "user") {
+    const userId = verifyToken(req);
+    const user = Object.values(state.users).find((u) => u.id === userId);
+    if (!user) return authError(res, 401, "Invalid JWT");
+    return sendJson(res, 200, publicUser(user));
+  }
+
+  if (req.method === "POST" && path === "logout") {
+    return sendJson(res, 204);
+  }
+
+  return authError(res, 404, `Unknown auth endpoint ${path}`);
+};
+
+// --- REST -------------------------------------------------------------------
+
+// Split on commas that aren't inside parentheses or quotes
+const splitTopLevel = (text) => {
+  const parts = [];
+  let depth = 0;
+  let quoted = false;
+  let current = "";
+
+  for (const char of text) {
+    if (char === "\"") quoted = !quoted;
+    if (!quoted && char === "(") depth++;
+    if (!quoted && char === ")") depth--;
+    if (!quoted && depth === 0 && char === ",") {
+      parts.push(current);
+      current = "";
+    } else {
+      current += char;
+    }
+  }
+
+  parts.push(current);
+  return parts;
+};
+
+const unquote = (value) =>
+  value.startsWith("\"") && value.endsWith("\"") ? value.slice(1, -1) : value;
+
+const compare = (a, b) => {
+  if (typeof a === "number" || typeof b === "number") return Number(a) - Number(b);
+  return String(a) < String(b) ? -1 : String(a) > String(b) ? 1 : 0;
+};
+
+// Build a row predicate from one "column=op.value" filter
+const buildCondition = (column, expression) => {
+  const dot = expression.indexOf(".");
+  const op = expression.slice(0, dot);
+  const raw = unquote(expression.slice(dot + 1));
+
+  return (row) => {
+    const value = row[column] === undefined ? null : row[column];
+    switch (op) {
+      case "eq": return value !== null && compare(value, raw) === 0;
+      case "neq": return value !== null && compare(value, raw) !== 0;
+      case "gt": return value !== null && compare(value, raw) > 0;
+      case "gte": return value !== null && compare(value, raw) >= 0;
+      case "lt": return value !== null && compare(value, raw) < 0;
+      case "lte": return value !== null && compare(value, raw) <= 0;
+      case "is": return raw === "null" ? value === null : String(value) === raw;
+      case "in": return splitTopLevel(raw.slice(1, -1)).map(unquote).some((item) => compare(value, item) === 0);
+      default: throw new Error(`Unsupported operator ${op}`);
+    }
+  };
+};
+
+// Build a predicate from a logic tree such as "a.gt.1,and(b.eq.2,c.lt.3)"
+const buildLogic = (combinator, text) => {
+  const conditions = splitTopLevel(text).map((part) => {
+    const nested = part.match(/^(and|or)\((.*)\)$/);
+    if (nested) return buildLogic(nested[1], nested[2]);
+
+    const dot = part.indexOf(".");
+    return buildCondition(part.slice(0, dot), part.slice(dot + 1));
+  });
+
+  return combinator === "and"
+    ? (row) => conditions.every((condition) => condition(row))
+    : (row) => conditions.some((condition) => condition(row));
+};
+
+const RESERVED_PARAMS = new Set(["select", "order", "limit", "offset", "on_conflict", "columns"]);
+
+// Filters from the query string, limited to the user's own rows
+const buildConditions = (url, userId) => {
+  const conditions = [(row) => row.user_id === userId];
+
+  for (const [key, value] of url.searchParams) {
+    if (RESERVED_PARAMS.has(key)) continue;
+    if (key === "or" || key === "and") {
+      conditions.push(buildLogic(key, value.slice(1, -1)));
+    } else {
+      conditions.push(buildCondition(key, value));
+    }
+  }
+
+  return conditions;
+};
+
+const handleSelect = (res, table, url, userId) => {
+  const conditions = buildConditions(url, userId);
+  let rows = Object.values(state.rows[table]).filter((row) => conditions.every((condition) => condition(row)));
+
+  const order = url.searchParams.get("order");
+  if (order) {
+    const keys = order.split(",").map((item) => {
+      const [column, direction] = item.split(".");
+      return { column, sign: direction === "desc" ? -1 : 1 };
+    });
+    rows.sort((a, b) => {
+      for (const { column, sign } of keys) {
+        const result = compare(a[column], b[column]);
+        if (result !== 0) return result * sign;
+      }
+      return 0;
+    });
+  }
+
+  const offset = parseInt(url.searchParams.get("offset") || "0", 10);
+  const limit = url.searchParams.get("limit");
+  rows = rows.slice(offset, limit === null ? undefined : offset + parseInt(limit, 10));
+
+  return sendJson(res, 200, rows);
+};
+
+const handleDelete = (req, res, table, url, userId) => {
+  const conditions = buildConditions(url, userId);
+  const prefer = req.headers.prefer || "";
+  const deleted = [];
+
+  for (const [key, row] of Object.entries(state.rows[table])) {
+    if (conditions.every((condition) => condition(row))) {
+      deleted.push(row);
+      delete state.rows[table][key];
+    }
+  }
+
+  save();
+  console.log(`[rest] ${table}: deleted ${deleted.length} rows`);
+
+  const headers = prefer.includes("count=exact") ? { "Content-Range": `*/${deleted.length}` } : {};
+  if (prefer.includes("return=representation")) {
+    return sendJson(res, 200, deleted, headers);
+  }
+  return sendJson(res, 204, undefined, headers);
+};
+
+const handleInsert = async (req, res, table, url, userId) => {
+  const body = await readBody(req);
+  const records = Array.isArray(body) ? body : [body];
+  const prefer = req.headers.prefer || "";
+  const conflictColumn = url.searchParams.get("on_conflict") || "uuid";
+  const merge = prefer.includes("resolution=merge-duplicates");
+  const ignore = prefer.includes("resolution=ignore-duplicates");
+
+  // Checked up front so a rejected request writes nothing, like a transaction
+  for (const record of records) {
+    if (!userId || record.user_id !== userId) {
+      return sendJson(res, 403, {
+        code: "42501",
+        message: `new row violates row-level security policy for table "${table}"`,
+      });
+    }
+
+    const existing = state.rows[table][record[conflictColumn]];
+    if (existing && existing.user_id !== userId) {
+      return sendJson(res, 403, {
+        code: "42501",
+        message: `new row violates row-level security policy (USING expression) for table "${table}"`,
+      });
+    }
+    if (existing && !merge && !ignore) {
+      return sendJson(res, 409, {
+        code: "23505",
+        message: `duplicate key value violates unique constraint "${table}_pkey"`,
+      });
+    }
+  }
+
+  const written = [];
+  for (const record of records) {
+    const key = record[conflictColumn];
+    const existing = state.rows[table][key];
+    if (existing && ignore) continue;
+
+    // Same job as the server_updated_at trigger
+    const row = { ...(existing || {}), ...record, server_updated_at: new Date().toISOString() };
+    state.rows[table][key] = row;
+    written.push(row);
+  }
+
+  save();
+  console.log(`[rest] ${table}: wrote ${written.length} of ${records.length} rows`);
+
+  return prefer.includes("return=representation")
+    ? sendJson(res, 201, written)
+    : sendJson(res, 201);
+};
+
+// --- Live shares --------------------------------------------------------------
+
+const hashKey = (key) => crypto.createHash("sha256").update(String(key)).digest("hex");
+
+const rpcError = (res, statusCode, code, message) => sendJson(res, statusCode, { code, message });
+
+const publishLiveShare = (res, { share_token: token, write_key: writeKey, share_expires_at: expiresAt, share_state: shareState }) => {
+  if (String(token || "").length < MIN_SHARE_KEY_LENGTH || String(writeKey || "").length < MIN_SHARE_KEY_LENGTH) {
+    return rpcError(res, 400, "P0001", "Share token and write key must be at least 32 characters");
+  }
+
+  const now = Date.now();
+  const existing = state.liveShares[token];
+
+  if (!existing) {
+    state.liveShares[token] = {
+      token,
+      write_key_hash: hashKey(writeKey),
+      expires_at: new Date(Math.min(Date.parse(expiresAt), now + MAX_SHARE_DURATION)).toISOString(),
+      closed_at: null,
+      closed_reason: null,
+      state: shareState,
+      created_at: new Date(now).toISOString(),
+      updated_at: new Date(now).toISOString(),
+    };
+    console.log(`[rpc] opened live share ${token.slice(0, 8)}…`);
+  } else {
+    if (existing.write_key_hash !== hashKey(writeKey)) {
+      return rpcError(res, 403, "42501", "Not allowed to update this share");
+    }
+    if (existing.closed_at) {
+      return rpcError(res, 400, "55000", "Share is closed");
+    }
+
+    existing.expires_at = new Date(
+      Math.min(Date.parse(expiresAt), Date.parse(existing.created_at) + MAX_SHARE_DURATION)
+    ).toISOString();
+    existing.state = shareState;
+    existing.updated_at = new Date(now).toISOString();
+  }
+
+  save();
+  return sendJson(res, 204);
+};
+
+const closeLiveShare = (res, { share_token: token, write_key: writeKey, close_reason: reason }) => {
+  const share = state.liveShares[token];
+
+  if (share && share.write_key_hash === hashKey(writeKey)) {
+    share.closed_at = share.closed_at || new Date().toISOString();
+    share.closed_reason = share.closed_reason || reason;
+    share.state = null;
+    share.updated_at = new Date().toISOString();
+    save();
+    console.log(`[rpc] closed live share ${token.slice(0, 8)}… (${share.closed_reason})`);
+  }
+
+  return sendJson(res, 204);
+};
+
+const getLiveShare = (res, { share_token: token }) => {
+  const share = state.liveShares[token];
+  if (!share) return sendJson(res, 200, null);
+
+  if (share.closed_at) {
+    return sendJson(res, 200, { status: "closed", reason: share.closed_reason, closed_at: share.closed_at });
+  }
+  if (Date.parse(share.expires_at) <= Date.now()) {
+    return sendJson(res, 200, { status: "expired", expires_at: share.expires_at });
+  }
+  return sendJson(res, 200, {
+    status: "active",
+    expires_at: share.expires_at,
+    updated_at: share.updated_at,
+    state: share.state,
+  });
+};
+
+const RPC_FUNCTIONS = {
+  publish_live_share: publishLiveShare,
+  close_live_share: closeLiveShare,
+  get_live_share: getLiveShare,
+};
+
+const handleRpc = async (req, res, name) => {
+  if (offline) {
+    return sendJson(res, 503, { message: "Stand-in is offline" });
+  }
+  if (!RPC_FUNCTIONS[name]) {
+    return rpcError(res, 404, "PGRST202", `Could not find the function public.${name}`);
+  }
+  if (req.method !== "POST") {
+    return sendJson(res, 405, { message: `${req.method} is not supported by the stand-in` });
+  }
+
+  return RPC_FUNCTIONS[name](res, await readBody(req));
+};
+
+const handleRest = async (req, res, url, table) => {
+  if (offline) {
+    return sendJson(res, 503, { message: "Stand-in is offline" });
+  }
+  if (!TABLES.includes(table)) {
+    return sendJson(res, 404, { code: "42P01", message: `relation "public.${table}" does not exist` });
+  }
+
+  const userId = verifyToken(req);
+
+  if (req.method === "GET") return handleSelect(res, table, url, userId);
+  if (req.method === "POST") return handleInsert(req, res, table, url, userId);
+  if (req.method === "DELETE") return handleDelete(req, res, table, url, userId);
+
+  return sendJson(res, 405, { message: `${req.method} is not supported by the stand-in` });
+};
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, `http://${req.headers.host}`);
+  const parts = url.pathname.split("/").filter(Boolean);
+
+  try {
+    if (req.method === "OPTIONS") {
+      res.writeHead(204, CORS_HEADERS);
+      return res.end();
+    }
+
+    if (url.pathname === "/_data") {
+      if (req.method === "DELETE") {
+        state.rows = Object.fromEntries(TABLES.map((table) => [table, {}]));
+        state.liveShares = {};
+        save();
+        return sendJson(res, 204);
+      }
+      return sendJson(res, 200, {
+        ...Object.fromEntries(TABLES.map((table) => [table, Object.values(state.rows[table])])),
+        live_shares: Object.values(state.liveShares),
+      });
+    }
+
+    if (parts[0] === "rest" && parts[1] === "v1" && parts[2] === "rpc") {
+      return await handleRpc(req, res, parts[3]);
+    }
+
+    if (parts[0] === "auth" && parts[1] === "v1") {
+      return await handleAuth(req, res, url, parts[2]);
+    }
+
+    if (parts[0] === "rest" && parts[1] === "v1") {
+      return await handleRest(req, res, url, parts[2]);
+    }
+
+    return sendJson(res, 404, { message: "Not found" });
+  } catch (error) {
+    console.error(error);
+    return sendJson(res, 400, { message: error.message });
+  }
+});
+
+server.listen(port, () => {
+  console.log(`Supabase stand-in listening on http://localhost:${port}`);
+  if (dataFile) console.log(`Keeping data in ${dataFile}`);
+});
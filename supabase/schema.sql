@@ -0,0 +1,184 @@
+-- SafeTack cloud schema
+-- Run in the Supabase SQL editor to create the tables used by app/services/SyncService.ts
+-- and app/services/LiveShareService.ts.
+--
+-- Rows are keyed by a UUID generated on the phone. updated_at is the time of the
+-- edit on the phone and decides conflicts; server_updated_at is set here on every
+-- write and is what phones pull from, so an edit uploaded late is still picked up.
+-- Deleted routes and contacts keep their row with deleted_at set, so every phone
+-- learns about the deletion.
+
+create or replace function set_server_updated_at() returns trigger as $$
+begin
+  new.server_updated_at = clock_timestamp();
+  return new;
+end;
+$$ language plpgsql;
+
+create table if not exists routes (
+  uuid uuid primary key,
+  user_id uuid not null references auth.users (id) on delete cascade,
+  name text,
+  category text,
+  confidence_score real,
+  start_location jsonb,
+  end_location jsonb,
+  avg_duration integer,
+  times_traveled integer,
+  points jsonb,
+  created_at timestamptz,
+  updated_at timestamptz not null,
+  deleted_at timestamptz,
+  server_updated_at timestamptz not null default clock_timestamp()
+);
+
+create table if not exists emergency_contacts (
+  uuid uuid primary key,
+  user_id uuid not null references auth.users (id) on delete cascade,
+  name text,
+  phone_number text,
+  email text,
+  relationship text,
+  priority integer,
+  is_active boolean,
+  channels jsonb,
+  created_at timestamptz,
+  updated_at timestamptz not null,
+  deleted_at timestamptz,
+  server_updated_at timestamptz not null default clock_timestamp()
+);
+
+create table if not exists alert_events (
+  uuid uuid primary key,
+  user_id uuid not null references auth.users (id) on delete cascade,
+  latitude double precision,
+  longitude double precision,
+  deviation_distance real,
+  contacts_notified jsonb,
+  route_uuid uuid,
+  user_response text,
+  timestamp timestamptz,
+  server_updated_at timestamptz not null default clock_timestamp()
+);
+
+create index if not exists routes_pull_idx on routes (user_id, server_updated_at, uuid);
+create index if not exists emergency_contacts_pull_idx on emergency_contacts (user_id, server_updated_at, uuid);
+
+drop trigger if exists routes_server_updated_at on routes;
+create trigger routes_server_updated_at before insert or update on routes
+  for each row execute function set_server_updated_at();
+
+drop trigger if exists emergency_contacts_server_updated_at on emergency_contacts;
+create trigger emergency_contacts_server_updated_at before insert or update on emergency_contacts
+  for each row execute function set_server_updated_at();
+
+-- Each user only sees and writes their own rows
+alter table routes enable row level security;
+alter table emergency_contacts enable row level security;
+alter table alert_events enable row level security;
+
+drop policy if exists "Own routes" on routes;
+create policy "Own routes" on routes
+  for all using (auth.uid() = user_id) with check (auth.uid() = user_id);
+
+drop policy if exists "Own contacts" on emergency_contacts;
+create policy "Own contacts" on emergency_contacts
+  for all using (auth.uid() = user_id) with check (auth.uid() = user_id);
+
+drop policy if exists "Own alert events" on alert_events;
+create policy "Own alert events" on alert_events
+  for all using (auth.uid() = user_id) with check (auth.uid() = user_id);
+
+-- Live location sharing (app/services/LiveShareService.ts)
+--
+-- A share is keyed by a random token carried in the link sent to contacts, who
+-- read it without an account through get_live_share. The phone that opened the
+-- share proves ownership with a write key, stored here only as a hash, so the
+-- table itself is closed to every role and only these functions touch it. No
+-- sign-in is needed to share, so guests can be followed too.
+
+create extension if not exists pgcrypto;
+
+create table if not exists live_shares (
+  token text primary key,
+  write_key_hash text not null,
+  expires_at timestamptz not null,
+  closed_at timestamptz,
+  closed_reason text,
+  state jsonb,
+  created_at timestamptz not null default clock_timestamp(),
+  updated_at timestamptz not null default clock_timestamp()
+);
+
+alter table live_shares enable row level security;
+
+-- Open a share, or replace its state and expiry; shares last at most a day
+create or replace function publish_live_share(
+  share_token text,
+  write_key text,
+  share_expires_at timestamptz,
+  share_state jsonb
+) returns void as $$
+declare
+  existing live_shares;
+  key_hash text := encode(digest(write_key, 'sha256'), 'hex');
+begin
+  if length(share_token) < 32 or length(write_key) < 32 then
+    raise exception 'Share token and write key must be at least 32 characters';
+  end if;
+
+  select * into existing from live_shares where token = share_token for update;
+
+  if not found then
+    insert into live_shares (token, write_key_hash, expires_at, state)
+    values (share_token, key_hash, least(share_expires_at, clock_timestamp() + interval '24 hours'), share_state);
+    return;
+  end if;
+
+  if existing.write_key_hash <> key_hash then
+    raise exception 'Not allowed to update this share' using errcode = '42501';
+  end if;
+  if existing.closed_at is not null then
+    raise exception 'Share is closed' using errcode = '55000';
+  end if;
+
+  update live_shares set
+    expires_at = least(share_expires_at, existing.created_at + interval '24 hours'),
+    state = share_state,
+    updated_at = clock_timestamp()
+  where token = share_token;
+end;
+$$ language plpgsql security definer set search_path = public, extensions;
+
+-- Close a share and forget its location data
+create or replace function close_live_share(share_token text, write_key text, close_reason text) returns void as $$
+begin
+  update live_shares set
+    closed_at = coalesce(closed_at, clock_timestamp()),
+    closed_reason = coalesce(closed_reason, close_reason),
+    state = null,
+    updated_at = clock_timestamp()
+  where token = share_token and write_key_hash = encode(digest(write_key, 'sha256'), 'hex');
+end;
+$$ language plpgsql security definer set search_path = public, extensions;
+
+-- What a share's link shows; location data only while the share is open
+create or replace function get_live_share(share_token text) returns jsonb as $$
+  select case
+    when closed_at is not null then
+      jsonb_build_object('status', 'closed', 'reason', closed_reason, 'closed_at', closed_at)
+    when expires_at <= clock_timestamp() then
+      jsonb_build_object('status', 'expired', 'expires_at', expires_at)
+    else
+      jsonb_build_object('status', 'active', 'expires_at', expires_at, 'updated_at', updated_at, 'state', state)
+  end
+  from live_shares
+  where token = share_token;
+$$ language sql stable security definer set search_path = public;
+
+revoke all on function publish_live_share(text, text, timestamptz, jsonb) from public;
+revoke all on function close_live_share(text, text, text) from public;
+revoke all on function get_live_share(text) from public;
+grant execute on function publish_live_share(text, text, timestamptz, jsonb) to anon, authenticated;
+grant execute on function close_live_share(text, text, text) to anon, authenticated;
+grant execute on function get_live_share(text) to anon, authenticated;